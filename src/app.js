@@ -12,6 +12,8 @@ const logger = require('./utils/logger');
 const errorHandler = require('./middlewares/error/errorHandler');
 const { connectDB } = require('./config/db'); // Import the connectDB function
 const socketManager = require('./utils/socketManager');
+const waitlistService = require('./services/waitlistService');
+const examService = require('./services/examService');
 
 const app = express();
 
@@ -65,6 +67,18 @@ if (require.main === module) {
     app.listen(port, () => {
         console.log(`Server is running on port ${port}`);
     });
+
+    // Pass seats from lapsed waitlist offers on to the next students in line
+    setInterval(() => {
+        waitlistService.expireOffers()
+            .catch(err => logger.error(`Waitlist offer sweep failed: ${err.message}`));
+    }, config.waitlist.sweepIntervalMinutes * 60 * 1000).unref();
+
+    // Submit exam attempts whose time has run out and close exams past their end date
+    setInterval(() => {
+        examService.expireOverdueAttempts()
+            .catch(err => logger.error(`Exam deadline sweep failed: ${err.message}`));
+    }, config.exam.sweepIntervalMinutes * 60 * 1000).unref();
 }
 
 module.exports = app;
@@ -21,7 +21,8 @@ module.exports = {
   jwt: {
     secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRES_IN,
-    cookieExpiresIn: process.env.JWT_COOKIE_EXPIRES_IN
+    cookieExpiresIn: process.env.JWT_COOKIE_EXPIRES_IN,
+    refreshExpiresInDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS, 10) || 30
   },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
@@ -29,5 +30,52 @@ module.exports = {
   },
   cors: {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3000'
+  },
+  mail: {
+    from: process.env.MAIL_FROM || 'PupilSync <no-reply@pupilsync.local>',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  },
+  otp: {
+    length: parseInt(process.env.OTP_LENGTH, 10) || 6,
+    expiresInMinutes: parseInt(process.env.OTP_EXPIRES_IN_MINUTES, 10) || 15,
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+    // How often a password reset code can be requested for one account
+    resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60,
+    maxPerHour: parseInt(process.env.OTP_MAX_PER_HOUR, 10) || 5
+  },
+  verification: {
+    expiresInMinutes: parseInt(process.env.VERIFICATION_EXPIRES_IN_MINUTES, 10) || 24 * 60,
+    resendCooldownSeconds: parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60,
+    maxResendsPerHour: parseInt(process.env.VERIFICATION_MAX_RESENDS_PER_HOUR, 10) || 5
+  },
+  lockout: {
+    threshold: parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5,
+    baseMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15,
+    maxMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 1440,
+    unlockCodeExpiresInMinutes: parseInt(process.env.LOCKOUT_UNLOCK_CODE_EXPIRES_IN_MINUTES, 10) || 60
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'PupilSync',
+    challengeExpiresInMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN_MINUTES, 10) || 5,
+    setupTokenExpiresInMinutes: parseInt(process.env.TWO_FACTOR_SETUP_EXPIRES_IN_MINUTES, 10) || 15,
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODE_COUNT, 10) || 10
+  },
+  invitation: {
+    acceptUrl: process.env.INVITATION_ACCEPT_URL || 'http://localhost:3000/accept-invitation',
+    expiresInMinutes: parseInt(process.env.INVITATION_EXPIRES_IN_MINUTES, 10) || 7 * 24 * 60,
+    maxRosterRows: parseInt(process.env.ROSTER_IMPORT_MAX_ROWS, 10) || 2000
+  },
+  waitlist: {
+    claimWindowHours: parseInt(process.env.WAITLIST_CLAIM_WINDOW_HOURS, 10) || 48,
+    sweepIntervalMinutes: parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MINUTES, 10) || 5
+  },
+  exam: {
+    sweepIntervalMinutes: parseInt(process.env.EXAM_SWEEP_INTERVAL_MINUTES, 10) || 1
   }
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Permission catalog used by the policy engine (services/policyService.js)
+ *
+ * Each permission lists the roles that hold it and the scope they hold it at:
+ *   'any' - the role may act on every resource of this kind
+ *   'own' - the role may only act on resources it owns (see the resolvers in policyService)
+ *
+ * `resource` is the resource type routes pass an ID for by default; a route can name a
+ * different one (e.g. a lesson ID for 'course:edit'), which is resolved to its owners the same way.
+ */
+const permissions = {
+  // Courses and course content
+  'course:create': { roles: { admin: 'any', teacher: 'any' } },
+  'course:edit': { resource: 'course', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'course:delete': { resource: 'course', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'course:view-content': { resource: 'course', roles: { admin: 'any', teacher: 'any', institution: 'any', student: 'any', parent: 'any' } },
+  'course:view-stats': { resource: 'course', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'category:manage': { roles: { admin: 'any', teacher: 'any' } },
+  'category:admin': { roles: { admin: 'any' } },
+
+  // Enrollments
+  'enrollment:create': { resource: 'course', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'any' } },
+  'enrollment:view': { resource: 'enrollment', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'enrollment:view-course': { resource: 'course', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'enrollment:view-student': { resource: 'student', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'enrollment:manage': { resource: 'enrollment', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'enrollment:cancel': { resource: 'enrollment', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own' } },
+  'waitlist:view': { resource: 'waitlistEntry', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'waitlist:claim': { resource: 'waitlistEntry', roles: { admin: 'any', student: 'own' } },
+  'waitlist:leave': { resource: 'waitlistEntry', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own' } },
+
+  // Quizzes
+  'quiz:manage': { resource: 'quiz', roles: { admin: 'any', teacher: 'own' } },
+  'quiz:view': { resource: 'quiz', roles: { admin: 'any', teacher: 'own', student: 'any' } },
+  'quiz:take': { roles: { student: 'any' } },
+  'quiz:view-attempt': { resource: 'quizAttempt', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+
+  // Question banks (shared banks are visible to the owner's colleagues at the institution)
+  'questionBank:list': { roles: { admin: 'any', teacher: 'any', institution: 'any' } },
+  'questionBank:create': { roles: { admin: 'any', teacher: 'any' } },
+  'questionBank:view': { resource: 'sharedQuestionBank', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'questionBank:edit': { resource: 'questionBank', roles: { admin: 'any', teacher: 'own' } },
+
+  // Exams
+  'exam:create': { roles: { admin: 'any', teacher: 'any' } },
+  'exam:view': { resource: 'exam', roles: { admin: 'any', teacher: 'own' } },
+  'exam:edit': { resource: 'exam', roles: { admin: 'any', teacher: 'own' } },
+  'exam:assign': { resource: 'exam', roles: { admin: 'any', teacher: 'own' } },
+  'exam:grade': { resource: 'exam', roles: { admin: 'any', teacher: 'own' } },
+  'exam:take': { resource: 'examAssignment', roles: { student: 'own' } },
+  'exam:view-attempt': { resource: 'examAttempt', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'exam:view-assigned': { resource: 'student', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'accommodation:view': { resource: 'student', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'accommodation:manage': { resource: 'student', roles: { admin: 'any', teacher: 'own' } },
+
+  // Assignments and submissions
+  'assignment:manage': { resource: 'assignment', roles: { admin: 'any', teacher: 'own' } },
+  'assignment:view': { resource: 'assignment', roles: { admin: 'any', teacher: 'any', institution: 'any', student: 'any', parent: 'any' } },
+  'assignment:submit': { resource: 'assignment', roles: { student: 'any' } },
+  'submission:view': { resource: 'submission', roles: { admin: 'any', teacher: 'own', student: 'own', parent: 'own' } },
+  'submission:list': { resource: 'assignment', roles: { admin: 'any', teacher: 'own', student: 'any' } },
+  'submission:view-own': { roles: { student: 'any' } },
+  'submission:grade': { resource: 'submission', roles: { admin: 'any', teacher: 'own' } },
+
+  // Attendance
+  'attendance:record': { resource: 'class', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'attendance:view': { resource: 'attendance', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'attendance:view-class': { resource: 'class', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+
+  // Classes and rosters
+  'class:list': { roles: { admin: 'any', institution: 'any', teacher: 'any' } },
+  'class:create': { resource: 'institution', roles: { admin: 'any', institution: 'own' } },
+  'class:view': { resource: 'class', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'class:edit': { resource: 'class', roles: { admin: 'any', institution: 'own' } },
+  'class:delete': { resource: 'class', roles: { admin: 'any', institution: 'own' } },
+  'class:manage-roster': { resource: 'class', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+
+  // Academic calendar and timetables
+  'calendar:view': { roles: { admin: 'any', teacher: 'any', institution: 'any', student: 'any', parent: 'any' } },
+  'calendar:manage': { resource: 'institution', roles: { admin: 'any', institution: 'own' } },
+  'timetable:view-student': { resource: 'student', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'timetable:view-teacher': { resource: 'teacher', roles: { admin: 'any', institution: 'own', teacher: 'own' } },
+
+  // Polls and surveys
+  'poll:manage': { roles: { admin: 'any', teacher: 'any' } },
+  'poll:respond': { roles: { student: 'any' } },
+  'poll:view': { roles: { admin: 'any', teacher: 'any', institution: 'any', student: 'any', parent: 'any' } },
+
+  // Institutions
+  'institution:manage': { resource: 'institution', roles: { admin: 'any' } },
+  'institution:edit': { resource: 'institution', roles: { admin: 'any', institution: 'own' } },
+  'roster:import': { resource: 'institution', roles: { admin: 'any', institution: 'own' } },
+  'oneroster:sync': { resource: 'institution', roles: { admin: 'any', institution: 'own' } },
+
+  // Students, parents and reports
+  'student:view': { resource: 'student', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'student:analytics': { resource: 'learningAnalytics', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'analytics:manage': { resource: 'learningAnalytics', roles: { admin: 'any', teacher: 'own' } },
+  'analytics:view-class': { resource: 'class', roles: { admin: 'any', teacher: 'own', institution: 'own' } },
+  'analytics:track': { roles: { admin: 'any', teacher: 'any', institution: 'any', student: 'any', parent: 'any' } },
+  'analytics:view-events': { roles: { admin: 'any', teacher: 'any' } },
+  'analytics:delete-events': { roles: { admin: 'any' } },
+  'report:view': { resource: 'progressReport', roles: { admin: 'any', teacher: 'own', institution: 'own', student: 'own', parent: 'own' } },
+  'report:manage': { resource: 'progressReport', roles: { admin: 'any', teacher: 'own' } },
+  'report:view-teacher': { resource: 'teacher', roles: { admin: 'any', teacher: 'own' } },
+  'parent-settings:view': { resource: 'parentAccessSetting', roles: { admin: 'any', teacher: 'any', parent: 'own', student: 'own' } },
+  'parent-settings:view-student': { resource: 'student', roles: { admin: 'any', teacher: 'own', student: 'own' } },
+  'parent-settings:manage': { resource: 'parentAccessSetting', roles: { admin: 'any', parent: 'own' } },
+  'notification:view': { resource: 'parentNotification', roles: { admin: 'any', teacher: 'any', parent: 'own' } },
+  'notification:view-student': { resource: 'student', roles: { admin: 'any', teacher: 'own', student: 'own' } },
+  'notification:manage': { resource: 'parentNotification', roles: { admin: 'any', teacher: 'any', parent: 'own' } },
+  'notification:create': { roles: { admin: 'any', teacher: 'any' } },
+
+  // Teachers and marketplace
+  'teacher-profile:manage': { roles: { teacher: 'any' } },
+  'earning:view': { resource: 'teacherEarning', roles: { admin: 'any', teacher: 'own' } },
+  'earning:manage': { roles: { admin: 'any' } },
+  'review:create': { roles: { student: 'any' } },
+  'review:respond': { roles: { teacher: 'any' } },
+  'review:moderate': { roles: { admin: 'any' } },
+  'marketplace:offer': { roles: { teacher: 'any' } },
+  'marketplace:manage': { roles: { admin: 'any', teacher: 'any' } },
+  'marketplace:book': { roles: { student: 'any' } },
+  'marketplace:view-booking': { roles: { admin: 'any', teacher: 'any', student: 'any' } },
+  'marketplace:update-booking': { roles: { admin: 'any', teacher: 'any', student: 'any' } },
+
+  // Collaboration
+  'project:manage': { roles: { admin: 'any', teacher: 'any' } },
+  'project:participate': { roles: { admin: 'any', teacher: 'any', student: 'any' } },
+  'forum:manage': { roles: { admin: 'any', teacher: 'any' } },
+  'forum:moderate': { roles: { admin: 'any', teacher: 'any' } },
+  'forum:post': { roles: { admin: 'any', teacher: 'any', student: 'any' } },
+  'chat:participate': { resource: 'chat', roles: { admin: 'any', teacher: 'own', student: 'own' } },
+  'chat:manage': { resource: 'chat', roles: { admin: 'any', teacher: 'own' } },
+  'chat:delete-message': { resource: 'chatMessage', roles: { admin: 'any', teacher: 'own', student: 'own' } },
+
+  // Accounts
+  'user:list': { roles: { admin: 'any' } },
+  'admin:access': { roles: { admin: 'any' } },
+  'two-factor-policy:manage': { roles: { admin: 'any', institution: 'any' } }
+};
+
+module.exports = permissions;
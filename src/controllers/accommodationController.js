@@ -0,0 +1,94 @@
+const accommodationService = require('../services/accommodationService');
+const AppError = require('../utils/errors/AppError');
+const { validateAccommodationProfile } = require('../utils/validators/accommodationValidator');
+
+const accommodationController = {
+  /**
+   * Get a student's accommodations profile
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getProfile(req, res, next) {
+    try {
+      const profile = await accommodationService.getProfile(req.params.studentId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          profile
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create or replace a student's accommodations profile
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async saveProfile(req, res, next) {
+    try {
+      const { error, value } = validateAccommodationProfile(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { profile, created } = await accommodationService.saveProfile(req.params.studentId, value, req.user.userId);
+
+      res.status(created ? 201 : 200).json({
+        status: 'success',
+        data: {
+          profile
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Remove a student's accommodations profile
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteProfile(req, res, next) {
+    try {
+      await accommodationService.deleteProfile(req.params.studentId);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Report which accommodations were applied to a student's exams and quizzes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getAppliedReport(req, res, next) {
+    try {
+      const report = await accommodationService.getAppliedReport(req.params.studentId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = accommodationController;
@@ -19,14 +19,6 @@ const assignmentController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Check if user is authorized to create an assignment for this course
-      const course = await courseService.getCourseById(req.body.courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to create assignments for this course', 403));
-      }
-      
       // If rubric is provided, validate it
       if (req.body.rubric) {
         const { error: rubricError } = validateRubric(req.body.rubric);
@@ -192,15 +184,6 @@ const assignmentController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Check if user is authorized to update this assignment
-      const assignment = await assignmentService.getAssignmentById(id);
-      const course = await courseService.getCourseById(assignment.courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this assignment', 403));
-      }
-      
       // If rubric is provided, validate it
       if (req.body.rubric) {
         const { error: rubricError } = validateRubric(req.body.rubric);
@@ -232,15 +215,6 @@ const assignmentController = {
     try {
       const { id } = req.params;
       
-      // Check if user is authorized to delete this assignment
-      const assignment = await assignmentService.getAssignmentById(id);
-      const course = await courseService.getCourseById(assignment.courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to delete this assignment', 403));
-      }
-      
       await assignmentService.deleteAssignment(id);
       
       res.status(204).json({
@@ -1,4 +1,5 @@
 const attendanceService = require('../services/attendanceService');
+const policyService = require('../services/policyService');
 const AppError = require('../utils/errors/AppError');
 
 const attendanceController = {
@@ -42,6 +43,12 @@ const attendanceController = {
         return next(new AppError('Please provide an array of attendance records', 400));
       }
       
+      // Records can span classes, so each class is checked rather than one route parameter
+      const classIds = [...new Set(attendanceRecords.map(record => record.classId))];
+      for (const classId of classIds) {
+        await policyService.assertCan(req.user, 'attendance:record', { id: classId });
+      }
+      
       // Add the current user as the one who marked attendance for all records
       const recordsWithMarker = attendanceRecords.map(record => ({
         ...record,
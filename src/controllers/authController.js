@@ -1,6 +1,16 @@
 const authService = require('../services/authService');
-const { createSendToken } = require('../utils/authUtils');
+const { createSendToken, sendTokens, clearAuthCookies, getClientInfo } = require('../utils/authUtils');
 const AppError = require('../utils/errors/AppError');
+const {
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateUnlockAccount,
+  validateAcceptInvitation
+} = require('../utils/validators/authValidator');
+const { validateTwoFactorLogin } = require('../utils/validators/twoFactorValidator');
 // const catchAsync = require('../utils/errors/catchAsync');
 // Removed: const { generateToken } = require('../utils/authUtils');
 
@@ -34,7 +44,7 @@ const AppError = require('../utils/errors/AppError');
 exports.signup = async (req, res, next) => {
   try {
     const user = await authService.createUser(req.body);
-    createSendToken(user, 201, res);
+    await createSendToken(user, 201, res);
   } catch (err) {
     next(new AppError(err.message, 400));
   }
@@ -43,30 +53,417 @@ exports.signup = async (req, res, next) => {
 exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
-    const user = await authService.loginUser(email, password);
-    createSendToken(user, 200, res);
+    const { user, twoFactor } = await authService.loginUser(email, password, getClientInfo(req));
+
+    if (twoFactor) {
+      return res.status(200).json({
+        status: 'success',
+        data: twoFactor
+      });
+    }
+
+    await createSendToken(user, 200, res);
   } catch (err) {
-    next(new AppError(err.message, 401));
+    next(err instanceof AppError ? err : new AppError(err.message, 401));
+  }
+};
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with an authenticator or recovery code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login complete, a token is issued
+ *       400:
+ *         description: Invalid code
+ *       401:
+ *         description: Challenge token invalid or expired
+ *       429:
+ *         description: Too many incorrect codes for this login attempt
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { error } = validateTwoFactorLogin(req.body);
+    if (error) {
+      return next(new AppError(error.details[0].message, 400));
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const user = await authService.completeTwoFactorLogin(challengeToken, { code, recoveryCode });
+    await createSendToken(user, 200, res);
+  } catch (err) {
+    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+      return next(new AppError('This login attempt has expired. Please log in again', 401));
+    }
+    next(err);
   }
 };
 
-exports.logout = (req, res) => {
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 1000),
-    httpOnly: true
-  });
-  res.status(200).json({ status: 'success' });
+/**
+ * @swagger
+ * /auth/logout:
+ *   get:
+ *     summary: Log out and revoke the current device session
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    await authService.logoutSession({
+      refreshToken: req.cookies?.refreshToken || req.body?.refreshToken,
+      accessToken: authHeader?.startsWith('Bearer') ? authHeader.split(' ')[1] : req.cookies?.jwt
+    });
+
+    clearAuthCookies(res);
+    res.status(200).json({ status: 'success' });
+  } catch (err) {
+    next(err);
+  }
 };
 
+/**
+ * @swagger
+ * /auth/refresh-token:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Each refresh token can be used once. Reusing one revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Only needed when the refreshToken cookie is not sent
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *       401:
+ *         description: Refresh token invalid, expired, reused or revoked
+ */
 exports.refreshToken = async (req, res, next) => {
   try {
-    const user = await authService.refreshAuthToken(req.cookies.jwt);
-    createSendToken(user, 200, res);
+    const { user, session, refreshToken } = await authService.refreshAuthToken(
+      req.cookies?.refreshToken || req.body?.refreshToken,
+      getClientInfo(req)
+    );
+    sendTokens(user, session.sessionId, refreshToken, 200, res);
   } catch (err) {
     next(new AppError(err.message, 401));
   }
 };
 
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a single-use password reset code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A code was sent if the account exists
+ *       400:
+ *         description: Bad request
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { error } = validateForgotPassword(req.body);
+    if (error) {
+      return next(new AppError(error.details[0].message, 400));
+    }
+
+    await authService.requestPasswordReset(req.body.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that email, a reset code has been sent'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset a password with an emailed code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               passwordConfirm:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset, a new token is issued
+ *       400:
+ *         description: Invalid or expired code
+ *       429:
+ *         description: Too many incorrect attempts for this code
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { error } = validateResetPassword(req.body);
+    if (error) {
+      return next(new AppError(error.details[0].message, 400));
+    }
+
+    const user = await authService.resetPassword(req.body);
+    await createSendToken(user, 200, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/accept-invitation:
+ *   post:
+ *     summary: Set the first password of an invited account
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               passwordConfirm:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password set and email verified, a new token is issued
+ *       400:
+ *         description: Invalid or expired invitation
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { error } = validateAcceptInvitation(req.body);
+    if (error) {
+      return next(new AppError(error.details[0].message, 400));
+    }
+
+    const user = await authService.acceptInvitation(req.body);
+    await createSendToken(user, 200, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   patch:
+ *     summary: Change the password of the logged-in user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               passwordConfirm:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed, a new token is issued
+ *       401:
+ *         description: Current password is incorrect
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { error } = validateChangePassword(req.body);
+    if (error) {
+      return next(new AppError(error.details[0].message, 400));
+    }
+
+    const user = await authService.changePassword(
+      req.user.userId,
+      req.body.currentPassword,
+      req.body.password
+    );
+    await createSendToken(user, 200, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the code sent at registration
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified, a new token is issued
+ *       400:
+ *         description: Invalid or expired code, or already verified
+ *       429:
+ *         description: Too many incorrect attempts for this code
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const { error } = validateVerifyEmail(req.body);
+    if (error) {
+      return next(new AppError(error.details[0].message, 400));
+    }
+
+    const user = await authService.verifyEmail(req.body);
+    await createSendToken(user, 200, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/unlock-account:
+ *   post:
+ *     summary: Unlock an account with the code emailed after repeated failed logins
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired code
+ *       429:
+ *         description: Too many incorrect attempts for this code
+ */
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const { error } = validateUnlockAccount(req.body);
+    if (error) {
+      return next(new AppError(error.details[0].message, 400));
+    }
+
+    await authService.unlockAccount(req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your account has been unlocked. You can log in again'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A code was sent if the account exists and is unverified
+ *       429:
+ *         description: A code was requested too recently
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const { error } = validateResendVerification(req.body);
+    if (error) {
+      return next(new AppError(error.details[0].message, 400));
+    }
+
+    await authService.resendVerification(req.body.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If the account exists and is not yet verified, a new code has been sent'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @swagger
  * /registerInstitution:
@@ -149,7 +546,7 @@ exports.registerInstitution = async (req, res, next) => {
     const userObj = user && typeof user.toJSON === 'function' ? user.toJSON() : user;
     const institutionObj = institution && typeof institution.toJSON === 'function' ? institution.toJSON() : institution;
 
-    createSendToken(userObj, 201, res, {
+    await createSendToken(userObj, 201, res, {
       institution: institutionObj
         ? {
             institutionId: institutionObj.institutionId,
@@ -177,7 +574,7 @@ exports.registerStudent = async (req, res, next) => {
     const { user, student } = await authService.registerStudent(req.body);
 
     // Use createSendToken, passing student data
-    createSendToken(user, 201, res, { student });
+    await createSendToken(user, 201, res, { student });
 
   } catch (err) {
     // Use the error handling from the service or a generic one
@@ -199,7 +596,7 @@ exports.registerTeacher = async (req, res, next) => {
     const { user, teacher } = await authService.registerTeacher(req.body);
 
     // Use createSendToken, passing teacher data
-    createSendToken(user, 201, res, { teacher });
+    await createSendToken(user, 201, res, { teacher });
 
   } catch (err) {
     // Pass the original error to the global error handler
@@ -252,7 +649,7 @@ exports.registerParent = async (req, res, next) => {
     const { user, parent, linkedStudent } = await authService.registerParentAndLinkStudent(req.body);
 
     // Use createSendToken, passing parent and linkedStudent data
-    createSendToken(user, 201, res, { parent, linkedStudent });
+    await createSendToken(user, 201, res, { parent, linkedStudent });
 
   } catch (err) {
     // Pass the error to the global error handler
@@ -0,0 +1,243 @@
+const academicCalendarService = require('../services/academicCalendarService');
+const AppError = require('../utils/errors/AppError');
+const {
+  validateAcademicSession,
+  validateHoliday,
+  validateDateRange
+} = require('../utils/validators/calendarValidator');
+
+const calendarController = {
+  /**
+   * Get an institution's calendar (sessions and holidays)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getCalendar(req, res, next) {
+    try {
+      const { error } = validateDateRange(req.query);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { from, to, type } = req.query;
+      const calendar = await academicCalendarService.getCalendar(req.params.institutionId, { from, to, type });
+
+      res.status(200).json({
+        status: 'success',
+        data: calendar
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create an academic session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createSession(req, res, next) {
+    try {
+      const { error } = validateAcademicSession(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const session = await academicCalendarService.createSession(req.body);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          session
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get an academic session by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getSessionById(req, res, next) {
+    try {
+      const session = await academicCalendarService.getSessionById(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          session
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Update an academic session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateSession(req, res, next) {
+    try {
+      const { error } = validateAcademicSession(req.body, true);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const session = await academicCalendarService.updateSession(req.params.id, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          session
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete an academic session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteSession(req, res, next) {
+    try {
+      await academicCalendarService.deleteSession(req.params.id);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Add a holiday to an institution's calendar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createHoliday(req, res, next) {
+    try {
+      const { error } = validateHoliday(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const holiday = await academicCalendarService.createHoliday(req.body);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          holiday
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Update a holiday
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateHoliday(req, res, next) {
+    try {
+      const { error } = validateHoliday(req.body, true);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const holiday = await academicCalendarService.updateHoliday(req.params.id, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          holiday
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a holiday
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteHoliday(req, res, next) {
+    try {
+      await academicCalendarService.deleteHoliday(req.params.id);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a student's weekly timetable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getStudentTimetable(req, res, next) {
+    try {
+      const meetings = await academicCalendarService.getStudentTimetable(req.params.studentId);
+
+      res.status(200).json({
+        status: 'success',
+        results: meetings.length,
+        data: {
+          meetings
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a teacher's weekly timetable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getTeacherTimetable(req, res, next) {
+    try {
+      const meetings = await academicCalendarService.getTeacherTimetable(req.params.teacherId);
+
+      res.status(200).json({
+        status: 'success',
+        results: meetings.length,
+        data: {
+          meetings
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = calendarController;
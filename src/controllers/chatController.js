@@ -226,7 +226,7 @@ const chatController = {
   async deleteChatMessage(req, res, next) {
     try {
       const { messageId } = req.params;
-      await chatService.deleteChatMessage(parseInt(messageId), req.user.userId);
+      await chatService.deleteChatMessage(parseInt(messageId));
       
       res.status(204).json({
         status: 'success',
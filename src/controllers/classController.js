@@ -0,0 +1,449 @@
+const classService = require('../services/classService');
+const academicCalendarService = require('../services/academicCalendarService');
+const policyService = require('../services/policyService');
+const AppError = require('../utils/errors/AppError');
+const {
+  validateClass,
+  validateCoTeacher,
+  validateRosterChange,
+  validateRosterTransfer,
+  validateClassMeeting
+} = require('../utils/validators/classValidator');
+const { validateDateRange } = require('../utils/validators/calendarValidator');
+
+const classController = {
+  /**
+   * List classes (limited to the caller's institutions)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getClasses(req, res, next) {
+    try {
+      const { institutionId, teacherId, academicSessionId } = req.query;
+
+      const classes = await classService.getClasses({
+        institutionId: institutionId ? parseInt(institutionId) : undefined,
+        teacherId: teacherId ? parseInt(teacherId) : undefined,
+        academicSessionId: academicSessionId ? parseInt(academicSessionId) : undefined
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: classes.length,
+        data: {
+          classes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create a class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createClass(req, res, next) {
+    try {
+      const { error } = validateClass(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const cls = await classService.createClass(req.body);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          class: cls
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a class by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getClassById(req, res, next) {
+    try {
+      const cls = await classService.getClassById(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          class: cls
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Update a class's details or primary teacher
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateClass(req, res, next) {
+    try {
+      const { error } = validateClass(req.body, true);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const cls = await classService.updateClass(req.params.id, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          class: cls
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteClass(req, res, next) {
+    try {
+      await classService.deleteClass(req.params.id, { deletedBy: req.user.userId });
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Assign a co-teacher to a class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async addCoTeacher(req, res, next) {
+    try {
+      const { error } = validateCoTeacher(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const coTeacher = await classService.addCoTeacher(req.params.id, req.body.teacherId, req.body.role);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          coTeacher
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Remove a co-teacher from a class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async removeCoTeacher(req, res, next) {
+    try {
+      await classService.removeCoTeacher(req.params.id, parseInt(req.params.teacherId));
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a class's weekly meetings, or the dates it meets between ?from and ?to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getMeetings(req, res, next) {
+    try {
+      const { from, to } = req.query;
+
+      if (from || to) {
+        const { error } = validateDateRange(req.query, true);
+        if (error) {
+          return next(new AppError(error.details[0].message, 400));
+        }
+
+        const schedule = await academicCalendarService.getClassOccurrences(req.params.id, from, to);
+
+        return res.status(200).json({
+          status: 'success',
+          results: schedule.occurrences.length,
+          data: schedule
+        });
+      }
+
+      const meetings = await academicCalendarService.getClassMeetings(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        results: meetings.length,
+        data: {
+          meetings
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Add a weekly meeting to a class's timetable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async addMeeting(req, res, next) {
+    try {
+      const { error } = validateClassMeeting(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const meeting = await academicCalendarService.addMeeting(req.params.id, req.body);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          meeting
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Update a meeting of a class's timetable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateMeeting(req, res, next) {
+    try {
+      const { error } = validateClassMeeting(req.body, true);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const meeting = await academicCalendarService.updateMeeting(req.params.id, req.params.meetingId, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          meeting
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Remove a meeting from a class's timetable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async removeMeeting(req, res, next) {
+    try {
+      await academicCalendarService.removeMeeting(req.params.id, req.params.meetingId);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get the students currently in a class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getRoster(req, res, next) {
+    try {
+      const roster = await classService.getRoster(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        results: roster.length,
+        data: {
+          roster
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a class's roster history, optionally for one student
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getRosterHistory(req, res, next) {
+    try {
+      const { studentId } = req.query;
+
+      const history = await classService.getRosterHistory(req.params.id, {
+        studentId: studentId ? parseInt(studentId) : undefined
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: history.length,
+        data: {
+          history
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Add one or more students to a class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async addStudents(req, res, next) {
+    try {
+      const { error } = validateRosterChange(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const result = await classService.addStudents(req.params.id, req.body.studentIds, {
+        enrolledBy: req.user.userId
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Withdraw one or more students from a class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async removeStudents(req, res, next) {
+    try {
+      const { error } = validateRosterChange(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const result = await classService.removeStudents(req.params.id, req.body.studentIds, {
+        endedBy: req.user.userId,
+        reason: req.body.reason
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Withdraw a single student from a class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async removeStudent(req, res, next) {
+    try {
+      const studentId = parseInt(req.params.studentId);
+      const { removed } = await classService.removeStudents(req.params.id, [studentId], {
+        endedBy: req.user.userId
+      });
+
+      if (removed.length === 0) {
+        return next(new AppError('This student is not in the class', 404));
+      }
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Move students from this class to another class
+   * The caller needs roster rights on both classes.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async transferStudents(req, res, next) {
+    try {
+      const { error } = validateRosterTransfer(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { studentIds, toClassId, reason } = req.body;
+      await policyService.assertCan(req.user, 'class:manage-roster', { id: toClassId });
+
+      const result = await classService.transferStudents(req.params.id, toClassId, studentIds, {
+        changedBy: req.user.userId,
+        reason
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = classController;
@@ -1,5 +1,4 @@
 const contentBlockService = require('../services/contentBlockService');
-const lessonService = require('../services/lessonService');
 const AppError = require('../utils/errors/AppError');
 const { validateContentBlock } = require('../utils/validators/contentBlockValidator');
 
@@ -18,15 +17,6 @@ const contentBlockController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Check if user is authorized to add content to this lesson
-      const lesson = await lessonService.getLessonById(req.body.lessonId);
-      const course = lesson.course;
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to add content to this lesson', 403));
-      }
-      
       const contentBlock = await contentBlockService.createContentBlock(req.body);
       
       res.status(201).json({
@@ -103,16 +93,6 @@ const contentBlockController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Check if user is authorized to update this content block
-      const contentBlock = await contentBlockService.getContentBlockById(id);
-      const lesson = await lessonService.getLessonById(contentBlock.lessonId);
-      const course = lesson.course;
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this content block', 403));
-      }
-      
       const updatedContentBlock = await contentBlockService.updateContentBlock(id, req.body);
       
       res.status(200).json({
@@ -136,16 +116,6 @@ const contentBlockController = {
     try {
       const { id } = req.params;
       
-      // Check if user is authorized to delete this content block
-      const contentBlock = await contentBlockService.getContentBlockById(id);
-      const lesson = await lessonService.getLessonById(contentBlock.lessonId);
-      const course = lesson.course;
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to delete this content block', 403));
-      }
-      
       await contentBlockService.deleteContentBlock(id);
       
       res.status(204).json({
@@ -172,15 +142,6 @@ const contentBlockController = {
         return next(new AppError('Content block order must be an array of content block IDs', 400));
       }
       
-      // Check if user is authorized to update this lesson's content blocks
-      const lesson = await lessonService.getLessonById(lessonId);
-      const course = lesson.course;
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this lesson', 403));
-      }
-      
       await contentBlockService.updateContentBlockOrder(lessonId, contentBlockOrder);
       
       const contentBlocks = await contentBlockService.getContentBlocksByLesson(lessonId);
@@ -242,16 +203,6 @@ const contentBlockController = {
     try {
       const { id } = req.params;
       
-      // Check if user is authorized to view engagement stats
-      const contentBlock = await contentBlockService.getContentBlockById(id);
-      const lesson = await lessonService.getLessonById(contentBlock.lessonId);
-      const course = lesson.course;
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to view engagement statistics', 403));
-      }
-      
       const stats = await contentBlockService.getContentEngagementStats(id);
       
       res.status(200).json({
@@ -129,14 +129,6 @@ const courseController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Check if user is authorized to update this course
-      const course = await courseService.getCourseById(id);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this course', 403));
-      }
-      
       const updatedCourse = await courseService.updateCourse(id, req.body);
       
       res.status(200).json({
@@ -160,14 +152,6 @@ const courseController = {
     try {
       const { id } = req.params;
       
-      // Check if user is authorized to delete this course
-      const course = await courseService.getCourseById(id);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to delete this course', 403));
-      }
-      
       await courseService.deleteCourse(id);
       
       res.status(204).json({
@@ -194,14 +178,6 @@ const courseController = {
         return next(new AppError('Syllabus is required', 400));
       }
       
-      // Check if user is authorized to update this course
-      const course = await courseService.getCourseById(id);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this course', 403));
-      }
-      
       const updatedCourse = await courseService.updateCourseSyllabus(id, syllabus);
       
       res.status(200).json({
@@ -236,14 +212,6 @@ const courseController = {
         return next(new AppError(`Invalid format. Must be one of: ${validFormats.join(', ')}`, 400));
       }
       
-      // Check if user is authorized to update this course
-      const course = await courseService.getCourseById(id);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this course', 403));
-      }
-      
       const updatedCourse = await courseService.updateCourseFormat(id, format, formatSettings);
       
       res.status(200).json({
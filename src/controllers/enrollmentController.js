@@ -0,0 +1,163 @@
+const enrollmentService = require('../services/enrollmentService');
+const AppError = require('../utils/errors/AppError');
+const { validateEnrollment, validateEnrollmentStatus } = require('../utils/validators/enrollmentValidator');
+
+const enrollmentController = {
+  /**
+   * Enroll a student in a course
+   * Students enroll themselves; teachers, institutions and admins name the student.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async enroll(req, res, next) {
+    try {
+      const { error } = validateEnrollment(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { courseId } = req.body;
+      let { studentId } = req.body;
+      let enrolledBy = req.user.userId;
+
+      if (req.user.role === 'student') {
+        const ownStudentId = req.user.student ? req.user.student.studentId : null;
+        if (!ownStudentId || (studentId && Number(studentId) !== ownStudentId)) {
+          return next(new AppError('Students can only enroll themselves', 403));
+        }
+        studentId = ownStudentId;
+        enrolledBy = null;
+      } else if (!studentId) {
+        return next(new AppError('Please provide the studentId to enroll', 400));
+      }
+
+      const enrollment = await enrollmentService.enrollStudent(courseId, studentId, { enrolledBy });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          enrollment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get an enrollment by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getEnrollmentById(req, res, next) {
+    try {
+      const enrollment = await enrollmentService.getEnrollmentById(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          enrollment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a student's enrollments, optionally filtered by status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getEnrollmentsByStudent(req, res, next) {
+    try {
+      const enrollments = await enrollmentService.getEnrollmentsByStudent(req.params.studentId, {
+        status: req.query.status
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: enrollments.length,
+        data: {
+          enrollments
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get the enrollments of a course, optionally filtered by status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getEnrollmentsByCourse(req, res, next) {
+    try {
+      const enrollments = await enrollmentService.getEnrollmentsByCourse(req.params.courseId, {
+        status: req.query.status
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: enrollments.length,
+        data: {
+          enrollments
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Change the status of an enrollment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateStatus(req, res, next) {
+    try {
+      const { error } = validateEnrollmentStatus(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const enrollment = await enrollmentService.updateStatus(req.params.id, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          enrollment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Unenroll a student from a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async unenroll(req, res, next) {
+    try {
+      await enrollmentService.unenrollStudent(req.params.id);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = enrollmentController;
@@ -1,5 +1,21 @@
 const examService = require('../services/examService');
 const AppError = require('../utils/errors/AppError');
+const { validateQuestionDraw } = require('../utils/validators/questionBankValidator');
+const {
+  validateExamSettings,
+  validateExamQuestion,
+  validateExamResponse,
+  validateResponseGrade,
+  validateRegrade,
+  validateIntegrityEvents,
+  validateIntegrityPolicy
+} = require('../utils/validators/examValidator');
+const { validateQtiExamImport, validateQtiExport } = require('../utils/validators/qtiValidator');
+const qtiService = require('../services/qtiService');
+const questionImportService = require('../services/questionImportService');
+const itemAnalysisService = require('../services/itemAnalysisService');
+const examIntegrityService = require('../services/examIntegrityService');
+const { validateQuestionImport } = require('../utils/validators/questionImportValidator');
 
 const examController = {
   /**
@@ -10,6 +26,11 @@ const examController = {
    */
   async createExam(req, res, next) {
     try {
+      const { error } = validateExamSettings(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
       const examData = {
         ...req.body,
         teacherId: req.user.teacher.teacherId // Set the current teacher as the creator
@@ -92,6 +113,11 @@ const examController = {
     try {
       const { id } = req.params;
       const updateData = req.body;
+
+      const { error } = validateExamSettings(updateData);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
       
       const exam = await examService.updateExam(id, updateData);
       
@@ -137,6 +163,11 @@ const examController = {
     try {
       const { examId } = req.params;
       const questionData = req.body;
+
+      const { error } = validateExamQuestion(questionData);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
       
       const question = await examService.addQuestionToExam(examId, questionData);
       
@@ -161,6 +192,11 @@ const examController = {
     try {
       const { questionId } = req.params;
       const updateData = req.body;
+
+      const { error } = validateExamQuestion(updateData, true);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
       
       const question = await examService.updateQuestion(questionId, updateData);
       
@@ -196,6 +232,73 @@ const examController = {
     }
   },
 
+  /**
+   * Add a question bank draw to an exam
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async addQuestionDraw(req, res, next) {
+    try {
+      const { error } = validateQuestionDraw(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const draw = await examService.addQuestionDraw(req.params.examId, req.body);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          draw
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List an exam's question bank draws
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getQuestionDraws(req, res, next) {
+    try {
+      const draws = await examService.getQuestionDraws(req.params.examId);
+
+      res.status(200).json({
+        status: 'success',
+        results: draws.length,
+        data: {
+          draws
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Remove a question bank draw from an exam
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async removeQuestionDraw(req, res, next) {
+    try {
+      await examService.removeQuestionDraw(req.params.drawId);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Assign an exam to students
    * @param {Object} req - Express request object
@@ -262,6 +365,27 @@ const examController = {
     }
   },
 
+  /**
+   * Get a student's exam paper
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getExamPaper(req, res, next) {
+    try {
+      const paper = await examService.getExamPaper(req.params.assignmentId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          paper
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Start an exam attempt
    * @param {Object} req - Express request object
@@ -275,7 +399,8 @@ const examController = {
       
       const metadata = {
         ipAddress: req.ip,
-        userAgent: req.headers['user-agent']
+        userAgent: req.headers['user-agent'],
+        sessionId: req.sessionId
       };
       
       const attempt = await examService.startExamAttempt(assignmentId, studentId, metadata);
@@ -301,7 +426,19 @@ const examController = {
     try {
       const { attemptId, questionId } = req.params;
       const responseData = req.body;
+
+      const { error } = validateExamResponse(responseData);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
       
+      // An attempt auto-submitted for what the request shows is then refused by the exam service
+      await examIntegrityService.checkRequest(attemptId, req.user.student.studentId, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        sessionId: req.sessionId
+      });
+
       const response = await examService.submitExamResponse(attemptId, questionId, responseData);
       
       res.status(200).json({
@@ -324,9 +461,17 @@ const examController = {
   async completeExamAttempt(req, res, next) {
     try {
       const { attemptId } = req.params;
+
+      const integrity = await examIntegrityService.checkRequest(attemptId, req.user.student.studentId, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        sessionId: req.sessionId
+      });
+
+      const attempt = integrity && integrity.autoSubmitted
+        ? await examService.getExamAttempt(attemptId)
+        : await examService.completeExamAttempt(attemptId);
       
-      const attempt = await examService.completeExamAttempt(attemptId);
-      
       res.status(200).json({
         status: 'success',
         data: {
@@ -336,6 +481,368 @@ const examController = {
     } catch (error) {
       next(error);
     }
+  },
+
+  /**
+   * Get an exam attempt with its remaining time
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getExamAttempt(req, res, next) {
+    try {
+      const { attemptId } = req.params;
+
+      const attempt = await examService.getExamAttempt(attemptId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          attempt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List an exam's responses waiting for manual grading
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getGradingQueue(req, res, next) {
+    try {
+      const responses = await examService.getGradingQueue(req.params.examId, req.query);
+
+      res.status(200).json({
+        status: 'success',
+        results: responses.length,
+        data: {
+          responses
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get the item analysis of an exam: question difficulty, discrimination, distractors and reliability
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getItemAnalysis(req, res, next) {
+    try {
+      const analysis = await itemAnalysisService.getItemAnalysis(req.params.examId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          analysis
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Record integrity events (tab blur, copy/paste, ...) reported by the exam page
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async recordIntegrityEvents(req, res, next) {
+    try {
+      const { error, value } = validateIntegrityEvents(req.body || {});
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const result = await examIntegrityService.recordEvents(req.params.attemptId, req.user.student.studentId, value.events, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        sessionId: req.sessionId
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get an exam's integrity policy
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getIntegrityPolicy(req, res, next) {
+    try {
+      const { policy } = await examIntegrityService.getPolicy(req.params.examId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          policy
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Change an exam's integrity policy
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateIntegrityPolicy(req, res, next) {
+    try {
+      const { error } = validateIntegrityPolicy(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { policy } = await examIntegrityService.updatePolicy(req.params.examId, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          policy
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List an exam's attempts flagged by its integrity policy
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getFlaggedAttempts(req, res, next) {
+    try {
+      const attempts = await examIntegrityService.getFlaggedAttempts(req.params.examId);
+
+      res.status(200).json({
+        status: 'success',
+        results: attempts.length,
+        data: {
+          attempts
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get the integrity timeline of an attempt
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getIntegrityTimeline(req, res, next) {
+    try {
+      const timeline = await examIntegrityService.getTimeline(req.params.attemptId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          timeline
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Grade an exam response, overriding its automatic score
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async gradeResponse(req, res, next) {
+    try {
+      const { error } = validateResponseGrade(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { response, attempt } = await examService.gradeResponse(req.params.responseId, {
+        scoreAwarded: req.body.scoreAwarded,
+        feedback: req.body.feedback,
+        gradedBy: req.user.userId
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          response,
+          attempt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Regrade every response to a question after its answer key or points were corrected
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async regradeQuestion(req, res, next) {
+    try {
+      const { error } = validateRegrade(req.body || {});
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const regrade = await examService.regradeQuestion(req.params.questionId, {
+        reason: req.body && req.body.reason,
+        regradedBy: req.user.userId
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          regrade
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get an exam's regrade history with the score changes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getRegrades(req, res, next) {
+    try {
+      const regrades = await examService.getRegrades(req.params.examId);
+
+      res.status(200).json({
+        status: 'success',
+        results: regrades.length,
+        data: {
+          regrades
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create an exam from a QTI 2.x/3.0 package (application/zip body, exam settings in the query)
+   * ?dryRun=true only reports which items can be imported.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async importQti(req, res, next) {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return next(new AppError('Upload the QTI package as an application/zip request body', 400));
+      }
+
+      const { error, value } = validateQtiExamImport(req.query);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { dryRun, ...examData } = value;
+      const teacherId = req.user.role === 'teacher' ? req.user.teacher && req.user.teacher.teacherId : examData.teacherId;
+      if (!teacherId && !dryRun) {
+        return next(new AppError('Please provide the teacherId who owns the exam', 400));
+      }
+
+      const { exam, report } = await qtiService.importExam(req.body, { ...examData, teacherId }, { dryRun });
+
+      res.status(exam ? 201 : 200).json({
+        status: 'success',
+        data: {
+          exam,
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Download an exam as a QTI package (?version=2.1 or 3.0)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async exportQti(req, res, next) {
+    try {
+      const { error, value } = validateQtiExport(req.query);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { filename, buffer } = await qtiService.exportExam(req.params.examId, value.version);
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      res.status(200).send(buffer);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Add questions written in GIFT or Aiken (text/plain body, ?format=gift|aiken) to the exam
+   * ?dryRun=true previews the questions and any line-numbered errors without adding anything.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async importQuestions(req, res, next) {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return next(new AppError('Send the questions as a text/plain request body', 400));
+      }
+
+      const { error, value } = validateQuestionImport(req.query);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const report = await questionImportService.importIntoExam(req.params.examId, req.body, value);
+
+      // A real import with errors adds nothing; the report says which lines to fix
+      const rejected = !value.dryRun && !report.imported;
+      res.status(report.imported ? 201 : rejected ? 422 : 200).json({
+        status: rejected ? 'fail' : 'success',
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 };
 
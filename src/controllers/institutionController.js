@@ -1,4 +1,6 @@
 const institutionService = require('../services/institutionService');
+const rosterImportService = require('../services/rosterImportService');
+const oneRosterService = require('../services/oneRosterService');
 const AppError = require('../utils/errors/AppError');
 
 const institutionController = {
@@ -68,6 +70,57 @@ const institutionController = {
       next(error);
     }
   },
+
+  // Roster CSV upload (text/csv body); ?dryRun=true only validates and returns the preview
+  async importRoster(req, res, next) {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return next(new AppError('Upload the roster as a text/csv request body', 400));
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+      const report = await rosterImportService.importRoster(req.params.id, req.body, { dryRun });
+
+      // A real import with invalid rows writes nothing; the report says which rows to fix
+      const rejected = !dryRun && !report.imported;
+      res.status(report.imported ? 201 : rejected ? 422 : 200).json({
+        status: rejected ? 'fail' : 'success',
+        data: { report },
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // OneRoster 1.1 CSV bundle upload (application/zip body)
+  async importOneRoster(req, res, next) {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return next(new AppError('Upload the OneRoster bundle as an application/zip request body', 400));
+      }
+
+      const result = await oneRosterService.importBundle(req.params.id, req.body);
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async exportOneRoster(req, res, next) {
+    try {
+      const bundle = await oneRosterService.exportBundle(req.params.id);
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="oneroster-${req.params.id}.zip"`,
+      });
+      res.status(200).send(bundle);
+    } catch (error) {
+      next(error);
+    }
+  },
 };
 
 module.exports = institutionController;
@@ -1,5 +1,4 @@
 const lessonService = require('../services/lessonService');
-const courseService = require('../services/courseService');
 const AppError = require('../utils/errors/AppError');
 const { validateLesson } = require('../utils/validators/lessonValidator');
 const paramParser = require('../utils/paramParser');
@@ -21,14 +20,6 @@ const lessonController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Check if the course exists and user is authorized
-      const course = await courseService.getCourseById(courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to add lessons to this course', 403));
-      }
-      
       // Set the course ID
       const lessonData = {
         ...req.body,
@@ -116,15 +107,6 @@ const lessonController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Check if user is authorized to update this lesson
-      const lesson = await lessonService.getLessonById(id);
-      const course = await courseService.getCourseById(lesson.courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this lesson', 403));
-      }
-      
       const updatedLesson = await lessonService.updateLesson(id, req.body);
       
       res.status(200).json({
@@ -148,15 +130,6 @@ const lessonController = {
     try {
       const { id } = req.params;
       
-      // Check if user is authorized to delete this lesson
-      const lesson = await lessonService.getLessonById(id);
-      const course = await courseService.getCourseById(lesson.courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to delete this lesson', 403));
-      }
-      
       await lessonService.deleteLesson(id);
       
       res.status(204).json({
@@ -183,14 +156,6 @@ const lessonController = {
         return next(new AppError('Lesson order must be an array of lesson IDs', 400));
       }
       
-      // Check if user is authorized to update this course's lessons
-      const course = await courseService.getCourseById(courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this course', 403));
-      }
-      
       await lessonService.updateLessonOrder(courseId, lessonOrder);
       
       const lessons = await lessonService.getLessonsByCourse(courseId);
@@ -221,15 +186,6 @@ const lessonController = {
         return next(new AppError('Objectives must be an array of strings', 400));
       }
       
-      // Check if user is authorized to update this lesson
-      const lesson = await lessonService.getLessonById(id);
-      const course = await courseService.getCourseById(lesson.courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this lesson', 403));
-      }
-      
       const updatedLesson = await lessonService.addLearningObjectives(id, objectives);
       
       res.status(200).json({
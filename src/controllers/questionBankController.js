@@ -0,0 +1,227 @@
+const questionBankService = require('../services/questionBankService');
+const AppError = require('../utils/errors/AppError');
+const { validateQuestionBank, validateBankQuestion } = require('../utils/validators/questionBankValidator');
+
+const questionBankController = {
+  /**
+   * List question banks (teachers see their own and those shared with them)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getBanks(req, res, next) {
+    try {
+      const { institutionId, search } = req.query;
+
+      const banks = await questionBankService.getBanks({
+        teacherId: req.user.role === 'teacher' && req.user.teacher ? req.user.teacher.teacherId : undefined,
+        institutionId: institutionId ? parseInt(institutionId) : undefined,
+        search
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: banks.length,
+        data: {
+          banks
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create a question bank (a teacher's own; admins name the owning teacher)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createBank(req, res, next) {
+    try {
+      const { error } = validateQuestionBank(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const teacherId = req.user.role === 'teacher' ? req.user.teacher && req.user.teacher.teacherId : req.body.teacherId;
+      if (!teacherId) {
+        return next(new AppError('Please provide the teacherId who owns the bank', 400));
+      }
+
+      const bank = await questionBankService.createBank({ ...req.body, teacherId });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          bank
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a question bank with its questions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getBankById(req, res, next) {
+    try {
+      const bank = await questionBankService.getBankById(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          bank
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Update a question bank
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateBank(req, res, next) {
+    try {
+      const { error } = validateQuestionBank(req.body, true);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const bank = await questionBankService.updateBank(req.params.id, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          bank
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a question bank
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteBank(req, res, next) {
+    try {
+      await questionBankService.deleteBank(req.params.id);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List a bank's questions, optionally by tag and difficulty
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getQuestions(req, res, next) {
+    try {
+      const { tag, difficulty } = req.query;
+
+      const questions = await questionBankService.getQuestions(req.params.id, { tag, difficulty });
+
+      res.status(200).json({
+        status: 'success',
+        results: questions.length,
+        data: {
+          questions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Add a question to a bank
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async addQuestion(req, res, next) {
+    try {
+      const { error } = validateBankQuestion(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const question = await questionBankService.addQuestion(req.params.id, req.body);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          question
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Update a bank question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateQuestion(req, res, next) {
+    try {
+      const { error } = validateBankQuestion(req.body, true);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const question = await questionBankService.updateQuestion(req.params.questionId, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          question
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a bank question
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteQuestion(req, res, next) {
+    try {
+      await questionBankService.deleteQuestion(req.params.questionId);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = questionBankController;
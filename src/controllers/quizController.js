@@ -1,9 +1,25 @@
 const quizService = require('../services/quizService');
-const courseService = require('../services/courseService');
 const AppError = require('../utils/errors/AppError');
-const { validateQuiz, validateQuizQuestion } = require('../utils/validators/quizValidator');
+const { validateQuiz, validateQuizQuestion, validateQuizResponse } = require('../utils/validators/quizValidator');
+const { validateBankQuestionIds } = require('../utils/validators/questionBankValidator');
+const { validateQtiQuizImport, validateQtiExport } = require('../utils/validators/qtiValidator');
+const qtiService = require('../services/qtiService');
+const questionImportService = require('../services/questionImportService');
+const { validateQuestionImport } = require('../utils/validators/questionImportValidator');
 const paramParser = require('../utils/paramParser');
 
+/**
+ * The student profile ID of the current user
+ * @param {Object} req - Express request object
+ * @returns {number} - The student ID
+ */
+const currentStudentId = (req) => {
+  if (!req.user.student) {
+    throw new AppError('Only students can take quizzes', 403);
+  }
+  return req.user.student.studentId;
+};
+
 const quizController = {
   /**
    * Create a new quiz
@@ -19,14 +35,6 @@ const quizController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Check if user is authorized to create a quiz for this course
-      const course = await courseService.getCourseById(req.body.courseId);
-      
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to create quizzes for this course', 403));
-      }
-      
       const quiz = await quizService.createQuiz(req.body);
       
       res.status(201).json({
@@ -50,6 +58,18 @@ const quizController = {
     try {
       const { id } = req.params;
       const { includeAnswers } = req.query;
+
+      // Students get the student-safe view, whatever they ask for
+      if (req.user.role === 'student') {
+        const quiz = await quizService.getQuizForStudent(id, currentStudentId(req));
+
+        return res.status(200).json({
+          status: 'success',
+          data: {
+            quiz
+          }
+        });
+      }
       
       // Parse includeAnswers parameter
       const showAnswers = paramParser.parseBoolean(includeAnswers, true);
@@ -97,6 +117,28 @@ const quizController = {
     }
   },
   
+  /**
+   * List the published quizzes of a course the current student is enrolled in, without their questions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getCourseQuizzesForStudent(req, res, next) {
+    try {
+      const quizzes = await quizService.getCourseQuizzesForStudent(req.params.courseId, currentStudentId(req));
+
+      res.status(200).json({
+        status: 'success',
+        results: quizzes.length,
+        data: {
+          quizzes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Update a quiz
    * @param {Object} req - Express request object
@@ -113,16 +155,6 @@ const quizController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Get the quiz to check authorization
-      const quiz = await quizService.getQuizById(id);
-      const course = await courseService.getCourseById(quiz.courseId);
-      
-      // Check if user is authorized to update this quiz
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this quiz', 403));
-      }
-      
       const updatedQuiz = await quizService.updateQuiz(id, req.body);
       
       res.status(200).json({
@@ -146,16 +178,6 @@ const quizController = {
     try {
       const { id } = req.params;
       
-      // Get the quiz to check authorization
-      const quiz = await quizService.getQuizById(id);
-      const course = await courseService.getCourseById(quiz.courseId);
-      
-      // Check if user is authorized to delete this quiz
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to delete this quiz', 403));
-      }
-      
       await quizService.deleteQuiz(id);
       
       res.status(204).json({
@@ -183,16 +205,6 @@ const quizController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Get the quiz to check authorization
-      const quiz = await quizService.getQuizById(id);
-      const course = await courseService.getCourseById(quiz.courseId);
-      
-      // Check if user is authorized to add questions to this quiz
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to add questions to this quiz', 403));
-      }
-      
       const question = await quizService.addQuestionToQuiz(id, req.body);
       
       res.status(201).json({
@@ -245,17 +257,6 @@ const quizController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Get the question to check authorization
-      const question = await quizService.getQuestionById(questionId);
-      const quiz = await quizService.getQuizById(question.quizId);
-      const course = await courseService.getCourseById(quiz.courseId);
-      
-      // Check if user is authorized to update this question
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to update this question', 403));
-      }
-      
       const updatedQuestion = await quizService.updateQuestion(questionId, req.body);
       
       res.status(200).json({
@@ -279,17 +280,6 @@ const quizController = {
     try {
       const { questionId } = req.params;
       
-      // Get the question to check authorization
-      const question = await quizService.getQuestionById(questionId);
-      const quiz = await quizService.getQuizById(question.quizId);
-      const course = await courseService.getCourseById(quiz.courseId);
-      
-      // Check if user is authorized to delete this question
-      if (req.user.role !== 'admin' && 
-          (!req.user.teacher || req.user.teacher.teacherId !== course.teacherId)) {
-        return next(new AppError('You are not authorized to delete this question', 403));
-      }
-      
       await quizService.deleteQuestion(questionId);
       
       res.status(204).json({
@@ -299,6 +289,265 @@ const quizController = {
     } catch (error) {
       next(error);
     }
+  },
+
+  /**
+   * Copy questions from question banks into a quiz
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async addBankQuestions(req, res, next) {
+    try {
+      const { error } = validateBankQuestionIds(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const questions = await quizService.addBankQuestionsToQuiz(req.params.id, req.body.bankQuestionIds);
+
+      res.status(201).json({
+        status: 'success',
+        results: questions.length,
+        data: {
+          questions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Start a quiz attempt, or resume the one in progress
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async startAttempt(req, res, next) {
+    try {
+      const { attempt, resumed } = await quizService.startQuizAttempt(req.params.id, currentStudentId(req));
+
+      res.status(resumed ? 200 : 201).json({
+        status: 'success',
+        data: {
+          attempt,
+          resumed
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Save the answer to one question of an attempt
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async submitResponse(req, res, next) {
+    try {
+      const { error } = validateQuizResponse(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const response = await quizService.submitQuizResponse(req.params.attemptId, currentStudentId(req), req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          response
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Submit an attempt for grading
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async submitAttempt(req, res, next) {
+    try {
+      const attempt = await quizService.submitQuizAttempt(req.params.attemptId, currentStudentId(req));
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          attempt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a quiz attempt (students and parents get the student view)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getAttempt(req, res, next) {
+    try {
+      const attempt = await quizService.getAttemptById(req.params.attemptId, {
+        studentView: ['student', 'parent'].includes(req.user.role)
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          attempt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List all attempts at a quiz
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getQuizAttempts(req, res, next) {
+    try {
+      const { studentId, status } = req.query;
+
+      const attempts = await quizService.getQuizAttempts(req.params.id, {
+        studentId: paramParser.parseInteger(studentId),
+        status
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: attempts.length,
+        data: {
+          attempts
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List the current student's attempts at a quiz
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getMyAttempts(req, res, next) {
+    try {
+      const attempts = await quizService.getQuizAttempts(req.params.id, { studentId: currentStudentId(req) });
+
+      res.status(200).json({
+        status: 'success',
+        results: attempts.length,
+        data: {
+          attempts
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create a quiz from a QTI 2.x/3.0 package (application/zip body, quiz settings in the query)
+   * ?dryRun=true only reports which items can be imported.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async importQti(req, res, next) {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return next(new AppError('Upload the QTI package as an application/zip request body', 400));
+      }
+
+      const { error, value } = validateQtiQuizImport(req.query);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { dryRun, ...quizData } = value;
+      const { quiz, report } = await qtiService.importQuiz(req.body, quizData, { dryRun });
+
+      res.status(quiz ? 201 : 200).json({
+        status: 'success',
+        data: {
+          quiz,
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Download a quiz as a QTI package (?version=2.1 or 3.0)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async exportQti(req, res, next) {
+    try {
+      const { error, value } = validateQtiExport(req.query);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { filename, buffer } = await qtiService.exportQuiz(req.params.id, value.version);
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      res.status(200).send(buffer);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Add questions written in GIFT or Aiken (text/plain body, ?format=gift|aiken) to the quiz
+   * ?dryRun=true previews the questions and any line-numbered errors without adding anything.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async importQuestions(req, res, next) {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return next(new AppError('Send the questions as a text/plain request body', 400));
+      }
+
+      const { error, value } = validateQuestionImport(req.query);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const report = await questionImportService.importIntoQuiz(req.params.id, req.body, value);
+
+      // A real import with errors adds nothing; the report says which lines to fix
+      const rejected = !value.dryRun && !report.imported;
+      res.status(report.imported ? 201 : rejected ? 422 : 200).json({
+        status: rejected ? 'fail' : 'success',
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 };
 
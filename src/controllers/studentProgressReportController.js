@@ -18,11 +18,6 @@ const studentProgressReportController = {
         return next(new AppError(error.details[0].message, 400));
       }
 
-      // Only teachers and admins can create reports
-      if (req.user.role !== 'admin' && req.user.role !== 'teacher') {
-        return next(new AppError('Only teachers and administrators can create progress reports', 403));
-      }
-      
       // Set the current teacher as the creator if not specified
       const reportData = {
         ...req.body
@@ -151,11 +146,6 @@ const studentProgressReportController = {
       const { teacherId } = req.params;
       const { studentId, courseId, classId, reportType, startDate, endDate } = req.query;
       
-      // Check if user is authorized to view these reports
-      if (req.user.role !== 'admin' && req.user.teacher && req.user.teacher.teacherId !== parseInt(teacherId)) {
-        return next(new AppError('You can only view reports you have created', 403));
-      }
-      
       const filters = {
         studentId: studentId ? parseInt(studentId) : undefined,
         courseId: courseId ? parseInt(courseId) : undefined,
@@ -195,14 +185,6 @@ const studentProgressReportController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Get the report to check ownership
-      const report = await studentProgressReportService.getReportById(id);
-      
-      // Check if user is authorized to update this report
-      if (req.user.role !== 'admin' && req.user.teacher && req.user.teacher.teacherId !== report.teacherId) {
-        return next(new AppError('You can only update reports you have created', 403));
-      }
-      
       const updatedReport = await studentProgressReportService.updateReport(id, req.body);
       
       res.status(200).json({
@@ -226,14 +208,6 @@ const studentProgressReportController = {
     try {
       const { id } = req.params;
       
-      // Get the report to check ownership
-      const report = await studentProgressReportService.getReportById(id);
-      
-      // Check if user is authorized to delete this report
-      if (req.user.role !== 'admin' && req.user.teacher && req.user.teacher.teacherId !== report.teacherId) {
-        return next(new AppError('You can only delete reports you have created', 403));
-      }
-      
       await studentProgressReportService.deleteReport(id);
       
       res.status(204).json({
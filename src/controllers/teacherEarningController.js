@@ -17,11 +17,6 @@ const teacherEarningController = {
         return next(new AppError(error.details[0].message, 400));
       }
 
-      // Only admins can create earning records
-      if (req.user.role !== 'admin') {
-        return next(new AppError('Only administrators can create earning records', 403));
-      }
-
       const earning = await teacherEarningService.createEarning(req.body);
       
       res.status(201).json({
@@ -47,11 +42,6 @@ const teacherEarningController = {
       
       const earning = await teacherEarningService.getEarningById(id);
       
-      // Check if the user is authorized to view this earning
-      if (req.user.role !== 'admin' && req.user.teacher && req.user.teacher.teacherId !== earning.teacherId) {
-        return next(new AppError('You are not authorized to view this earning record', 403));
-      }
-      
       res.status(200).json({
         status: 'success',
         data: {
@@ -74,11 +64,6 @@ const teacherEarningController = {
       const { teacherId } = req.params;
       const { status, startDate, endDate, earningType } = req.query;
       
-      // Check if the user is authorized to view these earnings
-      if (req.user.role !== 'admin' && req.user.teacher && req.user.teacher.teacherId !== parseInt(teacherId)) {
-        return next(new AppError('You are not authorized to view these earning records', 403));
-      }
-      
       const filters = {
         status,
         startDate,
@@ -111,11 +96,6 @@ const teacherEarningController = {
       const { teacherId } = req.params;
       const { startDate, endDate } = req.query;
       
-      // Check if the user is authorized to view these earnings
-      if (req.user.role !== 'admin' && req.user.teacher && req.user.teacher.teacherId !== parseInt(teacherId)) {
-        return next(new AppError('You are not authorized to view these earning records', 403));
-      }
-      
       const filters = {
         startDate,
         endDate
@@ -150,11 +130,6 @@ const teacherEarningController = {
         return next(new AppError(error.details[0].message, 400));
       }
       
-      // Only admins can update earning records
-      if (req.user.role !== 'admin') {
-        return next(new AppError('Only administrators can update earning records', 403));
-      }
-      
       const earning = await teacherEarningService.updateEarning(id, req.body);
       
       res.status(200).json({
@@ -178,11 +153,6 @@ const teacherEarningController = {
     try {
       const { id } = req.params;
       
-      // Only admins can delete earning records
-      if (req.user.role !== 'admin') {
-        return next(new AppError('Only administrators can delete earning records', 403));
-      }
-      
       await teacherEarningService.deleteEarning(id);
       
       res.status(204).json({
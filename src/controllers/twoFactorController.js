@@ -0,0 +1,202 @@
+const twoFactorService = require('../services/twoFactorService');
+const AppError = require('../utils/errors/AppError');
+const { createSendToken } = require('../utils/authUtils');
+const {
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateTwoFactorPolicy
+} = require('../utils/validators/twoFactorValidator');
+
+const twoFactorController = {
+  /**
+   * Get the current user's 2FA status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getStatus(req, res, next) {
+    try {
+      const twoFactor = await twoFactorService.getStatus(req.user);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          twoFactor
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Generate a TOTP secret for the authenticator app
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async beginSetup(req, res, next) {
+    try {
+      const setup = await twoFactorService.beginEnrollment(req.user);
+
+      res.status(200).json({
+        status: 'success',
+        data: setup
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Confirm the authenticator app and turn 2FA on
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async enable(req, res, next) {
+    try {
+      const { error } = validateTwoFactorCode(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.userId, req.body.code);
+
+      // Users enrolling during a forced setup have no session yet, so finish their login here
+      if (req.twoFactorSetupToken) {
+        await req.user.update({ lastLogin: new Date() });
+        return await createSendToken(req.user, 200, res, { recoveryCodes });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Turn 2FA off
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async disable(req, res, next) {
+    try {
+      const { error } = validateDisableTwoFactor(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { password, code, recoveryCode } = req.body;
+      await twoFactorService.disable(req.user, password, { code, recoveryCode });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Replace the current user's recovery codes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const { error } = validateTwoFactorCode(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.userId, req.body.code);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List 2FA enforcement policies
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getPolicies(req, res, next) {
+    try {
+      const policies = await twoFactorService.getPolicies(req.user);
+
+      res.status(200).json({
+        status: 'success',
+        results: policies.length,
+        data: {
+          policies
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create or update a 2FA enforcement policy
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async setPolicy(req, res, next) {
+    try {
+      const { error } = validateTwoFactorPolicy(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const policy = await twoFactorService.setPolicy(req.user, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          policy
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a 2FA enforcement policy
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deletePolicy(req, res, next) {
+    try {
+      await twoFactorService.deletePolicy(req.user, req.params.policyId);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = twoFactorController;
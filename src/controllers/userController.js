@@ -1,5 +1,7 @@
 const { Users } = require('../models/users');
 const AppError = require('../utils/errors/AppError');
+const sessionService = require('../services/sessionService');
+const socketManager = require('../utils/socketManager');
 
 /**
  * Get current user profile
@@ -52,7 +54,7 @@ exports.updateMe = async (req, res, next) => {
     // 1) Check if password is being updated (not allowed here)
     if (req.body.password) {
       return next(
-        new AppError('This route is not for password updates. Please use /updatePassword.', 400)
+        new AppError('This route is not for password updates. Please use /auth/change-password.', 400)
       );
     }
 
@@ -82,6 +84,68 @@ exports.updateMe = async (req, res, next) => {
   }
 };
 
+/**
+ * List the current user's active device sessions
+ */
+exports.getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.get(),
+          isCurrent: session.sessionId === req.sessionId
+        }))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ */
+exports.revokeMySession = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.user.userId, req.params.sessionId);
+    socketManager.disconnectSessions([req.params.sessionId]);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Revoke all of the current user's other sessions (or every session with ?includeCurrent=true)
+ */
+exports.revokeAllMySessions = async (req, res, next) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const revokedSessionIds = await sessionService.revokeAllSessions(req.user.userId, {
+      exceptSessionId: includeCurrent ? undefined : req.sessionId
+    });
+    socketManager.disconnectSessions(revokedSessionIds);
+
+    res.status(200).json({
+      status: 'success',
+      results: revokedSessionIds.length,
+      data: {
+        revokedSessionIds
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Helper function to filter object properties
  */
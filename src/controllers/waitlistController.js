@@ -0,0 +1,158 @@
+const enrollmentService = require('../services/enrollmentService');
+const waitlistService = require('../services/waitlistService');
+const AppError = require('../utils/errors/AppError');
+const { validateEnrollment } = require('../utils/validators/enrollmentValidator');
+
+const waitlistController = {
+  /**
+   * Put a student on the waitlist of a full course
+   * Students join themselves; teachers, institutions and admins name the student.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async joinWaitlist(req, res, next) {
+    try {
+      const { error } = validateEnrollment(req.body);
+      if (error) {
+        return next(new AppError(error.details[0].message, 400));
+      }
+
+      const { courseId } = req.body;
+      let { studentId } = req.body;
+      let addedBy = req.user.userId;
+
+      if (req.user.role === 'student') {
+        const ownStudentId = req.user.student ? req.user.student.studentId : null;
+        if (!ownStudentId || (studentId && Number(studentId) !== ownStudentId)) {
+          return next(new AppError('Students can only join a waitlist themselves', 403));
+        }
+        studentId = ownStudentId;
+        addedBy = null;
+      } else if (!studentId) {
+        return next(new AppError('Please provide the studentId to add to the waitlist', 400));
+      }
+
+      const entry = await enrollmentService.joinWaitlist(courseId, studentId, { addedBy });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          entry
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a waitlist entry with its place in the queue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getEntryById(req, res, next) {
+    try {
+      const entry = await waitlistService.getEntryById(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          entry
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get the open waitlist of a course in queue order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getCourseWaitlist(req, res, next) {
+    try {
+      const entries = await waitlistService.getCourseWaitlist(req.params.courseId);
+
+      res.status(200).json({
+        status: 'success',
+        results: entries.length,
+        data: {
+          entries
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a student's waitlist entries (open ones unless a status is given)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getStudentWaitlists(req, res, next) {
+    try {
+      const entries = await waitlistService.getStudentWaitlists(req.params.studentId, {
+        status: req.query.status
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: entries.length,
+        data: {
+          entries
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Claim the seat offered to a waitlisted student
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async claimOffer(req, res, next) {
+    try {
+      const enrolledBy = req.user.role === 'student' ? null : req.user.userId;
+      const enrollment = await enrollmentService.claimWaitlistOffer(req.params.id, { enrolledBy });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          enrollment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Take a student off a waitlist
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async leaveWaitlist(req, res, next) {
+    try {
+      await waitlistService.leaveWaitlist(req.params.id);
+
+      res.status(204).json({
+        status: 'success',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = waitlistController;
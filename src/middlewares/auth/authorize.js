@@ -0,0 +1,36 @@
+const AppError = require('../../utils/errors/AppError');
+const policyService = require('../../services/policyService');
+
+/**
+ * Middleware to check a named permission (see config/permissions.js) for the current user
+ * When the route identifies a resource, the user must also own it for 'own'-scoped roles.
+ * @param {string} permission - The permission to check
+ * @param {Object} options - Where the resource ID comes from
+ * @param {string} options.resource - Resource type of the ID (defaults to the permission's resource)
+ * @param {string} options.param - Route parameter holding the resource ID (default 'id')
+ * @param {string} options.body - Body field holding the resource ID, for routes without one in the path
+ * @param {string} options.query - Query parameter holding the resource ID, for routes whose body is an upload
+ * @returns {Function} - Express middleware
+ */
+module.exports = (permission, { resource, param = 'id', body, query } = {}) => {
+  return async (req, res, next) => {
+    // Check if user exists (should be set by protect middleware)
+    if (!req.user) {
+      return next(new AppError('You must be logged in to access this route', 401));
+    }
+
+    let id = req.params[param];
+    if (body) {
+      id = req.body?.[body];
+    } else if (query) {
+      id = req.query[query];
+    }
+
+    try {
+      await policyService.assertCan(req.user, permission, { type: resource, id });
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
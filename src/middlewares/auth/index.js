@@ -1,7 +1,8 @@
 const protect = require('./protect');
-const restrictTo = require('./restrictTo');
+const authorize = require('./authorize');
 
 module.exports = {
   protect,
-  restrictTo
+  allowTwoFactorSetup: protect.allowTwoFactorSetup,
+  authorize
 };
@@ -1,60 +1,130 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
-const User = require('../../models/userModel');
+const { sequelize } = require('../../config/db.js');
+const initModels = require('../../models/init-models');
 const AppError = require('../../utils/errors/AppError');
-const config = require('../../config');
+const { verifyPurposeToken } = require('../../utils/authUtils');
+const tenantContext = require('../../utils/tenantContext');
+const userInstitutionUtil = require('../../utils/userInstitutionUtil');
+const sessionService = require('../../services/sessionService');
+
+const { Users, Teachers, Students, Parents, Admins } = initModels(sequelize);
+
+// Role profiles are loaded with the user so controllers and the policy engine
+// can use req.user.teacher / req.user.student / req.user.parent directly
+const profileIncludes = [
+  { model: Teachers, as: 'teacher', attributes: ['teacherId'] },
+  { model: Students, as: 'student', attributes: ['studentId', 'institutionId'] },
+  { model: Parents, as: 'parent', attributes: ['parentId'] },
+  { model: Admins, as: 'admin', attributes: ['adminId', 'institutionId', 'isSuperAdmin'] }
+];
+
+const getTokenFromRequest = (req) => {
+  if (req.headers.authorization?.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return req.cookies?.jwt;
+};
+
+const findUserWithProfiles = (userId) => Users.findByPk(userId, { include: profileIncludes });
+
+/**
+ * Check the user a token was issued to may still use it
+ * @param {Object|null} currentUser - The user, if found
+ * @param {Object} decoded - The token's claims
+ * @returns {AppError|null} - Why the token is refused, or null
+ */
+const checkUser = (currentUser, decoded) => {
+  if (!currentUser) {
+    return new AppError('User no longer exists', 401);
+  }
+  if (!currentUser.isVerified) {
+    return new AppError('Please verify your email address', 401);
+  }
+  if (currentUser.changedPasswordAfter(decoded.iat)) {
+    return new AppError('Password recently changed. Please log in again', 401);
+  }
+  return null;
+};
+
+/**
+ * Resolve the institutions the user's queries are limited to and run the rest of the request in them
+ * @param {Object} req - Express request object
+ * @param {Object} currentUser - The authenticated user
+ * @param {Function} next - Express next middleware function
+ */
+const runAsUser = async (req, currentUser, next) => {
+  const institutionIds = await userInstitutionUtil.getInstitutionIdsForUser(currentUser);
+  req.tenant = tenantContext.forUser(currentUser, institutionIds);
+  req.user = currentUser;
+  tenantContext.run(req.tenant, next);
+};
 
 /**
  * Middleware to protect routes that require authentication
- * Verifies the JWT token and attaches the user to the request object
+ * Verifies the JWT and its device session, attaches the user to the request object and
+ * runs the rest of the request in the user's tenant context (see utils/tenantContext)
  */
-module.exports = async (req, res, next) => {
+const protect = async (req, res, next) => {
   try {
-    // 1) Get token and check if it exists
-    let token;
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith('Bearer')
-    ) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.cookies.jwt) {
-      token = req.cookies.jwt;
-    }
+    // 1) Get token
+    const token = getTokenFromRequest(req);
 
     if (!token) {
-      return next(
-        new AppError('You are not logged in! Please log in to get access.', 401)
-      );
+      return next(new AppError('Please log in to access this resource', 401));
     }
 
-    // 2) Verify token
-    const decoded = await promisify(jwt.verify)(token, config.jwt.secret);
-
-    // 3) Check if user still exists
-    const currentUser = await User.findByPk(decoded.user_id);
-    if (!currentUser) {
-      return next(
-        new AppError('The user belonging to this token no longer exists.', 401)
-      );
+    // 2) Verify token (single-purpose tokens such as 2FA challenges are not sessions)
+    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      return next(new AppError('Please log in to access this resource', 401));
     }
 
-    // 4) Check if user changed password after the token was issued
-    if (currentUser.changedPasswordAfter && currentUser.changedPasswordAfter(decoded.iat)) {
-      return next(
-        new AppError('User recently changed password! Please log in again.', 401)
-      );
+    // 3) Check the device session has not been revoked (logout, password change, token reuse)
+    const session = await sessionService.getActiveSession(decoded.sessionId, decoded.userId);
+
+    // 4) Check the user still exists, is verified and has not changed password since the token was issued
+    const currentUser = await findUserWithProfiles(decoded.userId);
+    const refused = checkUser(currentUser, decoded);
+    if (refused) {
+      return next(refused);
     }
 
-    // 5) Update last login time if needed
-    if (!currentUser.last_login || new Date() - new Date(currentUser.last_login) > 24 * 60 * 60 * 1000) {
-      currentUser.last_login = new Date();
-      await currentUser.save();
+    // Update last login
+    await currentUser.update({ lastLogin: new Date() });
+
+    // 5) Grant access in the user's tenant context
+    req.sessionId = session.sessionId;
+    await runAsUser(req, currentUser, next);
+  } catch (err) {
+    next(err instanceof AppError ? err : new AppError('Authentication failed', 401));
+  }
+};
+
+// Lets a user who must enrol in 2FA before logging in use the setup token
+// from the login response; otherwise falls back to a normal session.
+// The setup token passes the same user checks as a session and runs in the same tenant context.
+const allowTwoFactorSetup = async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = await verifyPurposeToken(getTokenFromRequest(req), 'two_factor_setup');
+  } catch (err) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const currentUser = await findUserWithProfiles(decoded.userId);
+    const refused = checkUser(currentUser, decoded);
+    if (refused) {
+      return next(refused);
     }
 
-    // GRANT ACCESS TO PROTECTED ROUTE
-    req.user = currentUser;
-    next();
+    req.twoFactorSetupToken = true;
+    await runAsUser(req, currentUser, next);
   } catch (err) {
-    next(new AppError('Authentication failed', 401));
+    next(err instanceof AppError ? err : new AppError('Authentication failed', 401));
   }
 };
+
+module.exports = protect;
+module.exports.allowTwoFactorSetup = allowTwoFactorSetup;
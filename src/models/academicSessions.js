@@ -0,0 +1,76 @@
+const Sequelize = require('sequelize');
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('AcademicSessions', {
+    academicSessionId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'academic_session_id'
+    },
+    institutionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'institutions',
+        key: 'institution_id'
+      },
+      field: 'institution_id'
+    },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "The enclosing session, e.g. the school year of a term.",
+      references: {
+        model: 'academic_sessions',
+        key: 'academic_session_id'
+      },
+      field: 'parent_id'
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM("schoolYear", "semester", "term", "gradingPeriod"),
+      allowNull: false
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'start_date'
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'end_date'
+    },
+    schoolYear: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "The year the school year ends in, e.g. 2026 for 2025-2026.",
+      field: 'school_year'
+    }
+  }, {
+    sequelize,
+    tableName: 'academic_sessions',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "academic_sessions_pkey",
+        unique: true,
+        fields: [
+          { name: "academic_session_id" },
+        ]
+      },
+      {
+        name: "idx_academic_sessions_institution_id",
+        fields: [
+          { name: "institution_id" },
+        ]
+      },
+    ]
+  });
+};
@@ -26,6 +26,12 @@ module.exports = function(sequelize, DataTypes) {
         key: 'institution_id'
       },
       field: 'institution_id'
+    },
+    isSuperAdmin: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_super_admin'
     }
   }, {
     sequelize,
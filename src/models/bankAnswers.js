@@ -0,0 +1,57 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('BankAnswers', {
+    bankAnswerId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'bank_answer_id'
+    },
+    bankQuestionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'bank_questions',
+        key: 'bank_question_id'
+      },
+      field: 'bank_question_id'
+    },
+    answerText: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: "An option, or an accepted response for short_answer and fill_in_blank questions.",
+      field: 'answer_text'
+    },
+    isCorrect: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_correct'
+    },
+    orderNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'order_number'
+    }
+  }, {
+    sequelize,
+    tableName: 'bank_answers',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "bank_answers_pkey",
+        unique: true,
+        fields: [ { name: "bank_answer_id" } ]
+      },
+      {
+        name: "idx_bank_answers_bank_question_id",
+        fields: [ { name: "bank_question_id" } ]
+      }
+    ]
+  });
+};
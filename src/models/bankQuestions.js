@@ -0,0 +1,83 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('BankQuestions', {
+    bankQuestionId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'bank_question_id'
+    },
+    questionBankId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'question_banks',
+        key: 'question_bank_id'
+      },
+      field: 'question_bank_id'
+    },
+    questionText: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      field: 'question_text'
+    },
+    questionType: {
+      type: DataTypes.ENUM('multiple_choice', 'true_false', 'short_answer', 'fill_in_blank'),
+      allowNull: false,
+      field: 'question_type'
+    },
+    points: {
+      type: DataTypes.DECIMAL,
+      allowNull: false,
+      defaultValue: 1.00
+    },
+    difficulty: {
+      type: DataTypes.ENUM('easy', 'medium', 'hard'),
+      allowNull: true
+    },
+    tags: {
+      type: DataTypes.ARRAY(DataTypes.STRING(50)),
+      allowNull: false,
+      defaultValue: [],
+      comment: "Lower-case topic tags that exam draws select on."
+    },
+    caseSensitive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'case_sensitive',
+      comment: 'For short_answer and fill_in_blank questions'
+    },
+    allowPartialMatch: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'allow_partial_match',
+      comment: 'For short_answer and fill_in_blank questions'
+    }
+  }, {
+    sequelize,
+    tableName: 'bank_questions',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "bank_questions_pkey",
+        unique: true,
+        fields: [ { name: "bank_question_id" } ]
+      },
+      {
+        name: "idx_bank_questions_question_bank_id",
+        fields: [ { name: "question_bank_id" }, { name: "difficulty" } ]
+      },
+      {
+        name: "idx_bank_questions_tags",
+        using: "GIN",
+        fields: [ { name: "tags" } ]
+      }
+    ]
+  });
+};
@@ -34,8 +34,60 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: true,
       defaultValue: Sequelize.Sequelize.fn('now'),
       field: 'enrollment_date'
+    },
+    // Roster history: leaving a class soft-deletes the row after recording how and when,
+    // so current rosters are the non-deleted rows and history is read with paranoid: false
+    status: {
+      type: DataTypes.ENUM('active', 'withdrawn', 'transferred'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    endDate: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'end_date'
+    },
+    endReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'end_reason'
+    },
+    enrolledBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      field: 'enrolled_by'
+    },
+    endedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      field: 'ended_by'
+    },
+    transferredFromClassId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'classes',
+        key: 'class_id'
+      },
+      field: 'transferred_from_class_id'
+    },
+    transferredToClassId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'classes',
+        key: 'class_id'
+      },
+      field: 'transferred_to_class_id'
     }
-    // Add other fields if needed, e.g., status ('active', 'withdrawn')
   }, {
     sequelize,
     tableName: 'class_enrollments',
@@ -62,11 +114,12 @@ module.exports = function(sequelize, DataTypes) {
         name: "idx_class_enrollments_student_id",
         fields: [ { name: "student_id" } ]
       },
-      // Unique constraint to prevent duplicate enrollments if using surrogate key
+      // Unique constraint to prevent duplicate current enrollments (history rows are soft-deleted)
       {
         name: "class_enrollments_class_student_unique",
         unique: true,
-        fields: [ { name: "class_id" }, { name: "student_id" } ]
+        fields: [ { name: "class_id" }, { name: "student_id" } ],
+        where: { deletedAt: null }
       }
     ]
   });
@@ -0,0 +1,59 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('ClassMeetings', {
+    classMeetingId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'class_meeting_id'
+    },
+    classId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'classes',
+        key: 'class_id'
+      },
+      field: 'class_id'
+    },
+    dayOfWeek: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "ISO weekday: 1 = Monday ... 7 = Sunday",
+      validate: { min: 1, max: 7 },
+      field: 'day_of_week'
+    },
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: false,
+      field: 'start_time'
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: false,
+      field: 'end_time'
+    },
+    room: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    tableName: 'class_meetings',
+    schema: 'public',
+    timestamps: true,
+    indexes: [
+      {
+        name: "class_meetings_pkey",
+        unique: true,
+        fields: [ { name: "class_meeting_id" } ]
+      },
+      {
+        name: "idx_class_meetings_class_id",
+        fields: [ { name: "class_id" } ]
+      }
+    ]
+  });
+};
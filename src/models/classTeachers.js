@@ -0,0 +1,57 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('ClassTeachers', {
+    classTeacherId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'class_teacher_id'
+    },
+    classId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'classes',
+        key: 'class_id'
+      },
+      field: 'class_id'
+    },
+    teacherId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'teachers', // Teachers other than the class's primary teacher (Classes.teacherId)
+        key: 'teacher_id'
+      },
+      field: 'teacher_id'
+    },
+    role: {
+      type: DataTypes.ENUM('co_teacher', 'assistant'),
+      allowNull: false,
+      defaultValue: 'co_teacher'
+    }
+  }, {
+    sequelize,
+    tableName: 'class_teachers',
+    schema: 'public',
+    timestamps: true,
+    indexes: [
+      {
+        name: "class_teachers_pkey",
+        unique: true,
+        fields: [ { name: "class_teacher_id" } ]
+      },
+      {
+        name: "class_teachers_class_teacher_unique",
+        unique: true,
+        fields: [ { name: "class_id" }, { name: "teacher_id" } ]
+      },
+      {
+        name: "idx_class_teachers_teacher_id",
+        fields: [ { name: "teacher_id" } ]
+      }
+    ]
+  });
+};
@@ -37,6 +37,15 @@ module.exports = function(sequelize, DataTypes) {
     //   },
     //   field: 'course_id'
     // },
+    academicSessionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'academic_sessions', // The term the class runs in
+        key: 'academic_session_id'
+      },
+      field: 'academic_session_id'
+    },
     name: {
       type: DataTypes.STRING(255),
       allowNull: false, // e.g., "Grade 9 Math - Section A"
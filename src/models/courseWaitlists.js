@@ -0,0 +1,101 @@
+const Sequelize = require('sequelize');
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('CourseWaitlists', {
+    waitlistId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'waitlist_id'
+    },
+    courseId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'courses',
+        key: 'course_id'
+      },
+      field: 'course_id'
+    },
+    studentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'students',
+        key: 'student_id'
+      },
+      field: 'student_id'
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Queue order within the course; only increases, so gaps are normal."
+    },
+    status: {
+      type: DataTypes.ENUM("waiting", "offered", "enrolled", "expired", "left"),
+      allowNull: false,
+      defaultValue: "waiting"
+    },
+    addedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      field: 'added_by',
+      comment: "User who put the student on the waitlist (if not the student)"
+    },
+    offeredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'offered_at'
+    },
+    offerExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'offer_expires_at',
+      comment: "End of the claim window; the seat passes to the next student after it."
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'closed_at',
+      comment: "When the entry was enrolled, expired or left."
+    }
+  }, {
+    sequelize,
+    tableName: 'course_waitlists',
+    schema: 'public',
+    timestamps: true,
+    indexes: [
+      {
+        name: "course_waitlists_pkey",
+        unique: true,
+        fields: [
+          { name: "waitlist_id" },
+        ]
+      },
+      {
+        name: "idx_course_waitlists_course_status_position",
+        fields: [
+          { name: "course_id" },
+          { name: "status" },
+          { name: "position" },
+        ]
+      },
+      {
+        name: "idx_course_waitlists_student_id",
+        fields: [
+          { name: "student_id" },
+        ]
+      },
+      {
+        name: "idx_course_waitlists_offer_expires_at",
+        fields: [
+          { name: "offer_expires_at" },
+        ]
+      },
+    ]
+  });
+};
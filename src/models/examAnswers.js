@@ -34,6 +34,11 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: false,
       defaultValue: 0,
       field: 'order_number'
+    },
+    feedback: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'feedback'
     }
   }, {
     sequelize,
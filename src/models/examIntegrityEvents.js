@@ -0,0 +1,90 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('ExamIntegrityEvents', {
+    eventId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'event_id'
+    },
+    attemptId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'student_exam_attempts',
+        key: 'attempt_id'
+      },
+      field: 'attempt_id'
+    },
+    examId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'exams',
+        key: 'exam_id'
+      },
+      field: 'exam_id'
+    },
+    eventType: {
+      type: DataTypes.ENUM('tab_blur', 'copy', 'paste', 'fullscreen_exit', 'ip_change', 'concurrent_session'),
+      allowNull: false,
+      field: 'event_type'
+    },
+    source: {
+      type: DataTypes.ENUM('client', 'server'),
+      allowNull: false,
+      defaultValue: 'client',
+      comment: "client events are reported by the exam page; server events are detected from the requests themselves."
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.Sequelize.fn('now'),
+      field: 'occurred_at',
+      comment: "When the client says the event happened; createdAt is when it was received."
+    },
+    action: {
+      type: DataTypes.ENUM('log', 'warn', 'flag', 'auto_submit'),
+      allowNull: false,
+      defaultValue: 'log',
+      comment: "What the exam's integrity policy did about the event."
+    },
+    ipAddress: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'ip_address'
+    },
+    userAgent: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    tableName: 'exam_integrity_events',
+    schema: 'public',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        name: "exam_integrity_events_pkey",
+        unique: true,
+        fields: [ { name: "event_id" } ]
+      },
+      {
+        name: "idx_exam_integrity_events_attempt_id",
+        fields: [ { name: "attempt_id" }, { name: "occurred_at" } ]
+      },
+      {
+        name: "idx_exam_integrity_events_exam_id",
+        fields: [ { name: "exam_id" } ]
+      }
+    ]
+  });
+};
@@ -38,6 +38,12 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: true,
       field: 'custom_points',
       comment: 'Custom points for this student, overrides question points'
+    },
+    answerOrder: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'answer_order',
+      comment: 'Answer IDs in the order this student sees them (null keeps the question order)'
     }
   }, {
     sequelize,
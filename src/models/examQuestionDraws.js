@@ -0,0 +1,68 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('ExamQuestionDraws', {
+    drawId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'draw_id'
+    },
+    examId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'exams',
+        key: 'exam_id'
+      },
+      field: 'exam_id'
+    },
+    questionBankId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'question_banks',
+        key: 'question_bank_id'
+      },
+      field: 'question_bank_id'
+    },
+    tag: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: "Only draw questions carrying this tag (any tag when null)."
+    },
+    difficulty: {
+      type: DataTypes.ENUM('easy', 'medium', 'hard'),
+      allowNull: true,
+      comment: "Only draw questions of this difficulty (any when null)."
+    },
+    count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Questions drawn per student."
+    },
+    points: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      comment: "Points for each drawn question; the bank question's points when null."
+    }
+  }, {
+    sequelize,
+    tableName: 'exam_question_draws',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "exam_question_draws_pkey",
+        unique: true,
+        fields: [ { name: "draw_id" } ]
+      },
+      {
+        name: "idx_exam_question_draws_exam_id",
+        fields: [ { name: "exam_id" } ]
+      }
+    ]
+  });
+};
@@ -24,7 +24,7 @@ module.exports = function(sequelize, DataTypes) {
       field: 'question_text'
     },
     questionType: {
-      type: DataTypes.ENUM('multiple_choice', 'short_answer', 'fill_in_blank'),
+      type: DataTypes.ENUM('multiple_choice', 'short_answer', 'fill_in_blank', 'multi_select', 'numeric', 'matching', 'ordering', 'essay'),
       allowNull: false,
       field: 'question_type'
     },
@@ -58,6 +58,28 @@ module.exports = function(sequelize, DataTypes) {
       defaultValue: false,
       field: 'allow_partial_match',
       comment: 'For short_answer and fill_in_blank questions'
+    },
+    answerConfig: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'answer_config',
+      comment: 'Settings of numeric (value, tolerance, units), matching (pairs) and ordering (items) questions'
+    },
+    bankQuestionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'bank_questions',
+        key: 'bank_question_id'
+      },
+      field: 'bank_question_id',
+      comment: 'The bank question this was drawn from; drawn questions are only on the papers that drew them'
+    },
+    questionSet: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'question_set',
+      comment: 'Alternate set (e.g. plain language) given instead of the standard questions to students whose accommodations name it; null for the standard set'
     }
   }, {
     sequelize,
@@ -0,0 +1,122 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('ExamRegradeChanges', {
+    changeId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'change_id'
+    },
+    regradeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'exam_regrades',
+        key: 'regrade_id'
+      },
+      field: 'regrade_id'
+    },
+    responseId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'student_exam_responses',
+        key: 'response_id'
+      },
+      field: 'response_id'
+    },
+    attemptId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'student_exam_attempts',
+        key: 'attempt_id'
+      },
+      field: 'attempt_id'
+    },
+    studentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'students',
+        key: 'student_id'
+      },
+      field: 'student_id'
+    },
+    oldScore: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      field: 'old_score',
+      comment: "The response's score before the regrade (null while it awaited a teacher)."
+    },
+    newScore: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      field: 'new_score'
+    },
+    oldMaxScore: {
+      type: DataTypes.DECIMAL,
+      allowNull: false,
+      field: 'old_max_score'
+    },
+    newMaxScore: {
+      type: DataTypes.DECIMAL,
+      allowNull: false,
+      field: 'new_max_score'
+    },
+    oldAttemptScore: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      field: 'old_attempt_score',
+      comment: "Attempt totals are only kept for submitted attempts; in-progress ones are totalled on submission."
+    },
+    newAttemptScore: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      field: 'new_attempt_score'
+    },
+    oldPercentage: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      field: 'old_percentage'
+    },
+    newPercentage: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      field: 'new_percentage'
+    },
+    oldPassed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      field: 'old_passed'
+    },
+    newPassed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      field: 'new_passed'
+    }
+  }, {
+    sequelize,
+    tableName: 'exam_regrade_changes',
+    schema: 'public',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        name: "exam_regrade_changes_pkey",
+        unique: true,
+        fields: [ { name: "change_id" } ]
+      },
+      {
+        name: "idx_exam_regrade_changes_regrade_id",
+        fields: [ { name: "regrade_id" } ]
+      },
+      {
+        name: "idx_exam_regrade_changes_attempt_id",
+        fields: [ { name: "attempt_id" } ]
+      }
+    ]
+  });
+};
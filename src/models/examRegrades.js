@@ -0,0 +1,79 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('ExamRegrades', {
+    regradeId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'regrade_id'
+    },
+    examId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'exams',
+        key: 'exam_id'
+      },
+      field: 'exam_id'
+    },
+    questionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'exam_questions',
+        key: 'question_id'
+      },
+      field: 'question_id'
+    },
+    regradedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      field: 'regraded_by'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    responsesRescored: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'responses_rescored',
+      comment: "Responses to the question that were scored again."
+    },
+    responsesChanged: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'responses_changed',
+      comment: "Responses whose score or points changed; each has a row in exam_regrade_changes."
+    }
+  }, {
+    sequelize,
+    tableName: 'exam_regrades',
+    schema: 'public',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        name: "exam_regrades_pkey",
+        unique: true,
+        fields: [ { name: "regrade_id" } ]
+      },
+      {
+        name: "idx_exam_regrades_exam_id",
+        fields: [ { name: "exam_id" } ]
+      },
+      {
+        name: "idx_exam_regrades_question_id",
+        fields: [ { name: "question_id" } ]
+      }
+    ]
+  });
+};
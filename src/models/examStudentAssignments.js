@@ -60,10 +60,46 @@ module.exports = function(sequelize, DataTypes) {
       field: 'custom_duration',
       comment: 'Custom duration in minutes for this student, overrides exam duration'
     },
+    customMaxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'custom_max_attempts',
+      comment: 'Custom number of attempts for this student, overrides the exam\'s max attempts'
+    },
     status: {
       type: DataTypes.ENUM('assigned', 'started', 'completed', 'missed'),
       allowNull: false,
-      defaultValue: 'assigned'
+      defaultValue: 'assigned',
+      comment: 'completed once an attempt is submitted; a retake starts it again while attempts are left'
+    },
+    score: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      comment: 'The grade from all graded attempts under the exam\'s scoring rule'
+    },
+    maxScore: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      field: 'max_score'
+    },
+    percentage: {
+      type: DataTypes.DECIMAL,
+      allowNull: true
+    },
+    passed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true
+    },
+    gradedAttemptId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'graded_attempt_id',
+      comment: 'The attempt the grade was taken from (highest or latest); null for an average'
+    },
+    accommodations: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'The student\'s standing accommodations applied and skipped for this assignment; null without a profile'
     }
   }, {
     sequelize,
@@ -80,6 +80,41 @@ module.exports = function(sequelize, DataTypes) {
     instructions: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'max_attempts',
+      validate: { min: 1, max: 20 }
+    },
+    attemptCooldownMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'attempt_cooldown_minutes',
+      validate: { min: 0 },
+      comment: 'Minutes a student must wait after submitting an attempt before starting the next'
+    },
+    scoringRule: {
+      type: DataTypes.ENUM('highest', 'latest', 'average'),
+      allowNull: false,
+      defaultValue: 'highest',
+      field: 'scoring_rule',
+      comment: 'How the attempts of an assignment make up its grade'
+    },
+    retakeIncorrectOnly: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'retake_incorrect_only',
+      comment: 'Retakes only show the questions not fully right in the previous attempt; the rest are carried over'
+    },
+    integrityPolicy: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'integrity_policy',
+      comment: 'Per event type { action, threshold } overriding the default integrity policy'
     }
   }, {
     sequelize,
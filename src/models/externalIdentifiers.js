@@ -0,0 +1,82 @@
+const Sequelize = require('sequelize');
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('ExternalIdentifiers', {
+    externalIdentifierId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'external_identifier_id'
+    },
+    institutionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'institutions',
+        key: 'institution_id'
+      },
+      field: 'institution_id'
+    },
+    source: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'oneroster',
+      comment: "The external system the identifier comes from."
+    },
+    entityType: {
+      type: DataTypes.ENUM("org", "academicSession", "user", "class", "enrollment", "teacherEnrollment"),
+      allowNull: false,
+      comment: "What the identifier refers to; decides which table localId points into.",
+      field: 'entity_type'
+    },
+    sourcedId: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: "The identifier used by the external system.",
+      field: 'sourced_id'
+    },
+    localId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Primary key of the PupilSync record (class ID for teacher enrollments).",
+      field: 'local_id'
+    },
+    sourceModifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "dateLastModified of the last version imported; older or equal versions are skipped.",
+      field: 'source_modified_at'
+    }
+  }, {
+    sequelize,
+    tableName: 'external_identifiers',
+    schema: 'public',
+    timestamps: true,
+    indexes: [
+      {
+        name: "external_identifiers_pkey",
+        unique: true,
+        fields: [
+          { name: "external_identifier_id" },
+        ]
+      },
+      {
+        name: "idx_external_identifiers_sourced_id",
+        unique: true,
+        fields: [
+          { name: "institution_id" },
+          { name: "source" },
+          { name: "entity_type" },
+          { name: "sourced_id" },
+        ]
+      },
+      {
+        name: "idx_external_identifiers_local_id",
+        fields: [
+          { name: "entity_type" },
+          { name: "local_id" },
+        ]
+      },
+    ]
+  });
+};
@@ -0,0 +1,68 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('Holidays', {
+    holidayId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'holiday_id'
+    },
+    institutionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'institutions',
+        key: 'institution_id'
+      },
+      field: 'institution_id'
+    },
+    academicSessionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "The school year or term the holiday falls in, if any.",
+      references: {
+        model: 'academic_sessions',
+        key: 'academic_session_id'
+      },
+      field: 'academic_session_id'
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false // e.g., "Winter break"
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'start_date'
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: "Last day off (inclusive); equals start_date for a single day.",
+      field: 'end_date'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    tableName: 'holidays',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "holidays_pkey",
+        unique: true,
+        fields: [ { name: "holiday_id" } ]
+      },
+      {
+        name: "idx_holidays_institution_dates",
+        fields: [ { name: "institution_id" }, { name: "start_date" }, { name: "end_date" } ]
+      }
+    ]
+  });
+};
@@ -59,6 +59,26 @@ var _TeacherReviews = require("./teacherReviews"); // Moved TeacherReviews impor
 var _PricingPlan = require("./pricingPlan");
 var _PricingPlanFeature = require("./pricingPlanFeature");
 var _FAQ = require("./faq");
+var _TwoFactorCredentials = require("./twoFactorCredentials");
+var _TwoFactorPolicies = require("./twoFactorPolicies");
+var _UserSessions = require("./userSessions");
+var _RefreshTokens = require("./refreshTokens");
+var _LoginAttempts = require("./loginAttempts");
+var _AcademicSessions = require("./academicSessions");
+var _ExternalIdentifiers = require("./externalIdentifiers");
+var _CourseWaitlists = require("./courseWaitlists");
+var _ClassTeachers = require("./classTeachers");
+var _Holidays = require("./holidays");
+var _ClassMeetings = require("./classMeetings");
+var _QuestionBanks = require("./questionBanks");
+var _BankQuestions = require("./bankQuestions");
+var _BankAnswers = require("./bankAnswers");
+var _ExamQuestionDraws = require("./examQuestionDraws");
+var _ExamRegrades = require("./examRegrades");
+var _ExamRegradeChanges = require("./examRegradeChanges");
+var _StudentAccommodations = require("./studentAccommodations");
+var _ExamIntegrityEvents = require("./examIntegrityEvents");
+var { applyTenantScopes } = require("../utils/tenantScopes");
 
 function initModels(sequelize) {
   var SequelizeMeta = _SequelizeMeta(sequelize, DataTypes);
@@ -123,6 +143,28 @@ function initModels(sequelize) {
   var PricingPlanFeature = _PricingPlanFeature(sequelize, DataTypes);
   var FAQ = _FAQ(sequelize, DataTypes);
 
+  var TwoFactorCredentials = _TwoFactorCredentials(sequelize, DataTypes);
+  var TwoFactorPolicies = _TwoFactorPolicies(sequelize, DataTypes);
+
+  var UserSessions = _UserSessions(sequelize, DataTypes);
+  var RefreshTokens = _RefreshTokens(sequelize, DataTypes);
+  var LoginAttempts = _LoginAttempts(sequelize, DataTypes);
+
+  var AcademicSessions = _AcademicSessions(sequelize, DataTypes);
+  var ExternalIdentifiers = _ExternalIdentifiers(sequelize, DataTypes);
+  var CourseWaitlists = _CourseWaitlists(sequelize, DataTypes);
+  var ClassTeachers = _ClassTeachers(sequelize, DataTypes);
+  var Holidays = _Holidays(sequelize, DataTypes);
+  var ClassMeetings = _ClassMeetings(sequelize, DataTypes);
+  var QuestionBanks = _QuestionBanks(sequelize, DataTypes);
+  var BankQuestions = _BankQuestions(sequelize, DataTypes);
+  var BankAnswers = _BankAnswers(sequelize, DataTypes);
+  var ExamQuestionDraws = _ExamQuestionDraws(sequelize, DataTypes);
+  var ExamRegrades = _ExamRegrades(sequelize, DataTypes);
+  var ExamRegradeChanges = _ExamRegradeChanges(sequelize, DataTypes);
+  var StudentAccommodations = _StudentAccommodations(sequelize, DataTypes);
+  var ExamIntegrityEvents = _ExamIntegrityEvents(sequelize, DataTypes);
+
   // Quiz System Associations
   Quizzes.hasMany(QuizQuestions, { foreignKey: "quizId", as: "questions" });
   QuizQuestions.belongsTo(Quizzes, { foreignKey: "quizId", as: "quiz" });
@@ -141,6 +183,8 @@ function initModels(sequelize) {
     as: "attempts",
   });
   StudentQuizAttempts.belongsTo(Quizzes, { foreignKey: "quizId", as: "quiz" });
+  Students.hasMany(StudentQuizAttempts, { foreignKey: "studentId", as: "quizAttempts" });
+  StudentQuizAttempts.belongsTo(Students, { foreignKey: "studentId", as: "student" });
 
   StudentQuizAttempts.hasMany(StudentQuizResponses, {
     foreignKey: "attemptId",
@@ -199,13 +243,37 @@ function initModels(sequelize) {
   });
   Institutions.hasMany(Courses, { foreignKey: "institutionId", as: "courses" });
 
+  // Exam Associations
+  Exams.belongsTo(Courses, { foreignKey: "courseId", as: "course" });
+  Courses.hasMany(Exams, { foreignKey: "courseId", as: "exams" });
+  Exams.belongsTo(Classes, { foreignKey: "classId", as: "class" });
+  Classes.hasMany(Exams, { foreignKey: "classId", as: "exams" });
+  Exams.belongsTo(Teachers, { foreignKey: "teacherId", as: "teacher" });
+  Teachers.hasMany(Exams, { foreignKey: "teacherId", as: "exams" });
+
+  ExamQuestions.belongsTo(Exams, { foreignKey: "examId", as: "exam" });
+  Exams.hasMany(ExamQuestions, { foreignKey: "examId", as: "examQuestions" });
+  ExamAnswers.belongsTo(ExamQuestions, { foreignKey: "questionId", as: "question" });
+  ExamQuestions.hasMany(ExamAnswers, { foreignKey: "questionId", as: "examAnswers" });
+
   // Exam Student Assignment Associations
   ExamStudentAssignments.belongsTo(Exams, { foreignKey: "examId", as: "exam" });
   Exams.hasMany(ExamStudentAssignments, {
     foreignKey: "examId",
-    as: "studentAssignments",
+    as: "examStudentAssignments",
   });
 
+  ExamQuestionAssignments.belongsTo(ExamStudentAssignments, {
+    foreignKey: "examStudentAssignmentId",
+    as: "examStudentAssignment",
+  });
+  ExamStudentAssignments.hasMany(ExamQuestionAssignments, {
+    foreignKey: "examStudentAssignmentId",
+    as: "examQuestionAssignments",
+  });
+  ExamQuestionAssignments.belongsTo(ExamQuestions, { foreignKey: "questionId", as: "question" });
+  ExamQuestions.hasMany(ExamQuestionAssignments, { foreignKey: "questionId", as: "questionAssignments" });
+
   ExamStudentAssignments.belongsTo(Students, {
     foreignKey: "studentId",
     as: "student",
@@ -225,14 +293,28 @@ function initModels(sequelize) {
     as: "assignedExamAssignments",
   });
 
+  // Student Exam Attempt Associations
+  StudentExamAttempts.belongsTo(ExamStudentAssignments, {
+    foreignKey: "assignmentId",
+    as: "assignment",
+  });
+  ExamStudentAssignments.hasMany(StudentExamAttempts, {
+    foreignKey: "assignmentId",
+    as: "attempts",
+  });
+  StudentExamAttempts.belongsTo(Exams, { foreignKey: "examId", as: "exam" });
+  Exams.hasMany(StudentExamAttempts, { foreignKey: "examId", as: "attempts" });
+  StudentExamAttempts.belongsTo(Students, { foreignKey: "studentId", as: "student" });
+  Students.hasMany(StudentExamAttempts, { foreignKey: "studentId", as: "examAttempts" });
+
   // Student Exam Responses Associations
-  StudentExamResponses.belongsTo(ExamStudentAssignments, {
+  StudentExamResponses.belongsTo(StudentExamAttempts, {
     foreignKey: "attemptId",
     as: "attempt",
   });
-  ExamStudentAssignments.hasMany(StudentExamResponses, {
+  StudentExamAttempts.hasMany(StudentExamResponses, {
     foreignKey: "attemptId",
-    as: "responses",
+    as: "studentExamResponses",
   });
 
   StudentExamResponses.belongsTo(ExamQuestions, {
@@ -533,6 +615,94 @@ function initModels(sequelize) {
     as: "pricingPlan",
   });
 
+  // Two-factor authentication associations
+  Users.hasOne(TwoFactorCredentials, { foreignKey: "userId", as: "twoFactorCredential" });
+  TwoFactorCredentials.belongsTo(Users, { foreignKey: "userId", as: "user" });
+  Institutions.hasMany(TwoFactorPolicies, {
+    foreignKey: "institutionId",
+    as: "twoFactorPolicies",
+  });
+  TwoFactorPolicies.belongsTo(Institutions, {
+    foreignKey: "institutionId",
+    as: "institution",
+  });
+
+  // Device session associations
+  Users.hasMany(UserSessions, { foreignKey: "userId", as: "sessions" });
+  UserSessions.belongsTo(Users, { foreignKey: "userId", as: "user" });
+  UserSessions.hasMany(RefreshTokens, { foreignKey: "sessionId", as: "refreshTokens" });
+  RefreshTokens.belongsTo(UserSessions, { foreignKey: "sessionId", as: "session" });
+  Users.hasMany(LoginAttempts, { foreignKey: "userId", as: "loginAttempts" });
+  LoginAttempts.belongsTo(Users, { foreignKey: "userId", as: "user" });
+
+  // Academic sessions and SIS identifiers
+  Institutions.hasMany(AcademicSessions, { foreignKey: "institutionId", as: "academicSessions" });
+  AcademicSessions.belongsTo(Institutions, { foreignKey: "institutionId", as: "institution" });
+  AcademicSessions.belongsTo(AcademicSessions, { foreignKey: "parentId", as: "parent" });
+  AcademicSessions.hasMany(AcademicSessions, { foreignKey: "parentId", as: "children" });
+  AcademicSessions.hasMany(Classes, { foreignKey: "academicSessionId", as: "classes" });
+  Classes.belongsTo(AcademicSessions, { foreignKey: "academicSessionId", as: "academicSession" });
+  Institutions.hasMany(Holidays, { foreignKey: "institutionId", as: "holidays" });
+  Holidays.belongsTo(Institutions, { foreignKey: "institutionId", as: "institution" });
+  AcademicSessions.hasMany(Holidays, { foreignKey: "academicSessionId", as: "holidays" });
+  Holidays.belongsTo(AcademicSessions, { foreignKey: "academicSessionId", as: "academicSession" });
+  AcademicSessions.hasMany(StudentProgressReports, { foreignKey: "academicSessionId", as: "progressReports" });
+  StudentProgressReports.belongsTo(AcademicSessions, { foreignKey: "academicSessionId", as: "academicSession" });
+  Institutions.hasMany(ExternalIdentifiers, { foreignKey: "institutionId", as: "externalIdentifiers" });
+  ExternalIdentifiers.belongsTo(Institutions, { foreignKey: "institutionId", as: "institution" });
+  Courses.hasMany(CourseWaitlists, { foreignKey: "courseId", as: "waitlist" });
+  CourseWaitlists.belongsTo(Courses, { foreignKey: "courseId", as: "course" });
+  Students.hasMany(CourseWaitlists, { foreignKey: "studentId", as: "waitlistEntries" });
+  CourseWaitlists.belongsTo(Students, { foreignKey: "studentId", as: "student" });
+  Institutions.hasMany(Classes, { foreignKey: "institutionId", as: "classes" });
+  Classes.belongsTo(Institutions, { foreignKey: "institutionId", as: "institution" });
+  Teachers.hasMany(Classes, { foreignKey: "teacherId", as: "classes" });
+  Classes.belongsTo(Teachers, { foreignKey: "teacherId", as: "teacher" });
+  Classes.hasMany(ClassTeachers, { foreignKey: "classId", as: "coTeachers" });
+  ClassTeachers.belongsTo(Classes, { foreignKey: "classId", as: "class" });
+  Teachers.hasMany(ClassTeachers, { foreignKey: "teacherId", as: "coTaughtClasses" });
+  ClassTeachers.belongsTo(Teachers, { foreignKey: "teacherId", as: "teacher" });
+  Classes.hasMany(ClassMeetings, { foreignKey: "classId", as: "meetings" });
+  ClassMeetings.belongsTo(Classes, { foreignKey: "classId", as: "class" });
+  Institutions.hasMany(QuestionBanks, { foreignKey: "institutionId", as: "questionBanks" });
+  QuestionBanks.belongsTo(Institutions, { foreignKey: "institutionId", as: "institution" });
+  Teachers.hasMany(QuestionBanks, { foreignKey: "teacherId", as: "questionBanks" });
+  QuestionBanks.belongsTo(Teachers, { foreignKey: "teacherId", as: "teacher" });
+  QuestionBanks.hasMany(BankQuestions, { foreignKey: "questionBankId", as: "questions" });
+  BankQuestions.belongsTo(QuestionBanks, { foreignKey: "questionBankId", as: "questionBank" });
+  BankQuestions.hasMany(BankAnswers, { foreignKey: "bankQuestionId", as: "answers" });
+  BankAnswers.belongsTo(BankQuestions, { foreignKey: "bankQuestionId", as: "question" });
+  Exams.hasMany(ExamQuestionDraws, { foreignKey: "examId", as: "questionDraws" });
+  ExamQuestionDraws.belongsTo(Exams, { foreignKey: "examId", as: "exam" });
+  QuestionBanks.hasMany(ExamQuestionDraws, { foreignKey: "questionBankId", as: "examDraws" });
+  ExamQuestionDraws.belongsTo(QuestionBanks, { foreignKey: "questionBankId", as: "questionBank" });
+  BankQuestions.hasMany(ExamQuestions, { foreignKey: "bankQuestionId", as: "examQuestions" });
+  ExamQuestions.belongsTo(BankQuestions, { foreignKey: "bankQuestionId", as: "bankQuestion" });
+  BankQuestions.hasMany(QuizQuestions, { foreignKey: "bankQuestionId", as: "quizQuestions" });
+  QuizQuestions.belongsTo(BankQuestions, { foreignKey: "bankQuestionId", as: "bankQuestion" });
+  Exams.hasMany(ExamRegrades, { foreignKey: "examId", as: "regrades" });
+  ExamRegrades.belongsTo(Exams, { foreignKey: "examId", as: "exam" });
+  ExamQuestions.hasMany(ExamRegrades, { foreignKey: "questionId", as: "regrades" });
+  ExamRegrades.belongsTo(ExamQuestions, { foreignKey: "questionId", as: "question" });
+  ExamRegrades.belongsTo(Users, { foreignKey: "regradedBy", as: "regrader" });
+  ExamRegrades.hasMany(ExamRegradeChanges, { foreignKey: "regradeId", as: "changes" });
+  ExamRegradeChanges.belongsTo(ExamRegrades, { foreignKey: "regradeId", as: "regrade" });
+  ExamRegradeChanges.belongsTo(StudentExamResponses, { foreignKey: "responseId", as: "response" });
+  ExamRegradeChanges.belongsTo(StudentExamAttempts, { foreignKey: "attemptId", as: "attempt" });
+  Students.hasOne(StudentAccommodations, { foreignKey: "studentId", as: "accommodationProfile" });
+  StudentAccommodations.belongsTo(Students, { foreignKey: "studentId", as: "student" });
+  StudentAccommodations.belongsTo(Users, { foreignKey: "updatedBy", as: "updater" });
+  StudentExamAttempts.hasMany(ExamIntegrityEvents, { foreignKey: "attemptId", as: "integrityEvents" });
+  ExamIntegrityEvents.belongsTo(StudentExamAttempts, { foreignKey: "attemptId", as: "attempt" });
+  ExamIntegrityEvents.belongsTo(Exams, { foreignKey: "examId", as: "exam" });
+  // Through rows of students who left are soft-deleted, which belongsToMany does not filter on its own
+  Classes.belongsToMany(Students, {
+    through: { model: ClassEnrollments, scope: { deletedAt: null } },
+    foreignKey: "classId",
+    otherKey: "studentId",
+    as: "students"
+  });
+
   // User associations (inferred)
   Users.hasOne(Students, { foreignKey: "userId", as: "student" });
   Students.belongsTo(Users, { foreignKey: "userId", as: "user" });
@@ -545,7 +715,8 @@ function initModels(sequelize) {
   Users.hasOne(Institutions, { foreignKey: "userId", as: "institution" });
   Institutions.belongsTo(Users, { foreignKey: "userId", as: "user" });
 
-  return {
+  // Limit queries made during a request to the caller's institutions
+  return applyTenantScopes({
     SequelizeMeta,
     Users,
     Students,
@@ -610,7 +781,29 @@ function initModels(sequelize) {
     PricingPlan,
     PricingPlanFeature,
     FAQ,
-  };
+
+    TwoFactorCredentials,
+    TwoFactorPolicies,
+
+    UserSessions,
+    RefreshTokens,
+    LoginAttempts,
+
+    AcademicSessions,
+    ExternalIdentifiers,
+    CourseWaitlists,
+    ClassTeachers,
+    Holidays,
+    ClassMeetings,
+    QuestionBanks,
+    BankQuestions,
+    BankAnswers,
+    ExamQuestionDraws,
+    ExamRegrades,
+    ExamRegradeChanges,
+    StudentAccommodations,
+    ExamIntegrityEvents,
+  });
 }
 module.exports = initModels;
 module.exports.initModels = initModels;
@@ -0,0 +1,74 @@
+const Sequelize = require('sequelize');
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('LoginAttempts', {
+    loginAttemptId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'login_attempt_id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      comment: "Null when the email does not belong to an account.",
+      field: 'user_id'
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'ip_address'
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    failureReason: {
+      type: DataTypes.ENUM('invalid_password', 'unknown_email', 'account_locked'),
+      allowNull: false,
+      field: 'failure_reason'
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Set when this attempt triggered or hit a lockout.",
+      field: 'locked_until'
+    }
+  }, {
+    sequelize,
+    tableName: 'login_attempts',
+    schema: 'public',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        name: "login_attempts_pkey",
+        unique: true,
+        fields: [
+          { name: "login_attempt_id" },
+        ]
+      },
+      {
+        name: "idx_login_attempts_user_id",
+        fields: [
+          { name: "user_id" },
+        ]
+      },
+      {
+        name: "idx_login_attempts_email",
+        fields: [
+          { name: "email" },
+        ]
+      },
+    ]
+  });
+};
@@ -19,7 +19,7 @@ module.exports = function(sequelize, DataTypes) {
       field: 'user_id'
     },
     purpose: {
-      type: DataTypes.ENUM("password_reset","two_factor_auth","email_verification"),
+      type: DataTypes.ENUM("password_reset","two_factor_auth","email_verification","account_unlock","invitation"),
       allowNull: false,
       comment: "The reason this OTP was generated (e.g., 2FA, password reset)."
     },
@@ -47,6 +47,13 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: true,
       comment: "Timestamp when the OTP was successfully used (optional).",
       field: 'used_at'
+    },
+    attemptCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Number of failed verification attempts against this OTP.",
+      field: 'attempt_count'
     }
   }, {
     sequelize,
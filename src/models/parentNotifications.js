@@ -38,7 +38,8 @@ module.exports = function(sequelize, DataTypes) {
         'teacher_message',
         'course_announcement',
         'payment_due',
-        'report_available'
+        'report_available',
+        'enrollment_update'
       ),
       allowNull: false,
       field: 'notification_type'
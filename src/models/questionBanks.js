@@ -0,0 +1,68 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('QuestionBanks', {
+    questionBankId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'question_bank_id'
+    },
+    institutionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'institutions',
+        key: 'institution_id'
+      },
+      field: 'institution_id'
+    },
+    teacherId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "The teacher who owns (and alone edits) the bank.",
+      references: {
+        model: 'teachers',
+        key: 'teacher_id'
+      },
+      field: 'teacher_id'
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false // e.g., "Algebra I - linear equations"
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isShared: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Other teachers of the institution may view the bank and use its questions.",
+      field: 'is_shared'
+    }
+  }, {
+    sequelize,
+    tableName: 'question_banks',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "question_banks_pkey",
+        unique: true,
+        fields: [ { name: "question_bank_id" } ]
+      },
+      {
+        name: "idx_question_banks_institution_id",
+        fields: [ { name: "institution_id" } ]
+      },
+      {
+        name: "idx_question_banks_teacher_id",
+        fields: [ { name: "teacher_id" } ]
+      }
+    ]
+  });
+};
@@ -33,6 +33,11 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: true,
       defaultValue: 0,
       field: 'order_number'
+    },
+    feedback: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'feedback'
     }
   }, {
     sequelize,
@@ -23,7 +23,7 @@ module.exports = function(sequelize, DataTypes) {
       field: 'question_text'
     },
     questionType: {
-      type: DataTypes.ENUM("multiple_choice","true_false","short_answer"),
+      type: DataTypes.ENUM("multiple_choice","true_false","short_answer","multi_select","numeric","matching","ordering"),
       allowNull: false,
       field: 'question_type'
     },
@@ -37,6 +37,22 @@ module.exports = function(sequelize, DataTypes) {
       type: DataTypes.DECIMAL,
       allowNull: true,
       defaultValue: 1.00
+    },
+    answerConfig: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'answer_config',
+      comment: 'Settings of numeric (value, tolerance, units), matching (pairs) and ordering (items) questions'
+    },
+    bankQuestionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'bank_questions',
+        key: 'bank_question_id'
+      },
+      field: 'bank_question_id',
+      comment: 'The bank question this was copied from, if any'
     }
   }, {
     sequelize,
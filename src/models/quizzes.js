@@ -30,10 +30,59 @@ module.exports = function(sequelize, DataTypes) {
       type: DataTypes.STRING(255),
       allowNull: false
     },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    instructions: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     timeLimitMinutes: {
       type: DataTypes.INTEGER,
       allowNull: true,
       field: 'time_limit_minutes'
+    },
+    passingScore: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'Minimum percentage needed to pass',
+      field: 'passing_score'
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Attempts allowed per student; null for unlimited',
+      field: 'max_attempts'
+    },
+    isRandomized: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_randomized'
+    },
+    showAnswers: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether students see correct answers once an attempt is submitted',
+      field: 'show_answers'
+    },
+    isPublished: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_published'
+    },
+    availableFrom: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'available_from'
+    },
+    availableTo: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'available_to'
     }
   }, {
     sequelize,
@@ -0,0 +1,66 @@
+const Sequelize = require('sequelize');
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('RefreshTokens', {
+    refreshTokenId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'refresh_token_id'
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'user_sessions',
+        key: 'session_id'
+      },
+      field: 'session_id'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: "refresh_tokens_token_hash_key",
+      comment: "SHA-256 of the opaque refresh token.",
+      field: 'token_hash'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    rotatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Set once the token has been exchanged; presenting it again means it was stolen.",
+      field: 'rotated_at'
+    }
+  }, {
+    sequelize,
+    tableName: 'refresh_tokens',
+    schema: 'public',
+    timestamps: true,
+    indexes: [
+      {
+        name: "refresh_tokens_pkey",
+        unique: true,
+        fields: [
+          { name: "refresh_token_id" },
+        ]
+      },
+      {
+        name: "refresh_tokens_token_hash_key",
+        unique: true,
+        fields: [
+          { name: "token_hash" },
+        ]
+      },
+      {
+        name: "idx_refresh_tokens_session_id",
+        fields: [
+          { name: "session_id" },
+        ]
+      },
+    ]
+  });
+};
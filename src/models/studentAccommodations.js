@@ -0,0 +1,86 @@
+const Sequelize = require('sequelize');
+
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('StudentAccommodations', {
+    accommodationId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'accommodation_id'
+    },
+    studentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'students',
+        key: 'student_id'
+      },
+      field: 'student_id'
+    },
+    planType: {
+      type: DataTypes.ENUM('iep', '504', 'other'),
+      allowNull: true,
+      field: 'plan_type',
+      comment: "The plan the accommodations come from (IEP, Section 504 or other)."
+    },
+    timeMultiplier: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: true,
+      field: 'time_multiplier',
+      comment: "Extended time, e.g. 1.5 for time and a half; null for standard time."
+    },
+    extraAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'extra_attempts',
+      comment: "Attempts allowed on top of a quiz's limit."
+    },
+    hideTimer: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'hide_timer',
+      comment: "Do not show the countdown; the deadline still applies."
+    },
+    questionSet: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'question_set',
+      comment: "Alternate exam question set to give instead of the standard questions, when an exam has one."
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    updatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      field: 'updated_by'
+    }
+  }, {
+    sequelize,
+    tableName: 'student_accommodations',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "student_accommodations_pkey",
+        unique: true,
+        fields: [ { name: "accommodation_id" } ]
+      },
+      {
+        name: "student_accommodations_student_id_key",
+        unique: true,
+        fields: [ { name: "student_id" } ]
+      }
+    ]
+  });
+};
@@ -36,12 +36,24 @@ module.exports = function(sequelize, DataTypes) {
       },
       field: 'exam_id'
     },
+    attemptNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'attempt_number'
+    },
     startedAt: {
       type: DataTypes.DATE,
       allowNull: false,
       defaultValue: Sequelize.Sequelize.fn('now'),
       field: 'started_at'
     },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'expires_at',
+      comment: 'Deadline for this attempt: the start plus the (custom) duration, capped at the end date'
+    },
     completedAt: {
       type: DataTypes.DATE,
       allowNull: true,
@@ -69,6 +81,12 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: false,
       defaultValue: 'in_progress'
     },
+    gradingStatus: {
+      type: DataTypes.ENUM('graded', 'pending_review'),
+      allowNull: true,
+      field: 'grading_status',
+      comment: 'Set when the attempt closes; pending_review until every response has been graded'
+    },
     ipAddress: {
       type: DataTypes.STRING(50),
       allowNull: true,
@@ -78,6 +96,28 @@ module.exports = function(sequelize, DataTypes) {
       type: DataTypes.STRING(255),
       allowNull: true,
       field: 'user_agent'
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'session_id',
+      comment: 'The login session the attempt was started from; requests from other sessions are integrity events'
+    },
+    integrityStatus: {
+      type: DataTypes.ENUM('flagged', 'auto_submitted'),
+      allowNull: true,
+      field: 'integrity_status',
+      comment: 'Set when integrity events reach a flag or auto-submit threshold of the exam\'s policy'
+    },
+    integrityFlaggedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'integrity_flagged_at'
+    },
+    accommodations: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'The accommodations of the assignment in force for this attempt (e.g. hideTimer)'
     }
   }, {
     sequelize,
@@ -105,11 +145,26 @@ module.exports = function(sequelize, DataTypes) {
           { name: "student_id" },
         ]
       },
+      {
+        name: "idx_student_exam_attempts_assignment_attempt_number",
+        unique: true,
+        fields: [
+          { name: "assignment_id" },
+          { name: "attempt_number" },
+        ]
+      },
       {
         name: "idx_student_exam_attempts_exam_id",
         fields: [
           { name: "exam_id" },
         ]
+      },
+      {
+        name: "idx_student_exam_attempts_status_expires_at",
+        fields: [
+          { name: "status" },
+          { name: "expires_at" },
+        ]
       }
     ]
   });
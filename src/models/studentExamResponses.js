@@ -43,6 +43,12 @@ module.exports = function(sequelize, DataTypes) {
       field: 'text_response',
       comment: 'For short_answer and fill_in_blank questions'
     },
+    answerData: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'answer_data',
+      comment: 'For multi_select (answerIds), numeric (value, unit), matching (matches) and ordering (order) questions'
+    },
     isCorrect: {
       type: DataTypes.BOOLEAN,
       allowNull: true,
@@ -58,6 +64,13 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: false,
       field: 'max_score'
     },
+    gradingStatus: {
+      type: DataTypes.ENUM('auto_graded', 'pending', 'flagged', 'manually_graded'),
+      allowNull: false,
+      defaultValue: 'auto_graded',
+      field: 'grading_status',
+      comment: 'pending: open response awaiting a teacher; flagged: provisional automatic score to be confirmed'
+    },
     gradedBy: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -83,6 +96,13 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: false,
       defaultValue: Sequelize.Sequelize.fn('now'),
       field: 'responded_at'
+    },
+    carriedOver: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'carried_over',
+      comment: 'Copied from the previous attempt, where it was fully right, into a retake of incorrect questions only'
     }
   }, {
     sequelize,
@@ -110,6 +130,12 @@ module.exports = function(sequelize, DataTypes) {
           { name: "question_id" },
         ]
       },
+      {
+        name: "idx_student_exam_responses_grading_status",
+        fields: [
+          { name: "grading_status" },
+        ]
+      },
       {
         name: "idx_student_exam_responses_attempt_question",
         unique: true,
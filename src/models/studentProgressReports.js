@@ -57,6 +57,16 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: false,
       field: 'period_end'
     },
+    academicSessionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'academic_sessions',
+        key: 'academic_session_id'
+      },
+      field: 'academic_session_id',
+      comment: "Term or grading period the report covers (if applicable)"
+    },
     academicData: {
       type: DataTypes.JSONB,
       allowNull: true,
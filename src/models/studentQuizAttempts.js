@@ -40,6 +40,41 @@ module.exports = function(sequelize, DataTypes) {
     score: {
       type: DataTypes.DECIMAL,
       allowNull: true
+    },
+    attemptNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'attempt_number'
+    },
+    status: {
+      type: DataTypes.ENUM('in_progress', 'completed', 'timed_out'),
+      allowNull: false,
+      defaultValue: 'in_progress'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the time limit (or the quiz window) runs out; null if untimed',
+      field: 'expires_at'
+    },
+    maxScore: {
+      type: DataTypes.DECIMAL,
+      allowNull: true,
+      field: 'max_score'
+    },
+    percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true
+    },
+    passed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true
+    },
+    accommodations: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'The student\'s standing accommodations applied and skipped when the attempt started; null without a profile'
     }
   }, {
     sequelize,
@@ -40,6 +40,12 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: true,
       field: 'short_answer_text'
     },
+    answerData: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'answer_data',
+      comment: 'For multi_select (answerIds), numeric (value, unit), matching (matches) and ordering (order) questions'
+    },
     isCorrect: {
       type: DataTypes.BOOLEAN,
       allowNull: true,
@@ -75,6 +81,14 @@ module.exports = function(sequelize, DataTypes) {
           { name: "question_id" },
         ]
       },
+      {
+        name: "student_quiz_responses_attempt_question_unique",
+        unique: true,
+        fields: [
+          { name: "attempt_id" },
+          { name: "question_id" },
+        ]
+      },
       {
         name: "student_quiz_responses_pkey",
         unique: true,
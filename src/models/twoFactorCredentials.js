@@ -0,0 +1,74 @@
+const Sequelize = require('sequelize');
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('TwoFactorCredentials', {
+    credentialId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'credential_id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      unique: "two_factor_credentials_user_id_key",
+      field: 'user_id'
+    },
+    secret: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: "Base32 TOTP shared secret."
+    },
+    isEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "False while enrollment is pending confirmation.",
+      field: 'is_enabled'
+    },
+    enabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'enabled_at'
+    },
+    lastUsedStep: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: "Last accepted TOTP time step, used to reject replayed codes.",
+      field: 'last_used_step'
+    },
+    recoveryCodes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Hashed one-time recovery codes: [{ hash, usedAt }].",
+      field: 'recovery_codes'
+    }
+  }, {
+    sequelize,
+    tableName: 'two_factor_credentials',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "two_factor_credentials_pkey",
+        unique: true,
+        fields: [
+          { name: "credential_id" },
+        ]
+      },
+      {
+        name: "two_factor_credentials_user_id_key",
+        unique: true,
+        fields: [
+          { name: "user_id" },
+        ]
+      },
+    ]
+  });
+};
@@ -0,0 +1,65 @@
+const Sequelize = require('sequelize');
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('TwoFactorPolicies', {
+    policyId: {
+      autoIncrement: true,
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      field: 'policy_id'
+    },
+    institutionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Institution the policy applies to; null for a platform-wide policy.",
+      references: {
+        model: 'institutions',
+        key: 'institution_id'
+      },
+      field: 'institution_id'
+    },
+    role: {
+      type: DataTypes.ENUM("student", "teacher", "admin", "parent", "institution"),
+      allowNull: true,
+      comment: "Role the policy applies to; null for every role."
+    },
+    isRequired: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'is_required'
+    },
+    createdById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      field: 'created_by_id'
+    }
+  }, {
+    sequelize,
+    tableName: 'two_factor_policies',
+    schema: 'public',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      {
+        name: "two_factor_policies_pkey",
+        unique: true,
+        fields: [
+          { name: "policy_id" },
+        ]
+      },
+      {
+        name: "idx_two_factor_policies_institution_role",
+        unique: true,
+        fields: [
+          { name: "institution_id" },
+          { name: "role" },
+        ]
+      },
+    ]
+  });
+};
@@ -0,0 +1,74 @@
+const Sequelize = require('sequelize');
+module.exports = function(sequelize, DataTypes) {
+  return sequelize.define('UserSessions', {
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: "Also identifies the refresh-token family issued to this device.",
+      field: 'session_id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      field: 'user_id'
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'ip_address'
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.Sequelize.fn('now'),
+      field: 'last_seen_at'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: "Moves forward each time the refresh token is rotated.",
+      field: 'expires_at'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revoked_at'
+    },
+    revokedReason: {
+      type: DataTypes.ENUM('logout', 'user_revoked', 'password_changed', 'refresh_token_reuse'),
+      allowNull: true,
+      field: 'revoked_reason'
+    }
+  }, {
+    sequelize,
+    tableName: 'user_sessions',
+    schema: 'public',
+    timestamps: true,
+    indexes: [
+      {
+        name: "user_sessions_pkey",
+        unique: true,
+        fields: [
+          { name: "session_id" },
+        ]
+      },
+      {
+        name: "idx_user_sessions_user_id",
+        fields: [
+          { name: "user_id" },
+        ]
+      },
+    ]
+  });
+};
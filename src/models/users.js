@@ -54,6 +54,23 @@ module.exports = function(sequelize, DataTypes) {
       type: DataTypes.DATE,
       allowNull: true,
       field: 'last_login'
+    },
+    passwordChangedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'password_changed_at'
+    },
+    failedLoginCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Failed password attempts since the last successful login.",
+      field: 'failed_login_count'
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'locked_until'
     }
   }, {
     sequelize,
@@ -86,5 +103,28 @@ module.exports = function(sequelize, DataTypes) {
     ],
     
   });
+
+  /**
+   * Check whether the password was changed after a JWT was issued
+   * @param {number} JWTTimestamp - The token's iat claim (seconds)
+   * @returns {boolean} - True if the token predates the last password change
+   */
+  Users.prototype.changedPasswordAfter = function(JWTTimestamp) {
+    if (!this.passwordChangedAt) {
+      return false;
+    }
+
+    const changedTimestamp = Math.floor(new Date(this.passwordChangedAt).getTime() / 1000);
+    return JWTTimestamp < changedTimestamp;
+  };
+
+  /**
+   * Check whether the account is inside a lockout window
+   * @returns {boolean} - True while failed logins keep the account locked
+   */
+  Users.prototype.isLocked = function() {
+    return !!this.lockedUntil && new Date(this.lockedUntil) > new Date();
+  };
+
   return Users;
 };
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const accommodationController = require('../../controllers/accommodationController');
+const { protect, authorize } = require('../../middlewares/auth');
+
+// All routes require authentication
+router.use(protect);
+
+// Profiles are kept by the student's teachers and admins
+router.get('/students/:studentId', authorize('accommodation:view', { param: 'studentId' }), accommodationController.getProfile);
+router.put('/students/:studentId', authorize('accommodation:manage', { param: 'studentId' }), accommodationController.saveProfile);
+router.delete('/students/:studentId', authorize('accommodation:manage', { param: 'studentId' }), accommodationController.deleteProfile);
+
+// Which accommodations were applied to the student's exams and quizzes
+router.get('/students/:studentId/report', authorize('accommodation:view', { param: 'studentId' }), accommodationController.getAppliedReport);
+
+module.exports = router;
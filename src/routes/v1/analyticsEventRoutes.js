@@ -1,26 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const analyticsEventController = require('../../controllers/analyticsEventController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
 
 // Route for tracking events (authenticated users only)
-router.post('/', analyticsEventController.trackEvent);
+router.post('/', authorize('analytics:track'), analyticsEventController.trackEvent);
 
 // Routes for analytics (specific routes first)
-router.get('/counts/by-type', restrictTo('admin', 'teacher'), analyticsEventController.getEventCountsByType);
-router.get('/counts/by-entity-type', restrictTo('admin', 'teacher'), analyticsEventController.getEventCountsByEntityType);
-router.get('/counts/by-day', restrictTo('admin', 'teacher'), analyticsEventController.getEventCountsByDay);
+router.get('/counts/by-type', authorize('analytics:view-events'), analyticsEventController.getEventCountsByType);
+router.get('/counts/by-entity-type', authorize('analytics:view-events'), analyticsEventController.getEventCountsByEntityType);
+router.get('/counts/by-day', authorize('analytics:view-events'), analyticsEventController.getEventCountsByDay);
 
 // Routes for viewing events
-router.get('/', restrictTo('admin', 'teacher'), analyticsEventController.getAllEvents);
-router.get('/user/:userId', restrictTo('admin', 'teacher'), analyticsEventController.getUserEvents);
-router.get('/entity/:entityType/:entityId', restrictTo('admin', 'teacher'), analyticsEventController.getEntityEvents);
-router.get('/:id', restrictTo('admin', 'teacher'), analyticsEventController.getEventById);
+router.get('/', authorize('analytics:view-events'), analyticsEventController.getAllEvents);
+router.get('/user/:userId', authorize('analytics:view-events'), analyticsEventController.getUserEvents);
+router.get('/entity/:entityType/:entityId', authorize('analytics:view-events'), analyticsEventController.getEntityEvents);
+router.get('/:id', authorize('analytics:view-events'), analyticsEventController.getEventById);
 
 // Admin-only routes
-router.delete('/:id', restrictTo('admin'), analyticsEventController.deleteEvent);
+router.delete('/:id', authorize('analytics:delete-events'), analyticsEventController.deleteEvent);
 
 module.exports = router;
@@ -1,23 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const attendanceController = require('../../controllers/attendanceController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All attendance routes require authentication
 router.use(protect);
 
 // Create attendance records
-router.post('/', restrictTo('teacher', 'admin'), attendanceController.createAttendance);
-router.post('/bulk', restrictTo('teacher', 'admin'), attendanceController.createBulkAttendance);
+router.post('/', authorize('attendance:record', { body: 'classId' }), attendanceController.createAttendance);
+router.post('/bulk', authorize('attendance:record'), attendanceController.createBulkAttendance);
 
 // Get attendance records
-router.get('/:id', attendanceController.getAttendanceById);
-router.get('/student/:studentId', attendanceController.getAttendanceByStudent);
-router.get('/class/:classId', attendanceController.getAttendanceByClass);
-router.get('/stats/student/:studentId', attendanceController.getStudentAttendanceStats);
+router.get('/:id', authorize('attendance:view'), attendanceController.getAttendanceById);
+router.get('/student/:studentId', authorize('attendance:view', { resource: 'student', param: 'studentId' }), attendanceController.getAttendanceByStudent);
+router.get('/class/:classId', authorize('attendance:view-class', { param: 'classId' }), attendanceController.getAttendanceByClass);
+router.get('/stats/student/:studentId', authorize('attendance:view', { resource: 'student', param: 'studentId' }), attendanceController.getStudentAttendanceStats);
 
 // Update and delete attendance records
-router.patch('/:id', restrictTo('teacher', 'admin'), attendanceController.updateAttendance);
-router.delete('/:id', restrictTo('teacher', 'admin'), attendanceController.deleteAttendance);
+router.patch('/:id', authorize('attendance:record', { resource: 'attendance' }), attendanceController.updateAttendance);
+router.delete('/:id', authorize('attendance:record', { resource: 'attendance' }), attendanceController.deleteAttendance);
 
 module.exports = router;
@@ -2,15 +2,33 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../../controllers/authController');
 const { authLimiter } = require('../../middlewares/auth/rateLimiter');
+const { protect } = require('../../middlewares/auth');
+const twoFactorRoutes = require('./twoFactorRoutes');
 
 router.post('/signup', authLimiter, authController.signup);
 router.post('/login', authLimiter, authController.login);
+router.post('/login/2fa', authLimiter, authController.verifyTwoFactorLogin);
 router.post('/register-institution', authLimiter, authController.registerInstitution);
 
 router.post('/register-student', authLimiter, authController.registerStudent);
 router.post('/register-teacher', authLimiter, authController.registerTeacher);
 router.post('/register-parent', authLimiter, authController.registerParent);
 router.get('/logout', authController.logout);
+router.post('/logout', authController.logout);
 router.post('/refresh-token', authController.refreshToken);
 
+// Email verification
+router.post('/verify-email', authLimiter, authController.verifyEmail);
+router.post('/resend-verification', authLimiter, authController.resendVerification);
+
+// Password management
+router.post('/forgot-password', authLimiter, authController.forgotPassword);
+router.post('/reset-password', authLimiter, authController.resetPassword);
+router.patch('/change-password', protect, authController.changePassword);
+router.post('/unlock-account', authLimiter, authController.unlockAccount);
+router.post('/accept-invitation', authLimiter, authController.acceptInvitation);
+
+// Two-factor authentication
+router.use('/2fa', twoFactorRoutes);
+
 module.exports = router;
\ No newline at end of file
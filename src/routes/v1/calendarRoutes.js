@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../../controllers/calendarController');
+const { protect, authorize } = require('../../middlewares/auth');
+
+// All calendar routes require authentication
+router.use(protect);
+
+// An institution's calendar
+router.get('/institutions/:institutionId', authorize('calendar:view'), calendarController.getCalendar);
+
+// School years, semesters, terms and grading periods
+router.post('/sessions', authorize('calendar:manage', { body: 'institutionId' }), calendarController.createSession);
+router.get('/sessions/:id', authorize('calendar:view'), calendarController.getSessionById);
+router.patch('/sessions/:id', authorize('calendar:manage', { resource: 'academicSession' }), calendarController.updateSession);
+router.delete('/sessions/:id', authorize('calendar:manage', { resource: 'academicSession' }), calendarController.deleteSession);
+
+// Holidays
+router.post('/holidays', authorize('calendar:manage', { body: 'institutionId' }), calendarController.createHoliday);
+router.patch('/holidays/:id', authorize('calendar:manage', { resource: 'holiday' }), calendarController.updateHoliday);
+router.delete('/holidays/:id', authorize('calendar:manage', { resource: 'holiday' }), calendarController.deleteHoliday);
+
+// Weekly timetables
+router.get('/students/:studentId/timetable', authorize('timetable:view-student', { param: 'studentId' }), calendarController.getStudentTimetable);
+router.get('/teachers/:teacherId/timetable', authorize('timetable:view-teacher', { param: 'teacherId' }), calendarController.getTeacherTimetable);
+
+module.exports = router;
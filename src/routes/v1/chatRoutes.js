@@ -3,7 +3,7 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../../controllers/chatController');
-const { protect, restrictTo } = require('../../middlewares/auth'); // Correct path to your auth middleware
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes below this line are protected and require a valid authenticated user.
 router.use(protect);
@@ -12,36 +12,34 @@ router.use(protect);
 
 // Any authenticated user can create a chat room or list their own rooms.
 router.route('/')
-  .post(restrictTo('student', 'teacher', 'admin'), chatController.createChatRoom)
-  .get(restrictTo('student', 'teacher', 'admin'), chatController.getUserChatRooms);
+  .post(authorize('chat:participate'), chatController.createChatRoom)
+  .get(authorize('chat:participate'), chatController.getUserChatRooms);
 
 // Any participant can get room details. Only admins/teachers can update or delete.
 router.route('/:id')
-  .get(restrictTo('student', 'teacher', 'admin'), chatController.getChatRoomDetails)
-  .patch(restrictTo('teacher', 'admin'), chatController.updateChatRoom)
-  .delete(restrictTo('teacher', 'admin'), chatController.deleteChatRoom);
+  .get(authorize('chat:participate'), chatController.getChatRoomDetails)
+  .patch(authorize('chat:manage'), chatController.updateChatRoom)
+  .delete(authorize('chat:manage'), chatController.deleteChatRoom);
 
 // --- Participant Management ---
 
 // Only admins/teachers can add users to a group.
 router.route('/:id/participants')
-  .post(restrictTo('teacher', 'admin'), chatController.addUserToGroup);
+  .post(authorize('chat:manage'), chatController.addUserToGroup);
 
 // Only admins/teachers can remove users from a group.
 router.route('/:id/participants/:userIdToRemove')
-  .delete(restrictTo('teacher', 'admin'), chatController.removeUserFromGroup);
+  .delete(authorize('chat:manage'), chatController.removeUserFromGroup);
 
 // --- Message Management ---
 
 // Any participant can get messages or send a new one.
 router.route('/:id/messages')
-  .get(restrictTo('student', 'teacher', 'admin'), chatController.getChatMessages)
-  .post(restrictTo('student', 'teacher', 'admin'), chatController.sendChatMessage);
+  .get(authorize('chat:participate'), chatController.getChatMessages)
+  .post(authorize('chat:participate'), chatController.sendChatMessage);
 
-// Any participant can delete their own message. Admins/teachers can delete any message.
-// The fine-grained logic (own message vs any message) is handled in the service/controller.
-// The route just ensures a logged-in user of the correct role makes the request.
+// The sender or a group admin can delete a message. Platform admins can delete any message.
 router.route('/:id/messages/:messageId')
-  .delete(restrictTo('student', 'teacher', 'admin'), chatController.deleteChatMessage);
+  .delete(authorize('chat:delete-message', { param: 'messageId' }), chatController.deleteChatMessage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const classController = require('../../controllers/classController');
+const { protect, authorize } = require('../../middlewares/auth');
+
+// All class routes require authentication
+router.use(protect);
+
+// Class CRUD
+router.get('/', authorize('class:list'), classController.getClasses);
+router.post('/', authorize('class:create', { body: 'institutionId' }), classController.createClass);
+router.get('/:id', authorize('class:view'), classController.getClassById);
+router.patch('/:id', authorize('class:edit'), classController.updateClass);
+router.delete('/:id', authorize('class:delete'), classController.deleteClass);
+
+// Co-teachers
+router.post('/:id/co-teachers', authorize('class:edit'), classController.addCoTeacher);
+router.delete('/:id/co-teachers/:teacherId', authorize('class:edit'), classController.removeCoTeacher);
+
+// Weekly timetable (?from=&to= lists the dates the class meets)
+router.get('/:id/meetings', authorize('class:view'), classController.getMeetings);
+router.post('/:id/meetings', authorize('class:edit'), classController.addMeeting);
+router.patch('/:id/meetings/:meetingId', authorize('class:edit'), classController.updateMeeting);
+router.delete('/:id/meetings/:meetingId', authorize('class:edit'), classController.removeMeeting);
+
+// Roster (adding, removing and transferring accept several students at once)
+router.get('/:id/roster', authorize('class:view'), classController.getRoster);
+router.get('/:id/roster/history', authorize('class:view'), classController.getRosterHistory);
+router.post('/:id/roster', authorize('class:manage-roster'), classController.addStudents);
+router.post('/:id/roster/remove', authorize('class:manage-roster'), classController.removeStudents);
+router.post('/:id/roster/transfer', authorize('class:manage-roster'), classController.transferStudents);
+router.delete('/:id/roster/:studentId', authorize('class:manage-roster'), classController.removeStudent);
+
+module.exports = router;
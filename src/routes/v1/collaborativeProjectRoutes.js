@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const collaborativeProjectController = require('../../controllers/collaborativeProjectController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
@@ -9,24 +9,24 @@ router.use(protect);
 // Project routes
 router.get('/', collaborativeProjectController.getAllProjects);
 router.get('/:id', collaborativeProjectController.getProjectById);
-router.post('/', restrictTo('admin', 'teacher'), collaborativeProjectController.createProject);
-router.patch('/:id', restrictTo('admin', 'teacher'), collaborativeProjectController.updateProject);
-router.delete('/:id', restrictTo('admin', 'teacher'), collaborativeProjectController.deleteProject);
+router.post('/', authorize('project:manage'), collaborativeProjectController.createProject);
+router.patch('/:id', authorize('project:manage'), collaborativeProjectController.updateProject);
+router.delete('/:id', authorize('project:manage'), collaborativeProjectController.deleteProject);
 
 // Team routes
 router.get('/:projectId/teams', collaborativeProjectController.getProjectTeams);
 router.get('/teams/:id', collaborativeProjectController.getTeamById);
-router.post('/teams', restrictTo('student', 'teacher', 'admin'), collaborativeProjectController.createTeam);
-router.patch('/teams/:id', restrictTo('student', 'teacher', 'admin'), collaborativeProjectController.updateTeam);
-router.delete('/teams/:id', restrictTo('student', 'teacher', 'admin'), collaborativeProjectController.deleteTeam);
+router.post('/teams', authorize('project:participate'), collaborativeProjectController.createTeam);
+router.patch('/teams/:id', authorize('project:participate'), collaborativeProjectController.updateTeam);
+router.delete('/teams/:id', authorize('project:participate'), collaborativeProjectController.deleteTeam);
 
 // Team member routes
-router.post('/teams/members', restrictTo('student', 'teacher', 'admin'), collaborativeProjectController.addTeamMember);
-router.patch('/teams/members/:id', restrictTo('student', 'teacher', 'admin'), collaborativeProjectController.updateTeamMember);
-router.delete('/teams/members/:id', restrictTo('student', 'teacher', 'admin'), collaborativeProjectController.removeTeamMember);
+router.post('/teams/members', authorize('project:participate'), collaborativeProjectController.addTeamMember);
+router.patch('/teams/members/:id', authorize('project:participate'), collaborativeProjectController.updateTeamMember);
+router.delete('/teams/members/:id', authorize('project:participate'), collaborativeProjectController.removeTeamMember);
 
 // Team submission routes
-router.post('/teams/:id/submit', restrictTo('student', 'teacher', 'admin'), collaborativeProjectController.submitTeamProject);
-router.post('/teams/:id/grade', restrictTo('admin', 'teacher'), collaborativeProjectController.gradeTeamSubmission);
+router.post('/teams/:id/submit', authorize('project:participate'), collaborativeProjectController.submitTeamProject);
+router.post('/teams/:id/grade', authorize('project:manage'), collaborativeProjectController.gradeTeamSubmission);
 
 module.exports = router;
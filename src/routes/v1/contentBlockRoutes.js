@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const contentBlockController = require('../../controllers/contentBlockController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
@@ -13,15 +13,15 @@ router.get('/:id', contentBlockController.getContentBlockById);
 router.get('/lesson/:lessonId', contentBlockController.getContentBlocksByLesson);
 
 // Create, update, and delete content blocks (teachers and admins only)
-router.post('/', restrictTo('teacher', 'admin'), contentBlockController.createContentBlock);
-router.patch('/:id', restrictTo('teacher', 'admin'), contentBlockController.updateContentBlock);
-router.delete('/:id', restrictTo('teacher', 'admin'), contentBlockController.deleteContentBlock);
+router.post('/', authorize('course:edit', { resource: 'lesson', body: 'lessonId' }), contentBlockController.createContentBlock);
+router.patch('/:id', authorize('course:edit', { resource: 'contentBlock' }), contentBlockController.updateContentBlock);
+router.delete('/:id', authorize('course:edit', { resource: 'contentBlock' }), contentBlockController.deleteContentBlock);
 
 // Content block order management
-router.patch('/lesson/:lessonId/order', restrictTo('teacher', 'admin'), contentBlockController.updateContentBlockOrder);
+router.patch('/lesson/:lessonId/order', authorize('course:edit', { resource: 'lesson', param: 'lessonId' }), contentBlockController.updateContentBlockOrder);
 
 // Content engagement tracking
 router.post('/:id/engagement', contentBlockController.trackContentEngagement);
-router.get('/:id/engagement/stats', restrictTo('teacher', 'admin'), contentBlockController.getContentEngagementStats);
+router.get('/:id/engagement/stats', authorize('course:view-stats', { resource: 'contentBlock' }), contentBlockController.getContentEngagementStats);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const courseCategoryMappingController = require('../../controllers/courseCategoryMappingController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public routes
 router.get('/course/:courseId', courseCategoryMappingController.getCourseMappings);
@@ -9,11 +9,11 @@ router.get('/:id', courseCategoryMappingController.getMappingById);
 
 // Protected routes for teachers and admins
 router.use(protect);
-router.use(restrictTo('teacher', 'admin'));
+router.use(authorize('category:manage'));
 
 router.post('/', courseCategoryMappingController.createMapping);
 router.patch('/:id', courseCategoryMappingController.updateMapping);
 router.delete('/:id', courseCategoryMappingController.deleteMapping);
-router.post('/course/:courseId/categories', courseCategoryMappingController.setCourseCategories);
+router.post('/course/:courseId/categories', authorize('course:edit', { param: 'courseId' }), courseCategoryMappingController.setCourseCategories);
 
 module.exports = router;
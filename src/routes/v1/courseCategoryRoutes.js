@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const courseCategoryController = require('../../controllers/courseCategoryController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public routes
 router.get('/', courseCategoryController.getAllCategories);
@@ -12,7 +12,7 @@ router.get('/:id/courses', courseCategoryController.getCategoryCourses);
 
 // Admin-only routes
 router.use(protect);
-router.use(restrictTo('admin'));
+router.use(authorize('category:admin'));
 
 router.post('/', courseCategoryController.createCategory);
 router.patch('/:id', courseCategoryController.updateCategory);
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const courseController = require('../../controllers/courseController');
 const lessonController = require('../../controllers/lessonController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public routes for browsing courses
 router.get('/', courseController.getAllCourses);
@@ -12,18 +12,18 @@ router.get('/:id', courseController.getCourseById);
 router.use(protect);
 
 // Routes for teachers and admins
-router.post('/', restrictTo('teacher', 'admin'), courseController.createCourse);
-router.patch('/:id', restrictTo('teacher', 'admin'), courseController.updateCourse);
-router.delete('/:id', restrictTo('teacher', 'admin'), courseController.deleteCourse);
+router.post('/', authorize('course:create'), courseController.createCourse);
+router.patch('/:id', authorize('course:edit'), courseController.updateCourse);
+router.delete('/:id', authorize('course:delete'), courseController.deleteCourse);
 
 // Course syllabus management
-router.patch('/:id/syllabus', restrictTo('teacher', 'admin'), courseController.updateCourseSyllabus);
+router.patch('/:id/syllabus', authorize('course:edit'), courseController.updateCourseSyllabus);
 
 // Course format management
-router.patch('/:id/format', restrictTo('teacher', 'admin'), courseController.updateCourseFormat);
+router.patch('/:id/format', authorize('course:edit'), courseController.updateCourseFormat);
 
 // Lesson management within courses
 router.get('/:courseId/lessons', lessonController.getLessonsByCourse);
-router.post('/:courseId/lessons', restrictTo('teacher', 'admin'), lessonController.createLesson);
+router.post('/:courseId/lessons', authorize('course:edit', { param: 'courseId' }), lessonController.createLesson);
 
 module.exports = router;
@@ -3,7 +3,7 @@ const router = express.Router();
 const discussionForumController = require('../../controllers/discussionForumController');
 const discussionTopicController = require('../../controllers/discussionTopicController');
 const discussionReplyController = require('../../controllers/discussionReplyController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public routes for forums
 router.get('/', discussionForumController.getAllForums);
@@ -21,25 +21,25 @@ router.get('/replies/:id', discussionReplyController.getReplyById);
 router.use(protect);
 
 // Forum routes
-router.post('/', restrictTo('admin', 'teacher'), discussionForumController.createForum);
-router.patch('/:id', restrictTo('admin', 'teacher'), discussionForumController.updateForum);
-router.delete('/:id', restrictTo('admin', 'teacher'), discussionForumController.deleteForum);
-router.patch('/:id/stats', restrictTo('admin', 'teacher'), discussionForumController.updateForumStats);
+router.post('/', authorize('forum:manage'), discussionForumController.createForum);
+router.patch('/:id', authorize('forum:manage'), discussionForumController.updateForum);
+router.delete('/:id', authorize('forum:manage'), discussionForumController.deleteForum);
+router.patch('/:id/stats', authorize('forum:manage'), discussionForumController.updateForumStats);
 
 // Topic routes
-router.post('/topics', restrictTo('student', 'teacher', 'admin'), discussionTopicController.createTopic);
-router.patch('/topics/:id', restrictTo('student', 'teacher', 'admin'), discussionTopicController.updateTopic);
-router.delete('/topics/:id', restrictTo('student', 'teacher', 'admin'), discussionTopicController.deleteTopic);
-router.patch('/topics/:id/moderate', restrictTo('admin', 'teacher'), discussionTopicController.moderateTopic);
-router.patch('/topics/:id/pin', restrictTo('admin', 'teacher'), discussionTopicController.togglePinStatus);
-router.patch('/topics/:id/lock', restrictTo('admin', 'teacher'), discussionTopicController.toggleLockStatus);
+router.post('/topics', authorize('forum:post'), discussionTopicController.createTopic);
+router.patch('/topics/:id', authorize('forum:post'), discussionTopicController.updateTopic);
+router.delete('/topics/:id', authorize('forum:post'), discussionTopicController.deleteTopic);
+router.patch('/topics/:id/moderate', authorize('forum:moderate'), discussionTopicController.moderateTopic);
+router.patch('/topics/:id/pin', authorize('forum:moderate'), discussionTopicController.togglePinStatus);
+router.patch('/topics/:id/lock', authorize('forum:moderate'), discussionTopicController.toggleLockStatus);
 
 // Reply routes
-router.post('/replies', restrictTo('student', 'teacher', 'admin'), discussionReplyController.createReply);
-router.patch('/replies/:id', restrictTo('student', 'teacher', 'admin'), discussionReplyController.updateReply);
-router.delete('/replies/:id', restrictTo('student', 'teacher', 'admin'), discussionReplyController.deleteReply);
-router.patch('/replies/:id/moderate', restrictTo('admin', 'teacher'), discussionReplyController.moderateReply);
-router.patch('/replies/:id/accept', restrictTo('student', 'teacher', 'admin'), discussionReplyController.markAsAcceptedAnswer);
-router.post('/replies/:id/vote', restrictTo('student', 'teacher', 'admin'), discussionReplyController.voteOnReply);
+router.post('/replies', authorize('forum:post'), discussionReplyController.createReply);
+router.patch('/replies/:id', authorize('forum:post'), discussionReplyController.updateReply);
+router.delete('/replies/:id', authorize('forum:post'), discussionReplyController.deleteReply);
+router.patch('/replies/:id/moderate', authorize('forum:moderate'), discussionReplyController.moderateReply);
+router.patch('/replies/:id/accept', authorize('forum:post'), discussionReplyController.markAsAcceptedAnswer);
+router.post('/replies/:id/vote', authorize('forum:post'), discussionReplyController.voteOnReply);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const enrollmentController = require('../../controllers/enrollmentController');
+const { protect, authorize } = require('../../middlewares/auth');
+
+// All enrollment routes require authentication
+router.use(protect);
+
+// Enroll a student (or yourself, as a student) in a course
+router.post('/', authorize('enrollment:create', { body: 'courseId' }), enrollmentController.enroll);
+
+// View enrollments
+router.get('/student/:studentId', authorize('enrollment:view-student', { param: 'studentId' }), enrollmentController.getEnrollmentsByStudent);
+router.get('/course/:courseId', authorize('enrollment:view-course', { param: 'courseId' }), enrollmentController.getEnrollmentsByCourse);
+router.get('/:id', authorize('enrollment:view'), enrollmentController.getEnrollmentById);
+
+// Status changes and unenrolling
+router.patch('/:id/status', authorize('enrollment:manage'), enrollmentController.updateStatus);
+router.delete('/:id', authorize('enrollment:cancel'), enrollmentController.unenroll);
+
+module.exports = router;
@@ -1,30 +1,70 @@
 const express = require('express');
 const router = express.Router();
 const examController = require('../../controllers/examController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All exam routes require authentication
 router.use(protect);
 
 // Exam management routes (teacher/admin only)
-router.post('/', restrictTo('teacher', 'admin'), examController.createExam);
-router.get('/', restrictTo('teacher', 'admin'), examController.getAllExams);
-router.get('/:id', restrictTo('teacher', 'admin'), examController.getExamById);
-router.patch('/:id', restrictTo('teacher', 'admin'), examController.updateExam);
-router.delete('/:id', restrictTo('teacher', 'admin'), examController.deleteExam);
+router.post('/', authorize('exam:create'), examController.createExam);
+router.get('/', authorize('exam:create'), examController.getAllExams);
+router.get('/:id', authorize('exam:view'), examController.getExamById);
+router.patch('/:id', authorize('exam:edit'), examController.updateExam);
+router.delete('/:id', authorize('exam:edit'), examController.deleteExam);
+
+// QTI package import and export
+router.post(
+  '/import/qti',
+  authorize('exam:create'),
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' }),
+  examController.importQti
+);
+router.get('/:examId/qti', authorize('exam:view', { param: 'examId' }), examController.exportQti);
 
 // Question management routes
-router.post('/:examId/questions', restrictTo('teacher', 'admin'), examController.addQuestionToExam);
-router.patch('/questions/:questionId', restrictTo('teacher', 'admin'), examController.updateQuestion);
-router.delete('/questions/:questionId', restrictTo('teacher', 'admin'), examController.deleteQuestion);
+router.post('/:examId/questions', authorize('exam:edit', { param: 'examId' }), examController.addQuestionToExam);
+router.post(
+  '/:examId/questions/import',
+  authorize('exam:edit', { param: 'examId' }),
+  express.text({ type: ['text/plain', 'text/*'], limit: '1mb' }),
+  examController.importQuestions
+);
+router.patch('/questions/:questionId', authorize('exam:edit', { resource: 'examQuestion', param: 'questionId' }), examController.updateQuestion);
+router.delete('/questions/:questionId', authorize('exam:edit', { resource: 'examQuestion', param: 'questionId' }), examController.deleteQuestion);
+
+// Question bank draws (each student's paper draws its own questions from the banks)
+router.post('/:examId/draws', authorize('exam:edit', { param: 'examId' }), examController.addQuestionDraw);
+router.get('/:examId/draws', authorize('exam:view', { param: 'examId' }), examController.getQuestionDraws);
+router.delete('/draws/:drawId', authorize('exam:edit', { resource: 'examDraw', param: 'drawId' }), examController.removeQuestionDraw);
 
 // Exam assignment routes
-router.post('/:examId/assign', restrictTo('teacher', 'admin'), examController.assignExamToStudents);
-router.get('/student/:studentId/assignments', examController.getStudentAssignedExams);
+router.post('/:examId/assign', authorize('exam:assign', { param: 'examId' }), examController.assignExamToStudents);
+router.get('/student/:studentId/assignments', authorize('exam:view-assigned', { param: 'studentId' }), examController.getStudentAssignedExams);
 
 // Exam attempt routes
-router.post('/assignments/:assignmentId/start', restrictTo('student'), examController.startExamAttempt);
-router.post('/attempts/:attemptId/questions/:questionId/response', restrictTo('student'), examController.submitExamResponse);
-router.post('/attempts/:attemptId/complete', restrictTo('student'), examController.completeExamAttempt);
+router.get('/assignments/:assignmentId/paper', authorize('exam:take', { param: 'assignmentId' }), examController.getExamPaper);
+router.post('/assignments/:assignmentId/start', authorize('exam:take', { param: 'assignmentId' }), examController.startExamAttempt);
+router.post('/attempts/:attemptId/questions/:questionId/response', authorize('exam:take', { resource: 'examAttempt', param: 'attemptId' }), examController.submitExamResponse);
+router.get('/attempts/:attemptId', authorize('exam:view-attempt', { param: 'attemptId' }), examController.getExamAttempt);
+router.post('/attempts/:attemptId/complete', authorize('exam:take', { resource: 'examAttempt', param: 'attemptId' }), examController.completeExamAttempt);
+router.post('/attempts/:attemptId/integrity-events', authorize('exam:take', { resource: 'examAttempt', param: 'attemptId' }), examController.recordIntegrityEvents);
+
+// Integrity policy (warn, flag or auto-submit on tab blur, copy/paste, ...) and the flagged attempts
+router.get('/:examId/integrity-policy', authorize('exam:edit', { param: 'examId' }), examController.getIntegrityPolicy);
+router.put('/:examId/integrity-policy', authorize('exam:edit', { param: 'examId' }), examController.updateIntegrityPolicy);
+router.get('/:examId/integrity/flagged', authorize('exam:grade', { param: 'examId' }), examController.getFlaggedAttempts);
+router.get('/attempts/:attemptId/integrity', authorize('exam:grade', { resource: 'examAttempt', param: 'attemptId' }), examController.getIntegrityTimeline);
+
+// Manual grading routes
+router.get('/:examId/grading-queue', authorize('exam:grade', { param: 'examId' }), examController.getGradingQueue);
+router.patch('/responses/:responseId/grade', authorize('exam:grade', { resource: 'examResponse', param: 'responseId' }), examController.gradeResponse);
+
+// Regrading after an answer key or points correction, with the audit trail of changed scores
+router.post('/questions/:questionId/regrade', authorize('exam:grade', { resource: 'examQuestion', param: 'questionId' }), examController.regradeQuestion);
+router.get('/:examId/regrades', authorize('exam:grade', { param: 'examId' }), examController.getRegrades);
+
+// Item analysis (question difficulty, discrimination and reliability) of submitted attempts
+router.get('/:examId/item-analysis', authorize('exam:grade', { param: 'examId' }), examController.getItemAnalysis);
 
 module.exports = router;
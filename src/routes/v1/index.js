@@ -4,9 +4,13 @@ const authRoutes = require("./authRoutes");
 const userRoutes = require("./userRoutes");
 const testRoutes = require("./testRoutes");
 const institutionRoutes = require("./institutionRoutes");
+const classRoutes = require("./classRoutes");
+const calendarRoutes = require("./calendarRoutes");
 const attendanceRoutes = require("./attendanceRoutes");
 const examRoutes = require("./examRoutes");
 const quizRoutes = require("./quizRoutes");
+const questionBankRoutes = require("./questionBankRoutes");
+const accommodationRoutes = require("./accommodationRoutes");
 const pollRoutes = require("./pollRoutes");
 const surveyRoutes = require("./surveyRoutes");
 const assignmentRoutes = require("./assignmentRoutes");
@@ -25,6 +29,8 @@ const lessonRoutes = require("./lessonRoutes");
 const contentBlockRoutes = require("./contentBlockRoutes");
 const courseCategoryRoutes = require("./courseCategoryRoutes");
 const courseCategoryMappingRoutes = require("./courseCategoryMappingRoutes");
+const enrollmentRoutes = require("./enrollmentRoutes");
+const waitlistRoutes = require("./waitlistRoutes");
 
 // Discussion and collaboration features
 const discussionForumRoutes = require("./discussionForumRoutes");
@@ -48,9 +54,13 @@ router.use("/pricing", pricingRoutes);
 router.use("/users", userRoutes);
 router.use("/test", testRoutes);
 router.use("/institutions", institutionRoutes);
+router.use("/classes", classRoutes);
+router.use("/calendar", calendarRoutes);
 router.use("/attendance", attendanceRoutes);
 router.use("/exams", examRoutes);
 router.use("/quizzes", quizRoutes);
+router.use("/question-banks", questionBankRoutes);
+router.use("/accommodations", accommodationRoutes);
 router.use("/polls", pollRoutes);
 router.use("/surveys", surveyRoutes);
 router.use("/assignments", assignmentRoutes);
@@ -68,6 +78,8 @@ router.use("/lessons", lessonRoutes);
 router.use("/content-blocks", contentBlockRoutes);
 router.use("/course-categories", courseCategoryRoutes);
 router.use("/course-category-mappings", courseCategoryMappingRoutes);
+router.use("/enrollments", enrollmentRoutes);
+router.use("/waitlists", waitlistRoutes);
 
 // Discussion and collaboration routes
 router.use("/discussion-forums", discussionForumRoutes);
@@ -1,16 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const institutionController = require('../../controllers/institutionController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public route
 router.get('/:id', institutionController.getInstitutionDetails);
 
 // Protected routes
 router.use(protect);
-router.post('/', restrictTo('admin'), institutionController.createInstitution);
-router.patch('/:id', restrictTo('admin'), institutionController.updateInstitution);
-router.delete('/:id', restrictTo('admin'), institutionController.deleteInstitution);
-router.post('/:institutionId/teachers/:teacherId', restrictTo('admin'), institutionController.addTeacherToInstitution);
+router.post('/', authorize('institution:manage'), institutionController.createInstitution);
+router.patch('/:id', authorize('institution:edit'), institutionController.updateInstitution);
+router.delete('/:id', authorize('institution:manage'), institutionController.deleteInstitution);
+router.post(
+  '/:id/roster-imports',
+  authorize('roster:import'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  institutionController.importRoster
+);
+router.get('/:id/oneroster', authorize('oneroster:sync'), institutionController.exportOneRoster);
+router.post(
+  '/:id/oneroster',
+  authorize('oneroster:sync'),
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' }),
+  institutionController.importOneRoster
+);
+router.post('/:institutionId/teachers/:teacherId', authorize('institution:manage', { param: 'institutionId' }), institutionController.addTeacherToInstitution);
 
 module.exports = router;
\ No newline at end of file
@@ -1,22 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const learningAnalyticsController = require('../../controllers/learningAnalyticsController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
 
 // Routes for viewing analytics
-router.get('/:id', learningAnalyticsController.getAnalyticsById);
-router.get('/student/:studentId', learningAnalyticsController.getStudentAnalytics);
-router.get('/entity/:entityType/:entityId', restrictTo('admin', 'teacher'), learningAnalyticsController.getEntityAnalytics);
+router.get('/:id', authorize('student:analytics'), learningAnalyticsController.getAnalyticsById);
+router.get('/student/:studentId', authorize('student:analytics', { resource: 'student', param: 'studentId' }), learningAnalyticsController.getStudentAnalytics);
+router.get('/entity/:entityType/:entityId', authorize('analytics:manage'), learningAnalyticsController.getEntityAnalytics);
 
 // Routes for generating analytics
-router.post('/student/:studentId/course/:courseId/generate', learningAnalyticsController.generateCoursePerformanceAnalytics);
-router.get('/class/:classId/performance', restrictTo('admin', 'teacher'), learningAnalyticsController.getClassPerformanceAnalytics);
+router.post('/student/:studentId/course/:courseId/generate', authorize('student:analytics', { resource: 'student', param: 'studentId' }), learningAnalyticsController.generateCoursePerformanceAnalytics);
+router.get('/class/:classId/performance', authorize('analytics:view-class', { param: 'classId' }), learningAnalyticsController.getClassPerformanceAnalytics);
 
 // Routes for managing analytics (teachers and admins only)
-router.post('/', restrictTo('admin', 'teacher'), learningAnalyticsController.createOrUpdateAnalytics);
-router.delete('/:id', restrictTo('admin', 'teacher'), learningAnalyticsController.deleteAnalytics);
+router.post('/', authorize('analytics:manage'), learningAnalyticsController.createOrUpdateAnalytics);
+router.delete('/:id', authorize('analytics:manage'), learningAnalyticsController.deleteAnalytics);
 
 module.exports = router;
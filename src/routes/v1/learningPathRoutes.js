@@ -1,19 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const learningPathController = require('../../controllers/learningPathController');
-const { protect } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
 
 // Learning path routes
 router.get('/:id', learningPathController.getLearningPathById);
-router.get('/student/:studentId', learningPathController.getStudentLearningPaths);
-router.post('/student/:studentId/course/:courseId/generate', learningPathController.generateLearningPath);
+router.get('/student/:studentId', authorize('student:view', { param: 'studentId' }), learningPathController.getStudentLearningPaths);
+router.post('/student/:studentId/course/:courseId/generate', authorize('student:view', { param: 'studentId' }), learningPathController.generateLearningPath);
 
 // Recommendation routes
-router.get('/student/:studentId/recommendations', learningPathController.getStudentRecommendations);
-router.get('/student/:studentId/recommendations/courses', learningPathController.getCourseRecommendations);
-router.get('/student/:studentId/course/:courseId/recommendations/content', learningPathController.getContentRecommendations);
+router.get('/student/:studentId/recommendations', authorize('student:view', { param: 'studentId' }), learningPathController.getStudentRecommendations);
+router.get('/student/:studentId/recommendations/courses', authorize('student:view', { param: 'studentId' }), learningPathController.getCourseRecommendations);
+router.get('/student/:studentId/course/:courseId/recommendations/content', authorize('student:view', { param: 'studentId' }), learningPathController.getContentRecommendations);
 
 module.exports = router;
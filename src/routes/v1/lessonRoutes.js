@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const lessonController = require('../../controllers/lessonController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
@@ -9,14 +9,14 @@ router.use(protect);
 // Get lesson by ID
 router.get('/:id', lessonController.getLessonById);
 
-// Update and delete lessons (authorization check in controller)
-router.patch('/:id', restrictTo('teacher', 'admin'), lessonController.updateLesson);
-router.delete('/:id', restrictTo('teacher', 'admin'), lessonController.deleteLesson);
+// Update and delete lessons (owners of the lesson's course only)
+router.patch('/:id', authorize('course:edit', { resource: 'lesson' }), lessonController.updateLesson);
+router.delete('/:id', authorize('course:edit', { resource: 'lesson' }), lessonController.deleteLesson);
 
 // Learning objectives
-router.post('/:id/objectives', restrictTo('teacher', 'admin'), lessonController.addLearningObjectives);
+router.post('/:id/objectives', authorize('course:edit', { resource: 'lesson' }), lessonController.addLearningObjectives);
 
 // Lesson order management
-router.patch('/course/:courseId/order', restrictTo('teacher', 'admin'), lessonController.updateLessonOrder);
+router.patch('/course/:courseId/order', authorize('course:edit', { param: 'courseId' }), lessonController.updateLessonOrder);
 
 module.exports = router;
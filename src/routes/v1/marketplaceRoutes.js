@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const marketplaceController = require('../../controllers/marketplaceController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public routes for browsing services
 router.get('/services', marketplaceController.getAllServices);
@@ -13,17 +13,17 @@ router.get('/teachers/:teacherId/check-availability', marketplaceController.chec
 router.use(protect);
 
 // Service management (teachers only)
-router.post('/services', restrictTo('teacher'), marketplaceController.createTeacherService);
-router.patch('/services/:id', restrictTo('teacher', 'admin'), marketplaceController.updateService);
-router.delete('/services/:id', restrictTo('teacher', 'admin'), marketplaceController.deleteService);
+router.post('/services', authorize('marketplace:offer'), marketplaceController.createTeacherService);
+router.patch('/services/:id', authorize('marketplace:manage'), marketplaceController.updateService);
+router.delete('/services/:id', authorize('marketplace:manage'), marketplaceController.deleteService);
 
 // Booking management
-router.post('/services/:id/book', restrictTo('student'), marketplaceController.bookService);
-router.get('/bookings/:id', restrictTo('student', 'teacher', 'admin'), marketplaceController.getBookingById);
-router.patch('/bookings/:id/status', restrictTo('student', 'teacher', 'admin'), marketplaceController.updateBookingStatus);
+router.post('/services/:id/book', authorize('marketplace:book'), marketplaceController.bookService);
+router.get('/bookings/:id', authorize('marketplace:view-booking'), marketplaceController.getBookingById);
+router.patch('/bookings/:id/status', authorize('marketplace:update-booking'), marketplaceController.updateBookingStatus);
 router.get('/bookings', marketplaceController.getUserBookings);
 
 // Teacher availability management
-router.post('/availability', restrictTo('teacher'), marketplaceController.setTeacherAvailability);
+router.post('/availability', authorize('marketplace:offer'), marketplaceController.setTeacherAvailability);
 
 module.exports = router;
@@ -1,22 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const parentNotificationController = require('../../controllers/parentNotificationController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
 
 // Routes for viewing notifications
-router.get('/:id', restrictTo('parent', 'teacher', 'admin'), parentNotificationController.getNotificationById);
-router.get('/parent/:parentId', restrictTo('parent', 'teacher', 'admin'), parentNotificationController.getParentNotifications);
-router.get('/student/:studentId', restrictTo('student', 'teacher', 'admin'), parentNotificationController.getStudentNotifications);
-router.get('/parent/:parentId/unread', restrictTo('parent', 'teacher', 'admin'), parentNotificationController.getUnreadCount);
+router.get('/:id', authorize('notification:view'), parentNotificationController.getNotificationById);
+router.get('/parent/:parentId', authorize('notification:view', { resource: 'parent', param: 'parentId' }), parentNotificationController.getParentNotifications);
+router.get('/student/:studentId', authorize('notification:view-student', { param: 'studentId' }), parentNotificationController.getStudentNotifications);
+router.get('/parent/:parentId/unread', authorize('notification:view', { resource: 'parent', param: 'parentId' }), parentNotificationController.getUnreadCount);
 
 // Routes for managing notifications
-router.post('/', restrictTo('teacher', 'admin'), parentNotificationController.createNotification);
-router.patch('/:id', restrictTo('parent', 'teacher', 'admin'), parentNotificationController.updateNotification);
-router.patch('/:id/read', restrictTo('parent', 'teacher', 'admin'), parentNotificationController.markAsRead);
-router.patch('/parent/:parentId/read-all', restrictTo('parent', 'teacher', 'admin'), parentNotificationController.markAllAsRead);
-router.delete('/:id', restrictTo('parent', 'teacher', 'admin'), parentNotificationController.deleteNotification);
+router.post('/', authorize('notification:create'), parentNotificationController.createNotification);
+router.patch('/:id', authorize('notification:manage'), parentNotificationController.updateNotification);
+router.patch('/:id/read', authorize('notification:manage'), parentNotificationController.markAsRead);
+router.patch('/parent/:parentId/read-all', authorize('notification:manage', { resource: 'parent', param: 'parentId' }), parentNotificationController.markAllAsRead);
+router.delete('/:id', authorize('notification:manage'), parentNotificationController.deleteNotification);
 
 module.exports = router;
@@ -1,21 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const pollController = require('../../controllers/pollController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
 
 // Poll routes
-router.post('/', restrictTo('teacher', 'admin'), pollController.createPoll);
-router.get('/teacher', restrictTo('teacher', 'admin'), pollController.getTeacherPolls);
+router.post('/', authorize('poll:manage'), pollController.createPoll);
+router.get('/teacher', authorize('poll:manage'), pollController.getTeacherPolls);
 router.get('/active', pollController.getActivePolls);
 router.get('/:id', pollController.getPollById);
-router.patch('/:id', restrictTo('teacher', 'admin'), pollController.updatePoll);
-router.delete('/:id', restrictTo('teacher', 'admin'), pollController.deletePoll);
+router.patch('/:id', authorize('poll:manage'), pollController.updatePoll);
+router.delete('/:id', authorize('poll:manage'), pollController.deletePoll);
 
 // Poll response routes
-router.post('/:id/responses', restrictTo('student'), pollController.submitPollResponse);
-router.get('/:id/results', restrictTo('teacher', 'admin'), pollController.getPollResults);
+router.post('/:id/responses', authorize('poll:respond'), pollController.submitPollResponse);
+router.get('/:id/results', authorize('poll:manage'), pollController.getPollResults);
 
 module.exports = router;
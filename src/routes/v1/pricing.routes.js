@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const { check } = require("express-validator");
-const { authJwt } = require("../../middlewares/auth");
 const { pricingController } = require("../../controllers/pricingController");
 
 /**
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const questionBankController = require('../../controllers/questionBankController');
+const { protect, authorize } = require('../../middlewares/auth');
+
+// All question bank routes require authentication
+router.use(protect);
+
+// Bank routes
+router.get('/', authorize('questionBank:list'), questionBankController.getBanks);
+router.post('/', authorize('questionBank:create'), questionBankController.createBank);
+router.get('/:id', authorize('questionBank:view'), questionBankController.getBankById);
+router.patch('/:id', authorize('questionBank:edit'), questionBankController.updateBank);
+router.delete('/:id', authorize('questionBank:edit'), questionBankController.deleteBank);
+
+// Question routes
+router.get('/:id/questions', authorize('questionBank:view'), questionBankController.getQuestions);
+router.post('/:id/questions', authorize('questionBank:edit'), questionBankController.addQuestion);
+router.patch('/questions/:questionId', authorize('questionBank:edit', { resource: 'bankQuestion', param: 'questionId' }), questionBankController.updateQuestion);
+router.delete('/questions/:questionId', authorize('questionBank:edit', { resource: 'bankQuestion', param: 'questionId' }), questionBankController.deleteQuestion);
+
+module.exports = router;
@@ -1,22 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const quizController = require('../../controllers/quizController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
 
 // Quiz routes
-router.post('/', restrictTo('teacher', 'admin'), quizController.createQuiz);
-router.get('/course/:courseId', restrictTo('teacher', 'admin'), quizController.getQuizzesByCourse);
-router.get('/:id', restrictTo('teacher', 'admin'), quizController.getQuizById);
-router.patch('/:id', restrictTo('teacher', 'admin'), quizController.updateQuiz);
-router.delete('/:id', restrictTo('teacher', 'admin'), quizController.deleteQuiz);
+router.post('/', authorize('quiz:manage', { resource: 'course', body: 'courseId' }), quizController.createQuiz);
+router.post(
+  '/import/qti',
+  authorize('quiz:manage', { resource: 'course', query: 'courseId' }),
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' }),
+  quizController.importQti
+);
+router.get('/course/:courseId', authorize('quiz:manage', { resource: 'course', param: 'courseId' }), quizController.getQuizzesByCourse);
+router.get('/course/:courseId/available', authorize('quiz:take'), quizController.getCourseQuizzesForStudent);
+router.get('/:id', authorize('quiz:view'), quizController.getQuizById);
+router.patch('/:id', authorize('quiz:manage'), quizController.updateQuiz);
+router.delete('/:id', authorize('quiz:manage'), quizController.deleteQuiz);
+router.get('/:id/qti', authorize('quiz:manage'), quizController.exportQti);
 
 // Question routes
-router.post('/:id/questions', restrictTo('teacher', 'admin'), quizController.addQuestionToQuiz);
-router.get('/questions/:questionId', restrictTo('teacher', 'admin'), quizController.getQuestionById);
-router.patch('/questions/:questionId', restrictTo('teacher', 'admin'), quizController.updateQuestion);
-router.delete('/questions/:questionId', restrictTo('teacher', 'admin'), quizController.deleteQuestion);
+router.post('/:id/questions', authorize('quiz:manage'), quizController.addQuestionToQuiz);
+router.post('/:id/questions/from-bank', authorize('quiz:manage'), quizController.addBankQuestions);
+router.post(
+  '/:id/questions/import',
+  authorize('quiz:manage'),
+  express.text({ type: ['text/plain', 'text/*'], limit: '1mb' }),
+  quizController.importQuestions
+);
+router.get('/questions/:questionId', authorize('quiz:manage', { resource: 'quizQuestion', param: 'questionId' }), quizController.getQuestionById);
+router.patch('/questions/:questionId', authorize('quiz:manage', { resource: 'quizQuestion', param: 'questionId' }), quizController.updateQuestion);
+router.delete('/questions/:questionId', authorize('quiz:manage', { resource: 'quizQuestion', param: 'questionId' }), quizController.deleteQuestion);
+
+// Taking quizzes (students start or resume, answer question by question, then submit)
+router.post('/:id/attempts', authorize('quiz:take'), quizController.startAttempt);
+router.get('/:id/attempts/mine', authorize('quiz:take'), quizController.getMyAttempts);
+router.get('/:id/attempts', authorize('quiz:manage'), quizController.getQuizAttempts);
+router.get('/attempts/:attemptId', authorize('quiz:view-attempt', { param: 'attemptId' }), quizController.getAttempt);
+router.put('/attempts/:attemptId/responses', authorize('quiz:take'), quizController.submitResponse);
+router.post('/attempts/:attemptId/submit', authorize('quiz:take'), quizController.submitAttempt);
 
 module.exports = router;
@@ -1,20 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const studentProgressReportController = require('../../controllers/studentProgressReportController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // All routes require authentication
 router.use(protect);
 
 // Routes for viewing reports
-router.get('/:id', restrictTo('student', 'parent', 'teacher', 'admin'), studentProgressReportController.getReportById);
-router.get('/student/:studentId', restrictTo('student', 'parent', 'teacher', 'admin'), studentProgressReportController.getStudentReports);
-router.get('/teacher/:teacherId', restrictTo('teacher', 'admin'), studentProgressReportController.getTeacherReports);
-router.get('/student/:studentId/comprehensive', restrictTo('student', 'parent', 'teacher', 'admin'), studentProgressReportController.generateComprehensiveReport);
+router.get('/:id', authorize('report:view'), studentProgressReportController.getReportById);
+router.get('/student/:studentId', authorize('report:view', { resource: 'student', param: 'studentId' }), studentProgressReportController.getStudentReports);
+router.get('/teacher/:teacherId', authorize('report:view-teacher', { param: 'teacherId' }), studentProgressReportController.getTeacherReports);
+router.get('/student/:studentId/comprehensive', authorize('report:view', { resource: 'student', param: 'studentId' }), studentProgressReportController.generateComprehensiveReport);
 
 // Routes for managing reports (teachers and admins only)
-router.post('/', restrictTo('teacher', 'admin'), studentProgressReportController.createReport);
-router.patch('/:id', restrictTo('teacher', 'admin'), studentProgressReportController.updateReport);
-router.delete('/:id', restrictTo('teacher', 'admin'), studentProgressReportController.deleteReport);
+router.post('/', authorize('report:manage', { resource: 'student', body: 'studentId' }), studentProgressReportController.createReport);
+router.patch('/:id', authorize('report:manage'), studentProgressReportController.updateReport);
+router.delete('/:id', authorize('report:manage'), studentProgressReportController.deleteReport);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const teacherProfileController = require('../../controllers/teacherProfileController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public routes
 router.get('/', teacherProfileController.getAllProfiles);
@@ -10,7 +10,7 @@ router.get('/teacher/:teacherId', teacherProfileController.getProfileByTeacherId
 
 // Protected routes - only authenticated teachers can access
 router.use(protect);
-router.use(restrictTo('teacher'));
+router.use(authorize('teacher-profile:manage'));
 
 router.post('/', teacherProfileController.createProfile);
 router.patch('/:id', teacherProfileController.updateProfile);
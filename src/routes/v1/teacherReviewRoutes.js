@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const teacherReviewController = require('../../controllers/teacherReviewController');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public routes
 router.get('/teacher/:teacherId', teacherReviewController.getTeacherReviews);
@@ -11,15 +11,15 @@ router.get('/:id', teacherReviewController.getReviewById);
 router.use(protect);
 
 // Student routes
-router.post('/', restrictTo('student'), teacherReviewController.createReview);
+router.post('/', authorize('review:create'), teacherReviewController.createReview);
 router.get('/student/:studentId', teacherReviewController.getStudentReviews);
 router.patch('/:id', teacherReviewController.updateReview);
 router.delete('/:id', teacherReviewController.deleteReview);
 
 // Teacher routes
-router.post('/:id/response', restrictTo('teacher'), teacherReviewController.addTeacherResponse);
+router.post('/:id/response', authorize('review:respond'), teacherReviewController.addTeacherResponse);
 
 // Admin routes
-router.patch('/:id/moderate', restrictTo('admin'), teacherReviewController.moderateReview);
+router.patch('/:id/moderate', authorize('review:moderate'), teacherReviewController.moderateReview);
 
 module.exports = router;
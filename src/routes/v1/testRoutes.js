@@ -1,7 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const protect = require('../../middlewares/auth').protect;
-const restrictTo = require('../../middlewares/auth/restrictTo');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Public route - no authentication required
 router.get('/public', (req, res) => {
@@ -25,7 +24,7 @@ router.get('/protected', protect, (req, res) => {
 });
 
 // Admin only route - requires authentication and admin role
-router.get('/admin', protect, restrictTo('admin'), (req, res) => {
+router.get('/admin', protect, authorize('admin:access'), (req, res) => {
   res.status(200).json({
     status: 'success',
     message: 'You are an admin!'
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const twoFactorController = require('../../controllers/twoFactorController');
+const { protect, authorize, allowTwoFactorSetup } = require('../../middlewares/auth');
+
+// Enrollment also accepts the setup token issued when a policy forces 2FA at login
+router.post('/setup', allowTwoFactorSetup, twoFactorController.beginSetup);
+router.post('/enable', allowTwoFactorSetup, twoFactorController.enable);
+
+router.use(protect);
+
+router.get('/', twoFactorController.getStatus);
+router.post('/disable', twoFactorController.disable);
+router.post('/recovery-codes', twoFactorController.regenerateRecoveryCodes);
+
+// Enforcement policies
+router.get('/policies', authorize('two-factor-policy:manage'), twoFactorController.getPolicies);
+router.put('/policies', authorize('two-factor-policy:manage'), twoFactorController.setPolicy);
+router.delete('/policies/:policyId', authorize('two-factor-policy:manage'), twoFactorController.deletePolicy);
+
+module.exports = router;
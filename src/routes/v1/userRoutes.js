@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../../controllers/userController');
-const { protect } = require('../../middlewares/auth');
-const restrictTo = require('../../middlewares/auth/restrictTo');
+const { protect, authorize } = require('../../middlewares/auth');
 
 // Routes for authenticated users
 router.get('/me', protect, userController.getMe);
 router.patch('/updateMe', protect, userController.updateMe);
 
+// Device sessions
+router.get('/me/sessions', protect, userController.getMySessions);
+router.delete('/me/sessions', protect, userController.revokeAllMySessions);
+router.delete('/me/sessions/:sessionId', protect, userController.revokeMySession);
+
 // Admin only routes
-router.get('/', restrictTo('admin'), userController.getAllUsers);
+router.get('/', protect, authorize('user:list'), userController.getAllUsers);
 
 module.exports = router;
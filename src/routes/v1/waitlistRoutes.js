@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../../controllers/waitlistController');
+const { protect, authorize } = require('../../middlewares/auth');
+
+// All waitlist routes require authentication
+router.use(protect);
+
+// Join the waitlist of a full course (same rules as enrolling)
+router.post('/', authorize('enrollment:create', { body: 'courseId' }), waitlistController.joinWaitlist);
+
+// View waitlists
+router.get('/student/:studentId', authorize('enrollment:view-student', { param: 'studentId' }), waitlistController.getStudentWaitlists);
+router.get('/course/:courseId', authorize('enrollment:view-course', { param: 'courseId' }), waitlistController.getCourseWaitlist);
+router.get('/:id', authorize('waitlist:view'), waitlistController.getEntryById);
+
+// Claim an offered seat, or leave the waitlist
+router.post('/:id/claim', authorize('waitlist:claim'), waitlistController.claimOffer);
+router.delete('/:id', authorize('waitlist:leave'), waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,743 @@
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const {
+  AcademicSessions,
+  Holidays,
+  Classes,
+  ClassMeetings,
+  ClassEnrollments,
+  ClassTeachers,
+  Courses,
+  Students
+} = models;
+
+// Which session types each type may be nested in (a grading period inside a term, ...)
+const PARENT_TYPES = {
+  schoolYear: [],
+  semester: ['schoolYear'],
+  term: ['schoolYear', 'semester'],
+  gradingPeriod: ['schoolYear', 'semester', 'term']
+};
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Longest range the timetable expands into individual meetings
+const MAX_OCCURRENCE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sessionAttributes = ['academicSessionId', 'title', 'type', 'startDate', 'endDate'];
+
+/**
+ * Reduce a date or timestamp to its calendar day
+ * @param {Date|string} value - The date
+ * @returns {string} - The day as YYYY-MM-DD (timestamps are read in UTC)
+ */
+const toDay = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  return new Date(value).toISOString().slice(0, 10);
+};
+
+/**
+ * ISO weekday of a calendar day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {number} - 1 = Monday ... 7 = Sunday
+ */
+const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay() || 7;
+
+/**
+ * Pad HH:MM to HH:MM:SS so times compare as strings
+ * @param {string} time - The time
+ * @returns {string} - The time with seconds
+ */
+const normalizeTime = (time) => (time && time.length === 5 ? `${time}:00` : time);
+
+/**
+ * Map Sequelize validation and unique-constraint errors to a 400 AppError
+ * @param {Error} err - The error
+ * @returns {Error} - The error to throw
+ */
+const toAppError = (err) => {
+  if (err.name === 'SequelizeValidationError' || err.name === 'SequelizeUniqueConstraintError') {
+    const messages = err.errors ? err.errors.map(e => e.message).join(', ') : err.message;
+    return new AppError(`Validation Error: ${messages}`, 400);
+  }
+  return err;
+};
+
+/**
+ * Load an academic session or fail with a 404
+ * @param {number} academicSessionId - The academic session ID
+ * @param {Object} transaction - The open transaction, if any
+ * @returns {Promise<Object>} - The session
+ */
+const findSession = async (academicSessionId, transaction) => {
+  const session = await AcademicSessions.findByPk(academicSessionId, { transaction });
+
+  if (!session) {
+    throw new AppError('Academic session not found', 404);
+  }
+
+  return session;
+};
+
+/**
+ * Check that a date range lies inside a session
+ * @param {Object} session - The academic session
+ * @param {string} startDate - First day of the range
+ * @param {string} endDate - Last day of the range
+ * @param {string} what - What the range is, for the error message
+ */
+const assertWithin = (session, startDate, endDate, what) => {
+  if (toDay(startDate) < toDay(session.startDate) || toDay(endDate) > toDay(session.endDate)) {
+    throw new AppError(
+      `${what} must fall within ${session.title} (${toDay(session.startDate)} to ${toDay(session.endDate)})`,
+      400
+    );
+  }
+};
+
+/**
+ * Check a session's dates and its place in the calendar hierarchy
+ * @param {Object} data - institutionId, parentId, type, startDate, endDate of the session
+ * @param {Object} transaction - The open transaction, if any
+ */
+const assertSessionFits = async ({ institutionId, parentId, type, startDate, endDate }, transaction) => {
+  if (toDay(endDate) < toDay(startDate)) {
+    throw new AppError('The end date cannot be before the start date', 400);
+  }
+
+  if (parentId === null || parentId === undefined) {
+    return;
+  }
+
+  const parent = await AcademicSessions.findOne({ where: { academicSessionId: parentId, institutionId }, transaction });
+  if (!parent) {
+    throw new AppError('Parent session not found for this institution', 400);
+  }
+  if (!PARENT_TYPES[type].includes(parent.type)) {
+    throw new AppError(`A ${type} cannot be placed inside a ${parent.type}`, 400);
+  }
+
+  assertWithin(parent, startDate, endDate, `A ${type}`);
+};
+
+/**
+ * Find the institution an exam is scheduled at, with its class if it has one
+ * @param {Object} exam - classId and courseId of the exam
+ * @returns {Promise<Object>} - { institutionId, cls }; institutionId is null for marketplace courses
+ */
+const findExamInstitution = async ({ classId, courseId }) => {
+  if (classId) {
+    const cls = await Classes.findByPk(classId, {
+      include: [{ model: AcademicSessions, as: 'academicSession', attributes: sessionAttributes }]
+    });
+    if (!cls) {
+      throw new AppError('Class not found', 404);
+    }
+    return { institutionId: cls.institutionId, cls };
+  }
+
+  const course = courseId ? await Courses.findByPk(courseId, { attributes: ['courseId', 'institutionId'] }) : null;
+  return { institutionId: course ? course.institutionId : null, cls: null };
+};
+
+/**
+ * Academic calendars (school years, terms, grading periods and holidays) and weekly class timetables
+ * Attendance, progress reports and exam scheduling check dates against the calendar through
+ * the assert/resolve helpers below.
+ */
+const academicCalendarService = {
+  WEEKDAYS,
+
+  /**
+   * Get an institution's calendar: its sessions and holidays, optionally limited to a date range
+   * @param {number} institutionId - The institution ID
+   * @param {Object} filters - from, to (YYYY-MM-DD), type
+   * @returns {Promise<Object>} - { sessions, holidays }
+   */
+  async getCalendar(institutionId, { from, to, type } = {}) {
+    const overlap = {};
+    if (from) {
+      overlap.endDate = { [Op.gte]: from };
+    }
+    if (to) {
+      overlap.startDate = { [Op.lte]: to };
+    }
+
+    const sessionWhere = { institutionId, ...overlap };
+    if (type) {
+      sessionWhere.type = type;
+    }
+
+    const [sessions, holidays] = await Promise.all([
+      AcademicSessions.findAll({ where: sessionWhere, order: [['startDate', 'ASC'], ['academicSessionId', 'ASC']] }),
+      Holidays.findAll({ where: { institutionId, ...overlap }, order: [['startDate', 'ASC']] })
+    ]);
+
+    return { sessions, holidays };
+  },
+
+  /**
+   * Get an academic session with its parent, sub-sessions and holidays
+   * @param {number} academicSessionId - The academic session ID
+   * @returns {Promise<Object>} - The session
+   */
+  async getSessionById(academicSessionId) {
+    const session = await AcademicSessions.findByPk(academicSessionId, {
+      include: [
+        { model: AcademicSessions, as: 'parent', attributes: sessionAttributes },
+        { model: AcademicSessions, as: 'children', attributes: sessionAttributes },
+        { model: Holidays, as: 'holidays' }
+      ],
+      order: [[{ model: AcademicSessions, as: 'children' }, 'startDate', 'ASC']]
+    });
+
+    if (!session) {
+      throw new AppError('Academic session not found', 404);
+    }
+
+    return session;
+  },
+
+  /**
+   * Create a school year, semester, term or grading period
+   * @param {Object} sessionData - institutionId, parentId, title, type, startDate, endDate, schoolYear
+   * @returns {Promise<Object>} - The created session
+   */
+  async createSession(sessionData) {
+    try {
+      await assertSessionFits(sessionData);
+      return await AcademicSessions.create(sessionData);
+    } catch (err) {
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Update a session; its sub-sessions must still fit inside the new dates
+   * @param {number} academicSessionId - The academic session ID
+   * @param {Object} updateData - parentId, title, type, startDate, endDate, schoolYear
+   * @returns {Promise<Object>} - The updated session
+   */
+  async updateSession(academicSessionId, updateData) {
+    const transaction = await sequelize.transaction();
+    try {
+      const session = await findSession(academicSessionId, transaction);
+      const { institutionId, ...changes } = updateData;
+
+      if (institutionId !== undefined && Number(institutionId) !== session.institutionId) {
+        throw new AppError('A session cannot be moved to another institution', 400);
+      }
+      if (changes.parentId !== undefined && changes.parentId !== null && Number(changes.parentId) === session.academicSessionId) {
+        throw new AppError('A session cannot be its own parent', 400);
+      }
+
+      const merged = {
+        institutionId: session.institutionId,
+        parentId: changes.parentId !== undefined ? changes.parentId : session.parentId,
+        type: changes.type || session.type,
+        startDate: changes.startDate || session.startDate,
+        endDate: changes.endDate || session.endDate
+      };
+      await assertSessionFits(merged, transaction);
+
+      const children = await AcademicSessions.findAll({ where: { parentId: session.academicSessionId }, transaction });
+      children.forEach((child) => {
+        if (!PARENT_TYPES[child.type].includes(merged.type)) {
+          throw new AppError(`${child.title} (a ${child.type}) cannot be placed inside a ${merged.type}`, 400);
+        }
+        if (toDay(child.startDate) < toDay(merged.startDate) || toDay(child.endDate) > toDay(merged.endDate)) {
+          throw new AppError(`${child.title} would no longer fall within this session`, 400);
+        }
+      });
+
+      await session.update(changes, { transaction });
+      await transaction.commit();
+      return session;
+    } catch (err) {
+      await transaction.rollback();
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Delete a session that has no sub-sessions and no classes
+   * Its holidays stay on the institution's calendar.
+   * @param {number} academicSessionId - The academic session ID
+   * @returns {Promise<void>}
+   */
+  async deleteSession(academicSessionId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const session = await findSession(academicSessionId, transaction);
+
+      const [children, classes] = await Promise.all([
+        AcademicSessions.count({ where: { parentId: session.academicSessionId }, transaction }),
+        Classes.count({ where: { academicSessionId: session.academicSessionId }, transaction })
+      ]);
+      if (children > 0 || classes > 0) {
+        throw new AppError('This session still has sub-sessions or classes; move or delete them first', 409);
+      }
+
+      await Holidays.update({ academicSessionId: null }, { where: { academicSessionId: session.academicSessionId }, transaction });
+      await session.destroy({ transaction });
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Add a holiday (one day or a break of several days) to an institution's calendar
+   * @param {Object} holidayData - institutionId, academicSessionId, title, startDate, endDate, description
+   * @returns {Promise<Object>} - The created holiday
+   */
+  async createHoliday(holidayData) {
+    const data = { ...holidayData, endDate: holidayData.endDate || holidayData.startDate };
+
+    try {
+      await this.assertHolidayFits(data);
+      return await Holidays.create(data);
+    } catch (err) {
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Update a holiday
+   * @param {number} holidayId - The holiday ID
+   * @param {Object} updateData - academicSessionId, title, startDate, endDate, description
+   * @returns {Promise<Object>} - The updated holiday
+   */
+  async updateHoliday(holidayId, updateData) {
+    const holiday = await Holidays.findByPk(holidayId);
+
+    if (!holiday) {
+      throw new AppError('Holiday not found', 404);
+    }
+
+    const { institutionId, ...changes } = updateData;
+    if (institutionId !== undefined && Number(institutionId) !== holiday.institutionId) {
+      throw new AppError('A holiday cannot be moved to another institution', 400);
+    }
+
+    try {
+      await this.assertHolidayFits({
+        institutionId: holiday.institutionId,
+        academicSessionId: changes.academicSessionId !== undefined ? changes.academicSessionId : holiday.academicSessionId,
+        startDate: changes.startDate || holiday.startDate,
+        endDate: changes.endDate || holiday.endDate
+      });
+      return await holiday.update(changes);
+    } catch (err) {
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Delete a holiday
+   * @param {number} holidayId - The holiday ID
+   * @returns {Promise<void>}
+   */
+  async deleteHoliday(holidayId) {
+    const holiday = await Holidays.findByPk(holidayId);
+
+    if (!holiday) {
+      throw new AppError('Holiday not found', 404);
+    }
+
+    await holiday.destroy();
+  },
+
+  /**
+   * Check a holiday's dates and, if it is filed under a session, that it falls inside it
+   * @param {Object} holiday - institutionId, academicSessionId, startDate, endDate
+   */
+  async assertHolidayFits({ institutionId, academicSessionId, startDate, endDate }) {
+    if (toDay(endDate) < toDay(startDate)) {
+      throw new AppError('The end date cannot be before the start date', 400);
+    }
+
+    if (academicSessionId === null || academicSessionId === undefined) {
+      return;
+    }
+
+    const session = await AcademicSessions.findOne({ where: { academicSessionId, institutionId } });
+    if (!session) {
+      throw new AppError('Academic session not found for this institution', 400);
+    }
+
+    assertWithin(session, startDate, endDate, 'The holiday');
+  },
+
+  /**
+   * Find the holiday covering a day, if any
+   * @param {number} institutionId - The institution ID
+   * @param {Date|string} date - The day
+   * @returns {Promise<Object|null>} - The holiday
+   */
+  async findHoliday(institutionId, date) {
+    const day = toDay(date);
+
+    return Holidays.findOne({
+      where: { institutionId, startDate: { [Op.lte]: day }, endDate: { [Op.gte]: day } }
+    });
+  },
+
+  /**
+   * Check that a class is held on a day: not a holiday, inside the class's academic session and,
+   * when the class has a timetable, on one of its meeting days
+   * @param {number} classId - The class ID
+   * @param {Date|string} date - The day
+   * @returns {Promise<void>}
+   */
+  async assertClassDay(classId, date) {
+    const day = toDay(date);
+    const cls = await Classes.findByPk(classId, {
+      include: [
+        { model: AcademicSessions, as: 'academicSession', attributes: sessionAttributes },
+        { model: ClassMeetings, as: 'meetings', attributes: ['dayOfWeek'] }
+      ]
+    });
+
+    if (!cls) {
+      throw new AppError('Class not found', 404);
+    }
+
+    const holiday = await this.findHoliday(cls.institutionId, day);
+    if (holiday) {
+      throw new AppError(`${day} is a holiday (${holiday.title}); no class is held`, 400);
+    }
+
+    if (cls.academicSession) {
+      assertWithin(cls.academicSession, day, day, `The date ${day}`);
+    }
+
+    const meetingDays = (cls.meetings || []).map(meeting => meeting.dayOfWeek);
+    if (meetingDays.length > 0 && !meetingDays.includes(weekdayOf(day))) {
+      throw new AppError(`${cls.name} does not meet on ${WEEKDAYS[weekdayOf(day) - 1]}s`, 400);
+    }
+  },
+
+  /**
+   * Work out a progress report's period from its dates and/or academic session
+   * A session fills in missing dates, and the dates must then fall inside it.
+   * @param {Object} report - academicSessionId, periodStart, periodEnd
+   * @param {Object} student - The student the report is about
+   * @returns {Promise<Object>} - { academicSessionId, periodStart, periodEnd }
+   */
+  async resolveReportPeriod({ academicSessionId, periodStart, periodEnd }, student) {
+    let start = periodStart;
+    let end = periodEnd;
+
+    if (academicSessionId !== null && academicSessionId !== undefined) {
+      const session = await AcademicSessions.findOne({ where: { academicSessionId, institutionId: student.institutionId } });
+      if (!session) {
+        throw new AppError('Academic session not found for the student\'s institution', 400);
+      }
+
+      start = start || session.startDate;
+      end = end || session.endDate;
+      assertWithin(session, start, end, 'The report period');
+    }
+
+    if (!start || !end) {
+      throw new AppError('A report needs a period start and end, or an academic session', 400);
+    }
+    if (toDay(end) < toDay(start)) {
+      throw new AppError('The report period cannot end before it starts', 400);
+    }
+
+    return { academicSessionId, periodStart: start, periodEnd: end };
+  },
+
+  /**
+   * Check an exam window against the calendar: it cannot open or close on a holiday and,
+   * for a class exam, must fall inside the class's academic session
+   * Exams of marketplace courses (no institution) are only checked for order.
+   * @param {Object} exam - classId, courseId, startDate, endDate
+   * @returns {Promise<void>}
+   */
+  async assertExamWindow({ classId, courseId, startDate, endDate }) {
+    if (new Date(endDate) <= new Date(startDate)) {
+      throw new AppError('The exam must end after it starts', 400);
+    }
+
+    const { institutionId, cls } = await findExamInstitution({ classId, courseId });
+    if (!institutionId) {
+      return;
+    }
+
+    for (const date of [startDate, endDate]) {
+      const holiday = await this.findHoliday(institutionId, date);
+      if (holiday) {
+        throw new AppError(`Exams cannot open or close on a holiday: ${toDay(date)} is ${holiday.title}`, 400);
+      }
+    }
+
+    if (cls && cls.academicSession) {
+      assertWithin(cls.academicSession, startDate, endDate, 'The exam');
+    }
+  },
+
+  /**
+   * Get a class's weekly timetable
+   * @param {number} classId - The class ID
+   * @returns {Promise<Array>} - The meetings, Monday first
+   */
+  async getClassMeetings(classId) {
+    const cls = await Classes.findByPk(classId);
+
+    if (!cls) {
+      throw new AppError('Class not found', 404);
+    }
+
+    return ClassMeetings.findAll({
+      where: { classId },
+      order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+    });
+  },
+
+  /**
+   * List the dates a class actually meets in a range, skipping holidays and days outside its session
+   * @param {number} classId - The class ID
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Promise<Object>} - { occurrences, holidays }
+   */
+  async getClassOccurrences(classId, from, to) {
+    const days = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS + 1;
+    if (!(days > 0)) {
+      throw new AppError('The range must end on or after its start', 400);
+    }
+    if (days > MAX_OCCURRENCE_DAYS) {
+      throw new AppError(`The range cannot be longer than ${MAX_OCCURRENCE_DAYS} days`, 400);
+    }
+
+    const cls = await Classes.findByPk(classId, {
+      include: [
+        { model: AcademicSessions, as: 'academicSession', attributes: sessionAttributes },
+        { model: ClassMeetings, as: 'meetings' }
+      ]
+    });
+    if (!cls) {
+      throw new AppError('Class not found', 404);
+    }
+
+    let first = from;
+    let last = to;
+    if (cls.academicSession) {
+      first = toDay(cls.academicSession.startDate) > first ? toDay(cls.academicSession.startDate) : first;
+      last = toDay(cls.academicSession.endDate) < last ? toDay(cls.academicSession.endDate) : last;
+    }
+
+    const holidays = await Holidays.findAll({
+      where: { institutionId: cls.institutionId, startDate: { [Op.lte]: to }, endDate: { [Op.gte]: from } },
+      order: [['startDate', 'ASC']]
+    });
+    const isHoliday = day => holidays.some(h => toDay(h.startDate) <= day && toDay(h.endDate) >= day);
+
+    const occurrences = [];
+    for (let time = Date.parse(`${first}T00:00:00Z`); time <= Date.parse(`${last}T00:00:00Z`); time += DAY_MS) {
+      const day = new Date(time).toISOString().slice(0, 10);
+      if (isHoliday(day)) {
+        continue;
+      }
+
+      cls.meetings
+        .filter(meeting => meeting.dayOfWeek === weekdayOf(day))
+        .sort((a, b) => (a.startTime < b.startTime ? -1 : 1))
+        .forEach((meeting) => {
+          occurrences.push({
+            date: day,
+            classMeetingId: meeting.classMeetingId,
+            startTime: meeting.startTime,
+            endTime: meeting.endTime,
+            room: meeting.room
+          });
+        });
+    }
+
+    return { occurrences, holidays };
+  },
+
+  /**
+   * Find meetings of the same session that clash with a meeting, by room or by primary teacher
+   * @param {Object} cls - The class the meeting belongs to
+   * @param {Object} meeting - dayOfWeek, startTime, endTime, room
+   * @param {number} excludeId - A meeting to leave out (the one being updated)
+   * @param {Object} transaction - The open transaction
+   */
+  async assertNoClash(cls, { dayOfWeek, startTime, endTime, room }, excludeId, transaction) {
+    if (normalizeTime(endTime) <= normalizeTime(startTime)) {
+      throw new AppError('A meeting must end after it starts', 400);
+    }
+
+    const where = {
+      dayOfWeek,
+      startTime: { [Op.lt]: normalizeTime(endTime) },
+      endTime: { [Op.gt]: normalizeTime(startTime) }
+    };
+    if (excludeId) {
+      where.classMeetingId = { [Op.ne]: excludeId };
+    }
+
+    const overlapping = await ClassMeetings.findAll({
+      where,
+      include: [{
+        model: Classes,
+        as: 'class',
+        attributes: ['classId', 'name', 'teacherId'],
+        where: { institutionId: cls.institutionId, academicSessionId: cls.academicSessionId }
+      }],
+      transaction
+    });
+
+    const sameClass = overlapping.find(other => other.classId === cls.classId);
+    if (sameClass) {
+      throw new AppError('This overlaps another meeting of the class', 409);
+    }
+
+    const roomClash = room && overlapping.find(other => other.room && other.room.toLowerCase() === room.toLowerCase());
+    if (roomClash) {
+      throw new AppError(`Room ${room} is already used by ${roomClash.class.name} at this time`, 409);
+    }
+
+    const teacherClash = overlapping.find(other => other.class.teacherId === cls.teacherId);
+    if (teacherClash) {
+      throw new AppError(`The class's teacher already teaches ${teacherClash.class.name} at this time`, 409);
+    }
+  },
+
+  /**
+   * Add a weekly meeting to a class's timetable
+   * @param {number} classId - The class ID
+   * @param {Object} meetingData - dayOfWeek, startTime, endTime, room
+   * @returns {Promise<Object>} - The created meeting
+   */
+  async addMeeting(classId, meetingData) {
+    const transaction = await sequelize.transaction();
+    try {
+      const cls = await Classes.findByPk(classId, { transaction });
+      if (!cls) {
+        throw new AppError('Class not found', 404);
+      }
+
+      await this.assertNoClash(cls, meetingData, null, transaction);
+
+      const meeting = await ClassMeetings.create({ ...meetingData, classId: cls.classId }, { transaction });
+      await transaction.commit();
+      return meeting;
+    } catch (err) {
+      await transaction.rollback();
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Update a meeting of a class's timetable
+   * @param {number} classId - The class ID
+   * @param {number} classMeetingId - The meeting ID
+   * @param {Object} updateData - dayOfWeek, startTime, endTime, room
+   * @returns {Promise<Object>} - The updated meeting
+   */
+  async updateMeeting(classId, classMeetingId, updateData) {
+    const transaction = await sequelize.transaction();
+    try {
+      const meeting = await ClassMeetings.findOne({ where: { classMeetingId, classId }, transaction });
+      if (!meeting) {
+        throw new AppError('Meeting not found for this class', 404);
+      }
+
+      const cls = await Classes.findByPk(classId, { transaction });
+      await this.assertNoClash(cls, {
+        dayOfWeek: updateData.dayOfWeek || meeting.dayOfWeek,
+        startTime: updateData.startTime || meeting.startTime,
+        endTime: updateData.endTime || meeting.endTime,
+        room: updateData.room !== undefined ? updateData.room : meeting.room
+      }, meeting.classMeetingId, transaction);
+
+      await meeting.update(updateData, { transaction });
+      await transaction.commit();
+      return meeting;
+    } catch (err) {
+      await transaction.rollback();
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Remove a meeting from a class's timetable
+   * @param {number} classId - The class ID
+   * @param {number} classMeetingId - The meeting ID
+   * @returns {Promise<void>}
+   */
+  async removeMeeting(classId, classMeetingId) {
+    const removed = await ClassMeetings.destroy({ where: { classMeetingId, classId } });
+
+    if (removed === 0) {
+      throw new AppError('Meeting not found for this class', 404);
+    }
+  },
+
+  /**
+   * Get the weekly timetable of a student's current classes
+   * @param {number} studentId - The student ID
+   * @returns {Promise<Array>} - The meetings with their class, Monday first
+   */
+  async getStudentTimetable(studentId) {
+    const student = await Students.findByPk(studentId, { attributes: ['studentId'] });
+    if (!student) {
+      throw new AppError('Student not found', 404);
+    }
+
+    const entries = await ClassEnrollments.findAll({ where: { studentId }, attributes: ['classId'] });
+    return this.getTimetable(entries.map(entry => entry.classId));
+  },
+
+  /**
+   * Get the weekly timetable of the classes a teacher teaches or co-teaches
+   * @param {number} teacherId - The teacher ID
+   * @returns {Promise<Array>} - The meetings with their class, Monday first
+   */
+  async getTeacherTimetable(teacherId) {
+    const [primary, coTaught] = await Promise.all([
+      Classes.findAll({ where: { teacherId }, attributes: ['classId'] }),
+      ClassTeachers.findAll({ where: { teacherId }, attributes: ['classId'] })
+    ]);
+
+    return this.getTimetable([...primary, ...coTaught].map(row => row.classId));
+  },
+
+  /**
+   * Get the meetings of a set of classes
+   * @param {Array<number>} classIds - The class IDs
+   * @returns {Promise<Array>} - The meetings with their class, Monday first
+   */
+  async getTimetable(classIds) {
+    if (classIds.length === 0) {
+      return [];
+    }
+
+    return ClassMeetings.findAll({
+      where: { classId: [...new Set(classIds)] },
+      include: [{
+        model: Classes,
+        as: 'class',
+        attributes: ['classId', 'name', 'teacherId', 'academicSessionId']
+      }],
+      order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+    });
+  }
+};
+
+module.exports = academicCalendarService;
@@ -0,0 +1,274 @@
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const {
+  StudentAccommodations,
+  Students,
+  Exams,
+  ExamStudentAssignments,
+  StudentQuizAttempts,
+  Quizzes
+} = models;
+
+/**
+ * Start the record of what a profile changed
+ * @param {Object} profile - The accommodations profile
+ * @returns {Object} - { accommodationId, planType, hideTimer, applied, skipped, appliedAt } with empty lists
+ */
+const newRecord = (profile) => ({
+  accommodationId: profile.accommodationId,
+  planType: profile.planType,
+  hideTimer: false,
+  applied: [],
+  skipped: [],
+  appliedAt: new Date()
+});
+
+const accommodationService = {
+  /**
+   * Get a student's accommodations profile
+   * @param {number} studentId - The student ID
+   * @returns {Promise<Object>} - The profile
+   */
+  async getProfile(studentId) {
+    const profile = await StudentAccommodations.findOne({ where: { studentId } });
+
+    if (!profile) {
+      throw new AppError('This student has no accommodations profile', 404);
+    }
+
+    return profile;
+  },
+
+  /**
+   * Create or replace a student's accommodations profile
+   * Exams already assigned keep the accommodations they were given.
+   * @param {number} studentId - The student ID
+   * @param {Object} profileData - planType, timeMultiplier, extraAttempts, hideTimer, questionSet, notes
+   * @param {number} updatedBy - The user ID of the teacher or admin
+   * @returns {Promise<Object>} - { profile, created }
+   */
+  async saveProfile(studentId, profileData, updatedBy) {
+    const student = await Students.findByPk(studentId, { attributes: ['studentId'] });
+
+    if (!student) {
+      throw new AppError('Student not found', 404);
+    }
+
+    const values = {
+      planType: null,
+      timeMultiplier: null,
+      extraAttempts: 0,
+      hideTimer: false,
+      questionSet: null,
+      notes: null,
+      ...profileData,
+      updatedBy
+    };
+
+    // A deleted profile still holds the student's place in the unique index, so it is brought back
+    const existing = await StudentAccommodations.findOne({ where: { studentId }, paranoid: false });
+    if (existing) {
+      const deleted = !!existing.deletedAt;
+      if (deleted) {
+        await existing.restore();
+      }
+      return { profile: await existing.update(values), created: deleted };
+    }
+
+    return { profile: await StudentAccommodations.create({ ...values, studentId }), created: true };
+  },
+
+  /**
+   * Remove a student's accommodations profile
+   * @param {number} studentId - The student ID
+   * @returns {Promise<boolean>} - True once removed
+   */
+  async deleteProfile(studentId) {
+    const profile = await this.getProfile(studentId);
+    await profile.destroy();
+    return true;
+  },
+
+  /**
+   * Load the profiles of several students
+   * @param {Array<number>} studentIds - The student IDs
+   * @param {Object} transaction - The open transaction, if any
+   * @returns {Promise<Map>} - Profiles by student ID (students without one are left out)
+   */
+  async findProfiles(studentIds, transaction) {
+    const profiles = await StudentAccommodations.findAll({ where: { studentId: studentIds }, transaction });
+    return new Map(profiles.map(profile => [profile.studentId, profile]));
+  },
+
+  /**
+   * Work out how a profile changes one student's exam assignment
+   * Extended time lengthens the duration and moves the end date back by the extra minutes, and extra
+   * attempts are added to the exam's, unless the teacher set them for this assignment.
+   * @param {Object|null} profile - The student's profile
+   * @param {Object} exam - The exam (duration, endDate, maxAttempts)
+   * @param {Object} assignment - customDuration, customEndDate and customMaxAttempts set by the teacher,
+   * the exam's alternate questionSets, and paperSet when the student's questions are already chosen
+   * @returns {Object} - { customDuration, customEndDate, customMaxAttempts, questionSet, accommodations };
+   * accommodations is null without a profile
+   */
+  forExamAssignment(profile, exam, { customDuration, customEndDate, customMaxAttempts, questionSets = [], paperSet = false } = {}) {
+    const plan = { customDuration, customEndDate, customMaxAttempts, questionSet: null, accommodations: null };
+
+    if (!profile) {
+      return plan;
+    }
+
+    const record = newRecord(profile);
+    const multiplier = Number(profile.timeMultiplier);
+
+    if (multiplier > 1) {
+      if (customDuration) {
+        record.skipped.push({ accommodation: 'extended_time', reason: 'The assignment already has a custom duration' });
+      } else {
+        const minutes = Math.ceil(exam.duration * multiplier);
+        plan.customDuration = minutes;
+        if (!customEndDate) {
+          plan.customEndDate = new Date(new Date(exam.endDate).getTime() + (minutes - exam.duration) * 60 * 1000);
+        }
+        record.applied.push({ accommodation: 'extended_time', detail: `${minutes} minutes instead of ${exam.duration} (${multiplier}x)` });
+      }
+    }
+
+    if (profile.hideTimer) {
+      record.hideTimer = true;
+      record.applied.push({ accommodation: 'hidden_timer', detail: 'The countdown is not shown; the deadline still applies' });
+    }
+
+    if (profile.extraAttempts > 0) {
+      if (customMaxAttempts) {
+        record.skipped.push({ accommodation: 'extra_attempts', reason: 'The assignment already has a custom number of attempts' });
+      } else {
+        const examAttempts = exam.maxAttempts || 1;
+        plan.customMaxAttempts = examAttempts + profile.extraAttempts;
+        record.applied.push({ accommodation: 'extra_attempts', detail: `${plan.customMaxAttempts} attempts instead of ${examAttempts}` });
+      }
+    }
+
+    if (profile.questionSet) {
+      if (paperSet) {
+        record.skipped.push({ accommodation: 'alternate_questions', reason: 'The student\'s questions were already chosen' });
+      } else if (questionSets.includes(profile.questionSet)) {
+        plan.questionSet = profile.questionSet;
+        record.applied.push({ accommodation: 'alternate_questions', detail: `Questions from the "${profile.questionSet}" set` });
+      } else {
+        record.skipped.push({ accommodation: 'alternate_questions', reason: `The exam has no "${profile.questionSet}" question set` });
+      }
+    }
+
+    plan.accommodations = record;
+    return plan;
+  },
+
+  /**
+   * Work out how a profile changes a quiz attempt
+   * Extended time still ends when the quiz closes.
+   * @param {Object|null} profile - The student's profile
+   * @param {Object} quiz - The quiz (timeLimitMinutes, maxAttempts)
+   * @returns {Object} - { timeLimitMinutes, maxAttempts, accommodations }; accommodations is null without a profile
+   */
+  forQuizAttempt(profile, quiz) {
+    const plan = { timeLimitMinutes: quiz.timeLimitMinutes, maxAttempts: quiz.maxAttempts, accommodations: null };
+
+    if (!profile) {
+      return plan;
+    }
+
+    const record = newRecord(profile);
+    const multiplier = Number(profile.timeMultiplier);
+
+    if (multiplier > 1) {
+      if (quiz.timeLimitMinutes) {
+        plan.timeLimitMinutes = Math.ceil(quiz.timeLimitMinutes * multiplier);
+        record.applied.push({ accommodation: 'extended_time', detail: `${plan.timeLimitMinutes} minutes instead of ${quiz.timeLimitMinutes} (${multiplier}x)` });
+      } else {
+        record.skipped.push({ accommodation: 'extended_time', reason: 'The quiz has no time limit' });
+      }
+    }
+
+    if (profile.hideTimer) {
+      if (quiz.timeLimitMinutes) {
+        record.hideTimer = true;
+        record.applied.push({ accommodation: 'hidden_timer', detail: 'The countdown is not shown; the deadline still applies' });
+      } else {
+        record.skipped.push({ accommodation: 'hidden_timer', reason: 'The quiz has no time limit' });
+      }
+    }
+
+    if (profile.extraAttempts > 0) {
+      if (quiz.maxAttempts) {
+        plan.maxAttempts = quiz.maxAttempts + profile.extraAttempts;
+        record.applied.push({ accommodation: 'extra_attempts', detail: `${plan.maxAttempts} attempts instead of ${quiz.maxAttempts}` });
+      } else {
+        record.skipped.push({ accommodation: 'extra_attempts', reason: 'The quiz allows unlimited attempts' });
+      }
+    }
+
+    if (profile.questionSet) {
+      record.skipped.push({ accommodation: 'alternate_questions', reason: 'Quizzes have a single question set' });
+    }
+
+    plan.accommodations = record;
+    return plan;
+  },
+
+  /**
+   * Report which accommodations were applied to a student's exams and quiz attempts, newest first
+   * @param {number} studentId - The student ID
+   * @returns {Promise<Object>} - { studentId, profile, exams, quizzes }
+   */
+  async getAppliedReport(studentId) {
+    const student = await Students.findByPk(studentId, { attributes: ['studentId'] });
+
+    if (!student) {
+      throw new AppError('Student not found', 404);
+    }
+
+    const [profile, assignments, attempts] = await Promise.all([
+      StudentAccommodations.findOne({ where: { studentId } }),
+      ExamStudentAssignments.findAll({
+        where: { studentId, accommodations: { [Op.ne]: null } },
+        include: [{ model: Exams, as: 'exam', attributes: ['examId', 'title', 'duration', 'endDate'] }],
+        order: [['assignedAt', 'DESC']]
+      }),
+      StudentQuizAttempts.findAll({
+        where: { studentId, accommodations: { [Op.ne]: null } },
+        include: [{ model: Quizzes, as: 'quiz', attributes: ['quizId', 'title', 'timeLimitMinutes', 'maxAttempts'] }],
+        order: [['startedAt', 'DESC']]
+      })
+    ]);
+
+    return {
+      studentId: student.studentId,
+      profile,
+      exams: assignments.map(assignment => ({
+        assignmentId: assignment.assignmentId,
+        examId: assignment.examId,
+        title: assignment.exam ? assignment.exam.title : null,
+        status: assignment.status,
+        duration: assignment.customDuration || (assignment.exam && assignment.exam.duration),
+        endDate: assignment.customEndDate || (assignment.exam && assignment.exam.endDate),
+        accommodations: assignment.accommodations
+      })),
+      quizzes: attempts.map(attempt => ({
+        attemptId: attempt.attemptId,
+        quizId: attempt.quizId,
+        title: attempt.quiz ? attempt.quiz.title : null,
+        attemptNumber: attempt.attemptNumber,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+        accommodations: attempt.accommodations
+      }))
+    };
+  }
+};
+
+module.exports = accommodationService;
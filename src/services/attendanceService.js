@@ -2,6 +2,7 @@ const { Op, Sequelize } = require('sequelize');
 const AppError = require('../utils/errors/AppError');
 const { sequelize } = require('../config/db.js');
 const initModels = require('../models/init-models');
+const academicCalendarService = require('./academicCalendarService');
 
 const models = initModels(sequelize);
 const { Attendance, Students, Classes, Users } = models;
@@ -13,6 +14,8 @@ const attendanceService = {
    * @returns {Promise<Object>} - The created attendance record
    */
   async createAttendance(attendanceData) {
+    await academicCalendarService.assertClassDay(attendanceData.classId, attendanceData.date);
+
     try {
       const attendance = await Attendance.create(attendanceData);
       return attendance;
@@ -27,6 +30,12 @@ const attendanceService = {
    * @returns {Promise<Array>} - The created attendance records
    */
   async createBulkAttendance(attendanceRecords) {
+    // Each class and day is checked against the calendar once
+    const classDays = new Map(attendanceRecords.map(record => [`${record.classId}:${record.date}`, record]));
+    for (const record of classDays.values()) {
+      await academicCalendarService.assertClassDay(record.classId, record.date);
+    }
+
     const transaction = await sequelize.transaction();
     try {
       const attendances = await Attendance.bulkCreate(attendanceRecords, { transaction });
@@ -151,6 +160,13 @@ const attendanceService = {
     if (!attendance) {
       throw new AppError('Attendance record not found', 404);
     }
+
+    if (updateData.date !== undefined || updateData.classId !== undefined) {
+      await academicCalendarService.assertClassDay(
+        updateData.classId || attendance.classId,
+        updateData.date || attendance.date
+      );
+    }
     
     await attendance.update(updateData);
     
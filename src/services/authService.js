@@ -2,6 +2,15 @@ const { Op, Sequelize } = require('sequelize');
 const AppError = require('../utils/errors/AppError');
 const { verifyToken } = require('../utils/authUtils');
 const bcrypt = require('bcryptjs'); // Make sure bcryptjs is required
+const otpService = require('./otpService');
+const twoFactorService = require('./twoFactorService');
+const sessionService = require('./sessionService');
+const loginProtectionService = require('./loginProtectionService');
+const socketManager = require('../utils/socketManager');
+const mailer = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+const config = require('../config');
 
 // 1. Import sequelize instance directly
 const { sequelize } = require('../config/db.js');
@@ -15,43 +24,338 @@ const { Users, Institutions, Students, Teachers, Parents, ParentStudentLink } =
 
 
 
-exports.loginUser = async (email, password) => {
+/**
+ * Check a user's password and decide whether the login needs a second factor
+ * @param {string} email - The account email
+ * @param {string} password - The plain-text password
+ * @param {Object} clientInfo - userAgent and ipAddress, recorded against failed attempts
+ * @returns {Promise<Object>} - The user, and twoFactor details when a second step is needed
+ */
+exports.loginUser = async (email, password, clientInfo = {}) => {
   // Find user by email
   const user = await Users.findOne({
     where: { email }
   });
 
   if (!user) {
+    await loginProtectionService.recordFailedAttempt({ email, reason: 'unknown_email', ...clientInfo });
     throw new AppError('Incorrect email or password', 401);
   }
 
+  // Locked accounts are rejected before the password is checked
+  await loginProtectionService.assertNotLocked(user, clientInfo);
+
   // Verify password using bcrypt
   const isPasswordCorrect = await bcrypt.compare(password, user.passwordHash);
   if (!isPasswordCorrect) {
+    await loginProtectionService.registerFailure(user, clientInfo);
     throw new AppError('Incorrect email or password', 401);
   }
 
+  await loginProtectionService.clearFailures(user);
+
+  // Accounts with 2FA (or required to set it up) finish logging in through /auth/login/2fa or /auth/2fa/enable
+  const twoFactor = await twoFactorService.getLoginChallenge(user);
+  if (twoFactor) {
+    return { user: null, twoFactor };
+  }
+
   // Update last login time using the correct field name
   await user.update({ lastLogin: new Date() });
 
-  // Return user without sensitive data
+  return { user: toSafeUser(user), twoFactor: null };
+};
+
+/**
+ * Finish a login that was paused for a second factor
+ * @param {string} challengeToken - The token returned by loginUser
+ * @param {Object} factor - Either { code } or { recoveryCode }
+ * @returns {Promise<Object>} - The user without sensitive fields
+ */
+exports.completeTwoFactorLogin = async (challengeToken, factor) => {
+  const userId = await twoFactorService.completeLoginChallenge(challengeToken, factor);
+  const user = await Users.findByPk(userId);
+
+  if (!user) {
+    throw new AppError('User no longer exists', 401);
+  }
+
+  await user.update({ lastLogin: new Date() });
+
+  return toSafeUser(user);
+};
+
+/**
+ * Strip credentials from a user before returning it
+ * @param {Object} user - The user instance
+ * @returns {Object} - The plain user object
+ */
+const toSafeUser = (user) => {
   const userResponse = user.toJSON();
   delete userResponse.passwordHash;
   delete userResponse.verificationToken;
-
   return userResponse;
 };
 
-exports.refreshAuthToken = async (token) => {
-  const decoded = await verifyToken(token);
-  // Use the imported variable 'Users' (plural)
-  const user = await Users.findByPk(decoded.user_id);
+/**
+ * Hash and store a new password, invalidating every token issued before now
+ * @param {Object} user - The user instance
+ * @param {string} newPassword - The new plain-text password
+ * @returns {Promise<Object>} - The updated user
+ */
+const setPassword = async (user, newPassword) => {
+  const passwordHash = await bcrypt.hash(newPassword, 12);
+
+  // Backdate by a second so a token issued right after this change is still valid
+  await user.update({
+    passwordHash,
+    passwordChangedAt: new Date(Date.now() - 1000)
+  });
+
+  // Sign every device out; the caller issues a fresh session where appropriate
+  const revokedSessionIds = await sessionService.revokeAllSessions(user.userId, { reason: 'password_changed' });
+  socketManager.disconnectSessions(revokedSessionIds);
+
+  mailer.sendMail({
+    to: user.email,
+    ...emailTemplates.passwordChanged({ firstName: user.firstName })
+  }).catch((err) => logger.error(`Failed to send password change notice: ${err.message}`));
+
+  return user;
+};
+
+/**
+ * Send a password reset code to the user's email.
+ * Resolves silently for unknown emails so the endpoint cannot be used to enumerate accounts.
+ * Codes for one account are limited to one per cooldown and a maximum per hour; requests beyond
+ * that are logged and resolve the same way, without sending a code.
+ * @param {string} email - The account email
+ * @returns {Promise<void>}
+ */
+exports.requestPasswordReset = async (email) => {
+  const user = await Users.findOne({ where: { email } });
 
   if (!user) {
-    throw new Error('User belonging to this token no longer exists');
+    logger.info(`Password reset requested for unknown email ${email}`);
+    return;
   }
 
-  return user;
+  let issued;
+  try {
+    issued = await otpService.issueCode(user.userId, 'password_reset', {
+      limits: { cooldownSeconds: config.otp.resendCooldownSeconds, maxPerHour: config.otp.maxPerHour }
+    });
+  } catch (err) {
+    // A throttled account must look like an unknown email
+    if (err instanceof AppError && err.statusCode === 429) {
+      logger.info(`Password reset throttled for user ${user.userId}: ${err.message}`);
+      return;
+    }
+    throw err;
+  }
+
+  const { code, expiresInMinutes } = issued;
+
+  await mailer.sendMail({
+    to: user.email,
+    ...emailTemplates.passwordReset({ firstName: user.firstName, code, expiresInMinutes })
+  });
+};
+
+/**
+ * Reset a password using a code sent by requestPasswordReset
+ * @param {Object} resetData - The email, code and new password
+ * @returns {Promise<Object>} - The user without sensitive fields
+ */
+exports.resetPassword = async ({ email, code, password }) => {
+  const user = await Users.findOne({ where: { email } });
+
+  if (!user) {
+    throw new AppError('Invalid or expired code', 400);
+  }
+
+  await otpService.verifyCode(user.userId, 'password_reset', code);
+  await setPassword(user, password);
+
+  // Proving control of the mailbox also lifts any lockout
+  await loginProtectionService.clearFailures(user);
+
+  return toSafeUser(user);
+};
+
+/**
+ * Set the first password of an account created by a roster import
+ * The invitation link was emailed to the account, so accepting it also verifies the email.
+ * @param {Object} invitationData - The email, invitation token and new password
+ * @returns {Promise<Object>} - The user without sensitive fields
+ */
+exports.acceptInvitation = async ({ email, token, password }) => {
+  const user = await Users.findOne({ where: { email } });
+
+  if (!user) {
+    throw new AppError('Invalid or expired invitation', 400);
+  }
+
+  await otpService.verifyCode(user.userId, 'invitation', token);
+
+  const passwordHash = await bcrypt.hash(password, 12);
+  await user.update({
+    passwordHash,
+    passwordChangedAt: new Date(Date.now() - 1000),
+    isVerified: true,
+    verificationToken: null
+  });
+
+  return toSafeUser(user);
+};
+
+/**
+ * Unlock an account with the code emailed when it was locked
+ * @param {Object} unlockData - The email and code
+ * @returns {Promise<void>}
+ */
+exports.unlockAccount = async ({ email, code }) => {
+  const user = await Users.findOne({ where: { email } });
+
+  if (!user) {
+    throw new AppError('Invalid or expired code', 400);
+  }
+
+  await loginProtectionService.unlockWithCode(user, code);
+};
+
+/**
+ * Change the password of an authenticated user
+ * @param {number} userId - The user ID
+ * @param {string} currentPassword - The current password
+ * @param {string} newPassword - The new password
+ * @returns {Promise<Object>} - The user without sensitive fields
+ */
+exports.changePassword = async (userId, currentPassword, newPassword) => {
+  const user = await Users.findByPk(userId);
+
+  if (!user) {
+    throw new AppError('User no longer exists', 401);
+  }
+
+  const isPasswordCorrect = await bcrypt.compare(currentPassword, user.passwordHash);
+  if (!isPasswordCorrect) {
+    throw new AppError('Your current password is incorrect', 401);
+  }
+
+  if (currentPassword === newPassword) {
+    throw new AppError('New password must be different from the current password', 400);
+  }
+
+  await setPassword(user, newPassword);
+
+  return toSafeUser(user);
+};
+
+/**
+ * Email a verification code to a newly registered user.
+ * Failures are logged rather than thrown so registration itself still succeeds;
+ * the user can request another code through resendVerification.
+ * @param {Object} user - The user (plain object or instance)
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const { code, expiresInMinutes } = await otpService.issueCode(user.userId, 'email_verification', {
+      expiresInMinutes: config.verification.expiresInMinutes
+    });
+
+    await mailer.sendMail({
+      to: user.email,
+      ...emailTemplates.emailVerification({ firstName: user.firstName, code, expiresInMinutes })
+    });
+  } catch (err) {
+    logger.error(`Failed to send verification email to user ${user.userId}: ${err.message}`);
+  }
+};
+
+/**
+ * Mark a user's email as verified using the emailed code
+ * @param {Object} verificationData - The email and code
+ * @returns {Promise<Object>} - The verified user without sensitive fields
+ */
+exports.verifyEmail = async ({ email, code }) => {
+  const user = await Users.findOne({ where: { email } });
+
+  if (!user) {
+    throw new AppError('Invalid or expired code', 400);
+  }
+
+  if (user.isVerified) {
+    throw new AppError('This email address is already verified', 400);
+  }
+
+  await otpService.verifyCode(user.userId, 'email_verification', code);
+  await user.update({ isVerified: true, verificationToken: null });
+
+  return toSafeUser(user);
+};
+
+/**
+ * Send a fresh verification code, subject to a cooldown and an hourly cap.
+ * Resolves silently for unknown or already verified emails so accounts cannot be enumerated.
+ * @param {string} email - The account email
+ * @returns {Promise<void>}
+ */
+exports.resendVerification = async (email) => {
+  const user = await Users.findOne({ where: { email } });
+
+  if (!user || user.isVerified) {
+    return;
+  }
+
+  await otpService.assertCanIssue(user.userId, 'email_verification', {
+    cooldownSeconds: config.verification.resendCooldownSeconds,
+    maxPerHour: config.verification.maxResendsPerHour
+  });
+
+  await sendVerificationEmail(user);
+};
+
+/**
+ * Rotate a refresh token and load the user it belongs to
+ * @param {string} refreshToken - The refresh token from the cookie or request body
+ * @param {Object} clientInfo - userAgent and ipAddress of the device
+ * @returns {Promise<Object>} - The user, session and replacement refresh token
+ */
+exports.refreshAuthToken = async (refreshToken, clientInfo) => {
+  const { session, refreshToken: nextRefreshToken } = await sessionService.rotateRefreshToken(refreshToken, clientInfo);
+  const user = await Users.findByPk(session.userId);
+
+  if (!user) {
+    throw new AppError('User belonging to this token no longer exists', 401);
+  }
+
+  return { user, session, refreshToken: nextRefreshToken };
+};
+
+/**
+ * End the session behind a refresh token or access token, if there is one
+ * @param {Object} tokens - refreshToken and/or accessToken sent with the logout request
+ * @returns {Promise<void>}
+ */
+exports.logoutSession = async ({ refreshToken, accessToken }) => {
+  const session = await sessionService.findSessionByRefreshToken(refreshToken);
+  let sessionId = session ? session.sessionId : null;
+
+  if (!sessionId && accessToken) {
+    try {
+      const decoded = await verifyToken(accessToken);
+      sessionId = decoded.sessionId;
+    } catch (err) {
+      // An expired or invalid access token has nothing left to revoke
+    }
+  }
+
+  if (sessionId) {
+    await sessionService.endSession(sessionId);
+    socketManager.disconnectSessions([sessionId]);
+  }
 };
 
 exports.registerInstitution = async (institutionData) => {
@@ -100,6 +404,8 @@ exports.registerInstitution = async (institutionData) => {
     // 6. Commit transaction
     await transaction.commit();
 
+    await sendVerificationEmail(user);
+
     // Exclude password hash from the returned user object for security
     let userResponse;
     if (user && typeof user.toJSON === 'function') {
@@ -159,6 +465,8 @@ exports.registerStudent = async (studentData) => {
 
     await transaction.commit();
 
+    await sendVerificationEmail(userPlain);
+
     let userResponse = userPlain;
     delete userResponse.passwordHash;
 
@@ -226,6 +534,8 @@ exports.registerTeacher = async (teacherData) => {
 
     await transaction.commit();
 
+    await sendVerificationEmail(userPlain);
+
     let userResponse = userPlain;
     delete userResponse.passwordHash;
 
@@ -301,6 +611,8 @@ exports.registerParentAndLinkStudent = async (parentData) => {
     // Commit the transaction
     await transaction.commit();
 
+    await sendVerificationEmail(userPlain);
+
     // Prepare response (excluding sensitive data)
     let userResponse = userPlain;
     delete userResponse.passwordHash;
@@ -356,22 +356,15 @@ const chatService = {
 
   /**
    * Deletes a single chat message.
+   * Only the sender or a group admin may do this; the route enforces it with 'chat:delete-message'.
    * @param {number} messageId - The ID of the message to delete.
-   * @param {number} requestedById - The user requesting the deletion.
    */
-  async deleteChatMessage(messageId, requestedById) {
+  async deleteChatMessage(messageId) {
     const message = await ChatMessages.findByPk(messageId);
     if (!message) {
       throw new AppError('Message not found.', 404);
     }
 
-    const requester = await this._getParticipantIfMember(message.chatId, requestedById);
-
-    // Allow deletion only if the user is the message sender OR a group admin
-    if (message.senderId !== requestedById && !requester.isAdmin) {
-      throw new AppError('You are not authorized to delete this message.', 403);
-    }
-    
     await message.destroy();
     
     socketManager.emitToRoom(`chat_${message.chatId}`, 'chat:messageDeleted', { messageId, chatId: message.chatId });
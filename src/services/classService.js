@@ -0,0 +1,470 @@
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const {
+  Classes,
+  ClassTeachers,
+  ClassEnrollments,
+  Students,
+  Teachers,
+  TeacherInstitutions,
+  AcademicSessions,
+  Institutions,
+  Users
+} = models;
+
+const userAttributes = ['userId', 'firstName', 'lastName', 'email'];
+
+const teacherInclude = (as) => ({
+  model: Teachers,
+  as,
+  attributes: ['teacherId', 'subjectExpertise'],
+  include: [{ model: Users, as: 'user', attributes: userAttributes }]
+});
+
+const studentInclude = {
+  model: Students,
+  as: 'student',
+  attributes: ['studentId', 'gradeLevel', 'institutionId'],
+  include: [{ model: Users, as: 'user', attributes: userAttributes }]
+};
+
+/**
+ * Map Sequelize validation and unique-constraint errors to a 400 AppError
+ * @param {Error} err - The error
+ * @returns {Error} - The error to throw
+ */
+const toAppError = (err) => {
+  if (err.name === 'SequelizeValidationError' || err.name === 'SequelizeUniqueConstraintError') {
+    const messages = err.errors ? err.errors.map(e => e.message).join(', ') : err.message;
+    return new AppError(`Validation Error: ${messages}`, 400);
+  }
+  return err;
+};
+
+/**
+ * Load a class or fail with a 404
+ * @param {number} classId - The class ID
+ * @param {Object} transaction - The open transaction, if any
+ * @returns {Promise<Object>} - The class
+ */
+const findClass = async (classId, transaction) => {
+  const cls = await Classes.findByPk(classId, { transaction });
+
+  if (!cls) {
+    throw new AppError('Class not found', 404);
+  }
+
+  return cls;
+};
+
+/**
+ * Check that a teacher works at an institution
+ * @param {number} teacherId - The teacher ID
+ * @param {number} institutionId - The institution ID
+ * @param {Object} transaction - The open transaction, if any
+ */
+const assertTeacherAt = async (teacherId, institutionId, transaction) => {
+  const link = await TeacherInstitutions.findOne({ where: { teacherId, institutionId }, transaction });
+
+  if (!link) {
+    throw new AppError(`Teacher ${teacherId} does not teach at this institution`, 400);
+  }
+};
+
+/**
+ * Check that an academic session belongs to an institution
+ * @param {number} academicSessionId - The academic session ID (null clears it)
+ * @param {number} institutionId - The institution ID
+ * @param {Object} transaction - The open transaction, if any
+ */
+const assertSessionAt = async (academicSessionId, institutionId, transaction) => {
+  if (academicSessionId === null || academicSessionId === undefined) {
+    return;
+  }
+
+  const session = await AcademicSessions.findOne({ where: { academicSessionId, institutionId }, transaction });
+
+  if (!session) {
+    throw new AppError('Academic session not found for this institution', 400);
+  }
+};
+
+/**
+ * Load students for a roster change and check they belong to the class's institution
+ * @param {Object} cls - The class
+ * @param {Array<number>} studentIds - The student IDs
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Array>} - The students
+ */
+const findRosterStudents = async (cls, studentIds, transaction) => {
+  const students = await Students.findAll({ where: { studentId: studentIds }, transaction });
+  const found = new Set(students.map(student => student.studentId));
+
+  const missing = studentIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    throw new AppError(`Students not found: ${missing.join(', ')}`, 404);
+  }
+
+  const outside = students.filter(student => student.institutionId !== cls.institutionId);
+  if (outside.length > 0) {
+    throw new AppError(`Students not enrolled at this institution: ${outside.map(s => s.studentId).join(', ')}`, 400);
+  }
+
+  return students;
+};
+
+const classService = {
+  /**
+   * Close roster entries, recording how and why the students left, then soft-delete them
+   * @param {Object} where - Which current ClassEnrollments rows to close
+   * @param {Object} options - status ('withdrawn' or 'transferred'), endedBy, reason, transferredToClassId, transaction
+   * @returns {Promise<number>} - Number of entries closed
+   */
+  async endEnrollments(where, { status = 'withdrawn', endedBy = null, reason = null, transferredToClassId = null, transaction }) {
+    const [closed] = await ClassEnrollments.update(
+      { status, endDate: new Date(), endedBy, endReason: reason, transferredToClassId },
+      { where, transaction }
+    );
+    await ClassEnrollments.destroy({ where, transaction });
+    return closed;
+  },
+
+  /**
+   * List classes, optionally filtered by institution, teacher (including co-teachers) or academic session
+   * @param {Object} filters - institutionId, teacherId, academicSessionId
+   * @returns {Promise<Array>} - The classes with their primary teacher
+   */
+  async getClasses({ institutionId, teacherId, academicSessionId } = {}) {
+    const where = {};
+
+    if (institutionId) {
+      where.institutionId = institutionId;
+    }
+    if (academicSessionId) {
+      where.academicSessionId = academicSessionId;
+    }
+    if (teacherId) {
+      const coTaught = await ClassTeachers.findAll({ where: { teacherId }, attributes: ['classId'] });
+      where[Op.or] = [{ teacherId }, { classId: coTaught.map(link => link.classId) }];
+    }
+
+    return Classes.findAll({
+      where,
+      include: [
+        teacherInclude('teacher'),
+        { model: AcademicSessions, as: 'academicSession', attributes: ['academicSessionId', 'title', 'startDate', 'endDate'] }
+      ],
+      order: [['name', 'ASC']]
+    });
+  },
+
+  /**
+   * Get a class with its teachers and the size of its current roster
+   * @param {number} classId - The class ID
+   * @returns {Promise<Object>} - The class
+   */
+  async getClassById(classId) {
+    const cls = await Classes.findByPk(classId, {
+      include: [
+        { model: Institutions, as: 'institution', attributes: ['institutionId', 'name'] },
+        teacherInclude('teacher'),
+        { model: ClassTeachers, as: 'coTeachers', include: [teacherInclude('teacher')] },
+        { model: AcademicSessions, as: 'academicSession', attributes: ['academicSessionId', 'title', 'startDate', 'endDate'] }
+      ]
+    });
+
+    if (!cls) {
+      throw new AppError('Class not found', 404);
+    }
+
+    const studentCount = await ClassEnrollments.count({ where: { classId } });
+    return { ...cls.get({ plain: true }), studentCount };
+  },
+
+  /**
+   * Create a class at an institution
+   * @param {Object} classData - institutionId, teacherId, name, description, academicSessionId
+   * @returns {Promise<Object>} - The created class
+   */
+  async createClass(classData) {
+    try {
+      await assertTeacherAt(classData.teacherId, classData.institutionId);
+      await assertSessionAt(classData.academicSessionId, classData.institutionId);
+
+      const cls = await Classes.create(classData);
+      return this.getClassById(cls.classId);
+    } catch (err) {
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Update a class's details or primary teacher (the institution cannot change)
+   * A co-teacher who becomes the primary teacher stops being listed as a co-teacher.
+   * @param {number} classId - The class ID
+   * @param {Object} updateData - name, description, teacherId, academicSessionId
+   * @returns {Promise<Object>} - The updated class
+   */
+  async updateClass(classId, updateData) {
+    const transaction = await sequelize.transaction();
+    try {
+      const cls = await findClass(classId, transaction);
+      const { institutionId, ...changes } = updateData;
+
+      if (institutionId !== undefined && Number(institutionId) !== cls.institutionId) {
+        throw new AppError('A class cannot be moved to another institution', 400);
+      }
+      if (changes.teacherId !== undefined && changes.teacherId !== cls.teacherId) {
+        await assertTeacherAt(changes.teacherId, cls.institutionId, transaction);
+        await ClassTeachers.destroy({ where: { classId, teacherId: changes.teacherId }, transaction });
+      }
+      if (changes.academicSessionId !== undefined) {
+        await assertSessionAt(changes.academicSessionId, cls.institutionId, transaction);
+      }
+
+      await cls.update(changes, { transaction });
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw toAppError(err);
+    }
+
+    return this.getClassById(classId);
+  },
+
+  /**
+   * Delete a class, closing its roster and co-teacher assignments
+   * @param {number} classId - The class ID
+   * @param {Object} options - deletedBy is the user deleting the class
+   * @returns {Promise<void>}
+   */
+  async deleteClass(classId, { deletedBy = null } = {}) {
+    const transaction = await sequelize.transaction();
+    try {
+      const cls = await findClass(classId, transaction);
+
+      await this.endEnrollments({ classId }, { endedBy: deletedBy, reason: 'Class deleted', transaction });
+      await ClassTeachers.destroy({ where: { classId }, transaction });
+      await cls.destroy({ transaction });
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Assign a co-teacher (or assistant) to a class
+   * @param {number} classId - The class ID
+   * @param {number} teacherId - The teacher ID
+   * @param {string} role - 'co_teacher' or 'assistant'
+   * @returns {Promise<Object>} - The assignment
+   */
+  async addCoTeacher(classId, teacherId, role = 'co_teacher') {
+    const cls = await findClass(classId);
+
+    if (cls.teacherId === teacherId) {
+      throw new AppError('This teacher is already the primary teacher of the class', 409);
+    }
+
+    await assertTeacherAt(teacherId, cls.institutionId);
+
+    const existing = await ClassTeachers.findOne({ where: { classId, teacherId } });
+    if (existing) {
+      throw new AppError('This teacher is already assigned to the class', 409);
+    }
+
+    try {
+      return await ClassTeachers.create({ classId, teacherId, role });
+    } catch (err) {
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Remove a co-teacher from a class
+   * @param {number} classId - The class ID
+   * @param {number} teacherId - The teacher ID
+   * @returns {Promise<void>}
+   */
+  async removeCoTeacher(classId, teacherId) {
+    const removed = await ClassTeachers.destroy({ where: { classId, teacherId } });
+
+    if (removed === 0) {
+      throw new AppError('This teacher is not a co-teacher of the class', 404);
+    }
+  },
+
+  /**
+   * Get the students currently in a class
+   * @param {number} classId - The class ID
+   * @returns {Promise<Array>} - The current roster entries with their students
+   */
+  async getRoster(classId) {
+    await findClass(classId);
+
+    return ClassEnrollments.findAll({
+      where: { classId },
+      include: [studentInclude],
+      order: [['enrollmentDate', 'ASC']]
+    });
+  },
+
+  /**
+   * Get every roster entry a class has had, including students who withdrew or transferred
+   * @param {number} classId - The class ID
+   * @param {Object} filters - Optional studentId
+   * @returns {Promise<Array>} - The roster entries, oldest first
+   */
+  async getRosterHistory(classId, { studentId } = {}) {
+    await findClass(classId);
+
+    const where = { classId };
+    if (studentId) {
+      where.studentId = studentId;
+    }
+
+    return ClassEnrollments.findAll({
+      where,
+      paranoid: false,
+      include: [studentInclude],
+      order: [['enrollmentDate', 'ASC'], ['classEnrollmentId', 'ASC']]
+    });
+  },
+
+  /**
+   * Add students to a class; students already on the roster are skipped
+   * @param {number} classId - The class ID
+   * @param {Array<number>} studentIds - The students to add
+   * @param {Object} options - enrolledBy is the user making the change
+   * @returns {Promise<Object>} - { added, skipped }
+   */
+  async addStudents(classId, studentIds, { enrolledBy = null } = {}) {
+    const transaction = await sequelize.transaction();
+    try {
+      const cls = await findClass(classId, transaction);
+      await findRosterStudents(cls, studentIds, transaction);
+
+      const current = await ClassEnrollments.findAll({ where: { classId, studentId: studentIds }, transaction });
+      const onRoster = new Set(current.map(entry => entry.studentId));
+
+      const added = await ClassEnrollments.bulkCreate(
+        studentIds.filter(id => !onRoster.has(id)).map(studentId => ({
+          classId,
+          studentId,
+          enrollmentDate: new Date(),
+          status: 'active',
+          enrolledBy
+        })),
+        { transaction }
+      );
+
+      await transaction.commit();
+      return {
+        added,
+        skipped: [...onRoster].map(studentId => ({ studentId, reason: 'Already in this class' }))
+      };
+    } catch (err) {
+      await transaction.rollback();
+      throw toAppError(err);
+    }
+  },
+
+  /**
+   * Withdraw students from a class; students not on the roster are skipped
+   * @param {number} classId - The class ID
+   * @param {Array<number>} studentIds - The students to withdraw
+   * @param {Object} options - endedBy is the user making the change; reason is kept in the history
+   * @returns {Promise<Object>} - { removed, skipped }
+   */
+  async removeStudents(classId, studentIds, { endedBy = null, reason = null } = {}) {
+    const transaction = await sequelize.transaction();
+    try {
+      await findClass(classId, transaction);
+
+      const current = await ClassEnrollments.findAll({ where: { classId, studentId: studentIds }, transaction });
+      const removed = current.map(entry => entry.studentId);
+
+      if (removed.length > 0) {
+        await this.endEnrollments({ classId, studentId: removed }, { endedBy, reason, transaction });
+      }
+
+      await transaction.commit();
+      return {
+        removed,
+        skipped: studentIds
+          .filter(id => !removed.includes(id))
+          .map(studentId => ({ studentId, reason: 'Not in this class' }))
+      };
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Move students from one class to another class of the same institution
+   * Every student must be in the source class and not yet in the target class; nothing moves otherwise.
+   * @param {number} fromClassId - The class the students leave
+   * @param {number} toClassId - The class the students join
+   * @param {Array<number>} studentIds - The students to move
+   * @param {Object} options - changedBy is the user making the change; reason is kept in the history
+   * @returns {Promise<Object>} - { transferred } with the new roster entries
+   */
+  async transferStudents(fromClassId, toClassId, studentIds, { changedBy = null, reason = null } = {}) {
+    if (Number(fromClassId) === Number(toClassId)) {
+      throw new AppError('Students cannot be transferred to the class they are in', 400);
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      const from = await findClass(fromClassId, transaction);
+      const to = await findClass(toClassId, transaction);
+
+      if (from.institutionId !== to.institutionId) {
+        throw new AppError('Students can only be transferred between classes of the same institution', 400);
+      }
+
+      const [inSource, inTarget] = await Promise.all([
+        ClassEnrollments.findAll({ where: { classId: from.classId, studentId: studentIds }, transaction }),
+        ClassEnrollments.findAll({ where: { classId: to.classId, studentId: studentIds }, transaction })
+      ]);
+
+      const sourceIds = new Set(inSource.map(entry => entry.studentId));
+      const notInSource = studentIds.filter(id => !sourceIds.has(id));
+      if (notInSource.length > 0) {
+        throw new AppError(`Students not in the source class: ${notInSource.join(', ')}`, 400);
+      }
+      if (inTarget.length > 0) {
+        throw new AppError(`Students already in the target class: ${inTarget.map(e => e.studentId).join(', ')}`, 409);
+      }
+
+      await this.endEnrollments(
+        { classId: from.classId, studentId: studentIds },
+        { status: 'transferred', endedBy: changedBy, reason, transferredToClassId: to.classId, transaction }
+      );
+
+      const transferred = await ClassEnrollments.bulkCreate(studentIds.map(studentId => ({
+        classId: to.classId,
+        studentId,
+        enrollmentDate: new Date(),
+        status: 'active',
+        enrolledBy: changedBy,
+        transferredFromClassId: from.classId
+      })), { transaction });
+
+      await transaction.commit();
+      return { transferred };
+    } catch (err) {
+      await transaction.rollback();
+      throw toAppError(err);
+    }
+  }
+};
+
+module.exports = classService;
@@ -0,0 +1,403 @@
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+const waitlistService = require('./waitlistService');
+
+const models = initModels(sequelize);
+const { Enrollments, Courses, Students, Users } = models;
+
+// Status changes allowed from each status; completed and dropped enrollments are final
+// (a dropped student is enrolled again through enrollStudent)
+const TRANSITIONS = {
+  pending: ['active', 'dropped'],
+  active: ['completed', 'dropped', 'suspended'],
+  suspended: ['active', 'dropped'],
+  completed: [],
+  dropped: []
+};
+
+// Every enrollment except a dropped one holds a seat counted in Courses.enrollmentCount
+const holdsSeat = (status) => status !== 'dropped';
+
+/**
+ * Load a course and lock its row so seat counts can't change underneath the transaction
+ * @param {number} courseId - The course ID
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Object>} - The course
+ */
+const lockCourse = async (courseId, transaction) => {
+  const course = await Courses.findByPk(courseId, { transaction, lock: transaction.LOCK.UPDATE });
+
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+
+  return course;
+};
+
+/**
+ * Add (or remove, with a negative change) seats from a course's enrollment count
+ * @param {Object} course - The locked course
+ * @param {number} change - Seats taken (positive) or freed (negative)
+ * @param {Object} transaction - The open transaction
+ */
+const adjustSeats = async (course, change, transaction) => {
+  const enrollmentCount = Math.max(0, (course.enrollmentCount || 0) + change);
+  await course.update({ enrollmentCount }, { transaction });
+};
+
+/**
+ * Check that a course accepts new students
+ * Only staff can enroll students in courses that are unpublished or invitation-only.
+ * @param {Object} course - The course
+ * @param {boolean} selfEnrollment - Whether the student is enrolling themselves
+ */
+const assertOpen = (course, selfEnrollment) => {
+  if (selfEnrollment && !course.isPublished) {
+    throw new AppError('This course is not open for enrollment', 400);
+  }
+  if (selfEnrollment && course.isPrivate) {
+    throw new AppError('This course is invitation-only', 403);
+  }
+  if (course.endDate && new Date(course.endDate) < new Date()) {
+    throw new AppError('This course has ended and no longer accepts enrollments', 400);
+  }
+};
+
+/**
+ * Check whether a course has no seat left for a student
+ * Seats held by other students' waitlist offers count as taken.
+ * @param {Object} course - The locked course
+ * @param {number} studentId - The student asking for a seat
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<boolean>} - True if the course is full
+ */
+const isFull = async (course, studentId, transaction) => {
+  if (course.enrollmentLimit === null || course.enrollmentLimit === undefined) {
+    return false;
+  }
+
+  const held = await waitlistService.heldSeats(course.courseId, { excludeStudentId: studentId, transaction });
+  return (course.enrollmentCount || 0) + held >= course.enrollmentLimit;
+};
+
+/**
+ * Find a student's current enrollment in a course, including dropped and soft-deleted ones
+ * @param {number} courseId - The course ID
+ * @param {number} studentId - The student ID
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Object>} - { existing, enrolled }
+ */
+const findExisting = async (courseId, studentId, transaction) => {
+  const existing = await Enrollments.findOne({
+    where: { studentId, courseId },
+    paranoid: false,
+    transaction
+  });
+
+  return { existing, enrolled: !!existing && !existing.deletedAt && holdsSeat(existing.status) };
+};
+
+const enrollmentService = {
+  TRANSITIONS,
+
+  /**
+   * Enroll a student in a course, or re-enroll a student who dropped or was unenrolled
+   * Paid courses start as pending until payment is confirmed; free courses start active.
+   * @param {number} courseId - The course ID
+   * @param {number} studentId - The student ID
+   * @param {Object} options - enrolledBy is the user enrolling someone else (null for self-enrollment);
+   *   fromWaitlist skips the checks already made when the student joined the waitlist
+   * @returns {Promise<Object>} - The enrollment
+   */
+  async enrollStudent(courseId, studentId, { enrolledBy = null, fromWaitlist = false } = {}) {
+    const transaction = await sequelize.transaction();
+    try {
+      const course = await lockCourse(courseId, transaction);
+
+      const student = await Students.findByPk(studentId, { transaction });
+      if (!student) {
+        throw new AppError('Student not found', 404);
+      }
+
+      // Students claiming a waitlist offer were checked when they joined the waitlist
+      if (!fromWaitlist) {
+        assertOpen(course, !enrolledBy);
+      }
+
+      // Soft-deleted and dropped enrollments are reused because of the unique (student, course) key
+      const { existing, enrolled } = await findExisting(courseId, studentId, transaction);
+      if (enrolled) {
+        throw new AppError('The student is already enrolled in this course', 409);
+      }
+
+      if (await isFull(course, studentId, transaction)) {
+        throw new AppError('This course is full', 409);
+      }
+
+      const now = new Date();
+
+      const paid = course.price !== null && Number(course.price) > 0;
+      const values = {
+        studentId,
+        courseId,
+        enrollmentDate: now,
+        status: paid ? 'pending' : 'active',
+        enrolledBy,
+        completionDate: null,
+        completionPercentage: 0,
+        finalGrade: null,
+        paymentStatus: paid ? 'pending' : 'not_required',
+        paymentAmount: paid ? course.price : null,
+        paymentDate: null,
+        paymentMethod: null,
+        transactionId: null
+      };
+
+      let enrollment;
+      if (existing) {
+        if (existing.deletedAt) {
+          await existing.restore({ transaction });
+        }
+        enrollment = await existing.update(values, { transaction });
+      } else {
+        enrollment = await Enrollments.create(values, { transaction });
+      }
+
+      await adjustSeats(course, 1, transaction);
+      await waitlistService.markEnrolled(courseId, studentId, transaction);
+
+      await transaction.commit();
+      return enrollment;
+    } catch (err) {
+      await transaction.rollback();
+
+      if (err.name === 'SequelizeValidationError' || err.name === 'SequelizeUniqueConstraintError') {
+        const messages = err.errors ? err.errors.map(e => e.message).join(', ') : err.message;
+        throw new AppError(`Validation Error: ${messages}`, 400);
+      }
+      throw err;
+    }
+  },
+
+  /**
+   * Remove a student from a course, freeing their seat
+   * @param {number} enrollmentId - The enrollment ID
+   * @returns {Promise<void>}
+   */
+  async unenrollStudent(enrollmentId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const enrollment = await Enrollments.findByPk(enrollmentId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!enrollment) {
+        throw new AppError('Enrollment not found', 404);
+      }
+
+      const course = await lockCourse(enrollment.courseId, transaction);
+      let offers = [];
+
+      if (holdsSeat(enrollment.status)) {
+        await adjustSeats(course, -1, transaction);
+        offers = await waitlistService.promote(course, transaction);
+      }
+      await enrollment.destroy({ transaction });
+
+      await transaction.commit();
+      waitlistService.notifyOffers(course, offers);
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Move an enrollment to a new status (see TRANSITIONS)
+   * @param {number} enrollmentId - The enrollment ID
+   * @param {Object} changes - status, plus optional notes, finalGrade and paymentStatus
+   * @returns {Promise<Object>} - The updated enrollment
+   */
+  async updateStatus(enrollmentId, { status, notes, finalGrade, paymentStatus }) {
+    const transaction = await sequelize.transaction();
+    try {
+      const enrollment = await Enrollments.findByPk(enrollmentId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!enrollment) {
+        throw new AppError('Enrollment not found', 404);
+      }
+
+      if (!TRANSITIONS[enrollment.status].includes(status)) {
+        throw new AppError(`An enrollment cannot move from ${enrollment.status} to ${status}`, 400);
+      }
+
+      const course = await lockCourse(enrollment.courseId, transaction);
+      const now = new Date();
+      const updates = { status };
+
+      if (status === 'active' && enrollment.paymentStatus === 'pending' && paymentStatus !== 'paid') {
+        throw new AppError('Payment must be confirmed before the enrollment can be activated', 400);
+      }
+      if (status === 'completed') {
+        if (course.startDate && new Date(course.startDate) > now) {
+          throw new AppError('An enrollment cannot be completed before the course starts', 400);
+        }
+        updates.completionDate = now;
+        updates.completionPercentage = 100;
+      }
+      if (paymentStatus) {
+        updates.paymentStatus = paymentStatus;
+        if (paymentStatus === 'paid' && !enrollment.paymentDate) {
+          updates.paymentDate = now;
+        }
+      }
+      if (notes !== undefined) {
+        updates.notes = notes;
+      }
+      if (finalGrade !== undefined) {
+        updates.finalGrade = finalGrade;
+      }
+
+      let offers = [];
+      if (holdsSeat(enrollment.status) && !holdsSeat(status)) {
+        await adjustSeats(course, -1, transaction);
+        offers = await waitlistService.promote(course, transaction);
+      }
+
+      await enrollment.update(updates, { transaction });
+
+      await transaction.commit();
+      waitlistService.notifyOffers(course, offers);
+      return enrollment;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Put a student on the waitlist of a full course
+   * @param {number} courseId - The course ID
+   * @param {number} studentId - The student ID
+   * @param {Object} options - addedBy is the user adding someone else (null when the student joins)
+   * @returns {Promise<Object>} - The waitlist entry
+   */
+  async joinWaitlist(courseId, studentId, { addedBy = null } = {}) {
+    const transaction = await sequelize.transaction();
+    let entry;
+    try {
+      const course = await lockCourse(courseId, transaction);
+
+      const student = await Students.findByPk(studentId, { transaction });
+      if (!student) {
+        throw new AppError('Student not found', 404);
+      }
+
+      assertOpen(course, !addedBy);
+
+      const { enrolled } = await findExisting(courseId, studentId, transaction);
+      if (enrolled) {
+        throw new AppError('The student is already enrolled in this course', 409);
+      }
+
+      if (!await isFull(course, studentId, transaction)) {
+        throw new AppError('This course has open seats; enroll instead of joining the waitlist', 400);
+      }
+
+      entry = await waitlistService.addEntry(courseId, studentId, { addedBy, transaction });
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+    return waitlistService.getEntryById(entry.waitlistId);
+  },
+
+  /**
+   * Enroll a student in the seat their waitlist offer holds
+   * @param {number} waitlistId - The waitlist entry ID
+   * @param {Object} options - enrolledBy is the user claiming for someone else (null for the student)
+   * @returns {Promise<Object>} - The enrollment
+   */
+  async claimWaitlistOffer(waitlistId, { enrolledBy = null } = {}) {
+    const entry = await waitlistService.getEntryById(waitlistId);
+
+    if (entry.status !== 'offered') {
+      throw new AppError('This waitlist entry has no seat offer to claim', 400);
+    }
+    if (new Date(entry.offerExpiresAt) <= new Date()) {
+      throw new AppError('This seat offer has expired', 410);
+    }
+
+    return this.enrollStudent(entry.courseId, entry.studentId, { enrolledBy, fromWaitlist: true });
+  },
+
+  /**
+   * Get an enrollment by ID
+   * @param {number} enrollmentId - The enrollment ID
+   * @returns {Promise<Object>} - The enrollment with its course and student
+   */
+  async getEnrollmentById(enrollmentId) {
+    const enrollment = await Enrollments.findByPk(enrollmentId, {
+      include: [
+        { model: Courses, as: 'course', attributes: ['courseId', 'title', 'startDate', 'endDate'] },
+        {
+          model: Students,
+          as: 'student',
+          attributes: ['studentId', 'gradeLevel'],
+          include: [{ model: Users, as: 'user', attributes: ['userId', 'firstName', 'lastName', 'email'] }]
+        }
+      ]
+    });
+
+    if (!enrollment) {
+      throw new AppError('Enrollment not found', 404);
+    }
+
+    return enrollment;
+  },
+
+  /**
+   * Get a student's enrollments
+   * @param {number} studentId - The student ID
+   * @param {Object} options - Optional status filter
+   * @returns {Promise<Array>} - The enrollments with their courses
+   */
+  async getEnrollmentsByStudent(studentId, { status } = {}) {
+    const where = { studentId };
+    if (status) {
+      where.status = status;
+    }
+
+    return Enrollments.findAll({
+      where,
+      include: [{ model: Courses, as: 'course', attributes: ['courseId', 'title', 'startDate', 'endDate'] }],
+      order: [['enrollmentDate', 'DESC']]
+    });
+  },
+
+  /**
+   * Get the enrollments of a course
+   * @param {number} courseId - The course ID
+   * @param {Object} options - Optional status filter
+   * @returns {Promise<Array>} - The enrollments with their students
+   */
+  async getEnrollmentsByCourse(courseId, { status } = {}) {
+    const where = { courseId };
+    if (status) {
+      where.status = status;
+    }
+
+    return Enrollments.findAll({
+      where,
+      include: [{
+        model: Students,
+        as: 'student',
+        attributes: ['studentId', 'gradeLevel'],
+        include: [{ model: Users, as: 'user', attributes: ['userId', 'firstName', 'lastName', 'email'] }]
+      }],
+      order: [['enrollmentDate', 'ASC']]
+    });
+  }
+};
+
+module.exports = enrollmentService;
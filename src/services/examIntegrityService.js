@@ -0,0 +1,350 @@
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+const logger = require('../utils/logger');
+const examService = require('./examService');
+
+const models = initModels(sequelize);
+const {
+  Exams,
+  ExamIntegrityEvents,
+  StudentExamAttempts,
+  Students,
+  Users
+} = models;
+
+const EVENT_TYPES = ['tab_blur', 'copy', 'paste', 'fullscreen_exit', 'ip_change', 'concurrent_session'];
+
+// In order of severity
+const ACTIONS = ['log', 'warn', 'flag', 'auto_submit'];
+
+// What happens once an attempt has `threshold` events of a type; events before that are warnings
+const DEFAULT_POLICY = {
+  tab_blur: { action: 'flag', threshold: 3 },
+  copy: { action: 'warn', threshold: 1 },
+  paste: { action: 'flag', threshold: 2 },
+  fullscreen_exit: { action: 'flag', threshold: 3 },
+  ip_change: { action: 'flag', threshold: 1 },
+  concurrent_session: { action: 'flag', threshold: 1 }
+};
+
+const WARNINGS = {
+  tab_blur: 'Leaving the exam page is recorded',
+  copy: 'Copying from the exam is recorded',
+  paste: 'Pasting into the exam is recorded',
+  fullscreen_exit: 'Leaving full screen is recorded',
+  ip_change: 'Your network address changed during the exam',
+  concurrent_session: 'The exam is open in another session'
+};
+
+/**
+ * The exam's integrity policy: its own rules over the defaults
+ * @param {Object} exam - The exam
+ * @returns {Object} - { action, threshold } per event type
+ */
+const resolvePolicy = (exam) => {
+  const own = exam.integrityPolicy || {};
+  return EVENT_TYPES.reduce((policy, eventType) => ({
+    ...policy,
+    [eventType]: { ...DEFAULT_POLICY[eventType], ...own[eventType] }
+  }), {});
+};
+
+/**
+ * The more severe of two actions
+ * @param {string} a - An action
+ * @param {string} b - Another action
+ * @returns {string} - The more severe one
+ */
+const severest = (a, b) => (ACTIONS.indexOf(a) >= ACTIONS.indexOf(b) ? a : b);
+
+/**
+ * Events the server sees for itself: a request from a new IP address, or from a login session
+ * other than the one the attempt was started in (each other session is reported once)
+ * @param {Object} attempt - The attempt
+ * @param {Array} previous - The attempt's earlier events
+ * @param {Object} metadata - ipAddress, userAgent and sessionId of the request
+ * @returns {Array<Object>} - The detected events
+ */
+const detectServerEvents = (attempt, previous, { ipAddress, sessionId }) => {
+  const detected = [];
+
+  const ipChanges = previous.filter(event => event.eventType === 'ip_change');
+  const currentIp = ipChanges.length ? ipChanges[ipChanges.length - 1].ipAddress : attempt.ipAddress;
+  if (ipAddress && currentIp && ipAddress !== currentIp) {
+    detected.push({ eventType: 'ip_change', source: 'server', details: { from: currentIp, to: ipAddress } });
+  }
+
+  const seenSessions = previous
+    .filter(event => event.eventType === 'concurrent_session' && event.details && event.details.sessionId)
+    .map(event => event.details.sessionId);
+  if (sessionId && attempt.sessionId && sessionId !== attempt.sessionId && !seenSessions.includes(sessionId)) {
+    detected.push({ eventType: 'concurrent_session', source: 'server', details: { sessionId } });
+  }
+
+  return detected;
+};
+
+const examIntegrityService = {
+  EVENT_TYPES,
+  ACTIONS,
+  DEFAULT_POLICY,
+
+  /**
+   * Get an exam's integrity policy
+   * @param {number} examId - The exam ID
+   * @returns {Promise<Object>} - { examId, policy }, with the defaults filled in
+   */
+  async getPolicy(examId) {
+    const exam = await Exams.findByPk(examId, { attributes: ['examId', 'integrityPolicy'] });
+
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    return { examId: exam.examId, policy: resolvePolicy(exam) };
+  },
+
+  /**
+   * Change an exam's integrity policy; event types left out keep their current rule
+   * Attempts already flagged stay flagged.
+   * @param {number} examId - The exam ID
+   * @param {Object} policy - { action, threshold } per event type
+   * @returns {Promise<Object>} - { examId, policy }
+   */
+  async updatePolicy(examId, policy) {
+    const exam = await Exams.findByPk(examId);
+
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    const own = { ...exam.integrityPolicy };
+    Object.entries(policy).forEach(([eventType, rule]) => {
+      own[eventType] = { ...own[eventType], ...rule };
+    });
+    await exam.update({ integrityPolicy: own });
+
+    return { examId: exam.examId, policy: resolvePolicy(exam) };
+  },
+
+  /**
+   * Record integrity events for an attempt in progress and apply the exam's policy
+   * The request itself is checked too: a new IP address or another login session is recorded
+   * as an ip_change or concurrent_session event. An event is a warning until the attempt has
+   * reached the rule's threshold of events of its type; from then on the rule's action applies.
+   * @param {number} attemptId - The attempt ID
+   * @param {number} studentId - The student the attempt must belong to
+   * @param {Array<Object>} events - { eventType, occurredAt, details } reported by the exam page
+   * @param {Object} metadata - ipAddress, userAgent and sessionId of the request
+   * @returns {Promise<Object>} - { recorded, action, warnings, integrityStatus, autoSubmitted }
+   */
+  async recordEvents(attemptId, studentId, events = [], metadata = {}) {
+    const transaction = await sequelize.transaction();
+    let result;
+
+    try {
+      const attempt = await StudentExamAttempts.findOne({
+        where: { attemptId, studentId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!attempt) {
+        throw new AppError('Exam attempt not found', 404);
+      }
+      if (attempt.status !== 'in_progress') {
+        throw new AppError('This attempt has already been submitted', 400);
+      }
+
+      const exam = await Exams.findByPk(attempt.examId, { attributes: ['examId', 'integrityPolicy'], transaction });
+      const policy = resolvePolicy(exam);
+      const previous = await ExamIntegrityEvents.findAll({
+        where: { attemptId },
+        attributes: ['eventType', 'ipAddress', 'details'],
+        order: [['createdAt', 'ASC'], ['eventId', 'ASC']],
+        transaction
+      });
+
+      const counts = {};
+      previous.forEach((event) => {
+        counts[event.eventType] = (counts[event.eventType] || 0) + 1;
+      });
+
+      const now = new Date();
+      const incoming = [
+        ...detectServerEvents(attempt, previous, metadata),
+        ...events.map(event => ({ ...event, source: 'client' }))
+      ];
+
+      let action = 'log';
+      const warnings = [];
+      const rows = incoming.map((event) => {
+        counts[event.eventType] = (counts[event.eventType] || 0) + 1;
+        const rule = policy[event.eventType];
+        const taken = counts[event.eventType] >= rule.threshold || rule.action === 'log' ? rule.action : 'warn';
+
+        action = severest(action, taken);
+        if (taken !== 'log' && !warnings.includes(WARNINGS[event.eventType])) {
+          warnings.push(WARNINGS[event.eventType]);
+        }
+
+        return {
+          attemptId: attempt.attemptId,
+          examId: attempt.examId,
+          eventType: event.eventType,
+          source: event.source,
+          // A client clock ahead of the server's cannot put events in the future
+          occurredAt: event.occurredAt && new Date(event.occurredAt) < now ? event.occurredAt : now,
+          action: taken,
+          ipAddress: metadata.ipAddress,
+          userAgent: metadata.userAgent,
+          details: event.details || null
+        };
+      });
+
+      if (rows.length > 0) {
+        await ExamIntegrityEvents.bulkCreate(rows, { transaction });
+      }
+
+      if (action === 'auto_submit') {
+        await attempt.update({ integrityStatus: 'auto_submitted', integrityFlaggedAt: attempt.integrityFlaggedAt || now }, { transaction });
+      } else if (action === 'flag' && !attempt.integrityStatus) {
+        await attempt.update({ integrityStatus: 'flagged', integrityFlaggedAt: now }, { transaction });
+      }
+
+      result = { recorded: rows.length, action, warnings, integrityStatus: attempt.integrityStatus || null, autoSubmitted: action === 'auto_submit' };
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    if (result.autoSubmitted) {
+      try {
+        await examService.completeExamAttempt(attemptId);
+      } catch (err) {
+        // The student may have submitted in the meantime
+        logger.warn(`Could not auto-submit exam attempt ${attemptId}: ${err.message}`);
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Check a request made during an attempt (saving an answer, submitting) for a new IP address or
+   * another login session, and apply the exam's policy to what is found
+   * Attempts that are not in progress are left to the caller, which rejects the request itself.
+   * @param {number} attemptId - The attempt ID
+   * @param {number} studentId - The student the attempt must belong to
+   * @param {Object} metadata - ipAddress, userAgent and sessionId of the request
+   * @returns {Promise<Object|null>} - As recordEvents, or null when the attempt is not in progress
+   */
+  async checkRequest(attemptId, studentId, metadata = {}) {
+    const attempt = await StudentExamAttempts.findOne({ where: { attemptId, studentId }, attributes: ['attemptId', 'status'] });
+
+    if (!attempt || attempt.status !== 'in_progress') {
+      return null;
+    }
+
+    return examIntegrityService.recordEvents(attemptId, studentId, [], metadata);
+  },
+
+  /**
+   * List an exam's attempts that were flagged or auto-submitted, with their event counts
+   * @param {number} examId - The exam ID
+   * @returns {Promise<Array>} - The attempts, most recently flagged first
+   */
+  async getFlaggedAttempts(examId) {
+    const exam = await Exams.findByPk(examId, { attributes: ['examId'] });
+
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    const attempts = await StudentExamAttempts.findAll({
+      where: { examId, integrityStatus: ['flagged', 'auto_submitted'] },
+      attributes: ['attemptId', 'studentId', 'status', 'startedAt', 'completedAt', 'integrityStatus', 'integrityFlaggedAt'],
+      include: [
+        { model: Students, as: 'student', attributes: ['studentId'], include: [{ model: Users, as: 'user', attributes: ['firstName', 'lastName'] }] },
+        { model: ExamIntegrityEvents, as: 'integrityEvents', attributes: ['eventType', 'action'] }
+      ],
+      order: [['integrityFlaggedAt', 'DESC']]
+    });
+
+    return attempts.map((attempt) => {
+      const user = attempt.student && attempt.student.user;
+      const eventCounts = {};
+      attempt.integrityEvents.forEach((event) => {
+        eventCounts[event.eventType] = (eventCounts[event.eventType] || 0) + 1;
+      });
+
+      return {
+        attemptId: attempt.attemptId,
+        studentId: attempt.studentId,
+        studentName: user ? `${user.firstName} ${user.lastName}` : null,
+        status: attempt.status,
+        integrityStatus: attempt.integrityStatus,
+        integrityFlaggedAt: attempt.integrityFlaggedAt,
+        startedAt: attempt.startedAt,
+        completedAt: attempt.completedAt,
+        eventCount: attempt.integrityEvents.length,
+        eventCounts
+      };
+    });
+  },
+
+  /**
+   * The timeline of an attempt for the teacher: its start, every integrity event and its submission
+   * @param {number} attemptId - The attempt ID
+   * @returns {Promise<Object>} - { attemptId, examId, studentId, status, integrityStatus, policy, timeline }
+   */
+  async getTimeline(attemptId) {
+    const attempt = await StudentExamAttempts.findByPk(attemptId, {
+      include: [{ model: ExamIntegrityEvents, as: 'integrityEvents' }]
+    });
+
+    if (!attempt) {
+      throw new AppError('Exam attempt not found', 404);
+    }
+
+    const exam = await Exams.findByPk(attempt.examId, { attributes: ['examId', 'integrityPolicy'] });
+
+    const timeline = [
+      { type: 'started', at: attempt.startedAt, ipAddress: attempt.ipAddress, userAgent: attempt.userAgent },
+      ...attempt.integrityEvents.map(event => ({
+        type: 'event',
+        at: event.occurredAt,
+        receivedAt: event.createdAt,
+        eventId: event.eventId,
+        eventType: event.eventType,
+        source: event.source,
+        action: event.action,
+        ipAddress: event.ipAddress,
+        userAgent: event.userAgent,
+        details: event.details
+      }))
+    ];
+    if (attempt.completedAt) {
+      timeline.push({
+        type: attempt.integrityStatus === 'auto_submitted' ? 'auto_submitted' : attempt.status,
+        at: attempt.completedAt
+      });
+    }
+    timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return {
+      attemptId: attempt.attemptId,
+      examId: attempt.examId,
+      studentId: attempt.studentId,
+      status: attempt.status,
+      integrityStatus: attempt.integrityStatus,
+      integrityFlaggedAt: attempt.integrityFlaggedAt,
+      policy: resolvePolicy(exam),
+      timeline
+    };
+  }
+};
+
+module.exports = examIntegrityService;
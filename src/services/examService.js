@@ -2,6 +2,15 @@ const { Op, Sequelize } = require('sequelize');
 const AppError = require('../utils/errors/AppError');
 const { sequelize } = require('../config/db.js');
 const initModels = require('../models/init-models');
+const logger = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const seededRandom = require('../utils/seededRandom');
+const questionScoring = require('../utils/questionScoring');
+const academicCalendarService = require('./academicCalendarService');
+const questionBankService = require('./questionBankService');
+const parentNotificationService = require('./parentNotificationService');
+const accommodationService = require('./accommodationService');
 
 const models = initModels(sequelize);
 const {
@@ -10,8 +19,12 @@ const {
   ExamAnswers,
   ExamStudentAssignments,
   ExamQuestionAssignments,
+  ExamQuestionDraws,
+  QuestionBanks,
   StudentExamAttempts,
   StudentExamResponses,
+  ExamRegrades,
+  ExamRegradeChanges,
   Students,
   Teachers,
   Users,
@@ -19,19 +32,406 @@ const {
   Classes
 } = models;
 
+/**
+ * When an attempt started at the given time must end: after the student's (custom) duration,
+ * and never later than the student's (custom) end date
+ * @param {Object} assignment - The assignment with its exam
+ * @param {Date} startedAt - When the attempt starts
+ * @returns {Date} - The deadline
+ */
+const attemptDeadline = (assignment, startedAt) => {
+  const duration = assignment.customDuration || assignment.exam.duration;
+  const endDate = new Date(assignment.customEndDate || assignment.exam.endDate);
+
+  return new Date(Math.min(startedAt.getTime() + duration * 60 * 1000, endDate.getTime()));
+};
+
+/**
+ * Whether an attempt's time has run out
+ * @param {Object} attempt - The attempt
+ * @returns {boolean} - True once expiresAt has passed
+ */
+const isExpired = (attempt) => !!attempt.expiresAt && new Date() >= new Date(attempt.expiresAt);
+
+/**
+ * An attempt as returned to clients, with the seconds it has left
+ * @param {Object} attempt - The attempt
+ * @returns {Object} - The attempt with remainingSeconds (null once it is closed, if it is untimed
+ * or if the student's accommodations hide the timer)
+ */
+const withRemainingTime = (attempt) => ({
+  ...attempt.get({ plain: true }),
+  remainingSeconds: attempt.status === 'in_progress' && attempt.expiresAt && !(attempt.accommodations && attempt.accommodations.hideTimer)
+    ? Math.max(0, Math.floor((new Date(attempt.expiresAt) - Date.now()) / 1000))
+    : null
+});
+
+/**
+ * Draw and shuffle one student's paper: the exam's own questions plus the student's draws from
+ * question banks. The random sequence is seeded by exam and student, so the same paper (question
+ * and answer order) comes out every time it is generated from the same banks.
+ * @param {Object} exam - The exam
+ * @param {number} studentId - The student ID
+ * @param {Array} fixedQuestions - The exam's own questions (with examAnswers)
+ * @param {Array} pools - { draw, candidates } per draw rule
+ * @param {Map} copies - The exam's copies of bank questions, by bank question ID (filled as needed)
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Array>} - { questionId, orderNumber, customPoints, answerOrder } per question
+ */
+const buildPaper = async (exam, studentId, fixedQuestions, pools, copies, transaction) => {
+  const random = seededRandom.create(`exam:${exam.examId}:student:${studentId}`);
+  const items = fixedQuestions.map(question => ({ question, customPoints: null }));
+
+  for (const { bankQuestion, draw } of questionBankService.drawForStudent(pools, random)) {
+    if (!copies.has(bankQuestion.bankQuestionId)) {
+      copies.set(bankQuestion.bankQuestionId, await questionBankService.copyToExam(bankQuestion, exam.examId, transaction));
+    }
+    items.push({ question: copies.get(bankQuestion.bankQuestionId), customPoints: draw.points });
+  }
+
+  return seededRandom.shuffle(items, random).map(({ question, customPoints }, index) => ({
+    questionId: question.questionId,
+    orderNumber: index,
+    customPoints,
+    answerOrder: question.examAnswers && question.examAnswers.length > 1
+      ? seededRandom.shuffle(question.examAnswers.map(answer => answer.answerId), random)
+      : null
+  }));
+};
+
+// Responses a teacher still has to grade or confirm
+const NEEDS_REVIEW = ['pending', 'flagged'];
+
+/**
+ * Grade a text response automatically where that can be trusted
+ * Short answers are open responses and always wait for a teacher. A fill-in-the-blank answer
+ * that matches exactly is graded; one that only partially matches is flagged with no credit
+ * until a teacher confirms it.
+ * @param {Object} question - The exam question
+ * @param {string} textResponse - The student's answer
+ * @param {number} maxScore - The points available
+ * @returns {Object} - { isCorrect, scoreAwarded, gradingStatus }
+ */
+const gradeTextResponse = (question, textResponse, maxScore) => {
+  if (!textResponse || !textResponse.trim()) {
+    return { isCorrect: false, scoreAwarded: 0, gradingStatus: 'auto_graded' };
+  }
+
+  if (question.questionType === 'short_answer' || !question.correctAnswer) {
+    return { isCorrect: null, scoreAwarded: null, gradingStatus: 'pending' };
+  }
+
+  let studentAnswer = textResponse.trim();
+  let correctAnswer = question.correctAnswer.trim();
+
+  // Apply case sensitivity setting
+  if (!question.caseSensitive) {
+    studentAnswer = studentAnswer.toLowerCase();
+    correctAnswer = correctAnswer.toLowerCase();
+  }
+
+  if (studentAnswer === correctAnswer) {
+    return { isCorrect: true, scoreAwarded: maxScore, gradingStatus: 'auto_graded' };
+  }
+
+  if (question.allowPartialMatch && (studentAnswer.includes(correctAnswer) || correctAnswer.includes(studentAnswer))) {
+    return { isCorrect: null, scoreAwarded: 0, gradingStatus: 'flagged' };
+  }
+
+  return { isCorrect: false, scoreAwarded: 0, gradingStatus: 'auto_graded' };
+};
+
+// Questions answered in free text, scored by gradeTextResponse rather than questionScoring
+const TEXT_TYPES = ['short_answer', 'fill_in_blank'];
+
+/**
+ * An exam question in the shape questionScoring expects
+ * @param {Object} question - The exam question with its examAnswers
+ * @returns {Object} - { questionId, questionType, answers, answerConfig }
+ */
+const toScoringQuestion = (question) => ({
+  questionId: question.questionId,
+  questionType: question.questionType,
+  answers: question.examAnswers,
+  answerConfig: question.answerConfig
+});
+
+/**
+ * Score a student's answer to a question
+ * @param {Object} question - The exam question with its examAnswers
+ * @param {Object} responseData - chosenAnswerId, textResponse or the structured answer fields
+ * @param {number} maxScore - The points available
+ * @returns {Object} - { isCorrect, scoreAwarded, gradingStatus }
+ */
+const scoreResponse = (question, responseData, maxScore) => {
+  if (TEXT_TYPES.includes(question.questionType)) {
+    return gradeTextResponse(question, responseData.textResponse, maxScore);
+  }
+
+  const result = questionScoring.score(toScoringQuestion(question), { ...responseData, answerId: responseData.chosenAnswerId }, maxScore);
+  return {
+    isCorrect: result.isCorrect,
+    scoreAwarded: result.scoreAwarded,
+    gradingStatus: result.needsReview ? 'pending' : 'auto_graded'
+  };
+};
+
+/**
+ * Total an attempt's responses; pass/fail stays open while any response waits for a teacher
+ * @param {Object} attempt - The attempt
+ * @param {Array} responses - The attempt's responses
+ * @param {number|string} passingPercentage - The exam's pass mark
+ * @returns {Object} - { score, percentage, passed, gradingStatus }
+ */
+const attemptResult = (attempt, responses, passingPercentage) => {
+  const score = responses.reduce((sum, response) => sum + Number(response.scoreAwarded || 0), 0);
+  const maxScore = Number(attempt.maxScore);
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 10000) / 100 : 0;
+  const pendingReview = responses.some(response => NEEDS_REVIEW.includes(response.gradingStatus));
+
+  return {
+    score,
+    percentage,
+    passed: pendingReview ? null : percentage >= Number(passingPercentage),
+    gradingStatus: pendingReview ? 'pending_review' : 'graded'
+  };
+};
+
+/**
+ * How many attempts a student has at an assignment
+ * @param {Object} assignment - The assignment
+ * @param {Object} exam - The assignment's exam
+ * @returns {number} - The assignment's own number of attempts, or the exam's
+ */
+const allowedAttempts = (assignment, exam = assignment.exam) => assignment.customMaxAttempts || exam.maxAttempts || 1;
+
+/**
+ * An assignment's grade from its attempts under the exam's scoring rule (highest, latest or average)
+ * Attempts still waiting for a teacher count once they are graded.
+ * @param {Array} attempts - The assignment's attempts
+ * @param {Object} exam - The exam (scoringRule, passingPercentage)
+ * @returns {Object} - { score, maxScore, percentage, passed, gradedAttemptId }; all null until an attempt is graded
+ */
+const assignmentGrade = (attempts, exam) => {
+  const graded = attempts
+    .filter(attempt => attempt.status !== 'in_progress' && attempt.gradingStatus === 'graded')
+    .sort((a, b) => a.attemptNumber - b.attemptNumber);
+
+  if (graded.length === 0) {
+    return { score: null, maxScore: null, percentage: null, passed: null, gradedAttemptId: null };
+  }
+
+  let grade;
+  if (exam.scoringRule === 'average') {
+    const average = key => Math.round((graded.reduce((sum, attempt) => sum + Number(attempt[key]), 0) / graded.length) * 100) / 100;
+    grade = { score: average('score'), maxScore: average('maxScore'), percentage: average('percentage'), gradedAttemptId: null };
+  } else {
+    // The earliest of equally high attempts counts
+    const counted = exam.scoringRule === 'latest'
+      ? graded[graded.length - 1]
+      : graded.reduce((best, attempt) => (Number(attempt.percentage) > Number(best.percentage) ? attempt : best));
+    grade = {
+      score: Number(counted.score),
+      maxScore: Number(counted.maxScore),
+      percentage: Number(counted.percentage),
+      gradedAttemptId: counted.attemptId
+    };
+  }
+
+  return { ...grade, passed: grade.percentage >= Number(exam.passingPercentage) };
+};
+
+/**
+ * Work out an assignment's grade again from all of its attempts
+ * Once it has been attempted and none is in progress, the assignment is completed when no attempts
+ * are left and stays started while the student may still retake it.
+ * @param {Object} assignment - The assignment
+ * @param {Object} exam - The assignment's exam
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Object>} - The updated assignment
+ */
+const refreshAssignmentGrade = async (assignment, exam, transaction) => {
+  const attempts = await StudentExamAttempts.findAll({ where: { assignmentId: assignment.assignmentId }, transaction });
+  const values = assignmentGrade(attempts, exam);
+
+  if (attempts.length > 0 && !attempts.some(attempt => attempt.status === 'in_progress')) {
+    values.status = attempts.length >= allowedAttempts(assignment, exam) ? 'completed' : 'started';
+  }
+
+  return assignment.update(values, { transaction });
+};
+
+/**
+ * Load the responses of an attempt that count towards its score: those to questions on the student's paper
+ * Bank draws are copied into the exam, so the exam holds questions that are on other students' papers only.
+ * Papers from before question assignments were kept have no rows, and then every response counts.
+ * @param {Object} attempt - The attempt
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Array>} - The responses
+ */
+const findPaperResponses = async (attempt, transaction) => {
+  const responses = await StudentExamResponses.findAll({ where: { attemptId: attempt.attemptId }, transaction });
+  const paper = await ExamQuestionAssignments.findAll({
+    where: { examStudentAssignmentId: attempt.assignmentId },
+    attributes: ['questionId'],
+    transaction
+  });
+
+  if (paper.length === 0) {
+    return responses;
+  }
+
+  const onPaper = new Set(paper.map(item => item.questionId));
+  return responses.filter(response => onPaper.has(response.questionId));
+};
+
+/**
+ * Score an attempt from its saved responses and close it
+ * The assignment's grade and status are worked out again from all of its attempts.
+ * @param {Object} attempt - The in-progress attempt
+ * @param {string} status - 'completed', or 'timed_out' when the time ran out
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Object>} - The closed attempt
+ */
+const closeAttempt = async (attempt, status, transaction) => {
+  const assignment = await ExamStudentAssignments.findByPk(attempt.assignmentId, {
+    include: [{ model: Exams, as: 'exam' }],
+    transaction
+  });
+  const responses = await findPaperResponses(attempt, transaction);
+
+  await attempt.update({
+    status,
+    completedAt: new Date(),
+    ...attemptResult(attempt, responses, assignment.exam.passingPercentage)
+  }, { transaction });
+
+  await refreshAssignmentGrade(assignment, assignment.exam, transaction);
+
+  return attempt;
+};
+
+/**
+ * Tell the student and their linked parents that an attempt has been graded; failures are logged, not thrown
+ * @param {Object} attempt - The graded attempt
+ * @param {Object} exam - The attempt's exam
+ */
+const notifyGraded = (attempt, exam) => {
+  const notify = async () => {
+    const student = await Students.findByPk(attempt.studentId, {
+      include: [{ model: Users, as: 'user', attributes: ['userId', 'firstName', 'email'] }]
+    });
+
+    if (student && student.user) {
+      await mailer.sendMail({
+        to: student.user.email,
+        ...emailTemplates.examGraded({
+          firstName: student.user.firstName,
+          examTitle: exam.title,
+          percentage: attempt.percentage,
+          passed: attempt.passed
+        })
+      });
+    }
+
+    await parentNotificationService.notifyLinkedParents(attempt.studentId, {
+      notificationType: 'grade_update',
+      title: `${exam.title} has been graded`,
+      content: `Your child scored ${attempt.percentage}% on ${exam.title} and ${attempt.passed ? 'passed' : 'did not pass'}.`,
+      relatedEntityType: 'exam',
+      relatedEntityId: exam.examId,
+      urgency: 'medium'
+    });
+  };
+
+  notify().catch(err => logger.error(`Failed to notify graded exam attempt ${attempt.attemptId}: ${err.message}`));
+};
+
+/**
+ * Tell the student and their linked parents that a regrade changed an attempt's result; failures are logged, not thrown
+ * @param {Object} change - attemptId, studentId, oldPercentage, newPercentage and newPassed of the attempt
+ * @param {Object} exam - The attempt's exam
+ */
+const notifyRegraded = (change, exam) => {
+  const notify = async () => {
+    const student = await Students.findByPk(change.studentId, {
+      include: [{ model: Users, as: 'user', attributes: ['userId', 'firstName', 'email'] }]
+    });
+
+    if (student && student.user) {
+      await mailer.sendMail({
+        to: student.user.email,
+        ...emailTemplates.examRegraded({
+          firstName: student.user.firstName,
+          examTitle: exam.title,
+          oldPercentage: change.oldPercentage,
+          percentage: change.newPercentage,
+          passed: change.newPassed
+        })
+      });
+    }
+
+    await parentNotificationService.notifyLinkedParents(change.studentId, {
+      notificationType: 'grade_update',
+      title: `${exam.title} has been regraded`,
+      content: `A question on ${exam.title} was corrected; your child's score changed from ${change.oldPercentage}% to ${change.newPercentage}%.`,
+      relatedEntityType: 'exam',
+      relatedEntityId: exam.examId,
+      urgency: 'medium'
+    });
+  };
+
+  notify().catch(err => logger.error(`Failed to notify regraded exam attempt ${change.attemptId}: ${err.message}`));
+};
+
+/**
+ * Create an exam question, with its answers for choice questions
+ * @param {number} examId - The exam ID
+ * @param {Object} questionData - The question fields and its answers
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Object>} - The created question
+ */
+const createExamQuestion = async (examId, questionData, transaction) => {
+  questionScoring.assertDefinition(questionData.questionType, questionData.answers, questionData.answerConfig);
+
+  const question = await ExamQuestions.create({
+    ...questionData,
+    examId
+  }, { transaction });
+
+  if (questionScoring.CHOICE_TYPES.includes(questionData.questionType) && Array.isArray(questionData.answers)) {
+    await ExamAnswers.bulkCreate(questionData.answers.map((answer, index) => ({
+      questionId: question.questionId,
+      answerText: answer.answerText,
+      isCorrect: answer.isCorrect || false,
+      orderNumber: index,
+      feedback: answer.feedback || null
+    })), { transaction });
+  }
+
+  return question;
+};
+
 const examService = {
   /**
-   * Create a new exam
+   * Create a new exam, optionally with its questions (e.g. from an imported package)
    * @param {Object} examData - The exam data
+   * @param {Array} questions - Questions with their answers, in order
    * @returns {Promise<Object>} - The created exam
    */
-  async createExam(examData) {
+  async createExam(examData, questions = []) {
+    await academicCalendarService.assertExamWindow(examData);
+
     const transaction = await sequelize.transaction();
 
     try {
       // Create the exam
       const exam = await Exams.create(examData, { transaction });
 
+      for (const [index, questionData] of questions.entries()) {
+        await createExamQuestion(exam.examId, { ...questionData, orderNumber: index + 1 }, transaction);
+      }
+
       await transaction.commit();
       return exam;
     } catch (error) {
@@ -124,25 +524,53 @@ const examService = {
 
   /**
    * Update an exam
+   * Changing how attempts are graded works the stored grade of every assignment out again.
    * @param {number} examId - The exam ID
    * @param {Object} updateData - The data to update
    * @returns {Promise<Object>} - The updated exam
    */
   async updateExam(examId, updateData) {
-    const exam = await Exams.findByPk(examId);
+    const transaction = await sequelize.transaction();
 
-    if (!exam) {
-      throw new AppError('Exam not found', 404);
-    }
+    try {
+      const exam = await Exams.findByPk(examId, { transaction });
 
-    // Check if the exam is already published and trying to modify critical fields
-    if (exam.isPublished && updateData.isPublished === false) {
-      throw new AppError('Cannot unpublish an already published exam', 400);
-    }
+      if (!exam) {
+        throw new AppError('Exam not found', 404);
+      }
+
+      // Check if the exam is already published and trying to modify critical fields
+      if (exam.isPublished && updateData.isPublished === false) {
+        throw new AppError('Cannot unpublish an already published exam', 400);
+      }
 
-    await exam.update(updateData);
+      if (['startDate', 'endDate', 'classId', 'courseId'].some(key => updateData[key] !== undefined)) {
+        await academicCalendarService.assertExamWindow({
+          classId: updateData.classId !== undefined ? updateData.classId : exam.classId,
+          courseId: updateData.courseId || exam.courseId,
+          startDate: updateData.startDate || exam.startDate,
+          endDate: updateData.endDate || exam.endDate
+        });
+      }
 
-    return exam;
+      const regrade = ['scoringRule', 'maxAttempts', 'passingPercentage']
+        .some(key => updateData[key] !== undefined && String(updateData[key]) !== String(exam[key]));
+
+      await exam.update(updateData, { transaction });
+
+      if (regrade) {
+        const assignments = await ExamStudentAssignments.findAll({ where: { examId: exam.examId }, transaction });
+        for (const assignment of assignments) {
+          await refreshAssignmentGrade(assignment, exam, transaction);
+        }
+      }
+
+      await transaction.commit();
+      return exam;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
   },
 
   /**
@@ -230,25 +658,7 @@ const examService = {
         throw new AppError('Exam not found', 404);
       }
 
-      // Create the question
-      const question = await ExamQuestions.create({
-        ...questionData,
-        examId
-      }, { transaction });
-
-      // If it's a multiple-choice question, create the answers
-      if (questionData.questionType === 'multiple_choice' && questionData.answers && Array.isArray(questionData.answers)) {
-        const answerPromises = questionData.answers.map((answer, index) => {
-          return ExamAnswers.create({
-            questionId: question.questionId,
-            answerText: answer.answerText,
-            isCorrect: answer.isCorrect || false,
-            orderNumber: index
-          }, { transaction });
-        });
-
-        await Promise.all(answerPromises);
-      }
+      const question = await createExamQuestion(examId, questionData, transaction);
 
       await transaction.commit();
 
@@ -260,6 +670,38 @@ const examService = {
     }
   },
 
+  /**
+   * Add several questions to an exam, after its existing questions; all or none are added
+   * @param {number} examId - The exam ID
+   * @param {Array} questions - The questions with their answers, in order
+   * @returns {Promise<Array>} - The created questions
+   */
+  async addQuestionsToExam(examId, questions) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const exam = await Exams.findByPk(examId, { transaction });
+
+      if (!exam) {
+        throw new AppError('Exam not found', 404);
+      }
+
+      let orderNumber = (await ExamQuestions.max('orderNumber', { where: { examId }, transaction })) || 0;
+
+      const created = [];
+      for (const questionData of questions) {
+        orderNumber += 1;
+        created.push(await createExamQuestion(examId, { ...questionData, orderNumber }, transaction));
+      }
+
+      await transaction.commit();
+      return created;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
   /**
    * Get a question by ID with its answers
    * @param {number} questionId - The question ID
@@ -289,31 +731,73 @@ const examService = {
     const transaction = await sequelize.transaction();
 
     try {
-      const question = await ExamQuestions.findByPk(questionId, { transaction });
+      const question = await ExamQuestions.findByPk(questionId, {
+        include: [{ model: ExamAnswers, as: 'examAnswers' }],
+        transaction
+      });
 
       if (!question) {
         throw new AppError('Question not found', 404);
       }
 
+      // The question must still be scorable once the changes are applied
+      questionScoring.assertDefinition(
+        updateData.questionType || question.questionType,
+        updateData.answers || question.examAnswers,
+        updateData.answerConfig !== undefined ? updateData.answerConfig : question.answerConfig
+      );
+
+      // Answers students have given must stay readable so the question can be regraded
+      const responses = await StudentExamResponses.findAll({
+        where: { questionId },
+        attributes: ['responseId', 'chosenAnswerId', 'answerData'],
+        transaction
+      });
+
+      if (responses.length > 0 && updateData.questionType && updateData.questionType !== question.questionType) {
+        throw new AppError('The type of a question students have answered cannot be changed', 400);
+      }
+
       // Update the question
       await question.update(updateData, { transaction });
 
-      // If answers are provided and it's a multiple-choice question, update the answers
-      if (updateData.answers && Array.isArray(updateData.answers) && question.questionType === 'multiple_choice') {
-        // Delete existing answers
-        await ExamAnswers.destroy({
-          where: { questionId },
-          transaction
-        });
+      // If answers are provided and it's a choice question, update the answers; answers sent
+      // with their answerId are corrected in place, the others replace the remaining answers
+      if (updateData.answers && Array.isArray(updateData.answers) && questionScoring.CHOICE_TYPES.includes(question.questionType)) {
+        const existing = new Map(question.examAnswers.map(answer => [answer.answerId, answer]));
+        const unknown = updateData.answers.find(answer => answer.answerId && !existing.has(answer.answerId));
+
+        if (unknown) {
+          throw new AppError(`Answer ${unknown.answerId} does not belong to this question`, 400);
+        }
+
+        const kept = new Set(updateData.answers.map(answer => answer.answerId));
+        const removed = question.examAnswers.filter(answer => !kept.has(answer.answerId)).map(answer => answer.answerId);
+        const chosen = new Set(responses.flatMap(response => (response.chosenAnswerId
+          ? [response.chosenAnswerId]
+          : (response.answerData && response.answerData.answerIds) || [])));
+
+        if (removed.some(answerId => chosen.has(answerId))) {
+          throw new AppError('Answers students have chosen cannot be removed; send them with their answerId and mark them wrong instead', 400);
+        }
+
+        if (removed.length > 0) {
+          await ExamAnswers.destroy({
+            where: { answerId: removed },
+            transaction
+          });
+        }
 
-        // Create new answers
         const answerPromises = updateData.answers.map((answer, index) => {
-          return ExamAnswers.create({
-            questionId,
+          const fields = {
             answerText: answer.answerText,
             isCorrect: answer.isCorrect || false,
             orderNumber: index
-          }, { transaction });
+          };
+
+          return answer.answerId
+            ? existing.get(answer.answerId).update(fields, { transaction })
+            : ExamAnswers.create({ ...fields, questionId }, { transaction });
         });
 
         await Promise.all(answerPromises);
@@ -371,8 +855,70 @@ const examService = {
     }
   },
 
+  /**
+   * Add a rule drawing questions from a bank onto each student's paper
+   * @param {number} examId - The exam ID
+   * @param {Object} drawData - questionBankId, count, and optional tag, difficulty and points
+   * @returns {Promise<Object>} - The created draw rule
+   */
+  async addQuestionDraw(examId, drawData) {
+    const exam = await Exams.findByPk(examId);
+
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    await questionBankService.findUsableBank(drawData.questionBankId, exam.teacherId);
+
+    const tag = drawData.tag ? drawData.tag.trim().toLowerCase() : null;
+    const candidates = await questionBankService.findCandidates({ ...drawData, tag });
+
+    if (candidates.length < drawData.count) {
+      throw new AppError(`The bank only has ${candidates.length} matching questions`, 400);
+    }
+
+    return ExamQuestionDraws.create({
+      examId,
+      questionBankId: drawData.questionBankId,
+      tag,
+      difficulty: drawData.difficulty || null,
+      count: drawData.count,
+      points: drawData.points || null
+    });
+  },
+
+  /**
+   * List an exam's question draw rules
+   * @param {number} examId - The exam ID
+   * @returns {Promise<Array>} - The draw rules with their banks
+   */
+  async getQuestionDraws(examId) {
+    return ExamQuestionDraws.findAll({
+      where: { examId },
+      include: [{ model: QuestionBanks, as: 'questionBank', attributes: ['questionBankId', 'title', 'teacherId'] }],
+      order: [['drawId', 'ASC']]
+    });
+  },
+
+  /**
+   * Remove a question draw rule; papers already assigned keep their questions
+   * @param {number} drawId - The draw rule ID
+   * @returns {Promise<boolean>} - True if removed
+   */
+  async removeQuestionDraw(drawId) {
+    const draw = await ExamQuestionDraws.findByPk(drawId);
+
+    if (!draw) {
+      throw new AppError('Question draw not found', 404);
+    }
+
+    await draw.destroy();
+    return true;
+  },
+
   /**
    * Assign an exam to students
+   * When the exam has question draws, each student gets their own paper drawn from the banks.
    * @param {number} examId - The exam ID
    * @param {Array} studentIds - Array of student IDs
    * @param {number} assignedById - The ID of the user assigning the exam
@@ -393,16 +939,62 @@ const examService = {
         throw new AppError('Cannot assign an unpublished exam', 400);
       }
 
-      // Get all questions for this exam
+      // Get all questions for this exam; questions copied from banks are only on the papers that drew them
       const questions = await ExamQuestions.findAll({
         where: { examId },
+        include: [{ model: ExamAnswers, as: 'examAnswers' }],
         transaction
       });
+      const fixedQuestions = questions.filter(question => !question.bankQuestionId);
+      const standardQuestions = fixedQuestions.filter(question => !question.questionSet);
+      const questionSets = [...new Set(fixedQuestions.map(question => question.questionSet).filter(Boolean))];
+      const draws = await ExamQuestionDraws.findAll({ where: { examId }, order: [['drawId', 'ASC']], transaction });
 
-      if (questions.length === 0) {
+      if (standardQuestions.length === 0 && draws.length === 0) {
         throw new AppError('Cannot assign an exam with no questions', 400);
       }
 
+      if (options.customStartDate || options.customEndDate) {
+        await academicCalendarService.assertExamWindow({
+          classId: exam.classId,
+          courseId: exam.courseId,
+          startDate: options.customStartDate || exam.startDate,
+          endDate: options.customEndDate || exam.endDate
+        });
+      }
+
+      // Apply each student's standing accommodations (extended time, alternate question set, ...)
+      const profiles = await accommodationService.findProfiles(studentIds, transaction);
+      const plans = {};
+      for (const studentId of studentIds) {
+        plans[studentId] = accommodationService.forExamAssignment(profiles.get(Number(studentId)) || null, exam, {
+          customDuration: options.customDuration,
+          customEndDate: options.customEndDate,
+          customMaxAttempts: options.customMaxAttempts,
+          questionSets,
+          paperSet: !!(options.studentQuestions && options.studentQuestions[studentId])
+        });
+      }
+      const questionsFor = (studentId) => (plans[studentId].questionSet
+        ? fixedQuestions.filter(question => question.questionSet === plans[studentId].questionSet)
+        : standardQuestions);
+
+      // Draw every student's paper first, so each bank question is copied into the exam only once
+      const papers = {};
+      if (draws.length > 0) {
+        const pools = [];
+        for (const draw of draws) {
+          pools.push({ draw, candidates: await questionBankService.findCandidates(draw, transaction) });
+        }
+
+        const copies = new Map();
+        for (const studentId of studentIds) {
+          if (!(options.studentQuestions && options.studentQuestions[studentId])) {
+            papers[studentId] = await buildPaper(exam, studentId, questionsFor(studentId), pools, copies, transaction);
+          }
+        }
+      }
+
       // Create assignments for each student
       const assignmentPromises = studentIds.map(async (studentId) => {
         // Check if student exists
@@ -431,8 +1023,10 @@ const examService = {
           studentId,
           assignedById,
           customStartDate: options.customStartDate,
-          customEndDate: options.customEndDate,
-          customDuration: options.customDuration
+          customEndDate: plans[studentId].customEndDate,
+          customDuration: plans[studentId].customDuration,
+          customMaxAttempts: plans[studentId].customMaxAttempts,
+          accommodations: plans[studentId].accommodations
         }, { transaction });
 
         // If specific questions are provided for this student
@@ -460,9 +1054,15 @@ const examService = {
           });
 
           await Promise.all(questionAssignmentPromises);
+        } else if (papers[studentId]) {
+          // Assign the student's drawn and shuffled paper
+          await ExamQuestionAssignments.bulkCreate(papers[studentId].map(item => ({
+            examStudentAssignmentId: assignment.assignmentId,
+            ...item
+          })), { transaction });
         } else {
-          // Assign all questions to the student
-          const questionAssignmentPromises = questions.map((question, index) => {
+          // Assign all questions (of the student's question set) to the student
+          const questionAssignmentPromises = questionsFor(studentId).map((question, index) => {
             return ExamQuestionAssignments.create({
               examStudentAssignmentId: assignment.assignmentId,
               questionId: question.questionId,
@@ -548,17 +1148,94 @@ const examService = {
     });
   },
 
+  /**
+   * Get a student's paper: their questions in their order, with answers in their order and
+   * nothing that gives the correct answers away
+   * @param {number} assignmentId - The assignment ID
+   * @returns {Promise<Object>} - The paper
+   */
+  async getExamPaper(assignmentId) {
+    const assignment = await ExamStudentAssignments.findByPk(assignmentId, {
+      include: [
+        { model: Exams, as: 'exam' },
+        {
+          model: ExamQuestionAssignments,
+          as: 'examQuestionAssignments',
+          include: [{
+            model: ExamQuestions,
+            as: 'question',
+            include: [{ model: ExamAnswers, as: 'examAnswers' }]
+          }]
+        }
+      ],
+      order: [[{ model: ExamQuestionAssignments, as: 'examQuestionAssignments' }, 'orderNumber', 'ASC']]
+    });
+
+    if (!assignment) {
+      throw new AppError('Exam assignment not found', 404);
+    }
+
+    if (new Date() < new Date(assignment.customStartDate || assignment.exam.startDate)) {
+      throw new AppError('Exam has not started yet', 400);
+    }
+
+    // A retake of incorrect questions only leaves out the questions carried over from the previous attempt
+    let carriedOver = [];
+    if (assignment.exam.retakeIncorrectOnly) {
+      const attempt = await StudentExamAttempts.findOne({ where: { assignmentId, status: 'in_progress' }, attributes: ['attemptId'] });
+      if (attempt) {
+        const kept = await StudentExamResponses.findAll({ where: { attemptId: attempt.attemptId, carriedOver: true }, attributes: ['questionId'] });
+        carriedOver = kept.map(response => response.questionId);
+      }
+    }
+
+    const paper = assignment.examQuestionAssignments.filter(({ question }) => !carriedOver.includes(question.questionId));
+
+    return {
+      assignmentId: assignment.assignmentId,
+      examId: assignment.examId,
+      title: assignment.exam.title,
+      questions: paper.map(({ question, orderNumber, customPoints, answerOrder }) => {
+        const position = answerId => (answerOrder ? answerOrder.indexOf(answerId) : 0);
+        const answers = [...question.examAnswers]
+          .sort((a, b) => position(a.answerId) - position(b.answerId) || a.orderNumber - b.orderNumber);
+
+        return {
+          questionId: question.questionId,
+          orderNumber,
+          questionText: question.questionText,
+          questionType: question.questionType,
+          points: customPoints || question.points,
+          answers: answers.map(answer => ({ answerId: answer.answerId, answerText: answer.answerText })),
+          config: questionScoring.studentConfig(question)
+        };
+      })
+    };
+  },
+
   /**
    * Start an exam attempt for a student
+   * A new attempt needs an attempt left (the exam's max attempts, or the assignment's own) and the
+   * exam's cooldown to have passed since the last one. On an exam that retakes incorrect questions
+   * only, the previous attempt's fully right answers are carried over into the new attempt.
    * @param {number} assignmentId - The assignment ID
    * @param {number} studentId - The student ID
-   * @param {Object} metadata - Additional metadata (IP, user agent, etc.)
-   * @returns {Promise<Object>} - The created attempt
+   * @param {Object} metadata - Additional metadata (IP, user agent, login session ID)
+   * @returns {Promise<Object>} - The created (or resumed) attempt with its remaining time
    */
   async startExamAttempt(assignmentId, studentId, metadata = {}) {
     const transaction = await sequelize.transaction();
+    let timedOut = false;
 
     try {
+      // Locking the assignment serialises the student's starts, so two requests cannot both take the last attempt
+      await ExamStudentAssignments.findOne({
+        where: { assignmentId, studentId },
+        attributes: ['assignmentId'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
       // Get the assignment
       const assignment = await ExamStudentAssignments.findOne({
         where: {
@@ -588,6 +1265,49 @@ const examService = {
         throw new AppError('Exam assignment not found', 404);
       }
 
+      // Check if there's an existing incomplete attempt
+      const existingAttempt = await StudentExamAttempts.findOne({
+        where: {
+          assignmentId,
+          studentId,
+          status: 'in_progress'
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (existingAttempt && !isExpired(existingAttempt)) {
+        // Return the existing attempt
+        await transaction.commit();
+        return withRemainingTime(existingAttempt);
+      }
+
+      if (existingAttempt) {
+        await closeAttempt(existingAttempt, 'timed_out', transaction);
+        timedOut = true;
+        throw new AppError('Your time for this exam has run out; it was submitted with the answers saved so far', 400);
+      }
+
+      // Assignments made before the student had an accommodations profile pick it up now
+      if (!assignment.accommodations) {
+        const profiles = await accommodationService.findProfiles([assignment.studentId], transaction);
+        const plan = accommodationService.forExamAssignment(profiles.get(assignment.studentId) || null, assignment.exam, {
+          customDuration: assignment.customDuration,
+          customEndDate: assignment.customEndDate,
+          customMaxAttempts: assignment.customMaxAttempts,
+          paperSet: true
+        });
+
+        if (plan.accommodations) {
+          await assignment.update({
+            customDuration: plan.customDuration,
+            customEndDate: plan.customEndDate,
+            customMaxAttempts: plan.customMaxAttempts,
+            accommodations: plan.accommodations
+          }, { transaction });
+        }
+      }
+
       // Check if the exam is currently available
       const now = new Date();
       const startDate = assignment.customStartDate || assignment.exam.startDate;
@@ -601,46 +1321,90 @@ const examService = {
         throw new AppError('Exam has already ended', 400);
       }
 
-      // Check if there's an existing incomplete attempt
-      const existingAttempt = await StudentExamAttempts.findOne({
-        where: {
-          assignmentId,
-          studentId,
-          status: 'in_progress'
-        },
+      const previousAttempts = await StudentExamAttempts.findAll({
+        where: { assignmentId },
+        order: [['attemptNumber', 'ASC']],
         transaction
       });
+      const allowed = allowedAttempts(assignment);
 
-      if (existingAttempt) {
-        // Return the existing attempt
-        await transaction.commit();
-        return existingAttempt;
+      if (previousAttempts.length >= allowed) {
+        throw new AppError(allowed === 1 ? 'You have already submitted this exam' : `You have used all ${allowed} attempts for this exam`, 400);
+      }
+
+      const previous = previousAttempts[previousAttempts.length - 1];
+      const cooldown = Number(assignment.exam.attemptCooldownMinutes || 0);
+      if (previous && cooldown > 0) {
+        const availableAt = new Date(new Date(previous.completedAt).getTime() + cooldown * 60 * 1000);
+        if (now < availableAt) {
+          throw new AppError(`You can start your next attempt at ${availableAt.toISOString()}`, 400);
+        }
+      }
+
+      let carriedOver = [];
+      if (previous && assignment.exam.retakeIncorrectOnly) {
+        const previousResponses = await StudentExamResponses.findAll({ where: { attemptId: previous.attemptId }, transaction });
+        carriedOver = previousResponses.filter(response => !NEEDS_REVIEW.includes(response.gradingStatus)
+          && Number(response.scoreAwarded) >= Number(response.maxScore));
+
+        if (carriedOver.length >= assignment.examQuestionAssignments.length) {
+          throw new AppError('Every question was answered correctly in your last attempt', 400);
+        }
       }
 
       // Calculate max score
       const maxScore = assignment.examQuestionAssignments.reduce((total, qa) => {
-        return total + (qa.customPoints || qa.question.points);
+        return total + Number(qa.customPoints || qa.question.points);
       }, 0);
 
-      // Create a new attempt
+      // Create a new attempt, with its deadline fixed now
       const attempt = await StudentExamAttempts.create({
         assignmentId,
         studentId,
         examId: assignment.examId,
+        attemptNumber: previousAttempts.length + 1,
         maxScore,
+        startedAt: now,
+        expiresAt: attemptDeadline(assignment, now),
         ipAddress: metadata.ipAddress,
-        userAgent: metadata.userAgent
+        userAgent: metadata.userAgent,
+        sessionId: metadata.sessionId,
+        accommodations: assignment.accommodations || null
       }, { transaction });
 
+      if (carriedOver.length > 0) {
+        await StudentExamResponses.bulkCreate(carriedOver.map(response => ({
+          attemptId: attempt.attemptId,
+          questionId: response.questionId,
+          chosenAnswerId: response.chosenAnswerId,
+          textResponse: response.textResponse,
+          answerData: response.answerData,
+          isCorrect: response.isCorrect,
+          scoreAwarded: response.scoreAwarded,
+          maxScore: response.maxScore,
+          gradingStatus: response.gradingStatus,
+          gradedBy: response.gradedBy,
+          gradedAt: response.gradedAt,
+          gradingNotes: response.gradingNotes,
+          respondedAt: response.respondedAt,
+          carriedOver: true
+        })), { transaction });
+      }
+
       // Update assignment status
       await assignment.update({
         status: 'started'
       }, { transaction });
 
       await transaction.commit();
-      return attempt;
+      return withRemainingTime(attempt);
     } catch (error) {
-      await transaction.rollback();
+      // A timed-out attempt is closed for good before the error is reported
+      if (timedOut) {
+        await transaction.commit();
+      } else {
+        await transaction.rollback();
+      }
       throw error;
     }
   },
@@ -650,10 +1414,11 @@ const examService = {
    * @param {number} attemptId - The attempt ID
    * @param {number} questionId - The question ID
    * @param {Object} responseData - The response data
-   * @returns {Promise<Object>} - The created response
+   * @returns {Promise<Object>} - The created response, with the attempt's remaining time
    */
   async submitExamResponse(attemptId, questionId, responseData) {
     const transaction = await sequelize.transaction();
+    let timedOut = false;
 
     try {
       // Get the attempt
@@ -684,6 +1449,13 @@ const examService = {
         throw new AppError('Active exam attempt not found', 404);
       }
 
+      // Answers are not accepted after the deadline; the attempt is submitted as it stands
+      if (isExpired(attempt)) {
+        await closeAttempt(attempt, 'timed_out', transaction);
+        timedOut = true;
+        throw new AppError('Your time for this exam has run out; it was submitted with the answers saved so far', 400);
+      }
+
       // Check if the question belongs to this exam
       const question = await ExamQuestions.findOne({
         where: {
@@ -700,6 +1472,22 @@ const examService = {
         throw new AppError('Question not found in this exam', 404);
       }
 
+      // Get the question assignment to check for custom points
+      const questionAssignment = attempt.assignment.examQuestionAssignments.find(
+        qa => qa.questionId === Number(questionId)
+      );
+
+      // A question drawn for another student is in the exam but not on this student's paper
+      if (!questionAssignment) {
+        const paperSize = await ExamQuestionAssignments.count({
+          where: { examStudentAssignmentId: attempt.assignmentId },
+          transaction
+        });
+        if (paperSize > 0) {
+          throw new AppError('Question not found in this exam', 404);
+        }
+      }
+
       // Check if there's an existing response for this question
       const existingResponse = await StudentExamResponses.findOne({
         where: {
@@ -709,54 +1497,21 @@ const examService = {
         transaction
       });
 
-      // Get the question assignment to check for custom points
-      const questionAssignment = attempt.assignment.examQuestionAssignments.find(
-        qa => qa.questionId === questionId
-      );
+      if (existingResponse && existingResponse.carriedOver) {
+        throw new AppError('This question was answered correctly in your last attempt', 400);
+      }
 
       const maxScore = questionAssignment ?
         (questionAssignment.customPoints || question.points) :
         question.points;
 
       // Determine if the response is correct and calculate score
-      let isCorrect = false;
-      let scoreAwarded = 0;
-
-      if (question.questionType === 'multiple_choice') {
-        // For multiple choice, check if the chosen answer is correct
-        if (responseData.chosenAnswerId) {
-          const chosenAnswer = question.examAnswers.find(
-            a => a.answerId === responseData.chosenAnswerId
-          );
-
-          if (chosenAnswer) {
-            isCorrect = chosenAnswer.isCorrect;
-            scoreAwarded = isCorrect ? maxScore : 0;
-          }
-        }
-      } else if (question.questionType === 'short_answer' || question.questionType === 'fill_in_blank') {
-        // For text responses, we'll need manual grading or exact match
-        if (responseData.textResponse && question.correctAnswer) {
-          let studentAnswer = responseData.textResponse;
-          let correctAnswer = question.correctAnswer;
-
-          // Apply case sensitivity setting
-          if (!question.caseSensitive) {
-            studentAnswer = studentAnswer.toLowerCase();
-            correctAnswer = correctAnswer.toLowerCase();
-          }
-
-          // Check for exact or partial match
-          if (question.allowPartialMatch) {
-            isCorrect = studentAnswer.includes(correctAnswer) || correctAnswer.includes(studentAnswer);
-            // Partial credit for partial match
-            scoreAwarded = isCorrect ? maxScore : 0;
-          } else {
-            isCorrect = studentAnswer === correctAnswer;
-            scoreAwarded = isCorrect ? maxScore : 0;
-          }
-        }
+      if (!TEXT_TYPES.includes(question.questionType)) {
+        questionScoring.assertResponse(toScoringQuestion(question), { ...responseData, answerId: responseData.chosenAnswerId });
       }
+      const { isCorrect, scoreAwarded, gradingStatus } = scoreResponse(question, responseData, maxScore);
+
+      const answerData = questionScoring.responseData(question.questionType, responseData);
 
       // Create or update the response
       let response;
@@ -765,8 +1520,10 @@ const examService = {
         response = await existingResponse.update({
           chosenAnswerId: responseData.chosenAnswerId,
           textResponse: responseData.textResponse,
+          answerData,
           isCorrect,
           scoreAwarded,
+          gradingStatus,
           maxScore,
           respondedAt: new Date()
         }, { transaction });
@@ -776,17 +1533,23 @@ const examService = {
           questionId,
           chosenAnswerId: responseData.chosenAnswerId,
           textResponse: responseData.textResponse,
+          answerData,
           isCorrect,
           scoreAwarded,
+          gradingStatus,
           maxScore,
           respondedAt: new Date()
         }, { transaction });
       }
 
       await transaction.commit();
-      return response;
+      return { ...response.get({ plain: true }), remainingSeconds: withRemainingTime(attempt).remainingSeconds };
     } catch (error) {
-      await transaction.rollback();
+      if (timedOut) {
+        await transaction.commit();
+      } else {
+        await transaction.rollback();
+      }
       throw error;
     }
   },
@@ -794,92 +1557,480 @@ const examService = {
   /**
    * Complete an exam attempt
    * @param {number} attemptId - The attempt ID
-   * @returns {Promise<Object>} - The completed attempt with results
+   * @returns {Promise<Object>} - The completed attempt with its result and the student's answers
    */
   async completeExamAttempt(attemptId) {
     const transaction = await sequelize.transaction();
 
     try {
-      // Get the attempt with all responses
       const attempt = await StudentExamAttempts.findOne({
         where: {
           attemptId,
           status: 'in_progress'
         },
-        include: [
-          {
-            model: StudentExamResponses,
-            as: 'studentExamResponses'
-          },
-          {
-            model: ExamStudentAssignments,
-            as: 'assignment',
-            include: [
-              { model: Exams, as: 'exam' }
-            ]
-          }
-        ],
-        transaction
+        transaction,
+        lock: transaction.LOCK.UPDATE
       });
 
       if (!attempt) {
         throw new AppError('Active exam attempt not found', 404);
       }
 
-      // Calculate the score
-      const totalScore = attempt.studentExamResponses.reduce(
-        (sum, response) => sum + (response.scoreAwarded || 0),
-        0
-      );
+      // Submitting late still grades the saved answers, but the attempt counts as timed out
+      await closeAttempt(attempt, isExpired(attempt) ? 'timed_out' : 'completed', transaction);
 
-      const percentage = (totalScore / attempt.maxScore) * 100;
-      const passed = percentage >= attempt.assignment.exam.passingPercentage;
+      await transaction.commit();
 
-      // Update the attempt
-      await attempt.update({
-        status: 'completed',
-        completedAt: new Date(),
-        score: totalScore,
-        percentage,
-        passed
-      }, { transaction });
+      // The student's own answers only: which were right, and the answers, would help with a retake
+      const completed = await StudentExamAttempts.findByPk(attemptId, {
+        include: [{
+          model: StudentExamResponses,
+          as: 'studentExamResponses',
+          attributes: ['questionId', 'chosenAnswerId', 'textResponse', 'answerData', 'respondedAt', 'carriedOver']
+        }]
+      });
+
+      return withRemainingTime(completed);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  /**
+   * Get an exam attempt with its remaining time; an attempt whose time ran out is submitted first
+   * @param {number} attemptId - The attempt ID
+   * @returns {Promise<Object>} - The attempt
+   */
+  async getExamAttempt(attemptId) {
+    let attempt = await StudentExamAttempts.findByPk(attemptId);
+
+    if (!attempt) {
+      throw new AppError('Exam attempt not found', 404);
+    }
+
+    if (attempt.status === 'in_progress' && isExpired(attempt)) {
+      const transaction = await sequelize.transaction();
+      try {
+        attempt = await StudentExamAttempts.findByPk(attemptId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (attempt.status === 'in_progress') {
+          await closeAttempt(attempt, 'timed_out', transaction);
+        }
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    }
+
+    return withRemainingTime(attempt);
+  },
+
+  /**
+   * List the submitted responses of an exam that still need a teacher: open answers that
+   * were not graded automatically and flagged partial matches, oldest first
+   * @param {number} examId - The exam ID
+   * @param {Object} options - status ('pending' or 'flagged'), limit, offset
+   * @returns {Promise<Array>} - The responses with their question and student
+   */
+  async getGradingQueue(examId, options = {}) {
+    const { status, limit, offset } = options;
+
+    if (status && !NEEDS_REVIEW.includes(status)) {
+      throw new AppError(`Status must be one of: ${NEEDS_REVIEW.join(', ')}`, 400);
+    }
+
+    const exam = await Exams.findByPk(examId);
+
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    return StudentExamResponses.findAll({
+      where: { gradingStatus: status || NEEDS_REVIEW },
+      include: [
+        {
+          model: StudentExamAttempts,
+          as: 'attempt',
+          where: { examId, status: { [Op.ne]: 'in_progress' } },
+          attributes: ['attemptId', 'studentId', 'status', 'completedAt'],
+          include: [
+            {
+              model: Students,
+              as: 'student',
+              attributes: ['studentId'],
+              include: [{ model: Users, as: 'user', attributes: ['userId', 'firstName', 'lastName'] }]
+            }
+          ]
+        },
+        {
+          model: ExamQuestions,
+          as: 'question',
+          attributes: ['questionId', 'questionText', 'questionType', 'correctAnswer', 'answerConfig', 'points']
+        }
+      ],
+      order: [['respondedAt', 'ASC']],
+      limit: limit ? parseInt(limit) : undefined,
+      offset: offset ? parseInt(offset) : undefined
+    });
+  },
+
+  /**
+   * Set the score of a submitted response (overriding any automatic score) and recompute the attempt
+   * The student and their parents are told once nothing is left to grade.
+   * @param {number} responseId - The response ID
+   * @param {Object} gradeData - scoreAwarded, feedback, gradedBy (user ID)
+   * @returns {Promise<Object>} - { response, attempt }
+   */
+  async gradeResponse(responseId, gradeData) {
+    const transaction = await sequelize.transaction();
+    let exam;
+    let attempt;
+    let response;
+
+    try {
+      response = await StudentExamResponses.findByPk(responseId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!response) {
+        throw new AppError('Exam response not found', 404);
+      }
+
+      attempt = await StudentExamAttempts.findByPk(response.attemptId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (attempt.status === 'in_progress') {
+        throw new AppError('Responses can only be graded once the attempt has been submitted', 400);
+      }
+
+      const maxScore = Number(response.maxScore);
+      if (gradeData.scoreAwarded > maxScore) {
+        throw new AppError(`The score cannot be more than the ${maxScore} points available`, 400);
+      }
 
-      // Update the assignment status
-      await attempt.assignment.update({
-        status: 'completed'
+      await response.update({
+        scoreAwarded: gradeData.scoreAwarded,
+        isCorrect: gradeData.scoreAwarded >= maxScore,
+        gradingStatus: 'manually_graded',
+        gradingNotes: gradeData.feedback,
+        gradedBy: gradeData.gradedBy,
+        gradedAt: new Date()
       }, { transaction });
 
+      exam = await Exams.findByPk(attempt.examId, { transaction });
+      const responses = await findPaperResponses(attempt, transaction);
+      await attempt.update(attemptResult(attempt, responses, exam.passingPercentage), { transaction });
+
+      const assignment = await ExamStudentAssignments.findByPk(attempt.assignmentId, { transaction });
+      await refreshAssignmentGrade(assignment, exam, transaction);
+
       await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    if (attempt.gradingStatus === 'graded') {
+      notifyGraded(attempt, exam);
+    }
+
+    return { response, attempt };
+  },
+
+  /**
+   * Score every response to a question again once its answer key, settings or points have been
+   * corrected, and update the results of the attempts (and the grades of their assignments) that change
+   * Teachers' manual grades are kept, scaled to the question's new points. Attempts that have the
+   * question on their paper but left it unanswered get the new points in their maximum too. Every
+   * change is recorded with its old and new scores (without a response for unanswered questions),
+   * and students whose submitted result changed (and their parents) are told.
+   * @param {number} questionId - The question ID
+   * @param {Object} regradeData - regradedBy (user ID) and an optional reason
+   * @returns {Promise<Object>} - The regrade with its changes
+   */
+  async regradeQuestion(questionId, regradeData = {}) {
+    const transaction = await sequelize.transaction();
+    const changes = [];
+    const entries = [];
+    const changedResults = [];
+    const regradedAssignments = new Set();
+    let exam;
+    let regrade;
 
-      // Return the completed attempt with all details
-      return StudentExamAttempts.findByPk(attemptId, {
+    try {
+      const question = await ExamQuestions.findByPk(questionId, {
+        include: [{ model: ExamAnswers, as: 'examAnswers' }],
+        transaction
+      });
+
+      if (!question) {
+        throw new AppError('Question not found', 404);
+      }
+
+      exam = await Exams.findByPk(question.examId, { transaction });
+
+      const responses = await StudentExamResponses.findAll({
+        where: { questionId },
         include: [
           {
-            model: StudentExamResponses,
-            as: 'studentExamResponses',
+            model: StudentExamAttempts,
+            as: 'attempt',
+            attributes: ['attemptId', 'studentId'],
             include: [
               {
-                model: ExamQuestions,
-                as: 'question',
-                include: [
-                  { model: ExamAnswers, as: 'examAnswers' }
-                ]
+                model: ExamStudentAssignments,
+                as: 'assignment',
+                attributes: ['assignmentId'],
+                include: [{ model: ExamQuestionAssignments, as: 'examQuestionAssignments', where: { questionId }, required: false }]
               }
             ]
-          },
-          {
-            model: ExamStudentAssignments,
-            as: 'assignment',
-            include: [
-              { model: Exams, as: 'exam' }
-            ]
           }
-        ]
+        ],
+        order: [['responseId', 'ASC']],
+        transaction
       });
+
+      for (const response of responses) {
+        const questionAssignment = response.attempt.assignment && response.attempt.assignment.examQuestionAssignments[0];
+        const maxScore = Number((questionAssignment && questionAssignment.customPoints) || question.points);
+        const oldMaxScore = Number(response.maxScore);
+        const oldScore = response.scoreAwarded === null ? null : Number(response.scoreAwarded);
+
+        let result;
+        if (response.gradingStatus === 'manually_graded') {
+          const scoreAwarded = oldMaxScore > 0 ? Math.round(oldScore * (maxScore / oldMaxScore) * 100) / 100 : 0;
+          result = { isCorrect: scoreAwarded >= maxScore, scoreAwarded, gradingStatus: 'manually_graded' };
+        } else {
+          result = scoreResponse(question, {
+            chosenAnswerId: response.chosenAnswerId,
+            textResponse: response.textResponse,
+            ...(response.answerData || {})
+          }, maxScore);
+        }
+
+        const scoreChanged = oldScore !== result.scoreAwarded || oldMaxScore !== maxScore;
+        if (scoreChanged || result.isCorrect !== response.isCorrect || result.gradingStatus !== response.gradingStatus) {
+          await response.update({ ...result, maxScore }, { transaction });
+        }
+        if (scoreChanged) {
+          changes.push({ response, oldScore, newScore: result.scoreAwarded, oldMaxScore, newMaxScore: maxScore });
+        }
+      }
+
+      // A response belongs to one attempt and an attempt answers a question once
+      const adjustments = [];
+      for (const change of changes) {
+        const attempt = await StudentExamAttempts.findByPk(change.response.attemptId, { transaction, lock: transaction.LOCK.UPDATE });
+        adjustments.push({
+          attempt,
+          maxScore: Number(attempt.maxScore) - change.oldMaxScore + change.newMaxScore,
+          entry: {
+            responseId: change.response.responseId,
+            oldScore: change.oldScore,
+            newScore: change.newScore,
+            oldMaxScore: change.oldMaxScore,
+            newMaxScore: change.newMaxScore
+          }
+        });
+      }
+
+      // Attempts that left the question unanswered still have its points in their maximum
+      const answered = new Set(responses.map(response => response.attemptId));
+      const skipped = await StudentExamAttempts.findAll({ where: { examId: question.examId }, transaction, lock: transaction.LOCK.UPDATE });
+      let ownQuestions;
+      for (const attempt of skipped.filter(item => !answered.has(item.attemptId))) {
+        let paper = (await ExamQuestionAssignments.findAll({
+          where: { examStudentAssignmentId: attempt.assignmentId },
+          include: [{ model: ExamQuestions, as: 'question', attributes: ['questionId', 'points'] }],
+          transaction
+        })).map(item => ({ questionId: item.questionId, points: Number(item.customPoints || item.question.points) }));
+
+        // Papers from before question draws were the exam's own questions
+        if (paper.length === 0) {
+          ownQuestions = ownQuestions || await ExamQuestions.findAll({
+            where: { examId: question.examId, bankQuestionId: null, questionSet: null },
+            attributes: ['questionId', 'points'],
+            transaction
+          });
+          paper = ownQuestions.map(item => ({ questionId: item.questionId, points: Number(item.points) }));
+        }
+
+        const item = paper.find(entry => entry.questionId === question.questionId);
+        const maxScore = Math.round(paper.reduce((total, entry) => total + entry.points, 0) * 100) / 100;
+        if (!item || maxScore === Number(attempt.maxScore)) {
+          continue;
+        }
+
+        adjustments.push({
+          attempt,
+          maxScore,
+          entry: {
+            responseId: null,
+            oldScore: null,
+            newScore: null,
+            oldMaxScore: item.points - (maxScore - Number(attempt.maxScore)),
+            newMaxScore: item.points
+          }
+        });
+      }
+
+      for (const { attempt, maxScore, entry: change } of adjustments) {
+        const entry = {
+          ...change,
+          attemptId: attempt.attemptId,
+          studentId: attempt.studentId,
+          oldAttemptScore: null,
+          newAttemptScore: null,
+          oldPercentage: null,
+          newPercentage: null,
+          oldPassed: null,
+          newPassed: null
+        };
+
+        // In-progress attempts are totalled when they are submitted
+        if (attempt.status === 'in_progress') {
+          await attempt.update({ maxScore }, { transaction });
+        } else {
+          const before = { score: Number(attempt.score), percentage: Number(attempt.percentage), passed: attempt.passed };
+          const attemptResponses = await findPaperResponses(attempt, transaction);
+          await attempt.update({ maxScore, ...attemptResult({ maxScore }, attemptResponses, exam.passingPercentage) }, { transaction });
+          regradedAssignments.add(attempt.assignmentId);
+
+          Object.assign(entry, {
+            oldAttemptScore: before.score,
+            newAttemptScore: Number(attempt.score),
+            oldPercentage: before.percentage,
+            newPercentage: Number(attempt.percentage),
+            oldPassed: before.passed,
+            newPassed: attempt.passed
+          });
+
+          if (attempt.gradingStatus === 'graded' && (entry.oldPercentage !== entry.newPercentage || entry.oldPassed !== entry.newPassed)) {
+            changedResults.push(entry);
+          }
+        }
+
+        entries.push(entry);
+      }
+
+      for (const assignmentId of regradedAssignments) {
+        const assignment = await ExamStudentAssignments.findByPk(assignmentId, { transaction });
+        await refreshAssignmentGrade(assignment, exam, transaction);
+      }
+
+      regrade = await ExamRegrades.create({
+        examId: question.examId,
+        questionId: question.questionId,
+        regradedBy: regradeData.regradedBy,
+        reason: regradeData.reason || null,
+        responsesRescored: responses.length,
+        responsesChanged: changes.length
+      }, { transaction });
+
+      if (entries.length > 0) {
+        await ExamRegradeChanges.bulkCreate(entries.map(entry => ({ ...entry, regradeId: regrade.regradeId })), { transaction });
+      }
+
+      await transaction.commit();
     } catch (error) {
       await transaction.rollback();
       throw error;
     }
+
+    changedResults.forEach(entry => notifyRegraded(entry, exam));
+
+    return { ...regrade.get({ plain: true }), changes: entries };
+  },
+
+  /**
+   * List an exam's regrades, newest first, with the score changes each one made
+   * @param {number} examId - The exam ID
+   * @returns {Promise<Array>} - The regrades with their question, regrader and changes
+   */
+  async getRegrades(examId) {
+    const exam = await Exams.findByPk(examId);
+
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    return ExamRegrades.findAll({
+      where: { examId },
+      include: [
+        { model: ExamRegradeChanges, as: 'changes' },
+        { model: ExamQuestions, as: 'question', attributes: ['questionId', 'questionText', 'questionType', 'points'] },
+        { model: Users, as: 'regrader', attributes: ['userId', 'firstName', 'lastName'] }
+      ],
+      order: [['createdAt', 'DESC'], [{ model: ExamRegradeChanges, as: 'changes' }, 'changeId', 'ASC']]
+    });
+  },
+
+  /**
+   * Submit attempts whose time has run out (as timed out) and, once their end date has passed, mark
+   * assignments that were never started as missed and complete those with attempts left unused
+   * Runs periodically from app.js, outside any request, so it sees every institution.
+   * @returns {Promise<Object>} - { timedOut, missed, completed } counts
+   */
+  async expireOverdueAttempts() {
+    const now = new Date();
+    const overdue = await StudentExamAttempts.findAll({
+      where: { status: 'in_progress', expiresAt: { [Op.lte]: now } },
+      attributes: ['attemptId']
+    });
+    let timedOut = 0;
+
+    for (const { attemptId } of overdue) {
+      const transaction = await sequelize.transaction();
+      try {
+        const attempt = await StudentExamAttempts.findByPk(attemptId, { transaction, lock: transaction.LOCK.UPDATE });
+        // The student may have submitted it since the sweep started
+        if (attempt && attempt.status === 'in_progress') {
+          await closeAttempt(attempt, 'timed_out', transaction);
+          timedOut += 1;
+        }
+        await transaction.commit();
+      } catch (err) {
+        await transaction.rollback();
+        logger.error(`Failed to time out exam attempt ${attemptId}: ${err.message}`);
+      }
+    }
+
+    const lapsed = await ExamStudentAssignments.findAll({
+      where: {
+        status: ['assigned', 'started'],
+        [Op.or]: [
+          { customEndDate: { [Op.lte]: now } },
+          { customEndDate: null, '$exam.end_date$': { [Op.lte]: now } }
+        ]
+      },
+      include: [{ model: Exams, as: 'exam', attributes: [] }],
+      attributes: ['assignmentId', 'status']
+    });
+
+    let missed = 0;
+    const unstarted = lapsed.filter(assignment => assignment.status === 'assigned');
+    if (unstarted.length > 0) {
+      [missed] = await ExamStudentAssignments.update({ status: 'missed' }, {
+        where: { assignmentId: unstarted.map(assignment => assignment.assignmentId), status: 'assigned' }
+      });
+    }
+
+    let completed = 0;
+    const started = lapsed.filter(assignment => assignment.status === 'started').map(assignment => assignment.assignmentId);
+    if (started.length > 0) {
+      // An attempt the sweep above could not submit keeps its assignment open for the next run
+      const open = await StudentExamAttempts.findAll({
+        where: { assignmentId: started, status: 'in_progress' },
+        attributes: ['assignmentId']
+      });
+      const finished = started.filter(assignmentId => !open.some(attempt => attempt.assignmentId === assignmentId));
+
+      if (finished.length > 0) {
+        [completed] = await ExamStudentAssignments.update({ status: 'completed' }, {
+          where: { assignmentId: finished, status: 'started' }
+        });
+      }
+    }
+
+    return { timedOut, missed, completed };
   }
 };
 
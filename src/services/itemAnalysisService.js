@@ -0,0 +1,318 @@
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+const questionScoring = require('../utils/questionScoring');
+
+const models = initModels(sequelize);
+const {
+  Exams,
+  ExamQuestions,
+  ExamAnswers,
+  ExamStudentAssignments,
+  ExamQuestionAssignments,
+  StudentExamAttempts,
+  StudentExamResponses
+} = models;
+
+// When a question is worth a second look (difficulty is the share of the points students earned)
+const REVIEW_RULES = {
+  minDifficulty: 0.2,
+  maxDifficulty: 0.9,
+  minDiscrimination: 0.2,
+  minDistractorShare: 0.05
+};
+
+// Below this many attempts the statistics move a lot with each student
+const SMALL_SAMPLE = 20;
+
+/**
+ * Round a statistic for the report
+ * @param {number|null} value - The value
+ * @param {number} digits - Decimal places
+ * @returns {number|null} - The rounded value, or null
+ */
+const round = (value, digits = 3) => (value === null || Number.isNaN(value) ? null : Number(value.toFixed(digits)));
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - The values
+ * @returns {number|null} - The mean, or null without values
+ */
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Population variance
+ * @param {Array<number>} values - The values
+ * @returns {number|null} - The variance, or null without values
+ */
+const variance = (values) => {
+  const average = mean(values);
+  return average === null ? null : mean(values.map(value => (value - average) ** 2));
+};
+
+/**
+ * Pearson correlation; with a 0/1 variable this is the point-biserial correlation
+ * @param {Array<number>} xs - The first variable
+ * @param {Array<number>} ys - The second variable, paired with xs
+ * @returns {number|null} - The correlation, or null when either variable does not vary
+ */
+const correlation = (xs, ys) => {
+  if (xs.length < 3) {
+    return null;
+  }
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  const covariance = mean(xs.map((x, i) => (x - meanX) * (ys[i] - meanY)));
+  const spread = Math.sqrt(variance(xs) * variance(ys));
+  return spread > 0 ? covariance / spread : null;
+};
+
+/**
+ * The answer IDs a response chose
+ * @param {Object} response - The response, if any
+ * @returns {Array<number>} - The chosen answer IDs
+ */
+const chosenAnswers = (response) => {
+  if (!response) {
+    return [];
+  }
+  if (response.chosenAnswerId) {
+    return [response.chosenAnswerId];
+  }
+  return (response.answerData && response.answerData.answerIds) || [];
+};
+
+/**
+ * Each attempt's score on every question on its paper; questions left unanswered score 0
+ * Papers from before question draws have no question list, so the exam's own questions (and any
+ * others the attempt answered) stand in. Answers to questions off a listed paper do not count.
+ * @param {Array} attempts - The attempts with their responses and paper
+ * @param {Map} questions - The exam's questions by ID
+ * @returns {Array<Object>} - { attemptId, items: Map(questionId -> { score, maxScore, response }), score, maxScore }
+ */
+const scoreSheets = (attempts, questions) => attempts.map((attempt) => {
+  const responses = new Map(attempt.studentExamResponses.map(response => [response.questionId, response]));
+  const listed = !!(attempt.assignment && attempt.assignment.examQuestionAssignments.length);
+  const paper = listed
+    ? attempt.assignment.examQuestionAssignments
+    : [...questions.values()].filter(question => !question.bankQuestionId && !question.questionSet).map(question => ({ questionId: question.questionId, customPoints: null }));
+
+  const items = new Map();
+  const addItem = (questionId, customPoints) => {
+    const question = questions.get(questionId);
+    const response = responses.get(questionId);
+    if (!question || items.has(questionId)) {
+      return;
+    }
+    items.set(questionId, {
+      score: response ? Number(response.scoreAwarded || 0) : 0,
+      maxScore: Number(response ? response.maxScore : customPoints || question.points),
+      response
+    });
+  };
+  paper.forEach(entry => addItem(entry.questionId, entry.customPoints));
+  if (!listed) {
+    responses.forEach((response, questionId) => addItem(questionId, null));
+  }
+
+  const totals = [...items.values()];
+  return {
+    attemptId: attempt.attemptId,
+    items,
+    score: totals.reduce((sum, item) => sum + item.score, 0),
+    maxScore: totals.reduce((sum, item) => sum + item.maxScore, 0)
+  };
+});
+
+/**
+ * Analyse one question over the attempts that were given it
+ * Discrimination correlates the question with the rest of the paper (the total without this
+ * question), so a question does not correlate with itself.
+ * @param {Object} question - The question with its examAnswers
+ * @param {Array<Object>} sheets - The score sheets (see scoreSheets)
+ * @returns {Object} - The question's statistics, distractors and review flag
+ */
+const analyseQuestion = (question, sheets) => {
+  const rows = sheets.filter(sheet => sheet.items.has(question.questionId)).map((sheet) => {
+    const item = sheet.items.get(question.questionId);
+    const restMax = sheet.maxScore - item.maxScore;
+    return {
+      item,
+      share: item.maxScore > 0 ? item.score / item.maxScore : 0,
+      rest: restMax > 0 ? (sheet.score - item.score) / restMax : 0
+    };
+  });
+
+  const rest = rows.map(row => row.rest);
+  const difficulty = mean(rows.map(row => row.share));
+  const discrimination = correlation(rows.map(row => row.share), rest);
+
+  let distractors = null;
+  if (questionScoring.CHOICE_TYPES.includes(question.questionType)) {
+    distractors = question.examAnswers.map((answer) => {
+      const picked = rows.map(row => (chosenAnswers(row.item.response).includes(answer.answerId) ? 1 : 0));
+      const chosen = picked.reduce((sum, value) => sum + value, 0);
+      return {
+        answerId: answer.answerId,
+        answerText: answer.answerText,
+        isCorrect: answer.isCorrect,
+        chosen,
+        share: rows.length ? round(chosen / rows.length) : null,
+        pointBiserial: round(correlation(picked, rest))
+      };
+    });
+  }
+
+  const reasons = [];
+  let flag = null;
+  const needs = (level, code, message) => {
+    reasons.push({ code, message });
+    flag = flag === 'regrade' ? flag : level;
+  };
+
+  if (rows.length > 0) {
+    if (discrimination !== null && discrimination < 0) {
+      needs('regrade', 'negative_discrimination', 'Students who did well on the rest of the exam did worse here; check the answer key');
+    } else if (discrimination !== null && discrimination < REVIEW_RULES.minDiscrimination) {
+      needs('review', 'low_discrimination', 'The question barely separates stronger from weaker students');
+    }
+
+    if (difficulty < REVIEW_RULES.minDifficulty) {
+      needs('review', 'too_hard', `Fewer than ${REVIEW_RULES.minDifficulty * 100}% of the points were earned`);
+    } else if (difficulty > REVIEW_RULES.maxDifficulty) {
+      needs('review', 'too_easy', `More than ${REVIEW_RULES.maxDifficulty * 100}% of the points were earned`);
+    }
+
+    if (distractors) {
+      const wrong = distractors.filter(option => !option.isCorrect);
+      const keyed = distractors.filter(option => option.isCorrect && option.pointBiserial !== null);
+      const bestKey = keyed.length ? Math.max(...keyed.map(option => option.pointBiserial)) : null;
+
+      const misleading = wrong.filter(option => option.pointBiserial !== null && option.pointBiserial > 0
+        && (bestKey === null || option.pointBiserial > bestKey));
+      if (misleading.length) {
+        needs('regrade', 'distractor_outperforms_key', `Stronger students chose ${misleading.map(option => `"${option.answerText}"`).join(', ')}; it may also be right`);
+      }
+
+      const unused = wrong.filter(option => option.share < REVIEW_RULES.minDistractorShare);
+      if (unused.length) {
+        needs('review', 'non_functioning_distractors', `${unused.length} wrong answer(s) were chosen by fewer than ${REVIEW_RULES.minDistractorShare * 100}% of students`);
+      }
+    }
+  }
+
+  return {
+    questionId: question.questionId,
+    questionText: question.questionText,
+    questionType: question.questionType,
+    bankQuestionId: question.bankQuestionId || null,
+    attempts: rows.length,
+    omitted: rows.filter(row => !row.item.response).length,
+    difficulty: round(difficulty),
+    discrimination: round(discrimination),
+    distractors,
+    flag,
+    reasons
+  };
+};
+
+/**
+ * KR-20 (all questions scored right/wrong) or Cronbach's alpha over the questions every attempt was given
+ * Questions drawn from banks differ between students and are left out.
+ * @param {Array<Object>} sheets - The score sheets (see scoreSheets)
+ * @returns {Object} - { method, value, questions, attempts }
+ */
+const reliability = (sheets) => {
+  const shared = sheets.length
+    ? [...sheets[0].items.keys()].filter(questionId => sheets.every(sheet => sheet.items.has(questionId)))
+    : [];
+  const scores = shared.map(questionId => sheets.map(sheet => sheet.items.get(questionId).score));
+  const dichotomous = shared.every(questionId => sheets.every((sheet) => {
+    const item = sheet.items.get(questionId);
+    return item.score === 0 || item.score === item.maxScore;
+  }));
+
+  const result = { method: dichotomous ? 'KR-20' : 'cronbach_alpha', value: null, questions: shared.length, attempts: sheets.length };
+  const k = shared.length;
+  if (k < 2 || sheets.length < 2) {
+    return result;
+  }
+
+  const totals = sheets.map((sheet, i) => scores.reduce((sum, item) => sum + item[i], 0));
+  const totalVariance = variance(totals);
+  if (totalVariance === 0) {
+    return result;
+  }
+
+  const itemVariance = scores.reduce((sum, item) => sum + variance(item), 0);
+  return { ...result, value: round((k / (k - 1)) * (1 - itemVariance / totalVariance)) };
+};
+
+const itemAnalysisService = {
+  REVIEW_RULES,
+
+  /**
+   * Item analysis of an exam from its submitted attempts: per-question difficulty (p-value),
+   * point-biserial discrimination and distractor analysis, the exam's reliability, and a
+   * review or regrade flag for questions that look wrong
+   * Attempts still waiting for a teacher to grade are left out until they are graded, and only
+   * first attempts count, so retakes (which may carry answers over) do not weigh a student twice.
+   * @param {number} examId - The exam ID
+   * @returns {Promise<Object>} - { examId, summary, reliability, questions }
+   */
+  async getItemAnalysis(examId) {
+    const exam = await Exams.findByPk(examId, { attributes: ['examId', 'title'] });
+
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    const [questionList, attempts] = await Promise.all([
+      ExamQuestions.findAll({
+        where: { examId },
+        include: [{ model: ExamAnswers, as: 'examAnswers' }],
+        order: [['orderNumber', 'ASC'], [{ model: ExamAnswers, as: 'examAnswers' }, 'orderNumber', 'ASC']]
+      }),
+      StudentExamAttempts.findAll({
+        where: { examId, attemptNumber: 1, status: { [Op.ne]: 'in_progress' } },
+        include: [
+          { model: StudentExamResponses, as: 'studentExamResponses' },
+          {
+            model: ExamStudentAssignments,
+            as: 'assignment',
+            attributes: ['assignmentId'],
+            include: [{ model: ExamQuestionAssignments, as: 'examQuestionAssignments', attributes: ['questionId', 'customPoints'] }]
+          }
+        ]
+      })
+    ]);
+
+    const graded = attempts.filter(attempt => attempt.gradingStatus !== 'pending_review');
+    const questions = new Map(questionList.map(question => [question.questionId, question]));
+    const sheets = scoreSheets(graded, questions);
+    const percentages = sheets.map(sheet => (sheet.maxScore > 0 ? (sheet.score / sheet.maxScore) * 100 : 0));
+
+    const analysed = questionList
+      .map(question => analyseQuestion(question, sheets))
+      .filter(question => question.attempts > 0);
+
+    return {
+      examId: exam.examId,
+      title: exam.title,
+      summary: {
+        attempts: sheets.length,
+        pendingReview: attempts.length - graded.length,
+        smallSample: sheets.length < SMALL_SAMPLE,
+        meanPercentage: round(mean(percentages), 2),
+        standardDeviation: percentages.length ? round(Math.sqrt(variance(percentages)), 2) : null,
+        flaggedForReview: analysed.filter(question => question.flag === 'review').length,
+        flaggedForRegrade: analysed.filter(question => question.flag === 'regrade').length
+      },
+      reliability: reliability(sheets),
+      questions: analysed
+    };
+  }
+};
+
+module.exports = itemAnalysisService;
@@ -0,0 +1,157 @@
+const AppError = require('../utils/errors/AppError');
+const config = require('../config');
+const logger = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+const otpService = require('./otpService');
+
+const models = initModels(sequelize);
+const { LoginAttempts } = models;
+
+/**
+ * Work out how long to lock an account after a failed login
+ * The account locks every `threshold` failures; each lockout doubles, up to the maximum.
+ * @param {number} failedLoginCount - Failures since the last successful login
+ * @returns {number} - Lockout length in minutes (0 = no lockout)
+ */
+const lockoutMinutesFor = (failedLoginCount) => {
+  const { threshold, baseMinutes, maxMinutes } = config.lockout;
+
+  if (failedLoginCount < threshold || failedLoginCount % threshold !== 0) {
+    return 0;
+  }
+
+  const lockouts = failedLoginCount / threshold;
+  return Math.min(baseMinutes * 2 ** (lockouts - 1), maxMinutes);
+};
+
+/**
+ * Per-account brute-force protection for password logins
+ */
+const loginProtectionService = {
+  lockoutMinutesFor,
+
+  /**
+   * Store an audit record of a failed login
+   * @param {Object} attempt - userId, email, reason, lockedUntil and the client's userAgent/ipAddress
+   * @returns {Promise<void>}
+   */
+  async recordFailedAttempt({ userId = null, email, reason, lockedUntil = null, userAgent, ipAddress }) {
+    try {
+      await LoginAttempts.create({
+        userId,
+        email,
+        failureReason: reason,
+        lockedUntil,
+        userAgent: userAgent ? userAgent.slice(0, 512) : null,
+        ipAddress: ipAddress || null
+      });
+    } catch (err) {
+      // Losing an audit row must not change the login outcome
+      logger.error(`Failed to record login attempt for ${email}: ${err.message}`);
+    }
+  },
+
+  /**
+   * Reject logins to a locked account without checking the password
+   * @param {Object} user - The user instance
+   * @param {Object} clientInfo - userAgent and ipAddress of the client
+   * @returns {Promise<void>}
+   */
+  async assertNotLocked(user, clientInfo = {}) {
+    if (!user.isLocked()) {
+      return;
+    }
+
+    await this.recordFailedAttempt({
+      userId: user.userId,
+      email: user.email,
+      reason: 'account_locked',
+      lockedUntil: user.lockedUntil,
+      ...clientInfo
+    });
+
+    const minutesLeft = Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 60000);
+    throw new AppError(
+      `Too many failed login attempts. Try again in ${minutesLeft} minutes, unlock your account with the code we emailed, or reset your password`,
+      423
+    );
+  },
+
+  /**
+   * Count a wrong password against the account and lock it when the threshold is reached
+   * @param {Object} user - The user instance
+   * @param {Object} clientInfo - userAgent and ipAddress of the client
+   * @returns {Promise<void>}
+   */
+  async registerFailure(user, clientInfo = {}) {
+    await user.increment('failedLoginCount');
+    await user.reload();
+
+    const lockedMinutes = lockoutMinutesFor(user.failedLoginCount);
+    const lockedUntil = lockedMinutes > 0 ? new Date(Date.now() + lockedMinutes * 60 * 1000) : null;
+
+    if (lockedUntil) {
+      await user.update({ lockedUntil });
+      logger.warn(`Account ${user.userId} locked for ${lockedMinutes} minutes after ${user.failedLoginCount} failed logins`);
+      this.sendLockoutNotice(user, lockedMinutes)
+        .catch((err) => logger.error(`Failed to send lockout notice: ${err.message}`));
+    }
+
+    await this.recordFailedAttempt({
+      userId: user.userId,
+      email: user.email,
+      reason: 'invalid_password',
+      lockedUntil,
+      ...clientInfo
+    });
+  },
+
+  /**
+   * Reset the failure counter after a successful password check
+   * @param {Object} user - The user instance
+   * @returns {Promise<void>}
+   */
+  async clearFailures(user) {
+    if (user.failedLoginCount > 0 || user.lockedUntil) {
+      await user.update({ failedLoginCount: 0, lockedUntil: null });
+    }
+  },
+
+  /**
+   * Email an unlock code to a user whose account was just locked
+   * @param {Object} user - The user instance
+   * @param {number} lockedMinutes - Length of the lockout
+   * @returns {Promise<void>}
+   */
+  async sendLockoutNotice(user, lockedMinutes) {
+    const { code, expiresInMinutes } = await otpService.issueCode(user.userId, 'account_unlock', {
+      expiresInMinutes: config.lockout.unlockCodeExpiresInMinutes
+    });
+
+    await mailer.sendMail({
+      to: user.email,
+      ...emailTemplates.accountLocked({
+        firstName: user.firstName,
+        lockedMinutes,
+        code,
+        expiresInMinutes
+      })
+    });
+  },
+
+  /**
+   * Unlock an account with the code from the lockout email
+   * @param {Object} user - The user instance
+   * @param {string} code - The unlock code
+   * @returns {Promise<void>}
+   */
+  async unlockWithCode(user, code) {
+    await otpService.verifyCode(user.userId, 'account_unlock', code);
+    await user.update({ failedLoginCount: 0, lockedUntil: null });
+  }
+};
+
+module.exports = loginProtectionService;
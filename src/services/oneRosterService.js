@@ -0,0 +1,728 @@
+const { Op, Sequelize } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const csv = require('../utils/csv');
+const zip = require('../utils/zip');
+const tenantContext = require('../utils/tenantContext');
+const rosterImportService = require('./rosterImportService');
+const classService = require('./classService');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const {
+  Users,
+  Institutions,
+  Students,
+  Teachers,
+  TeacherInstitutions,
+  Classes,
+  ClassEnrollments,
+  AcademicSessions,
+  ExternalIdentifiers
+} = models;
+
+const SOURCE = 'oneroster';
+
+// OneRoster 1.1 files, in the order they are imported (later files refer to earlier ones)
+const FILES = ['orgs', 'academicSessions', 'users', 'classes', 'enrollments'];
+
+const HEADERS = {
+  orgs: ['sourcedId', 'status', 'dateLastModified', 'name', 'type', 'identifier', 'parentSourcedId'],
+  academicSessions: ['sourcedId', 'status', 'dateLastModified', 'title', 'type', 'startDate', 'endDate', 'parentSourcedId', 'schoolYear'],
+  courses: ['sourcedId', 'status', 'dateLastModified', 'schoolYearSourcedId', 'title', 'courseCode', 'grades', 'orgSourcedId', 'subjects', 'subjectCodes'],
+  classes: ['sourcedId', 'status', 'dateLastModified', 'title', 'grades', 'courseSourcedId', 'classCode', 'classType', 'location', 'schoolSourcedId', 'termSourcedIds', 'subjects', 'subjectCodes', 'periods'],
+  users: ['sourcedId', 'status', 'dateLastModified', 'enabledUser', 'orgSourcedIds', 'role', 'username', 'userIds', 'givenName', 'familyName', 'middleName', 'identifier', 'email', 'sms', 'phone', 'agentSourcedIds', 'grades', 'password'],
+  enrollments: ['sourcedId', 'status', 'dateLastModified', 'classSourcedId', 'schoolSourcedId', 'userSourcedId', 'role', 'primary', 'beginDate', 'endDate']
+};
+
+const SESSION_TYPES = ['schoolYear', 'semester', 'term', 'gradingPeriod'];
+
+const emptyCounts = () => ({ created: 0, updated: 0, unchanged: 0, deleted: 0, skipped: 0 });
+
+// Multi-value OneRoster fields are comma-separated inside one CSV field
+const splitList = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const isoDate = value => (value ? new Date(value).toISOString() : null);
+
+const isValidDate = value => !!value && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Reject a single row; the rest of the file is still imported
+ * @param {string} message - Why the row was skipped
+ * @returns {AppError} - The error
+ */
+const rowError = message => new AppError(message, 422);
+
+/**
+ * One import run: the institution, its sourcedId map and everything written so far
+ */
+class ImportRun {
+  constructor(institution, identifiers, transaction) {
+    this.institution = institution;
+    this.institutionId = institution.institutionId;
+    this.transaction = transaction;
+    this.identifiers = new Map(identifiers.map(record => [`${record.entityType}|${record.sourcedId}`, record]));
+    this.summary = {};
+    this.errors = [];
+    this.invitations = [];
+    this.passwordHash = null;
+  }
+
+  lookup(entityType, sourcedId) {
+    return this.identifiers.get(`${entityType}|${sourcedId}`) || null;
+  }
+
+  localId(entityType, sourcedId) {
+    const record = this.lookup(entityType, sourcedId);
+    return record ? record.localId : null;
+  }
+
+  async remember(entityType, sourcedId, localId, dateLastModified) {
+    const existing = this.lookup(entityType, sourcedId);
+    const sourceModifiedAt = isValidDate(dateLastModified) ? new Date(dateLastModified) : null;
+
+    if (existing) {
+      await existing.update({ localId, sourceModifiedAt }, { transaction: this.transaction });
+      return;
+    }
+
+    const record = await ExternalIdentifiers.create({
+      institutionId: this.institutionId,
+      source: SOURCE,
+      entityType,
+      sourcedId,
+      localId,
+      sourceModifiedAt
+    }, { transaction: this.transaction });
+    this.identifiers.set(`${entityType}|${sourcedId}`, record);
+  }
+
+  async forget(record) {
+    await record.destroy({ transaction: this.transaction });
+    this.identifiers.delete(`${record.entityType}|${record.sourcedId}`);
+  }
+
+  mapped(entityType) {
+    return [...this.identifiers.values()].filter(record => record.entityType === entityType);
+  }
+}
+
+/**
+ * How each file's rows are written to and removed from PupilSync
+ * upsert(run, record, existingLocalId) returns the local ID; remove(run, identifier) undoes it.
+ */
+const handlers = {
+  orgs: {
+    entityType: 'org',
+
+    // Every org in the bundle (district, school, ...) maps onto the institution being synced
+    async upsert(run) {
+      return run.institutionId;
+    },
+
+    async remove() {}
+  },
+
+  academicSessions: {
+    entityType: 'academicSession',
+
+    async upsert(run, record, sessionId) {
+      if (!record.title) {
+        throw rowError('title is required');
+      }
+      if (!SESSION_TYPES.includes(record.type)) {
+        throw rowError(`type must be one of ${SESSION_TYPES.join(', ')}`);
+      }
+      if (!isValidDate(record.startDate) || !isValidDate(record.endDate)) {
+        throw rowError('startDate and endDate must be dates (YYYY-MM-DD)');
+      }
+      if (record.endDate < record.startDate) {
+        throw rowError('endDate must not be before startDate');
+      }
+
+      const values = {
+        institutionId: run.institutionId,
+        title: record.title,
+        type: record.type,
+        startDate: record.startDate,
+        endDate: record.endDate,
+        schoolYear: parseInt(record.schoolYear, 10) || null
+      };
+
+      const session = sessionId && await AcademicSessions.findByPk(sessionId, { transaction: run.transaction });
+      if (session) {
+        await session.update(values, { transaction: run.transaction });
+        return session.academicSessionId;
+      }
+
+      const created = await AcademicSessions.create(values, { transaction: run.transaction });
+      return created.academicSessionId;
+    },
+
+    // Parents can appear after their children in the file, so they are linked once every row is in
+    async afterImport(run, records) {
+      for (const record of records) {
+        const sessionId = run.localId('academicSession', record.sourcedId);
+        if (!sessionId || record.status === 'tobedeleted') {
+          continue;
+        }
+
+        const parentId = record.parentSourcedId ? run.localId('academicSession', record.parentSourcedId) : null;
+        await AcademicSessions.update(
+          { parentId },
+          { where: { academicSessionId: sessionId }, transaction: run.transaction }
+        );
+      }
+    },
+
+    async remove(run, identifier) {
+      await Classes.update(
+        { academicSessionId: null },
+        { where: { academicSessionId: identifier.localId }, transaction: run.transaction }
+      );
+      await AcademicSessions.destroy({ where: { academicSessionId: identifier.localId }, transaction: run.transaction });
+    }
+  },
+
+  users: {
+    entityType: 'user',
+
+    async upsert(run, record, userId) {
+      const role = record.role;
+      if (role !== 'student' && role !== 'teacher') {
+        throw rowError(`Users with role ${role || '(blank)'} are not imported`);
+      }
+      if (!record.email) {
+        throw rowError('email is required');
+      }
+      if (!splitList(record.orgSourcedIds).some(orgId => run.lookup('org', orgId))) {
+        throw rowError('orgSourcedIds does not include an org from this bundle');
+      }
+
+      const email = record.email.trim().toLowerCase();
+      const values = { email, firstName: record.givenName || null, lastName: record.familyName || null };
+      const { transaction } = run;
+
+      let user = userId ? await Users.findByPk(userId, { transaction }) : null;
+      if (!user) {
+        // Adopt an account that already exists with this email instead of creating a second one
+        user = await Users.findOne({
+          where: Sequelize.where(Sequelize.fn('lower', Sequelize.col('email')), email),
+          transaction
+        });
+      }
+
+      if (user && user.role !== role) {
+        throw rowError(`${email} belongs to an existing ${user.role} account`);
+      }
+
+      const existingUser = user;
+      if (!user) {
+        run.passwordHash = run.passwordHash || await rosterImportService.placeholderPasswordHash();
+        const created = await rosterImportService.createInvitedUser(
+          { ...values, role },
+          { passwordHash: run.passwordHash, transaction }
+        );
+        user = created.user;
+        run.invitations.push(created.invitation);
+      }
+
+      // Attached first: a student of another institution is rejected before the account is touched
+      if (role === 'student') {
+        await handlers.users.attachStudent(run, user, splitList(record.grades)[0] || null);
+      } else {
+        await handlers.users.attachTeacher(run, user);
+      }
+
+      if (existingUser) {
+        await existingUser.update(values, { transaction });
+      }
+
+      return user.userId;
+    },
+
+    async attachStudent(run, user, gradeLevel) {
+      const { transaction } = run;
+
+      // The profile may belong to another institution, which the tenant scope would hide
+      const student = await tenantContext.runUnscoped(() => Students.findOne({ where: { userId: user.userId }, transaction }));
+
+      if (!student) {
+        await Students.create({ userId: user.userId, institutionId: run.institutionId, gradeLevel }, { transaction });
+        return;
+      }
+
+      if (student.institutionId && Number(student.institutionId) !== Number(run.institutionId)) {
+        throw rowError(`${user.email} is a student of another institution`);
+      }
+
+      await student.update({ institutionId: run.institutionId, gradeLevel }, { transaction });
+    },
+
+    async attachTeacher(run, user) {
+      const { transaction } = run;
+
+      const [teacher] = await Teachers.findOrCreate({ where: { userId: user.userId }, transaction });
+      const link = await TeacherInstitutions.findOne({
+        where: { teacherId: teacher.teacherId, institutionId: run.institutionId },
+        paranoid: false,
+        transaction
+      });
+
+      if (!link) {
+        await TeacherInstitutions.create({ teacherId: teacher.teacherId, institutionId: run.institutionId }, { transaction });
+      } else if (link.deletedAt) {
+        await link.restore({ transaction });
+      }
+    },
+
+    // Accounts are kept; the user is only taken out of the institution and its classes
+    async remove(run, identifier) {
+      const { transaction } = run;
+      const student = await Students.findOne({
+        where: { userId: identifier.localId, institutionId: run.institutionId },
+        transaction
+      });
+      if (student) {
+        const classes = await Classes.findAll({ where: { institutionId: run.institutionId }, attributes: ['classId'], transaction });
+        await classService.endEnrollments(
+          { studentId: student.studentId, classId: classes.map(cls => cls.classId) },
+          { reason: 'Removed by OneRoster sync', transaction }
+        );
+        await student.update({ institutionId: null }, { transaction });
+      }
+
+      const teacher = await Teachers.findOne({ where: { userId: identifier.localId }, transaction });
+      if (teacher) {
+        await TeacherInstitutions.destroy({
+          where: { teacherId: teacher.teacherId, institutionId: run.institutionId },
+          transaction
+        });
+      }
+    }
+  },
+
+  classes: {
+    entityType: 'class',
+
+    async upsert(run, record, classId, bundle) {
+      if (!record.title) {
+        throw rowError('title is required');
+      }
+      if (!run.lookup('org', record.schoolSourcedId)) {
+        throw rowError(`Unknown schoolSourcedId ${record.schoolSourcedId || '(blank)'}`);
+      }
+
+      const { transaction } = run;
+      const termId = splitList(record.termSourcedIds)
+        .map(sourcedId => run.localId('academicSession', sourcedId))
+        .find(Boolean);
+      const values = { name: record.title, academicSessionId: termId || null, institutionId: run.institutionId };
+
+      // Classes need a primary teacher, which OneRoster carries on the class's teacher enrollments
+      const teacherId = await handlers.classes.primaryTeacherId(run, record.sourcedId, bundle);
+      if (teacherId) {
+        values.teacherId = teacherId;
+      }
+
+      const cls = classId && await Classes.findByPk(classId, { transaction });
+      if (cls) {
+        await cls.update(values, { transaction });
+        return cls.classId;
+      }
+
+      if (!teacherId) {
+        throw rowError('The class has no active teacher enrollment');
+      }
+
+      const created = await Classes.create(values, { transaction });
+      return created.classId;
+    },
+
+    async primaryTeacherId(run, classSourcedId, bundle) {
+      const teacherRows = bundle.records.enrollments.filter(row => row.classSourcedId === classSourcedId
+        && row.role === 'teacher' && row.status !== 'tobedeleted');
+      const row = teacherRows.find(item => item.primary === 'true') || teacherRows[0];
+      const userId = row && run.localId('user', row.userSourcedId);
+
+      if (!userId) {
+        return null;
+      }
+
+      const teacher = await Teachers.findOne({ where: { userId }, attributes: ['teacherId'], transaction: run.transaction });
+      return teacher ? teacher.teacherId : null;
+    },
+
+    async remove(run, identifier) {
+      await classService.endEnrollments(
+        { classId: identifier.localId },
+        { reason: 'Removed by OneRoster sync', transaction: run.transaction }
+      );
+      await Classes.destroy({ where: { classId: identifier.localId }, transaction: run.transaction });
+    }
+  },
+
+  enrollments: {
+    entityType: 'enrollment',
+
+    async upsert(run, record, enrollmentId) {
+      const classId = run.localId('class', record.classSourcedId);
+      if (!classId) {
+        throw rowError(`Unknown classSourcedId ${record.classSourcedId || '(blank)'}`);
+      }
+
+      const userId = run.localId('user', record.userSourcedId);
+      if (!userId) {
+        throw rowError(`Unknown userSourcedId ${record.userSourcedId || '(blank)'}`);
+      }
+
+      const { transaction } = run;
+
+      // Teacher enrollments are not rows of their own: the primary teacher is the class's teacher
+      if (record.role === 'teacher') {
+        if (record.primary === 'true') {
+          const teacher = await Teachers.findOne({ where: { userId }, attributes: ['teacherId'], transaction });
+          if (!teacher) {
+            throw rowError(`${record.userSourcedId} is not a teacher`);
+          }
+          await Classes.update({ teacherId: teacher.teacherId }, { where: { classId }, transaction });
+        }
+        return classId;
+      }
+      if (record.role !== 'student') {
+        throw rowError(`Enrollments with role ${record.role || '(blank)'} are not imported`);
+      }
+
+      const student = await Students.findOne({ where: { userId }, attributes: ['studentId'], transaction });
+      if (!student) {
+        throw rowError(`${record.userSourcedId} is not a student`);
+      }
+
+      const enrollmentDate = isValidDate(record.beginDate) ? new Date(record.beginDate) : undefined;
+      // A mapped enrollment is restored even if it was closed; otherwise only a current one is reused,
+      // so closed entries stay in the class's roster history
+      const enrollment = enrollmentId
+        ? await ClassEnrollments.findOne({ where: { classEnrollmentId: enrollmentId }, paranoid: false, transaction })
+        : await ClassEnrollments.findOne({ where: { classId, studentId: student.studentId }, transaction });
+
+      if (!enrollment) {
+        const created = await ClassEnrollments.create({ classId, studentId: student.studentId, enrollmentDate }, { transaction });
+        return created.classEnrollmentId;
+      }
+
+      const reopened = {};
+      if (enrollment.deletedAt) {
+        await enrollment.restore({ transaction });
+        Object.assign(reopened, { status: 'active', endDate: null, endedBy: null, endReason: null, transferredToClassId: null });
+      }
+      await enrollment.update({ classId, studentId: student.studentId, enrollmentDate, ...reopened }, { transaction });
+      return enrollment.classEnrollmentId;
+    },
+
+    async remove(run, identifier) {
+      if (identifier.entityType === 'enrollment') {
+        await classService.endEnrollments(
+          { classEnrollmentId: identifier.localId },
+          { reason: 'Removed by OneRoster sync', transaction: run.transaction }
+        );
+      }
+    }
+  }
+};
+
+const oneRosterService = {
+  /**
+   * Read a OneRoster 1.1 CSV bundle (zip)
+   * @param {Buffer} buffer - The zip archive
+   * @returns {Object} - { modes, records } keyed by file ('bulk', 'delta' or 'absent' per the manifest)
+   */
+  readBundle(buffer) {
+    let files;
+    try {
+      files = zip.read(buffer);
+    } catch (err) {
+      throw new AppError(`Could not read the OneRoster bundle: ${err.message}`, 400);
+    }
+
+    if (!files['manifest.csv']) {
+      throw new AppError('The bundle has no manifest.csv', 400);
+    }
+
+    const parseFile = (name) => {
+      try {
+        return csv.parse(files[name].toString('utf8')).records;
+      } catch (err) {
+        throw new AppError(`Could not read ${name}: ${err.message}`, 400);
+      }
+    };
+
+    const manifest = Object.fromEntries(parseFile('manifest.csv').map(row => [row.propertyName, row.value]));
+    if (manifest['oneroster.version'] && manifest['oneroster.version'] !== '1.1') {
+      throw new AppError(`OneRoster version ${manifest['oneroster.version']} is not supported (expected 1.1)`, 400);
+    }
+
+    const modes = {};
+    const records = {};
+    FILES.forEach((file) => {
+      const mode = manifest[`file.${file}`] || 'absent';
+      if (!['bulk', 'delta', 'absent'].includes(mode)) {
+        throw new AppError(`Invalid manifest value for file.${file}: ${mode}`, 400);
+      }
+      if (mode !== 'absent' && !files[`${file}.csv`]) {
+        throw new AppError(`The manifest lists ${file}.csv but the bundle does not contain it`, 400);
+      }
+
+      modes[file] = mode;
+      records[file] = mode === 'absent' ? [] : parseFile(`${file}.csv`);
+    });
+
+    return { modes, records };
+  },
+
+  /**
+   * Import a OneRoster 1.1 bundle into an institution
+   * Records are matched on sourcedId, so importing the same bundle again changes nothing.
+   * Rows with status=tobedeleted are removed, as are records missing from a file sent in bulk mode.
+   * Invalid rows are skipped and reported; everything else is written in one transaction.
+   * @param {number} institutionId - The institution being synced
+   * @param {Buffer} buffer - The zip archive
+   * @returns {Promise<Object>} - { modes, summary, errors } with per-file counts
+   */
+  async importBundle(institutionId, buffer) {
+    const bundle = this.readBundle(buffer);
+
+    const institution = await Institutions.findByPk(institutionId, { attributes: ['institutionId', 'name'] });
+    if (!institution) {
+      throw new AppError('Institution not found', 404);
+    }
+
+    const transaction = await sequelize.transaction();
+    let run;
+
+    try {
+      const identifiers = await ExternalIdentifiers.findAll({
+        where: { institutionId: institution.institutionId, source: SOURCE },
+        transaction
+      });
+      run = new ImportRun(institution, identifiers, transaction);
+
+      for (const file of FILES) {
+        if (bundle.modes[file] !== 'absent') {
+          await this.importFile(run, file, bundle);
+        }
+      }
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+    rosterImportService.sendInvitations(institution, run.invitations);
+
+    return { modes: bundle.modes, summary: run.summary, errors: run.errors };
+  },
+
+  /**
+   * Apply one file of the bundle
+   * @param {ImportRun} run - The import in progress
+   * @param {string} file - File name without .csv
+   * @param {Object} bundle - The bundle from readBundle
+   * @returns {Promise<void>}
+   */
+  async importFile(run, file, bundle) {
+    const handler = handlers[file];
+    const counts = emptyCounts();
+    const seen = new Set();
+    run.summary[file] = counts;
+
+    for (const record of bundle.records[file]) {
+      try {
+        if (!record.sourcedId) {
+          throw rowError('sourcedId is required');
+        }
+        if (seen.has(record.sourcedId)) {
+          throw rowError(`sourcedId ${record.sourcedId} appears more than once`);
+        }
+        seen.add(record.sourcedId);
+
+        const identifier = run.lookup(handler.entityType, record.sourcedId)
+          || (file === 'enrollments' ? run.lookup('teacherEnrollment', record.sourcedId) : null);
+
+        if (record.status === 'tobedeleted') {
+          if (identifier) {
+            await handler.remove(run, identifier);
+            await run.forget(identifier);
+            counts.deleted += 1;
+          } else {
+            counts.unchanged += 1;
+          }
+          continue;
+        }
+
+        // Versions no newer than the one last imported are already applied
+        if (identifier && identifier.sourceModifiedAt && isValidDate(record.dateLastModified)
+          && new Date(record.dateLastModified) <= identifier.sourceModifiedAt) {
+          counts.unchanged += 1;
+          continue;
+        }
+
+        const localId = await handler.upsert(run, record, identifier ? identifier.localId : null, bundle);
+        const entityType = file === 'enrollments' && record.role === 'teacher' ? 'teacherEnrollment' : handler.entityType;
+        if (identifier && identifier.entityType !== entityType) {
+          await run.forget(identifier);
+        }
+        await run.remember(entityType, record.sourcedId, localId, record.dateLastModified);
+        counts[identifier && identifier.entityType === entityType ? 'updated' : 'created'] += 1;
+      } catch (err) {
+        if (!(err instanceof AppError)) {
+          throw err;
+        }
+        counts.skipped += 1;
+        run.errors.push({ file: `${file}.csv`, row: record.row, sourcedId: record.sourcedId || null, message: err.message });
+      }
+    }
+
+    if (handler.afterImport) {
+      await handler.afterImport(run, bundle.records[file]);
+    }
+
+    // A bulk file is the complete list, so anything imported before and missing now was deleted
+    if (bundle.modes[file] === 'bulk') {
+      const entityTypes = file === 'enrollments' ? ['enrollment', 'teacherEnrollment'] : [handler.entityType];
+      const missing = entityTypes
+        .flatMap(entityType => run.mapped(entityType))
+        .filter(identifier => !seen.has(identifier.sourcedId));
+
+      for (const identifier of missing) {
+        await handler.remove(run, identifier);
+        await run.forget(identifier);
+        counts.deleted += 1;
+      }
+    }
+  },
+
+  /**
+   * Export an institution as a OneRoster 1.1 bulk bundle
+   * Imported records keep their SIS sourcedIds; records created in PupilSync get stable generated ones.
+   * @param {number} institutionId - The institution to export
+   * @returns {Promise<Buffer>} - The zip archive
+   */
+  async exportBundle(institutionId) {
+    const institution = await Institutions.findByPk(institutionId);
+    if (!institution) {
+      throw new AppError('Institution not found', 404);
+    }
+
+    const identifiers = await ExternalIdentifiers.findAll({
+      where: { institutionId: institution.institutionId, source: SOURCE }
+    });
+    const sourcedIds = {};
+    identifiers.forEach(({ entityType, localId, sourcedId }) => {
+      sourcedIds[entityType] = sourcedIds[entityType] || new Map();
+      if (!sourcedIds[entityType].has(localId)) {
+        sourcedIds[entityType].set(localId, sourcedId);
+      }
+    });
+    const sourcedIdOf = (entityType, localId, fallback) => (sourcedIds[entityType] && sourcedIds[entityType].get(localId)) || fallback;
+
+    const [sessions, classes, students, teacherLinks] = await Promise.all([
+      AcademicSessions.findAll({ where: { institutionId: institution.institutionId }, order: [['academicSessionId', 'ASC']] }),
+      Classes.findAll({ where: { institutionId: institution.institutionId }, order: [['classId', 'ASC']] }),
+      Students.findAll({
+        where: { institutionId: institution.institutionId },
+        include: [{ model: Users, as: 'user' }],
+        order: [['studentId', 'ASC']]
+      }),
+      TeacherInstitutions.findAll({ where: { institutionId: institution.institutionId }, attributes: ['teacherId'] })
+    ]);
+    const teachers = await Teachers.findAll({
+      where: { teacherId: [...new Set([...teacherLinks.map(link => link.teacherId), ...classes.map(cls => cls.teacherId)])] },
+      include: [{ model: Users, as: 'user' }],
+      order: [['teacherId', 'ASC']]
+    });
+    const enrollments = classes.length === 0 ? [] : await ClassEnrollments.findAll({
+      where: { classId: { [Op.in]: classes.map(cls => cls.classId) } },
+      order: [['classEnrollmentId', 'ASC']]
+    });
+
+    const orgId = sourcedIdOf('org', institution.institutionId, `pupilsync-org-${institution.institutionId}`);
+    const sessionIds = new Map(sessions.map(session => [
+      session.academicSessionId,
+      sourcedIdOf('academicSession', session.academicSessionId, `pupilsync-session-${session.academicSessionId}`)
+    ]));
+    const classIds = new Map(classes.map(cls => [cls.classId, sourcedIdOf('class', cls.classId, `pupilsync-class-${cls.classId}`)]));
+    const userIds = new Map();
+    [...students, ...teachers].filter(profile => profile.user).forEach((profile) => {
+      userIds.set(profile.userId, sourcedIdOf('user', profile.userId, profile.user.pupilsyncId));
+    });
+    const teacherUserIds = new Map(teachers.map(teacher => [teacher.teacherId, teacher.userId]));
+    const studentUserIds = new Map(students.map(student => [student.studentId, student.userId]));
+
+    const files = {
+      'manifest.csv': csv.stringify(['propertyName', 'value'], [
+        ['manifest.version', '1.0'],
+        ['oneroster.version', '1.1'],
+        ['file.academicSessions', 'bulk'],
+        ['file.categories', 'absent'],
+        ['file.classes', 'bulk'],
+        ['file.classResources', 'absent'],
+        ['file.courses', 'bulk'],
+        ['file.courseResources', 'absent'],
+        ['file.demographics', 'absent'],
+        ['file.enrollments', 'bulk'],
+        ['file.lineItems', 'absent'],
+        ['file.orgs', 'bulk'],
+        ['file.resources', 'absent'],
+        ['file.results', 'absent'],
+        ['file.users', 'bulk'],
+        ['source.systemName', 'PupilSync'],
+        ['source.systemCode', 'pupilsync']
+      ]),
+
+      'orgs.csv': csv.stringify(HEADERS.orgs, [
+        [orgId, 'active', isoDate(institution.updatedAt), institution.name, 'school', institution.institutionId, '']
+      ]),
+
+      'academicSessions.csv': csv.stringify(HEADERS.academicSessions, sessions.map(session => [
+        sessionIds.get(session.academicSessionId), 'active', isoDate(session.updatedAt), session.title, session.type,
+        session.startDate, session.endDate, session.parentId ? sessionIds.get(session.parentId) : '', session.schoolYear
+      ])),
+
+      // PupilSync classes are not grouped into courses, so each class gets a course of its own
+      'courses.csv': csv.stringify(HEADERS.courses, classes.map(cls => [
+        `${classIds.get(cls.classId)}-course`, 'active', isoDate(cls.updatedAt), '', cls.name, '', '', orgId, '', ''
+      ])),
+
+      'classes.csv': csv.stringify(HEADERS.classes, classes.map(cls => [
+        classIds.get(cls.classId), 'active', isoDate(cls.updatedAt), cls.name, '', `${classIds.get(cls.classId)}-course`,
+        '', 'scheduled', '', orgId, cls.academicSessionId ? sessionIds.get(cls.academicSessionId) : '', '', '', ''
+      ])),
+
+      'users.csv': csv.stringify(HEADERS.users, [
+        ...students.filter(student => student.user).map(student => ['student', student, student.gradeLevel]),
+        ...teachers.filter(teacher => teacher.user).map(teacher => ['teacher', teacher, ''])
+      ].map(([role, { user }, grades]) => [
+        userIds.get(user.userId), 'active', isoDate(user.updatedAt), 'true', orgId, role, user.email, '',
+        user.firstName, user.lastName, '', '', user.email, '', '', '', grades, ''
+      ])),
+
+      'enrollments.csv': csv.stringify(HEADERS.enrollments, [
+        ...classes.map(cls => [
+          sourcedIdOf('teacherEnrollment', cls.classId, `pupilsync-class-${cls.classId}-teacher`), 'active', isoDate(cls.updatedAt),
+          classIds.get(cls.classId), orgId, userIds.get(teacherUserIds.get(cls.teacherId)), 'teacher', 'true', '', ''
+        ]),
+        ...enrollments.filter(enrollment => studentUserIds.has(enrollment.studentId)).map(enrollment => [
+          sourcedIdOf('enrollment', enrollment.classEnrollmentId, `pupilsync-enrollment-${enrollment.classEnrollmentId}`),
+          'active', isoDate(enrollment.updatedAt), classIds.get(enrollment.classId), orgId,
+          userIds.get(studentUserIds.get(enrollment.studentId)), 'student', 'false',
+          enrollment.enrollmentDate ? isoDate(enrollment.enrollmentDate).slice(0, 10) : '', ''
+        ])
+      ])
+    };
+
+    return zip.create(files);
+  }
+};
+
+module.exports = oneRosterService;
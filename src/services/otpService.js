@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const config = require('../config');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const { OtpCodes } = models;
+
+/**
+ * Generate a random numeric code of the configured length
+ * @param {number} length - Number of digits
+ * @returns {string} - The zero-padded code
+ */
+const generateNumericCode = (length) => {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+};
+
+const otpService = {
+  /**
+   * Issue a new one-time code for a user, invalidating any outstanding code for the same purpose
+   * With limits given, the request is refused (429) when codes were issued too recently or too often.
+   * @param {number} userId - The user ID
+   * @param {string} purpose - One of the OtpCodes purposes
+   * @param {Object} options - Optional expiresInMinutes, transaction, a pre-generated code and
+   * limits ({ cooldownSeconds, maxPerHour }, as for assertCanIssue)
+   * @returns {Promise<Object>} - The plain code and the stored OTP record
+   */
+  async issueCode(userId, purpose, options = {}) {
+    const { transaction } = options;
+    const expiresInMinutes = options.expiresInMinutes || config.otp.expiresInMinutes;
+
+    if (options.limits) {
+      await this.assertCanIssue(userId, purpose, options.limits);
+    }
+
+    await OtpCodes.update(
+      { isUsed: true },
+      {
+        where: { userId, purpose, isUsed: false },
+        transaction
+      }
+    );
+
+    const code = options.code || generateNumericCode(config.otp.length);
+    const otpCodeHash = await bcrypt.hash(code, 10);
+
+    const otp = await OtpCodes.create({
+      userId,
+      purpose,
+      otpCodeHash,
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    }, { transaction });
+
+    return { code, otp, expiresInMinutes };
+  },
+
+  /**
+   * Throttle how often codes can be issued for a purpose
+   * @param {number} userId - The user ID
+   * @param {string} purpose - One of the OtpCodes purposes
+   * @param {Object} limits - cooldownSeconds between codes and maxPerHour
+   * @returns {Promise<void>}
+   */
+  async assertCanIssue(userId, purpose, { cooldownSeconds, maxPerHour }) {
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+    const recentCodes = await OtpCodes.findAll({
+      where: {
+        userId,
+        purpose,
+        createdAt: { [Op.gte]: oneHourAgo }
+      },
+      attributes: ['otpId', 'createdAt'],
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (recentCodes.length === 0) {
+      return;
+    }
+
+    const secondsSinceLast = (Date.now() - new Date(recentCodes[0].createdAt).getTime()) / 1000;
+    if (secondsSinceLast < cooldownSeconds) {
+      const wait = Math.ceil(cooldownSeconds - secondsSinceLast);
+      throw new AppError(`Please wait ${wait} seconds before requesting another code`, 429);
+    }
+
+    if (recentCodes.length >= maxPerHour) {
+      throw new AppError('Too many codes requested. Please try again later', 429);
+    }
+  },
+
+  /**
+   * Find the newest unused, unexpired code for a purpose
+   * @param {number} userId - The user ID
+   * @param {string} purpose - One of the OtpCodes purposes
+   * @param {Object} options - Optional transaction
+   * @returns {Promise<Object|null>} - The OTP record or null
+   */
+  async getActiveCode(userId, purpose, options = {}) {
+    return OtpCodes.findOne({
+      where: {
+        userId,
+        purpose,
+        isUsed: false,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['createdAt', 'DESC']],
+      transaction: options.transaction
+    });
+  },
+
+  /**
+   * Count a failed attempt against a code, burning it once the limit is reached
+   * @param {Object} otp - The OTP record
+   * @param {Object} options - Optional transaction
+   * @returns {Promise<void>} - Always rejects with an AppError
+   */
+  async recordFailedAttempt(otp, options = {}) {
+    const attemptCount = otp.attemptCount + 1;
+    const exhausted = attemptCount >= config.otp.maxAttempts;
+
+    await otp.update({ attemptCount, isUsed: exhausted }, { transaction: options.transaction });
+
+    if (exhausted) {
+      throw new AppError('Too many incorrect attempts. Please request a new code', 429);
+    }
+
+    throw new AppError('Invalid or expired code', 400);
+  },
+
+  /**
+   * Mark a code as used
+   * @param {Object} otp - The OTP record
+   * @param {Object} options - Optional transaction
+   * @returns {Promise<Object>} - The consumed OTP record
+   */
+  async consumeCode(otp, options = {}) {
+    return otp.update({ isUsed: true, usedAt: new Date() }, { transaction: options.transaction });
+  },
+
+  /**
+   * Verify and consume a one-time code
+   * Each failed attempt is counted against the code; once the limit is reached the code is burned.
+   * @param {number} userId - The user ID
+   * @param {string} purpose - One of the OtpCodes purposes
+   * @param {string} code - The code supplied by the user
+   * @param {Object} options - Optional transaction
+   * @returns {Promise<Object>} - The consumed OTP record
+   */
+  async verifyCode(userId, purpose, code, options = {}) {
+    const otp = await this.getActiveCode(userId, purpose, options);
+
+    if (!otp) {
+      throw new AppError('Invalid or expired code', 400);
+    }
+
+    const isMatch = await bcrypt.compare(String(code), otp.otpCodeHash);
+
+    if (!isMatch) {
+      await this.recordFailedAttempt(otp, options);
+    }
+
+    return this.consumeCode(otp, options);
+  }
+};
+
+module.exports = otpService;
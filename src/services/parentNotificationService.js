@@ -5,7 +5,7 @@ const initModels = require('../models/init-models');
 const parentAccessSettingsService = require('./parentAccessSettingsService');
 
 const models = initModels(sequelize);
-const { ParentNotifications, Parents, Students, Users } = models;
+const { ParentNotifications, Parents, ParentStudentLink, Students, Users } = models;
 
 const parentNotificationService = {
   /**
@@ -310,6 +310,27 @@ const parentNotificationService = {
     const count = await ParentNotifications.count({ where: whereClause });
     
     return count;
+  },
+
+  /**
+   * Send the same notification to every parent linked to a student
+   * Used for system events (e.g. enrollment changes) that are not tied to a parent access feature.
+   * @param {number} studentId - The student ID
+   * @param {Object} notificationData - The notification fields other than parentId and studentId
+   * @returns {Promise<Array>} - The created notifications
+   */
+  async notifyLinkedParents(studentId, notificationData) {
+    const links = await ParentStudentLink.findAll({ where: { studentId }, attributes: ['parentId'] });
+
+    if (links.length === 0) {
+      return [];
+    }
+
+    return ParentNotifications.bulkCreate(links.map(link => ({
+      ...notificationData,
+      parentId: link.parentId,
+      studentId
+    })));
   }
 };
 
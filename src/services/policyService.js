@@ -0,0 +1,455 @@
+const AppError = require('../utils/errors/AppError');
+const permissions = require('../config/permissions');
+const userInstitutionUtil = require('../utils/userInstitutionUtil');
+const tenantContext = require('../utils/tenantContext');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const {
+  Courses,
+  Lessons,
+  ContentBlocks,
+  Quizzes,
+  QuizQuestions,
+  StudentQuizAttempts,
+  Exams,
+  ExamQuestions,
+  ExamStudentAssignments,
+  StudentExamAttempts,
+  StudentExamResponses,
+  ExamQuestionDraws,
+  QuestionBanks,
+  BankQuestions,
+  Assignments,
+  Submissions,
+  Classes,
+  Students,
+  Teachers,
+  Parents,
+  ParentStudentLink,
+  TeacherInstitutions,
+  Enrollments,
+  CourseWaitlists,
+  ClassEnrollments,
+  ClassTeachers,
+  AcademicSessions,
+  Holidays,
+  ChatParticipants,
+  ChatMessages,
+  Attendance,
+  StudentProgressReports,
+  LearningAnalytics,
+  ParentAccessSettings,
+  ParentNotifications,
+  TeacherEarnings
+} = models;
+
+// Actors are cached per user instance so one request only loads its profile once
+const actorCache = new WeakMap();
+
+/**
+ * Merge owner descriptors returned by resource resolvers
+ * @param  {...Object} owners - Descriptors with userIds, teacherIds, studentIds, parentIds, institutionIds
+ * @returns {Object} - The combined descriptor
+ */
+const mergeOwners = (...owners) => {
+  const merged = { userIds: [], teacherIds: [], studentIds: [], parentIds: [], institutionIds: [] };
+
+  owners.filter(Boolean).forEach((owner) => {
+    Object.keys(merged).forEach((key) => {
+      merged[key].push(...(owner[key] || []).filter(value => value !== null && value !== undefined));
+    });
+  });
+
+  return merged;
+};
+
+const notFound = (type) => new AppError(`${type.charAt(0).toUpperCase()}${type.slice(1)} not found`, 404);
+
+/**
+ * Resolve a resource to the people and institutions that own it.
+ * Derived resources (a lesson, a quiz question, ...) resolve through their parent.
+ */
+const resolvers = {
+  async course(id) {
+    const course = await Courses.findByPk(id, { attributes: ['courseId', 'teacherId', 'institutionId'] });
+    if (!course) throw notFound('course');
+    return { teacherIds: [course.teacherId], institutionIds: [course.institutionId] };
+  },
+
+  async lesson(id) {
+    const lesson = await Lessons.findByPk(id, { attributes: ['lessonId', 'courseId'] });
+    if (!lesson) throw notFound('lesson');
+    return resolvers.course(lesson.courseId);
+  },
+
+  async contentBlock(id) {
+    const block = await ContentBlocks.findByPk(id, { attributes: ['contentBlockId', 'lessonId'] });
+    if (!block) throw notFound('content block');
+    return resolvers.lesson(block.lessonId);
+  },
+
+  async quiz(id) {
+    const quiz = await Quizzes.findByPk(id, { attributes: ['quizId', 'courseId'] });
+    if (!quiz) throw notFound('quiz');
+    return resolvers.course(quiz.courseId);
+  },
+
+  async quizQuestion(id) {
+    const question = await QuizQuestions.findByPk(id, { attributes: ['questionId', 'quizId'] });
+    if (!question) throw notFound('question');
+    return resolvers.quiz(question.quizId);
+  },
+
+  async quizAttempt(id) {
+    const attempt = await StudentQuizAttempts.findByPk(id, { attributes: ['attemptId', 'quizId', 'studentId'] });
+    if (!attempt) throw notFound('quiz attempt');
+    return mergeOwners({ studentIds: [attempt.studentId] }, await resolvers.quiz(attempt.quizId));
+  },
+
+  async exam(id) {
+    const exam = await Exams.findByPk(id, { attributes: ['examId', 'teacherId', 'courseId', 'classId'] });
+    if (!exam) throw notFound('exam');
+
+    return mergeOwners(
+      { teacherIds: [exam.teacherId] },
+      exam.courseId ? await resolvers.course(exam.courseId) : null,
+      exam.classId ? await resolvers.class(exam.classId) : null
+    );
+  },
+
+  async examQuestion(id) {
+    const question = await ExamQuestions.findByPk(id, { attributes: ['questionId', 'examId'] });
+    if (!question) throw notFound('question');
+    return resolvers.exam(question.examId);
+  },
+
+  async examDraw(id) {
+    const draw = await ExamQuestionDraws.findByPk(id, { attributes: ['drawId', 'examId'] });
+    if (!draw) throw notFound('question draw');
+    return resolvers.exam(draw.examId);
+  },
+
+  async questionBank(id) {
+    const bank = await QuestionBanks.findByPk(id, { attributes: ['questionBankId', 'teacherId', 'institutionId'] });
+    if (!bank) throw notFound('question bank');
+    return { teacherIds: [bank.teacherId], institutionIds: [bank.institutionId] };
+  },
+
+  // Read access: a shared bank also belongs to every teacher of its institution
+  async sharedQuestionBank(id) {
+    const bank = await QuestionBanks.findByPk(id, { attributes: ['questionBankId', 'teacherId', 'institutionId', 'isShared'] });
+    if (!bank) throw notFound('question bank');
+
+    const colleagues = bank.isShared
+      ? await TeacherInstitutions.findAll({ where: { institutionId: bank.institutionId }, attributes: ['teacherId'] })
+      : [];
+    return {
+      teacherIds: [bank.teacherId, ...colleagues.map(link => link.teacherId)],
+      institutionIds: [bank.institutionId]
+    };
+  },
+
+  async bankQuestion(id) {
+    const question = await BankQuestions.findByPk(id, { attributes: ['bankQuestionId', 'questionBankId'] });
+    if (!question) throw notFound('question');
+    return resolvers.questionBank(question.questionBankId);
+  },
+
+  async examAssignment(id) {
+    const assignment = await ExamStudentAssignments.findByPk(id, { attributes: ['assignmentId', 'examId', 'studentId'] });
+    if (!assignment) throw notFound('exam assignment');
+    return mergeOwners({ studentIds: [assignment.studentId] }, await resolvers.exam(assignment.examId));
+  },
+
+  async examAttempt(id) {
+    const attempt = await StudentExamAttempts.findByPk(id, { attributes: ['attemptId', 'examId', 'studentId'] });
+    if (!attempt) throw notFound('exam attempt');
+    return mergeOwners({ studentIds: [attempt.studentId] }, await resolvers.exam(attempt.examId));
+  },
+
+  async examResponse(id) {
+    const response = await StudentExamResponses.findByPk(id, { attributes: ['responseId', 'attemptId'] });
+    if (!response) throw notFound('exam response');
+    return resolvers.examAttempt(response.attemptId);
+  },
+
+  async assignment(id) {
+    const assignment = await Assignments.findByPk(id, { attributes: ['assignmentId', 'courseId'] });
+    if (!assignment) throw notFound('assignment');
+    return resolvers.course(assignment.courseId);
+  },
+
+  async submission(id) {
+    const submission = await Submissions.findByPk(id, { attributes: ['submissionId', 'assignmentId', 'studentId'] });
+    if (!submission) throw notFound('submission');
+    return mergeOwners({ studentIds: [submission.studentId] }, await resolvers.assignment(submission.assignmentId));
+  },
+
+  async enrollment(id) {
+    const enrollment = await Enrollments.findByPk(id, { attributes: ['enrollmentId', 'studentId', 'courseId'] });
+    if (!enrollment) throw notFound('enrollment');
+    return mergeOwners({ studentIds: [enrollment.studentId] }, await resolvers.course(enrollment.courseId));
+  },
+
+  async waitlistEntry(id) {
+    const entry = await CourseWaitlists.findByPk(id, { attributes: ['waitlistId', 'studentId', 'courseId'] });
+    if (!entry) throw notFound('waitlist entry');
+    return mergeOwners({ studentIds: [entry.studentId] }, await resolvers.course(entry.courseId));
+  },
+
+  async class(id) {
+    const cls = await Classes.findByPk(id, { attributes: ['classId', 'teacherId', 'institutionId'] });
+    if (!cls) throw notFound('class');
+
+    // Co-teachers own the class alongside its primary teacher
+    const coTeachers = await ClassTeachers.findAll({ where: { classId: id }, attributes: ['teacherId'] });
+    return {
+      teacherIds: [cls.teacherId, ...coTeachers.map(link => link.teacherId)],
+      institutionIds: [cls.institutionId]
+    };
+  },
+
+  async student(id) {
+    const student = await Students.findByPk(id, { attributes: ['studentId', 'userId', 'institutionId'] });
+    if (!student) throw notFound('student');
+
+    // Teachers own the students enrolled in their courses or classes
+    const [enrollments, classEnrollments] = await Promise.all([
+      Enrollments.findAll({ where: { studentId: id }, attributes: ['courseId'] }),
+      ClassEnrollments.findAll({ where: { studentId: id }, attributes: ['classId'] })
+    ]);
+    const classIds = classEnrollments.map(e => e.classId);
+    const [courses, classes, coTeachers] = await Promise.all([
+      Courses.findAll({ where: { courseId: enrollments.map(e => e.courseId) }, attributes: ['teacherId'] }),
+      Classes.findAll({ where: { classId: classIds }, attributes: ['teacherId'] }),
+      ClassTeachers.findAll({ where: { classId: classIds }, attributes: ['teacherId'] })
+    ]);
+
+    return {
+      userIds: [student.userId],
+      studentIds: [student.studentId],
+      institutionIds: [student.institutionId],
+      teacherIds: [...courses, ...classes, ...coTeachers].map(owner => owner.teacherId)
+    };
+  },
+
+  async parent(id) {
+    const parent = await Parents.findByPk(id, { attributes: ['parentId', 'userId'] });
+    if (!parent) throw notFound('parent');
+    return { userIds: [parent.userId], parentIds: [parent.parentId] };
+  },
+
+  async teacher(id) {
+    const teacher = await Teachers.findByPk(id, { attributes: ['teacherId', 'userId'] });
+    if (!teacher) throw notFound('teacher');
+
+    const links = await TeacherInstitutions.findAll({ where: { teacherId: id }, attributes: ['institutionId'] });
+    return {
+      userIds: [teacher.userId],
+      teacherIds: [teacher.teacherId],
+      institutionIds: links.map(link => link.institutionId)
+    };
+  },
+
+  async institution(id) {
+    return { institutionIds: [Number(id)] };
+  },
+
+  async academicSession(id) {
+    const session = await AcademicSessions.findByPk(id, { attributes: ['academicSessionId', 'institutionId'] });
+    if (!session) throw notFound('academic session');
+    return { institutionIds: [session.institutionId] };
+  },
+
+  async holiday(id) {
+    const holiday = await Holidays.findByPk(id, { attributes: ['holidayId', 'institutionId'] });
+    if (!holiday) throw notFound('holiday');
+    return { institutionIds: [holiday.institutionId] };
+  },
+
+  async attendance(id) {
+    const record = await Attendance.findByPk(id, { attributes: ['attendanceId', 'studentId', 'classId'] });
+    if (!record) throw notFound('attendance record');
+    return mergeOwners({ studentIds: [record.studentId] }, await resolvers.class(record.classId));
+  },
+
+  async progressReport(id) {
+    const report = await StudentProgressReports.findByPk(id, { attributes: ['reportId', 'studentId', 'courseId', 'classId'] });
+    if (!report) throw notFound('report');
+
+    return mergeOwners(
+      { studentIds: [report.studentId] },
+      report.courseId ? await resolvers.course(report.courseId) : null,
+      report.classId ? await resolvers.class(report.classId) : null
+    );
+  },
+
+  async learningAnalytics(id) {
+    const analytics = await LearningAnalytics.findByPk(id, { attributes: ['analyticsId', 'studentId', 'courseId'] });
+    if (!analytics) throw notFound('analytics record');
+
+    return mergeOwners(
+      { studentIds: [analytics.studentId] },
+      analytics.courseId ? await resolvers.course(analytics.courseId) : null
+    );
+  },
+
+  async parentAccessSetting(id) {
+    const setting = await ParentAccessSettings.findByPk(id, { attributes: ['settingId', 'parentId', 'studentId'] });
+    if (!setting) throw notFound('settings');
+    return { parentIds: [setting.parentId], studentIds: [setting.studentId] };
+  },
+
+  async parentNotification(id) {
+    const notification = await ParentNotifications.findByPk(id, { attributes: ['notificationId', 'parentId'] });
+    if (!notification) throw notFound('notification');
+    return { parentIds: [notification.parentId] };
+  },
+
+  async teacherEarning(id) {
+    const earning = await TeacherEarnings.findByPk(id, { attributes: ['earningId', 'teacherId'] });
+    if (!earning) throw notFound('earning');
+    return { teacherIds: [earning.teacherId] };
+  },
+
+  async chat(id) {
+    const participants = await ChatParticipants.findAll({ where: { chatId: id }, attributes: ['userId'] });
+    if (participants.length === 0) throw notFound('chat');
+    return { userIds: participants.map(participant => participant.userId) };
+  },
+
+  async chatMessage(id) {
+    const message = await ChatMessages.findByPk(id, { attributes: ['messageId', 'chatId', 'senderId'] });
+    if (!message) throw notFound('message');
+
+    // The sender and the chat's group admins may remove a message
+    const admins = await ChatParticipants.findAll({
+      where: { chatId: message.chatId, isAdmin: true },
+      attributes: ['userId']
+    });
+    return { userIds: [message.senderId, ...admins.map(admin => admin.userId)] };
+  }
+};
+
+/**
+ * Check whether an actor owns a resource, according to the actor's role
+ * @param {Object} actor - The actor from getActor
+ * @param {Object} owners - The owner descriptor from a resolver
+ * @returns {boolean} - True if the actor owns the resource
+ */
+const ownsResource = (actor, owners) => {
+  const intersects = (a, b) => a.some(value => b.map(Number).includes(Number(value)));
+
+  if (owners.userIds && intersects([actor.userId], owners.userIds)) {
+    return true;
+  }
+
+  switch (actor.role) {
+    case 'teacher':
+      return !!actor.teacherId && intersects([actor.teacherId], owners.teacherIds || []);
+    case 'student':
+      return !!actor.studentId && intersects([actor.studentId], owners.studentIds || []);
+    case 'parent':
+      return intersects([actor.parentId], owners.parentIds || [])
+        || intersects(actor.linkedStudentIds, owners.studentIds || []);
+    case 'institution':
+    case 'admin':
+      return intersects(actor.institutionIds, owners.institutionIds || []);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Single place where route permissions and resource ownership are decided
+ */
+const policyService = {
+  resolvers,
+
+  /**
+   * Load the role profile IDs the ownership rules need
+   * @param {Object} user - The authenticated user
+   * @returns {Promise<Object>} - userId, role, teacherId/studentId/parentId, linkedStudentIds, institutionIds
+   */
+  async getActor(user) {
+    if (actorCache.has(user)) {
+      return actorCache.get(user);
+    }
+
+    const tenant = tenantContext.get();
+
+    const actor = {
+      userId: user.userId,
+      role: user.role,
+      teacherId: user.teacher ? user.teacher.teacherId : null,
+      studentId: user.student ? user.student.studentId : null,
+      parentId: user.parent ? user.parent.parentId : null,
+      linkedStudentIds: [],
+      institutionIds: tenant && tenant.userId === user.userId
+        ? tenant.institutionIds
+        : await userInstitutionUtil.getInstitutionIdsForUser(user)
+    };
+
+    if (actor.role === 'parent' && actor.parentId) {
+      const links = await ParentStudentLink.findAll({ where: { parentId: actor.parentId }, attributes: ['studentId'] });
+      actor.linkedStudentIds = links.map(link => link.studentId);
+    }
+
+    actorCache.set(user, actor);
+    return actor;
+  },
+
+  /**
+   * Decide whether a user holds a permission, optionally for a specific resource
+   * Roles granted 'own' scope are allowed when no resource is identified (e.g. creating or
+   * listing their own records); the controller is then responsible for scoping the query.
+   * @param {Object} user - The authenticated user
+   * @param {string} permission - A key of config/permissions
+   * @param {Object} target - { type, id } of the resource, or null
+   * @returns {Promise<boolean>} - True if the action is allowed
+   */
+  async can(user, permission, target = null) {
+    const rule = permissions[permission];
+
+    if (!rule) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    const scope = user && rule.roles[user.role];
+
+    if (!scope) {
+      return false;
+    }
+
+    if (scope === 'any' || !target || target.id === undefined || target.id === null) {
+      return true;
+    }
+
+    const type = target.type || rule.resource;
+    const resolver = resolvers[type];
+
+    if (!resolver) {
+      throw new Error(`No ownership resolver for resource type: ${type}`);
+    }
+
+    const [actor, owners] = await Promise.all([this.getActor(user), resolver(target.id)]);
+    return ownsResource(actor, owners);
+  },
+
+  /**
+   * Like can(), but throws a 403 AppError when the action is not allowed
+   * @param {Object} user - The authenticated user
+   * @param {string} permission - A key of config/permissions
+   * @param {Object} target - { type, id } of the resource, or null
+   * @returns {Promise<void>}
+   */
+  async assertCan(user, permission, target = null) {
+    if (!await this.can(user, permission, target)) {
+      throw new AppError('You do not have permission to perform this action', 403);
+    }
+  }
+};
+
+module.exports = policyService;
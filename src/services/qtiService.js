@@ -0,0 +1,779 @@
+const path = require('path');
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+const zip = require('../utils/zip');
+const xml = require('../utils/xml');
+const questionScoring = require('../utils/questionScoring');
+const examService = require('./examService');
+const quizService = require('./quizService');
+
+const models = initModels(sequelize);
+const {
+  Exams,
+  ExamQuestions,
+  ExamAnswers,
+  Quizzes,
+  QuizQuestions,
+  QuizAnswers
+} = models;
+
+// Namespaces, resource types and response processing templates of the supported QTI versions
+const VERSIONS = {
+  '2.1': {
+    namespace: 'http://www.imsglobal.org/xsd/imsqti_v2p1',
+    manifestNamespace: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+    itemType: 'imsqti_item_xmlv2p1',
+    testType: 'imsqti_test_xmlv2p1',
+    template: name => `http://www.imsglobal.org/question/qti_v2p1/rptemplates/${name}`
+  },
+  '3.0': {
+    namespace: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0',
+    manifestNamespace: 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1',
+    itemType: 'imsqti_item_xmlv3p0',
+    testType: 'imsqti_test_xmlv3p0',
+    template: name => `https://purl.imsglobal.org/spec/qti/v3p0/rptemplates/${name}.xml`
+  }
+};
+
+// Item body elements whose text is kept as separate words
+const BLOCK_ELEMENTS = ['p', 'div', 'br', 'li', 'ul', 'ol', 'table', 'tr', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'prompt'];
+
+// Item body elements that are not part of the question text
+const IGNORED_ELEMENTS = ['feedbackInline', 'feedbackBlock', 'modalFeedback', 'rubricBlock', 'templateInline', 'templateBlock'];
+
+const MEDIA_ELEMENTS = ['img', 'object', 'audio', 'video', 'math'];
+
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+const kebabCase = name => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+/**
+ * Rename QTI 3.0 elements and attributes (qti-choice-interaction, max-choices) to their
+ * QTI 2.x names (choiceInteraction, maxChoices) so both versions are read the same way
+ * @param {Object} element - A parsed element
+ * @returns {Object} - The element with QTI 2.x names
+ */
+const fromQti3 = (element) => {
+  const name = xml.localName(element);
+
+  return {
+    name: name.startsWith('qti-') ? camelCase(name.slice(4)) : element.name,
+    attributes: Object.fromEntries(Object.entries(element.attributes).map(([key, value]) => [
+      key.includes('-') && !key.startsWith('data-') ? camelCase(key) : key,
+      value
+    ])),
+    children: element.children.map(child => (typeof child === 'string' ? child : fromQti3(child)))
+  };
+};
+
+/**
+ * Rename QTI 2.x elements and attributes to their QTI 3.0 names (HTML elements keep theirs)
+ * @param {Object} element - An element built with QTI 2.x names
+ * @returns {Object} - The element with QTI 3.0 names
+ */
+const toQti3 = element => ({
+  name: element.name === 'p' ? element.name : `qti-${kebabCase(element.name)}`,
+  attributes: Object.fromEntries(Object.entries(element.attributes).map(([key, value]) => [
+    key === 'xmlns' ? key : kebabCase(key),
+    value
+  ])),
+  children: element.children.map(child => (typeof child === 'string' ? child : toQti3(child)))
+});
+
+/**
+ * Resolve a manifest or test href against the folder of the file that refers to it
+ * @param {string} folder - The referring file's folder inside the package
+ * @param {string} href - The (URL encoded) relative reference
+ * @returns {string} - The path inside the package
+ */
+const resolveHref = (folder, href) => {
+  let decoded = href.split('#')[0];
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch (err) {
+    // Keep a reference that is not valid URL encoding as written
+  }
+  return path.posix.normalize(path.posix.join(folder, decoded));
+};
+
+/**
+ * The readable text of item content, without feedback and interactions
+ * @param {Object} element - The content element
+ * @param {Object} interaction - An interaction whose prompt is part of the text
+ * @returns {string} - The text with whitespace collapsed
+ */
+const contentText = (element, interaction = null) => {
+  const collect = (node) => {
+    if (typeof node === 'string') {
+      return node;
+    }
+
+    const name = xml.localName(node);
+    if (node === interaction) {
+      const prompt = xml.children(node, 'prompt')[0];
+      return prompt ? ` ${collect(prompt)} ` : ' ';
+    }
+    if (IGNORED_ELEMENTS.includes(name) || name.endsWith('Interaction')) {
+      return ' ';
+    }
+
+    const inner = node.children.map(collect).join('');
+    return BLOCK_ELEMENTS.includes(name) ? ` ${inner} ` : inner;
+  };
+
+  return collect(element).replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * The interactions in item content, in document order
+ * @param {Object} element - The content element
+ * @returns {Array<Object>} - The interaction elements
+ */
+const findInteractions = element => xml.children(element).flatMap(child => [
+  ...(xml.localName(child).endsWith('Interaction') ? [child] : []),
+  ...findInteractions(child)
+]);
+
+/**
+ * The points of an item: its MAXSCORE default, else the SCORE outcome's normalMaximum, else 1
+ * @param {Object} item - The assessmentItem element
+ * @returns {number} - The points
+ */
+const itemPoints = (item) => {
+  const outcome = identifier => xml.children(item, 'outcomeDeclaration')
+    .find(declaration => declaration.attributes.identifier === identifier);
+  const maxScore = outcome('MAXSCORE');
+  const score = outcome('SCORE');
+
+  const points = [
+    maxScore && xml.text(xml.find(maxScore, 'value')),
+    score && score.attributes.normalMaximum
+  ].map(Number).find(value => Number.isFinite(value) && value > 0);
+
+  return points ? Math.round(points * 100) / 100 : 1;
+};
+
+/**
+ * The tolerance of a numeric item, from the first equal test in its response processing
+ * QTI relative tolerances are percentages; answerConfig ones are fractions.
+ * @param {Object} item - The assessmentItem element
+ * @param {Array<string>} warnings - Collects what could not be kept
+ * @returns {Object} - { tolerance, toleranceType }, empty for an exact match
+ */
+const itemTolerance = (item, warnings) => {
+  const equal = xml.findAll(item, 'equal')[0];
+  const mode = equal ? equal.attributes.toleranceMode || 'exact' : 'exact';
+  if (mode === 'exact') {
+    return {};
+  }
+
+  const bounds = (equal.attributes.tolerance || '0').trim().split(/\s+/).map(Number);
+  if (bounds.some(bound => !Number.isFinite(bound) || bound < 0)) {
+    warnings.push('The tolerance could not be read, so an exact answer is required');
+    return {};
+  }
+  if (bounds.length > 1 && bounds[0] !== bounds[1]) {
+    warnings.push('The tolerance was different below and above the answer; the larger one was kept');
+  }
+
+  const tolerance = Math.max(...bounds);
+  return mode === 'relative'
+    ? { tolerance: Math.round(tolerance * 10000) / 1000000, toleranceType: 'relative' }
+    : { tolerance, toleranceType: 'absolute' };
+};
+
+/**
+ * Turn a QTI item into question data for an exam or a quiz
+ * @param {Object} item - The assessmentItem element (QTI 2.x names)
+ * @param {string} target - 'exam' or 'quiz'
+ * @returns {Object} - { question, warnings }, or { reason } when the item cannot be imported
+ */
+const readItem = (item, target) => {
+  const body = xml.find(item, 'itemBody');
+  const interactions = body ? findInteractions(body) : [];
+
+  if (interactions.length === 0) {
+    return { reason: 'The item has no interaction' };
+  }
+  if (interactions.length > 1) {
+    return { reason: 'Items with more than one interaction are not supported' };
+  }
+
+  const interaction = interactions[0];
+  const kind = xml.localName(interaction);
+  const declaration = xml.children(item, 'responseDeclaration')
+    .find(candidate => candidate.attributes.identifier === interaction.attributes.responseIdentifier);
+  const correctResponse = declaration && xml.find(declaration, 'correctResponse');
+  const correct = correctResponse ? xml.children(correctResponse, 'value').map(value => xml.text(value)) : [];
+  const mapEntries = declaration ? xml.findAll(declaration, 'mapEntry') : [];
+  const warnings = [];
+
+  const question = {
+    questionText: contentText(body, interaction),
+    points: itemPoints(item)
+  };
+  if (MEDIA_ELEMENTS.some(name => xml.find(body, name))) {
+    warnings.push('Images, media and maths in the item were left out');
+  }
+
+  switch (kind) {
+    case 'choiceInteraction': {
+      const choices = xml.children(interaction, 'simpleChoice')
+        .map(choice => ({ identifier: choice.attributes.identifier, text: contentText(choice) }));
+      if (correct.length === 0) {
+        return { reason: 'The item has no correct response' };
+      }
+
+      question.answers = choices.map(choice => ({ answerText: choice.text, isCorrect: correct.includes(choice.identifier) }));
+      const isTrueFalse = choices.length === 2
+        && choices.map(choice => choice.text.toLowerCase()).sort().join() === 'false,true';
+
+      if (declaration.attributes.cardinality === 'multiple') {
+        question.questionType = 'multi_select';
+      } else {
+        // Exams have no true/false type; a true/false choice works the same as multiple choice
+        question.questionType = target === 'quiz' && isTrueFalse ? 'true_false' : 'multiple_choice';
+      }
+      break;
+    }
+
+    case 'textEntryInteraction': {
+      const baseType = declaration ? declaration.attributes.baseType : 'string';
+
+      if (baseType === 'float' || baseType === 'integer') {
+        const value = Number(correct[0]);
+        if (correct.length === 0 || !Number.isFinite(value)) {
+          return { reason: 'The item has no numeric correct response' };
+        }
+        question.questionType = 'numeric';
+        question.answerConfig = { value, ...itemTolerance(item, warnings) };
+        break;
+      }
+
+      const accepted = [...new Set([
+        ...correct,
+        ...mapEntries.filter(entry => Number(entry.attributes.mappedValue) > 0).map(entry => entry.attributes.mapKey)
+      ])].filter(Boolean);
+
+      if (target === 'quiz') {
+        if (accepted.length === 0) {
+          return { reason: 'The item has no correct response to grade a short answer against' };
+        }
+        question.questionType = 'short_answer';
+        question.answers = accepted.map(answerText => ({ answerText, isCorrect: true }));
+      } else if (accepted.length === 0) {
+        // Without a correct response the answer goes to the grading queue
+        question.questionType = 'short_answer';
+      } else {
+        question.questionType = 'fill_in_blank';
+        question.correctAnswer = accepted[0];
+        // match_correct compares strings exactly; a mapping says whether case matters
+        question.caseSensitive = mapEntries.length > 0 ? mapEntries[0].attributes.caseSensitive !== 'false' : true;
+        if (accepted.length > 1) {
+          warnings.push('Only the first accepted answer was kept');
+        }
+      }
+      break;
+    }
+
+    case 'extendedTextInteraction':
+      if (target === 'quiz') {
+        return { reason: 'Essay questions can only be imported into exams' };
+      }
+      question.questionType = 'essay';
+      break;
+
+    case 'matchInteraction': {
+      const [sourceSet, targetSet] = xml.children(interaction, 'simpleMatchSet');
+      if (!targetSet) {
+        return { reason: 'The match interaction needs two sets of choices' };
+      }
+
+      const labels = set => new Map(xml.children(set, 'simpleAssociableChoice')
+        .map(choice => [choice.attributes.identifier, contentText(choice)]));
+      const sources = labels(sourceSet);
+      const targets = labels(targetSet);
+      const pairs = correct.map((value) => {
+        const [first, second] = value.split(/\s+/);
+        // Undirected pairs may be written either way round
+        return sources.has(first) ? [first, second] : [second, first];
+      });
+
+      const matches = [...sources.keys()].map((source) => {
+        const found = pairs.filter(([pairSource]) => pairSource === source);
+        return found.length === 1 && targets.has(found[0][1])
+          ? { prompt: sources.get(source), match: targets.get(found[0][1]) }
+          : null;
+      });
+
+      if (pairs.length !== sources.size || matches.some(match => !match)) {
+        return { reason: 'Only matching where each prompt has exactly one correct match is supported' };
+      }
+      if (matches.length < 2) {
+        return { reason: 'A matching question needs at least two prompts' };
+      }
+
+      question.questionType = 'matching';
+      question.answerConfig = { pairs: matches };
+      break;
+    }
+
+    case 'orderInteraction': {
+      const choices = new Map(xml.children(interaction, 'simpleChoice')
+        .map(choice => [choice.attributes.identifier, contentText(choice)]));
+
+      if (correct.length !== choices.size || correct.some(identifier => !choices.has(identifier))) {
+        return { reason: 'The correct order must include every item' };
+      }
+      if (correct.length < 2) {
+        return { reason: 'An ordering question needs at least two items' };
+      }
+
+      question.questionType = 'ordering';
+      question.answerConfig = { items: correct.map(identifier => choices.get(identifier)) };
+      break;
+    }
+
+    default:
+      return { reason: `${kind} is not supported` };
+  }
+
+  if (!question.questionText) {
+    return { reason: 'The item has no question text' };
+  }
+
+  try {
+    questionScoring.assertDefinition(question.questionType, question.answers, question.answerConfig);
+  } catch (err) {
+    return { reason: err.message };
+  }
+
+  return { question, warnings };
+};
+
+/**
+ * A question as exported: exam and quiz questions in one shape
+ * @param {Object} question - An exam or quiz question with its answers
+ * @returns {Object} - { questionText, questionType, points, answers, answerConfig, accepted, caseSensitive }
+ */
+const exportedQuestion = (question) => {
+  const answers = question.examAnswers || question.answers || [];
+  let accepted = [];
+
+  if (question.questionType === 'fill_in_blank' && question.correctAnswer) {
+    accepted = [question.correctAnswer];
+  } else if (question.questionType === 'short_answer' && !question.examId) {
+    // A quiz short answer's answers are the accepted responses
+    accepted = answers.filter(answer => answer.isCorrect).map(answer => answer.answerText);
+  }
+
+  return {
+    questionText: question.questionText,
+    questionType: question.questionType,
+    points: Number(question.points || 1),
+    answers,
+    answerConfig: question.answerConfig,
+    accepted,
+    caseSensitive: Boolean(question.caseSensitive)
+  };
+};
+
+/**
+ * Build the QTI item for a question (with QTI 2.x names)
+ * Multi-select and matching keep their partial credit through a mapping; ordering is scored
+ * all-or-nothing by QTI's match_correct template, and numeric units are not exported.
+ * @param {Object} question - The question from exportedQuestion()
+ * @param {string} identifier - The item identifier
+ * @param {Object} spec - The QTI version's settings
+ * @returns {Object} - The assessmentItem element
+ */
+const buildItem = (question, identifier, spec) => {
+  const { questionText, questionType, points, answers, answerConfig, accepted } = question;
+  const value = text => xml.element('value', {}, [String(text)]);
+  const share = count => Math.round((points / count) * 10000) / 10000;
+  const prompt = xml.element('prompt', {}, [questionText]);
+  const template = name => xml.element('responseProcessing', { template: spec.template(name) });
+  const mapping = entries => xml.element('mapping', { lowerBound: 0, upperBound: points, defaultValue: 0 }, entries);
+
+  let cardinality = 'single';
+  let baseType = 'identifier';
+  let correct = [];
+  let responseMapping = null;
+  let interaction;
+  let body = null;
+  let processing = null;
+
+  switch (questionType) {
+    case 'multiple_choice':
+    case 'true_false':
+    case 'multi_select': {
+      const choices = answers.map((answer, index) => ({ identifier: `choice-${index + 1}`, ...answer }));
+      const right = choices.filter(choice => choice.isCorrect);
+      correct = right.map(choice => choice.identifier);
+      interaction = xml.element('choiceInteraction', {
+        responseIdentifier: 'RESPONSE',
+        shuffle: 'false',
+        maxChoices: questionType === 'multi_select' ? 0 : 1
+      }, [prompt, ...choices.map(choice => xml.element('simpleChoice', { identifier: choice.identifier }, [choice.answerText]))]);
+
+      if (questionType === 'multi_select') {
+        cardinality = 'multiple';
+        responseMapping = mapping(choices.map(choice => xml.element('mapEntry', {
+          mapKey: choice.identifier,
+          mappedValue: choice.isCorrect ? share(right.length) : -share(right.length)
+        })));
+        processing = template('map_response');
+      } else {
+        processing = template('match_correct');
+      }
+      break;
+    }
+
+    case 'numeric': {
+      const { value: expected, tolerance = 0, toleranceType = 'absolute' } = answerConfig;
+      baseType = 'float';
+      correct = [expected];
+      body = [xml.element('p', {}, [questionText]), xml.element('p', {}, [xml.element('textEntryInteraction', { responseIdentifier: 'RESPONSE' })])];
+      processing = xml.element('responseProcessing', {}, [
+        xml.element('responseCondition', {}, [
+          xml.element('responseIf', {}, [
+            xml.element('equal', {
+              toleranceMode: tolerance > 0 ? toleranceType : 'exact',
+              tolerance: tolerance > 0 ? Math.round(tolerance * (toleranceType === 'relative' ? 100 : 1) * 1000000) / 1000000 : null
+            }, [xml.element('variable', { identifier: 'RESPONSE' }), xml.element('correct', { identifier: 'RESPONSE' })]),
+            xml.element('setOutcomeValue', { identifier: 'SCORE' }, [xml.element('variable', { identifier: 'MAXSCORE' })])
+          ])
+        ])
+      ]);
+      break;
+    }
+
+    case 'short_answer':
+    case 'fill_in_blank':
+      baseType = 'string';
+      correct = accepted.slice(0, 1);
+      body = [xml.element('p', {}, [questionText]), xml.element('p', {}, [xml.element('textEntryInteraction', { responseIdentifier: 'RESPONSE' })])];
+      // Without accepted answers the response is left for a teacher
+      if (accepted.length > 0) {
+        responseMapping = mapping(accepted.map(answerText => xml.element('mapEntry', {
+          mapKey: answerText,
+          mappedValue: points,
+          caseSensitive: question.caseSensitive ? 'true' : 'false'
+        })));
+        processing = template('map_response');
+      }
+      break;
+
+    case 'essay':
+      baseType = 'string';
+      interaction = xml.element('extendedTextInteraction', { responseIdentifier: 'RESPONSE' }, [prompt]);
+      break;
+
+    case 'matching': {
+      const prompts = answerConfig.pairs.map((pair, index) => ({ identifier: `prompt-${index + 1}`, ...pair }));
+      const options = [...new Set(prompts.map(pair => pair.match))]
+        .map((match, index) => ({ identifier: `match-${index + 1}`, match }));
+      const optionFor = match => options.find(option => option.match === match).identifier;
+
+      cardinality = 'multiple';
+      baseType = 'directedPair';
+      correct = prompts.map(pair => `${pair.identifier} ${optionFor(pair.match)}`);
+      interaction = xml.element('matchInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'true', maxAssociations: prompts.length }, [
+        prompt,
+        xml.element('simpleMatchSet', {}, prompts.map(pair => xml.element('simpleAssociableChoice', { identifier: pair.identifier, matchMax: 1 }, [pair.prompt]))),
+        xml.element('simpleMatchSet', {}, options.map(option => xml.element('simpleAssociableChoice', {
+          identifier: option.identifier,
+          matchMax: prompts.filter(pair => pair.match === option.match).length
+        }, [option.match])))
+      ]);
+      responseMapping = mapping(correct.map(pair => xml.element('mapEntry', { mapKey: pair, mappedValue: share(prompts.length) })));
+      processing = template('map_response');
+      break;
+    }
+
+    case 'ordering': {
+      const items = answerConfig.items.map((text, index) => ({ identifier: `choice-${index + 1}`, text }));
+      cardinality = 'ordered';
+      correct = items.map(item => item.identifier);
+      interaction = xml.element('orderInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'true' }, [
+        prompt,
+        ...items.map(item => xml.element('simpleChoice', { identifier: item.identifier }, [item.text]))
+      ]);
+      processing = template('match_correct');
+      break;
+    }
+
+    default:
+      throw new AppError(`${questionType} questions cannot be exported to QTI`, 400);
+  }
+
+  return xml.element('assessmentItem', {
+    xmlns: spec.namespace,
+    identifier,
+    title: questionText.length > 80 ? `${questionText.slice(0, 77)}...` : questionText,
+    adaptive: 'false',
+    timeDependent: 'false'
+  }, [
+    xml.element('responseDeclaration', { identifier: 'RESPONSE', cardinality, baseType }, [
+      ...(correct.length > 0 ? [xml.element('correctResponse', {}, correct.map(value))] : []),
+      ...(responseMapping ? [responseMapping] : [])
+    ]),
+    xml.element('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float', normalMaximum: points }, [
+      xml.element('defaultValue', {}, [value(0)])
+    ]),
+    xml.element('outcomeDeclaration', { identifier: 'MAXSCORE', cardinality: 'single', baseType: 'float' }, [
+      xml.element('defaultValue', {}, [value(points)])
+    ]),
+    xml.element('itemBody', {}, body || [interaction]),
+    ...(processing ? [processing] : [])
+  ]);
+};
+
+const qtiService = {
+  VERSIONS: Object.keys(VERSIONS),
+
+  /**
+   * Read a QTI 2.x or 3.0 content package into question data
+   * Items are taken in the order of the package's assessment test, or of the manifest when
+   * there is no test. Items that cannot be imported are reported instead of failing the package.
+   * @param {Buffer} buffer - The zip package
+   * @param {string} target - 'exam' or 'quiz'; decides which question types items become
+   * @returns {Object} - { title, questions, report: { version, items, imported, skipped, warnings } }
+   */
+  readPackage(buffer, target) {
+    let files;
+    try {
+      files = zip.read(buffer, { keepPaths: true });
+    } catch (err) {
+      throw new AppError(`Could not read the QTI package: ${err.message}`, 400);
+    }
+
+    // The manifest closest to the root of the archive is the package's manifest
+    const manifestPath = Object.keys(files)
+      .filter(name => path.posix.basename(name) === 'imsmanifest.xml')
+      .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+    if (!manifestPath) {
+      throw new AppError('The package has no imsmanifest.xml', 400);
+    }
+
+    const parseFile = (name) => {
+      try {
+        return fromQti3(xml.parse(files[name]));
+      } catch (err) {
+        throw new AppError(`Could not read ${name}: ${err.message}`, 400);
+      }
+    };
+
+    const folder = path.posix.dirname(manifestPath);
+    const resources = xml.findAll(parseFile(manifestPath), 'resource').map(resource => ({
+      type: resource.attributes.type || '',
+      href: resource.attributes.href ? resolveHref(folder, resource.attributes.href) : null
+    }));
+
+    if (resources.some(resource => /^imsqti_xmlv1p/.test(resource.type))) {
+      throw new AppError('QTI 1.x packages are not supported; please export as QTI 2.1 or 3.0', 400);
+    }
+
+    const test = resources.find(resource => resource.type.startsWith('imsqti_test') && resource.href);
+    let title = null;
+    let hrefs;
+
+    if (test) {
+      if (!files[test.href]) {
+        throw new AppError(`The package has no ${test.href}`, 400);
+      }
+      const assessmentTest = parseFile(test.href);
+      title = assessmentTest.attributes.title || null;
+      hrefs = xml.findAll(assessmentTest, 'assessmentItemRef')
+        .map(ref => resolveHref(path.posix.dirname(test.href), ref.attributes.href || ''));
+    } else {
+      hrefs = resources
+        .filter(resource => resource.type.startsWith('imsqti_item') && resource.href)
+        .map(resource => resource.href);
+    }
+
+    if (hrefs.length === 0) {
+      throw new AppError('The package lists no assessment items', 400);
+    }
+
+    const versionMatch = resources.map(resource => /xmlv(\d)p(\d)$/.exec(resource.type)).find(Boolean);
+    const questions = [];
+    const skipped = [];
+    const warnings = [];
+
+    hrefs.forEach((href) => {
+      if (!files[href]) {
+        skipped.push({ href, title: null, reason: 'The item file is missing from the package' });
+        return;
+      }
+
+      let item;
+      try {
+        item = parseFile(href);
+      } catch (err) {
+        skipped.push({ href, title: null, reason: err.message });
+        return;
+      }
+
+      const itemTitle = item.attributes.title || item.attributes.identifier || null;
+      if (xml.localName(item) !== 'assessmentItem') {
+        skipped.push({ href, title: itemTitle, reason: 'The file is not an assessment item' });
+        return;
+      }
+
+      const result = readItem(item, target);
+      if (result.reason) {
+        skipped.push({ href, title: itemTitle, reason: result.reason });
+        return;
+      }
+
+      questions.push(result.question);
+      result.warnings.forEach(warning => warnings.push({ href, title: itemTitle, warning }));
+    });
+
+    return {
+      title,
+      questions,
+      report: {
+        version: versionMatch ? `${versionMatch[1]}.${versionMatch[2]}` : null,
+        items: hrefs.length,
+        imported: questions.length,
+        skipped,
+        warnings
+      }
+    };
+  },
+
+  /**
+   * Build a QTI content package: a manifest, an assessment test and one file per item
+   * @param {string} title - The assessment title
+   * @param {Array} questions - Exam or quiz questions with their answers, in order
+   * @param {string} version - '2.1' or '3.0'
+   * @returns {Buffer} - The zip package
+   */
+  buildPackage(title, questions, version = '2.1') {
+    const spec = VERSIONS[version];
+    if (!spec) {
+      throw new AppError(`QTI version ${version} is not supported (expected ${Object.keys(VERSIONS).join(' or ')})`, 400);
+    }
+
+    const write = element => xml.stringify(version === '3.0' ? toQti3(element) : element);
+    const items = questions.map((question, index) => ({
+      identifier: `item-${index + 1}`,
+      href: `items/item-${index + 1}.xml`,
+      element: buildItem(exportedQuestion(question), `item-${index + 1}`, spec)
+    }));
+
+    const test = xml.element('assessmentTest', { xmlns: spec.namespace, identifier: 'assessment', title }, [
+      xml.element('testPart', { identifier: 'part-1', navigationMode: 'nonlinear', submissionMode: 'simultaneous' }, [
+        xml.element('assessmentSection', { identifier: 'section-1', title, visible: 'true' },
+          items.map(item => xml.element('assessmentItemRef', { identifier: item.identifier, href: item.href })))
+      ])
+    ]);
+
+    const manifest = xml.element('manifest', { xmlns: spec.manifestNamespace, identifier: 'manifest' }, [
+      xml.element('organizations'),
+      xml.element('resources', {}, [
+        xml.element('resource', { identifier: 'assessment', type: spec.testType, href: 'assessment.xml' }, [
+          xml.element('file', { href: 'assessment.xml' }),
+          ...items.map(item => xml.element('dependency', { identifierref: item.identifier }))
+        ]),
+        ...items.map(item => xml.element('resource', { identifier: item.identifier, type: spec.itemType, href: item.href }, [
+          xml.element('file', { href: item.href })
+        ]))
+      ])
+    ]);
+
+    return zip.create({
+      'imsmanifest.xml': xml.stringify(manifest),
+      'assessment.xml': write(test),
+      ...Object.fromEntries(items.map(item => [item.href, write(item.element)]))
+    });
+  },
+
+  /**
+   * Create an exam from a QTI package
+   * @param {Buffer} buffer - The zip package
+   * @param {Object} examData - The exam's course, schedule and teacher; the title defaults to the test's
+   * @param {Object} options - dryRun only reports what would be imported
+   * @returns {Promise<Object>} - { exam, report }; exam is null on a dry run
+   */
+  async importExam(buffer, examData, { dryRun = false } = {}) {
+    const { title, questions, report } = this.readPackage(buffer, 'exam');
+
+    if (dryRun) {
+      return { exam: null, report };
+    }
+    if (questions.length === 0) {
+      throw new AppError('The package has no questions that can be imported', 400);
+    }
+
+    const exam = await examService.createExam({ ...examData, title: examData.title || title || 'Imported exam' }, questions);
+    return { exam: await examService.getExamById(exam.examId), report };
+  },
+
+  /**
+   * Create a quiz from a QTI package
+   * @param {Buffer} buffer - The zip package
+   * @param {Object} quizData - The quiz's course and settings; the title defaults to the test's
+   * @param {Object} options - dryRun only reports what would be imported
+   * @returns {Promise<Object>} - { quiz, report }; quiz is null on a dry run
+   */
+  async importQuiz(buffer, quizData, { dryRun = false } = {}) {
+    const { title, questions, report } = this.readPackage(buffer, 'quiz');
+
+    if (dryRun) {
+      return { quiz: null, report };
+    }
+    if (questions.length === 0) {
+      throw new AppError('The package has no questions that can be imported', 400);
+    }
+
+    const quiz = await quizService.createQuiz({ ...quizData, title: quizData.title || title || 'Imported quiz', questions });
+    return { quiz, report };
+  },
+
+  /**
+   * Export an exam's fixed questions as a QTI package (questions drawn from banks are per student)
+   * @param {number} examId - The exam ID
+   * @param {string} version - '2.1' or '3.0'
+   * @returns {Promise<Object>} - { filename, buffer }
+   */
+  async exportExam(examId, version) {
+    const exam = await Exams.findByPk(examId, { attributes: ['examId', 'title'] });
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    const questions = await ExamQuestions.findAll({
+      where: { examId, bankQuestionId: null },
+      include: [{ model: ExamAnswers, as: 'examAnswers' }],
+      order: [['orderNumber', 'ASC'], [{ model: ExamAnswers, as: 'examAnswers' }, 'orderNumber', 'ASC']]
+    });
+
+    return { filename: `exam-${exam.examId}-qti.zip`, buffer: this.buildPackage(exam.title, questions, version) };
+  },
+
+  /**
+   * Export a quiz as a QTI package
+   * @param {number} quizId - The quiz ID
+   * @param {string} version - '2.1' or '3.0'
+   * @returns {Promise<Object>} - { filename, buffer }
+   */
+  async exportQuiz(quizId, version) {
+    const quiz = await Quizzes.findByPk(quizId, { attributes: ['quizId', 'title'] });
+    if (!quiz) {
+      throw new AppError('Quiz not found', 404);
+    }
+
+    const questions = await QuizQuestions.findAll({
+      where: { quizId },
+      include: [{ model: QuizAnswers, as: 'answers' }],
+      order: [['orderNumber', 'ASC'], [{ model: QuizAnswers, as: 'answers' }, 'orderNumber', 'ASC']]
+    });
+
+    return { filename: `quiz-${quiz.quizId}-qti.zip`, buffer: this.buildPackage(quiz.title, questions, version) };
+  }
+};
+
+module.exports = qtiService;
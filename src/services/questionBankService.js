@@ -0,0 +1,489 @@
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+const seededRandom = require('../utils/seededRandom');
+
+const models = initModels(sequelize);
+const {
+  QuestionBanks,
+  BankQuestions,
+  BankAnswers,
+  ExamQuestions,
+  ExamAnswers,
+  ExamQuestionDraws,
+  QuizQuestions,
+  QuizAnswers,
+  TeacherInstitutions
+} = models;
+
+const CHOICE_TYPES = ['multiple_choice', 'true_false'];
+
+/**
+ * Tags are matched case-insensitively, so they are stored trimmed and lower-case
+ * @param {Array<string>} tags - The tags
+ * @returns {Array<string>} - The normalised, de-duplicated tags
+ */
+const normalizeTags = (tags = []) => [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+/**
+ * Check a question's answers make sense for its type: choice questions need exactly one correct
+ * option (true/false exactly two options), text questions at least one accepted response
+ * @param {string} questionType - The question type
+ * @param {Array} answers - The answers
+ */
+const assertAnswers = (questionType, answers) => {
+  const correct = answers.filter(answer => answer.isCorrect).length;
+
+  if (CHOICE_TYPES.includes(questionType)) {
+    if (questionType === 'true_false' && answers.length !== 2) {
+      throw new AppError('A true_false question needs exactly two answers', 400);
+    }
+    if (answers.length < 2) {
+      throw new AppError('A multiple_choice question needs at least two answers', 400);
+    }
+    if (correct !== 1) {
+      throw new AppError('Exactly one answer must be marked correct', 400);
+    }
+  } else if (correct === 0) {
+    throw new AppError('Mark at least one accepted answer as correct', 400);
+  }
+};
+
+/**
+ * Where clause for the bank questions a draw rule selects from
+ * @param {Object} rule - questionBankId, and optional tag and difficulty
+ * @returns {Object} - The where clause
+ */
+const candidateWhere = ({ questionBankId, tag, difficulty }) => {
+  const where = { questionBankId };
+
+  if (tag) {
+    where.tags = { [Op.contains]: [tag.trim().toLowerCase()] };
+  }
+  if (difficulty) {
+    where.difficulty = difficulty;
+  }
+
+  return where;
+};
+
+const bankQuestionInclude = [{ model: BankAnswers, as: 'answers' }];
+const bankQuestionOrder = [['bankQuestionId', 'ASC'], [{ model: BankAnswers, as: 'answers' }, 'orderNumber', 'ASC']];
+
+/**
+ * Reusable, tagged question banks owned by a teacher and optionally shared with the other
+ * teachers of the institution. Exams draw per-student papers from them and quizzes copy
+ * questions out of them.
+ */
+const questionBankService = {
+  /**
+   * Create a question bank
+   * @param {Object} bankData - The bank data (institutionId and the owning teacherId)
+   * @returns {Promise<Object>} - The created bank
+   */
+  async createBank(bankData) {
+    const link = await TeacherInstitutions.findOne({
+      where: { teacherId: bankData.teacherId, institutionId: bankData.institutionId }
+    });
+
+    if (!link) {
+      throw new AppError(`Teacher ${bankData.teacherId} does not teach at this institution`, 400);
+    }
+
+    return QuestionBanks.create({
+      institutionId: bankData.institutionId,
+      teacherId: bankData.teacherId,
+      title: bankData.title,
+      description: bankData.description,
+      isShared: bankData.isShared || false
+    });
+  },
+
+  /**
+   * List question banks: for a teacher their own banks and the banks shared at their institutions
+   * @param {Object} filters - teacherId (a teacher's view), institutionId, search
+   * @returns {Promise<Array>} - The banks with their question counts
+   */
+  async getBanks({ teacherId, institutionId, search } = {}) {
+    const where = {};
+
+    if (teacherId) {
+      const links = await TeacherInstitutions.findAll({ where: { teacherId }, attributes: ['institutionId'] });
+      where[Op.or] = [
+        { teacherId },
+        { isShared: true, institutionId: links.map(link => link.institutionId) }
+      ];
+    }
+    if (institutionId) {
+      where.institutionId = institutionId;
+    }
+    if (search) {
+      where.title = { [Op.iLike]: `%${search}%` };
+    }
+
+    const banks = await QuestionBanks.findAll({ where, order: [['title', 'ASC']] });
+
+    const counts = banks.length > 0
+      ? await BankQuestions.count({
+        where: { questionBankId: banks.map(bank => bank.questionBankId) },
+        group: ['questionBankId']
+      })
+      : [];
+    const countOf = new Map(counts.map(row => [Number(row.questionBankId), Number(row.count)]));
+
+    return banks.map(bank => ({
+      ...bank.get({ plain: true }),
+      questionCount: countOf.get(Number(bank.questionBankId)) || 0
+    }));
+  },
+
+  /**
+   * Get a question bank with its questions
+   * @param {number} questionBankId - The bank ID
+   * @returns {Promise<Object>} - The bank
+   */
+  async getBankById(questionBankId) {
+    const bank = await QuestionBanks.findByPk(questionBankId, {
+      include: [{ model: BankQuestions, as: 'questions', include: bankQuestionInclude }],
+      order: [[{ model: BankQuestions, as: 'questions' }, 'bankQuestionId', 'ASC'], [{ model: BankQuestions, as: 'questions' }, { model: BankAnswers, as: 'answers' }, 'orderNumber', 'ASC']]
+    });
+
+    if (!bank) {
+      throw new AppError('Question bank not found', 404);
+    }
+
+    return bank;
+  },
+
+  /**
+   * Update a question bank
+   * @param {number} questionBankId - The bank ID
+   * @param {Object} updateData - title, description, isShared
+   * @returns {Promise<Object>} - The updated bank
+   */
+  async updateBank(questionBankId, updateData) {
+    const bank = await QuestionBanks.findByPk(questionBankId);
+
+    if (!bank) {
+      throw new AppError('Question bank not found', 404);
+    }
+
+    const { title, description, isShared } = updateData;
+    return bank.update({ title, description, isShared });
+  },
+
+  /**
+   * Delete a question bank with its questions; banks exams still draw from cannot be deleted
+   * Questions already copied into exams and quizzes are not affected.
+   * @param {number} questionBankId - The bank ID
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async deleteBank(questionBankId) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const bank = await QuestionBanks.findByPk(questionBankId, { transaction });
+
+      if (!bank) {
+        throw new AppError('Question bank not found', 404);
+      }
+
+      const draws = await ExamQuestionDraws.count({ where: { questionBankId }, transaction });
+      if (draws > 0) {
+        throw new AppError('This bank is used by exam question draws; remove them first', 409);
+      }
+
+      const questions = await BankQuestions.findAll({ where: { questionBankId }, attributes: ['bankQuestionId'], transaction });
+      const questionIds = questions.map(question => question.bankQuestionId);
+
+      if (questionIds.length > 0) {
+        await BankAnswers.destroy({ where: { bankQuestionId: questionIds }, transaction });
+        await BankQuestions.destroy({ where: { questionBankId }, transaction });
+      }
+      await bank.destroy({ transaction });
+
+      await transaction.commit();
+      return true;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  /**
+   * List a bank's questions, optionally by tag and difficulty
+   * @param {number} questionBankId - The bank ID
+   * @param {Object} filters - tag, difficulty
+   * @returns {Promise<Array>} - The questions with their answers
+   */
+  async getQuestions(questionBankId, { tag, difficulty } = {}) {
+    return BankQuestions.findAll({
+      where: candidateWhere({ questionBankId, tag, difficulty }),
+      include: bankQuestionInclude,
+      order: bankQuestionOrder
+    });
+  },
+
+  /**
+   * Add a question (with its answers) to a bank
+   * @param {number} questionBankId - The bank ID
+   * @param {Object} questionData - The question data
+   * @returns {Promise<Object>} - The created question
+   */
+  async addQuestion(questionBankId, questionData) {
+    assertAnswers(questionData.questionType, questionData.answers);
+
+    const transaction = await sequelize.transaction();
+    let bankQuestionId;
+
+    try {
+      const bank = await QuestionBanks.findByPk(questionBankId, { transaction });
+
+      if (!bank) {
+        throw new AppError('Question bank not found', 404);
+      }
+
+      const { answers, ...data } = questionData;
+      const question = await BankQuestions.create({
+        ...data,
+        questionBankId,
+        tags: normalizeTags(data.tags)
+      }, { transaction });
+      bankQuestionId = question.bankQuestionId;
+
+      await BankAnswers.bulkCreate(answers.map((answer, index) => ({
+        bankQuestionId: question.bankQuestionId,
+        answerText: answer.answerText,
+        isCorrect: !!answer.isCorrect,
+        orderNumber: index
+      })), { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return BankQuestions.findByPk(bankQuestionId, {
+      include: bankQuestionInclude,
+      order: [[{ model: BankAnswers, as: 'answers' }, 'orderNumber', 'ASC']]
+    });
+  },
+
+  /**
+   * Update a bank question; answers, when given, replace the existing ones
+   * Copies already made into exams and quizzes keep their original wording.
+   * @param {number} bankQuestionId - The question ID
+   * @param {Object} updateData - The data to update
+   * @returns {Promise<Object>} - The updated question
+   */
+  async updateQuestion(bankQuestionId, updateData) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const question = await BankQuestions.findByPk(bankQuestionId, { include: bankQuestionInclude, transaction });
+
+      if (!question) {
+        throw new AppError('Question not found', 404);
+      }
+
+      const { answers, ...data } = updateData;
+      const questionType = data.questionType || question.questionType;
+      assertAnswers(questionType, answers || question.answers);
+
+      if (data.tags) {
+        data.tags = normalizeTags(data.tags);
+      }
+      await question.update(data, { transaction });
+
+      if (answers) {
+        await BankAnswers.destroy({ where: { bankQuestionId }, force: true, transaction });
+        await BankAnswers.bulkCreate(answers.map((answer, index) => ({
+          bankQuestionId,
+          answerText: answer.answerText,
+          isCorrect: !!answer.isCorrect,
+          orderNumber: index
+        })), { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return BankQuestions.findByPk(bankQuestionId, {
+      include: bankQuestionInclude,
+      order: [[{ model: BankAnswers, as: 'answers' }, 'orderNumber', 'ASC']]
+    });
+  },
+
+  /**
+   * Delete a bank question (copies in exams and quizzes stay)
+   * @param {number} bankQuestionId - The question ID
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async deleteQuestion(bankQuestionId) {
+    const question = await BankQuestions.findByPk(bankQuestionId);
+
+    if (!question) {
+      throw new AppError('Question not found', 404);
+    }
+
+    await BankAnswers.destroy({ where: { bankQuestionId } });
+    await question.destroy();
+    return true;
+  },
+
+  /**
+   * Find a bank a teacher may take questions from: their own, or one shared at an
+   * institution they teach at
+   * @param {number} questionBankId - The bank ID
+   * @param {number} teacherId - The teacher who will use the questions
+   * @param {Object} transaction - The open transaction, if any
+   * @returns {Promise<Object>} - The bank
+   */
+  async findUsableBank(questionBankId, teacherId, transaction) {
+    const bank = await QuestionBanks.findByPk(questionBankId, { transaction });
+
+    if (!bank) {
+      throw new AppError('Question bank not found', 404);
+    }
+
+    if (Number(bank.teacherId) !== Number(teacherId)) {
+      const colleague = bank.isShared && await TeacherInstitutions.findOne({
+        where: { teacherId, institutionId: bank.institutionId },
+        transaction
+      });
+
+      if (!colleague) {
+        throw new AppError('This question bank is not shared with you', 403);
+      }
+    }
+
+    return bank;
+  },
+
+  /**
+   * Load the questions a draw rule selects from, in a stable order
+   * @param {Object} rule - questionBankId, and optional tag and difficulty
+   * @param {Object} transaction - The open transaction, if any
+   * @returns {Promise<Array>} - The candidate questions with their answers
+   */
+  async findCandidates(rule, transaction) {
+    return BankQuestions.findAll({
+      where: candidateWhere(rule),
+      include: bankQuestionInclude,
+      order: bankQuestionOrder,
+      transaction
+    });
+  },
+
+  /**
+   * Pick a student's questions for each draw rule
+   * The same seed and bank contents always give the same picks, and a question is never
+   * picked twice for one student even when the rules overlap.
+   * @param {Array} draws - The draw rules, each with its candidates
+   * @param {Function} random - A generator from seededRandom.create()
+   * @returns {Array} - { bankQuestion, draw } per picked question
+   */
+  drawForStudent(draws, random) {
+    const picked = new Set();
+    const paper = [];
+
+    draws.forEach(({ draw, candidates }) => {
+      const available = candidates.filter(question => !picked.has(question.bankQuestionId));
+
+      if (available.length < draw.count) {
+        throw new AppError(
+          `Not enough questions in the bank for draw ${draw.drawId}: ${draw.count} needed, ${available.length} left`,
+          400
+        );
+      }
+
+      seededRandom.shuffle(available, random).slice(0, draw.count).forEach((bankQuestion) => {
+        picked.add(bankQuestion.bankQuestionId);
+        paper.push({ bankQuestion, draw });
+      });
+    });
+
+    return paper;
+  },
+
+  /**
+   * Get (or make) an exam's copy of a bank question; each bank question is copied once per exam
+   * True/false becomes a two-answer multiple choice question, and text questions are graded
+   * against their first accepted answer.
+   * @param {Object} bankQuestion - The bank question with its answers
+   * @param {number} examId - The exam ID
+   * @param {Object} transaction - The open transaction
+   * @returns {Promise<Object>} - The exam question with its answers (examAnswers)
+   */
+  async copyToExam(bankQuestion, examId, transaction) {
+    const existing = await ExamQuestions.findOne({
+      where: { examId, bankQuestionId: bankQuestion.bankQuestionId },
+      include: [{ model: ExamAnswers, as: 'examAnswers' }],
+      transaction
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const isChoice = CHOICE_TYPES.includes(bankQuestion.questionType);
+    const accepted = bankQuestion.answers.find(answer => answer.isCorrect);
+
+    const question = await ExamQuestions.create({
+      examId,
+      bankQuestionId: bankQuestion.bankQuestionId,
+      questionText: bankQuestion.questionText,
+      questionType: isChoice ? 'multiple_choice' : bankQuestion.questionType,
+      points: bankQuestion.points,
+      correctAnswer: isChoice ? null : accepted.answerText,
+      caseSensitive: bankQuestion.caseSensitive,
+      allowPartialMatch: bankQuestion.allowPartialMatch
+    }, { transaction });
+
+    question.examAnswers = isChoice
+      ? await ExamAnswers.bulkCreate(bankQuestion.answers.map(answer => ({
+        questionId: question.questionId,
+        answerText: answer.answerText,
+        isCorrect: answer.isCorrect,
+        orderNumber: answer.orderNumber
+      })), { transaction, returning: true })
+      : [];
+
+    return question;
+  },
+
+  /**
+   * Copy a bank question into a quiz (fill-in-the-blank becomes short answer)
+   * @param {Object} bankQuestion - The bank question with its answers
+   * @param {number} quizId - The quiz ID
+   * @param {number} orderNumber - Position in the quiz
+   * @param {Object} transaction - The open transaction
+   * @returns {Promise<Object>} - The quiz question
+   */
+  async copyToQuiz(bankQuestion, quizId, orderNumber, transaction) {
+    const question = await QuizQuestions.create({
+      quizId,
+      bankQuestionId: bankQuestion.bankQuestionId,
+      questionText: bankQuestion.questionText,
+      questionType: bankQuestion.questionType === 'fill_in_blank' ? 'short_answer' : bankQuestion.questionType,
+      points: bankQuestion.points,
+      orderNumber
+    }, { transaction });
+
+    await QuizAnswers.bulkCreate(bankQuestion.answers.map(answer => ({
+      questionId: question.questionId,
+      answerText: answer.answerText,
+      isCorrect: answer.isCorrect,
+      orderNumber: answer.orderNumber
+    })), { transaction });
+
+    return question;
+  }
+};
+
+module.exports = questionBankService;
@@ -0,0 +1,184 @@
+const AppError = require('../utils/errors/AppError');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+const gift = require('../utils/gift');
+const aiken = require('../utils/aiken');
+const questionScoring = require('../utils/questionScoring');
+const examService = require('./examService');
+const quizService = require('./quizService');
+
+const models = initModels(sequelize);
+const { Exams, Quizzes } = models;
+
+const PARSERS = { gift, aiken };
+
+const MAX_QUESTIONS = 500;
+
+/**
+ * Fit a parsed question to an exam or a quiz
+ * Exams have no true/false type and keep one accepted answer for a blank; quizzes have no essays.
+ * @param {Object} parsed - A question from the GIFT or Aiken parser
+ * @param {string} target - 'exam' or 'quiz'
+ * @param {number} defaultPoints - Points for questions that do not set their own
+ * @param {Function} warn - Records a warning for the question
+ * @returns {Object} - The question data, or { error }
+ */
+const toQuestion = (parsed, target, defaultPoints, warn) => {
+  const { line, title, points, answers = [], ...fields } = parsed;
+  const question = {
+    ...fields,
+    points: points || defaultPoints,
+    answers: answers.map(({ feedback, ...answer }) => (feedback ? { ...answer, feedback } : answer))
+  };
+
+  if (target === 'quiz' && question.questionType === 'essay') {
+    return { error: 'Essay questions can only be imported into exams' };
+  }
+
+  if (target === 'exam' && question.questionType === 'true_false') {
+    question.questionType = 'multiple_choice';
+  }
+
+  if (target === 'exam' && question.questionType === 'short_answer') {
+    if (question.answers.length > 1) {
+      warn('Only the first accepted answer was kept');
+    }
+    if (question.answers.some(answer => answer.feedback)) {
+      warn('Feedback on fill-in-the-blank answers is not imported');
+    }
+    question.questionType = 'fill_in_blank';
+    question.correctAnswer = question.answers[0].answerText;
+    question.caseSensitive = false;
+    question.answers = [];
+  }
+
+  if (question.questionType === 'matching' && question.answerConfig.pairs.length < 2) {
+    return { error: 'A matching question needs at least two pairs' };
+  }
+
+  try {
+    questionScoring.assertDefinition(question.questionType, question.answers, question.answerConfig);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  return question;
+};
+
+const questionImportService = {
+  FORMATS: Object.keys(PARSERS),
+
+  /**
+   * Parse GIFT or Aiken text into questions for an exam or a quiz
+   * @param {string} format - 'gift' or 'aiken'
+   * @param {string} text - The question text
+   * @param {string} target - 'exam' or 'quiz'
+   * @param {Object} options - points for questions that do not set their own (default 1)
+   * @returns {Object} - { questions, errors, warnings }; each question and message has its line number
+   */
+  parse(format, text, target, { points = 1 } = {}) {
+    const parser = PARSERS[format];
+    if (!parser) {
+      throw new AppError(`Unknown question format: ${format}`, 400);
+    }
+
+    const parsed = parser.parse(text);
+    if (parsed.questions.length > MAX_QUESTIONS) {
+      throw new AppError(`At most ${MAX_QUESTIONS} questions can be imported at once`, 400);
+    }
+
+    const errors = [...parsed.errors];
+    const warnings = [...parsed.warnings];
+    const questions = [];
+
+    parsed.questions.forEach((question) => {
+      const warn = message => warnings.push({ line: question.line, message });
+      const result = toQuestion(question, target, points, warn);
+
+      if (result.error) {
+        errors.push({ line: question.line, message: result.error });
+      } else {
+        questions.push({ line: question.line, title: question.title || null, ...result });
+      }
+    });
+
+    if (questions.length === 0 && errors.length === 0) {
+      throw new AppError('The text has no questions to import', 400);
+    }
+
+    const byLine = (a, b) => a.line - b.line;
+    return { questions, errors: errors.sort(byLine), warnings: warnings.sort(byLine) };
+  },
+
+  /**
+   * Summarise a parse for the preview / import response
+   * @param {string} format - The question format
+   * @param {Object} parsed - The result of parse()
+   * @param {Object} flags - dryRun, imported and the created questionIds
+   * @returns {Object} - The report
+   */
+  buildReport(format, { questions, errors, warnings }, { dryRun, imported, questionIds = [] }) {
+    return {
+      dryRun,
+      imported,
+      format,
+      summary: {
+        questions: questions.length,
+        errors: errors.length,
+        warnings: warnings.length
+      },
+      questions,
+      questionIds,
+      errors,
+      warnings
+    };
+  },
+
+  /**
+   * Preview or import GIFT/Aiken questions into an exam, after its existing questions
+   * Nothing is added unless every question can be read.
+   * @param {number} examId - The exam ID
+   * @param {string} text - The question text
+   * @param {Object} options - format, dryRun to only preview, and the default points
+   * @returns {Promise<Object>} - The report (see buildReport)
+   */
+  async importIntoExam(examId, text, { format, dryRun = false, points } = {}) {
+    const exam = await Exams.findByPk(examId, { attributes: ['examId'] });
+    if (!exam) {
+      throw new AppError('Exam not found', 404);
+    }
+
+    const parsed = this.parse(format, text, 'exam', { points });
+    if (dryRun || parsed.errors.length > 0) {
+      return this.buildReport(format, parsed, { dryRun, imported: false });
+    }
+
+    const created = await examService.addQuestionsToExam(exam.examId, parsed.questions.map(({ line, title, ...question }) => question));
+    return this.buildReport(format, parsed, { dryRun, imported: true, questionIds: created.map(question => question.questionId) });
+  },
+
+  /**
+   * Preview or import GIFT/Aiken questions into a quiz, after its existing questions
+   * Nothing is added unless every question can be read.
+   * @param {number} quizId - The quiz ID
+   * @param {string} text - The question text
+   * @param {Object} options - format, dryRun to only preview, and the default points
+   * @returns {Promise<Object>} - The report (see buildReport)
+   */
+  async importIntoQuiz(quizId, text, { format, dryRun = false, points } = {}) {
+    const quiz = await Quizzes.findByPk(quizId, { attributes: ['quizId'] });
+    if (!quiz) {
+      throw new AppError('Quiz not found', 404);
+    }
+
+    const parsed = this.parse(format, text, 'quiz', { points });
+    if (dryRun || parsed.errors.length > 0) {
+      return this.buildReport(format, parsed, { dryRun, imported: false });
+    }
+
+    const created = await quizService.addQuestionsToQuiz(quiz.quizId, parsed.questions.map(({ line, title, ...question }) => question));
+    return this.buildReport(format, parsed, { dryRun, imported: true, questionIds: created.map(question => question.questionId) });
+  }
+};
+
+module.exports = questionImportService;
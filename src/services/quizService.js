@@ -3,6 +3,9 @@ const AppError = require('../utils/errors/AppError');
 const { sequelize } = require('../config/db.js');
 const initModels = require('../models/init-models');
 const modelAssociationUtil = require('../utils/modelAssociationUtil');
+const questionScoring = require('../utils/questionScoring');
+const questionBankService = require('./questionBankService');
+const accommodationService = require('./accommodationService');
 
 const models = initModels(sequelize);
 const { 
@@ -15,7 +18,10 @@ const {
   Lessons,
   Teachers,
   Students,
-  Users
+  Users,
+  Enrollments,
+  BankQuestions,
+  BankAnswers
 } = models;
 
 // Verify required associations
@@ -26,6 +32,229 @@ if (!quizVerification.valid) {
   console.error(`Missing required associations for Quizzes: ${quizVerification.missing.join(', ')}`);
 }
 
+/**
+ * Normalise a short answer for comparison (case, surrounding and repeated whitespace are ignored)
+ * @param {string} text - The answer text
+ * @returns {string} - The normalised text
+ */
+const normalizeAnswer = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Auto-grade a response: short answers against the question's correct answers, every other
+ * type with its shared scoring strategy
+ * @param {Object} question - The question with its answers
+ * @param {Object} response - chosenAnswerId, shortAnswerText or answerData
+ * @returns {Object} - { isCorrect, scoreAwarded }
+ */
+const gradeResponse = (question, { chosenAnswerId, shortAnswerText, answerData }) => {
+  if (question.questionType === 'short_answer') {
+    const isCorrect = shortAnswerText !== null && shortAnswerText !== undefined && question.answers.some(
+      answer => answer.isCorrect && normalizeAnswer(answer.answerText) === normalizeAnswer(shortAnswerText)
+    );
+    return { isCorrect, scoreAwarded: isCorrect ? Number(question.points ?? 1) : 0 };
+  }
+
+  const { isCorrect, scoreAwarded } = questionScoring.score(
+    question,
+    { answerId: chosenAnswerId, ...answerData },
+    question.points ?? 1
+  );
+  return { isCorrect, scoreAwarded };
+};
+
+/**
+ * A question as students see it: no correct flags, answers only for choice questions (a
+ * short-answer question's answers are the accepted responses), and only the parts of a
+ * numeric, matching or ordering question's settings that do not give the answer away
+ * @param {Object} question - The question with its answers
+ * @param {boolean} withSolutions - Add the correct answers and answer feedback (for reviewing a submitted attempt)
+ * @returns {Object} - The question
+ */
+const toStudentQuestion = (question, withSolutions = false) => {
+  const view = {
+    questionId: question.questionId,
+    questionText: question.questionText,
+    questionType: question.questionType,
+    orderNumber: question.orderNumber,
+    points: question.points,
+    answers: questionScoring.CHOICE_TYPES.includes(question.questionType)
+      ? question.answers.map(answer => ({
+        answerId: answer.answerId,
+        answerText: answer.answerText,
+        orderNumber: answer.orderNumber,
+        ...(withSolutions && answer.feedback ? { feedback: answer.feedback } : {})
+      }))
+      : [],
+    config: questionScoring.studentConfig(question)
+  };
+
+  if (withSolutions) {
+    view.correctAnswers = question.answers
+      .filter(answer => answer.isCorrect)
+      .map(answer => ({ answerId: answer.answerId, answerText: answer.answerText }));
+
+    if (questionScoring.CONFIG_TYPES.includes(question.questionType)) {
+      view.solution = question.answerConfig;
+    }
+  }
+
+  return view;
+};
+
+/**
+ * Whether an attempt's time has run out
+ * @param {Object} attempt - The attempt
+ * @returns {boolean} - True once expiresAt has passed
+ */
+const isExpired = (attempt) => !!attempt.expiresAt && new Date() >= new Date(attempt.expiresAt);
+
+/**
+ * Seconds left on a timed attempt
+ * @param {Object} attempt - The attempt
+ * @returns {number|null} - Seconds left, or null for untimed attempts and when the student's accommodations hide the timer
+ */
+const remainingSeconds = (attempt) => (attempt.expiresAt && !(attempt.accommodations && attempt.accommodations.hideTimer)
+  ? Math.max(0, Math.floor((new Date(attempt.expiresAt) - Date.now()) / 1000))
+  : null);
+
+/**
+ * Load a quiz's questions with their answers, in order
+ * @param {number} quizId - The quiz ID
+ * @param {Object} transaction - The open transaction, if any
+ * @returns {Promise<Array>} - The questions
+ */
+const findQuizQuestions = (quizId, transaction) => QuizQuestions.findAll({
+  where: { quizId },
+  include: [{ model: QuizAnswers, as: 'answers' }],
+  order: [['orderNumber', 'ASC'], [{ model: QuizAnswers, as: 'answers' }, 'orderNumber', 'ASC']],
+  transaction
+});
+
+/**
+ * Create a quiz question with its answers
+ * @param {number} quizId - The quiz ID
+ * @param {Object} questionData - questionText, questionType, points, answerConfig and answers
+ * @param {number} orderNumber - The question's position in the quiz
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Object>} - The created question
+ */
+const createQuizQuestion = async (quizId, questionData, orderNumber, transaction) => {
+  questionScoring.assertDefinition(questionData.questionType, questionData.answers, questionData.answerConfig);
+
+  const question = await QuizQuestions.create({
+    quizId,
+    questionText: questionData.questionText,
+    questionType: questionData.questionType,
+    orderNumber,
+    points: questionData.points || 1,
+    answerConfig: questionData.answerConfig || null
+  }, { transaction });
+
+  if (questionData.answers && Array.isArray(questionData.answers)) {
+    for (const [index, answerData] of questionData.answers.entries()) {
+      await QuizAnswers.create({
+        questionId: question.questionId,
+        answerText: answerData.answerText,
+        isCorrect: answerData.isCorrect || false,
+        orderNumber: index + 1,
+        feedback: answerData.feedback
+      }, { transaction });
+    }
+  }
+
+  return question;
+};
+
+/**
+ * Check that a student has an active enrollment in the quiz's course
+ * @param {number} courseId - The course ID
+ * @param {number} studentId - The student ID
+ * @param {Object} transaction - The open transaction, if any
+ */
+const assertEnrolled = async (courseId, studentId, transaction) => {
+  const enrollment = await Enrollments.findOne({ where: { courseId, studentId, status: 'active' }, transaction });
+
+  if (!enrollment) {
+    throw new AppError('You must be enrolled in this course to take its quizzes', 403);
+  }
+};
+
+/**
+ * Check that a quiz is open for attempts right now
+ * @param {Object} quiz - The quiz
+ */
+const assertOpen = (quiz) => {
+  const now = new Date();
+
+  if (quiz.availableFrom && now < new Date(quiz.availableFrom)) {
+    throw new AppError('This quiz is not open yet', 400);
+  }
+  if (quiz.availableTo && now > new Date(quiz.availableTo)) {
+    throw new AppError('This quiz has closed', 400);
+  }
+};
+
+/**
+ * A quiz's details as a student sees them, without its questions
+ * @param {Object} quiz - The quiz
+ * @param {number} questionCount - How many questions it has
+ * @param {Array} attempts - The student's attempts at it
+ * @param {Object} plan - The student's accommodations for it (accommodationService.forQuizAttempt)
+ * @returns {Object} - The quiz with the student's attempt counts
+ */
+const toStudentQuiz = (quiz, questionCount, attempts, plan) => {
+  let isOpen = true;
+  try {
+    assertOpen(quiz);
+  } catch (err) {
+    isOpen = false;
+  }
+
+  const inProgress = attempts.find(attempt => attempt.status === 'in_progress');
+
+  return {
+    quizId: quiz.quizId,
+    courseId: quiz.courseId,
+    lessonId: quiz.lessonId,
+    title: quiz.title,
+    description: quiz.description,
+    instructions: quiz.instructions,
+    timeLimitMinutes: plan.timeLimitMinutes,
+    passingScore: quiz.passingScore,
+    maxAttempts: plan.maxAttempts,
+    availableFrom: quiz.availableFrom,
+    availableTo: quiz.availableTo,
+    isOpen,
+    questionCount,
+    attemptsUsed: attempts.length,
+    attemptsRemaining: plan.maxAttempts ? Math.max(0, plan.maxAttempts - attempts.length) : null,
+    inProgressAttemptId: inProgress ? inProgress.attemptId : null,
+    accommodations: plan.accommodations ? plan.accommodations.applied : []
+  };
+};
+
+/**
+ * Score an attempt from its saved responses and close it
+ * @param {Object} attempt - The in-progress attempt
+ * @param {Object} quiz - The quiz
+ * @param {Array} questions - The quiz's questions
+ * @param {string} status - 'completed', or 'timed_out' when the time ran out
+ * @param {Object} transaction - The open transaction
+ * @returns {Promise<Object>} - The closed attempt
+ */
+const closeAttempt = async (attempt, quiz, questions, status, transaction) => {
+  const responses = await StudentQuizResponses.findAll({ where: { attemptId: attempt.attemptId }, transaction });
+
+  const maxScore = questions.reduce((total, question) => total + Number(question.points ?? 1), 0);
+  const score = responses.reduce((total, response) => total + Number(response.scoreAwarded || 0), 0);
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 10000) / 100 : 0;
+  const passed = quiz.passingScore === null || quiz.passingScore === undefined
+    ? null
+    : percentage >= Number(quiz.passingScore);
+
+  return attempt.update({ status, completedAt: new Date(), score, maxScore, percentage, passed }, { transaction });
+};
+
 const quizService = {
   /**
    * Create a new quiz
@@ -56,26 +285,7 @@ const quizService = {
       // If questions are provided, create them
       if (quizData.questions && Array.isArray(quizData.questions)) {
         for (const [index, questionData] of quizData.questions.entries()) {
-          const question = await QuizQuestions.create({
-            quizId: quiz.quizId,
-            questionText: questionData.questionText,
-            questionType: questionData.questionType,
-            orderNumber: index + 1,
-            points: questionData.points || 1
-          }, { transaction });
-          
-          // If answers are provided for the question, create them
-          if (questionData.answers && Array.isArray(questionData.answers)) {
-            for (const [ansIndex, answerData] of questionData.answers.entries()) {
-              await QuizAnswers.create({
-                questionId: question.questionId,
-                answerText: answerData.answerText,
-                isCorrect: answerData.isCorrect || false,
-                orderNumber: ansIndex + 1,
-                feedback: answerData.feedback
-              }, { transaction });
-            }
-          }
+          await createQuizQuestion(quiz.quizId, questionData, index + 1, transaction);
         }
       }
       
@@ -85,6 +295,9 @@ const quizService = {
       return this.getQuizById(quiz.quizId);
     } catch (error) {
       await transaction.rollback();
+      if (error instanceof AppError) {
+        throw error;
+      }
       throw new AppError(`Error creating quiz: ${error.message}`, 500);
     }
   },
@@ -113,7 +326,7 @@ const quizService = {
             include: includeAnswers ? [
               {
                 model: QuizAnswers,
-                as: 'quizAnswers'
+                as: 'answers'
               }
             ] : []
           }
@@ -283,28 +496,8 @@ const quizService = {
       });
       
       const orderNumber = maxOrderQuestion ? maxOrderQuestion.orderNumber + 1 : 1;
-      
-      // Create the question
-      const question = await QuizQuestions.create({
-        quizId,
-        questionText: questionData.questionText,
-        questionType: questionData.questionType,
-        orderNumber,
-        points: questionData.points || 1
-      }, { transaction });
-      
-      // If answers are provided, create them
-      if (questionData.answers && Array.isArray(questionData.answers)) {
-        for (const [index, answerData] of questionData.answers.entries()) {
-          await QuizAnswers.create({
-            questionId: question.questionId,
-            answerText: answerData.answerText,
-            isCorrect: answerData.isCorrect || false,
-            orderNumber: index + 1,
-            feedback: answerData.feedback
-          }, { transaction });
-        }
-      }
+
+      const question = await createQuizQuestion(quizId, questionData, orderNumber, transaction);
       
       await transaction.commit();
       
@@ -319,6 +512,101 @@ const quizService = {
     }
   },
   
+  /**
+   * Add several questions to a quiz, after its existing questions; all or none are added
+   * @param {number} quizId - The quiz ID
+   * @param {Array} questions - The questions with their answers, in order
+   * @returns {Promise<Array>} - The created questions
+   */
+  async addQuestionsToQuiz(quizId, questions) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const quiz = await Quizzes.findByPk(quizId, { transaction });
+
+      if (!quiz) {
+        throw new AppError('Quiz not found', 404);
+      }
+
+      const maxOrderQuestion = await QuizQuestions.findOne({
+        where: { quizId },
+        order: [['orderNumber', 'DESC']],
+        transaction
+      });
+      let orderNumber = maxOrderQuestion ? maxOrderQuestion.orderNumber : 0;
+
+      const created = [];
+      for (const questionData of questions) {
+        orderNumber += 1;
+        created.push(await createQuizQuestion(quizId, questionData, orderNumber, transaction));
+      }
+
+      await transaction.commit();
+      return created;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  /**
+   * Copy questions from question banks into a quiz, after its existing questions
+   * The quiz's course teacher must own each bank or have it shared with them.
+   * @param {number} quizId - The quiz ID
+   * @param {Array<number>} bankQuestionIds - The bank questions, in the order to add them
+   * @returns {Promise<Array>} - The created quiz questions
+   */
+  async addBankQuestionsToQuiz(quizId, bankQuestionIds) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const quiz = await Quizzes.findByPk(quizId, {
+        include: [{ model: Courses, as: 'course', attributes: ['courseId', 'teacherId'] }],
+        transaction
+      });
+
+      if (!quiz) {
+        throw new AppError('Quiz not found', 404);
+      }
+
+      const bankQuestions = await BankQuestions.findAll({
+        where: { bankQuestionId: bankQuestionIds },
+        include: [{ model: BankAnswers, as: 'answers' }],
+        order: [[{ model: BankAnswers, as: 'answers' }, 'orderNumber', 'ASC']],
+        transaction
+      });
+
+      const found = new Map(bankQuestions.map(question => [question.bankQuestionId, question]));
+      const missing = bankQuestionIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        throw new AppError(`Bank questions not found: ${missing.join(', ')}`, 404);
+      }
+
+      for (const questionBankId of new Set(bankQuestions.map(question => question.questionBankId))) {
+        await questionBankService.findUsableBank(questionBankId, quiz.course.teacherId, transaction);
+      }
+
+      const maxOrderQuestion = await QuizQuestions.findOne({
+        where: { quizId },
+        order: [['orderNumber', 'DESC']],
+        transaction
+      });
+      let orderNumber = maxOrderQuestion ? maxOrderQuestion.orderNumber : 0;
+
+      const questions = [];
+      for (const id of bankQuestionIds) {
+        orderNumber += 1;
+        questions.push(await questionBankService.copyToQuiz(found.get(id), quizId, orderNumber, transaction));
+      }
+
+      await transaction.commit();
+      return questions;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
   /**
    * Get a question by ID
    * @param {number} questionId - The question ID
@@ -330,7 +618,7 @@ const quizService = {
         include: [
           {
             model: QuizAnswers,
-            as: 'quizAnswers',
+            as: 'answers',
             order: [['orderNumber', 'ASC']]
           }
         ]
@@ -359,18 +647,27 @@ const quizService = {
     const transaction = await sequelize.transaction();
     
     try {
-      const question = await QuizQuestions.findByPk(questionId, { transaction });
+      const question = await QuizQuestions.findByPk(questionId, {
+        include: [{ model: QuizAnswers, as: 'answers' }],
+        transaction
+      });
       
       if (!question) {
         await transaction.rollback();
         throw new AppError('Question not found', 404);
       }
+
+      // The question must still be scorable once the changes are applied
+      const questionType = updateData.questionType !== undefined ? updateData.questionType : question.questionType;
+      const answerConfig = updateData.answerConfig !== undefined ? updateData.answerConfig : question.answerConfig;
+      questionScoring.assertDefinition(questionType, updateData.answers || question.answers, answerConfig);
       
       // Update the question
       await question.update({
         questionText: updateData.questionText !== undefined ? updateData.questionText : question.questionText,
-        questionType: updateData.questionType !== undefined ? updateData.questionType : question.questionType,
-        points: updateData.points !== undefined ? updateData.points : question.points
+        questionType,
+        points: updateData.points !== undefined ? updateData.points : question.points,
+        answerConfig: questionScoring.CONFIG_TYPES.includes(questionType) ? answerConfig : null
       }, { transaction });
       
       // If answers are provided, update them
@@ -464,6 +761,375 @@ const quizService = {
       }
       throw new AppError(`Error deleting question: ${error.message}`, 500);
     }
+  },
+
+  /**
+   * Get a quiz's details as a student sees them, without its questions
+   * The questions come with the attempt once it is started, so a timed quiz cannot be read before
+   * its clock runs. The time limit and attempts are the student's own once their accommodations are applied.
+   * @param {number} quizId - The quiz ID
+   * @param {number} studentId - The student ID
+   * @returns {Promise<Object>} - The quiz with the student's attempt counts
+   */
+  async getQuizForStudent(quizId, studentId) {
+    const quiz = await Quizzes.findByPk(quizId);
+
+    if (!quiz || !quiz.isPublished) {
+      throw new AppError('Quiz not found', 404);
+    }
+
+    await assertEnrolled(quiz.courseId, studentId);
+
+    const [questionCount, attempts, profiles] = await Promise.all([
+      QuizQuestions.count({ where: { quizId } }),
+      StudentQuizAttempts.findAll({ where: { quizId, studentId }, attributes: ['attemptId', 'status'] }),
+      accommodationService.findProfiles([studentId])
+    ]);
+    const plan = accommodationService.forQuizAttempt(profiles.get(Number(studentId)) || null, quiz);
+
+    return toStudentQuiz(quiz, questionCount, attempts, plan);
+  },
+
+  /**
+   * List the published quizzes of a course the student is enrolled in, as getQuizForStudent shows them
+   * @param {number} courseId - The course ID
+   * @param {number} studentId - The student ID
+   * @returns {Promise<Array>} - The quizzes with the student's attempt counts, without their questions
+   */
+  async getCourseQuizzesForStudent(courseId, studentId) {
+    await assertEnrolled(courseId, studentId);
+
+    const quizzes = await Quizzes.findAll({
+      where: { courseId, isPublished: true },
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (quizzes.length === 0) {
+      return [];
+    }
+
+    const quizIds = quizzes.map(quiz => quiz.quizId);
+    const [questionCounts, attempts, profiles] = await Promise.all([
+      QuizQuestions.count({ where: { quizId: quizIds }, group: ['quizId'] }),
+      StudentQuizAttempts.findAll({ where: { quizId: quizIds, studentId }, attributes: ['attemptId', 'quizId', 'status'] }),
+      accommodationService.findProfiles([studentId])
+    ]);
+    const profile = profiles.get(Number(studentId)) || null;
+
+    return quizzes.map((quiz) => {
+      const counted = questionCounts.find(row => Number(row.quizId) === quiz.quizId);
+      return toStudentQuiz(
+        quiz,
+        counted ? Number(counted.count) : 0,
+        attempts.filter(attempt => attempt.quizId === quiz.quizId),
+        accommodationService.forQuizAttempt(profile, quiz)
+      );
+    });
+  },
+
+  /**
+   * Start a quiz attempt, or resume the student's attempt in progress
+   * The attempt expires after the quiz's time limit, or when the quiz closes if that is sooner.
+   * The student's accommodations (extended time, extra attempts, hidden timer) are applied and recorded on the attempt.
+   * @param {number} quizId - The quiz ID
+   * @param {number} studentId - The student ID
+   * @returns {Promise<Object>} - { attempt, resumed }
+   */
+  async startQuizAttempt(quizId, studentId) {
+    const transaction = await sequelize.transaction();
+    let attempt;
+    let resumed = false;
+
+    try {
+      // Locking the student serialises their starts, so two requests cannot both take the last attempt
+      await Students.findByPk(studentId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const quiz = await Quizzes.findByPk(quizId, { transaction });
+      if (!quiz || !quiz.isPublished) {
+        throw new AppError('Quiz not found', 404);
+      }
+
+      await assertEnrolled(quiz.courseId, studentId, transaction);
+
+      const questions = await findQuizQuestions(quizId, transaction);
+      const attempts = await StudentQuizAttempts.findAll({ where: { quizId, studentId }, transaction });
+      const open = attempts.find(existing => existing.status === 'in_progress');
+
+      if (open && !isExpired(open)) {
+        attempt = open;
+        resumed = true;
+      } else {
+        if (open) {
+          await closeAttempt(open, quiz, questions, 'timed_out', transaction);
+        }
+
+        assertOpen(quiz);
+
+        const profiles = await accommodationService.findProfiles([studentId], transaction);
+        const plan = accommodationService.forQuizAttempt(profiles.get(Number(studentId)) || null, quiz);
+
+        if (plan.maxAttempts && attempts.length >= plan.maxAttempts) {
+          throw new AppError(`You have used all ${plan.maxAttempts} attempts for this quiz`, 400);
+        }
+        if (questions.length === 0) {
+          throw new AppError('This quiz has no questions yet', 400);
+        }
+
+        const now = new Date();
+        const deadlines = [];
+        if (plan.timeLimitMinutes) {
+          deadlines.push(now.getTime() + plan.timeLimitMinutes * 60 * 1000);
+        }
+        if (quiz.availableTo) {
+          deadlines.push(new Date(quiz.availableTo).getTime());
+        }
+
+        attempt = await StudentQuizAttempts.create({
+          quizId,
+          studentId,
+          attemptNumber: attempts.length + 1,
+          status: 'in_progress',
+          startedAt: now,
+          expiresAt: deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null,
+          accommodations: plan.accommodations
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return { attempt: await this.getAttemptById(attempt.attemptId, { studentView: true }), resumed };
+  },
+
+  /**
+   * Save (or change) the answer to one question of an attempt in progress
+   * The response is graded straight away but the result is only revealed on submission.
+   * @param {number} attemptId - The attempt ID
+   * @param {number} studentId - The student the attempt must belong to
+   * @param {Object} responseData - questionId, and answerId (single choice), textResponse (short answer),
+   * answerIds (multi-select), value and unit (numeric), matches (matching) or order (ordering)
+   * @returns {Promise<Object>} - The saved response, without its grade
+   */
+  async submitQuizResponse(attemptId, studentId, { questionId, answerId, textResponse, ...structured }) {
+    const transaction = await sequelize.transaction();
+    let response;
+    let timedOut = false;
+
+    try {
+      const attempt = await StudentQuizAttempts.findOne({
+        where: { attemptId, studentId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!attempt) {
+        throw new AppError('Quiz attempt not found', 404);
+      }
+      if (attempt.status !== 'in_progress') {
+        throw new AppError('This attempt has already been submitted', 400);
+      }
+
+      if (isExpired(attempt)) {
+        const quiz = await Quizzes.findByPk(attempt.quizId, { transaction });
+        await closeAttempt(attempt, quiz, await findQuizQuestions(attempt.quizId, transaction), 'timed_out', transaction);
+        timedOut = true;
+      } else {
+        const question = await QuizQuestions.findOne({
+          where: { questionId, quizId: attempt.quizId },
+          include: [{ model: QuizAnswers, as: 'answers' }],
+          transaction
+        });
+
+        if (!question) {
+          throw new AppError('Question not found in this quiz', 404);
+        }
+
+        const values = { chosenAnswerId: null, shortAnswerText: null, answerData: null };
+        if (question.questionType === 'short_answer') {
+          if (textResponse === undefined || textResponse === null) {
+            throw new AppError('Please provide a textResponse for a short-answer question', 400);
+          }
+          values.shortAnswerText = textResponse;
+        } else {
+          questionScoring.assertResponse(question, { answerId, ...structured });
+          if (question.questionType === 'multiple_choice' || question.questionType === 'true_false') {
+            values.chosenAnswerId = answerId;
+          } else {
+            values.answerData = questionScoring.responseData(question.questionType, structured);
+          }
+        }
+
+        Object.assign(values, gradeResponse(question, values), { respondedAt: new Date() });
+
+        const existing = await StudentQuizResponses.findOne({ where: { attemptId, questionId }, transaction });
+        response = existing
+          ? await existing.update(values, { transaction })
+          : await StudentQuizResponses.create({ attemptId, questionId, ...values }, { transaction });
+      }
+
+      await transaction.commit();
+
+      if (timedOut) {
+        throw new AppError('The time limit has passed; the attempt was submitted with the answers saved so far', 400);
+      }
+
+      return {
+        questionId: response.questionId,
+        answerId: response.chosenAnswerId,
+        textResponse: response.shortAnswerText,
+        answerData: response.answerData,
+        respondedAt: response.respondedAt,
+        remainingSeconds: remainingSeconds(attempt)
+      };
+    } catch (error) {
+      if (!timedOut) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Submit an attempt for grading
+   * An attempt submitted after its time ran out is still graded on its saved answers, as timed out.
+   * @param {number} attemptId - The attempt ID
+   * @param {number} studentId - The student the attempt must belong to
+   * @returns {Promise<Object>} - The graded attempt as the student sees it
+   */
+  async submitQuizAttempt(attemptId, studentId) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const attempt = await StudentQuizAttempts.findOne({
+        where: { attemptId, studentId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!attempt) {
+        throw new AppError('Quiz attempt not found', 404);
+      }
+      if (attempt.status !== 'in_progress') {
+        throw new AppError('This attempt has already been submitted', 400);
+      }
+
+      const quiz = await Quizzes.findByPk(attempt.quizId, { transaction });
+      const questions = await findQuizQuestions(attempt.quizId, transaction);
+      await closeAttempt(attempt, quiz, questions, isExpired(attempt) ? 'timed_out' : 'completed', transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getAttemptById(attemptId, { studentView: true });
+  },
+
+  /**
+   * Get an attempt; an attempt whose time ran out is closed first
+   * The student view hides grading while the attempt is in progress, and afterwards shows
+   * per-question results and correct answers only if the quiz allows it (showAnswers).
+   * @param {number} attemptId - The attempt ID
+   * @param {Object} options - studentView for students and parents
+   * @returns {Promise<Object>} - The attempt
+   */
+  async getAttemptById(attemptId, { studentView = false } = {}) {
+    let attempt = await StudentQuizAttempts.findByPk(attemptId, { include: [{ model: Quizzes, as: 'quiz' }] });
+
+    if (!attempt) {
+      throw new AppError('Quiz attempt not found', 404);
+    }
+
+    const questions = await findQuizQuestions(attempt.quizId);
+
+    if (attempt.status === 'in_progress' && isExpired(attempt)) {
+      const transaction = await sequelize.transaction();
+      try {
+        const locked = await StudentQuizAttempts.findByPk(attemptId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (locked.status === 'in_progress') {
+          await closeAttempt(locked, attempt.quiz, questions, 'timed_out', transaction);
+        }
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+      attempt = await StudentQuizAttempts.findByPk(attemptId, { include: [{ model: Quizzes, as: 'quiz' }] });
+    }
+
+    const responses = await StudentQuizResponses.findAll({ where: { attemptId }, order: [['questionId', 'ASC']] });
+
+    if (!studentView) {
+      return { ...attempt.get({ plain: true }), responses: responses.map(response => response.get({ plain: true })) };
+    }
+
+    const inProgress = attempt.status === 'in_progress';
+    const reveal = !inProgress && attempt.quiz.showAnswers;
+
+    const view = {
+      attemptId: attempt.attemptId,
+      quizId: attempt.quizId,
+      studentId: attempt.studentId,
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      expiresAt: attempt.expiresAt,
+      completedAt: attempt.completedAt,
+      questions: questions.map(question => toStudentQuestion(question, reveal)),
+      responses: responses.map(response => ({
+        questionId: response.questionId,
+        answerId: response.chosenAnswerId,
+        textResponse: response.shortAnswerText,
+        answerData: response.answerData,
+        respondedAt: response.respondedAt,
+        ...(reveal ? { isCorrect: response.isCorrect, scoreAwarded: response.scoreAwarded } : {})
+      }))
+    };
+
+    if (inProgress) {
+      view.remainingSeconds = remainingSeconds(attempt);
+    } else {
+      Object.assign(view, {
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percentage: attempt.percentage,
+        passed: attempt.passed
+      });
+    }
+
+    return view;
+  },
+
+  /**
+   * List the attempts at a quiz
+   * @param {number} quizId - The quiz ID
+   * @param {Object} filters - Optional studentId and status
+   * @returns {Promise<Array>} - The attempts, newest first
+   */
+  async getQuizAttempts(quizId, { studentId, status } = {}) {
+    const where = { quizId };
+
+    if (studentId) {
+      where.studentId = studentId;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    return StudentQuizAttempts.findAll({
+      where,
+      include: [{
+        model: Students,
+        as: 'student',
+        attributes: ['studentId'],
+        include: [{ model: Users, as: 'user', attributes: ['userId', 'firstName', 'lastName'] }]
+      }],
+      order: [['startedAt', 'DESC']]
+    });
   }
 };
 
@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op, Sequelize } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const csv = require('../utils/csv');
+const mailer = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+const config = require('../config');
+const otpService = require('./otpService');
+const { validateRosterRow } = require('../utils/validators/rosterValidator');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const {
+  Users,
+  Institutions,
+  Students,
+  Teachers,
+  Parents,
+  ParentStudentLink,
+  TeacherInstitutions
+} = models;
+
+// Header cells are matched case-insensitively, ignoring spaces, dashes and underscores
+const COLUMNS = {
+  role: 'role',
+  email: 'email',
+  firstname: 'firstName',
+  lastname: 'lastName',
+  gradelevel: 'gradeLevel',
+  subjectexpertise: 'subjectExpertise',
+  bio: 'bio',
+  studentemail: 'studentEmail',
+  relationship: 'relationship'
+};
+const REQUIRED_COLUMNS = ['role', 'email', 'firstName', 'lastName'];
+
+const normalizeHeader = header => COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')] || null;
+
+/**
+ * Find users by email, ignoring case, with their student and parent profiles
+ * @param {Array<string>} emails - Lower-cased emails
+ * @returns {Promise<Map>} - Users keyed by lower-cased email
+ */
+const findUsersByEmail = async (emails) => {
+  if (emails.length === 0) {
+    return new Map();
+  }
+
+  const users = await Users.findAll({
+    where: Sequelize.where(Sequelize.fn('lower', Sequelize.col('email')), { [Op.in]: emails }),
+    attributes: ['userId', 'email', 'role'],
+    include: [
+      { model: Students, as: 'student', attributes: ['studentId', 'institutionId'] },
+      { model: Parents, as: 'parent', attributes: ['parentId'] }
+    ]
+  });
+
+  return new Map(users.map(user => [user.email.toLowerCase(), user]));
+};
+
+const rosterImportService = {
+  /**
+   * Read a roster CSV into records keyed by field name
+   * @param {string} text - The CSV text
+   * @returns {Array<Object>} - The records, each with its row number
+   */
+  parseRoster(text) {
+    let parsed;
+    try {
+      parsed = csv.parse(text, normalizeHeader);
+    } catch (err) {
+      throw new AppError(`Could not read the CSV file: ${err.message}`, 400);
+    }
+
+    const missing = REQUIRED_COLUMNS.filter(column => !parsed.headers.includes(column));
+    if (missing.length > 0) {
+      throw new AppError(`Missing required columns: ${missing.join(', ')}`, 400);
+    }
+
+    if (parsed.records.length === 0) {
+      throw new AppError('The CSV file has no rows to import', 400);
+    }
+
+    if (parsed.records.length > config.invitation.maxRosterRows) {
+      throw new AppError(`A roster can have at most ${config.invitation.maxRosterRows} rows`, 400);
+    }
+
+    return parsed.records;
+  },
+
+  /**
+   * Validate every row of a roster against the registration rules, the rest of the file
+   * and the accounts that already exist
+   * @param {Array<Object>} records - Records from parseRoster
+   * @param {number} institutionId - The institution the accounts are created for
+   * @returns {Promise<Array<Object>>} - One entry per row: { row, role, email, action, value, errors }
+   */
+  async checkRows(records, institutionId) {
+    const entries = records.map(({ row, ...fields }) => {
+      const { error, value } = validateRosterRow(fields);
+      return {
+        row,
+        role: (value.role || fields.role || '').toLowerCase(),
+        email: (value.email || fields.email || '').toLowerCase(),
+        action: null,
+        value,
+        errors: error ? error.details.map(detail => detail.message) : []
+      };
+    });
+    const valid = entries.filter(entry => entry.errors.length === 0);
+
+    // Within the file: one account per email, a parent email only on parent rows, one row per link
+    const firstRowByEmail = new Map();
+    const linkRows = new Map();
+    valid.forEach((entry) => {
+      const first = firstRowByEmail.get(entry.email);
+      if (!first) {
+        firstRowByEmail.set(entry.email, entry);
+      } else if (entry.role !== 'parent' || first.role !== 'parent') {
+        entry.errors.push(`Email ${entry.email} is already used in row ${first.row}`);
+      }
+
+      if (entry.role === 'parent') {
+        const linkKey = `${entry.email}|${entry.value.studentEmail}`;
+        if (linkRows.has(linkKey)) {
+          entry.errors.push(`This parent is already linked to ${entry.value.studentEmail} in row ${linkRows.get(linkKey)}`);
+        } else {
+          linkRows.set(linkKey, entry.row);
+        }
+      }
+    });
+
+    // Against existing accounts
+    const studentEmails = valid.filter(entry => entry.role === 'parent').map(entry => entry.value.studentEmail);
+    const existingUsers = await findUsersByEmail([...new Set([...firstRowByEmail.keys(), ...studentEmails])]);
+    const fileStudents = new Set(valid.filter(entry => entry.role === 'student').map(entry => entry.email));
+
+    const linksToCheck = [];
+    valid.forEach((entry) => {
+      const existing = existingUsers.get(entry.email);
+
+      if (entry.role !== 'parent') {
+        if (existing) {
+          entry.errors.push('An account with this email already exists');
+        }
+        entry.action = 'create';
+        return;
+      }
+
+      if (existing && !existing.parent) {
+        entry.errors.push(`This email belongs to an existing ${existing.role} account`);
+      }
+      entry.action = existing ? 'link' : 'create';
+      entry.parentId = existing && existing.parent ? existing.parent.parentId : null;
+
+      const { studentEmail } = entry.value;
+      const existingStudent = existingUsers.get(studentEmail);
+      if (existingStudent && existingStudent.student
+        && Number(existingStudent.student.institutionId) === Number(institutionId)) {
+        entry.studentId = existingStudent.student.studentId;
+        if (entry.parentId) {
+          linksToCheck.push(entry);
+        }
+      } else if (!fileStudents.has(studentEmail)) {
+        entry.errors.push(`No student with email ${studentEmail} in this institution or file`);
+      }
+    });
+
+    if (linksToCheck.length > 0) {
+      const links = await ParentStudentLink.findAll({
+        where: {
+          parentId: linksToCheck.map(entry => entry.parentId),
+          studentId: linksToCheck.map(entry => entry.studentId)
+        },
+        attributes: ['parentId', 'studentId']
+      });
+      const linked = new Set(links.map(link => `${link.parentId}|${link.studentId}`));
+      linksToCheck
+        .filter(entry => linked.has(`${entry.parentId}|${entry.studentId}`))
+        .forEach(entry => entry.errors.push(`This parent is already linked to ${entry.value.studentEmail}`));
+    }
+
+    return entries;
+  },
+
+  /**
+   * Summarise checked rows for the preview / import response
+   * @param {Array<Object>} entries - Entries from checkRows
+   * @param {Object} flags - dryRun and imported
+   * @returns {Object} - The report with a summary and the per-row results
+   */
+  buildReport(entries, { dryRun, imported }) {
+    const valid = entries.filter(entry => entry.errors.length === 0);
+    const count = predicate => valid.filter(predicate).length;
+
+    return {
+      dryRun,
+      imported,
+      summary: {
+        rows: entries.length,
+        valid: valid.length,
+        invalid: entries.length - valid.length,
+        students: count(entry => entry.role === 'student'),
+        teachers: count(entry => entry.role === 'teacher'),
+        parents: new Set(valid.filter(entry => entry.role === 'parent' && entry.action === 'create').map(entry => entry.email)).size,
+        links: count(entry => entry.role === 'parent')
+      },
+      rows: entries.map(({ row, role, email, action, errors }) => ({
+        row,
+        role,
+        email,
+        action,
+        status: errors.length === 0 ? 'valid' : 'invalid',
+        errors
+      }))
+    };
+  },
+
+  /**
+   * Preview or import a roster CSV of students, teachers and parent links
+   * Nothing is written unless every row is valid. New accounts cannot sign in until they
+   * set a password through the emailed invitation link.
+   * @param {number} institutionId - The institution the accounts are created for
+   * @param {string} text - The CSV text
+   * @param {Object} options - dryRun to only validate
+   * @returns {Promise<Object>} - The report (see buildReport)
+   */
+  async importRoster(institutionId, text, { dryRun = false } = {}) {
+    const records = this.parseRoster(text);
+
+    const institution = await Institutions.findByPk(institutionId, { attributes: ['institutionId', 'name'] });
+    if (!institution) {
+      throw new AppError('Institution not found', 404);
+    }
+
+    const entries = await this.checkRows(records, institution.institutionId);
+    const hasErrors = entries.some(entry => entry.errors.length > 0);
+
+    if (dryRun || hasErrors) {
+      return this.buildReport(entries, { dryRun, imported: false });
+    }
+
+    const invitations = await this.createAccounts(institution, entries);
+    this.sendInvitations(institution, invitations);
+
+    return this.buildReport(entries, { dryRun, imported: true });
+  },
+
+  /**
+   * Hash shared by invited accounts until their owners set a password; nobody knows the plain value
+   * @returns {Promise<string>} - The bcrypt hash
+   */
+  async placeholderPasswordHash() {
+    return bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+  },
+
+  /**
+   * Create an account that can only be signed into after accepting its invitation
+   * @param {Object} values - email, firstName, lastName and role
+   * @param {Object} options - passwordHash from placeholderPasswordHash and the transaction
+   * @returns {Promise<Object>} - The user and the invitation to send: { user, role, token, expiresInMinutes }
+   */
+  async createInvitedUser({ email, firstName, lastName, role }, { passwordHash, transaction }) {
+    const user = await Users.create({
+      email,
+      passwordHash,
+      firstName,
+      lastName,
+      role,
+      isVerified: false
+    }, { transaction });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const { expiresInMinutes } = await otpService.issueCode(user.userId, 'invitation', {
+      code: token,
+      expiresInMinutes: config.invitation.expiresInMinutes,
+      transaction
+    });
+
+    return { user, invitation: { user, role, token, expiresInMinutes } };
+  },
+
+  /**
+   * Create the accounts, profiles and parent links for validated rows in one transaction
+   * @param {Object} institution - The institution
+   * @param {Array<Object>} entries - Valid entries from checkRows
+   * @returns {Promise<Array<Object>>} - Invitations to send (see createInvitedUser)
+   */
+  async createAccounts(institution, entries) {
+    const { institutionId } = institution;
+    const transaction = await sequelize.transaction();
+    const invitations = [];
+
+    try {
+      const passwordHash = await this.placeholderPasswordHash();
+
+      const createUser = async ({ value }) => {
+        const { user, invitation } = await this.createInvitedUser(value, { passwordHash, transaction });
+        invitations.push(invitation);
+        return user;
+      };
+
+      const studentIdsByEmail = new Map();
+      for (const entry of entries.filter(item => item.role === 'student')) {
+        const user = await createUser(entry);
+        const student = await Students.create({
+          userId: user.userId,
+          institutionId,
+          gradeLevel: entry.value.gradeLevel || null
+        }, { transaction });
+        studentIdsByEmail.set(entry.email, student.studentId);
+      }
+
+      for (const entry of entries.filter(item => item.role === 'teacher')) {
+        const user = await createUser(entry);
+        const teacher = await Teachers.create({
+          userId: user.userId,
+          subjectExpertise: entry.value.subjectExpertise || null,
+          bio: entry.value.bio || null
+        }, { transaction });
+        await TeacherInstitutions.create({
+          teacherId: teacher.teacherId,
+          institutionId,
+          isPrimary: true
+        }, { transaction });
+      }
+
+      const parentIdsByEmail = new Map();
+      for (const entry of entries.filter(item => item.role === 'parent')) {
+        let parentId = entry.parentId || parentIdsByEmail.get(entry.email);
+        if (!parentId) {
+          const user = await createUser(entry);
+          const parent = await Parents.create({ userId: user.userId }, { transaction });
+          parentId = parent.parentId;
+          parentIdsByEmail.set(entry.email, parentId);
+        }
+
+        await ParentStudentLink.create({
+          parentId,
+          studentId: entry.studentId || studentIdsByEmail.get(entry.value.studentEmail),
+          relationship: entry.value.relationship || null
+        }, { transaction });
+      }
+
+      await transaction.commit();
+      return invitations;
+    } catch (err) {
+      await transaction.rollback();
+
+      // Another request created one of the accounts after the rows were checked
+      if (err.name === 'SequelizeValidationError' || err.name === 'SequelizeUniqueConstraintError') {
+        const messages = err.errors ? err.errors.map(e => e.message).join(', ') : err.message;
+        throw new AppError(`Validation Error: ${messages}`, 400);
+      }
+      throw err;
+    }
+  },
+
+  /**
+   * Email each new account its invitation link; failures are logged, not thrown
+   * @param {Object} institution - The institution that created the accounts
+   * @param {Array<Object>} invitations - Invitations from createAccounts
+   */
+  sendInvitations(institution, invitations) {
+    invitations.forEach(({ user, role, token, expiresInMinutes }) => {
+      const link = `${config.invitation.acceptUrl}?email=${encodeURIComponent(user.email)}&token=${token}`;
+
+      mailer.sendMail({
+        to: user.email,
+        ...emailTemplates.invitation({
+          firstName: user.firstName,
+          institutionName: institution.name,
+          role,
+          link,
+          expiresInMinutes
+        })
+      }).catch(err => logger.error(`Failed to send invitation to user ${user.userId}: ${err.message}`));
+    });
+  }
+};
+
+module.exports = rosterImportService;
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const config = require('../config');
+const logger = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const { Users, UserSessions, RefreshTokens } = models;
+
+// Avoid a write on every authenticated request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - The opaque refresh token
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Get the expiry date for a newly issued refresh token
+ * @returns {Date} - The expiry date
+ */
+const refreshExpiryDate = () => new Date(Date.now() + config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Reduce an IP address to its network so a new address from the same ISP range is not a "new device"
+ * @param {string} ipAddress - IPv4 or IPv6 address
+ * @returns {string|null} - /24 for IPv4, /64 for IPv6
+ */
+const ipPrefix = (ipAddress) => {
+  if (!ipAddress) {
+    return null;
+  }
+
+  const address = ipAddress.replace(/^::ffff:/, '');
+
+  if (address.includes('.')) {
+    return address.split('.').slice(0, 3).join('.');
+  }
+
+  return address.split(':').slice(0, 4).join(':');
+};
+
+/**
+ * Issue a new refresh token in a session's family
+ * @param {string} sessionId - The session ID
+ * @param {Object} options - Additional options (e.g., transaction)
+ * @returns {Promise<Object>} - The plain token and its expiry
+ */
+const issueRefreshToken = async (sessionId, options = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = refreshExpiryDate();
+
+  await RefreshTokens.create({ sessionId, tokenHash: hashToken(token), expiresAt }, options);
+
+  return { token, expiresAt };
+};
+
+/**
+ * Device sessions backed by rotating refresh-token families
+ */
+const sessionService = {
+  /**
+   * Start a session for a device that has just authenticated
+   * @param {number} userId - The user ID
+   * @param {Object} clientInfo - userAgent and ipAddress of the device
+   * @returns {Promise<Object>} - The session and its first refresh token
+   */
+  async createSession(userId, { userAgent, ipAddress } = {}) {
+    const newDevice = await this.isNewDevice(userId, { userAgent, ipAddress });
+    const transaction = await sequelize.transaction();
+
+    try {
+      const session = await UserSessions.create({
+        userId,
+        userAgent: userAgent ? userAgent.slice(0, 512) : null,
+        ipAddress: ipAddress || null,
+        lastSeenAt: new Date(),
+        expiresAt: refreshExpiryDate()
+      }, { transaction });
+
+      const refreshToken = await issueRefreshToken(session.sessionId, { transaction });
+
+      await transaction.commit();
+
+      if (newDevice) {
+        this.sendNewDeviceNotice(userId, session)
+          .catch((err) => logger.error(`Failed to send new device notice: ${err.message}`));
+      }
+
+      return { session, refreshToken };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a sign-in comes from a browser/network combination the user has not used before.
+   * The very first session of an account is never reported.
+   * @param {number} userId - The user ID
+   * @param {Object} clientInfo - userAgent and ipAddress of the device
+   * @returns {Promise<boolean>} - True if the user should be told about the sign-in
+   */
+  async isNewDevice(userId, { userAgent, ipAddress } = {}) {
+    const previous = await UserSessions.findAll({
+      where: { userId },
+      attributes: ['userAgent', 'ipAddress']
+    });
+
+    if (previous.length === 0) {
+      return false;
+    }
+
+    const prefix = ipPrefix(ipAddress);
+    return !previous.some(session => (
+      session.userAgent === (userAgent ? userAgent.slice(0, 512) : null)
+      && ipPrefix(session.ipAddress) === prefix
+    ));
+  },
+
+  /**
+   * Email the user about a sign-in from a new device
+   * @param {number} userId - The user ID
+   * @param {Object} session - The new session
+   * @returns {Promise<void>}
+   */
+  async sendNewDeviceNotice(userId, session) {
+    const user = await Users.findByPk(userId, { attributes: ['email', 'firstName'] });
+
+    if (!user) {
+      return;
+    }
+
+    await mailer.sendMail({
+      to: user.email,
+      ...emailTemplates.newDeviceLogin({
+        firstName: user.firstName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        signedInAt: new Date()
+      })
+    });
+  },
+
+  /**
+   * Exchange a refresh token for a new one in the same family.
+   * Presenting a token that was already exchanged revokes the whole session.
+   * @param {string} token - The refresh token
+   * @param {Object} clientInfo - userAgent and ipAddress of the device
+   * @returns {Promise<Object>} - The session and the replacement refresh token
+   */
+  async rotateRefreshToken(token, { userAgent, ipAddress } = {}) {
+    if (!token) {
+      throw new AppError('Please log in again', 401);
+    }
+
+    const stored = await RefreshTokens.findOne({
+      where: { tokenHash: hashToken(token) },
+      include: [{ model: UserSessions, as: 'session' }]
+    });
+
+    if (!stored || !stored.session) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const { session } = stored;
+
+    if (stored.rotatedAt) {
+      if (!session.revokedAt) {
+        logger.warn(`Refresh token reuse detected for session ${session.sessionId}; revoking it`);
+        await session.update({ revokedAt: new Date(), revokedReason: 'refresh_token_reuse' });
+      }
+      throw new AppError('This session has been revoked. Please log in again', 401);
+    }
+
+    if (session.revokedAt || stored.expiresAt < new Date()) {
+      throw new AppError('This session has expired. Please log in again', 401);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Only one concurrent request can win the rotation; the loser is treated as reuse
+      const [rotated] = await RefreshTokens.update(
+        { rotatedAt: new Date() },
+        { where: { refreshTokenId: stored.refreshTokenId, rotatedAt: null }, transaction }
+      );
+
+      if (rotated === 0) {
+        throw new AppError('This session has been revoked. Please log in again', 401);
+      }
+
+      const refreshToken = await issueRefreshToken(session.sessionId, { transaction });
+
+      await session.update({
+        lastSeenAt: new Date(),
+        expiresAt: refreshToken.expiresAt,
+        userAgent: userAgent ? userAgent.slice(0, 512) : session.userAgent,
+        ipAddress: ipAddress || session.ipAddress
+      }, { transaction });
+
+      await transaction.commit();
+      return { session, refreshToken };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  /**
+   * Find the session behind a refresh token without rotating it
+   * @param {string} token - The refresh token
+   * @returns {Promise<Object|null>} - The session, or null if unknown
+   */
+  async findSessionByRefreshToken(token) {
+    if (!token) {
+      return null;
+    }
+
+    const stored = await RefreshTokens.findOne({
+      where: { tokenHash: hashToken(token) },
+      include: [{ model: UserSessions, as: 'session' }]
+    });
+
+    return stored ? stored.session : null;
+  },
+
+  /**
+   * Load a session that an access token points at, rejecting revoked or expired ones
+   * @param {string} sessionId - The session ID from the access token
+   * @param {number} userId - The user ID from the access token
+   * @returns {Promise<Object>} - The active session
+   */
+  async getActiveSession(sessionId, userId) {
+    const session = UUID_PATTERN.test(sessionId || '') ? await UserSessions.findByPk(sessionId) : null;
+
+    if (!session || session.userId !== userId || session.revokedAt || session.expiresAt < new Date()) {
+      throw new AppError('Your session has ended. Please log in again', 401);
+    }
+
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_THROTTLE_MS) {
+      await session.update({ lastSeenAt: new Date() });
+    }
+
+    return session;
+  },
+
+  /**
+   * List a user's active sessions
+   * @param {number} userId - The user ID
+   * @returns {Promise<Array>} - Sessions, most recently seen first
+   */
+  async listSessions(userId) {
+    return UserSessions.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['sessionId', 'userAgent', 'ipAddress', 'lastSeenAt', 'expiresAt', 'createdAt'],
+      order: [['lastSeenAt', 'DESC']]
+    });
+  },
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {number} userId - The user ID
+   * @param {string} sessionId - The session ID
+   * @param {string} reason - Why the session was revoked
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, sessionId, reason = 'user_revoked') {
+    const session = UUID_PATTERN.test(sessionId)
+      ? await UserSessions.findOne({ where: { sessionId, userId } })
+      : null;
+
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    if (!session.revokedAt) {
+      await session.update({ revokedAt: new Date(), revokedReason: reason });
+    }
+  },
+
+  /**
+   * End a session on logout
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<void>}
+   */
+  async endSession(sessionId) {
+    await UserSessions.update(
+      { revokedAt: new Date(), revokedReason: 'logout' },
+      { where: { sessionId, revokedAt: null } }
+    );
+  },
+
+  /**
+   * Revoke every active session of a user
+   * @param {number} userId - The user ID
+   * @param {Object} options - exceptSessionId to keep one session, reason, transaction
+   * @returns {Promise<Array<string>>} - IDs of the sessions revoked
+   */
+  async revokeAllSessions(userId, options = {}) {
+    const { exceptSessionId, reason = 'user_revoked', transaction } = options;
+    const where = { userId, revokedAt: null };
+
+    if (exceptSessionId) {
+      where.sessionId = { [Op.ne]: exceptSessionId };
+    }
+
+    const sessions = await UserSessions.findAll({ where, attributes: ['sessionId'], transaction });
+    const sessionIds = sessions.map(session => session.sessionId);
+
+    if (sessionIds.length > 0) {
+      await UserSessions.update(
+        { revokedAt: new Date(), revokedReason: reason },
+        { where: { sessionId: sessionIds }, transaction }
+      );
+    }
+
+    return sessionIds;
+  }
+};
+
+module.exports = sessionService;
@@ -3,6 +3,7 @@ const AppError = require('../utils/errors/AppError');
 const { sequelize } = require('../config/db.js');
 const initModels = require('../models/init-models');
 const parentAccessSettingsService = require('./parentAccessSettingsService');
+const academicCalendarService = require('./academicCalendarService');
 
 const models = initModels(sequelize);
 const { 
@@ -16,7 +17,8 @@ const {
   Submissions,
   Exams,
   StudentExamAttempts,
-  Attendance
+  Attendance,
+  AcademicSessions
 } = models;
 
 const studentProgressReportService = {
@@ -34,8 +36,11 @@ const studentProgressReportService = {
         throw new AppError('Student not found', 404);
       }
       
+      // Fill in and check the period against the academic calendar
+      const period = await academicCalendarService.resolveReportPeriod(reportData, student);
+
       // Create the report
-      const report = await StudentProgressReports.create(reportData);
+      const report = await StudentProgressReports.create({ ...reportData, ...period });
       
       return this.getReportById(report.reportId);
     } catch (error) {
@@ -68,6 +73,11 @@ const studentProgressReportService = {
         {
           model: Classes,
           as: 'class'
+        },
+        {
+          model: AcademicSessions,
+          as: 'academicSession',
+          attributes: ['academicSessionId', 'title', 'type', 'startDate', 'endDate']
         }
       ]
     });
@@ -219,8 +229,20 @@ const studentProgressReportService = {
     if (!report) {
       throw new AppError('Progress report not found', 404);
     }
+
+    const changes = { ...updateData };
+    if (['academicSessionId', 'periodStart', 'periodEnd'].some(key => updateData[key] !== undefined)) {
+      const student = await Students.findByPk(report.studentId);
+      // Moving the report to another session takes that session's dates unless new dates are given too
+      const newSession = updateData.academicSessionId && updateData.academicSessionId !== report.academicSessionId;
+      Object.assign(changes, await academicCalendarService.resolveReportPeriod({
+        academicSessionId: updateData.academicSessionId !== undefined ? updateData.academicSessionId : report.academicSessionId,
+        periodStart: updateData.periodStart || (newSession ? undefined : report.periodStart),
+        periodEnd: updateData.periodEnd || (newSession ? undefined : report.periodEnd)
+      }, student));
+    }
     
-    await report.update(updateData);
+    await report.update(changes);
     
     return this.getReportById(reportId);
   },
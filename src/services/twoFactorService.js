@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const config = require('../config');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+const totp = require('../utils/totp');
+const { signPurposeToken, verifyPurposeToken } = require('../utils/authUtils');
+const userInstitutionUtil = require('../utils/userInstitutionUtil');
+const otpService = require('./otpService');
+
+const models = initModels(sequelize);
+const { Users, TwoFactorCredentials, TwoFactorPolicies, Institutions } = models;
+
+/**
+ * Generate a set of recovery codes in xxxx-xxxx form
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} - Plain-text codes
+ */
+const generateRecoveryCodes = (count) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+};
+
+/**
+ * Normalise a recovery code typed by a user
+ * @param {string} code - The code
+ * @returns {string} - Lower-case code with the dash restored
+ */
+const normalizeRecoveryCode = (code) => {
+  const compact = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return `${compact.slice(0, 4)}-${compact.slice(4)}`;
+};
+
+const twoFactorService = {
+  /**
+   * Check whether any active policy requires 2FA for a user
+   * @param {Object} user - The user (needs userId and role)
+   * @returns {Promise<boolean>} - True if 2FA is mandatory
+   */
+  async isRequiredForUser(user) {
+    const institutionIds = await userInstitutionUtil.getInstitutionIdsForUser(user);
+
+    const policy = await TwoFactorPolicies.findOne({
+      where: {
+        isRequired: true,
+        role: { [Op.or]: [null, user.role] },
+        institutionId: institutionIds.length > 0
+          ? { [Op.or]: [null, { [Op.in]: institutionIds }] }
+          : null
+      }
+    });
+
+    return !!policy;
+  },
+
+  /**
+   * Get the 2FA status of a user
+   * @param {Object} user - The user
+   * @returns {Promise<Object>} - Whether 2FA is enabled and/or required
+   */
+  async getStatus(user) {
+    const credential = await TwoFactorCredentials.findOne({ where: { userId: user.userId } });
+    const enabled = !!(credential && credential.isEnabled);
+
+    return {
+      enabled,
+      required: await this.isRequiredForUser(user),
+      enabledAt: enabled ? credential.enabledAt : null,
+      recoveryCodesRemaining: enabled
+        ? credential.recoveryCodes.filter(entry => !entry.usedAt).length
+        : 0
+    };
+  },
+
+  /**
+   * Start TOTP enrollment by generating a new secret
+   * @param {Object} user - The user
+   * @returns {Promise<Object>} - The secret and otpauth URI for the authenticator app
+   */
+  async beginEnrollment(user) {
+    const existing = await TwoFactorCredentials.findOne({ where: { userId: user.userId } });
+
+    if (existing && existing.isEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = totp.generateSecret();
+
+    if (existing) {
+      await existing.update({ secret, lastUsedStep: null, recoveryCodes: [] });
+    } else {
+      await TwoFactorCredentials.create({ userId: user.userId, secret });
+    }
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email, config.twoFactor.issuer)
+    };
+  },
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {number} userId - The user ID
+   * @param {string} code - The current TOTP code
+   * @returns {Promise<Array<string>>} - Recovery codes, shown to the user only once
+   */
+  async confirmEnrollment(userId, code) {
+    const credential = await TwoFactorCredentials.findOne({ where: { userId } });
+
+    if (!credential) {
+      throw new AppError('Start two-factor setup before confirming it', 400);
+    }
+
+    if (credential.isEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const step = totp.verifyCode(credential.secret, code);
+    if (step === null) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const recoveryCodes = generateRecoveryCodes(config.twoFactor.recoveryCodeCount);
+
+    await credential.update({
+      isEnabled: true,
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      recoveryCodes: await Promise.all(
+        recoveryCodes.map(async (recoveryCode) => ({ hash: await bcrypt.hash(recoveryCode, 10), usedAt: null }))
+      )
+    });
+
+    return recoveryCodes;
+  },
+
+  /**
+   * Check a TOTP or recovery code for a user with 2FA enabled
+   * TOTP codes cannot be replayed and recovery codes can only be used once.
+   * @param {number} userId - The user ID
+   * @param {Object} factor - Either { code } or { recoveryCode }
+   * @returns {Promise<boolean>} - True if the factor is valid
+   */
+  async verifySecondFactor(userId, { code, recoveryCode }) {
+    const credential = await TwoFactorCredentials.findOne({ where: { userId, isEnabled: true } });
+
+    if (!credential) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (code) {
+      const step = totp.verifyCode(credential.secret, code);
+
+      if (step === null || (credential.lastUsedStep !== null && step <= Number(credential.lastUsedStep))) {
+        return false;
+      }
+
+      await credential.update({ lastUsedStep: step });
+      return true;
+    }
+
+    if (recoveryCode) {
+      const normalized = normalizeRecoveryCode(recoveryCode);
+      const entries = credential.recoveryCodes;
+
+      for (let i = 0; i < entries.length; i++) {
+        if (!entries[i].usedAt && await bcrypt.compare(normalized, entries[i].hash)) {
+          const updated = entries.map((entry, index) => (
+            index === i ? { ...entry, usedAt: new Date().toISOString() } : entry
+          ));
+          await credential.update({ recoveryCodes: updated });
+          return true;
+        }
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Disable 2FA after re-checking the password and a second factor
+   * @param {Object} user - The user
+   * @param {string} password - The current password
+   * @param {Object} factor - Either { code } or { recoveryCode }
+   * @returns {Promise<void>}
+   */
+  async disable(user, password, factor) {
+    if (await this.isRequiredForUser(user)) {
+      throw new AppError('Two-factor authentication is required for your account and cannot be disabled', 403);
+    }
+
+    const account = await Users.findByPk(user.userId);
+    const isPasswordCorrect = await bcrypt.compare(password, account.passwordHash);
+    if (!isPasswordCorrect) {
+      throw new AppError('Your current password is incorrect', 401);
+    }
+
+    if (!await this.verifySecondFactor(user.userId, factor)) {
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    await TwoFactorCredentials.destroy({ where: { userId: user.userId }, force: true });
+  },
+
+  /**
+   * Replace all recovery codes after checking a TOTP code
+   * @param {number} userId - The user ID
+   * @param {string} code - The current TOTP code
+   * @returns {Promise<Array<string>>} - The new recovery codes
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    if (!await this.verifySecondFactor(userId, { code })) {
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    const recoveryCodes = generateRecoveryCodes(config.twoFactor.recoveryCodeCount);
+    const credential = await TwoFactorCredentials.findOne({ where: { userId } });
+
+    await credential.update({
+      recoveryCodes: await Promise.all(
+        recoveryCodes.map(async (recoveryCode) => ({ hash: await bcrypt.hash(recoveryCode, 10), usedAt: null }))
+      )
+    });
+
+    return recoveryCodes;
+  },
+
+  /**
+   * Decide whether a password-authenticated login needs a second step
+   * @param {Object} user - The user who passed the password check
+   * @returns {Promise<Object|null>} - Challenge details, or null if the login can complete
+   */
+  async getLoginChallenge(user) {
+    const credential = await TwoFactorCredentials.findOne({ where: { userId: user.userId, isEnabled: true } });
+
+    if (credential) {
+      // The challenge is an OtpCodes row so failed attempts are counted against it
+      const nonce = crypto.randomBytes(16).toString('hex');
+      await otpService.issueCode(user.userId, 'two_factor_auth', {
+        code: nonce,
+        expiresInMinutes: config.twoFactor.challengeExpiresInMinutes
+      });
+
+      return {
+        twoFactorRequired: true,
+        challengeToken: signPurposeToken(
+          { userId: user.userId, nonce },
+          'two_factor_login',
+          config.twoFactor.challengeExpiresInMinutes
+        ),
+        expiresInMinutes: config.twoFactor.challengeExpiresInMinutes
+      };
+    }
+
+    if (await this.isRequiredForUser(user)) {
+      return {
+        twoFactorSetupRequired: true,
+        setupToken: signPurposeToken(
+          { userId: user.userId },
+          'two_factor_setup',
+          config.twoFactor.setupTokenExpiresInMinutes
+        ),
+        expiresInMinutes: config.twoFactor.setupTokenExpiresInMinutes
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Complete the second login step
+   * @param {string} challengeToken - The token returned by getLoginChallenge
+   * @param {Object} factor - Either { code } or { recoveryCode }
+   * @returns {Promise<number>} - The authenticated user's ID
+   */
+  async completeLoginChallenge(challengeToken, factor) {
+    const { userId, nonce } = await verifyPurposeToken(challengeToken, 'two_factor_login');
+
+    const challenge = await otpService.getActiveCode(userId, 'two_factor_auth');
+    if (!challenge || !await bcrypt.compare(nonce, challenge.otpCodeHash)) {
+      throw new AppError('This login attempt has expired. Please log in again', 401);
+    }
+
+    if (!await this.verifySecondFactor(userId, factor)) {
+      await otpService.recordFailedAttempt(challenge);
+    }
+
+    await otpService.consumeCode(challenge);
+
+    return userId;
+  },
+
+  /**
+   * List 2FA policies visible to the acting user
+   * @param {Object} actor - The authenticated user
+   * @returns {Promise<Array>} - The policies
+   */
+  async getPolicies(actor) {
+    const where = {};
+
+    if (actor.role !== 'admin') {
+      where.institutionId = await this.getManagedInstitutionIds(actor);
+    }
+
+    return TwoFactorPolicies.findAll({
+      where,
+      include: [{ model: Institutions, as: 'institution', attributes: ['institutionId', 'name'] }],
+      order: [['institutionId', 'ASC'], ['role', 'ASC']]
+    });
+  },
+
+  /**
+   * Create or update the policy for an institution/role pair
+   * @param {Object} actor - The authenticated user
+   * @param {Object} policyData - institutionId, role and isRequired
+   * @returns {Promise<Object>} - The saved policy
+   */
+  async setPolicy(actor, { institutionId = null, role = null, isRequired }) {
+    await this.assertCanManage(actor, institutionId);
+
+    const existing = await TwoFactorPolicies.findOne({ where: { institutionId, role } });
+
+    if (existing) {
+      return existing.update({ isRequired, createdById: actor.userId });
+    }
+
+    return TwoFactorPolicies.create({ institutionId, role, isRequired, createdById: actor.userId });
+  },
+
+  /**
+   * Delete a policy
+   * @param {Object} actor - The authenticated user
+   * @param {number} policyId - The policy ID
+   * @returns {Promise<void>}
+   */
+  async deletePolicy(actor, policyId) {
+    const policy = await TwoFactorPolicies.findByPk(policyId);
+
+    if (!policy) {
+      throw new AppError('Policy not found', 404);
+    }
+
+    await this.assertCanManage(actor, policy.institutionId);
+    // A soft-deleted row would still hold the institution/role pair in the unique index
+    await policy.destroy({ force: true });
+  },
+
+  /**
+   * Institutions whose policies an institution account may manage
+   * @param {Object} actor - The authenticated user
+   * @returns {Promise<Array<number>>} - Institution IDs
+   */
+  async getManagedInstitutionIds(actor) {
+    return userInstitutionUtil.getInstitutionIdsForUser(actor);
+  },
+
+  /**
+   * Ensure the actor may manage policies for an institution (null = platform-wide)
+   * @param {Object} actor - The authenticated user
+   * @param {number|null} institutionId - The institution ID
+   * @returns {Promise<void>}
+   */
+  async assertCanManage(actor, institutionId) {
+    if (actor.role === 'admin') {
+      return;
+    }
+
+    if (institutionId === null) {
+      throw new AppError('Only platform administrators can manage platform-wide policies', 403);
+    }
+
+    const managed = await this.getManagedInstitutionIds(actor);
+    if (!managed.includes(Number(institutionId))) {
+      throw new AppError('You can only manage policies for your own institution', 403);
+    }
+  }
+};
+
+module.exports = twoFactorService;
@@ -0,0 +1,331 @@
+const { Op } = require('sequelize');
+const AppError = require('../utils/errors/AppError');
+const mailer = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+const config = require('../config');
+const parentNotificationService = require('./parentNotificationService');
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const { CourseWaitlists, Courses, Students, Users } = models;
+
+// Entries still in the queue; the others are closed
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+const studentInclude = {
+  model: Students,
+  as: 'student',
+  attributes: ['studentId', 'gradeLevel'],
+  include: [{ model: Users, as: 'user', attributes: ['userId', 'firstName', 'lastName', 'email'] }]
+};
+
+/**
+ * Add each waiting entry's current place in the queue (1 = next to be offered a seat)
+ * @param {Array<Object>} entries - Open entries of one course, ordered by position
+ * @returns {Array<Object>} - Plain entries with a place field (null for offers)
+ */
+const withPlaces = (entries) => {
+  let place = 0;
+  return entries.map((entry) => ({
+    ...entry.get({ plain: true }),
+    place: entry.status === 'waiting' ? ++place : null
+  }));
+};
+
+/**
+ * Look up a waiting entry's current place in its course's queue
+ * @param {Object} entry - The waitlist entry
+ * @returns {Promise<number|null>} - The place, or null if the entry is not waiting
+ */
+const placeOf = async (entry) => {
+  if (entry.status !== 'waiting') {
+    return null;
+  }
+
+  return CourseWaitlists.count({
+    where: { courseId: entry.courseId, status: 'waiting', position: { [Op.lte]: entry.position } }
+  });
+};
+
+/**
+ * Course waitlists: queue order, seat offers with a claim window, and their expiry
+ * Seat accounting and enrolling the student stay in enrollmentService, which calls promote()
+ * whenever a seat is freed.
+ */
+const waitlistService = {
+  OPEN_STATUSES,
+
+  /**
+   * Count the seats held for students with an unexpired offer
+   * @param {number} courseId - The course ID
+   * @param {Object} options - excludeStudentId leaves out that student's own offer; transaction
+   * @returns {Promise<number>} - Number of held seats
+   */
+  async heldSeats(courseId, { excludeStudentId, transaction } = {}) {
+    const where = { courseId, status: 'offered', offerExpiresAt: { [Op.gt]: new Date() } };
+    if (excludeStudentId) {
+      where.studentId = { [Op.ne]: excludeStudentId };
+    }
+
+    return CourseWaitlists.count({ where, transaction });
+  },
+
+  /**
+   * Find a student's open entry for a course
+   * @param {number} courseId - The course ID
+   * @param {number} studentId - The student ID
+   * @param {Object} transaction - The open transaction
+   * @returns {Promise<Object|null>} - The entry
+   */
+  async findOpenEntry(courseId, studentId, transaction) {
+    return CourseWaitlists.findOne({
+      where: { courseId, studentId, status: { [Op.in]: OPEN_STATUSES } },
+      transaction
+    });
+  },
+
+  /**
+   * Put a student at the back of a course's queue
+   * The caller holds the course lock and has checked that the course is full.
+   * @param {number} courseId - The course ID
+   * @param {number} studentId - The student ID
+   * @param {Object} options - addedBy (null when the student joins themselves) and transaction
+   * @returns {Promise<Object>} - The entry
+   */
+  async addEntry(courseId, studentId, { addedBy = null, transaction }) {
+    if (await this.findOpenEntry(courseId, studentId, transaction)) {
+      throw new AppError('The student is already on the waitlist for this course', 409);
+    }
+
+    const last = await CourseWaitlists.max('position', { where: { courseId }, transaction });
+
+    return CourseWaitlists.create({
+      courseId,
+      studentId,
+      position: (last || 0) + 1,
+      status: 'waiting',
+      addedBy
+    }, { transaction });
+  },
+
+  /**
+   * Close a student's open entry for a course once they are enrolled
+   * @param {number} courseId - The course ID
+   * @param {number} studentId - The student ID
+   * @param {Object} transaction - The open transaction
+   * @returns {Promise<void>}
+   */
+  async markEnrolled(courseId, studentId, transaction) {
+    await CourseWaitlists.update(
+      { status: 'enrolled', closedAt: new Date() },
+      { where: { courseId, studentId, status: { [Op.in]: OPEN_STATUSES } }, transaction }
+    );
+  },
+
+  /**
+   * Expire lapsed offers of a course and offer every free seat to the next students in line
+   * The caller holds the course lock; notify the returned offers after committing.
+   * @param {Object} course - The locked course
+   * @param {Object} transaction - The open transaction
+   * @returns {Promise<Array>} - The entries that were offered a seat
+   */
+  async promote(course, transaction) {
+    const now = new Date();
+
+    await CourseWaitlists.update(
+      { status: 'expired', closedAt: now },
+      { where: { courseId: course.courseId, status: 'offered', offerExpiresAt: { [Op.lte]: now } }, transaction }
+    );
+
+    const waiting = await CourseWaitlists.findAll({
+      where: { courseId: course.courseId, status: 'waiting' },
+      order: [['position', 'ASC']],
+      transaction
+    });
+
+    if (waiting.length === 0) {
+      return [];
+    }
+
+    let available = waiting.length;
+    if (course.enrollmentLimit !== null && course.enrollmentLimit !== undefined) {
+      const held = await this.heldSeats(course.courseId, { transaction });
+      available = course.enrollmentLimit - (course.enrollmentCount || 0) - held;
+    }
+
+    const offerExpiresAt = new Date(now.getTime() + config.waitlist.claimWindowHours * 60 * 60 * 1000);
+    const offers = [];
+
+    for (const entry of waiting.slice(0, Math.max(0, available))) {
+      offers.push(await entry.update({ status: 'offered', offeredAt: now, offerExpiresAt }, { transaction }));
+    }
+
+    return offers;
+  },
+
+  /**
+   * Tell promoted students and their linked parents about their offer; failures are logged, not thrown
+   * @param {Object} course - The course with the open seats
+   * @param {Array<Object>} offers - Entries returned by promote()
+   */
+  notifyOffers(course, offers) {
+    offers.forEach((offer) => {
+      const notify = async () => {
+        const student = await Students.findByPk(offer.studentId, {
+          include: [{ model: Users, as: 'user', attributes: ['userId', 'firstName', 'email'] }]
+        });
+
+        if (student && student.user) {
+          await mailer.sendMail({
+            to: student.user.email,
+            ...emailTemplates.waitlistOffer({
+              firstName: student.user.firstName,
+              courseTitle: course.title,
+              expiresAt: offer.offerExpiresAt
+            })
+          });
+        }
+
+        await parentNotificationService.notifyLinkedParents(offer.studentId, {
+          notificationType: 'enrollment_update',
+          title: `A seat opened up in ${course.title}`,
+          content: `Your child has been offered a seat in ${course.title} from the waitlist. `
+            + `The offer must be claimed by ${offer.offerExpiresAt.toUTCString()}.`,
+          relatedEntityType: 'course',
+          relatedEntityId: course.courseId,
+          urgency: 'high',
+          isActionRequired: true,
+          actionType: 'enroll'
+        });
+      };
+
+      notify().catch(err => logger.error(`Failed to notify waitlist offer ${offer.waitlistId}: ${err.message}`));
+    });
+  },
+
+  /**
+   * Pass the seats of lapsed offers on to the next students in line
+   * Runs periodically from app.js, outside any request, so it sees every institution.
+   * @returns {Promise<number>} - Number of new offers made
+   */
+  async expireOffers() {
+    const lapsed = await CourseWaitlists.findAll({
+      where: { status: 'offered', offerExpiresAt: { [Op.lte]: new Date() } },
+      attributes: ['courseId']
+    });
+    const courseIds = [...new Set(lapsed.map(entry => entry.courseId))];
+    let offered = 0;
+
+    for (const courseId of courseIds) {
+      const transaction = await sequelize.transaction();
+      try {
+        const course = await Courses.findByPk(courseId, { transaction, lock: transaction.LOCK.UPDATE });
+        const offers = course ? await this.promote(course, transaction) : [];
+        await transaction.commit();
+
+        this.notifyOffers(course, offers);
+        offered += offers.length;
+      } catch (err) {
+        await transaction.rollback();
+        logger.error(`Failed to expire waitlist offers for course ${courseId}: ${err.message}`);
+      }
+    }
+
+    return offered;
+  },
+
+  /**
+   * Take a student off a waitlist; a seat they were offered goes to the next student
+   * @param {number} waitlistId - The waitlist entry ID
+   * @returns {Promise<Object>} - The closed entry
+   */
+  async leaveWaitlist(waitlistId) {
+    const transaction = await sequelize.transaction();
+    let course;
+    let offers = [];
+
+    try {
+      const entry = await CourseWaitlists.findByPk(waitlistId, { transaction });
+      if (!entry) {
+        throw new AppError('Waitlist entry not found', 404);
+      }
+      if (!OPEN_STATUSES.includes(entry.status)) {
+        throw new AppError('This waitlist entry is already closed', 400);
+      }
+
+      course = await Courses.findByPk(entry.courseId, { transaction, lock: transaction.LOCK.UPDATE });
+      const wasOffered = entry.status === 'offered';
+
+      await entry.update({ status: 'left', closedAt: new Date() }, { transaction });
+
+      if (wasOffered && course) {
+        offers = await this.promote(course, transaction);
+      }
+
+      await transaction.commit();
+      this.notifyOffers(course, offers);
+      return entry;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Get a waitlist entry by ID, with its place in the queue
+   * @param {number} waitlistId - The waitlist entry ID
+   * @returns {Promise<Object>} - The entry
+   */
+  async getEntryById(waitlistId) {
+    const entry = await CourseWaitlists.findByPk(waitlistId, {
+      include: [
+        { model: Courses, as: 'course', attributes: ['courseId', 'title', 'startDate', 'endDate'] },
+        studentInclude
+      ]
+    });
+
+    if (!entry) {
+      throw new AppError('Waitlist entry not found', 404);
+    }
+
+    return { ...entry.get({ plain: true }), place: await placeOf(entry) };
+  },
+
+  /**
+   * Get the open waitlist of a course in queue order
+   * @param {number} courseId - The course ID
+   * @returns {Promise<Array>} - Open entries with their place
+   */
+  async getCourseWaitlist(courseId) {
+    const entries = await CourseWaitlists.findAll({
+      where: { courseId, status: { [Op.in]: OPEN_STATUSES } },
+      include: [studentInclude],
+      order: [['position', 'ASC']]
+    });
+
+    return withPlaces(entries);
+  },
+
+  /**
+   * Get a student's waitlist entries
+   * @param {number} studentId - The student ID
+   * @param {Object} options - Optional status filter (defaults to open entries)
+   * @returns {Promise<Array>} - The entries with their course and place
+   */
+  async getStudentWaitlists(studentId, { status } = {}) {
+    const entries = await CourseWaitlists.findAll({
+      where: { studentId, status: status || { [Op.in]: OPEN_STATUSES } },
+      include: [{ model: Courses, as: 'course', attributes: ['courseId', 'title', 'startDate', 'endDate'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return Promise.all(entries.map(async (entry) => ({
+      ...entry.get({ plain: true }),
+      place: await placeOf(entry)
+    })));
+  }
+};
+
+module.exports = waitlistService;
@@ -0,0 +1,106 @@
+/**
+ * Reader for the Aiken question format: multiple choice questions written as
+ *
+ *   What is the capital of France?
+ *   A. Berlin
+ *   B) Paris
+ *   ANSWER: B
+ *
+ * A question's text runs up to its first option; the ANSWER line ends the question.
+ */
+
+const OPTION = /^([A-Z])[.)]\s+(.+)$/;
+const ANSWER = /^ANSWER\s*:\s*(.*)$/i;
+
+/**
+ * Read one question's lines
+ * @param {Array<Object>} lines - { line, text } up to (not including) the ANSWER line
+ * @param {string} answer - The letter given on the ANSWER line
+ * @returns {Object} - { questionText, questionType, answers }, or { error, line }
+ */
+const readQuestion = (lines, answer) => {
+  const firstOption = lines.findIndex(({ text }) => OPTION.test(text));
+  if (firstOption === -1) {
+    return { error: 'The question has no options (expected lines like "A. text")', line: lines[0].line };
+  }
+  if (firstOption === 0) {
+    return { error: 'The options have no question before them', line: lines[0].line };
+  }
+
+  const options = [];
+  for (const { line, text } of lines.slice(firstOption)) {
+    const option = OPTION.exec(text);
+    if (!option) {
+      return { error: `Expected an option or the ANSWER line, found "${text}"`, line };
+    }
+    const expected = String.fromCharCode(65 + options.length);
+    if (option[1] !== expected) {
+      return { error: `Expected option ${expected}, found ${option[1]}`, line };
+    }
+    options.push(option[2].trim());
+  }
+
+  if (options.length < 2) {
+    return { error: 'A question needs at least two options', line: lines[firstOption].line };
+  }
+
+  const letter = answer.trim().toUpperCase();
+  const correct = letter.length === 1 ? letter.charCodeAt(0) - 65 : -1;
+  if (correct < 0 || correct >= options.length) {
+    return { error: `ANSWER must be one of the option letters A-${String.fromCharCode(64 + options.length)}`, line: null };
+  }
+
+  return {
+    questionText: lines.slice(0, firstOption).map(({ text }) => text).join(' '),
+    questionType: 'multiple_choice',
+    answers: options.map((answerText, index) => ({ answerText, isCorrect: index === correct }))
+  };
+};
+
+const aiken = {
+  /**
+   * Parse Aiken text
+   * @param {string} text - The Aiken text
+   * @returns {Object} - { questions, errors, warnings }; questions and errors carry their line number
+   */
+  parse(text) {
+    const questions = [];
+    const errors = [];
+    let pending = [];
+
+    String(text).replace(/^\ufeff/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+      const line = index + 1;
+      const trimmed = raw.trim();
+      if (trimmed === '') {
+        return;
+      }
+
+      const answer = ANSWER.exec(trimmed);
+      if (!answer) {
+        pending.push({ line, text: trimmed });
+        return;
+      }
+
+      if (pending.length === 0) {
+        errors.push({ line, message: 'ANSWER line without a question' });
+        return;
+      }
+
+      const result = readQuestion(pending, answer[1]);
+      if (result.error) {
+        errors.push({ line: result.line || line, message: result.error });
+      } else {
+        questions.push({ line: pending[0].line, ...result });
+      }
+      pending = [];
+    });
+
+    if (pending.length > 0) {
+      errors.push({ line: pending[0].line, message: 'The question has no ANSWER line' });
+    }
+
+    return { questions, errors, warnings: [] };
+  }
+};
+
+module.exports = aiken;
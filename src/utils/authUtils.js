@@ -1,4 +1,8 @@
 const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
+
+// Refresh tokens are only ever sent to the auth endpoints that exchange or revoke them
+const REFRESH_COOKIE_PATH = '/api/v1/auth';
 
 exports.signToken = (userId) => {
   return jwt.sign(
@@ -9,9 +13,10 @@ exports.signToken = (userId) => {
 };
 
 
-exports.signTokenUser = (user) => {
+exports.signTokenUser = (user, sessionId) => {
   return jwt.sign(
     {
+      sessionId,
       pupilsyncId: user.pupilsyncId,
       userId: user.userId,
       email: user.email,
@@ -24,8 +29,60 @@ exports.signTokenUser = (user) => {
     { expiresIn: process.env.JWT_EXPIRES_IN }
   );
 };
-exports.createSendToken = (user, statusCode, res) => {
-  const token = exports.signTokenUser(user);
+
+/**
+ * Sign a short-lived token that only proves one step of a multi-step flow
+ * (e.g. a password check before the second factor). protect() rejects these.
+ * @param {Object} payload - Claims to embed (must include userId)
+ * @param {string} purpose - What the token may be used for
+ * @param {number} expiresInMinutes - Lifetime of the token
+ * @returns {string} - The signed token
+ */
+exports.signPurposeToken = (payload, purpose, expiresInMinutes) => {
+  return jwt.sign(
+    { ...payload, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiresInMinutes}m` }
+  );
+};
+
+/**
+ * Verify a token created by signPurposeToken
+ * @param {string} token - The token
+ * @param {string} purpose - The expected purpose
+ * @returns {Promise<Object>} - The decoded claims
+ */
+exports.verifyPurposeToken = async (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Token is not valid for this action');
+  }
+
+  return decoded;
+};
+
+/**
+ * Get the device details recorded against a session
+ * @param {Object} req - Express request object
+ * @returns {Object} - userAgent and ipAddress
+ */
+exports.getClientInfo = (req) => ({
+  userAgent: req && typeof req.get === 'function' ? req.get('user-agent') : undefined,
+  ipAddress: req ? req.ip : undefined
+});
+
+/**
+ * Send an access token and refresh token for an existing session
+ * @param {Object} user - The user
+ * @param {string} sessionId - The session the tokens belong to
+ * @param {Object} refreshToken - { token, expiresAt } from sessionService
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} res - Express response object
+ * @param {Object} extraData - Extra fields merged into the response data
+ */
+exports.sendTokens = (user, sessionId, refreshToken, statusCode, res, extraData = {}) => {
+  const token = exports.signTokenUser(user, sessionId);
 
   // Safely get a plain object from user
   const userResponse = user && typeof user.get === 'function' ? user.get() : { ...user };
@@ -40,12 +97,47 @@ exports.createSendToken = (user, statusCode, res) => {
   };
 
   res.cookie('jwt', token, cookieOptions);
+  res.cookie('refreshToken', refreshToken.token, {
+    ...cookieOptions,
+    expires: refreshToken.expiresAt,
+    path: REFRESH_COOKIE_PATH
+  });
 
   res.status(statusCode).json({
     status: 'success',
     token,
-    data: { user: userResponse }
+    refreshToken: refreshToken.token,
+    data: { user: userResponse, ...extraData }
+  });
+};
+
+/**
+ * Start a new device session for the user and send its tokens
+ * @param {Object} user - The user
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} res - Express response object
+ * @param {Object} extraData - Extra fields merged into the response data
+ * @returns {Promise<void>}
+ */
+exports.createSendToken = async (user, statusCode, res, extraData = {}) => {
+  const { session, refreshToken } = await sessionService.createSession(
+    user.userId,
+    exports.getClientInfo(res.req)
+  );
+
+  exports.sendTokens(user, session.sessionId, refreshToken, statusCode, res, extraData);
+};
+
+/**
+ * Clear the auth cookies on logout
+ * @param {Object} res - Express response object
+ */
+exports.clearAuthCookies = (res) => {
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 1000),
+    httpOnly: true
   });
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
 };
 
 exports.verifyToken = async (token) => {
@@ -0,0 +1,106 @@
+/**
+ * Minimal RFC 4180 CSV reader and writer for roster uploads and SIS bundles
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes.
+ */
+const csv = {
+  /**
+   * Split CSV text into rows of raw field values
+   * @param {string} text - The CSV text
+   * @returns {Array<Array<string>>} - The rows, blank lines skipped
+   */
+  parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const endRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0].trim() !== '') {
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+    };
+
+    for (let i = 0; i < input.length; i += 1) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i += 1;
+        }
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('Unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  },
+
+  /**
+   * Parse CSV text with a header row into objects keyed by header
+   * @param {string} text - The CSV text
+   * @param {Function} normalizeHeader - Optional mapping applied to each header cell
+   * @returns {Object} - { headers, records }; each record carries its row number (the header is row 1) as `row`
+   */
+  parse(text, normalizeHeader = header => header.trim()) {
+    const [headerRow = [], ...dataRows] = csv.parseRows(text);
+    const headers = headerRow.map(normalizeHeader);
+
+    const records = dataRows.map((values, index) => {
+      const record = { row: index + 2 };
+      headers.forEach((header, column) => {
+        if (header) {
+          record[header] = (values[column] || '').trim();
+        }
+      });
+      return record;
+    });
+
+    return { headers, records };
+  },
+
+  /**
+   * Build CSV text, quoting fields that contain commas, quotes or line breaks
+   * @param {Array<string>} headers - The header row
+   * @param {Array<Array>} rows - The data rows; null and undefined become empty fields
+   * @returns {string} - The CSV text with CRLF line endings
+   */
+  stringify(headers, rows) {
+    const formatField = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [headers, ...rows].map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+  }
+};
+
+module.exports = csv;
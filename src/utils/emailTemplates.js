@@ -0,0 +1,212 @@
+/**
+ * Plain-text templates for transactional email
+ * Each template returns the subject and body passed to mailer.sendMail
+ */
+const emailTemplates = {
+  /**
+   * Password reset code email
+   * @param {Object} params - Template parameters
+   * @param {string} params.firstName - The recipient's first name
+   * @param {string} params.code - The one-time reset code
+   * @param {number} params.expiresInMinutes - Minutes until the code expires
+   * @returns {Object} - The subject and text of the email
+   */
+  passwordReset({ firstName, code, expiresInMinutes }) {
+    return {
+      subject: 'Your PupilSync password reset code',
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        `Use the code ${code} to reset your PupilSync password.`,
+        `The code expires in ${expiresInMinutes} minutes and can only be used once.`,
+        '',
+        'If you did not request a password reset, you can ignore this email.'
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Email address verification code
+   * @param {Object} params - Template parameters
+   * @param {string} params.firstName - The recipient's first name
+   * @param {string} params.code - The one-time verification code
+   * @param {number} params.expiresInMinutes - Minutes until the code expires
+   * @returns {Object} - The subject and text of the email
+   */
+  emailVerification({ firstName, code, expiresInMinutes }) {
+    const hours = Math.round(expiresInMinutes / 60);
+    const validity = expiresInMinutes >= 120 ? `${hours} hours` : `${expiresInMinutes} minutes`;
+
+    return {
+      subject: 'Verify your PupilSync email address',
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        'Welcome to PupilSync! Confirm your email address with the code below:',
+        '',
+        `    ${code}`,
+        '',
+        `The code is valid for ${validity}. You can request a new one from the sign-in page if it expires.`
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Confirmation that a password was changed
+   * @param {Object} params - Template parameters
+   * @param {string} params.firstName - The recipient's first name
+   * @returns {Object} - The subject and text of the email
+   */
+  passwordChanged({ firstName }) {
+    return {
+      subject: 'Your PupilSync password was changed',
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        'The password for your PupilSync account was just changed and all other sessions were signed out.',
+        '',
+        'If you did not make this change, reset your password immediately and contact support.'
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Notice that an account was locked after repeated failed logins
+   * @param {Object} params - Template parameters
+   * @param {string} params.firstName - The recipient's first name
+   * @param {number} params.lockedMinutes - How long the lockout lasts
+   * @param {string} params.code - One-time code that unlocks the account immediately
+   * @param {number} params.expiresInMinutes - Minutes until the code expires
+   * @returns {Object} - The subject and text of the email
+   */
+  accountLocked({ firstName, lockedMinutes, code, expiresInMinutes }) {
+    return {
+      subject: 'Your PupilSync account has been locked',
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        `We locked your PupilSync account for ${lockedMinutes} minutes after several failed sign-in attempts.`,
+        '',
+        `If this was you, unlock it now with the code ${code} (valid for ${expiresInMinutes} minutes),`,
+        'or reset your password, which also unlocks the account.',
+        '',
+        'If it was not you, we recommend resetting your password.'
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Notice of a sign-in from a device or network not seen before
+   * @param {Object} params - Template parameters
+   * @param {string} params.firstName - The recipient's first name
+   * @param {string} params.userAgent - The browser or app that signed in
+   * @param {string} params.ipAddress - The IP address it signed in from
+   * @param {Date} params.signedInAt - When the sign-in happened
+   * @returns {Object} - The subject and text of the email
+   */
+  newDeviceLogin({ firstName, userAgent, ipAddress, signedInAt }) {
+    return {
+      subject: 'New sign-in to your PupilSync account',
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        'Your PupilSync account was just signed in to from a new device or location:',
+        '',
+        `    Device: ${userAgent || 'Unknown'}`,
+        `    IP address: ${ipAddress || 'Unknown'}`,
+        `    Time: ${signedInAt.toUTCString()}`,
+        '',
+        'If this was you, there is nothing to do.',
+        'If not, change your password and sign out other devices from your account settings.'
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Invitation to an account created by an institution's roster import
+   * @param {Object} params - Template parameters
+   * @param {string} params.firstName - The recipient's first name
+   * @param {string} params.institutionName - The institution that created the account
+   * @param {string} params.role - The account's role (student, teacher or parent)
+   * @param {string} params.link - Link to the page where the password is set
+   * @param {number} params.expiresInMinutes - Minutes until the link expires
+   * @returns {Object} - The subject and text of the email
+   */
+  invitation({ firstName, institutionName, role, link, expiresInMinutes }) {
+    const days = Math.round(expiresInMinutes / (24 * 60));
+    const validity = expiresInMinutes >= 48 * 60 ? `${days} days` : `${Math.round(expiresInMinutes / 60)} hours`;
+
+    return {
+      subject: `You have been invited to PupilSync by ${institutionName}`,
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        `${institutionName} has created a PupilSync ${role} account for you.`,
+        'Choose a password to activate it:',
+        '',
+        `    ${link}`,
+        '',
+        `The link is valid for ${validity} and can only be used once.`,
+        'If you were not expecting this invitation, you can ignore this email.'
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Offer of a seat to the next student on a course waitlist
+   * @param {Object} params - Template parameters
+   * @param {string} params.firstName - The recipient's first name
+   * @param {string} params.courseTitle - The course with the open seat
+   * @param {Date} params.expiresAt - When the offer lapses
+   * @returns {Object} - The subject and text of the email
+   */
+  waitlistOffer({ firstName, courseTitle, expiresAt }) {
+    return {
+      subject: `A seat opened up in ${courseTitle}`,
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        `Good news: a seat opened up in ${courseTitle} and you are next on the waitlist.`,
+        `The seat is held for you until ${expiresAt.toUTCString()}.`,
+        'Claim it from your waitlist in PupilSync before then, or it will be offered to the next student.'
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Result of an exam attempt once every response has been graded
+   * @param {Object} params - Template parameters
+   * @param {string} params.firstName - The recipient's first name
+   * @param {string} params.examTitle - The graded exam
+   * @param {number} params.percentage - The final percentage
+   * @param {boolean} params.passed - Whether the attempt passed
+   * @returns {Object} - The subject and text of the email
+   */
+  examGraded({ firstName, examTitle, percentage, passed }) {
+    return {
+      subject: `Your ${examTitle} result is ready`,
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        `Your teacher has finished grading ${examTitle}.`,
+        `You scored ${percentage}% and ${passed ? 'passed' : 'did not pass'}.`,
+        'Sign in to PupilSync to see the feedback on each answer.'
+      ].join('\n')
+    };
+  },
+
+  examRegraded({ firstName, examTitle, oldPercentage, percentage, passed }) {
+    return {
+      subject: `Your ${examTitle} result has changed`,
+      text: [
+        `Hi ${firstName || 'there'},`,
+        '',
+        `Your teacher corrected a question on ${examTitle} and scored every answer to it again.`,
+        `Your result changed from ${oldPercentage}% to ${percentage}%${passed === null ? '' : ` and you ${passed ? 'passed' : 'did not pass'}`}.`,
+        'Sign in to PupilSync to see your updated answers.'
+      ].join('\n')
+    };
+  }
+};
+
+module.exports = emailTemplates;
@@ -0,0 +1,340 @@
+/**
+ * Reader for Moodle's GIFT question format
+ * Questions are separated by blank lines; // lines are comments and $CATEGORY lines are ignored.
+ * GIFT has no point values, so a "// points: 2" comment in a question sets its points.
+ * Supported: multiple choice (=right ~wrong), multiple answers (~%50%right ~%-100%wrong),
+ * true/false, short answer (=a =b), numeric (#value:tolerance, #min..max), matching
+ * (=prompt -> match), essay ({}) and missing word (text {answers} text). Descriptions are skipped.
+ */
+
+const POINTS = /^\/\/\s*points\s*:\s*(\d+(?:\.\d+)?)\s*$/i;
+const WEIGHT = /^%(-?\d+(?:\.\d+)?)%/;
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?';
+const TOLERANCE = new RegExp(`^(${NUMBER})\\s*:\\s*(${NUMBER})$`);
+const RANGE = new RegExp(`^(${NUMBER})\\s*\\.\\.\\s*(${NUMBER})$`);
+const EXACT = new RegExp(`^${NUMBER}$`);
+
+/**
+ * Find a token outside backslash escapes
+ * @param {string} text - The text
+ * @param {string} token - The token
+ * @param {boolean} last - Find the last occurrence instead of the first
+ * @returns {number} - The index, or -1
+ */
+const indexOfUnescaped = (text, token, last = false) => {
+  let found = -1;
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text.startsWith(token, i)) {
+      found = i;
+      if (!last) {
+        break;
+      }
+    }
+  }
+  return found;
+};
+
+/**
+ * Split text at the first unescaped token
+ * @param {string} text - The text
+ * @param {string} token - The token
+ * @returns {Array<string>} - [before, after]; after is null when there is no token
+ */
+const splitOnce = (text, token) => {
+  const index = indexOfUnescaped(text, token);
+  return index === -1 ? [text, null] : [text.slice(0, index), text.slice(index + token.length)];
+};
+
+/**
+ * Replace escapes (\~ \= \# \{ \} \: \\ and \n) and collapse whitespace
+ * @param {string} text - The escaped text
+ * @returns {string} - The plain text
+ */
+const unescape = text => text
+  .replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char))
+  .replace(/[ \t\r]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .trim();
+
+/**
+ * Split an answer list into its answers, each started by an unescaped = or ~
+ * @param {string} text - The answers
+ * @returns {Array<Object>|null} - { marker, weight, text, feedback } per answer, or null for text before the first marker
+ */
+const splitAnswers = (text) => {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '=' || char === '~') {
+      current = { marker: char, raw: '' };
+      answers.push(current);
+    } else if (!current) {
+      if (char.trim()) {
+        return null;
+      }
+    } else if (char === '\\') {
+      current.raw += text.slice(i, i + 2);
+      i += 1;
+    } else {
+      current.raw += char;
+    }
+  }
+
+  return answers.map(({ marker, raw }) => {
+    const [body, feedback] = splitOnce(raw.trim(), '#');
+    const weight = WEIGHT.exec(body);
+    return {
+      marker,
+      weight: weight ? Number(weight[1]) : null,
+      text: weight ? body.slice(weight[0].length) : body,
+      feedback: feedback === null ? null : unescape(feedback) || null
+    };
+  });
+};
+
+/**
+ * Read one numeric answer (value:tolerance, min..max or value)
+ * @param {string} text - The answer without its marker, weight and feedback
+ * @returns {Object|null} - { value, tolerance }, or null if it is not a number
+ */
+const readNumber = (text) => {
+  const answer = unescape(text);
+  let match = TOLERANCE.exec(answer);
+  if (match) {
+    return { value: Number(match[1]), tolerance: Math.abs(Number(match[2])) };
+  }
+  match = RANGE.exec(answer);
+  if (match) {
+    const [low, high] = [Number(match[1]), Number(match[2])].sort((a, b) => a - b);
+    return { value: (low + high) / 2, tolerance: (high - low) / 2 };
+  }
+  return EXACT.test(answer) ? { value: Number(answer), tolerance: 0 } : null;
+};
+
+/**
+ * Read the answer block of a question into its type, answers and settings
+ * @param {string} block - The text between the braces
+ * @param {Function} warn - Records a warning for the question
+ * @returns {Object} - { questionType, answers, answerConfig }, or { error }
+ */
+const readAnswers = (block, warn) => {
+  const content = block.trim();
+
+  if (content === '') {
+    return { questionType: 'essay', answers: [] };
+  }
+
+  if (content.startsWith('#')) {
+    const numbers = content.slice(1).trim();
+    let choices;
+    if (numbers.startsWith('=')) {
+      choices = splitAnswers(numbers);
+    } else {
+      const [answer, feedback] = splitOnce(numbers, '#');
+      choices = [{ marker: '=', weight: null, text: answer, feedback }];
+    }
+
+    if (!choices || choices.length === 0) {
+      return { error: 'Numeric answers must look like #value, #value:tolerance or #min..max' };
+    }
+    const correct = choices.filter(choice => choice.weight === null || choice.weight === 100);
+    if (correct.length === 0) {
+      return { error: 'A numeric question needs an answer worth 100%' };
+    }
+    const number = readNumber(correct[0].text);
+    if (!number) {
+      return { error: `"${unescape(correct[0].text)}" is not a number, a value:tolerance or a min..max range` };
+    }
+    if (choices.length > 1) {
+      warn('Only the first fully correct numeric answer was kept');
+    }
+    if (choices.some(choice => choice.feedback)) {
+      warn('Feedback on numeric answers is not imported');
+    }
+
+    return {
+      questionType: 'numeric',
+      answers: [],
+      answerConfig: number.tolerance > 0 ? { value: number.value, tolerance: number.tolerance, toleranceType: 'absolute' } : { value: number.value }
+    };
+  }
+
+  const [truthValue, feedback] = splitOnce(content, '#');
+  if (/^(T|TRUE|F|FALSE)$/i.test(truthValue.trim())) {
+    const isTrue = truthValue.trim()[0].toUpperCase() === 'T';
+    // The first feedback is for a wrong answer, the second for a right one
+    const [wrongFeedback = null, rightFeedback = null] = (feedback === null ? [] : splitOnce(feedback, '#'))
+      .map(text => (text ? unescape(text) || null : null));
+    return {
+      questionType: 'true_false',
+      answers: [
+        { answerText: 'True', isCorrect: isTrue, feedback: isTrue ? rightFeedback : wrongFeedback },
+        { answerText: 'False', isCorrect: !isTrue, feedback: isTrue ? wrongFeedback : rightFeedback }
+      ]
+    };
+  }
+
+  const choices = splitAnswers(content);
+  if (!choices || choices.length === 0) {
+    return { error: 'Each answer must start with = (right) or ~ (wrong)' };
+  }
+  if (choices.some(choice => unescape(choice.text) === '')) {
+    return { error: 'An answer is empty' };
+  }
+
+  const isRight = choice => (choice.marker === '=' ? choice.weight === null || choice.weight > 0 : choice.weight > 0);
+  const answers = choices.map(choice => ({ answerText: unescape(choice.text), isCorrect: isRight(choice), feedback: choice.feedback }));
+
+  if (choices.every(choice => choice.marker === '=')) {
+    if (choices.some(choice => indexOfUnescaped(choice.text, '->') !== -1)) {
+      const pairs = choices.map(choice => splitOnce(choice.text, '->'));
+      if (pairs.some(([, match]) => match === null || !unescape(match))) {
+        return { error: 'Each matching answer must look like =prompt -> match' };
+      }
+      return {
+        questionType: 'matching',
+        answers: [],
+        answerConfig: { pairs: pairs.map(([prompt, match]) => ({ prompt: unescape(prompt), match: unescape(match) })) }
+      };
+    }
+    return { questionType: 'short_answer', answers: answers.map(answer => ({ ...answer, isCorrect: true })) };
+  }
+
+  const right = choices.filter(isRight);
+  if (right.length === 0) {
+    return { error: 'No answer is marked right (use = or a positive %weight%)' };
+  }
+
+  // Weighted answers without an = are a multiple-answer question
+  if (choices.every(choice => choice.marker === '~')) {
+    if (new Set(right.map(choice => choice.weight)).size > 1) {
+      warn('Right answers share the points equally; their weights were not kept');
+    }
+    return { questionType: 'multi_select', answers };
+  }
+
+  if (choices.some(choice => choice.marker === '~' && choice.weight > 0)) {
+    warn('Partially right answers were marked right; partial credit is not kept');
+  }
+  return { questionType: 'multiple_choice', answers };
+};
+
+/**
+ * Read one question
+ * @param {string} text - The question's lines without comments
+ * @param {Function} warn - Records a warning for the question
+ * @returns {Object} - { title, questionText, questionType, answers, answerConfig }, { error } or { skip }
+ */
+const readQuestion = (text, warn) => {
+  let rest = text;
+  let title = null;
+
+  if (rest.startsWith('::')) {
+    const end = indexOfUnescaped(rest.slice(2), '::');
+    if (end === -1) {
+      return { error: 'The title is missing its closing ::' };
+    }
+    title = unescape(rest.slice(2, end + 2)) || null;
+    rest = rest.slice(end + 4).trim();
+  }
+
+  const format = /^\[(html|moodle|plain|markdown)\]/i.exec(rest);
+  if (format) {
+    rest = rest.slice(format[0].length);
+  }
+
+  const open = indexOfUnescaped(rest, '{');
+  if (open === -1) {
+    return { skip: true };
+  }
+  const close = indexOfUnescaped(rest, '}', true);
+  if (close < open) {
+    return { error: 'The answers are missing their closing }' };
+  }
+
+  const clean = part => {
+    const plain = format && format[1].toLowerCase() === 'html' ? part.replace(/<[^>]*>/g, ' ') : part;
+    return unescape(plain);
+  };
+  const before = clean(rest.slice(0, open));
+  const after = clean(rest.slice(close + 1));
+  // Text on both sides of the answers is a missing word question
+  const questionText = after ? `${before} _____${/^[.,;:!?]/.test(after) ? '' : ' '}${after}`.trim() : before;
+  if (!questionText) {
+    return { error: 'The question has no text' };
+  }
+
+  const [answerBlock, generalFeedback] = splitOnce(rest.slice(open + 1, close), '####');
+  if (generalFeedback !== null && unescape(generalFeedback)) {
+    warn('General feedback is not imported');
+  }
+
+  const answers = readAnswers(answerBlock, warn);
+  return answers.error ? answers : { title, questionText, ...answers };
+};
+
+const gift = {
+  /**
+   * Parse GIFT text
+   * @param {string} text - The GIFT text
+   * @returns {Object} - { questions, errors, warnings }; questions and messages carry their line number
+   */
+  parse(text) {
+    const lines = String(text).replace(/^\ufeff/, '').split(/\r\n|\r|\n/);
+    const questions = [];
+    const errors = [];
+    const warnings = [];
+
+    let block = null;
+    const finish = () => {
+      if (!block || block.lines.length === 0) {
+        block = null;
+        return;
+      }
+
+      const { line, points } = block;
+      const warn = message => warnings.push({ line, message });
+      const result = readQuestion(block.lines.join('\n'), warn);
+
+      if (result.error) {
+        errors.push({ line, message: result.error });
+      } else if (result.skip) {
+        warn('Descriptions without answers are skipped');
+      } else {
+        questions.push({ line, ...result, ...(points !== null ? { points } : {}) });
+      }
+      block = null;
+    };
+
+    lines.forEach((raw, index) => {
+      const line = raw.trim();
+
+      if (line === '') {
+        finish();
+        return;
+      }
+
+      block = block || { line: null, lines: [], points: null };
+      if (line.startsWith('//')) {
+        const points = POINTS.exec(line);
+        if (points) {
+          block.points = Number(points[1]);
+        }
+      } else if (/^\$CATEGORY:/i.test(line)) {
+        // Categories have no equivalent here
+      } else {
+        block.line = block.line || index + 1;
+        block.lines.push(raw);
+      }
+    });
+    finish();
+
+    return { questions, errors, warnings };
+  }
+};
+
+module.exports = gift;
@@ -0,0 +1,80 @@
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const logger = require('./logger');
+
+let transport;
+
+/**
+ * Build the transport used when none has been set explicitly.
+ * Uses SMTP when SMTP_HOST is configured, otherwise serialises messages to
+ * JSON and logs them so local development works without a mail server.
+ * @returns {Object} - A nodemailer-compatible transport
+ */
+const createDefaultTransport = () => {
+  const { smtp } = config.mail;
+
+  if (smtp.host) {
+    return nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+  }
+
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+/**
+ * Utility for sending transactional email through a swappable transport
+ */
+const mailer = {
+  /**
+   * Replace the active transport (e.g. with a stub in tests)
+   * @param {Object} customTransport - Any object exposing sendMail(message)
+   */
+  setTransport(customTransport) {
+    transport = customTransport;
+  },
+
+  /**
+   * Drop the active transport so the default one is rebuilt on next send
+   */
+  resetTransport() {
+    transport = undefined;
+  },
+
+  /**
+   * Get the active transport, creating the default one if needed
+   * @returns {Object} - The active transport
+   */
+  getTransport() {
+    if (!transport) {
+      transport = createDefaultTransport();
+    }
+
+    return transport;
+  },
+
+  /**
+   * Send an email
+   * @param {Object} message - The message (to, subject, text, html)
+   * @returns {Promise<Object>} - The transport's send result
+   */
+  async sendMail(message) {
+    const info = await this.getTransport().sendMail({
+      from: config.mail.from,
+      ...message
+    });
+
+    // jsonTransport only serialises the message, so surface it in the logs
+    if (transport.options && transport.options.jsonTransport) {
+      logger.info(`Mail to ${message.to} not delivered (SMTP_HOST not set): ${message.subject}`);
+      logger.debug(info.message);
+    }
+
+    return info;
+  }
+};
+
+module.exports = mailer;
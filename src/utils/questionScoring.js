@@ -0,0 +1,252 @@
+const AppError = require('./errors/AppError');
+const seededRandom = require('./seededRandom');
+
+// Types answered by picking from the question's answer rows (ExamAnswers / QuizAnswers)
+const CHOICE_TYPES = ['multiple_choice', 'true_false', 'multi_select'];
+
+// Types defined by the question's answerConfig instead of answer rows
+const CONFIG_TYPES = ['numeric', 'matching', 'ordering'];
+
+/**
+ * Normalise text for comparison (case, surrounding and repeated whitespace are ignored)
+ * @param {string} text - The text
+ * @returns {string} - The normalised text
+ */
+const normalizeText = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Normalise a unit for comparison; units stay case-sensitive (mV is not MV)
+ * @param {string} unit - The unit
+ * @returns {string} - The unit without whitespace
+ */
+const normalizeUnit = (unit) => String(unit || '').replace(/\s+/g, '');
+
+/**
+ * Count the positions where a student's list matches the expected one
+ * @param {Array<string>} expected - The expected texts
+ * @param {Array<string>} given - The student's texts, by position
+ * @returns {number} - The number of matching positions
+ */
+const countInPlace = (expected, given = []) => expected
+  .filter((text, index) => given[index] !== null && given[index] !== undefined
+    && normalizeText(given[index]) === normalizeText(text))
+  .length;
+
+/**
+ * Scoring strategies by question type
+ * Each returns the fraction of the points a response earns (0 to 1), or null when a teacher
+ * has to grade it. Questions carry their answer rows as `answers` and their settings as `answerConfig`.
+ */
+const strategies = {
+  multiple_choice(question, { answerId }) {
+    const chosen = question.answers.find(answer => answer.answerId === answerId);
+    return chosen && chosen.isCorrect ? 1 : 0;
+  },
+
+  true_false(question, response) {
+    return strategies.multiple_choice(question, response);
+  },
+
+  // Each correct pick earns its share of the points and each wrong pick takes a share back
+  multi_select(question, { answerIds = [] }) {
+    const correct = question.answers.filter(answer => answer.isCorrect).map(answer => answer.answerId);
+    const chosen = [...new Set(answerIds)];
+    const right = chosen.filter(answerId => correct.includes(answerId)).length;
+
+    return correct.length > 0 ? Math.max(0, (right - (chosen.length - right)) / correct.length) : 0;
+  },
+
+  // Relative tolerance is a fraction of the expected value (0.05 = within 5%)
+  numeric(question, { value, unit }) {
+    const { value: expected, tolerance = 0, toleranceType = 'absolute', units = [] } = question.answerConfig;
+    const given = Number(value);
+
+    if (value === null || value === undefined || value === '' || !Number.isFinite(given)) {
+      return 0;
+    }
+    if (units.length > 0 && !units.map(normalizeUnit).includes(normalizeUnit(unit))) {
+      return 0;
+    }
+
+    const allowed = toleranceType === 'relative' ? Math.abs(expected) * tolerance : tolerance;
+    // Allow for floating point error, e.g. |9.76 - 9.81| > 0.05
+    return Math.abs(given - expected) <= allowed + 1e-9 ? 1 : 0;
+  },
+
+  // One share per prompt given its right match
+  matching(question, { matches }) {
+    const { pairs } = question.answerConfig;
+    return countInPlace(pairs.map(pair => pair.match), matches) / pairs.length;
+  },
+
+  // One share per item in its right position
+  ordering(question, { order }) {
+    const { items } = question.answerConfig;
+    return countInPlace(items, order) / items.length;
+  },
+
+  essay() {
+    return null;
+  }
+};
+
+const questionScoring = {
+  CHOICE_TYPES,
+  CONFIG_TYPES,
+
+  /**
+   * Whether a question type is scored by these strategies
+   * @param {string} questionType - The question type
+   * @returns {boolean} - True if there is a strategy for the type
+   */
+  handles(questionType) {
+    return Object.prototype.hasOwnProperty.call(strategies, questionType);
+  },
+
+  /**
+   * Check that a question's answers and settings can be scored
+   * Only the richer types are checked here; their settings' shape is checked by the validators.
+   * @param {string} questionType - The question type
+   * @param {Array} answers - The answer rows (answerText, isCorrect)
+   * @param {Object} answerConfig - The type's settings
+   */
+  assertDefinition(questionType, answers = [], answerConfig = null) {
+    if (questionType === 'multi_select') {
+      if (answers.length < 2 || !answers.some(answer => answer.isCorrect)) {
+        throw new AppError('A multi-select question needs at least two answers, one or more of them correct', 400);
+      }
+    }
+
+    if (CONFIG_TYPES.includes(questionType) && !answerConfig) {
+      throw new AppError(`A ${questionType} question needs an answerConfig`, 400);
+    }
+
+    if (questionType === 'matching') {
+      const prompts = answerConfig.pairs.map(pair => normalizeText(pair.prompt));
+      if (new Set(prompts).size !== prompts.length) {
+        throw new AppError('Each matching prompt must be different', 400);
+      }
+    }
+
+    if (questionType === 'ordering') {
+      const items = answerConfig.items.map(normalizeText);
+      if (new Set(items).size !== items.length) {
+        throw new AppError('Each item to order must be different', 400);
+      }
+    }
+  },
+
+  /**
+   * Check that a response fits its question (chosen answers belong to it, lists are the right length)
+   * @param {Object} question - The question with its answers and answerConfig
+   * @param {Object} response - answerId, answerIds, value and unit, matches, order or textResponse
+   */
+  assertResponse(question, response) {
+    const answerIds = question.answers.map(answer => answer.answerId);
+
+    switch (question.questionType) {
+      case 'multiple_choice':
+      case 'true_false':
+        if (!answerIds.includes(response.answerId)) {
+          throw new AppError('Please choose one of the question\'s answers', 400);
+        }
+        break;
+      case 'multi_select':
+        if (!Array.isArray(response.answerIds) || response.answerIds.some(answerId => !answerIds.includes(answerId))) {
+          throw new AppError('Please choose answerIds from the question\'s answers', 400);
+        }
+        break;
+      case 'numeric':
+        if (response.value === undefined || response.value === null) {
+          throw new AppError('Please provide a numeric value', 400);
+        }
+        break;
+      case 'matching':
+        if (!Array.isArray(response.matches) || response.matches.length !== question.answerConfig.pairs.length) {
+          throw new AppError('Please provide one match per prompt', 400);
+        }
+        break;
+      case 'ordering':
+        if (!Array.isArray(response.order) || response.order.length !== question.answerConfig.items.length) {
+          throw new AppError('Please put every item in order', 400);
+        }
+        break;
+      case 'essay':
+        if (typeof response.textResponse !== 'string') {
+          throw new AppError('Please provide a textResponse for an essay question', 400);
+        }
+        break;
+      default:
+        break;
+    }
+  },
+
+  /**
+   * The part of a response stored as answerData (the richer types' structured answers)
+   * @param {string} questionType - The question type
+   * @param {Object} response - The response
+   * @returns {Object|null} - The structured answer, or null for single-choice and text types
+   */
+  responseData(questionType, { answerIds, value, unit, matches, order }) {
+    switch (questionType) {
+      case 'multi_select':
+        return { answerIds: [...new Set(answerIds)] };
+      case 'numeric':
+        return { value: Number(value), unit: unit || null };
+      case 'matching':
+        return { matches };
+      case 'ordering':
+        return { order };
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Score a response
+   * @param {Object} question - The question (questionType, answers, answerConfig)
+   * @param {Object} response - answerId, or the fields of responseData()
+   * @param {number|string} points - The points available
+   * @returns {Object} - { isCorrect, scoreAwarded, needsReview }; essays are left for a teacher
+   */
+  score(question, response, points) {
+    const fraction = strategies[question.questionType](question, response);
+
+    if (fraction === null) {
+      return { isCorrect: null, scoreAwarded: null, needsReview: true };
+    }
+
+    return {
+      isCorrect: fraction === 1,
+      scoreAwarded: Math.round(Number(points) * fraction * 100) / 100,
+      needsReview: false
+    };
+  },
+
+  /**
+   * What students are shown of a question's settings: the accepted units of a numeric question,
+   * and the prompts and options of a matching or ordering question in a fixed shuffled order
+   * @param {Object} question - The question (questionId, questionType, answerConfig)
+   * @returns {Object|null} - The settings students see, or null for other types
+   */
+  studentConfig(question) {
+    const { questionType, answerConfig } = question;
+    const random = seededRandom.create(`question:${question.questionId}`);
+
+    switch (questionType) {
+      case 'numeric':
+        return { units: answerConfig.units || [] };
+      case 'matching':
+        return {
+          prompts: answerConfig.pairs.map(pair => pair.prompt),
+          options: seededRandom.shuffle([...new Set(answerConfig.pairs.map(pair => pair.match))], random)
+        };
+      case 'ordering':
+        return { items: seededRandom.shuffle(answerConfig.items, random) };
+      default:
+        return null;
+    }
+  }
+};
+
+module.exports = questionScoring;
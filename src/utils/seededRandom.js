@@ -0,0 +1,58 @@
+/**
+ * Reproducible pseudo-random numbers, so that a shuffle made from the same seed always
+ * comes out the same (e.g. a student's exam paper can be regenerated exactly)
+ * Not suitable for anything security related.
+ */
+const seededRandom = {
+  /**
+   * Hash a seed string to a 32-bit integer (FNV-1a)
+   * @param {string} seed - The seed
+   * @returns {number} - The hash
+   */
+  hash(seed) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < seed.length; i += 1) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+  },
+
+  /**
+   * Create a generator of numbers in [0, 1) (mulberry32)
+   * @param {string} seed - The seed
+   * @returns {Function} - Returns the next number on each call
+   */
+  create(seed) {
+    let state = this.hash(String(seed));
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * Shuffle a copy of an array (Fisher-Yates)
+   * @param {Array} items - The items
+   * @param {Function} random - A generator from create()
+   * @returns {Array} - The shuffled copy
+   */
+  shuffle(items, random) {
+    const shuffled = [...items];
+
+    for (let i = shuffled.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+  }
+};
+
+module.exports = seededRandom;
@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const { sequelize } = require('../config/db.js');
 const initModels = require('../models/init-models');
 const AppError = require('./errors/AppError');
+const sessionService = require('../services/sessionService');
 
 const models = initModels(sequelize);
 const { Users, ChatParticipants } = models;
@@ -33,16 +34,27 @@ const initialize = (server) => {
       
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose) {
+        return next(new Error('Authentication error: Invalid token'));
+      }
+
+      // Reject tokens whose device session was revoked
+      const session = await sessionService.getActiveSession(decoded.sessionId, decoded.userId);
       
       // Get user from database
-      const user = await Users.findByPk(decoded.id);
+      const user = await Users.findByPk(decoded.userId);
       
       if (!user) {
         return next(new Error('Authentication error: User not found'));
       }
       
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return next(new Error('Authentication error: Password recently changed'));
+      }
+      
       // Attach user to socket
       socket.user = user;
+      socket.sessionId = session.sessionId;
       
       next();
     } catch (error) {
@@ -55,6 +67,7 @@ const initialize = (server) => {
     
     // Join user's personal room
     socket.join(`user:${socket.user.userId}`);
+    socket.join(`session:${socket.sessionId}`);
     
     // Handle joining chat rooms
     socket.on('joinChatRoom', async (chatId) => {
@@ -185,6 +198,20 @@ const emitToAll = (event, data) => {
   io.emit(event, data);
 };
 
+/**
+ * Disconnect every socket opened with a session's tokens
+ * @param {Array<string>} sessionIds - Revoked session IDs
+ */
+const disconnectSessions = (sessionIds) => {
+  if (!io) {
+    return;
+  }
+
+  sessionIds.forEach((sessionId) => {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  });
+};
+
 /**
  * Get the Socket.IO instance
  * @returns {Object} - The Socket.IO instance
@@ -202,5 +229,6 @@ module.exports = {
   emitToRoom,
   emitToUser,
   emitToAll,
+  disconnectSessions,
   getIo
 };
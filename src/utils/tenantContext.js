@@ -0,0 +1,56 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Per-request tenant (institution) context
+ * Set by the protect middleware and read by the Sequelize tenant hooks (utils/tenantScopes.js),
+ * so every query made while handling a request is limited to the caller's institutions.
+ * Code running outside a request (startup, sockets, scheduled jobs) has no context and is not scoped.
+ */
+const tenantContext = {
+  /**
+   * Run a function with a tenant context
+   * @param {Object} context - { userId, institutionIds, crossTenant }
+   * @param {Function} fn - The function to run
+   * @returns {*} - The function's return value
+   */
+  run(context, fn) {
+    return storage.run(context, fn);
+  },
+
+  /**
+   * Get the tenant context of the current request
+   * @returns {Object|undefined} - The context, or undefined outside a request
+   */
+  get() {
+    return storage.getStore();
+  },
+
+  /**
+   * Run a function without tenant scoping, e.g. for lookups that must see every institution
+   * @param {Function} fn - The function to run
+   * @returns {*} - The function's return value
+   */
+  runUnscoped(fn) {
+    return storage.run(undefined, fn);
+  },
+
+  /**
+   * Build the tenant context for an authenticated user
+   * Only super admins may work across institutions; everyone else is limited to the institutions
+   * they belong to, or to records outside any institution if they belong to none.
+   * @param {Object} user - The user, with the admin profile loaded for admins
+   * @param {Array<number>} institutionIds - The user's institutions (see userInstitutionUtil)
+   * @returns {Object} - The tenant context
+   */
+  forUser(user, institutionIds) {
+    return {
+      userId: user.userId,
+      institutionIds: [...new Set(institutionIds.map(Number))],
+      crossTenant: user.role === 'admin' && !!(user.admin && user.admin.isSuperAdmin)
+    };
+  }
+};
+
+module.exports = tenantContext;
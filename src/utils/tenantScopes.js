@@ -0,0 +1,194 @@
+const { Op } = require('sequelize');
+const AppError = require('./errors/AppError');
+const tenantContext = require('./tenantContext');
+
+/**
+ * How each model is tied to an institution
+ *   column - the model has its own institution column
+ *   shared - records with no institution (e.g. marketplace courses) are visible to every tenant
+ *   via    - the model belongs to an institution through another model (any of the listed links)
+ * Models not listed here (users, chats, forums, ...) are not tenant-scoped.
+ */
+const TENANT_RULES = {
+  Institutions: { column: 'institutionId', guardCreate: false },
+  Courses: { column: 'institutionId', shared: true },
+  Classes: { column: 'institutionId' },
+  Students: { column: 'institutionId' },
+  Admins: { column: 'institutionId' },
+  TeacherInstitutions: { column: 'institutionId' },
+  TwoFactorPolicies: { column: 'institutionId', shared: true },
+  AcademicSessions: { column: 'institutionId' },
+  Holidays: { column: 'institutionId' },
+  QuestionBanks: { column: 'institutionId' },
+  ExternalIdentifiers: { column: 'institutionId' },
+
+  Lessons: { via: [{ attribute: 'courseId', model: 'Courses' }] },
+  Quizzes: { via: [{ attribute: 'courseId', model: 'Courses' }] },
+  Assignments: { via: [{ attribute: 'courseId', model: 'Courses' }] },
+  Enrollments: { via: [{ attribute: 'courseId', model: 'Courses' }] },
+  CourseWaitlists: { via: [{ attribute: 'courseId', model: 'Courses' }] },
+  ContentBlocks: { via: [{ attribute: 'lessonId', model: 'Lessons' }] },
+  Exams: { via: [{ attribute: 'courseId', model: 'Courses' }, { attribute: 'classId', model: 'Classes' }] },
+  Attendance: { via: [{ attribute: 'classId', model: 'Classes' }] },
+  ClassEnrollments: { via: [{ attribute: 'classId', model: 'Classes' }] },
+  ClassTeachers: { via: [{ attribute: 'classId', model: 'Classes' }] },
+  ClassMeetings: { via: [{ attribute: 'classId', model: 'Classes' }] },
+  BankQuestions: { via: [{ attribute: 'questionBankId', model: 'QuestionBanks' }] },
+  ExamRegrades: { via: [{ attribute: 'examId', model: 'Exams' }] },
+  ExamRegradeChanges: { via: [{ attribute: 'regradeId', model: 'ExamRegrades' }] },
+  ExamIntegrityEvents: { via: [{ attribute: 'examId', model: 'Exams' }] },
+  Submissions: { via: [{ attribute: 'studentId', model: 'Students' }] },
+  ExamStudentAssignments: { via: [{ attribute: 'studentId', model: 'Students' }] },
+  StudentExamAttempts: { via: [{ attribute: 'studentId', model: 'Students' }] },
+  StudentQuizAttempts: { via: [{ attribute: 'studentId', model: 'Students' }] },
+  StudentProgressReports: { via: [{ attribute: 'studentId', model: 'Students' }] },
+  LearningAnalytics: { via: [{ attribute: 'studentId', model: 'Students' }] },
+  ParentAccessSettings: { via: [{ attribute: 'studentId', model: 'Students' }] },
+  StudentAccommodations: { via: [{ attribute: 'studentId', model: 'Students' }] }
+};
+
+const fieldOf = (model, attribute) => model.rawAttributes[attribute].field || attribute;
+
+/**
+ * Build the raw SQL condition limiting a model's rows to a tenant (used inside subqueries)
+ * @param {Object} models - The initialised models
+ * @param {string} name - Model name
+ * @param {Array<number>} institutionIds - The tenant's institutions
+ * @returns {string} - SQL condition on the model's own table
+ */
+const conditionSql = (models, name, institutionIds) => {
+  const model = models[name];
+  const rule = TENANT_RULES[name];
+  const { queryGenerator } = model.sequelize.getQueryInterface();
+
+  if (rule.column) {
+    const column = queryGenerator.quoteIdentifier(fieldOf(model, rule.column));
+    if (institutionIds.length === 0) {
+      return `${column} IS NULL`;
+    }
+    const inList = `${column} IN (${institutionIds.map(Number).join(', ')})`;
+    return rule.shared ? `(${inList} OR ${column} IS NULL)` : inList;
+  }
+
+  const links = rule.via.map(({ attribute, model: parentName }) => {
+    const parent = models[parentName];
+    const column = queryGenerator.quoteIdentifier(fieldOf(model, attribute));
+    const parentKey = queryGenerator.quoteIdentifier(fieldOf(parent, parent.primaryKeyAttribute));
+    const parentTable = queryGenerator.quoteTable(parent.getTableName());
+    return `${column} IN (SELECT ${parentKey} FROM ${parentTable} WHERE ${conditionSql(models, parentName, institutionIds)})`;
+  });
+  return `(${links.join(' OR ')})`;
+};
+
+/**
+ * Build the where clause limiting a model's rows to a tenant
+ * @param {Object} models - The initialised models
+ * @param {string} name - Model name
+ * @param {Array<number>} institutionIds - The tenant's institutions
+ * @param {boolean} useFields - Key the clause by column name (bulk hooks run after attributes are mapped)
+ * @returns {Object} - Sequelize where clause
+ */
+const tenantWhere = (models, name, institutionIds, useFields = false) => {
+  const model = models[name];
+  const rule = TENANT_RULES[name];
+  const key = attribute => (useFields ? fieldOf(model, attribute) : attribute);
+
+  if (rule.column) {
+    const column = key(rule.column);
+    if (institutionIds.length === 0) {
+      return { [column]: null };
+    }
+    return rule.shared
+      ? { [Op.or]: [{ [column]: institutionIds }, { [column]: null }] }
+      : { [column]: institutionIds };
+  }
+
+  const { queryGenerator } = model.sequelize.getQueryInterface();
+  return {
+    [Op.or]: rule.via.map(({ attribute, model: parentName }) => {
+      const parent = models[parentName];
+      const parentKey = queryGenerator.quoteIdentifier(fieldOf(parent, parent.primaryKeyAttribute));
+      const parentTable = queryGenerator.quoteTable(parent.getTableName());
+      const subquery = `(SELECT ${parentKey} FROM ${parentTable} WHERE ${conditionSql(models, parentName, institutionIds)})`;
+      return { [key(attribute)]: { [Op.in]: model.sequelize.literal(subquery) } };
+    })
+  };
+};
+
+// Returns the context to scope by, or null when the query should run unscoped
+const activeTenant = () => {
+  const context = tenantContext.get();
+  return context && !context.crossTenant ? context : null;
+};
+
+/**
+ * Reject records created for another institution; default the institution when the tenant has only one
+ * @param {Object} instance - The record being created
+ * @param {Object} rule - The model's tenant rule
+ * @param {Object} context - The tenant context
+ */
+const guardCreate = (instance, rule, context) => {
+  const institutionId = instance.get(rule.column);
+
+  if (institutionId === null || institutionId === undefined) {
+    if (context.institutionIds.length === 1) {
+      instance.set(rule.column, context.institutionIds[0]);
+    }
+    return;
+  }
+
+  if (!context.institutionIds.includes(Number(institutionId))) {
+    throw new AppError('You cannot create records for another institution', 403);
+  }
+};
+
+/**
+ * Attach the tenant hooks to every tenant-scoped model
+ * Called from initModels, so each set of initialised models is scoped.
+ * @param {Object} models - The initialised models
+ * @returns {Object} - The same models
+ */
+const applyTenantScopes = (models) => {
+  Object.keys(TENANT_RULES).forEach((name) => {
+    const model = models[name];
+    const rule = TENANT_RULES[name];
+
+    if (!model) {
+      return;
+    }
+
+    const scopeQuery = useFields => (options) => {
+      const context = activeTenant();
+      if (!context) {
+        return;
+      }
+
+      const condition = tenantWhere(models, name, context.institutionIds, useFields);
+      options.where = options.where ? { [Op.and]: [options.where, condition] } : condition;
+    };
+
+    model.addHook('beforeFind', 'tenantScope', scopeQuery(false));
+    model.addHook('beforeCount', 'tenantScope', scopeQuery(false));
+    model.addHook('beforeBulkUpdate', 'tenantScope', scopeQuery(true));
+    model.addHook('beforeBulkDestroy', 'tenantScope', scopeQuery(true));
+
+    if (rule.column && rule.guardCreate !== false) {
+      model.addHook('beforeCreate', 'tenantScope', (instance) => {
+        const context = activeTenant();
+        if (context) guardCreate(instance, rule, context);
+      });
+      model.addHook('beforeBulkCreate', 'tenantScope', (instances) => {
+        const context = activeTenant();
+        if (context) instances.forEach(instance => guardCreate(instance, rule, context));
+      });
+    }
+  });
+
+  return models;
+};
+
+module.exports = {
+  TENANT_RULES,
+  tenantWhere,
+  applyTenantScopes
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ */
+const totp = {
+  digits: 6,
+  period: 30,
+
+  /**
+   * Encode a buffer as RFC 4648 base32 without padding
+   * @param {Buffer} buffer - The bytes to encode
+   * @returns {string} - The base32 string
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  },
+
+  /**
+   * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+   * @param {string} input - The base32 string
+   * @returns {Buffer} - The decoded bytes
+   */
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base32 character: ${char}`);
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  },
+
+  /**
+   * Generate a random base32 secret
+   * @param {number} size - Number of random bytes (20 = 160 bits, as recommended by RFC 4226)
+   * @returns {string} - The base32-encoded secret
+   */
+  generateSecret(size = 20) {
+    return this.base32Encode(crypto.randomBytes(size));
+  },
+
+  /**
+   * Get the time step for a timestamp
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {number} - The time step counter
+   */
+  timeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.period);
+  },
+
+  /**
+   * Generate the code for a given time step (HOTP over the step counter)
+   * @param {string} secret - The base32 secret
+   * @param {number} step - The time step counter
+   * @returns {string} - The zero-padded code
+   */
+  generateCode(secret, step = this.timeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return (binary % 10 ** this.digits).toString().padStart(this.digits, '0');
+  },
+
+  /**
+   * Check a code against the current step and its neighbours to allow for clock drift
+   * @param {string} secret - The base32 secret
+   * @param {string} code - The code supplied by the user
+   * @param {Object} options - window (steps either side) and timestamp
+   * @returns {number|null} - The matching time step, or null if the code is invalid
+   */
+  verifyCode(secret, code, options = {}) {
+    const { window = 1, timestamp = Date.now() } = options;
+    const normalized = String(code).replace(/\s/g, '');
+
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const currentStep = this.timeStep(timestamp);
+
+    for (let offset = -window; offset <= window; offset++) {
+      const step = currentStep + offset;
+      const expected = this.generateCode(secret, step);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Build the otpauth:// URI that authenticator apps read from a QR code
+   * @param {string} secret - The base32 secret
+   * @param {string} accountName - Usually the user's email
+   * @param {string} issuer - The service name shown in the app
+   * @returns {string} - The otpauth URI
+   */
+  buildOtpauthUri(secret, accountName, issuer = 'PupilSync') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+};
+
+module.exports = totp;
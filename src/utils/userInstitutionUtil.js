@@ -0,0 +1,86 @@
+const { sequelize } = require('../config/db.js');
+const initModels = require('../models/init-models');
+
+const models = initModels(sequelize);
+const {
+  Students,
+  Teachers,
+  TeacherInstitutions,
+  Institutions,
+  Admins,
+  Parents,
+  ParentStudentLink
+} = models;
+
+/**
+ * Utility functions for resolving which institutions a user belongs to
+ */
+const userInstitutionUtil = {
+  /**
+   * Get the IDs of every institution a user is attached to through their role profile
+   * @param {Object} user - The user (needs userId and role)
+   * @param {Object} options - Additional options (e.g., transaction)
+   * @returns {Promise<Array<number>>} - Unique institution IDs
+   */
+  async getInstitutionIdsForUser(user, options = {}) {
+    const { userId, role } = user;
+    let institutionIds = [];
+
+    switch (role) {
+      case 'student': {
+        const student = await Students.findOne({ where: { userId }, ...options });
+        institutionIds = student && student.institutionId ? [student.institutionId] : [];
+        break;
+      }
+      case 'teacher': {
+        const teacher = await Teachers.findOne({ where: { userId }, attributes: ['teacherId'], ...options });
+        if (teacher) {
+          const links = await TeacherInstitutions.findAll({
+            where: { teacherId: teacher.teacherId },
+            attributes: ['institutionId'],
+            ...options
+          });
+          institutionIds = links.map(link => link.institutionId);
+        }
+        break;
+      }
+      case 'institution': {
+        const institutions = await Institutions.findAll({
+          where: { userId },
+          attributes: ['institutionId'],
+          ...options
+        });
+        institutionIds = institutions.map(institution => institution.institutionId);
+        break;
+      }
+      case 'admin': {
+        const admin = await Admins.findOne({ where: { userId }, ...options });
+        institutionIds = admin ? [admin.institutionId] : [];
+        break;
+      }
+      case 'parent': {
+        const parent = await Parents.findOne({ where: { userId }, ...options });
+        if (parent) {
+          const links = await ParentStudentLink.findAll({
+            where: { parentId: parent.parentId },
+            attributes: ['studentId'],
+            ...options
+          });
+          const students = await Students.findAll({
+            where: { studentId: links.map(link => link.studentId) },
+            attributes: ['institutionId'],
+            ...options
+          });
+          institutionIds = students.map(student => student.institutionId);
+        }
+        break;
+      }
+      default:
+        institutionIds = [];
+    }
+
+    return [...new Set(institutionIds.filter(Boolean))];
+  }
+};
+
+module.exports = userInstitutionUtil;
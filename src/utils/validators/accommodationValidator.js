@@ -0,0 +1,23 @@
+const Joi = require('joi');
+
+/**
+ * Validate a student's accommodations profile
+ * @param {Object} data - The profile data to validate
+ * @returns {Object} - Validation result
+ */
+const validateAccommodationProfile = (data) => {
+  const schema = Joi.object({
+    planType: Joi.string().valid('iep', '504', 'other').allow(null),
+    timeMultiplier: Joi.number().min(1).max(4).precision(2).allow(null),
+    extraAttempts: Joi.number().integer().min(0).max(10),
+    hideTimer: Joi.boolean(),
+    questionSet: Joi.string().trim().max(50).allow(null),
+    notes: Joi.string().max(2000).allow('', null)
+  }).or('timeMultiplier', 'extraAttempts', 'hideTimer', 'questionSet');
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateAccommodationProfile
+};
@@ -0,0 +1,117 @@
+const Joi = require('joi');
+
+const passwordRule = Joi.string().min(8).max(128);
+
+/**
+ * Validate a forgot-password request
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateForgotPassword = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a reset-password request
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateResetPassword = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    code: Joi.string().pattern(/^\d+$/).required(),
+    password: passwordRule.required(),
+    passwordConfirm: Joi.string().valid(Joi.ref('password')).required()
+      .messages({ 'any.only': 'Passwords do not match' })
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a change-password request
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateChangePassword = (data) => {
+  const schema = Joi.object({
+    currentPassword: Joi.string().required(),
+    password: passwordRule.required(),
+    passwordConfirm: Joi.string().valid(Joi.ref('password')).required()
+      .messages({ 'any.only': 'Passwords do not match' })
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate an email verification request
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateVerifyEmail = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    code: Joi.string().pattern(/^\d+$/).required()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a resend-verification request
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateResendVerification = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate an account unlock request
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateUnlockAccount = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    code: Joi.string().pattern(/^\d+$/).required()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate an invitation acceptance (first password for an account created by a roster import)
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateAcceptInvitation = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    token: Joi.string().hex().length(64).required(),
+    password: passwordRule.required(),
+    passwordConfirm: Joi.string().valid(Joi.ref('password')).required()
+      .messages({ 'any.only': 'Passwords do not match' })
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateUnlockAccount,
+  validateAcceptInvitation
+};
@@ -0,0 +1,65 @@
+const Joi = require('joi');
+
+const day = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('Dates must be given as YYYY-MM-DD');
+
+/**
+ * Validate academic session data (school year, semester, term or grading period)
+ * @param {Object} data - The session data to validate
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @returns {Object} - Validation result
+ */
+const validateAcademicSession = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    institutionId: isUpdate ? Joi.number().integer().positive() : Joi.number().integer().positive().required(),
+    parentId: Joi.number().integer().positive().allow(null),
+    title: isUpdate ? Joi.string().max(255) : Joi.string().max(255).required(),
+    type: isUpdate
+      ? Joi.string().valid('schoolYear', 'semester', 'term', 'gradingPeriod')
+      : Joi.string().valid('schoolYear', 'semester', 'term', 'gradingPeriod').required(),
+    startDate: isUpdate ? day : day.required(),
+    endDate: isUpdate ? day : day.required(),
+    schoolYear: Joi.number().integer().min(1900).max(2200).allow(null)
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate holiday data
+ * @param {Object} data - The holiday data to validate
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @returns {Object} - Validation result
+ */
+const validateHoliday = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    institutionId: isUpdate ? Joi.number().integer().positive() : Joi.number().integer().positive().required(),
+    academicSessionId: Joi.number().integer().positive().allow(null),
+    title: isUpdate ? Joi.string().max(255) : Joi.string().max(255).required(),
+    startDate: isUpdate ? day : day.required(),
+    endDate: day,
+    description: Joi.string().allow('', null)
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a date range query (from/to)
+ * @param {Object} data - The query to validate
+ * @param {boolean} required - Whether both ends of the range are required
+ * @returns {Object} - Validation result
+ */
+const validateDateRange = (data, required = false) => {
+  const schema = Joi.object({
+    from: required ? day.required() : day,
+    to: required ? day.required() : day
+  }).unknown(true);
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateAcademicSession,
+  validateHoliday,
+  validateDateRange
+};
@@ -0,0 +1,91 @@
+const Joi = require('joi');
+
+const studentIds = Joi.array().items(Joi.number().integer().positive()).min(1).max(500).unique();
+
+/**
+ * Validate class data
+ * @param {Object} data - The class data to validate
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @returns {Object} - Validation result
+ */
+const validateClass = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    institutionId: isUpdate ? Joi.number().integer().positive() : Joi.number().integer().positive().required(),
+    teacherId: isUpdate ? Joi.number().integer().positive() : Joi.number().integer().positive().required(),
+    name: isUpdate ? Joi.string().max(255) : Joi.string().max(255).required(),
+    description: Joi.string().allow('', null),
+    academicSessionId: Joi.number().integer().positive().allow(null)
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a co-teacher assignment
+ * @param {Object} data - The assignment to validate
+ * @returns {Object} - Validation result
+ */
+const validateCoTeacher = (data) => {
+  const schema = Joi.object({
+    teacherId: Joi.number().integer().positive().required(),
+    role: Joi.string().valid('co_teacher', 'assistant')
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a roster change (adding or removing students)
+ * @param {Object} data - The roster change to validate
+ * @returns {Object} - Validation result
+ */
+const validateRosterChange = (data) => {
+  const schema = Joi.object({
+    studentIds: studentIds.required(),
+    reason: Joi.string().max(500)
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a roster transfer to another class
+ * @param {Object} data - The transfer to validate
+ * @returns {Object} - Validation result
+ */
+const validateRosterTransfer = (data) => {
+  const schema = Joi.object({
+    studentIds: studentIds.required(),
+    toClassId: Joi.number().integer().positive().required(),
+    reason: Joi.string().max(500)
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a weekly class meeting
+ * @param {Object} data - The meeting to validate
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @returns {Object} - Validation result
+ */
+const validateClassMeeting = (data, isUpdate = false) => {
+  const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/).message('Times must be given as HH:MM');
+
+  const schema = Joi.object({
+    dayOfWeek: isUpdate ? Joi.number().integer().min(1).max(7) : Joi.number().integer().min(1).max(7).required(),
+    startTime: isUpdate ? time : time.required(),
+    endTime: isUpdate ? time : time.required(),
+    room: Joi.string().max(100).allow(null)
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateClass,
+  validateCoTeacher,
+  validateRosterChange,
+  validateRosterTransfer,
+  validateClassMeeting
+};
@@ -0,0 +1,36 @@
+const Joi = require('joi');
+
+/**
+ * Validate an enrollment request
+ * @param {Object} data - The enrollment data to validate
+ * @returns {Object} - Validation result
+ */
+const validateEnrollment = (data) => {
+  const schema = Joi.object({
+    courseId: Joi.number().integer().positive().required(),
+    studentId: Joi.number().integer().positive()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate an enrollment status change
+ * @param {Object} data - The status change to validate
+ * @returns {Object} - Validation result
+ */
+const validateEnrollmentStatus = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('active', 'completed', 'dropped', 'suspended').required(),
+    notes: Joi.string().allow('', null),
+    finalGrade: Joi.number().min(0).max(100).allow(null),
+    paymentStatus: Joi.string().valid('paid', 'refunded', 'failed')
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateEnrollment,
+  validateEnrollmentStatus
+};
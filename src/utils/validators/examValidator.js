@@ -0,0 +1,145 @@
+const Joi = require('joi');
+const { answerConfig, structuredResponse } = require('./questionSchemas');
+
+const QUESTION_TYPES = ['multiple_choice', 'short_answer', 'fill_in_blank', 'multi_select', 'numeric', 'matching', 'ordering', 'essay'];
+
+const INTEGRITY_EVENT_TYPES = ['tab_blur', 'copy', 'paste', 'fullscreen_exit', 'ip_change', 'concurrent_session'];
+
+// Event types only the server records
+const SERVER_EVENT_TYPES = ['ip_change', 'concurrent_session'];
+
+/**
+ * Validate an exam's attempt settings; the exam's other fields are left to the model
+ * @param {Object} data - The exam data to validate
+ * @returns {Object} - Validation result
+ */
+const validateExamSettings = (data) => {
+  const schema = Joi.object({
+    maxAttempts: Joi.number().integer().min(1).max(20),
+    attemptCooldownMinutes: Joi.number().integer().min(0),
+    scoringRule: Joi.string().valid('highest', 'latest', 'average'),
+    retakeIncorrectOnly: Joi.boolean()
+  }).unknown(true);
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate exam question data
+ * Choice questions (multiple_choice, multi_select) take answers; numeric, matching and
+ * ordering questions take an answerConfig; essays are always graded by the teacher.
+ * @param {Object} data - The question data to validate
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @returns {Object} - Validation result
+ */
+const validateExamQuestion = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    questionText: isUpdate ? Joi.string() : Joi.string().required(),
+    questionType: isUpdate
+      ? Joi.string().valid(...QUESTION_TYPES)
+      : Joi.string().valid(...QUESTION_TYPES).required(),
+    points: Joi.number().positive(),
+    orderNumber: Joi.number().integer().min(0),
+    correctAnswer: Joi.string().allow('', null),
+    caseSensitive: Joi.boolean(),
+    allowPartialMatch: Joi.boolean(),
+    // Questions in a named set are only given to students whose accommodations ask for that set
+    questionSet: Joi.string().trim().max(50).allow(null),
+    answerConfig,
+    answers: Joi.array().items(Joi.object({
+      // On update, an answerId corrects that answer in place so students' choices of it are kept
+      answerId: isUpdate ? Joi.number().integer().positive() : Joi.forbidden(),
+      answerText: Joi.string().required(),
+      isCorrect: Joi.boolean()
+    })).min(1).unique((a, b) => a.answerId && a.answerId === b.answerId)
+  }).with('answerConfig', 'questionType');
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a student's answer to an exam question
+ * @param {Object} data - The answer to validate
+ * @returns {Object} - Validation result
+ */
+const validateExamResponse = (data) => {
+  const schema = Joi.object({
+    chosenAnswerId: Joi.number().integer().positive(),
+    textResponse: Joi.string().allow('').max(20000),
+    ...structuredResponse
+  })
+    .xor('chosenAnswerId', 'textResponse', 'answerIds', 'value', 'matches', 'order')
+    .with('unit', 'value');
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a teacher's grade for an exam response
+ * @param {Object} data - The grade data to validate
+ * @returns {Object} - Validation result
+ */
+const validateResponseGrade = (data) => {
+  const schema = Joi.object({
+    scoreAwarded: Joi.number().precision(2).min(0).required(),
+    feedback: Joi.string().max(2000).allow('', null)
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a regrade request for an exam question
+ * @param {Object} data - The regrade data to validate
+ * @returns {Object} - Validation result
+ */
+const validateRegrade = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string().max(2000).allow('', null)
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate integrity events reported by the exam page
+ * IP changes and concurrent sessions are detected by the server, so clients cannot report them.
+ * @param {Object} data - The events to validate
+ * @returns {Object} - Validation result
+ */
+const validateIntegrityEvents = (data) => {
+  const schema = Joi.object({
+    events: Joi.array().items(Joi.object({
+      eventType: Joi.string().valid(...INTEGRITY_EVENT_TYPES.filter(type => !SERVER_EVENT_TYPES.includes(type))).required(),
+      occurredAt: Joi.date().iso(),
+      details: Joi.object().max(20)
+    })).max(50).default([])
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate an exam's integrity policy
+ * @param {Object} data - { action, threshold } per event type
+ * @returns {Object} - Validation result
+ */
+const validateIntegrityPolicy = (data) => {
+  const rule = Joi.object({
+    action: Joi.string().valid('log', 'warn', 'flag', 'auto_submit'),
+    threshold: Joi.number().integer().min(1).max(100)
+  }).min(1);
+  const schema = Joi.object(INTEGRITY_EVENT_TYPES.reduce((keys, type) => ({ ...keys, [type]: rule }), {})).min(1);
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateExamSettings,
+  validateExamQuestion,
+  validateExamResponse,
+  validateResponseGrade,
+  validateRegrade,
+  validateIntegrityEvents,
+  validateIntegrityPolicy
+};
@@ -0,0 +1,64 @@
+const Joi = require('joi');
+
+const VERSIONS = ['2.1', '3.0'];
+
+/**
+ * Validate the settings of an exam imported from a QTI package (sent as query parameters)
+ * @param {Object} data - The exam settings to validate
+ * @returns {Object} - Validation result
+ */
+const validateQtiExamImport = (data) => {
+  const schema = Joi.object({
+    courseId: Joi.number().integer().positive().required(),
+    classId: Joi.number().integer().positive(),
+    teacherId: Joi.number().integer().positive(),
+    title: Joi.string().max(255),
+    description: Joi.string().max(2000),
+    instructions: Joi.string().max(2000),
+    startDate: Joi.date().iso().required(),
+    endDate: Joi.date().iso().greater(Joi.ref('startDate')).required(),
+    duration: Joi.number().integer().min(1).required(),
+    passingPercentage: Joi.number().min(0).max(100),
+    dryRun: Joi.boolean()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate the settings of a quiz imported from a QTI package (sent as query parameters)
+ * @param {Object} data - The quiz settings to validate
+ * @returns {Object} - Validation result
+ */
+const validateQtiQuizImport = (data) => {
+  const schema = Joi.object({
+    courseId: Joi.number().integer().positive().required(),
+    lessonId: Joi.number().integer().positive(),
+    title: Joi.string().min(3).max(100),
+    timeLimitMinutes: Joi.number().integer().min(1),
+    passingScore: Joi.number().min(0).max(100),
+    maxAttempts: Joi.number().integer().min(1),
+    dryRun: Joi.boolean()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate the options of a QTI export
+ * @param {Object} data - { version }
+ * @returns {Object} - Validation result
+ */
+const validateQtiExport = (data) => {
+  const schema = Joi.object({
+    version: Joi.string().valid(...VERSIONS).default('2.1')
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateQtiExamImport,
+  validateQtiQuizImport,
+  validateQtiExport
+};
@@ -0,0 +1,88 @@
+const Joi = require('joi');
+
+const tag = Joi.string().trim().lowercase().max(50);
+const difficulty = Joi.string().valid('easy', 'medium', 'hard');
+
+/**
+ * Validate question bank data
+ * @param {Object} data - The bank data to validate
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @returns {Object} - Validation result
+ */
+const validateQuestionBank = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    institutionId: isUpdate ? Joi.forbidden() : Joi.number().integer().positive().required(),
+    teacherId: isUpdate ? Joi.forbidden() : Joi.number().integer().positive(),
+    title: isUpdate ? Joi.string().max(255) : Joi.string().max(255).required(),
+    description: Joi.string().allow('', null),
+    isShared: Joi.boolean()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a bank question with its answers
+ * For short_answer and fill_in_blank questions the answers are the accepted responses.
+ * @param {Object} data - The question data to validate
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @returns {Object} - Validation result
+ */
+const validateBankQuestion = (data, isUpdate = false) => {
+  const answer = Joi.object({
+    answerText: Joi.string().required(),
+    isCorrect: Joi.boolean().default(false)
+  });
+
+  const schema = Joi.object({
+    questionText: isUpdate ? Joi.string() : Joi.string().required(),
+    questionType: isUpdate
+      ? Joi.string().valid('multiple_choice', 'true_false', 'short_answer', 'fill_in_blank')
+      : Joi.string().valid('multiple_choice', 'true_false', 'short_answer', 'fill_in_blank').required(),
+    points: Joi.number().positive(),
+    difficulty: difficulty.allow(null),
+    tags: Joi.array().items(tag).unique().max(20),
+    caseSensitive: Joi.boolean(),
+    allowPartialMatch: Joi.boolean(),
+    answers: isUpdate ? Joi.array().items(answer).min(1) : Joi.array().items(answer).min(1).required()
+  }).with('questionType', 'answers');
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate an exam draw rule (N questions per student from a bank, optionally by tag or difficulty)
+ * @param {Object} data - The draw data to validate
+ * @returns {Object} - Validation result
+ */
+const validateQuestionDraw = (data) => {
+  const schema = Joi.object({
+    questionBankId: Joi.number().integer().positive().required(),
+    tag: tag.allow(null),
+    difficulty: difficulty.allow(null),
+    count: Joi.number().integer().min(1).max(200).required(),
+    points: Joi.number().positive().allow(null)
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a list of bank questions to copy into a quiz
+ * @param {Object} data - { bankQuestionIds }
+ * @returns {Object} - Validation result
+ */
+const validateBankQuestionIds = (data) => {
+  const schema = Joi.object({
+    bankQuestionIds: Joi.array().items(Joi.number().integer().positive()).min(1).max(200).unique().required()
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateQuestionBank,
+  validateBankQuestion,
+  validateQuestionDraw,
+  validateBankQuestionIds
+};
@@ -0,0 +1,20 @@
+const Joi = require('joi');
+
+/**
+ * Validate the options of a GIFT/Aiken question import (sent as query parameters)
+ * @param {Object} data - { format, dryRun, points }
+ * @returns {Object} - Validation result
+ */
+const validateQuestionImport = (data) => {
+  const schema = Joi.object({
+    format: Joi.string().lowercase().valid('gift', 'aiken').required(),
+    dryRun: Joi.boolean(),
+    points: Joi.number().positive().max(1000)
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateQuestionImport
+};
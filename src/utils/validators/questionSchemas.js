@@ -0,0 +1,50 @@
+const Joi = require('joi');
+
+/**
+ * Joi schemas shared by the exam and quiz validators for the richer question types
+ */
+
+const numericConfig = Joi.object({
+  value: Joi.number().required(),
+  tolerance: Joi.number().min(0),
+  toleranceType: Joi.string().valid('absolute', 'relative'),
+  units: Joi.array().items(Joi.string().trim().max(20)).unique().max(10)
+});
+
+const matchingConfig = Joi.object({
+  pairs: Joi.array().items(Joi.object({
+    prompt: Joi.string().max(500).required(),
+    match: Joi.string().max(500).required()
+  })).min(2).max(20).required()
+});
+
+const orderingConfig = Joi.object({
+  items: Joi.array().items(Joi.string().max(500)).min(2).max(20).required()
+});
+
+/**
+ * The settings of a numeric, matching or ordering question; forbidden for other types
+ * Needs a questionType alongside it (use .with('answerConfig', 'questionType') on updates).
+ */
+const answerConfig = Joi.when('questionType', {
+  switch: [
+    { is: 'numeric', then: numericConfig.required() },
+    { is: 'matching', then: matchingConfig.required() },
+    { is: 'ordering', then: orderingConfig.required() }
+  ],
+  otherwise: Joi.forbidden()
+});
+
+// Answers to the richer question types; send exactly one of them (or the type's usual field)
+const structuredResponse = {
+  answerIds: Joi.array().items(Joi.number().integer().positive()).unique().max(50),
+  value: Joi.number(),
+  unit: Joi.string().trim().max(20).allow(''),
+  matches: Joi.array().items(Joi.string().max(500).allow(null)).max(20),
+  order: Joi.array().items(Joi.string().max(500)).max(20)
+};
+
+module.exports = {
+  answerConfig,
+  structuredResponse
+};
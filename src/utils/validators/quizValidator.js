@@ -1,4 +1,8 @@
 const Joi = require('joi');
+const { answerConfig, structuredResponse } = require('./questionSchemas');
+
+// Essays are exam-only: quizzes are graded automatically on submission
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer', 'multi_select', 'numeric', 'matching', 'ordering'];
 
 /**
  * Validate quiz data
@@ -24,8 +28,9 @@ const validateQuiz = (data, isUpdate = false) => {
     questions: Joi.array().items(
       Joi.object({
         questionText: Joi.string().required(),
-        questionType: Joi.string().valid('multiple_choice', 'true_false', 'short_answer', 'matching').required(),
+        questionType: Joi.string().valid(...QUESTION_TYPES).required(),
         points: Joi.number().min(0),
+        answerConfig,
         answers: Joi.array().items(
           Joi.object({
             answerText: Joi.string().required(),
@@ -49,8 +54,9 @@ const validateQuiz = (data, isUpdate = false) => {
 const validateQuizQuestion = (data, isUpdate = false) => {
   const schema = Joi.object({
     questionText: Joi.string().required(),
-    questionType: Joi.string().valid('multiple_choice', 'true_false', 'short_answer', 'matching').required(),
+    questionType: Joi.string().valid(...QUESTION_TYPES).required(),
     points: Joi.number().min(0),
+    answerConfig,
     answers: Joi.array().items(
       Joi.object({
         answerText: Joi.string().required(),
@@ -82,8 +88,27 @@ const validateQuizAttempt = (data) => {
   return schema.validate(data);
 };
 
+/**
+ * Validate an answer to one question of a quiz attempt
+ * @param {Object} data - The answer to validate
+ * @returns {Object} - Validation result
+ */
+const validateQuizResponse = (data) => {
+  const schema = Joi.object({
+    questionId: Joi.number().integer().positive().required(),
+    answerId: Joi.number().integer().positive(),
+    textResponse: Joi.string().allow('').max(2000),
+    ...structuredResponse
+  })
+    .xor('answerId', 'textResponse', 'answerIds', 'value', 'matches', 'order')
+    .with('unit', 'value');
+
+  return schema.validate(data);
+};
+
 module.exports = {
   validateQuiz,
   validateQuizQuestion,
-  validateQuizAttempt
+  validateQuizAttempt,
+  validateQuizResponse
 };
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+
+// The same fields the register-student, register-teacher and register-parent endpoints accept,
+// limited to the sizes of the columns they are stored in
+const nameRule = Joi.string().trim().max(100);
+const optionalText = max => Joi.string().trim().max(max).allow('');
+
+/**
+ * Validate one row of a roster CSV
+ * Students and teachers become new accounts; a parent row links the parent (new or existing)
+ * to the student with the given email.
+ * @param {Object} data - The parsed row (without its row number)
+ * @returns {Object} - Validation result
+ */
+const validateRosterRow = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().lowercase().valid('student', 'teacher', 'parent').required(),
+    email: Joi.string().trim().lowercase().email().max(255).required(),
+    firstName: nameRule.required(),
+    lastName: nameRule.required(),
+    gradeLevel: optionalText(50),
+    subjectExpertise: optionalText(1000),
+    bio: optionalText(2000),
+    studentEmail: Joi.when('role', {
+      is: 'parent',
+      then: Joi.string().trim().lowercase().email().max(255).required(),
+      otherwise: Joi.string().allow('')
+    }),
+    relationship: optionalText(100)
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+module.exports = {
+  validateRosterRow
+};
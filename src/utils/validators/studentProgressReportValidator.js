@@ -54,6 +54,7 @@ const validateStudentProgressReport = (data, isUpdate = false) => {
     reportDate: Joi.date().default(Date.now),
     periodStart: Joi.date(),
     periodEnd: Joi.date().greater(Joi.ref('periodStart')),
+    academicSessionId: Joi.number().integer().positive().allow(null),
     isPublished: Joi.boolean().default(true),
     publishedAt: Joi.date(),
     attachments: Joi.array().items(
@@ -0,0 +1,73 @@
+const Joi = require('joi');
+
+const codeRule = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Authentication code must be 6 digits'
+});
+const recoveryCodeRule = Joi.string().pattern(/^[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}$/).messages({
+  'string.pattern.base': 'Recovery code must look like xxxx-xxxx'
+});
+
+/**
+ * Validate a request carrying a single TOTP code
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateTwoFactorCode = (data) => {
+  const schema = Joi.object({
+    code: codeRule.required()
+  });
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate the second step of a two-factor login
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateTwoFactorLogin = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: codeRule,
+    recoveryCode: recoveryCodeRule
+  }).xor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a request to turn off two-factor authentication
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateDisableTwoFactor = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: codeRule,
+    recoveryCode: recoveryCodeRule
+  }).xor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
+/**
+ * Validate a two-factor enforcement policy
+ * @param {Object} data - The request body
+ * @returns {Object} - Validation result
+ */
+const validateTwoFactorPolicy = (data) => {
+  const schema = Joi.object({
+    institutionId: Joi.number().integer().allow(null),
+    role: Joi.string().valid('student', 'teacher', 'admin', 'parent', 'institution').allow(null),
+    isRequired: Joi.boolean().required()
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateTwoFactorPolicy
+};
@@ -0,0 +1,241 @@
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'', nbsp: '\u00a0' };
+
+const TAG = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Replace character and entity references with the characters they stand for
+ * @param {string} text - The raw text
+ * @returns {string} - The decoded text; unknown entities are left as they are
+ */
+const decode = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[entity] !== undefined ? ENTITIES[entity] : reference;
+});
+
+/**
+ * Find the end of a construct, or fail on truncated input
+ * @param {string} text - The document
+ * @param {string} terminator - The closing sequence
+ * @param {number} from - Where to start looking
+ * @returns {number} - The index just after the terminator
+ */
+const skipPast = (text, terminator, from) => {
+  const end = text.indexOf(terminator, from);
+  if (end === -1) {
+    throw new Error(`Expected ${terminator} before the end of the document`);
+  }
+  return end + terminator.length;
+};
+
+/**
+ * Minimal non-validating XML reader and writer for content packages (QTI)
+ * Elements are plain objects { name, attributes, children } where children are elements
+ * or strings. DTDs are skipped, not applied; namespaces are kept as written in the names.
+ */
+const xml = {
+  /**
+   * Parse an XML document
+   * @param {string|Buffer} input - The document
+   * @returns {Object} - The root element
+   */
+  parse(input) {
+    let text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+    // Strip a UTF-8 byte order mark
+    if (text.charCodeAt(0) === 0xfeff) {
+      text = text.slice(1);
+    }
+
+    const document = { name: '#document', attributes: {}, children: [] };
+    const stack = [document];
+    let position = 0;
+
+    while (position < text.length) {
+      const parent = stack[stack.length - 1];
+
+      if (text.startsWith('<!--', position)) {
+        position = skipPast(text, '-->', position);
+      } else if (text.startsWith('<![CDATA[', position)) {
+        const end = skipPast(text, ']]>', position);
+        parent.children.push(text.slice(position + 9, end - 3));
+        position = end;
+      } else if (text.startsWith('<?', position)) {
+        position = skipPast(text, '?>', position);
+      } else if (text.startsWith('<!', position)) {
+        // A DOCTYPE, possibly with an internal subset in brackets
+        const bracket = text.indexOf('[', position);
+        const close = text.indexOf('>', position);
+        position = bracket !== -1 && bracket < close ? skipPast(text, ']>', bracket) : skipPast(text, '>', position);
+      } else if (text.startsWith('</', position)) {
+        const end = skipPast(text, '>', position);
+        const name = text.slice(position + 2, end - 1).trim();
+        if (stack.length === 1 || parent.name !== name) {
+          throw new Error(`Unexpected closing tag </${name}>`);
+        }
+        stack.pop();
+        position = end;
+      } else if (text[position] === '<') {
+        TAG.lastIndex = position;
+        const match = TAG.exec(text);
+        if (!match) {
+          throw new Error(`Malformed tag at position ${position}`);
+        }
+
+        const attributes = {};
+        for (const [, key, doubleQuoted, singleQuoted] of match[2].matchAll(ATTRIBUTE)) {
+          attributes[key] = decode(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+        }
+
+        const element = { name: match[1], attributes, children: [] };
+        parent.children.push(element);
+        if (!match[3]) {
+          stack.push(element);
+        }
+        position = TAG.lastIndex;
+      } else {
+        const end = text.indexOf('<', position);
+        const content = text.slice(position, end === -1 ? text.length : end);
+        if (stack.length > 1) {
+          parent.children.push(decode(content));
+        } else if (content.trim() !== '') {
+          throw new Error('Text outside the root element');
+        }
+        position = end === -1 ? text.length : end;
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+    }
+
+    const roots = document.children.filter(child => typeof child !== 'string');
+    if (roots.length !== 1) {
+      throw new Error(roots.length === 0 ? 'No root element' : 'More than one root element');
+    }
+
+    return roots[0];
+  },
+
+  /**
+   * The name of an element without its namespace prefix
+   * @param {Object} element - The element
+   * @returns {string} - The local name (e.g. imsmd:lom -> lom)
+   */
+  localName(element) {
+    return element.name.slice(element.name.indexOf(':') + 1);
+  },
+
+  /**
+   * The child elements of an element, optionally only those with a local name
+   * @param {Object} element - The element
+   * @param {string} name - The local name to keep
+   * @returns {Array<Object>} - The child elements
+   */
+  children(element, name) {
+    return element.children.filter(child => typeof child !== 'string' && (!name || this.localName(child) === name));
+  },
+
+  /**
+   * All descendant elements with a local name, in document order
+   * @param {Object} element - The element to search
+   * @param {string} name - The local name
+   * @returns {Array<Object>} - The matching elements
+   */
+  findAll(element, name) {
+    return this.children(element).flatMap(child => [
+      ...(this.localName(child) === name ? [child] : []),
+      ...this.findAll(child, name)
+    ]);
+  },
+
+  /**
+   * The first descendant element with a local name
+   * @param {Object} element - The element to search
+   * @param {string} name - The local name
+   * @returns {Object|null} - The element, or null if there is none
+   */
+  find(element, name) {
+    for (const child of this.children(element)) {
+      if (this.localName(child) === name) {
+        return child;
+      }
+      const found = this.find(child, name);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * The text content of an element with whitespace collapsed
+   * @param {Object} element - The element
+   * @returns {string} - The text, trimmed
+   */
+  text(element) {
+    const collect = node => (typeof node === 'string' ? node : ` ${node.children.map(collect).join('')} `);
+    return element ? collect(element).replace(/\s+/g, ' ').trim() : '';
+  },
+
+  /**
+   * Create an element
+   * @param {string} name - The element name
+   * @param {Object} attributes - The attributes; null and undefined values are left out
+   * @param {Array} children - Child elements and strings
+   * @returns {Object} - The element
+   */
+  element(name, attributes = {}, children = []) {
+    const kept = Object.fromEntries(Object.entries(attributes)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, String(value)]));
+
+    return { name, attributes: kept, children };
+  },
+
+  /**
+   * Escape text for use in XML content or attribute values
+   * @param {string} text - The text
+   * @returns {string} - The escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  },
+
+  /**
+   * Serialise an element as an indented XML document with a declaration
+   * Elements with text children are written on one line so their text is kept exactly.
+   * @param {Object} root - The root element
+   * @returns {string} - The document
+   */
+  stringify(root) {
+    const write = (element, indent) => {
+      const attributes = Object.entries(element.attributes)
+        .map(([key, value]) => ` ${key}="${this.escape(value)}"`)
+        .join('');
+      const open = `${indent}<${element.name}${attributes}`;
+
+      if (element.children.length === 0) {
+        return `${open}/>`;
+      }
+      if (element.children.some(child => typeof child === 'string')) {
+        const inline = child => (typeof child === 'string' ? this.escape(child) : write(child, '').trim());
+        return `${open}>${element.children.map(inline).join('')}</${element.name}>`;
+      }
+
+      const children = element.children.map(child => write(child, `${indent}  `)).join('\n');
+      return `${open}>\n${children}\n${indent}</${element.name}>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${write(root, '')}\n`;
+  }
+};
+
+module.exports = xml;
@@ -0,0 +1,151 @@
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Convert a date to the MS-DOS time and date fields used in zip headers
+ * @param {Date} date - The date
+ * @returns {Object} - { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Minimal zip reader and writer for CSV bundles (no encryption, zip64 or multi-disk archives)
+ */
+const zip = {
+  /**
+   * Read the files of a zip archive
+   * Folders inside the archive are ignored; files are keyed by their name without the folder
+   * unless keepPaths is set, in which case they are keyed by their full path inside the archive.
+   * @param {Buffer} buffer - The archive
+   * @param {Object} options - maxFileBytes limits the size of each extracted file; keepPaths keeps folders in the keys
+   * @returns {Object} - File contents keyed by file name
+   */
+  read(buffer, { maxFileBytes = 50 * 1024 * 1024, keepPaths = false } = {}) {
+    // The end-of-central-directory record is in the last 22 bytes plus an optional comment
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset -= 1) {
+      if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+        end = offset;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('Not a zip archive');
+    }
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = {};
+
+    for (let i = 0; i < entryCount; i += 1) {
+      if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+        throw new Error('Corrupt zip central directory');
+      }
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const size = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) {
+        continue;
+      }
+      if (size > maxFileBytes) {
+        throw new Error(`${name} is too large`);
+      }
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+        throw new Error('Corrupt zip file header');
+      }
+
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      let content;
+      if (method === STORED) {
+        content = data;
+      } else if (method === DEFLATED) {
+        content = zlib.inflateRawSync(data, { maxOutputLength: maxFileBytes });
+      } else {
+        throw new Error(`${name} uses an unsupported compression method`);
+      }
+
+      files[keepPaths ? name : name.split('/').pop()] = content;
+    }
+
+    return files;
+  },
+
+  /**
+   * Build a deflate-compressed zip archive
+   * @param {Object} files - File contents (string or Buffer) keyed by file name (folders allowed, e.g. items/a.xml)
+   * @returns {Buffer} - The archive
+   */
+  create(files) {
+    const { time, date } = toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      const compressed = zlib.deflateRawSync(data);
+      const nameBuffer = Buffer.from(name, 'utf8');
+      const crc = zlib.crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(LOCAL_HEADER, 0);
+      local.writeUInt16LE(20, 4); // version needed to extract
+      local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      local.writeUInt16LE(DEFLATED, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(nameBuffer.length, 26);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(CENTRAL_HEADER, 0);
+      central.writeUInt16LE(20, 4); // version made by
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(DEFLATED, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(date, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(nameBuffer.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, nameBuffer, compressed);
+      centralParts.push(central, nameBuffer);
+      offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+};
+
+module.exports = zip;
@@ -34,7 +34,7 @@ const tableCreationOrder = [
   'OtpCodes'         // Depends on Users
 ];
 
-async function syncDatabase(force = false) {
+async function syncDatabase(force = false, alter = false) {
   console.log(`🔄 Syncing database${force ? ' (WITH FORCE)' : ''}...`);
   
   try {
@@ -64,6 +64,13 @@ async function syncDatabase(force = false) {
       console.log(`✅ Table for ${modelName} created successfully`);
     }
     
+    // sync() creates missing tables and indexes but never changes a table that exists;
+    // alter adds the columns (and enum values) the models have gained since
+    if (alter) {
+      console.log('🔧 Altering existing tables to match the models...');
+      await sequelize.sync({ alter: true });
+    }
+
     console.log('✅ Database schema synchronized successfully!');
     
     // Add associations after all tables are created
@@ -84,6 +91,7 @@ async function syncDatabase(force = false) {
 // Run the script
 const args = process.argv.slice(2);
 const force = args.includes('--force');
+const alter = args.includes('--alter');
 
 if (force) {
   console.warn('⚠️ WARNING: Using force sync will drop all existing tables!');
@@ -98,7 +106,7 @@ if (force) {
       });
   }, 5000);
 } else {
-  syncDatabase(force)
+  syncDatabase(force, alter)
     .then(() => sequelize.close())
     .catch(err => {
       console.error('Fatal error:', err);
@@ -32,24 +32,11 @@ jest.mock('../../src/middlewares/auth', () => ({
     }
     next();
   },
-  restrictTo: (...roles) => (req, res, next) => {
-    if (req.user && roles.includes(req.user.role)) {
-      return next();
-    }
-    return res.status(403).json({ status: 'fail', message: 'Forbidden' });
-  }
+  // Permissions and course ownership are checked by the real policy engine
+  authorize: jest.requireActual('../../src/middlewares/auth/authorize'),
+  allowTwoFactorSetup: (req, res, next) => next()
 }));
 
-// We still need to mock the separate restrictTo module for routes that import it directly
-jest.mock('../../src/middlewares/auth/restrictTo', () => 
-  (...roles) => (req, res, next) => {
-    if (req.user && roles.includes(req.user.role)) {
-      return next();
-    }
-    return res.status(403).json({ status: 'fail', message: 'Forbidden' });
-  }
-);
-
 
 describe('Course Controller Integration Tests', () => {
   let courseId;
@@ -0,0 +1,54 @@
+// tests/unit/authController.test.js
+const mockModels = {
+  Users: { findOne: jest.fn() },
+  OtpCodes: { findAll: jest.fn(), update: jest.fn(), create: jest.fn() },
+};
+
+jest.mock('../../../src/config/db.js', () => ({ sequelize: {} }));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn(), info: jest.fn() }));
+jest.mock('../../../src/utils/mailer', () => ({ sendMail: jest.fn(async () => ({})) }));
+
+const authController = require('../../../src/controllers/authController');
+const mailer = require('../../../src/utils/mailer');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Auth Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('forgotPassword', () => {
+    it('should answer a repeated request for an existing email like any other, sending one code', async () => {
+      const issued = [];
+      mockModels.Users.findOne.mockResolvedValue({ userId: 5, email: 'student@example.com', firstName: 'Sam' });
+      mockModels.OtpCodes.findAll.mockImplementation(async () => issued);
+      mockModels.OtpCodes.create.mockImplementation(async (data) => {
+        const otp = { otpId: issued.length + 1, createdAt: new Date(), ...data };
+        issued.unshift(otp);
+        return otp;
+      });
+
+      const first = mockResponse();
+      const second = mockResponse();
+      const next = jest.fn();
+
+      await authController.forgotPassword({ body: { email: 'student@example.com' } }, first, next);
+      await authController.forgotPassword({ body: { email: 'student@example.com' } }, second, next);
+
+      expect(first.status).toHaveBeenCalledWith(200);
+      expect(second.status).toHaveBeenCalledWith(200);
+      expect(second.json).toHaveBeenCalledWith(first.json.mock.calls[0][0]);
+      expect(next).not.toHaveBeenCalled();
+      expect(mailer.sendMail).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// tests/unit/protect.test.js
+const mockModels = {
+  Users: { findByPk: jest.fn() },
+  Teachers: {},
+  Students: {},
+  Parents: {},
+  Admins: {},
+};
+
+jest.mock('../../../src/config/db.js', () => ({ sequelize: {} }));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/services/sessionService', () => ({ getActiveSession: jest.fn() }));
+jest.mock('../../../src/utils/userInstitutionUtil', () => ({ getInstitutionIdsForUser: jest.fn(async () => [4]) }));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { allowTwoFactorSetup } = require('../../../src/middlewares/auth');
+const { signPurposeToken } = require('../../../src/utils/authUtils');
+const tenantContext = require('../../../src/utils/tenantContext');
+
+const setupRequest = () => ({
+  headers: { authorization: `Bearer ${signPurposeToken({ userId: 5 }, 'two_factor_setup', 10)}` }
+});
+
+const user = (data = {}) => ({
+  userId: 5, role: 'teacher', isVerified: true, changedPasswordAfter: jest.fn(() => false), ...data
+});
+
+describe('allowTwoFactorSetup', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should run the setup request in the user\'s tenant context', async () => {
+    mockModels.Users.findByPk.mockResolvedValue(user());
+    const req = setupRequest();
+    let tenant;
+    const next = jest.fn(() => { tenant = tenantContext.get(); });
+
+    await allowTwoFactorSetup(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req).toMatchObject({ twoFactorSetupToken: true, user: { userId: 5 } });
+    expect(tenant).toEqual({ userId: 5, institutionIds: [4], crossTenant: false });
+  });
+
+  it('should refuse an account whose email is not verified', async () => {
+    mockModels.Users.findByPk.mockResolvedValue(user({ isVerified: false }));
+    const req = setupRequest();
+    const next = jest.fn();
+
+    await allowTwoFactorSetup(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401, message: 'Please verify your email address' }));
+    expect(req.user).toBeUndefined();
+  });
+
+  it('should refuse a setup token issued before the password was changed', async () => {
+    mockModels.Users.findByPk.mockResolvedValue(user({ changedPasswordAfter: jest.fn(() => true) }));
+    const next = jest.fn();
+
+    await allowTwoFactorSetup(setupRequest(), {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+  });
+});
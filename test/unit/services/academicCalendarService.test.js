@@ -0,0 +1,206 @@
+// tests/unit/academicCalendarService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  AcademicSessions: { findByPk: jest.fn(), findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  Holidays: { findOne: jest.fn(), findAll: jest.fn() },
+  Classes: { findByPk: jest.fn() },
+  ClassMeetings: { findAll: jest.fn(), create: jest.fn() },
+  ClassEnrollments: {},
+  ClassTeachers: {},
+  Courses: { findByPk: jest.fn() },
+  Students: {},
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+
+const academicCalendarService = require('../../../src/services/academicCalendarService');
+
+const fallTerm = { academicSessionId: 4, title: 'Fall 2026', type: 'term', startDate: '2026-09-01', endDate: '2026-12-18' };
+const schoolYear = { academicSessionId: 1, title: '2026-2027', type: 'schoolYear', startDate: '2026-09-01', endDate: '2027-06-30' };
+
+describe('Academic Calendar Service', () => {
+  let cls;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cls = {
+      classId: 7,
+      institutionId: 1,
+      teacherId: 3,
+      academicSessionId: 4,
+      name: 'Grade 7 Maths',
+      academicSession: fallTerm,
+      meetings: [{ classMeetingId: 1, dayOfWeek: 1, startTime: '09:00:00', endTime: '09:45:00', room: 'B12' }]
+    };
+    mockModels.Classes.findByPk.mockResolvedValue(cls);
+    mockModels.Holidays.findOne.mockResolvedValue(null);
+    mockModels.Holidays.findAll.mockResolvedValue([]);
+    mockModels.ClassMeetings.findAll.mockResolvedValue([]);
+  });
+
+  describe('assertClassDay', () => {
+    it('should accept a meeting day inside the class\'s term', async () => {
+      await expect(academicCalendarService.assertClassDay(7, '2026-10-19')).resolves.toBeUndefined();
+      expect(mockModels.Holidays.findOne).toHaveBeenCalledWith({
+        where: expect.objectContaining({ institutionId: 1 })
+      });
+    });
+
+    it('should reject holidays', async () => {
+      mockModels.Holidays.findOne.mockResolvedValue({ title: 'Thanksgiving break' });
+
+      await expect(academicCalendarService.assertClassDay(7, '2026-10-19'))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Thanksgiving break') });
+    });
+
+    it('should reject days outside the class\'s term', async () => {
+      await expect(academicCalendarService.assertClassDay(7, '2027-01-11')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject weekdays the class does not meet on', async () => {
+      await expect(academicCalendarService.assertClassDay(7, '2026-10-20'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Grade 7 Maths does not meet on Tuesdays' });
+    });
+
+    it('should accept any weekday for classes without a timetable', async () => {
+      cls.meetings = [];
+
+      await expect(academicCalendarService.assertClassDay(7, '2026-10-20')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('resolveReportPeriod', () => {
+    it('should take the period from the grading period when no dates are given', async () => {
+      mockModels.AcademicSessions.findOne.mockResolvedValue(fallTerm);
+
+      const period = await academicCalendarService.resolveReportPeriod({ academicSessionId: 4 }, { institutionId: 1 });
+
+      expect(mockModels.AcademicSessions.findOne).toHaveBeenCalledWith({ where: { academicSessionId: 4, institutionId: 1 } });
+      expect(period).toEqual({ academicSessionId: 4, periodStart: '2026-09-01', periodEnd: '2026-12-18' });
+    });
+
+    it('should reject periods that run past the session', async () => {
+      mockModels.AcademicSessions.findOne.mockResolvedValue(fallTerm);
+
+      await expect(academicCalendarService.resolveReportPeriod(
+        { academicSessionId: 4, periodStart: '2026-09-01', periodEnd: '2027-01-15' },
+        { institutionId: 1 }
+      )).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject sessions of another institution', async () => {
+      mockModels.AcademicSessions.findOne.mockResolvedValue(null);
+
+      await expect(academicCalendarService.resolveReportPeriod({ academicSessionId: 9 }, { institutionId: 1 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('assertExamWindow', () => {
+    it('should not let a class exam open on a holiday', async () => {
+      mockModels.Holidays.findOne.mockResolvedValueOnce({ title: 'Founders Day' });
+
+      await expect(academicCalendarService.assertExamWindow({
+        classId: 7, courseId: 2, startDate: '2026-10-19T09:00:00Z', endDate: '2026-10-20T09:00:00Z'
+      })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Founders Day') });
+    });
+
+    it('should keep class exams inside the class\'s term', async () => {
+      await expect(academicCalendarService.assertExamWindow({
+        classId: 7, courseId: 2, startDate: '2026-12-17T09:00:00Z', endDate: '2026-12-21T09:00:00Z'
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should only check the order of dates for marketplace courses', async () => {
+      mockModels.Courses.findByPk.mockResolvedValue({ courseId: 2, institutionId: null });
+
+      await expect(academicCalendarService.assertExamWindow({
+        courseId: 2, startDate: '2026-12-25T09:00:00Z', endDate: '2026-12-26T09:00:00Z'
+      })).resolves.toBeUndefined();
+      expect(mockModels.Holidays.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getClassOccurrences', () => {
+    it('should list meeting dates inside the term and skip holidays', async () => {
+      mockModels.Holidays.findAll.mockResolvedValue([{ title: 'Break', startDate: '2026-12-07', endDate: '2026-12-11' }]);
+
+      const { occurrences } = await academicCalendarService.getClassOccurrences(7, '2026-11-30', '2026-12-31');
+
+      expect(occurrences.map(o => o.date)).toEqual(['2026-11-30', '2026-12-14']);
+      expect(occurrences[0]).toMatchObject({ classMeetingId: 1, startTime: '09:00:00', room: 'B12' });
+    });
+
+    it('should refuse ranges longer than a year', async () => {
+      await expect(academicCalendarService.getClassOccurrences(7, '2026-01-01', '2027-06-30'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('addMeeting', () => {
+    const meeting = { dayOfWeek: 2, startTime: '10:00', endTime: '10:45', room: 'b12' };
+
+    it('should create a meeting that clashes with nothing', async () => {
+      mockModels.ClassMeetings.create.mockImplementation(async data => data);
+
+      await expect(academicCalendarService.addMeeting(7, meeting)).resolves.toMatchObject({ classId: 7, dayOfWeek: 2 });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should reject a room already in use at that time', async () => {
+      mockModels.ClassMeetings.findAll.mockResolvedValue([
+        { classId: 8, room: 'B12', class: { classId: 8, name: 'Grade 8 Science', teacherId: 5 } }
+      ]);
+
+      await expect(academicCalendarService.addMeeting(7, meeting))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('Grade 8 Science') });
+      expect(mockModels.ClassMeetings.create).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should reject a time when the teacher teaches another class', async () => {
+      mockModels.ClassMeetings.findAll.mockResolvedValue([
+        { classId: 9, room: 'C4', class: { classId: 9, name: 'Grade 9 Maths', teacherId: 3 } }
+      ]);
+
+      await expect(academicCalendarService.addMeeting(7, meeting)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject meetings that end before they start', async () => {
+      await expect(academicCalendarService.addMeeting(7, { ...meeting, endTime: '09:30' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('createSession', () => {
+    it('should place a term inside its school year', async () => {
+      mockModels.AcademicSessions.findOne.mockResolvedValue(schoolYear);
+      mockModels.AcademicSessions.create.mockImplementation(async data => data);
+
+      await expect(academicCalendarService.createSession({
+        institutionId: 1, parentId: 1, title: 'Fall 2026', type: 'term', startDate: '2026-09-01', endDate: '2026-12-18'
+      })).resolves.toMatchObject({ title: 'Fall 2026' });
+    });
+
+    it('should reject sessions outside their parent', async () => {
+      mockModels.AcademicSessions.findOne.mockResolvedValue(schoolYear);
+
+      await expect(academicCalendarService.createSession({
+        institutionId: 1, parentId: 1, title: 'Summer', type: 'term', startDate: '2027-07-01', endDate: '2027-08-15'
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject a school year nested inside a term', async () => {
+      mockModels.AcademicSessions.findOne.mockResolvedValue(fallTerm);
+
+      await expect(academicCalendarService.createSession({
+        institutionId: 1, parentId: 4, title: 'Oops', type: 'schoolYear', startDate: '2026-09-01', endDate: '2026-10-01'
+      })).rejects.toMatchObject({ statusCode: 400, message: 'A schoolYear cannot be placed inside a term' });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// tests/unit/accommodationService.test.js
+const mockModels = {
+  StudentAccommodations: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  Students: { findByPk: jest.fn() },
+  Exams: {},
+  ExamStudentAssignments: { findAll: jest.fn() },
+  StudentQuizAttempts: { findAll: jest.fn() },
+  Quizzes: {},
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: {}
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+
+const accommodationService = require('../../../src/services/accommodationService');
+
+const profile = (data = {}) => ({
+  accommodationId: 4, studentId: 10, planType: 'iep', timeMultiplier: '1.50', extraAttempts: 0, hideTimer: false, questionSet: null, ...data
+});
+
+describe('Accommodation Service', () => {
+  const exam = { examId: 3, duration: 60, endDate: new Date('2026-05-01T12:00:00Z') };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockModels.Students.findByPk.mockImplementation(async studentId => ({ studentId }));
+  });
+
+  describe('saveProfile', () => {
+    it('should create a profile for a student without one', async () => {
+      mockModels.StudentAccommodations.findOne.mockResolvedValue(null);
+      mockModels.StudentAccommodations.create.mockImplementation(async data => data);
+
+      const { profile: created, created: isNew } = await accommodationService.saveProfile(10, { timeMultiplier: 1.5 }, 2);
+
+      expect(isNew).toBe(true);
+      expect(created).toMatchObject({ studentId: 10, timeMultiplier: 1.5, extraAttempts: 0, hideTimer: false, questionSet: null, updatedBy: 2 });
+    });
+
+    it('should replace every setting of an existing profile', async () => {
+      const existing = { ...profile({ hideTimer: true }), update: jest.fn(async values => values) };
+      mockModels.StudentAccommodations.findOne.mockResolvedValue(existing);
+
+      const { created } = await accommodationService.saveProfile(10, { extraAttempts: 1 }, 2);
+
+      expect(created).toBe(false);
+      expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({ extraAttempts: 1, hideTimer: false, timeMultiplier: null }));
+    });
+
+    it('should bring back a deleted profile instead of creating a second one', async () => {
+      const stored = {
+        ...profile({ hideTimer: true }),
+        deletedAt: null,
+        update: jest.fn(async values => Object.assign(stored, values)),
+        destroy: jest.fn(async () => { stored.deletedAt = new Date(); }),
+        restore: jest.fn(async () => { stored.deletedAt = null; })
+      };
+      // Paranoid like the model: deleted rows are only found with paranoid: false
+      mockModels.StudentAccommodations.findOne.mockImplementation(async ({ paranoid }) =>
+        (paranoid === false || !stored.deletedAt ? stored : null));
+      mockModels.StudentAccommodations.create.mockRejectedValue(new Error('duplicate key value violates unique constraint'));
+
+      await accommodationService.deleteProfile(10);
+      const { profile: saved, created } = await accommodationService.saveProfile(10, { extraAttempts: 1 }, 2);
+
+      expect(stored.restore).toHaveBeenCalled();
+      expect(created).toBe(true);
+      expect(saved).toMatchObject({ studentId: 10, deletedAt: null, extraAttempts: 1, hideTimer: false });
+      expect(mockModels.StudentAccommodations.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown student', async () => {
+      mockModels.Students.findByPk.mockResolvedValue(null);
+
+      await expect(accommodationService.saveProfile(99, { hideTimer: true }, 2)).rejects.toMatchObject({ statusCode: 404 });
+      expect(mockModels.StudentAccommodations.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('forExamAssignment', () => {
+    it('should leave the assignment alone without a profile', () => {
+      expect(accommodationService.forExamAssignment(null, exam, { customDuration: 45 }))
+        .toEqual({ customDuration: 45, customEndDate: undefined, customMaxAttempts: undefined, questionSet: null, accommodations: null });
+    });
+
+    it('should extend the time and move the end date back by the extra minutes', () => {
+      const plan = accommodationService.forExamAssignment(profile(), exam);
+
+      expect(plan.customDuration).toBe(90);
+      expect(plan.customEndDate).toEqual(new Date('2026-05-01T12:30:00Z'));
+      expect(plan.accommodations.applied).toEqual([expect.objectContaining({ accommodation: 'extended_time' })]);
+    });
+
+    it('should give the alternate question set only when the exam has it', () => {
+      const withSet = accommodationService.forExamAssignment(profile({ timeMultiplier: null, questionSet: 'braille' }), exam, { questionSets: ['braille'] });
+      const withoutSet = accommodationService.forExamAssignment(profile({ timeMultiplier: null, questionSet: 'braille' }), exam, { questionSets: [] });
+
+      expect(withSet.questionSet).toBe('braille');
+      expect(withoutSet.questionSet).toBeNull();
+      expect(withoutSet.accommodations.skipped).toEqual([expect.objectContaining({ accommodation: 'alternate_questions' })]);
+    });
+
+    it('should add the extra attempts to the exam\'s', () => {
+      const plan = accommodationService.forExamAssignment(profile({ timeMultiplier: null, extraAttempts: 2, hideTimer: true }), { ...exam, maxAttempts: 2 });
+
+      expect(plan.customMaxAttempts).toBe(4);
+      expect(plan.accommodations.hideTimer).toBe(true);
+      expect(plan.accommodations.applied).toEqual([
+        expect.objectContaining({ accommodation: 'hidden_timer' }),
+        { accommodation: 'extra_attempts', detail: '4 attempts instead of 2' }
+      ]);
+    });
+
+    it('should keep a number of attempts the teacher set', () => {
+      const plan = accommodationService.forExamAssignment(profile({ timeMultiplier: null, extraAttempts: 2 }), exam, { customMaxAttempts: 3 });
+
+      expect(plan.customMaxAttempts).toBe(3);
+      expect(plan.accommodations.skipped).toEqual([expect.objectContaining({ accommodation: 'extra_attempts' })]);
+    });
+  });
+
+  describe('forQuizAttempt', () => {
+    it('should extend the time limit and add the extra attempts', () => {
+      const plan = accommodationService.forQuizAttempt(profile({ extraAttempts: 2 }), { timeLimitMinutes: 25, maxAttempts: 1 });
+
+      expect(plan).toMatchObject({ timeLimitMinutes: 38, maxAttempts: 3 });
+      expect(plan.accommodations.applied.map(item => item.accommodation)).toEqual(['extended_time', 'extra_attempts']);
+    });
+
+    it('should skip what an untimed, unlimited quiz does not need', () => {
+      const plan = accommodationService.forQuizAttempt(profile({ extraAttempts: 1, hideTimer: true }), { timeLimitMinutes: null, maxAttempts: null });
+
+      expect(plan).toMatchObject({ timeLimitMinutes: null, maxAttempts: null });
+      expect(plan.accommodations.applied).toEqual([]);
+      expect(plan.accommodations.skipped.map(item => item.accommodation)).toEqual(['extended_time', 'hidden_timer', 'extra_attempts']);
+    });
+  });
+
+  describe('getAppliedReport', () => {
+    it('should list the exams and quiz attempts that were given accommodations', async () => {
+      const accommodations = { accommodationId: 4, applied: [{ accommodation: 'extended_time', detail: '90 minutes instead of 60 (1.5x)' }], skipped: [] };
+      mockModels.StudentAccommodations.findOne.mockResolvedValue(profile());
+      mockModels.ExamStudentAssignments.findAll.mockResolvedValue([
+        { assignmentId: 8, examId: 3, status: 'assigned', customDuration: 90, customEndDate: null, exam: { ...exam, title: 'Midterm' }, accommodations }
+      ]);
+      mockModels.StudentQuizAttempts.findAll.mockResolvedValue([
+        { attemptId: 40, quizId: 5, attemptNumber: 1, quiz: { title: 'Week 1' }, accommodations }
+      ]);
+
+      const report = await accommodationService.getAppliedReport(10);
+
+      expect(report.exams).toEqual([expect.objectContaining({ title: 'Midterm', duration: 90, endDate: exam.endDate, accommodations })]);
+      expect(report.quizzes).toEqual([expect.objectContaining({ title: 'Week 1', attemptNumber: 1, accommodations })]);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+// tests/unit/classService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  Classes: { findByPk: jest.fn() },
+  ClassTeachers: { findOne: jest.fn(), create: jest.fn(), destroy: jest.fn() },
+  ClassEnrollments: { findAll: jest.fn(), bulkCreate: jest.fn(), update: jest.fn(), destroy: jest.fn() },
+  Students: { findAll: jest.fn() },
+  Teachers: {},
+  TeacherInstitutions: { findOne: jest.fn() },
+  AcademicSessions: {},
+  Institutions: {},
+  Users: {},
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+
+const classService = require('../../../src/services/classService');
+
+const classes = {
+  1: { classId: 1, institutionId: 1, teacherId: 3 },
+  2: { classId: 2, institutionId: 1, teacherId: 4 },
+  3: { classId: 3, institutionId: 2, teacherId: 9 }
+};
+
+describe('Class Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockModels.Classes.findByPk.mockImplementation(async id => classes[id] || null);
+    mockModels.Students.findAll.mockImplementation(async ({ where }) =>
+      where.studentId.map(studentId => ({ studentId, institutionId: 1 })));
+    mockModels.ClassEnrollments.findAll.mockResolvedValue([]);
+    mockModels.ClassEnrollments.bulkCreate.mockImplementation(async rows => rows);
+    mockModels.ClassEnrollments.update.mockResolvedValue([1]);
+    mockModels.TeacherInstitutions.findOne.mockResolvedValue({ teacherId: 5, institutionId: 1 });
+  });
+
+  describe('addStudents', () => {
+    it('should add new students and skip those already on the roster', async () => {
+      mockModels.ClassEnrollments.findAll.mockResolvedValue([{ studentId: 11 }]);
+
+      const result = await classService.addStudents(1, [10, 11], { enrolledBy: 2 });
+
+      expect(result.added).toEqual([expect.objectContaining({ classId: 1, studentId: 10, status: 'active', enrolledBy: 2 })]);
+      expect(result.skipped).toEqual([{ studentId: 11, reason: 'Already in this class' }]);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should reject students from another institution', async () => {
+      mockModels.Students.findAll.mockResolvedValue([{ studentId: 10, institutionId: 2 }]);
+
+      await expect(classService.addStudents(1, [10])).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.ClassEnrollments.bulkCreate).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should report students that do not exist', async () => {
+      mockModels.Students.findAll.mockResolvedValue([{ studentId: 10, institutionId: 1 }]);
+
+      await expect(classService.addStudents(1, [10, 12])).rejects.toMatchObject({ statusCode: 404, message: 'Students not found: 12' });
+    });
+  });
+
+  describe('removeStudents', () => {
+    it('should close roster entries with the reason before soft-deleting them', async () => {
+      mockModels.ClassEnrollments.findAll.mockResolvedValue([{ studentId: 10 }]);
+
+      const result = await classService.removeStudents(1, [10, 11], { endedBy: 2, reason: 'Moved away' });
+
+      expect(mockModels.ClassEnrollments.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'withdrawn', endedBy: 2, endReason: 'Moved away' }),
+        { where: { classId: 1, studentId: [10] }, transaction: mockTransaction }
+      );
+      expect(mockModels.ClassEnrollments.destroy).toHaveBeenCalledWith({ where: { classId: 1, studentId: [10] }, transaction: mockTransaction });
+      expect(result).toEqual({ removed: [10], skipped: [{ studentId: 11, reason: 'Not in this class' }] });
+    });
+  });
+
+  describe('transferStudents', () => {
+    it('should mark the old entries as transferred and link the new ones to the source class', async () => {
+      mockModels.ClassEnrollments.findAll
+        .mockResolvedValueOnce([{ studentId: 10 }, { studentId: 11 }])
+        .mockResolvedValueOnce([]);
+
+      const { transferred } = await classService.transferStudents(1, 2, [10, 11], { changedBy: 2, reason: 'Level change' });
+
+      expect(mockModels.ClassEnrollments.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'transferred', endReason: 'Level change', transferredToClassId: 2 }),
+        { where: { classId: 1, studentId: [10, 11] }, transaction: mockTransaction }
+      );
+      expect(transferred).toEqual([
+        expect.objectContaining({ classId: 2, studentId: 10, transferredFromClassId: 1 }),
+        expect.objectContaining({ classId: 2, studentId: 11, transferredFromClassId: 1 })
+      ]);
+    });
+
+    it('should move nobody when one student is not in the source class', async () => {
+      mockModels.ClassEnrollments.findAll
+        .mockResolvedValueOnce([{ studentId: 10 }])
+        .mockResolvedValueOnce([]);
+
+      await expect(classService.transferStudents(1, 2, [10, 11])).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.ClassEnrollments.update).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should reject students who are already in the target class', async () => {
+      mockModels.ClassEnrollments.findAll
+        .mockResolvedValueOnce([{ studentId: 10 }])
+        .mockResolvedValueOnce([{ studentId: 10 }]);
+
+      await expect(classService.transferStudents(1, 2, [10])).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should only transfer between classes of the same institution', async () => {
+      await expect(classService.transferStudents(1, 3, [10])).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.ClassEnrollments.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addCoTeacher', () => {
+    it('should assign a teacher of the institution', async () => {
+      mockModels.ClassTeachers.findOne.mockResolvedValue(null);
+      mockModels.ClassTeachers.create.mockImplementation(async data => data);
+
+      await expect(classService.addCoTeacher(1, 5, 'assistant')).resolves.toEqual({ classId: 1, teacherId: 5, role: 'assistant' });
+    });
+
+    it('should not add the primary teacher as a co-teacher', async () => {
+      await expect(classService.addCoTeacher(1, 3)).rejects.toMatchObject({ statusCode: 409 });
+      expect(mockModels.ClassTeachers.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject teachers who do not teach at the institution', async () => {
+      mockModels.TeacherInstitutions.findOne.mockResolvedValue(null);
+
+      await expect(classService.addCoTeacher(1, 5)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
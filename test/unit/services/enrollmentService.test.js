@@ -0,0 +1,259 @@
+// tests/unit/enrollmentService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  Enrollments: { findOne: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  Courses: { findByPk: jest.fn() },
+  Students: { findByPk: jest.fn() },
+  Users: {},
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/services/waitlistService', () => ({
+  heldSeats: jest.fn(),
+  markEnrolled: jest.fn(),
+  promote: jest.fn(),
+  notifyOffers: jest.fn(),
+  addEntry: jest.fn(),
+  getEntryById: jest.fn(),
+}));
+
+const enrollmentService = require('../../../src/services/enrollmentService');
+const waitlistService = require('../../../src/services/waitlistService');
+
+// Model instance whose update/restore/destroy change its own fields
+const mockInstance = (values) => {
+  const instance = {
+    ...values,
+    update: jest.fn(async (changes) => Object.assign(instance, changes)),
+    restore: jest.fn(async () => { instance.deletedAt = null; }),
+    destroy: jest.fn(async () => { instance.deletedAt = new Date(); })
+  };
+  return instance;
+};
+
+describe('Enrollment Service', () => {
+  let course;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    course = mockInstance({ courseId: 1, isPublished: true, isPrivate: false, price: null, enrollmentLimit: 2, enrollmentCount: 0 });
+    mockModels.Courses.findByPk.mockResolvedValue(course);
+    mockModels.Students.findByPk.mockResolvedValue({ studentId: 5 });
+    mockModels.Enrollments.findOne.mockResolvedValue(null);
+    mockModels.Enrollments.create.mockImplementation(async data => ({ ...data, enrollmentId: 10 }));
+    waitlistService.heldSeats.mockResolvedValue(0);
+    waitlistService.promote.mockResolvedValue([]);
+  });
+
+  describe('enrollStudent', () => {
+    it('should lock the course, create an active enrollment and take a seat', async () => {
+      const enrollment = await enrollmentService.enrollStudent(1, 5);
+
+      expect(mockModels.Courses.findByPk).toHaveBeenCalledWith(1, { transaction: mockTransaction, lock: 'UPDATE' });
+      expect(enrollment).toMatchObject({ status: 'active', paymentStatus: 'not_required', enrolledBy: null });
+      expect(course.enrollmentCount).toBe(1);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should start paid courses as pending payment', async () => {
+      course.price = '49.00';
+
+      const enrollment = await enrollmentService.enrollStudent(1, 5, { enrolledBy: 3 });
+
+      expect(enrollment).toMatchObject({ status: 'pending', paymentStatus: 'pending', paymentAmount: '49.00', enrolledBy: 3 });
+    });
+
+    it('should reject a full course without changing the count', async () => {
+      course.enrollmentCount = 2;
+
+      await expect(enrollmentService.enrollStudent(1, 5)).rejects.toMatchObject({ statusCode: 409, message: 'This course is full' });
+      expect(course.update).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should count seats held by other students\' waitlist offers as taken', async () => {
+      course.enrollmentCount = 1;
+      waitlistService.heldSeats.mockResolvedValue(1);
+
+      await expect(enrollmentService.enrollStudent(1, 5)).rejects.toMatchObject({ statusCode: 409 });
+      expect(waitlistService.heldSeats).toHaveBeenCalledWith(1, { excludeStudentId: 5, transaction: mockTransaction });
+    });
+
+    it('should close the student\'s waitlist entry when they enroll', async () => {
+      await enrollmentService.enrollStudent(1, 5);
+
+      expect(waitlistService.markEnrolled).toHaveBeenCalledWith(1, 5, mockTransaction);
+    });
+
+    it('should reject courses that have ended', async () => {
+      course.endDate = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+      await expect(enrollmentService.enrollStudent(1, 5)).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.Enrollments.create).not.toHaveBeenCalled();
+    });
+
+    it('should only let staff enroll students in private courses', async () => {
+      course.isPrivate = true;
+
+      await expect(enrollmentService.enrollStudent(1, 5)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(enrollmentService.enrollStudent(1, 5, { enrolledBy: 3 })).resolves.toMatchObject({ status: 'active' });
+    });
+
+    it('should reject students who are already enrolled', async () => {
+      mockModels.Enrollments.findOne.mockResolvedValue(mockInstance({ enrollmentId: 10, status: 'suspended', deletedAt: null }));
+
+      await expect(enrollmentService.enrollStudent(1, 5)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reuse a soft-deleted enrollment when a student enrolls again', async () => {
+      const previous = mockInstance({ enrollmentId: 10, status: 'completed', finalGrade: '80.00', deletedAt: new Date() });
+      mockModels.Enrollments.findOne.mockResolvedValue(previous);
+
+      const enrollment = await enrollmentService.enrollStudent(1, 5);
+
+      expect(previous.restore).toHaveBeenCalled();
+      expect(enrollment).toBe(previous);
+      expect(enrollment).toMatchObject({ status: 'active', finalGrade: null, deletedAt: null });
+      expect(mockModels.Enrollments.create).not.toHaveBeenCalled();
+      expect(course.enrollmentCount).toBe(1);
+    });
+  });
+
+  describe('updateStatus', () => {
+    it('should free the seat when an enrollment is dropped', async () => {
+      course.enrollmentCount = 2;
+      const enrollment = mockInstance({ enrollmentId: 10, courseId: 1, status: 'active', paymentStatus: 'not_required' });
+      mockModels.Enrollments.findByPk.mockResolvedValue(enrollment);
+
+      await enrollmentService.updateStatus(10, { status: 'dropped' });
+
+      expect(enrollment.status).toBe('dropped');
+      expect(course.enrollmentCount).toBe(1);
+    });
+
+    it('should lock the enrollment before checking the transition', async () => {
+      mockModels.Enrollments.findByPk.mockResolvedValue(mockInstance({ enrollmentId: 10, courseId: 1, status: 'active' }));
+
+      await enrollmentService.updateStatus(10, { status: 'suspended' });
+
+      expect(mockModels.Enrollments.findByPk).toHaveBeenCalledWith(10, { transaction: mockTransaction, lock: 'UPDATE' });
+    });
+
+    it('should offer the freed seat to the waitlist and notify after committing', async () => {
+      const offer = { waitlistId: 7, studentId: 6 };
+      waitlistService.promote.mockResolvedValue([offer]);
+      mockModels.Enrollments.findByPk.mockResolvedValue(mockInstance({ enrollmentId: 10, courseId: 1, status: 'active' }));
+      waitlistService.notifyOffers.mockImplementation(() => {
+        expect(mockTransaction.commit).toHaveBeenCalled();
+      });
+
+      await enrollmentService.updateStatus(10, { status: 'dropped' });
+
+      expect(waitlistService.promote).toHaveBeenCalledWith(course, mockTransaction);
+      expect(waitlistService.notifyOffers).toHaveBeenCalledWith(course, [offer]);
+    });
+
+    it('should not touch the waitlist when no seat is freed', async () => {
+      mockModels.Enrollments.findByPk.mockResolvedValue(mockInstance({ enrollmentId: 10, courseId: 1, status: 'active' }));
+
+      await enrollmentService.updateStatus(10, { status: 'suspended' });
+
+      expect(waitlistService.promote).not.toHaveBeenCalled();
+    });
+
+    it('should reject transitions that are not allowed', async () => {
+      mockModels.Enrollments.findByPk.mockResolvedValue(mockInstance({ enrollmentId: 10, courseId: 1, status: 'completed' }));
+
+      await expect(enrollmentService.updateStatus(10, { status: 'active' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'An enrollment cannot move from completed to active' });
+    });
+
+    it('should require payment before activating a paid enrollment', async () => {
+      const enrollment = mockInstance({ enrollmentId: 10, courseId: 1, status: 'pending', paymentStatus: 'pending', paymentDate: null });
+      mockModels.Enrollments.findByPk.mockResolvedValue(enrollment);
+
+      await expect(enrollmentService.updateStatus(10, { status: 'active' })).rejects.toMatchObject({ statusCode: 400 });
+
+      await enrollmentService.updateStatus(10, { status: 'active', paymentStatus: 'paid' });
+      expect(enrollment).toMatchObject({ status: 'active', paymentStatus: 'paid' });
+      expect(enrollment.paymentDate).toBeInstanceOf(Date);
+    });
+
+    it('should not complete enrollments before the course starts', async () => {
+      course.startDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      mockModels.Enrollments.findByPk.mockResolvedValue(mockInstance({ enrollmentId: 10, courseId: 1, status: 'active' }));
+
+      await expect(enrollmentService.updateStatus(10, { status: 'completed' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('joinWaitlist', () => {
+    it('should queue the student when the course is full', async () => {
+      course.enrollmentCount = 2;
+      waitlistService.addEntry.mockResolvedValue({ waitlistId: 7 });
+      waitlistService.getEntryById.mockResolvedValue({ waitlistId: 7, place: 3 });
+
+      const entry = await enrollmentService.joinWaitlist(1, 5);
+
+      expect(waitlistService.addEntry).toHaveBeenCalledWith(1, 5, { addedBy: null, transaction: mockTransaction });
+      expect(entry).toEqual({ waitlistId: 7, place: 3 });
+    });
+
+    it('should send students to enroll when seats are open', async () => {
+      await expect(enrollmentService.joinWaitlist(1, 5)).rejects.toMatchObject({ statusCode: 400 });
+      expect(waitlistService.addEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claimWaitlistOffer', () => {
+    it('should enroll the student into the held seat', async () => {
+      course.enrollmentCount = 1;
+      course.isPublished = false;
+      waitlistService.getEntryById.mockResolvedValue({
+        waitlistId: 7, courseId: 1, studentId: 5, status: 'offered', offerExpiresAt: new Date(Date.now() + 60000)
+      });
+
+      const enrollment = await enrollmentService.claimWaitlistOffer(7);
+
+      expect(enrollment).toMatchObject({ status: 'active', studentId: 5 });
+      expect(waitlistService.markEnrolled).toHaveBeenCalledWith(1, 5, mockTransaction);
+    });
+
+    it('should reject offers that have expired', async () => {
+      waitlistService.getEntryById.mockResolvedValue({
+        waitlistId: 7, courseId: 1, studentId: 5, status: 'offered', offerExpiresAt: new Date(Date.now() - 60000)
+      });
+
+      await expect(enrollmentService.claimWaitlistOffer(7)).rejects.toMatchObject({ statusCode: 410 });
+      expect(mockModels.Enrollments.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unenrollStudent', () => {
+    it('should delete the enrollment and free its seat', async () => {
+      course.enrollmentCount = 1;
+      const enrollment = mockInstance({ enrollmentId: 10, courseId: 1, status: 'active' });
+      mockModels.Enrollments.findByPk.mockResolvedValue(enrollment);
+
+      await enrollmentService.unenrollStudent(10);
+
+      expect(enrollment.destroy).toHaveBeenCalledWith({ transaction: mockTransaction });
+      expect(course.enrollmentCount).toBe(0);
+    });
+
+    it('should not free a seat twice for a dropped enrollment', async () => {
+      course.enrollmentCount = 1;
+      mockModels.Enrollments.findByPk.mockResolvedValue(mockInstance({ enrollmentId: 10, courseId: 1, status: 'dropped' }));
+
+      await enrollmentService.unenrollStudent(10);
+
+      expect(course.enrollmentCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// tests/unit/examIntegrityService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  Exams: { findByPk: jest.fn() },
+  ExamIntegrityEvents: { findAll: jest.fn(), bulkCreate: jest.fn() },
+  StudentExamAttempts: { findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn() },
+  Students: {},
+  Users: {},
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn(), info: jest.fn() }));
+jest.mock('../../../src/services/examService', () => ({
+  completeExamAttempt: jest.fn(async () => ({})),
+}));
+
+const examIntegrityService = require('../../../src/services/examIntegrityService');
+const examService = require('../../../src/services/examService');
+
+const SESSION = '0b6f8d52-2f4e-4c3a-9a57-5d1f7c2b9e11';
+const OTHER_SESSION = '6a1d3b0e-8c7f-4e2a-b1d4-3f9e2c5a7d60';
+
+const mockInstance = (data) => {
+  const instance = {
+    ...data,
+    update: jest.fn(async (values) => Object.assign(instance, values))
+  };
+  return instance;
+};
+
+const recorded = () => mockModels.ExamIntegrityEvents.bulkCreate.mock.calls[0][0];
+
+describe('Exam Integrity Service', () => {
+  let exam;
+  let attempt;
+  const metadata = { ipAddress: '10.0.0.5', userAgent: 'Browser', sessionId: SESSION };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exam = mockInstance({ examId: 3, integrityPolicy: null });
+    attempt = mockInstance({
+      attemptId: 20, examId: 3, studentId: 10, status: 'in_progress', ipAddress: '10.0.0.5', sessionId: SESSION, integrityStatus: null
+    });
+    mockModels.Exams.findByPk.mockResolvedValue(exam);
+    mockModels.StudentExamAttempts.findOne.mockResolvedValue(attempt);
+    mockModels.ExamIntegrityEvents.findAll.mockResolvedValue([]);
+  });
+
+  describe('recordEvents', () => {
+    it('should warn about events below the policy threshold', async () => {
+      const result = await examIntegrityService.recordEvents(20, 10, [{ eventType: 'tab_blur' }], metadata);
+
+      expect(recorded()).toEqual([expect.objectContaining({ attemptId: 20, examId: 3, eventType: 'tab_blur', source: 'client', action: 'warn' })]);
+      expect(result).toMatchObject({ recorded: 1, action: 'warn', integrityStatus: null, autoSubmitted: false });
+      expect(result.warnings).toEqual(['Leaving the exam page is recorded']);
+      expect(attempt.update).not.toHaveBeenCalled();
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should flag the attempt once the threshold is reached, counting earlier events', async () => {
+      mockModels.ExamIntegrityEvents.findAll.mockResolvedValue([{ eventType: 'tab_blur' }, { eventType: 'tab_blur' }]);
+
+      const result = await examIntegrityService.recordEvents(20, 10, [{ eventType: 'tab_blur' }], metadata);
+
+      expect(recorded()[0].action).toBe('flag');
+      expect(result.integrityStatus).toBe('flagged');
+      expect(attempt.update).toHaveBeenCalledWith(expect.objectContaining({ integrityStatus: 'flagged' }), { transaction: mockTransaction });
+    });
+
+    it('should detect an IP change and another login session from the request', async () => {
+      const result = await examIntegrityService.recordEvents(20, 10, [], { ...metadata, ipAddress: '192.168.1.9', sessionId: OTHER_SESSION });
+
+      expect(recorded()).toEqual([
+        expect.objectContaining({ eventType: 'ip_change', source: 'server', details: { from: '10.0.0.5', to: '192.168.1.9' } }),
+        expect.objectContaining({ eventType: 'concurrent_session', source: 'server', details: { sessionId: OTHER_SESSION } })
+      ]);
+      expect(result.integrityStatus).toBe('flagged');
+    });
+
+    it('should not report the same IP change or session twice', async () => {
+      mockModels.ExamIntegrityEvents.findAll.mockResolvedValue([
+        { eventType: 'ip_change', ipAddress: '192.168.1.9', details: { from: '10.0.0.5', to: '192.168.1.9' } },
+        { eventType: 'concurrent_session', ipAddress: '192.168.1.9', details: { sessionId: OTHER_SESSION } }
+      ]);
+
+      const result = await examIntegrityService.recordEvents(20, 10, [], { ...metadata, ipAddress: '192.168.1.9', sessionId: OTHER_SESSION });
+
+      expect(mockModels.ExamIntegrityEvents.bulkCreate).not.toHaveBeenCalled();
+      expect(result.recorded).toBe(0);
+    });
+
+    it('should auto-submit the attempt when the exam\'s policy says so', async () => {
+      exam.integrityPolicy = { paste: { action: 'auto_submit', threshold: 1 } };
+
+      const result = await examIntegrityService.recordEvents(20, 10, [{ eventType: 'paste', details: { length: 400 } }], metadata);
+
+      expect(result).toMatchObject({ action: 'auto_submit', integrityStatus: 'auto_submitted', autoSubmitted: true });
+      expect(examService.completeExamAttempt).toHaveBeenCalledWith(20);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should not put events in the future when the client clock is ahead', async () => {
+      await examIntegrityService.recordEvents(20, 10, [{ eventType: 'copy', occurredAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }], metadata);
+
+      expect(recorded()[0].occurredAt.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should refuse events for a submitted attempt', async () => {
+      attempt.status = 'completed';
+
+      await expect(examIntegrityService.recordEvents(20, 10, [{ eventType: 'copy' }], metadata)).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.ExamIntegrityEvents.bulkCreate).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('checkRequest', () => {
+    it('should record another login session seen while answering', async () => {
+      const result = await examIntegrityService.checkRequest(20, 10, { ...metadata, sessionId: OTHER_SESSION });
+
+      expect(recorded()).toEqual([expect.objectContaining({ eventType: 'concurrent_session', source: 'server', action: 'flag' })]);
+      expect(result).toMatchObject({ recorded: 1, integrityStatus: 'flagged' });
+    });
+
+    it('should record nothing for a request from the attempt\'s own session and address', async () => {
+      const result = await examIntegrityService.checkRequest(20, 10, metadata);
+
+      expect(mockModels.ExamIntegrityEvents.bulkCreate).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ recorded: 0, action: 'log' });
+    });
+
+    it('should leave attempts that are not in progress to the caller', async () => {
+      attempt.status = 'completed';
+
+      await expect(examIntegrityService.checkRequest(20, 10, { ...metadata, ipAddress: '10.0.0.9' })).resolves.toBeNull();
+      expect(mockModels.ExamIntegrityEvents.bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePolicy', () => {
+    it('should merge the changed rules over the exam\'s policy and the defaults', async () => {
+      exam.integrityPolicy = { copy: { action: 'flag', threshold: 2 } };
+
+      const { policy } = await examIntegrityService.updatePolicy(3, { copy: { threshold: 5 }, tab_blur: { action: 'auto_submit' } });
+
+      expect(exam.update).toHaveBeenCalledWith({ integrityPolicy: { copy: { action: 'flag', threshold: 5 }, tab_blur: { action: 'auto_submit' } } });
+      expect(policy.tab_blur).toEqual({ action: 'auto_submit', threshold: 3 });
+      expect(policy.paste).toEqual(examIntegrityService.DEFAULT_POLICY.paste);
+    });
+  });
+
+  describe('getTimeline', () => {
+    it('should put the start, the events and the submission in order', async () => {
+      const startedAt = new Date('2026-03-02T09:00:00Z');
+      mockModels.StudentExamAttempts.findByPk.mockResolvedValue({
+        attemptId: 20, examId: 3, studentId: 10, status: 'completed', integrityStatus: 'auto_submitted',
+        startedAt, completedAt: new Date('2026-03-02T09:20:00Z'),
+        integrityEvents: [
+          { eventId: 2, eventType: 'paste', action: 'auto_submit', occurredAt: new Date('2026-03-02T09:19:00Z') },
+          { eventId: 1, eventType: 'tab_blur', action: 'warn', occurredAt: new Date('2026-03-02T09:05:00Z') }
+        ]
+      });
+
+      const { timeline } = await examIntegrityService.getTimeline(20);
+
+      expect(timeline.map(entry => entry.eventType || entry.type)).toEqual(['started', 'tab_blur', 'paste', 'auto_submitted']);
+    });
+  });
+});
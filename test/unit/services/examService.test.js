@@ -0,0 +1,925 @@
+// tests/unit/examService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  Exams: { findByPk: jest.fn(), create: jest.fn() },
+  ExamQuestions: { findOne: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  ExamAnswers: { bulkCreate: jest.fn(), create: jest.fn(), destroy: jest.fn() },
+  ExamQuestionDraws: { findAll: jest.fn() },
+  QuestionBanks: {},
+  BankQuestions: { findAll: jest.fn() },
+  BankAnswers: {},
+  ExamStudentAssignments: { findOne: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn(), update: jest.fn() },
+  ExamQuestionAssignments: { create: jest.fn(), bulkCreate: jest.fn(), findAll: jest.fn(), count: jest.fn() },
+  StudentExamAttempts: { findOne: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  StudentExamResponses: { findOne: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn(), bulkCreate: jest.fn() },
+  ExamRegrades: { create: jest.fn(), findAll: jest.fn() },
+  ExamRegradeChanges: { bulkCreate: jest.fn() },
+  StudentAccommodations: { findAll: jest.fn() },
+  Students: { findByPk: jest.fn() },
+  Teachers: {},
+  Users: {},
+  Courses: {},
+  Classes: {},
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn(), info: jest.fn() }));
+jest.mock('../../../src/utils/mailer', () => ({ sendMail: jest.fn(async () => ({})) }));
+jest.mock('../../../src/services/parentNotificationService', () => ({
+  notifyLinkedParents: jest.fn(async () => []),
+}));
+jest.mock('../../../src/services/academicCalendarService', () => ({
+  assertExamWindow: jest.fn(async () => {}),
+}));
+
+const examService = require('../../../src/services/examService');
+const mailer = require('../../../src/utils/mailer');
+const parentNotificationService = require('../../../src/services/parentNotificationService');
+
+const mockInstance = (data) => {
+  const instance = {
+    ...data,
+    update: jest.fn(async (values) => Object.assign(instance, values)),
+    get: jest.fn(() => {
+      const { update, get, ...plain } = instance;
+      return plain;
+    })
+  };
+  return instance;
+};
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('Exam Service', () => {
+  let exam;
+  let assignment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exam = { examId: 3, duration: 60, startDate: minutesFromNow(-60), endDate: minutesFromNow(240), passingPercentage: '60.00' };
+    assignment = mockInstance({
+      assignmentId: 8, examId: 3, studentId: 10, status: 'assigned', exam,
+      examQuestionAssignments: [{ questionId: 1, question: { points: 5 } }, { questionId: 2, customPoints: 5, question: { points: 2 } }]
+    });
+    mockModels.ExamStudentAssignments.findOne.mockResolvedValue(assignment);
+    mockModels.ExamStudentAssignments.findByPk.mockResolvedValue(assignment);
+    mockModels.StudentExamAttempts.findOne.mockResolvedValue(null);
+    mockModels.StudentExamAttempts.findAll.mockResolvedValue([]);
+    mockModels.StudentExamAttempts.findByPk.mockImplementation(async attemptId => mockInstance({ attemptId, status: 'completed', studentExamResponses: [] }));
+    mockModels.StudentExamAttempts.create.mockImplementation(async data => mockInstance({ attemptId: 20, status: 'in_progress', ...data }));
+    mockModels.StudentExamResponses.findAll.mockResolvedValue([]);
+    mockModels.StudentAccommodations.findAll.mockResolvedValue([]);
+    mockModels.ExamQuestionAssignments.findAll.mockResolvedValue([]);
+    mockModels.ExamQuestionAssignments.count.mockResolvedValue(0);
+  });
+
+  describe('createExam', () => {
+    it('should create the questions given with the exam, in order', async () => {
+      mockModels.Exams.create.mockResolvedValue({ examId: 30 });
+      mockModels.ExamQuestions.create.mockImplementation(async data => ({ questionId: 40 + data.orderNumber, ...data }));
+
+      await examService.createExam({ title: 'Imported', courseId: 2 }, [
+        { questionText: 'Pick one', questionType: 'multiple_choice', points: 2, answers: [{ answerText: 'A', isCorrect: true }, { answerText: 'B' }] },
+        { questionText: 'Explain', questionType: 'essay', points: 5 }
+      ]);
+
+      expect(mockModels.ExamQuestions.create).toHaveBeenCalledTimes(2);
+      expect(mockModels.ExamQuestions.create.mock.calls[1][0]).toEqual(expect.objectContaining({ examId: 30, questionType: 'essay', orderNumber: 2 }));
+      expect(mockModels.ExamAnswers.bulkCreate).toHaveBeenCalledWith([
+        { questionId: 41, answerText: 'A', isCorrect: true, orderNumber: 0, feedback: null },
+        { questionId: 41, answerText: 'B', isCorrect: false, orderNumber: 1, feedback: null }
+      ], { transaction: mockTransaction });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should roll back when a question cannot be scored', async () => {
+      mockModels.Exams.create.mockResolvedValue({ examId: 30 });
+
+      await expect(examService.createExam({ title: 'Imported', courseId: 2 }, [
+        { questionText: 'Order', questionType: 'ordering', points: 1 }
+      ])).rejects.toThrow('A ordering question needs an answerConfig');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('updateExam', () => {
+    it('should work the assignments\' grades out again when the scoring rule changes', async () => {
+      const stored = mockInstance({ ...exam, scoringRule: 'highest', maxAttempts: 2 });
+      mockModels.Exams.findByPk.mockResolvedValue(stored);
+      mockModels.ExamStudentAssignments.findAll.mockResolvedValue([assignment]);
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([
+        { attemptId: 18, attemptNumber: 1, status: 'completed', gradingStatus: 'graded', score: '8', maxScore: '10', percentage: '80' },
+        { attemptId: 19, attemptNumber: 2, status: 'completed', gradingStatus: 'graded', score: '5', maxScore: '10', percentage: '50' }
+      ]);
+
+      await examService.updateExam(3, { scoringRule: 'latest' });
+
+      expect(assignment.update).toHaveBeenCalledWith(
+        expect.objectContaining({ score: 5, percentage: 50, passed: false, gradedAttemptId: 19 }),
+        { transaction: mockTransaction }
+      );
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should leave the grades alone when only the details change', async () => {
+      mockModels.Exams.findByPk.mockResolvedValue(mockInstance({ ...exam, scoringRule: 'highest' }));
+
+      await examService.updateExam(3, { title: 'Renamed', scoringRule: 'highest' });
+
+      expect(mockModels.ExamStudentAssignments.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startExamAttempt', () => {
+    it('should set the deadline from the exam duration', async () => {
+      const attempt = await examService.startExamAttempt(8, 10);
+
+      const created = mockModels.StudentExamAttempts.create.mock.calls[0][0];
+      expect(created.expiresAt - created.startedAt).toBe(60 * 60 * 1000);
+      expect(created.maxScore).toBe(10);
+      expect(attempt.remainingSeconds).toBeGreaterThan(59 * 60);
+      expect(assignment.update).toHaveBeenCalledWith({ status: 'started' }, { transaction: mockTransaction });
+    });
+
+    it('should use the student\'s custom duration', async () => {
+      assignment.customDuration = 90;
+
+      await examService.startExamAttempt(8, 10);
+
+      const created = mockModels.StudentExamAttempts.create.mock.calls[0][0];
+      expect(created.expiresAt - created.startedAt).toBe(90 * 60 * 1000);
+    });
+
+    it('should never run past the end date', async () => {
+      exam.endDate = minutesFromNow(15);
+
+      await examService.startExamAttempt(8, 10);
+
+      expect(mockModels.StudentExamAttempts.create.mock.calls[0][0].expiresAt).toEqual(exam.endDate);
+    });
+
+    it('should resume an attempt that still has time left', async () => {
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(
+        mockInstance({ attemptId: 19, status: 'in_progress', expiresAt: minutesFromNow(10) }));
+
+      const attempt = await examService.startExamAttempt(8, 10);
+
+      expect(attempt).toMatchObject({ attemptId: 19 });
+      expect(attempt.remainingSeconds).toBeGreaterThan(9 * 60);
+      expect(mockModels.StudentExamAttempts.create).not.toHaveBeenCalled();
+    });
+
+    it('should submit an attempt whose time ran out instead of resuming it', async () => {
+      const expired = mockInstance({ attemptId: 19, assignmentId: 8, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(-1) });
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(expired);
+
+      await expect(examService.startExamAttempt(8, 10)).rejects.toMatchObject({ statusCode: 400 });
+      expect(expired.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'timed_out' }), { transaction: mockTransaction });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(mockTransaction.rollback).not.toHaveBeenCalled();
+    });
+
+    it('should not start an exam that was already submitted', async () => {
+      assignment.status = 'completed';
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([{ attemptId: 19, attemptNumber: 1, status: 'completed', completedAt: minutesFromNow(-5) }]);
+
+      await expect(examService.startExamAttempt(8, 10)).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.StudentExamAttempts.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('submitExamResponse', () => {
+    let attempt;
+
+    beforeEach(() => {
+      attempt = mockInstance({
+        attemptId: 20, assignmentId: 8, examId: 3, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(30),
+        assignment: { exam, examQuestionAssignments: [] }
+      });
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(attempt);
+      mockModels.ExamQuestions.findOne.mockResolvedValue({
+        questionId: 1, questionType: 'multiple_choice', points: 5,
+        examAnswers: [{ answerId: 4, isCorrect: true }]
+      });
+      mockModels.StudentExamResponses.findOne.mockResolvedValue(null);
+      mockModels.StudentExamResponses.create.mockImplementation(async data => mockInstance(data));
+    });
+
+    it('should save answers before the deadline with the time left', async () => {
+      const response = await examService.submitExamResponse(20, 1, { chosenAnswerId: 4 });
+
+      expect(response).toMatchObject({ attemptId: 20, questionId: 1, isCorrect: true, scoreAwarded: 5 });
+      expect(response.remainingSeconds).toBeGreaterThan(29 * 60);
+    });
+
+    it('should refuse answers after the deadline and submit the attempt as timed out', async () => {
+      attempt.expiresAt = minutesFromNow(-1);
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([{ scoreAwarded: '5.00' }, { scoreAwarded: '2.00' }]);
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([attempt]);
+
+      await expect(examService.submitExamResponse(20, 1, { chosenAnswerId: 4 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.StudentExamResponses.create).not.toHaveBeenCalled();
+      expect(attempt.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'timed_out', score: 7, percentage: 70, passed: true }),
+        { transaction: mockTransaction }
+      );
+      expect(assignment.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'completed' }), { transaction: mockTransaction });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should refuse a question drawn for another student', async () => {
+      attempt.assignment.examQuestionAssignments = [];
+      mockModels.ExamQuestionAssignments.count.mockResolvedValue(4);
+      mockModels.ExamQuestions.findOne.mockResolvedValue({
+        questionId: 105, bankQuestionId: 5, questionType: 'multiple_choice', points: 5, examAnswers: [{ answerId: 4, isCorrect: true }]
+      });
+
+      await expect(examService.submitExamResponse(20, 105, { chosenAnswerId: 4 })).rejects.toMatchObject({ statusCode: 404 });
+      expect(mockModels.StudentExamResponses.create).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should leave answers to questions off the paper out of the total', async () => {
+      attempt.expiresAt = minutesFromNow(-1);
+      mockModels.ExamQuestionAssignments.findAll.mockResolvedValue([{ questionId: 1 }, { questionId: 2 }]);
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([
+        { questionId: 1, scoreAwarded: '5.00' }, { questionId: 2, scoreAwarded: '2.00' }, { questionId: 105, scoreAwarded: '5.00' }
+      ]);
+
+      await expect(examService.submitExamResponse(20, 1, { chosenAnswerId: 4 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(attempt.update).toHaveBeenCalledWith(expect.objectContaining({ score: 7, percentage: 70 }), { transaction: mockTransaction });
+    });
+
+    it('should queue essays for the teacher', async () => {
+      mockModels.ExamQuestions.findOne.mockResolvedValue({ questionId: 1, questionType: 'essay', points: 10, examAnswers: [] });
+
+      const response = await examService.submitExamResponse(20, 1, { textResponse: 'The causes of the war were...' });
+
+      expect(response).toMatchObject({ isCorrect: null, scoreAwarded: null, gradingStatus: 'pending', answerData: null });
+    });
+
+    it('should score ordering answers with the drawn question\'s custom points', async () => {
+      attempt.assignment.examQuestionAssignments = [{ questionId: 1, customPoints: 4 }];
+      mockModels.ExamQuestions.findOne.mockResolvedValue({
+        questionId: 1, questionType: 'ordering', points: 2, examAnswers: [],
+        answerConfig: { items: ['Mercury', 'Venus', 'Earth', 'Mars'] }
+      });
+
+      const response = await examService.submitExamResponse(20, '1', { order: ['Mercury', 'Earth', 'Venus', 'Mars'] });
+
+      expect(response).toMatchObject({
+        answerData: { order: ['Mercury', 'Earth', 'Venus', 'Mars'] }, isCorrect: false, scoreAwarded: 2, gradingStatus: 'auto_graded'
+      });
+    });
+
+    it('should reject an ordering answer that leaves items out', async () => {
+      mockModels.ExamQuestions.findOne.mockResolvedValue({
+        questionId: 1, questionType: 'ordering', points: 2, examAnswers: [], answerConfig: { items: ['a', 'b', 'c'] }
+      });
+
+      await expect(examService.submitExamResponse(20, 1, { order: ['a', 'b'] })).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.StudentExamResponses.create).not.toHaveBeenCalled();
+    });
+
+    it('should leave short answers ungraded for the teacher', async () => {
+      mockModels.ExamQuestions.findOne.mockResolvedValue({
+        questionId: 1, questionType: 'short_answer', points: 5, correctAnswer: 'Photosynthesis', examAnswers: []
+      });
+
+      const response = await examService.submitExamResponse(20, 1, { textResponse: 'Plants make food from light' });
+
+      expect(response).toMatchObject({ isCorrect: null, scoreAwarded: null, gradingStatus: 'pending' });
+    });
+
+    it('should grade exact fill-in-the-blank answers and flag partial matches', async () => {
+      mockModels.ExamQuestions.findOne.mockResolvedValue({
+        questionId: 1, questionType: 'fill_in_blank', points: 5, correctAnswer: 'Jupiter', allowPartialMatch: true, examAnswers: []
+      });
+
+      await expect(examService.submitExamResponse(20, 1, { textResponse: ' jupiter ' }))
+        .resolves.toMatchObject({ isCorrect: true, scoreAwarded: 5, gradingStatus: 'auto_graded' });
+      await expect(examService.submitExamResponse(20, 1, { textResponse: 'Jupiter and Saturn' }))
+        .resolves.toMatchObject({ isCorrect: null, scoreAwarded: 0, gradingStatus: 'flagged' });
+      await expect(examService.submitExamResponse(20, 1, { textResponse: 'Mars' }))
+        .resolves.toMatchObject({ isCorrect: false, scoreAwarded: 0, gradingStatus: 'auto_graded' });
+    });
+  });
+
+  describe('completeExamAttempt', () => {
+    it('should grade a late submission as timed out', async () => {
+      const attempt = mockInstance({ attemptId: 20, assignmentId: 8, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(-2) });
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(attempt);
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([{ scoreAwarded: '5.00' }]);
+
+      await examService.completeExamAttempt(20);
+
+      expect(attempt.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'timed_out', score: 5, percentage: 50, passed: false }),
+        { transaction: mockTransaction }
+      );
+    });
+
+    it('should return the result and the student\'s own answers without the answer key', async () => {
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(
+        mockInstance({ attemptId: 20, assignmentId: 8, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(5) }));
+      mockModels.StudentExamAttempts.findByPk.mockResolvedValue(mockInstance({
+        attemptId: 20, status: 'completed', score: '5.00', percentage: '50.00', passed: false,
+        studentExamResponses: [{ questionId: 1, chosenAnswerId: 4, textResponse: null, answerData: null }]
+      }));
+
+      const result = await examService.completeExamAttempt(20);
+
+      const { include } = mockModels.StudentExamAttempts.findByPk.mock.calls[0][1];
+      expect(include).toEqual([expect.objectContaining({ as: 'studentExamResponses' })]);
+      expect(include[0].include).toBeUndefined();
+      expect(include[0].attributes).not.toEqual(expect.arrayContaining(['isCorrect']));
+      expect(include[0].attributes).not.toEqual(expect.arrayContaining(['scoreAwarded']));
+      expect(result).toMatchObject({ status: 'completed', score: '5.00', remainingSeconds: null });
+      expect(JSON.stringify(result)).not.toMatch(/isCorrect|examAnswers|correctAnswer|answerConfig|solution/);
+    });
+  });
+
+  describe('multiple attempts', () => {
+    const completed = (attemptId, attemptNumber, percentage, completedAt = minutesFromNow(-30)) => ({
+      attemptId, attemptNumber, status: 'completed', gradingStatus: 'graded', score: String(percentage / 10), maxScore: '10', percentage: String(percentage), completedAt
+    });
+
+    beforeEach(() => {
+      exam.maxAttempts = 3;
+    });
+
+    it('should start the next attempt while attempts are left', async () => {
+      assignment.status = 'completed';
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([completed(18, 1, 40)]);
+
+      await examService.startExamAttempt(8, 10);
+
+      expect(mockModels.StudentExamAttempts.create.mock.calls[0][0].attemptNumber).toBe(2);
+    });
+
+    it('should refuse an attempt once all are used, counting the student\'s own number of attempts', async () => {
+      assignment.customMaxAttempts = 2;
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([completed(18, 1, 40), completed(19, 2, 50)]);
+
+      await expect(examService.startExamAttempt(8, 10))
+        .rejects.toMatchObject({ statusCode: 400, message: 'You have used all 2 attempts for this exam' });
+      expect(mockModels.StudentExamAttempts.create).not.toHaveBeenCalled();
+    });
+
+    it('should lock the assignment before counting its attempts', async () => {
+      await examService.startExamAttempt(8, 10);
+
+      expect(mockModels.ExamStudentAssignments.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { assignmentId: 8, studentId: 10 },
+        lock: 'UPDATE'
+      }));
+      expect(mockModels.ExamStudentAssignments.findOne.mock.invocationCallOrder[0])
+        .toBeLessThan(mockModels.StudentExamAttempts.findAll.mock.invocationCallOrder[0]);
+    });
+
+    it('should make the student wait out the cooldown', async () => {
+      exam.attemptCooldownMinutes = 60;
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([completed(18, 1, 40, minutesFromNow(-20))]);
+
+      await expect(examService.startExamAttempt(8, 10)).rejects.toThrow('You can start your next attempt at');
+      expect(mockModels.StudentExamAttempts.create).not.toHaveBeenCalled();
+    });
+
+    it('should carry the previous attempt\'s fully right answers into a retake of incorrect questions', async () => {
+      exam.retakeIncorrectOnly = true;
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([completed(18, 1, 50)]);
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([
+        { questionId: 1, chosenAnswerId: 4, isCorrect: true, scoreAwarded: '5.00', maxScore: '5.00', gradingStatus: 'auto_graded' },
+        { questionId: 2, chosenAnswerId: 7, isCorrect: false, scoreAwarded: '0.00', maxScore: '5.00', gradingStatus: 'auto_graded' }
+      ]);
+
+      await examService.startExamAttempt(8, 10);
+
+      expect(mockModels.StudentExamAttempts.create.mock.calls[0][0].maxScore).toBe(10);
+      expect(mockModels.StudentExamResponses.bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ attemptId: 20, questionId: 1, chosenAnswerId: 4, scoreAwarded: '5.00', carriedOver: true })
+      ], { transaction: mockTransaction });
+    });
+
+    it('should not change an answer carried over from the previous attempt', async () => {
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(mockInstance({
+        attemptId: 20, assignmentId: 8, examId: 3, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(30),
+        assignment: { exam, examQuestionAssignments: [] }
+      }));
+      mockModels.ExamQuestions.findOne.mockResolvedValue({ questionId: 1, questionType: 'multiple_choice', points: 5, examAnswers: [{ answerId: 4, isCorrect: true }] });
+      mockModels.StudentExamResponses.findOne.mockResolvedValue(mockInstance({ responseId: 60, carriedOver: true }));
+
+      await expect(examService.submitExamResponse(20, 1, { chosenAnswerId: 4 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it.each([
+      ['highest', { percentage: 70, score: 7, gradedAttemptId: 19, passed: true }],
+      ['latest', { percentage: 50, score: 5, gradedAttemptId: 20, passed: false }],
+      ['average', { percentage: 53.33, score: 5.33, gradedAttemptId: null, passed: false }]
+    ])('should grade the assignment from its %s attempt', async (scoringRule, grade) => {
+      exam.scoringRule = scoringRule;
+      const attempt = mockInstance({ attemptId: 20, assignmentId: 8, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(5) });
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(attempt);
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([{ scoreAwarded: '5.00', gradingStatus: 'auto_graded' }]);
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([
+        completed(18, 1, 40),
+        completed(19, 2, 70),
+        { ...completed(20, 3, 50), score: '5' },
+        { attemptId: 21, attemptNumber: 4, status: 'completed', gradingStatus: 'pending_review', percentage: '90' }
+      ]);
+
+      await examService.completeExamAttempt(20);
+
+      expect(assignment.update).toHaveBeenLastCalledWith(expect.objectContaining({ ...grade, maxScore: 10 }), { transaction: mockTransaction });
+    });
+
+    it('should keep the assignment open while attempts are left and complete it after the last', async () => {
+      const attempt = mockInstance({ attemptId: 19, assignmentId: 8, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(5) });
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(attempt);
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([completed(18, 1, 40), completed(19, 2, 50)]);
+
+      await examService.completeExamAttempt(19);
+
+      expect(assignment.update).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'started' }), { transaction: mockTransaction });
+
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([completed(18, 1, 40), completed(19, 2, 50), completed(20, 3, 60)]);
+      attempt.status = 'in_progress';
+
+      await examService.completeExamAttempt(20);
+
+      expect(assignment.update).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'completed' }), { transaction: mockTransaction });
+    });
+  });
+
+  describe('closing an attempt with responses to review', () => {
+    it('should leave pass/fail open until the teacher has graded', async () => {
+      const attempt = mockInstance({ attemptId: 20, assignmentId: 8, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(5) });
+      mockModels.StudentExamAttempts.findOne.mockResolvedValue(attempt);
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([
+        { scoreAwarded: '5.00', gradingStatus: 'auto_graded' },
+        { scoreAwarded: null, gradingStatus: 'pending' }
+      ]);
+
+      await examService.completeExamAttempt(20);
+
+      expect(attempt.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'completed', score: 5, passed: null, gradingStatus: 'pending_review' }),
+        { transaction: mockTransaction }
+      );
+    });
+  });
+
+  describe('gradeResponse', () => {
+    let attempt;
+    let response;
+
+    beforeEach(() => {
+      attempt = mockInstance({ attemptId: 20, examId: 3, studentId: 10, status: 'completed', maxScore: '10', gradingStatus: 'pending_review' });
+      response = mockInstance({ responseId: 50, attemptId: 20, maxScore: '5.00', scoreAwarded: null, gradingStatus: 'pending' });
+      mockModels.StudentExamResponses.findByPk.mockResolvedValue(response);
+      mockModels.StudentExamAttempts.findByPk.mockResolvedValue(attempt);
+      mockModels.Exams.findByPk.mockResolvedValue({ examId: 3, title: 'Biology midterm', passingPercentage: '60.00' });
+      mockModels.Students.findByPk.mockResolvedValue({ studentId: 10, user: { firstName: 'Sam', email: 'sam@example.com' } });
+    });
+
+    it('should record the teacher\'s score and feedback and recompute the attempt', async () => {
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([
+        { scoreAwarded: '5.00', gradingStatus: 'auto_graded' },
+        { scoreAwarded: '3', gradingStatus: 'manually_graded' }
+      ]);
+
+      const result = await examService.gradeResponse(50, { scoreAwarded: 3, feedback: 'Mention chlorophyll', gradedBy: 7 });
+
+      expect(response.update).toHaveBeenCalledWith(expect.objectContaining({
+        scoreAwarded: 3, isCorrect: false, gradingStatus: 'manually_graded', gradingNotes: 'Mention chlorophyll', gradedBy: 7
+      }), { transaction: mockTransaction });
+      expect(result.attempt).toMatchObject({ score: 8, percentage: 80, passed: true, gradingStatus: 'graded' });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should notify the student and parents once nothing is left to grade', async () => {
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([{ scoreAwarded: '5', gradingStatus: 'manually_graded' }]);
+
+      await examService.gradeResponse(50, { scoreAwarded: 5, gradedBy: 7 });
+      await new Promise(setImmediate);
+
+      expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'sam@example.com', subject: 'Your Biology midterm result is ready' }));
+      expect(parentNotificationService.notifyLinkedParents).toHaveBeenCalledWith(10, expect.objectContaining({
+        notificationType: 'grade_update', relatedEntityType: 'exam', relatedEntityId: 3
+      }));
+    });
+
+    it('should not notify while other responses still need grading', async () => {
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([
+        { scoreAwarded: '5', gradingStatus: 'manually_graded' },
+        { scoreAwarded: '0', gradingStatus: 'flagged' }
+      ]);
+
+      const result = await examService.gradeResponse(50, { scoreAwarded: 5, gradedBy: 7 });
+      await new Promise(setImmediate);
+
+      expect(result.attempt).toMatchObject({ passed: null, gradingStatus: 'pending_review' });
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+      expect(parentNotificationService.notifyLinkedParents).not.toHaveBeenCalled();
+    });
+
+    it('should refuse more points than the question is worth', async () => {
+      await expect(examService.gradeResponse(50, { scoreAwarded: 6, gradedBy: 7 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(response.update).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should refuse to grade an attempt that is still in progress', async () => {
+      attempt.status = 'in_progress';
+
+      await expect(examService.gradeResponse(50, { scoreAwarded: 3, gradedBy: 7 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('updateQuestion', () => {
+    let question;
+
+    beforeEach(() => {
+      question = mockInstance({
+        questionId: 5,
+        examId: 3,
+        questionType: 'multiple_choice',
+        examAnswers: [
+          mockInstance({ answerId: 61, answerText: 'Mitochondria', isCorrect: false }),
+          mockInstance({ answerId: 62, answerText: 'Chloroplast', isCorrect: true })
+        ]
+      });
+      mockModels.ExamQuestions.findByPk.mockResolvedValue(question);
+      mockModels.StudentExamResponses.findAll.mockResolvedValue([{ responseId: 50, chosenAnswerId: 61, answerData: null }]);
+    });
+
+    it('should correct answers sent with their answerId in place', async () => {
+      await examService.updateQuestion(5, {
+        answers: [
+          { answerId: 61, answerText: 'Mitochondria', isCorrect: true },
+          { answerId: 62, answerText: 'Chloroplast', isCorrect: false },
+          { answerText: 'Nucleus' }
+        ]
+      });
+
+      expect(question.examAnswers[0].update).toHaveBeenCalledWith({ answerText: 'Mitochondria', isCorrect: true, orderNumber: 0 }, { transaction: mockTransaction });
+      expect(mockModels.ExamAnswers.create).toHaveBeenCalledWith({ answerText: 'Nucleus', isCorrect: false, orderNumber: 2, questionId: 5 }, { transaction: mockTransaction });
+      expect(mockModels.ExamAnswers.destroy).not.toHaveBeenCalled();
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should refuse to remove an answer students have chosen', async () => {
+      await expect(examService.updateQuestion(5, {
+        answers: [{ answerText: 'Mitochondria' }, { answerText: 'Chloroplast', isCorrect: true }]
+      })).rejects.toThrow('Answers students have chosen cannot be removed; send them with their answerId and mark them wrong instead');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should refuse to change the type of an answered question', async () => {
+      await expect(examService.updateQuestion(5, { questionType: 'multi_select' }))
+        .rejects.toThrow('The type of a question students have answered cannot be changed');
+    });
+  });
+
+  describe('regradeQuestion', () => {
+    let question;
+    let attempts;
+    let responses;
+
+    const attemptResponse = (data) => mockInstance({ textResponse: null, answerData: null, isCorrect: null, ...data });
+
+    beforeEach(() => {
+      // The key was wrong (62 instead of 61) and the question is now worth 2 points instead of 1
+      question = {
+        questionId: 5,
+        examId: 3,
+        questionType: 'multiple_choice',
+        points: '2',
+        examAnswers: [{ answerId: 61, isCorrect: true }, { answerId: 62, isCorrect: false }]
+      };
+      attempts = {
+        20: mockInstance({ attemptId: 20, studentId: 10, status: 'completed', maxScore: '10', score: '5', percentage: '50', passed: false, gradingStatus: 'graded' }),
+        21: mockInstance({ attemptId: 21, studentId: 11, status: 'in_progress', maxScore: '10' })
+      };
+      responses = [
+        attemptResponse({ responseId: 50, attemptId: 20, chosenAnswerId: 61, scoreAwarded: '0', maxScore: '1', isCorrect: false, gradingStatus: 'auto_graded', attempt: { studentId: 10, assignment: { examQuestionAssignments: [] } } }),
+        attemptResponse({ responseId: 51, attemptId: 21, chosenAnswerId: 62, scoreAwarded: '1', maxScore: '1', isCorrect: true, gradingStatus: 'auto_graded', attempt: { studentId: 11, assignment: { examQuestionAssignments: [] } } })
+      ];
+
+      mockModels.ExamQuestions.findByPk.mockResolvedValue(question);
+      mockModels.Exams.findByPk.mockResolvedValue({ examId: 3, title: 'Biology midterm', passingPercentage: '60.00' });
+      mockModels.StudentExamAttempts.findByPk.mockImplementation(async attemptId => attempts[attemptId]);
+      mockModels.StudentExamResponses.findAll.mockImplementation(async ({ where }) => (where.questionId
+        ? responses
+        : [responses[0], { scoreAwarded: '5', gradingStatus: 'auto_graded' }]));
+      mockModels.ExamRegrades.create.mockImplementation(async data => mockInstance({ regradeId: 4, ...data }));
+      mockModels.Students.findByPk.mockResolvedValue({ studentId: 10, user: { firstName: 'Sam', email: 'sam@example.com' } });
+    });
+
+    it('should rescore every response and recompute submitted attempts', async () => {
+      const regrade = await examService.regradeQuestion(5, { regradedBy: 7, reason: 'Wrong key' });
+
+      expect(responses[0].update).toHaveBeenCalledWith({ isCorrect: true, scoreAwarded: 2, gradingStatus: 'auto_graded', maxScore: 2 }, { transaction: mockTransaction });
+      expect(responses[1].update).toHaveBeenCalledWith({ isCorrect: false, scoreAwarded: 0, gradingStatus: 'auto_graded', maxScore: 2 }, { transaction: mockTransaction });
+      expect(attempts[20]).toMatchObject({ maxScore: 11, score: 7, percentage: 63.64, passed: true });
+      expect(attempts[21].update).toHaveBeenCalledWith({ maxScore: 11 }, { transaction: mockTransaction });
+      expect(regrade).toMatchObject({ regradeId: 4, examId: 3, questionId: 5, regradedBy: 7, reason: 'Wrong key', responsesRescored: 2, responsesChanged: 2 });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should keep the old and new scores of every change', async () => {
+      await examService.regradeQuestion(5, { regradedBy: 7 });
+
+      expect(mockModels.ExamRegradeChanges.bulkCreate).toHaveBeenCalledWith([
+        {
+          regradeId: 4, responseId: 50, attemptId: 20, studentId: 10, oldScore: 0, newScore: 2, oldMaxScore: 1, newMaxScore: 2,
+          oldAttemptScore: 5, newAttemptScore: 7, oldPercentage: 50, newPercentage: 63.64, oldPassed: false, newPassed: true
+        },
+        {
+          regradeId: 4, responseId: 51, attemptId: 21, studentId: 11, oldScore: 1, newScore: 0, oldMaxScore: 1, newMaxScore: 2,
+          oldAttemptScore: null, newAttemptScore: null, oldPercentage: null, newPercentage: null, oldPassed: null, newPassed: null
+        }
+      ], { transaction: mockTransaction });
+    });
+
+    it('should notify only the students whose submitted result changed', async () => {
+      await examService.regradeQuestion(5, { regradedBy: 7 });
+      await new Promise(setImmediate);
+
+      expect(mailer.sendMail).toHaveBeenCalledTimes(1);
+      expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'sam@example.com', subject: 'Your Biology midterm result has changed' }));
+      expect(parentNotificationService.notifyLinkedParents).toHaveBeenCalledWith(10, expect.objectContaining({
+        notificationType: 'grade_update', title: 'Biology midterm has been regraded', relatedEntityId: 3
+      }));
+    });
+
+    it('should scale a teacher\'s grade to the new points', async () => {
+      question.questionType = 'essay';
+      responses = [attemptResponse({
+        responseId: 52, attemptId: 20, scoreAwarded: '0.5', maxScore: '1', isCorrect: false, gradingStatus: 'manually_graded',
+        attempt: { studentId: 10, assignment: { examQuestionAssignments: [] } }
+      })];
+
+      await examService.regradeQuestion(5, { regradedBy: 7 });
+
+      expect(responses[0].update).toHaveBeenCalledWith({ isCorrect: false, scoreAwarded: 1, gradingStatus: 'manually_graded', maxScore: 2 }, { transaction: mockTransaction });
+    });
+
+    it('should use the points a drawn question was given', async () => {
+      responses[0].attempt.assignment.examQuestionAssignments = [{ questionId: 5, customPoints: '1' }];
+      responses = [responses[0]];
+
+      const regrade = await examService.regradeQuestion(5, { regradedBy: 7 });
+
+      expect(responses[0].update).toHaveBeenCalledWith(expect.objectContaining({ scoreAwarded: 1, maxScore: 1 }), { transaction: mockTransaction });
+      expect(regrade.changes[0]).toMatchObject({ oldMaxScore: 1, newMaxScore: 1, oldScore: 0, newScore: 1 });
+    });
+
+    it('should give the new points to attempts that left the question unanswered', async () => {
+      attempts[22] = mockInstance({
+        attemptId: 22, assignmentId: 30, studentId: 12, status: 'completed', maxScore: '9', score: '5.5', percentage: '61.11', passed: true, gradingStatus: 'graded'
+      });
+      mockModels.StudentExamAttempts.findAll.mockImplementation(async ({ where }) => (where.examId ? [attempts[20], attempts[22]] : []));
+      mockModels.ExamQuestionAssignments.findAll.mockImplementation(async ({ where }) => (where.examStudentAssignmentId === 30
+        ? [{ questionId: 5, customPoints: null, question: { points: '2' } }, { questionId: 6, customPoints: null, question: { points: '8' } }]
+        : []));
+      mockModels.StudentExamResponses.findAll.mockImplementation(async ({ where }) => (where.questionId ? responses : [{ questionId: 6, scoreAwarded: '5.5' }]));
+
+      const regrade = await examService.regradeQuestion(5, { regradedBy: 7 });
+
+      expect(attempts[22]).toMatchObject({ maxScore: 10, score: 5.5, percentage: 55, passed: false });
+      expect(regrade.changes).toContainEqual(expect.objectContaining({
+        responseId: null, attemptId: 22, studentId: 12, oldMaxScore: 1, newMaxScore: 2,
+        oldAttemptScore: 5.5, newAttemptScore: 5.5, oldPercentage: 61.11, newPercentage: 55, oldPassed: true, newPassed: false
+      }));
+      expect(regrade).toMatchObject({ responsesRescored: 2, responsesChanged: 2 });
+      expect(mockModels.ExamStudentAssignments.findByPk).toHaveBeenCalledWith(30, { transaction: mockTransaction });
+    });
+
+    it('should count the exam\'s own questions for unanswered papers from before question draws', async () => {
+      attempts[23] = mockInstance({ attemptId: 23, assignmentId: 31, studentId: 13, status: 'in_progress', maxScore: '9' });
+      mockModels.StudentExamAttempts.findAll.mockImplementation(async ({ where }) => (where.examId ? [attempts[23]] : []));
+      mockModels.ExamQuestions.findAll.mockResolvedValue([{ questionId: 5, points: '2' }, { questionId: 6, points: '8' }]);
+
+      await examService.regradeQuestion(5, { regradedBy: 7 });
+
+      expect(mockModels.ExamQuestions.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { examId: 3, bankQuestionId: null, questionSet: null }
+      }));
+      expect(attempts[23].update).toHaveBeenCalledWith({ maxScore: 10 }, { transaction: mockTransaction });
+    });
+
+    it('should record a regrade that changed nothing without notifying anyone', async () => {
+      question.examAnswers = [{ answerId: 61, isCorrect: false }, { answerId: 62, isCorrect: true }];
+      question.points = '1';
+
+      const regrade = await examService.regradeQuestion(5, { regradedBy: 7 });
+      await new Promise(setImmediate);
+
+      expect(regrade).toMatchObject({ responsesRescored: 2, responsesChanged: 0, changes: [] });
+      expect(mockModels.ExamRegradeChanges.bulkCreate).not.toHaveBeenCalled();
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should fail for a missing question', async () => {
+      mockModels.ExamQuestions.findByPk.mockResolvedValue(null);
+
+      await expect(examService.regradeQuestion(5, { regradedBy: 7 })).rejects.toThrow('Question not found');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('getGradingQueue', () => {
+    it('should reject unknown statuses', async () => {
+      await expect(examService.getGradingQueue(3, { status: 'auto_graded' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getExamAttempt', () => {
+    it('should report no remaining time for a closed attempt', async () => {
+      mockModels.StudentExamAttempts.findByPk.mockResolvedValue(mockInstance({ attemptId: 20, status: 'completed', expiresAt: minutesFromNow(10) }));
+
+      await expect(examService.getExamAttempt(20)).resolves.toMatchObject({ status: 'completed', remainingSeconds: null });
+    });
+  });
+
+  describe('expireOverdueAttempts', () => {
+    it('should time out overdue attempts and mark lapsed assignments missed', async () => {
+      const overdue = mockInstance({ attemptId: 20, assignmentId: 8, status: 'in_progress', maxScore: '10', expiresAt: minutesFromNow(-1) });
+      const submitted = mockInstance({ attemptId: 21, assignmentId: 8, status: 'completed' });
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([{ attemptId: 20 }, { attemptId: 21 }]);
+      mockModels.StudentExamAttempts.findByPk.mockImplementation(async id => (id === 20 ? overdue : submitted));
+      mockModels.ExamStudentAssignments.findAll.mockResolvedValue([{ assignmentId: 30, status: 'assigned' }, { assignmentId: 31, status: 'assigned' }]);
+      mockModels.ExamStudentAssignments.update.mockResolvedValue([2]);
+
+      const result = await examService.expireOverdueAttempts();
+
+      expect(result).toEqual({ timedOut: 1, missed: 2, completed: 0 });
+      expect(overdue.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'timed_out' }), { transaction: mockTransaction });
+      expect(submitted.update).not.toHaveBeenCalled();
+      expect(mockModels.ExamStudentAssignments.update).toHaveBeenCalledWith(
+        { status: 'missed' },
+        { where: { assignmentId: [30, 31], status: 'assigned' } }
+      );
+    });
+
+    it('should keep sweeping when one attempt fails', async () => {
+      mockModels.StudentExamAttempts.findAll.mockResolvedValue([{ attemptId: 20 }]);
+      mockModels.StudentExamAttempts.findByPk.mockRejectedValue(new Error('deadlock detected'));
+      mockModels.ExamStudentAssignments.findAll.mockResolvedValue([]);
+
+      await expect(examService.expireOverdueAttempts()).resolves.toEqual({ timedOut: 0, missed: 0, completed: 0 });
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(mockModels.ExamStudentAssignments.update).not.toHaveBeenCalled();
+    });
+
+    it('should complete lapsed assignments with attempts left once none is in progress', async () => {
+      mockModels.StudentExamAttempts.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ assignmentId: 33 }]);
+      mockModels.ExamStudentAssignments.findAll.mockResolvedValue([{ assignmentId: 32, status: 'started' }, { assignmentId: 33, status: 'started' }]);
+      mockModels.ExamStudentAssignments.update.mockResolvedValue([1]);
+
+      await expect(examService.expireOverdueAttempts()).resolves.toEqual({ timedOut: 0, missed: 0, completed: 1 });
+      expect(mockModels.ExamStudentAssignments.update).toHaveBeenCalledTimes(1);
+      expect(mockModels.ExamStudentAssignments.update).toHaveBeenCalledWith(
+        { status: 'completed' },
+        { where: { assignmentId: [32], status: 'started' } }
+      );
+    });
+  });
+
+  describe('assignExamToStudents with bank draws', () => {
+    const bankQuestions = [1, 2, 3, 4, 5, 6].map(id => ({
+      bankQuestionId: id,
+      questionText: `Question ${id}`,
+      questionType: 'multiple_choice',
+      points: '1',
+      answers: [
+        { answerText: 'A', isCorrect: true, orderNumber: 0 },
+        { answerText: 'B', isCorrect: false, orderNumber: 1 },
+        { answerText: 'C', isCorrect: false, orderNumber: 2 }
+      ]
+    }));
+
+    const paperFor = (studentId) => {
+      const call = mockModels.ExamQuestionAssignments.bulkCreate.mock.calls
+        .find(([rows]) => rows[0].examStudentAssignmentId === studentId + 100);
+      return call[0];
+    };
+
+    beforeEach(() => {
+      let nextAnswerId = 500;
+      mockModels.Exams.findByPk.mockResolvedValue({ examId: 3, isPublished: true });
+      mockModels.ExamQuestions.findAll.mockResolvedValue([{ questionId: 1, bankQuestionId: null, examAnswers: [] }]);
+      mockModels.ExamQuestionDraws.findAll.mockResolvedValue([{ drawId: 1, questionBankId: 2, count: 3, points: '4' }]);
+      mockModels.BankQuestions.findAll.mockResolvedValue(bankQuestions);
+      mockModels.ExamQuestions.findOne.mockResolvedValue(null);
+      mockModels.ExamQuestions.create.mockImplementation(async data => ({ questionId: 100 + data.bankQuestionId, ...data }));
+      mockModels.ExamAnswers.bulkCreate.mockImplementation(async rows => rows.map(row => ({ answerId: nextAnswerId++, ...row })));
+      mockModels.Students.findByPk.mockImplementation(async studentId => ({ studentId }));
+      mockModels.ExamStudentAssignments.findOne.mockResolvedValue(null);
+      mockModels.ExamStudentAssignments.create.mockImplementation(async data => ({ assignmentId: data.studentId + 100, ...data }));
+    });
+
+    it('should give each student the fixed questions plus their drawn questions, shuffled', async () => {
+      await examService.assignExamToStudents(3, [10, 11], 1);
+
+      [10, 11].forEach(studentId => {
+        const paper = paperFor(studentId);
+        expect(paper).toHaveLength(4);
+        expect(paper.map(item => item.orderNumber)).toEqual([0, 1, 2, 3]);
+        expect(paper.find(item => item.questionId === 1)).toMatchObject({ customPoints: null, answerOrder: null });
+        paper.filter(item => item.questionId !== 1).forEach(item => {
+          expect(item.customPoints).toBe('4');
+          expect(item.answerOrder).toHaveLength(3);
+        });
+      });
+      // Each drawn bank question is copied into the exam once, however many students drew it
+      const copied = mockModels.ExamQuestions.create.mock.calls.map(([data]) => data.bankQuestionId);
+      expect(new Set(copied).size).toBe(copied.length);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should draw the same paper again for the same student', async () => {
+      await examService.assignExamToStudents(3, [10], 1);
+      const first = paperFor(10).map(({ questionId, orderNumber }) => ({ questionId, orderNumber }));
+
+      mockModels.ExamQuestionAssignments.bulkCreate.mockClear();
+      await examService.assignExamToStudents(3, [10], 1);
+
+      expect(paperFor(10).map(({ questionId, orderNumber }) => ({ questionId, orderNumber }))).toEqual(first);
+    });
+
+    it('should fail without assigning when the bank has too few questions', async () => {
+      mockModels.BankQuestions.findAll.mockResolvedValue(bankQuestions.slice(0, 2));
+
+      await expect(examService.assignExamToStudents(3, [10], 1)).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockModels.ExamStudentAssignments.create).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('accommodations', () => {
+    const profile = { accommodationId: 4, studentId: 10, planType: 'iep', timeMultiplier: '1.50', extraAttempts: 1, hideTimer: true, questionSet: 'large-print' };
+
+    beforeEach(() => {
+      mockModels.Exams.findByPk.mockResolvedValue({ ...exam, isPublished: true });
+      mockModels.ExamQuestions.findAll.mockResolvedValue([
+        { questionId: 1, bankQuestionId: null, questionSet: null },
+        { questionId: 2, bankQuestionId: null, questionSet: null },
+        { questionId: 3, bankQuestionId: null, questionSet: 'large-print' }
+      ]);
+      mockModels.ExamQuestionDraws.findAll.mockResolvedValue([]);
+      mockModels.Students.findByPk.mockImplementation(async studentId => ({ studentId }));
+      mockModels.ExamStudentAssignments.findOne.mockResolvedValue(null);
+      mockModels.ExamStudentAssignments.create.mockImplementation(async data => ({ assignmentId: data.studentId + 100, ...data }));
+      mockModels.StudentAccommodations.findAll.mockResolvedValue([profile]);
+    });
+
+    it('should extend the time and give the alternate questions when the exam is assigned', async () => {
+      await examService.assignExamToStudents(3, [10, 11], 1);
+
+      const [accommodated, standard] = mockModels.ExamStudentAssignments.create.mock.calls.map(([data]) => data);
+      expect(accommodated.customDuration).toBe(90);
+      expect(accommodated.customEndDate - exam.endDate).toBe(30 * 60 * 1000);
+      expect(accommodated.customMaxAttempts).toBe(2);
+      expect(accommodated.accommodations.applied.map(item => item.accommodation))
+        .toEqual(['extended_time', 'hidden_timer', 'extra_attempts', 'alternate_questions']);
+      expect(standard).toMatchObject({ customDuration: undefined, accommodations: null });
+
+      const questionsOf = studentId => mockModels.ExamQuestionAssignments.create.mock.calls
+        .filter(([data]) => data.examStudentAssignmentId === studentId + 100)
+        .map(([data]) => data.questionId);
+      expect(questionsOf(10)).toEqual([3]);
+      expect(questionsOf(11)).toEqual([1, 2]);
+    });
+
+    it('should keep a custom duration the teacher set', async () => {
+      await examService.assignExamToStudents(3, [10], 1, { customDuration: 45 });
+
+      const created = mockModels.ExamStudentAssignments.create.mock.calls[0][0];
+      expect(created.customDuration).toBe(45);
+      expect(created.accommodations.skipped.map(item => item.accommodation)).toContain('extended_time');
+    });
+
+    it('should apply a profile added after the exam was assigned when the attempt starts, and hide the timer', async () => {
+      mockModels.ExamStudentAssignments.findOne.mockResolvedValue(assignment);
+
+      const attempt = await examService.startExamAttempt(8, 10);
+
+      const created = mockModels.StudentExamAttempts.create.mock.calls[0][0];
+      expect(created.expiresAt - created.startedAt).toBe(90 * 60 * 1000);
+      expect(created.accommodations.hideTimer).toBe(true);
+      expect(assignment.update).toHaveBeenCalledWith(expect.objectContaining({ customDuration: 90 }), { transaction: mockTransaction });
+      expect(attempt.remainingSeconds).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// tests/unit/itemAnalysisService.test.js
+const mockModels = {
+  Exams: { findByPk: jest.fn() },
+  ExamQuestions: { findAll: jest.fn() },
+  ExamAnswers: {},
+  ExamStudentAssignments: {},
+  ExamQuestionAssignments: {},
+  StudentExamAttempts: { findAll: jest.fn() },
+  StudentExamResponses: {}
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn() }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+
+const itemAnalysisService = require('../../../src/services/itemAnalysisService');
+
+const QUESTIONS = [
+  {
+    questionId: 1,
+    questionText: 'Capital of France?',
+    questionType: 'multiple_choice',
+    points: 1,
+    examAnswers: [
+      { answerId: 11, answerText: 'Paris', isCorrect: true },
+      { answerId: 12, answerText: 'Lyon', isCorrect: false },
+      { answerId: 13, answerText: 'Rome', isCorrect: false }
+    ]
+  },
+  {
+    questionId: 2,
+    questionText: 'Largest planet?',
+    questionType: 'multiple_choice',
+    points: 1,
+    examAnswers: [
+      { answerId: 21, answerText: 'Saturn', isCorrect: true },
+      { answerId: 22, answerText: 'Jupiter', isCorrect: false }
+    ]
+  },
+  { questionId: 3, questionText: 'Explain tides.', questionType: 'essay', points: 4, examAnswers: [] },
+  { questionId: 4, questionText: 'Drawn question', questionType: 'essay', points: 2, bankQuestionId: 9, examAnswers: [] }
+];
+
+const choice = (questionId, answerId, isCorrect) => ({ questionId, chosenAnswerId: answerId, scoreAwarded: isCorrect ? 1 : 0, maxScore: 1 });
+const essay = (questionId, scoreAwarded, maxScore = 4) => ({ questionId, scoreAwarded, maxScore });
+
+// Strong students pick Jupiter on question 2, which is keyed wrong
+const attempt = (attemptId, responses, paper = [1, 2, 3], gradingStatus = 'graded') => ({
+  attemptId,
+  gradingStatus,
+  studentExamResponses: responses,
+  assignment: { examQuestionAssignments: paper.map(questionId => ({ questionId, customPoints: null })) }
+});
+const ATTEMPTS = [
+  attempt(1, [choice(1, 11, true), choice(2, 22, false), essay(3, 4)]),
+  attempt(2, [choice(1, 11, true), choice(2, 22, false), essay(3, 3)]),
+  attempt(3, [choice(1, 11, true), choice(2, 21, true), essay(3, 2)], [1, 2, 3, 4]),
+  attempt(4, [choice(1, 12, false), choice(2, 21, true), essay(3, 1)]),
+  attempt(5, [choice(1, 12, false), choice(2, 21, true)]),
+  attempt(6, [choice(1, 11, true), essay(3, null)], [1, 2, 3], 'pending_review')
+];
+
+describe('ItemAnalysisService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockModels.Exams.findByPk.mockResolvedValue({ examId: 3, title: 'Unit test' });
+    mockModels.ExamQuestions.findAll.mockResolvedValue(QUESTIONS);
+    mockModels.StudentExamAttempts.findAll.mockResolvedValue(ATTEMPTS);
+  });
+
+  it('should compute difficulty and discrimination from the graded attempts', async () => {
+    const analysis = await itemAnalysisService.getItemAnalysis(3);
+    const [capital, planet, tides] = analysis.questions;
+
+    expect(analysis.summary).toMatchObject({ attempts: 5, pendingReview: 1, smallSample: true });
+    expect(capital).toMatchObject({ attempts: 5, omitted: 0, difficulty: 0.6 });
+    expect(capital.discrimination).toBeGreaterThan(0.2);
+    expect(tides).toMatchObject({ attempts: 5, omitted: 1, difficulty: 0.5 });
+    expect(planet.discrimination).toBeLessThan(0);
+  });
+
+  it('should analyse each answer option', async () => {
+    const { questions: [capital] } = await itemAnalysisService.getItemAnalysis(3);
+
+    expect(capital.distractors.map(({ answerId, chosen, share }) => [answerId, chosen, share])).toEqual([
+      [11, 3, 0.6],
+      [12, 2, 0.4],
+      [13, 0, 0]
+    ]);
+    expect(capital.distractors[0].pointBiserial).toBeGreaterThan(0);
+    expect(capital.distractors[2].pointBiserial).toBeNull();
+    expect(capital.flag).toBe('review');
+    expect(capital.reasons.map(reason => reason.code)).toEqual(['non_functioning_distractors']);
+  });
+
+  it('should flag a question whose key looks wrong for regrading', async () => {
+    const { questions: [, planet], summary } = await itemAnalysisService.getItemAnalysis(3);
+
+    expect(planet.flag).toBe('regrade');
+    expect(planet.reasons.map(reason => reason.code)).toEqual(['negative_discrimination', 'distractor_outperforms_key']);
+    expect(summary.flaggedForRegrade).toBe(1);
+  });
+
+  it('should only include drawn questions for the students who were given them', async () => {
+    const { questions } = await itemAnalysisService.getItemAnalysis(3);
+
+    expect(questions.find(question => question.questionId === 4)).toMatchObject({ attempts: 1, omitted: 1, bankQuestionId: 9 });
+  });
+
+  it('should compute reliability over the questions every student was given', async () => {
+    const { reliability } = await itemAnalysisService.getItemAnalysis(3);
+
+    expect(reliability).toMatchObject({ method: 'cronbach_alpha', questions: 3, attempts: 5 });
+    expect(typeof reliability.value).toBe('number');
+  });
+
+  it('should use KR-20 when every question is scored right or wrong', async () => {
+    mockModels.StudentExamAttempts.findAll.mockResolvedValue([
+      attempt(1, [choice(1, 11, true), choice(2, 21, true)], [1, 2]),
+      attempt(2, [choice(1, 11, true), choice(2, 22, false)], [1, 2]),
+      attempt(3, [choice(1, 12, false), choice(2, 22, false)], [1, 2]),
+      attempt(4, [choice(1, 12, false), choice(2, 22, false)], [1, 2])
+    ]);
+
+    const { reliability } = await itemAnalysisService.getItemAnalysis(3);
+
+    // Item variances 0.25 + 0.1875, total variance 0.6875: 2 * (1 - 0.4375 / 0.6875)
+    expect(reliability).toEqual({ method: 'KR-20', value: 0.727, questions: 2, attempts: 4 });
+  });
+
+  it('should fail for a missing exam', async () => {
+    mockModels.Exams.findByPk.mockResolvedValue(null);
+
+    await expect(itemAnalysisService.getItemAnalysis(3)).rejects.toThrow('Exam not found');
+  });
+});
@@ -0,0 +1,100 @@
+// tests/unit/loginProtectionService.test.js
+const mockModels = {
+  LoginAttempts: {
+    create: jest.fn(),
+  },
+};
+
+jest.mock('../../../src/config/db.js', () => ({ sequelize: {} }));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn(), info: jest.fn() }));
+jest.mock('../../../src/utils/mailer', () => ({ sendMail: jest.fn(async () => ({})) }));
+jest.mock('../../../src/services/otpService', () => ({
+  issueCode: jest.fn(async () => ({ code: '123456', expiresInMinutes: 60 })),
+  verifyCode: jest.fn(),
+}));
+
+const loginProtectionService = require('../../../src/services/loginProtectionService');
+const config = require('../../../src/config');
+
+const buildUser = (overrides = {}) => {
+  const user = {
+    userId: 3,
+    email: 'jane@example.com',
+    firstName: 'Jane',
+    failedLoginCount: 0,
+    lockedUntil: null,
+    ...overrides,
+  };
+  user.isLocked = () => !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+  user.increment = jest.fn(async () => { user.failedLoginCount += 1; });
+  user.reload = jest.fn(async () => user);
+  user.update = jest.fn(async (values) => Object.assign(user, values));
+  return user;
+};
+
+describe('Login Protection Service', () => {
+  const { threshold, baseMinutes, maxMinutes } = config.lockout;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('lockoutMinutesFor', () => {
+    it('should not lock below the threshold', () => {
+      expect(loginProtectionService.lockoutMinutesFor(threshold - 1)).toBe(0);
+    });
+
+    it('should double the lockout each time the threshold is reached again', () => {
+      expect(loginProtectionService.lockoutMinutesFor(threshold)).toBe(baseMinutes);
+      expect(loginProtectionService.lockoutMinutesFor(threshold + 1)).toBe(0);
+      expect(loginProtectionService.lockoutMinutesFor(threshold * 2)).toBe(baseMinutes * 2);
+      expect(loginProtectionService.lockoutMinutesFor(threshold * 50)).toBe(maxMinutes);
+    });
+  });
+
+  describe('registerFailure', () => {
+    it('should record the attempt without locking below the threshold', async () => {
+      const user = buildUser();
+
+      await loginProtectionService.registerFailure(user, { ipAddress: '10.0.0.1' });
+
+      expect(user.failedLoginCount).toBe(1);
+      expect(user.lockedUntil).toBeNull();
+      expect(mockModels.LoginAttempts.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 3, failureReason: 'invalid_password', ipAddress: '10.0.0.1' })
+      );
+    });
+
+    it('should lock the account when the threshold is reached', async () => {
+      const user = buildUser({ failedLoginCount: threshold - 1 });
+
+      await loginProtectionService.registerFailure(user);
+
+      expect(user.isLocked()).toBe(true);
+      expect(mockModels.LoginAttempts.create).toHaveBeenCalledWith(
+        expect.objectContaining({ lockedUntil: expect.any(Date) })
+      );
+    });
+  });
+
+  describe('assertNotLocked', () => {
+    it('should reject a locked account with 423 and audit the attempt', async () => {
+      const user = buildUser({ lockedUntil: new Date(Date.now() + 10 * 60 * 1000) });
+
+      await expect(loginProtectionService.assertNotLocked(user))
+        .rejects.toMatchObject({ statusCode: 423 });
+      expect(mockModels.LoginAttempts.create).toHaveBeenCalledWith(
+        expect.objectContaining({ failureReason: 'account_locked' })
+      );
+    });
+
+    it('should allow an account whose lockout has expired', async () => {
+      const user = buildUser({ lockedUntil: new Date(Date.now() - 1000) });
+
+      await expect(loginProtectionService.assertNotLocked(user)).resolves.toBeUndefined();
+    });
+  });
+});
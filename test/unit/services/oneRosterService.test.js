@@ -0,0 +1,232 @@
+// tests/unit/oneRosterService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+
+// Model instances with the update/destroy/restore methods the service calls
+const mockInstance = (data) => {
+  const instance = { ...data };
+  instance.update = jest.fn(async values => Object.assign(instance, values));
+  instance.destroy = jest.fn(async () => {});
+  instance.restore = jest.fn(async () => {});
+  return instance;
+};
+
+const mockModels = {
+  Users: { findByPk: jest.fn(), findOne: jest.fn() },
+  Institutions: { findByPk: jest.fn() },
+  Students: { findOne: jest.fn(), create: jest.fn(), findAll: jest.fn() },
+  Teachers: { findOrCreate: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  TeacherInstitutions: { findOne: jest.fn(), create: jest.fn(), destroy: jest.fn(), findAll: jest.fn() },
+  Classes: { findByPk: jest.fn(), create: jest.fn(), update: jest.fn(), findAll: jest.fn(), destroy: jest.fn() },
+  ClassEnrollments: { findOne: jest.fn(), create: jest.fn(), update: jest.fn(async () => [1]), destroy: jest.fn(), findAll: jest.fn() },
+  AcademicSessions: { findByPk: jest.fn(), create: jest.fn(), update: jest.fn(), destroy: jest.fn(), findAll: jest.fn() },
+  ExternalIdentifiers: { findAll: jest.fn(), create: jest.fn() },
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/services/rosterImportService', () => ({
+  placeholderPasswordHash: jest.fn(async () => 'placeholder-hash'),
+  createInvitedUser: jest.fn(async (values) => {
+    const user = { ...values, userId: values.email.startsWith('tia') ? 11 : 12 };
+    return { user, invitation: { user, role: values.role } };
+  }),
+  sendInvitations: jest.fn(),
+}));
+
+const oneRosterService = require('../../../src/services/oneRosterService');
+const rosterImportService = require('../../../src/services/rosterImportService');
+const zip = require('../../../src/utils/zip');
+const csv = require('../../../src/utils/csv');
+
+const MODIFIED = '2026-09-01T00:00:00.000Z';
+
+const manifest = modes => csv.stringify(['propertyName', 'value'], [
+  ['manifest.version', '1.0'],
+  ['oneroster.version', '1.1'],
+  ...Object.entries(modes).map(([file, mode]) => [`file.${file}`, mode])
+]);
+
+const fullBundle = () => zip.create({
+  'manifest.csv': manifest({ orgs: 'bulk', academicSessions: 'bulk', users: 'bulk', classes: 'bulk', enrollments: 'bulk' }),
+  'orgs.csv': csv.stringify(['sourcedId', 'status', 'dateLastModified', 'name', 'type'], [
+    ['org-1', 'active', MODIFIED, 'Northside High', 'school']
+  ]),
+  'academicSessions.csv': csv.stringify(['sourcedId', 'status', 'dateLastModified', 'title', 'type', 'startDate', 'endDate', 'parentSourcedId', 'schoolYear'], [
+    ['term-1', 'active', MODIFIED, 'Fall', 'term', '2026-09-01', '2026-12-20', '', '2027']
+  ]),
+  'users.csv': csv.stringify(['sourcedId', 'status', 'dateLastModified', 'orgSourcedIds', 'role', 'givenName', 'familyName', 'email', 'grades'], [
+    ['u-tia', 'active', MODIFIED, 'org-1', 'teacher', 'Tia', 'Ross', 'tia@example.com', ''],
+    ['u-ava', 'active', MODIFIED, 'org-1', 'student', 'Ava', 'Jones', 'ava@example.com', '07'],
+    ['u-aide', 'active', MODIFIED, 'org-1', 'aide', 'Al', 'Aide', 'al@example.com', '']
+  ]),
+  'classes.csv': csv.stringify(['sourcedId', 'status', 'dateLastModified', 'title', 'schoolSourcedId', 'termSourcedIds'], [
+    ['class-1', 'active', MODIFIED, 'Maths 7A', 'org-1', 'term-1']
+  ]),
+  'enrollments.csv': csv.stringify(['sourcedId', 'status', 'dateLastModified', 'classSourcedId', 'userSourcedId', 'role', 'primary'], [
+    ['enr-t', 'active', MODIFIED, 'class-1', 'u-tia', 'teacher', 'true'],
+    ['enr-s', 'active', MODIFIED, 'class-1', 'u-ava', 'student', 'false']
+  ])
+});
+
+describe('OneRoster Service', () => {
+  let identifiers;
+  let students;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    identifiers = [];
+    students = [];
+
+    mockModels.Institutions.findByPk.mockResolvedValue({ institutionId: 3, name: 'Northside High', updatedAt: new Date(MODIFIED) });
+    mockModels.ExternalIdentifiers.findAll.mockImplementation(async () => identifiers);
+    mockModels.ExternalIdentifiers.create.mockImplementation(async (data) => {
+      const record = mockInstance(data);
+      identifiers.push(record);
+      return record;
+    });
+    mockModels.Users.findOne.mockResolvedValue(null);
+    mockModels.AcademicSessions.create.mockImplementation(async data => ({ ...data, academicSessionId: 40 }));
+    mockModels.Students.findOne.mockImplementation(async ({ where }) => students.find(student => student.userId === where.userId) || null);
+    mockModels.Students.create.mockImplementation(async (data) => {
+      const student = mockInstance({ ...data, studentId: 60 });
+      students.push(student);
+      return student;
+    });
+    mockModels.Teachers.findOrCreate.mockResolvedValue([{ teacherId: 50 }]);
+    mockModels.Teachers.findOne.mockResolvedValue({ teacherId: 50 });
+    mockModels.TeacherInstitutions.findOne.mockResolvedValue(null);
+    mockModels.Classes.create.mockImplementation(async data => ({ ...data, classId: 70 }));
+    mockModels.ClassEnrollments.findOne.mockResolvedValue(null);
+    mockModels.ClassEnrollments.create.mockImplementation(async data => ({ ...data, classEnrollmentId: 80 }));
+  });
+
+  describe('readBundle', () => {
+    it('should require a manifest', () => {
+      expect(() => oneRosterService.readBundle(zip.create({ 'users.csv': 'sourcedId\r\n' })))
+        .toThrow('The bundle has no manifest.csv');
+    });
+
+    it('should reject files the manifest lists but the bundle lacks', () => {
+      expect(() => oneRosterService.readBundle(zip.create({ 'manifest.csv': manifest({ users: 'delta' }) })))
+        .toThrow('The manifest lists users.csv but the bundle does not contain it');
+    });
+  });
+
+  describe('importBundle', () => {
+    it('should create sessions, users, classes and enrollments and remember their sourcedIds', async () => {
+      const result = await oneRosterService.importBundle(3, fullBundle());
+
+      expect(mockModels.AcademicSessions.create).toHaveBeenCalledWith(
+        expect.objectContaining({ institutionId: 3, title: 'Fall', type: 'term', schoolYear: 2027 }),
+        { transaction: mockTransaction }
+      );
+      expect(mockModels.TeacherInstitutions.create).toHaveBeenCalledWith({ teacherId: 50, institutionId: 3 }, { transaction: mockTransaction });
+      expect(mockModels.Students.create).toHaveBeenCalledWith({ userId: 12, institutionId: 3, gradeLevel: '07' }, { transaction: mockTransaction });
+      expect(mockModels.Classes.create).toHaveBeenCalledWith(
+        { name: 'Maths 7A', academicSessionId: 40, institutionId: 3, teacherId: 50 },
+        { transaction: mockTransaction }
+      );
+      expect(mockModels.ClassEnrollments.create).toHaveBeenCalledWith(
+        expect.objectContaining({ classId: 70, studentId: 60 }),
+        { transaction: mockTransaction }
+      );
+      expect(identifiers.map(record => `${record.entityType}:${record.sourcedId}:${record.localId}`)).toEqual([
+        'org:org-1:3', 'academicSession:term-1:40', 'user:u-tia:11', 'user:u-ava:12',
+        'class:class-1:70', 'teacherEnrollment:enr-t:70', 'enrollment:enr-s:80'
+      ]);
+
+      expect(result.summary.users).toEqual({ created: 2, updated: 0, unchanged: 0, deleted: 0, skipped: 1 });
+      expect(result.errors).toEqual([
+        { file: 'users.csv', row: 4, sourcedId: 'u-aide', message: 'Users with role aide are not imported' }
+      ]);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(rosterImportService.sendInvitations).toHaveBeenCalledWith(
+        expect.objectContaining({ institutionId: 3 }),
+        [expect.objectContaining({ role: 'teacher' }), expect.objectContaining({ role: 'student' })]
+      );
+    });
+
+    it('should leave everything unchanged when the same bundle is imported again', async () => {
+      await oneRosterService.importBundle(3, fullBundle());
+      jest.clearAllMocks();
+
+      const result = await oneRosterService.importBundle(3, fullBundle());
+
+      Object.values(result.summary).forEach(counts => expect(counts.created + counts.updated + counts.deleted).toBe(0));
+      expect(mockModels.Classes.create).not.toHaveBeenCalled();
+      expect(mockModels.ExternalIdentifiers.create).not.toHaveBeenCalled();
+    });
+
+    it('should remove enrollments marked tobedeleted in a delta file', async () => {
+      identifiers.push(
+        mockInstance({ entityType: 'class', sourcedId: 'class-1', localId: 70 }),
+        mockInstance({ entityType: 'user', sourcedId: 'u-ava', localId: 12 }),
+        mockInstance({ entityType: 'enrollment', sourcedId: 'enr-s', localId: 80 })
+      );
+      const enrollment = identifiers[2];
+
+      const result = await oneRosterService.importBundle(3, zip.create({
+        'manifest.csv': manifest({ enrollments: 'delta' }),
+        'enrollments.csv': csv.stringify(['sourcedId', 'status', 'dateLastModified', 'classSourcedId', 'userSourcedId', 'role'], [
+          ['enr-s', 'tobedeleted', MODIFIED, 'class-1', 'u-ava', 'student']
+        ])
+      }));
+
+      expect(mockModels.ClassEnrollments.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'withdrawn', endReason: 'Removed by OneRoster sync' }),
+        { where: { classEnrollmentId: 80 }, transaction: mockTransaction }
+      );
+      expect(mockModels.ClassEnrollments.destroy).toHaveBeenCalledWith({ where: { classEnrollmentId: 80 }, transaction: mockTransaction });
+      expect(enrollment.destroy).toHaveBeenCalled();
+      expect(result.summary.enrollments.deleted).toBe(1);
+    });
+
+    it('should remove records missing from a bulk file', async () => {
+      identifiers.push(mockInstance({ entityType: 'class', sourcedId: 'class-old', localId: 71 }));
+
+      await oneRosterService.importBundle(3, fullBundle());
+
+      expect(mockModels.Classes.destroy).toHaveBeenCalledWith({ where: { classId: 71 }, transaction: mockTransaction });
+    });
+
+    it('should roll back the whole import on a database error', async () => {
+      mockModels.Classes.create.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(oneRosterService.importBundle(3, fullBundle())).rejects.toThrow('connection lost');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(rosterImportService.sendInvitations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportBundle', () => {
+    it('should export the institution with imported sourcedIds and generated ones for the rest', async () => {
+      identifiers.push({ entityType: 'user', sourcedId: 'u-ava', localId: 12 });
+      const updatedAt = new Date(MODIFIED);
+      mockModels.AcademicSessions.findAll.mockResolvedValue([]);
+      mockModels.Classes.findAll.mockResolvedValue([{ classId: 70, teacherId: 50, name: 'Maths 7A', updatedAt }]);
+      mockModels.Students.findAll.mockResolvedValue([
+        { studentId: 60, userId: 12, gradeLevel: '07', user: { userId: 12, email: 'ava@example.com', firstName: 'Ava', lastName: 'Jones', updatedAt } }
+      ]);
+      mockModels.TeacherInstitutions.findAll.mockResolvedValue([{ teacherId: 50 }]);
+      mockModels.Teachers.findAll.mockResolvedValue([
+        { teacherId: 50, userId: 11, user: { userId: 11, pupilsyncId: 'uuid-tia', email: 'tia@example.com', firstName: 'Tia', lastName: 'Ross', updatedAt } }
+      ]);
+      mockModels.ClassEnrollments.findAll.mockResolvedValue([{ classEnrollmentId: 80, classId: 70, studentId: 60, updatedAt }]);
+
+      const files = zip.read(await oneRosterService.exportBundle(3));
+      const records = name => csv.parse(files[name].toString()).records;
+
+      expect(Object.keys(files)).toEqual(expect.arrayContaining(['manifest.csv', 'orgs.csv', 'users.csv', 'classes.csv', 'courses.csv', 'enrollments.csv']));
+      expect(records('users.csv').map(user => [user.sourcedId, user.role])).toEqual([['u-ava', 'student'], ['uuid-tia', 'teacher']]);
+      expect(records('enrollments.csv').map(row => [row.sourcedId, row.userSourcedId, row.role])).toEqual([
+        ['pupilsync-class-70-teacher', 'uuid-tia', 'teacher'],
+        ['pupilsync-enrollment-80', 'u-ava', 'student']
+      ]);
+      expect(records('orgs.csv')[0]).toMatchObject({ sourcedId: 'pupilsync-org-3', name: 'Northside High', type: 'school' });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// tests/unit/otpService.test.js
+const bcrypt = require('bcryptjs');
+
+const mockModels = {
+  OtpCodes: {
+    update: jest.fn(),
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+  },
+};
+
+jest.mock('../../../src/config/db.js', () => ({ sequelize: {} }));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+
+const otpService = require('../../../src/services/otpService');
+const AppError = require('../../../src/utils/errors/AppError');
+const config = require('../../../src/config');
+
+const buildOtp = async (code, overrides = {}) => {
+  const otp = {
+    otpId: 1,
+    otpCodeHash: await bcrypt.hash(code, 4),
+    attemptCount: 0,
+    ...overrides,
+  };
+  otp.update = jest.fn(async (values) => Object.assign(otp, values));
+  return otp;
+};
+
+describe('OTP Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('issueCode', () => {
+    it('should invalidate outstanding codes and store only a hash of the new one', async () => {
+      mockModels.OtpCodes.create.mockImplementation(async (data) => data);
+
+      const { code, otp } = await otpService.issueCode(5, 'password_reset');
+
+      expect(mockModels.OtpCodes.update).toHaveBeenCalledWith(
+        { isUsed: true },
+        expect.objectContaining({ where: { userId: 5, purpose: 'password_reset', isUsed: false } })
+      );
+      expect(code).toMatch(new RegExp(`^\\d{${config.otp.length}}$`));
+      expect(otp.otpCodeHash).not.toBe(code);
+      expect(await bcrypt.compare(code, otp.otpCodeHash)).toBe(true);
+      expect(otp.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should refuse a code requested over the limits and keep the outstanding one', async () => {
+      mockModels.OtpCodes.findAll.mockResolvedValue([{ createdAt: new Date(Date.now() - 10 * 1000) }]);
+
+      await expect(otpService.issueCode(5, 'password_reset', { limits: { cooldownSeconds: 60, maxPerHour: 5 } }))
+        .rejects.toMatchObject({ statusCode: 429 });
+      expect(mockModels.OtpCodes.update).not.toHaveBeenCalled();
+      expect(mockModels.OtpCodes.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertCanIssue', () => {
+    const limits = { cooldownSeconds: 60, maxPerHour: 3 };
+
+    it('should allow issuing when no recent codes exist', async () => {
+      mockModels.OtpCodes.findAll.mockResolvedValue([]);
+
+      await expect(otpService.assertCanIssue(5, 'email_verification', limits)).resolves.toBeUndefined();
+    });
+
+    it('should reject requests inside the cooldown window', async () => {
+      mockModels.OtpCodes.findAll.mockResolvedValue([{ createdAt: new Date(Date.now() - 10 * 1000) }]);
+
+      await expect(otpService.assertCanIssue(5, 'email_verification', limits))
+        .rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    it('should reject once the hourly cap is reached', async () => {
+      const old = new Date(Date.now() - 10 * 60 * 1000);
+      mockModels.OtpCodes.findAll.mockResolvedValue([{ createdAt: old }, { createdAt: old }, { createdAt: old }]);
+
+      await expect(otpService.assertCanIssue(5, 'email_verification', limits))
+        .rejects.toThrow('Too many codes requested');
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('should consume a matching code', async () => {
+      const otp = await buildOtp('123456');
+      mockModels.OtpCodes.findOne.mockResolvedValue(otp);
+
+      await otpService.verifyCode(5, 'password_reset', '123456');
+
+      expect(otp.update).toHaveBeenCalledWith(
+        expect.objectContaining({ isUsed: true, usedAt: expect.any(Date) }),
+        expect.any(Object)
+      );
+    });
+
+    it('should reject when no active code exists', async () => {
+      mockModels.OtpCodes.findOne.mockResolvedValue(null);
+
+      await expect(otpService.verifyCode(5, 'password_reset', '123456'))
+        .rejects.toThrow(AppError);
+    });
+
+    it('should count a failed attempt without consuming the code', async () => {
+      const otp = await buildOtp('123456');
+      mockModels.OtpCodes.findOne.mockResolvedValue(otp);
+
+      await expect(otpService.verifyCode(5, 'password_reset', '000000'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(otp.attemptCount).toBe(1);
+      expect(otp.isUsed).toBe(false);
+    });
+
+    it('should burn the code once the attempt limit is reached', async () => {
+      const otp = await buildOtp('123456', { attemptCount: config.otp.maxAttempts - 1 });
+      mockModels.OtpCodes.findOne.mockResolvedValue(otp);
+
+      await expect(otpService.verifyCode(5, 'password_reset', '000000'))
+        .rejects.toMatchObject({ statusCode: 429 });
+      expect(otp.isUsed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// tests/unit/policyService.test.js
+const mockModels = {
+  Courses: { findByPk: jest.fn(), findAll: jest.fn() },
+  Lessons: { findByPk: jest.fn() },
+  Students: { findByPk: jest.fn() },
+  Enrollments: { findAll: jest.fn() },
+  ClassEnrollments: { findAll: jest.fn() },
+  ClassTeachers: { findAll: jest.fn() },
+  Classes: { findByPk: jest.fn(), findAll: jest.fn() },
+  ParentStudentLink: { findAll: jest.fn() },
+  ChatMessages: { findByPk: jest.fn() },
+  ChatParticipants: { findAll: jest.fn() },
+};
+
+jest.mock('../../../src/config/db.js', () => ({ sequelize: {} }));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/utils/userInstitutionUtil', () => ({
+  getInstitutionIdsForUser: jest.fn(async () => [])
+}));
+
+const policyService = require('../../../src/services/policyService');
+const userInstitutionUtil = require('../../../src/utils/userInstitutionUtil');
+
+const teacher = (teacherId) => ({ userId: 100 + teacherId, role: 'teacher', teacher: { teacherId } });
+
+describe('Policy Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('can', () => {
+    it('should deny roles the permission does not list', async () => {
+      expect(await policyService.can({ userId: 1, role: 'student' }, 'course:edit', { id: 5 })).toBe(false);
+      expect(mockModels.Courses.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should allow any-scoped roles without loading the resource', async () => {
+      expect(await policyService.can({ userId: 1, role: 'admin' }, 'course:edit', { id: 5 })).toBe(true);
+      expect(mockModels.Courses.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should allow own-scoped roles when no resource is identified', async () => {
+      expect(await policyService.can(teacher(10), 'quiz:manage')).toBe(true);
+    });
+
+    it('should throw on a permission missing from the catalog', async () => {
+      await expect(policyService.can(teacher(10), 'course:teleport')).rejects.toThrow('Unknown permission');
+    });
+  });
+
+  describe('ownership', () => {
+    it('should let a teacher edit lessons of their own course only', async () => {
+      mockModels.Lessons.findByPk.mockResolvedValue({ lessonId: 3, courseId: 5 });
+      mockModels.Courses.findByPk.mockResolvedValue({ courseId: 5, teacherId: 10, institutionId: 1 });
+
+      expect(await policyService.can(teacher(10), 'course:edit', { type: 'lesson', id: 3 })).toBe(true);
+      expect(await policyService.can(teacher(11), 'course:edit', { type: 'lesson', id: 3 })).toBe(false);
+    });
+
+    it('should let an institution manage courses it owns', async () => {
+      mockModels.Courses.findByPk.mockResolvedValue({ courseId: 5, teacherId: 10, institutionId: 1 });
+      userInstitutionUtil.getInstitutionIdsForUser.mockResolvedValueOnce([1]);
+
+      expect(await policyService.can({ userId: 50, role: 'institution' }, 'course:edit', { id: 5 })).toBe(true);
+    });
+
+    it('should let co-teachers manage a class like its primary teacher', async () => {
+      mockModels.Classes.findByPk.mockResolvedValue({ classId: 7, teacherId: 10, institutionId: 1 });
+      mockModels.ClassTeachers.findAll.mockResolvedValue([{ teacherId: 11 }]);
+
+      expect(await policyService.can(teacher(11), 'class:manage-roster', { id: 7 })).toBe(true);
+      expect(await policyService.can(teacher(12), 'class:manage-roster', { id: 7 })).toBe(false);
+    });
+
+    it('should let a parent view reports of linked students only', async () => {
+      const parent = { userId: 60, role: 'parent', parent: { parentId: 4 } };
+      mockModels.ParentStudentLink.findAll.mockResolvedValue([{ studentId: 8 }]);
+      mockModels.Students.findByPk.mockImplementation(async (id) => ({ studentId: Number(id), userId: 200, institutionId: 1 }));
+      mockModels.Enrollments.findAll.mockResolvedValue([]);
+      mockModels.ClassEnrollments.findAll.mockResolvedValue([]);
+      mockModels.Courses.findAll.mockResolvedValue([]);
+      mockModels.Classes.findAll.mockResolvedValue([]);
+      mockModels.ClassTeachers.findAll.mockResolvedValue([]);
+
+      expect(await policyService.can(parent, 'report:view', { type: 'student', id: 8 })).toBe(true);
+      expect(await policyService.can(parent, 'report:view', { type: 'student', id: 9 })).toBe(false);
+    });
+
+    it('should let the sender or a group admin delete a chat message', async () => {
+      mockModels.ChatMessages.findByPk.mockResolvedValue({ messageId: 1, chatId: 2, senderId: 30 });
+      mockModels.ChatParticipants.findAll.mockResolvedValue([{ userId: 31 }]);
+
+      expect(await policyService.can({ userId: 30, role: 'student' }, 'chat:delete-message', { id: 1 })).toBe(true);
+      expect(await policyService.can({ userId: 31, role: 'teacher' }, 'chat:delete-message', { id: 1 })).toBe(true);
+      expect(await policyService.can({ userId: 32, role: 'student' }, 'chat:delete-message', { id: 1 })).toBe(false);
+    });
+
+    it('should report a missing resource as not found', async () => {
+      mockModels.Courses.findByPk.mockResolvedValue(null);
+
+      await expect(policyService.assertCan(teacher(10), 'course:edit', { id: 404 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('assertCan', () => {
+    it('should throw a 403 when the action is not allowed', async () => {
+      await expect(policyService.assertCan({ userId: 1, role: 'parent' }, 'course:create'))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
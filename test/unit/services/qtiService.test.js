@@ -0,0 +1,221 @@
+// tests/unit/qtiService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+
+const mockModels = {
+  Exams: { findByPk: jest.fn() },
+  ExamQuestions: { findAll: jest.fn() },
+  ExamAnswers: {},
+  Quizzes: { findByPk: jest.fn() },
+  QuizQuestions: { findAll: jest.fn() },
+  QuizAnswers: {}
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/services/examService', () => ({
+  createExam: jest.fn(async examData => ({ examId: 21, ...examData })),
+  getExamById: jest.fn(async examId => ({ examId }))
+}));
+jest.mock('../../../src/services/quizService', () => ({
+  createQuiz: jest.fn(async quizData => ({ quizId: 31, ...quizData }))
+}));
+
+const qtiService = require('../../../src/services/qtiService');
+const examService = require('../../../src/services/examService');
+const quizService = require('../../../src/services/quizService');
+const zip = require('../../../src/utils/zip');
+
+const QUESTIONS = [
+  { questionText: 'Pick the even number', questionType: 'multiple_choice', points: 2, answers: [{ answerText: '3', isCorrect: false }, { answerText: '4', isCorrect: true }] },
+  { questionText: 'The sky is blue', questionType: 'true_false', points: 1, answers: [{ answerText: 'True', isCorrect: true }, { answerText: 'False', isCorrect: false }] },
+  { questionText: 'Pick the primes', questionType: 'multi_select', points: 3, answers: [{ answerText: '2', isCorrect: true }, { answerText: '3', isCorrect: true }, { answerText: '4', isCorrect: false }] },
+  { questionText: 'g in m/s^2?', questionType: 'numeric', points: 1, answers: [], answerConfig: { value: 9.81, tolerance: 0.05, toleranceType: 'relative' } },
+  { questionText: 'Capital of France?', questionType: 'short_answer', points: 1, answers: [{ answerText: 'Paris', isCorrect: true }, { answerText: 'Paris, France', isCorrect: true }] },
+  { questionText: 'Match the symbols', questionType: 'matching', points: 2, answers: [], answerConfig: { pairs: [{ prompt: 'H', match: 'Hydrogen' }, { prompt: 'O', match: 'Oxygen' }] } },
+  { questionText: 'Order by size', questionType: 'ordering', points: 2, answers: [], answerConfig: { items: ['atom', 'cell', 'planet'] } }
+];
+
+// A hand-written QTI 2.1 package kept in a folder, with an assessment test
+const ITEM = (identifier, body, declarations = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="${identifier}" title="${identifier}" adaptive="false" timeDependent="false">
+  ${declarations}
+  <itemBody>${body}</itemBody>
+</assessmentItem>`;
+
+const handWrittenPackage = () => zip.create({
+  'course/imsmanifest.xml': `<?xml version="1.0"?>
+    <manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="m1">
+      <resources>
+        <resource identifier="test" type="imsqti_test_xmlv2p1" href="tests/test.xml"/>
+      </resources>
+    </manifest>`,
+  'course/tests/test.xml': `<assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="t" title="Unit 3 check">
+      <testPart identifier="p"><assessmentSection identifier="s" title="s" visible="true">
+        <assessmentItemRef identifier="a" href="../items/numeric%20item.xml"/>
+        <assessmentItemRef identifier="b" href="../items/hotspot.xml"/>
+        <assessmentItemRef identifier="c" href="../items/essay.xml"/>
+        <assessmentItemRef identifier="d" href="../items/gone.xml"/>
+        <assessmentItemRef identifier="e" href="../items/blank.xml"/>
+      </assessmentSection></testPart>
+    </assessmentTest>`,
+  'course/items/numeric item.xml': ITEM('numeric', '<p>How far, in km? <img src="map.png"/></p><p><textEntryInteraction responseIdentifier="RESPONSE"/></p>', `
+    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+      <correctResponse><value>120</value></correctResponse>
+    </responseDeclaration>
+    <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="4"/>
+    <responseProcessing><responseCondition><responseIf>
+      <equal toleranceMode="relative" tolerance="10 5"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>
+    </responseIf></responseCondition></responseProcessing>`),
+  'course/items/hotspot.xml': ITEM('hotspot', '<hotspotInteraction responseIdentifier="RESPONSE" maxChoices="1"/>'),
+  'course/items/essay.xml': ITEM('essay', '<extendedTextInteraction responseIdentifier="RESPONSE"><prompt>Explain why.</prompt></extendedTextInteraction>'),
+  'course/items/blank.xml': ITEM('blank', '<p>Water is H<textEntryInteraction responseIdentifier="RESPONSE"/>O</p>', `
+    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+      <correctResponse><value>2</value></correctResponse>
+      <mapping defaultValue="0"><mapEntry mapKey="2" mappedValue="1" caseSensitive="false"/><mapEntry mapKey="two" mappedValue="1" caseSensitive="false"/></mapping>
+    </responseDeclaration>`)
+});
+
+describe('QtiService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildPackage and readPackage', () => {
+    it.each(['2.1', '3.0'])('should read back every question type it exports as QTI %s', (version) => {
+      const { title, questions, report } = qtiService.readPackage(qtiService.buildPackage('Chemistry quiz', QUESTIONS, version), 'quiz');
+
+      expect(title).toBe('Chemistry quiz');
+      expect(report).toEqual({ version, items: 7, imported: 7, skipped: [], warnings: [] });
+      expect(questions).toEqual(QUESTIONS.map(({ answers, ...question }) => (answers.length > 0 ? { ...question, answers } : question)));
+    });
+
+    it('should write QTI 3.0 element and attribute names', () => {
+      const files = zip.read(qtiService.buildPackage('Quiz', QUESTIONS.slice(0, 1), '3.0'), { keepPaths: true });
+      const item = files['items/item-1.xml'].toString();
+
+      expect(Object.keys(files)).toEqual(['imsmanifest.xml', 'assessment.xml', 'items/item-1.xml']);
+      expect(item).toContain('<qti-assessment-item xmlns="http://www.imsglobal.org/xsd/imsqtiasi_v3p0"');
+      expect(item).toContain('<qti-choice-interaction response-identifier="RESPONSE" shuffle="false" max-choices="1">');
+      expect(files['imsmanifest.xml'].toString()).toContain('type="imsqti_item_xmlv3p0"');
+    });
+
+    it('should turn quiz-only types into their exam equivalents', () => {
+      const { questions, report } = qtiService.readPackage(qtiService.buildPackage('Quiz', QUESTIONS, '2.1'), 'exam');
+
+      expect(questions[1].questionType).toBe('multiple_choice');
+      expect(questions[4]).toMatchObject({ questionType: 'fill_in_blank', correctAnswer: 'Paris', caseSensitive: false });
+      expect(report.warnings).toEqual([{ href: 'items/item-5.xml', title: 'Capital of France?', warning: 'Only the first accepted answer was kept' }]);
+    });
+
+    it('should report the items it cannot import', () => {
+      const { title, questions, report } = qtiService.readPackage(handWrittenPackage(), 'quiz');
+
+      expect(title).toBe('Unit 3 check');
+      expect(questions).toEqual([
+        { questionText: 'How far, in km?', questionType: 'numeric', points: 4, answerConfig: { value: 120, tolerance: 0.1, toleranceType: 'relative' } },
+        { questionText: 'Water is H O', questionType: 'short_answer', points: 1, answers: [{ answerText: '2', isCorrect: true }, { answerText: 'two', isCorrect: true }] }
+      ]);
+      expect(report.skipped).toEqual([
+        { href: 'course/items/hotspot.xml', title: 'hotspot', reason: 'hotspotInteraction is not supported' },
+        { href: 'course/items/essay.xml', title: 'essay', reason: 'Essay questions can only be imported into exams' },
+        { href: 'course/items/gone.xml', title: null, reason: 'The item file is missing from the package' }
+      ]);
+      expect(report.warnings.map(warning => warning.warning)).toEqual([
+        'Images, media and maths in the item were left out',
+        'The tolerance was different below and above the answer; the larger one was kept'
+      ]);
+    });
+
+    it('should import essays into exams', () => {
+      const { questions } = qtiService.readPackage(handWrittenPackage(), 'exam');
+
+      expect(questions.map(question => question.questionType)).toEqual(['numeric', 'essay', 'fill_in_blank']);
+      expect(questions[1].questionText).toBe('Explain why.');
+    });
+
+    it('should reject archives that are not QTI packages', () => {
+      expect(() => qtiService.readPackage(Buffer.from('not a zip'), 'quiz')).toThrow('Could not read the QTI package: Not a zip archive');
+      expect(() => qtiService.readPackage(zip.create({ 'item.xml': '<assessmentItem/>' }), 'quiz')).toThrow('The package has no imsmanifest.xml');
+      expect(() => qtiService.readPackage(zip.create({ 'imsmanifest.xml': '<manifest><resources>' }), 'quiz'))
+        .toThrow('Could not read imsmanifest.xml: Unclosed tag <resources>');
+    });
+
+    it('should refuse an unknown QTI version', () => {
+      expect(() => qtiService.buildPackage('Quiz', [], '1.2')).toThrow('QTI version 1.2 is not supported (expected 2.1 or 3.0)');
+    });
+  });
+
+  describe('importQuiz', () => {
+    it('should create the quiz with the imported questions and the test title', async () => {
+      const result = await qtiService.importQuiz(handWrittenPackage(), { courseId: 5 });
+
+      expect(quizService.createQuiz).toHaveBeenCalledWith(expect.objectContaining({ courseId: 5, title: 'Unit 3 check' }));
+      expect(quizService.createQuiz.mock.calls[0][0].questions).toHaveLength(2);
+      expect(result.quiz.quizId).toBe(31);
+      expect(result.report.imported).toBe(2);
+    });
+
+    it('should only report on a dry run', async () => {
+      const result = await qtiService.importQuiz(handWrittenPackage(), { courseId: 5 }, { dryRun: true });
+
+      expect(quizService.createQuiz).not.toHaveBeenCalled();
+      expect(result.quiz).toBeNull();
+      expect(result.report.skipped).toHaveLength(3);
+    });
+  });
+
+  describe('importExam', () => {
+    it('should create the exam with its questions', async () => {
+      const examData = { courseId: 5, teacherId: 7, title: 'Midterm', startDate: '2026-11-01T09:00:00Z', endDate: '2026-11-01T11:00:00Z', duration: 60 };
+
+      const result = await qtiService.importExam(handWrittenPackage(), examData);
+
+      expect(examService.createExam).toHaveBeenCalledWith(examData, expect.any(Array));
+      expect(examService.createExam.mock.calls[0][1]).toHaveLength(3);
+      expect(result.exam).toEqual({ examId: 21 });
+    });
+
+    it('should refuse a package with nothing to import', async () => {
+      const buffer = zip.create({
+        'imsmanifest.xml': '<manifest><resources><resource type="imsqti_item_xmlv2p1" href="hotspot.xml"/></resources></manifest>',
+        'hotspot.xml': ITEM('hotspot', '<hotspotInteraction responseIdentifier="RESPONSE"/>')
+      });
+
+      await expect(qtiService.importExam(buffer, { courseId: 5 })).rejects.toThrow('The package has no questions that can be imported');
+      expect(examService.createExam).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportExam', () => {
+    it('should export only the exam\'s fixed questions', async () => {
+      mockModels.Exams.findByPk.mockResolvedValue({ examId: 4, title: 'Midterm' });
+      mockModels.ExamQuestions.findAll.mockResolvedValue([{
+        examId: 4,
+        questionText: 'Symbol for gold?',
+        questionType: 'fill_in_blank',
+        points: '2.00',
+        correctAnswer: 'Au',
+        caseSensitive: true,
+        examAnswers: []
+      }]);
+
+      const { filename, buffer } = await qtiService.exportExam(4, '2.1');
+
+      expect(mockModels.ExamQuestions.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { examId: 4, bankQuestionId: null } }));
+      expect(filename).toBe('exam-4-qti.zip');
+      expect(qtiService.readPackage(buffer, 'exam').questions).toEqual([
+        { questionText: 'Symbol for gold?', questionType: 'fill_in_blank', points: 2, correctAnswer: 'Au', caseSensitive: true }
+      ]);
+    });
+
+    it('should fail for a missing exam', async () => {
+      mockModels.Exams.findByPk.mockResolvedValue(null);
+
+      await expect(qtiService.exportExam(99, '2.1')).rejects.toThrow('Exam not found');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// tests/unit/questionBankService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  QuestionBanks: { findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  BankQuestions: { findAll: jest.fn(), findByPk: jest.fn(), create: jest.fn(), count: jest.fn() },
+  BankAnswers: { bulkCreate: jest.fn(), destroy: jest.fn() },
+  ExamQuestions: { findOne: jest.fn(), create: jest.fn() },
+  ExamAnswers: { bulkCreate: jest.fn() },
+  ExamQuestionDraws: { count: jest.fn() },
+  QuizQuestions: { create: jest.fn() },
+  QuizAnswers: { bulkCreate: jest.fn() },
+  TeacherInstitutions: { findOne: jest.fn(), findAll: jest.fn() },
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+
+const questionBankService = require('../../../src/services/questionBankService');
+const seededRandom = require('../../../src/utils/seededRandom');
+
+const bankQuestion = (bankQuestionId, extra = {}) => ({
+  bankQuestionId,
+  questionBankId: 1,
+  questionText: `Question ${bankQuestionId}`,
+  questionType: 'multiple_choice',
+  points: '2',
+  answers: [
+    { bankAnswerId: bankQuestionId * 10, answerText: 'A', isCorrect: true, orderNumber: 0 },
+    { bankAnswerId: bankQuestionId * 10 + 1, answerText: 'B', isCorrect: false, orderNumber: 1 }
+  ],
+  ...extra
+});
+
+describe('Question Bank Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockModels.QuestionBanks.findByPk.mockResolvedValue({ questionBankId: 1, teacherId: 3, institutionId: 1, isShared: false });
+  });
+
+  describe('addQuestion', () => {
+    it('should store tags lower-case and without duplicates', async () => {
+      mockModels.BankQuestions.create.mockImplementation(async data => ({ bankQuestionId: 5, ...data }));
+
+      await questionBankService.addQuestion(1, {
+        questionText: '2 + 2?',
+        questionType: 'multiple_choice',
+        tags: ['Algebra', ' algebra', 'Week 1'],
+        answers: [{ answerText: '4', isCorrect: true }, { answerText: '5' }]
+      });
+
+      expect(mockModels.BankQuestions.create).toHaveBeenCalledWith(
+        expect.objectContaining({ questionBankId: 1, tags: ['algebra', 'week 1'] }),
+        { transaction: mockTransaction }
+      );
+      expect(mockModels.BankAnswers.bulkCreate).toHaveBeenCalledWith([
+        { bankQuestionId: 5, answerText: '4', isCorrect: true, orderNumber: 0 },
+        { bankQuestionId: 5, answerText: '5', isCorrect: false, orderNumber: 1 }
+      ], { transaction: mockTransaction });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should reject choice questions without exactly one correct answer', async () => {
+      await expect(questionBankService.addQuestion(1, {
+        questionText: 'Pick two',
+        questionType: 'multiple_choice',
+        answers: [{ answerText: 'A', isCorrect: true }, { answerText: 'B', isCorrect: true }]
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Exactly one answer must be marked correct' });
+      expect(mockModels.BankQuestions.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findUsableBank', () => {
+    it('should let the owner use a private bank', async () => {
+      await expect(questionBankService.findUsableBank(1, 3)).resolves.toMatchObject({ questionBankId: 1 });
+    });
+
+    it('should let colleagues at the institution use a shared bank', async () => {
+      mockModels.QuestionBanks.findByPk.mockResolvedValue({ questionBankId: 1, teacherId: 3, institutionId: 1, isShared: true });
+      mockModels.TeacherInstitutions.findOne.mockResolvedValue({ teacherId: 4, institutionId: 1 });
+
+      await expect(questionBankService.findUsableBank(1, 4)).resolves.toMatchObject({ questionBankId: 1 });
+      expect(mockModels.TeacherInstitutions.findOne).toHaveBeenCalledWith({ where: { teacherId: 4, institutionId: 1 }, transaction: undefined });
+    });
+
+    it('should keep private banks to their owner', async () => {
+      await expect(questionBankService.findUsableBank(1, 4)).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('drawForStudent', () => {
+    const easy = [1, 2, 3, 4].map(id => bankQuestion(id));
+    const algebra = [3, 4, 5].map(id => bankQuestion(id));
+    const pools = [
+      { draw: { drawId: 1, count: 2 }, candidates: easy },
+      { draw: { drawId: 2, count: 2 }, candidates: algebra }
+    ];
+
+    it('should never pick a question twice when draws overlap', () => {
+      const paper = questionBankService.drawForStudent(pools, seededRandom.create('exam:1:student:1'));
+      const ids = paper.map(item => item.bankQuestion.bankQuestionId);
+
+      expect(ids).toHaveLength(4);
+      expect(new Set(ids).size).toBe(4);
+      expect(paper.filter(item => item.draw.drawId === 1)).toHaveLength(2);
+    });
+
+    it('should draw the same questions from the same seed', () => {
+      const pick = seed => questionBankService.drawForStudent(pools, seededRandom.create(seed))
+        .map(item => item.bankQuestion.bankQuestionId);
+
+      expect(pick('exam:1:student:1')).toEqual(pick('exam:1:student:1'));
+    });
+
+    it('should fail when a draw runs out of questions', () => {
+      expect(() => questionBankService.drawForStudent(
+        [{ draw: { drawId: 1, count: 3 }, candidates: algebra }, { draw: { drawId: 2, count: 1 }, candidates: algebra }],
+        seededRandom.create('seed')
+      )).toThrow('Not enough questions in the bank for draw 2');
+    });
+  });
+
+  describe('copyToExam', () => {
+    it('should reuse the exam\'s existing copy of a bank question', async () => {
+      const copy = { questionId: 40, examAnswers: [] };
+      mockModels.ExamQuestions.findOne.mockResolvedValue(copy);
+
+      await expect(questionBankService.copyToExam(bankQuestion(1), 3, mockTransaction)).resolves.toBe(copy);
+      expect(mockModels.ExamQuestions.create).not.toHaveBeenCalled();
+    });
+
+    it('should copy true/false questions as two-answer multiple choice', async () => {
+      mockModels.ExamQuestions.findOne.mockResolvedValue(null);
+      mockModels.ExamQuestions.create.mockImplementation(async data => ({ questionId: 41, ...data }));
+      mockModels.ExamAnswers.bulkCreate.mockImplementation(async rows => rows.map((row, index) => ({ answerId: 90 + index, ...row })));
+
+      const copy = await questionBankService.copyToExam(bankQuestion(1, { questionType: 'true_false' }), 3, mockTransaction);
+
+      expect(copy).toMatchObject({ examId: 3, bankQuestionId: 1, questionType: 'multiple_choice', correctAnswer: null });
+      expect(copy.examAnswers.map(answer => answer.answerId)).toEqual([90, 91]);
+    });
+
+    it('should grade text questions against their first accepted answer', async () => {
+      mockModels.ExamQuestions.findOne.mockResolvedValue(null);
+      mockModels.ExamQuestions.create.mockImplementation(async data => ({ questionId: 42, ...data }));
+
+      const copy = await questionBankService.copyToExam(bankQuestion(2, {
+        questionType: 'fill_in_blank',
+        answers: [{ answerText: 'mitochondria', isCorrect: true, orderNumber: 0 }]
+      }), 3, mockTransaction);
+
+      expect(copy).toMatchObject({ questionType: 'fill_in_blank', correctAnswer: 'mitochondria', examAnswers: [] });
+      expect(mockModels.ExamAnswers.bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// tests/unit/questionImportService.test.js
+const mockModels = {
+  Exams: { findByPk: jest.fn() },
+  Quizzes: { findByPk: jest.fn() }
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn() }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/services/examService', () => ({
+  addQuestionsToExam: jest.fn(async (examId, questions) => questions.map((question, index) => ({ questionId: 100 + index, ...question })))
+}));
+jest.mock('../../../src/services/quizService', () => ({
+  addQuestionsToQuiz: jest.fn(async (quizId, questions) => questions.map((question, index) => ({ questionId: 200 + index, ...question })))
+}));
+
+const questionImportService = require('../../../src/services/questionImportService');
+const examService = require('../../../src/services/examService');
+const quizService = require('../../../src/services/quizService');
+
+const GIFT = [
+  '::Capital::What is the capital of France?{=Paris ~Berlin #Germany}',
+  '',
+  '// points: 3',
+  'The sun is a star.{T}',
+  '',
+  'Name a primary colour.{=red =blue =yellow}'
+].join('\n');
+
+describe('QuestionImportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parse', () => {
+    it('should fit quiz questions and apply the default points', () => {
+      const { questions, errors } = questionImportService.parse('gift', GIFT, 'quiz', { points: 2 });
+
+      expect(errors).toEqual([]);
+      expect(questions.map(question => [question.line, question.questionType, question.points])).toEqual([
+        [1, 'multiple_choice', 2],
+        [4, 'true_false', 3],
+        [6, 'short_answer', 2]
+      ]);
+      expect(questions[0].title).toBe('Capital');
+      expect(questions[0].answers).toEqual([
+        { answerText: 'Paris', isCorrect: true },
+        { answerText: 'Berlin', isCorrect: false, feedback: 'Germany' }
+      ]);
+    });
+
+    it('should turn quiz-only types into their exam equivalents', () => {
+      const { questions, warnings } = questionImportService.parse('gift', GIFT, 'exam');
+
+      expect(questions[1].questionType).toBe('multiple_choice');
+      expect(questions[2]).toMatchObject({ questionType: 'fill_in_blank', correctAnswer: 'red', caseSensitive: false, answers: [] });
+      expect(warnings).toEqual([{ line: 6, message: 'Only the first accepted answer was kept' }]);
+    });
+
+    it('should report questions the target cannot hold by line', () => {
+      const { questions, errors } = questionImportService.parse('gift', 'Explain.{}\n\nMatch.{=a -> b}', 'quiz');
+
+      expect(questions).toEqual([]);
+      expect(errors).toEqual([
+        { line: 1, message: 'Essay questions can only be imported into exams' },
+        { line: 3, message: 'A matching question needs at least two pairs' }
+      ]);
+    });
+
+    it('should refuse text without questions and unknown formats', () => {
+      expect(() => questionImportService.parse('gift', '// only a comment', 'quiz')).toThrow('The text has no questions to import');
+      expect(() => questionImportService.parse('qti', GIFT, 'quiz')).toThrow('Unknown question format: qti');
+    });
+  });
+
+  describe('importIntoQuiz', () => {
+    it('should add the questions after the existing ones', async () => {
+      mockModels.Quizzes.findByPk.mockResolvedValue({ quizId: 7 });
+
+      const report = await questionImportService.importIntoQuiz(7, 'Sky colour?\nA. Blue\nB. Red\nANSWER: A', { format: 'aiken' });
+
+      expect(quizService.addQuestionsToQuiz).toHaveBeenCalledWith(7, [{
+        questionText: 'Sky colour?',
+        questionType: 'multiple_choice',
+        points: 1,
+        answers: [{ answerText: 'Blue', isCorrect: true }, { answerText: 'Red', isCorrect: false }]
+      }]);
+      expect(report).toMatchObject({ dryRun: false, imported: true, format: 'aiken', summary: { questions: 1, errors: 0, warnings: 0 }, questionIds: [200] });
+    });
+
+    it('should only report on a dry run', async () => {
+      mockModels.Quizzes.findByPk.mockResolvedValue({ quizId: 7 });
+
+      const report = await questionImportService.importIntoQuiz(7, GIFT, { format: 'gift', dryRun: true });
+
+      expect(quizService.addQuestionsToQuiz).not.toHaveBeenCalled();
+      expect(report).toMatchObject({ dryRun: true, imported: false, summary: { questions: 3, errors: 0 } });
+    });
+
+    it('should fail for a missing quiz', async () => {
+      mockModels.Quizzes.findByPk.mockResolvedValue(null);
+
+      await expect(questionImportService.importIntoQuiz(7, GIFT, { format: 'gift' })).rejects.toThrow('Quiz not found');
+    });
+  });
+
+  describe('importIntoExam', () => {
+    it('should import nothing when any question has an error', async () => {
+      mockModels.Exams.findByPk.mockResolvedValue({ examId: 4 });
+
+      const report = await questionImportService.importIntoExam(4, `${GIFT}\n\nBroken {~a ~b}`, { format: 'gift' });
+
+      expect(examService.addQuestionsToExam).not.toHaveBeenCalled();
+      expect(report).toMatchObject({
+        dryRun: false,
+        imported: false,
+        summary: { questions: 3, errors: 1 },
+        errors: [{ line: 8, message: 'No answer is marked right (use = or a positive %weight%)' }]
+      });
+    });
+
+    it('should add the questions without their line numbers and titles', async () => {
+      mockModels.Exams.findByPk.mockResolvedValue({ examId: 4 });
+
+      const report = await questionImportService.importIntoExam(4, GIFT, { format: 'gift' });
+
+      const [, questions] = examService.addQuestionsToExam.mock.calls[0];
+      expect(questions).toHaveLength(3);
+      expect(questions[0]).not.toHaveProperty('line');
+      expect(questions[0]).not.toHaveProperty('title');
+      expect(report.questionIds).toEqual([100, 101, 102]);
+    });
+  });
+});
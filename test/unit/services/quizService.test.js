@@ -0,0 +1,373 @@
+// tests/unit/quizService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  Quizzes: { findByPk: jest.fn(), findAll: jest.fn(), associations: { course: {}, lesson: {}, questions: {} } },
+  QuizQuestions: { findAll: jest.fn(), findOne: jest.fn(), count: jest.fn() },
+  QuizAnswers: {},
+  StudentQuizAttempts: { findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  StudentQuizResponses: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  Courses: {},
+  Lessons: {},
+  Teachers: {},
+  Students: { findByPk: jest.fn() },
+  Users: {},
+  Enrollments: { findOne: jest.fn() },
+  StudentAccommodations: { findAll: jest.fn() },
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+
+const quizService = require('../../../src/services/quizService');
+
+const mockInstance = (data) => {
+  const instance = {
+    ...data,
+    update: jest.fn(async (values) => Object.assign(instance, values)),
+    get: jest.fn(() => ({ ...data }))
+  };
+  return instance;
+};
+
+const questions = [
+  {
+    questionId: 1, questionText: '2 + 2?', questionType: 'multiple_choice', orderNumber: 1, points: 2,
+    answers: [
+      { answerId: 11, answerText: '3', isCorrect: false, orderNumber: 1 },
+      { answerId: 12, answerText: '4', isCorrect: true, orderNumber: 2 }
+    ]
+  },
+  {
+    questionId: 2, questionText: 'The earth is flat', questionType: 'true_false', orderNumber: 2, points: 1,
+    answers: [
+      { answerId: 21, answerText: 'True', isCorrect: false, orderNumber: 1 },
+      { answerId: 22, answerText: 'False', isCorrect: true, orderNumber: 2 }
+    ]
+  },
+  {
+    questionId: 3, questionText: 'Capital of France?', questionType: 'short_answer', orderNumber: 3, points: 1,
+    answers: [{ answerId: 31, answerText: 'Paris', isCorrect: true, orderNumber: 1 }]
+  }
+];
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('Quiz Service', () => {
+  let quiz;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    quiz = {
+      quizId: 5, courseId: 2, title: 'Week 1', isPublished: true, timeLimitMinutes: 30,
+      maxAttempts: 2, passingScore: 50, showAnswers: false
+    };
+    mockModels.Quizzes.findByPk.mockImplementation(async () => quiz);
+    mockModels.QuizQuestions.findAll.mockResolvedValue(questions);
+    mockModels.QuizQuestions.findOne.mockImplementation(async ({ where }) =>
+      questions.find(question => question.questionId === where.questionId) || null);
+    mockModels.Enrollments.findOne.mockResolvedValue({ enrollmentId: 1, status: 'active' });
+    mockModels.StudentQuizAttempts.findAll.mockResolvedValue([]);
+    mockModels.StudentQuizResponses.findAll.mockResolvedValue([]);
+    mockModels.StudentQuizResponses.findOne.mockResolvedValue(null);
+    mockModels.StudentQuizResponses.create.mockImplementation(async data => data);
+    mockModels.StudentAccommodations.findAll.mockResolvedValue([]);
+  });
+
+  describe('getQuizForStudent', () => {
+    beforeEach(() => {
+      mockModels.QuizQuestions.count.mockResolvedValue(3);
+    });
+
+    it('should give the quiz\'s details without its questions before an attempt is started', async () => {
+      const view = await quizService.getQuizForStudent(5, 10);
+
+      expect(view).toMatchObject({ isOpen: true, questionCount: 3, attemptsUsed: 0, attemptsRemaining: 2 });
+      expect(view).not.toHaveProperty('questions');
+      expect(mockModels.QuizQuestions.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should show the quiz as closed once it has closed', async () => {
+      quiz.availableTo = minutesFromNow(-5);
+
+      const view = await quizService.getQuizForStudent(5, 10);
+
+      expect(view).toMatchObject({ isOpen: false, questionCount: 3 });
+    });
+
+    it('should refuse students who are not enrolled in the course', async () => {
+      mockModels.Enrollments.findOne.mockResolvedValue(null);
+
+      await expect(quizService.getQuizForStudent(5, 10)).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('getCourseQuizzesForStudent', () => {
+    beforeEach(() => {
+      mockModels.Quizzes.findAll.mockResolvedValue([quiz]);
+      mockModels.QuizQuestions.count.mockResolvedValue([{ quizId: 5, count: '3' }]);
+    });
+
+    it('should list the course\'s published quizzes without their questions', async () => {
+      mockModels.StudentQuizAttempts.findAll.mockResolvedValue([{ attemptId: 40, quizId: 5, status: 'completed' }]);
+
+      const quizzes = await quizService.getCourseQuizzesForStudent(2, 10);
+
+      expect(mockModels.Quizzes.findAll.mock.calls[0][0].where).toEqual({ courseId: 2, isPublished: true });
+      expect(quizzes).toHaveLength(1);
+      expect(quizzes[0]).toMatchObject({ quizId: 5, isOpen: true, questionCount: 3, attemptsUsed: 1, attemptsRemaining: 1 });
+      expect(quizzes[0]).not.toHaveProperty('questions');
+      expect(mockModels.QuizQuestions.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should refuse students who are not enrolled in the course', async () => {
+      mockModels.Enrollments.findOne.mockResolvedValue(null);
+
+      await expect(quizService.getCourseQuizzesForStudent(2, 10)).rejects.toMatchObject({ statusCode: 403 });
+      expect(mockModels.Quizzes.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startQuizAttempt', () => {
+    beforeEach(() => {
+      mockModels.StudentQuizAttempts.create.mockImplementation(async data => ({ attemptId: 40, ...data }));
+      mockModels.StudentQuizAttempts.findByPk.mockImplementation(async () =>
+        mockInstance({ attemptId: 40, quizId: 5, studentId: 10, status: 'in_progress', expiresAt: minutesFromNow(30), quiz }));
+    });
+
+    it('should start a timed attempt', async () => {
+      const { attempt, resumed } = await quizService.startQuizAttempt(5, 10);
+
+      const created = mockModels.StudentQuizAttempts.create.mock.calls[0][0];
+      expect(created).toMatchObject({ quizId: 5, studentId: 10, attemptNumber: 1, status: 'in_progress' });
+      expect(created.expiresAt - created.startedAt).toBe(30 * 60 * 1000);
+      expect(resumed).toBe(false);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should deliver the questions with the attempt, never with correct-answer flags', async () => {
+      const { attempt } = await quizService.startQuizAttempt(5, 10);
+
+      expect(JSON.stringify(attempt)).not.toContain('isCorrect');
+      expect(attempt.questions[0].answers).toEqual([
+        { answerId: 11, answerText: '3', orderNumber: 1 },
+        { answerId: 12, answerText: '4', orderNumber: 2 }
+      ]);
+      expect(attempt.questions[2].answers).toEqual([]);
+    });
+
+    it('should resume the attempt in progress instead of starting another', async () => {
+      mockModels.StudentQuizAttempts.findAll.mockResolvedValue([
+        mockInstance({ attemptId: 40, status: 'in_progress', expiresAt: minutesFromNow(10) })
+      ]);
+
+      const { resumed } = await quizService.startQuizAttempt(5, 10);
+
+      expect(resumed).toBe(true);
+      expect(mockModels.StudentQuizAttempts.create).not.toHaveBeenCalled();
+    });
+
+    it('should end the attempt when the quiz closes before the time limit', async () => {
+      quiz.availableTo = minutesFromNow(10);
+
+      await quizService.startQuizAttempt(5, 10);
+
+      expect(mockModels.StudentQuizAttempts.create.mock.calls[0][0].expiresAt).toEqual(quiz.availableTo);
+    });
+
+    it('should refuse a new attempt once maxAttempts are used', async () => {
+      mockModels.StudentQuizAttempts.findAll.mockResolvedValue([
+        mockInstance({ attemptId: 38, status: 'completed' }),
+        mockInstance({ attemptId: 39, status: 'completed' })
+      ]);
+
+      await expect(quizService.startQuizAttempt(5, 10))
+        .rejects.toMatchObject({ statusCode: 400, message: 'You have used all 2 attempts for this quiz' });
+      expect(mockModels.StudentQuizAttempts.create).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should apply the student\'s extended time and extra attempts', async () => {
+      mockModels.StudentAccommodations.findAll.mockResolvedValue([
+        { accommodationId: 4, studentId: 10, planType: '504', timeMultiplier: '1.50', extraAttempts: 1, hideTimer: false }
+      ]);
+      mockModels.StudentQuizAttempts.findAll.mockResolvedValue([
+        mockInstance({ attemptId: 38, status: 'completed' }),
+        mockInstance({ attemptId: 39, status: 'completed' })
+      ]);
+
+      await quizService.startQuizAttempt(5, 10);
+
+      const created = mockModels.StudentQuizAttempts.create.mock.calls[0][0];
+      expect(created.attemptNumber).toBe(3);
+      expect(created.expiresAt - created.startedAt).toBe(45 * 60 * 1000);
+      expect(created.accommodations.applied.map(item => item.accommodation)).toEqual(['extended_time', 'extra_attempts']);
+    });
+
+    it('should not show the countdown when the student\'s timer is hidden', async () => {
+      mockModels.StudentAccommodations.findAll.mockResolvedValue([
+        { accommodationId: 4, studentId: 10, planType: 'iep', timeMultiplier: null, extraAttempts: 0, hideTimer: true }
+      ]);
+      mockModels.StudentQuizAttempts.findByPk.mockImplementation(async () => mockInstance({
+        attemptId: 40, quizId: 5, studentId: 10, status: 'in_progress', expiresAt: minutesFromNow(30), quiz, accommodations: { hideTimer: true }
+      }));
+
+      const { attempt } = await quizService.startQuizAttempt(5, 10);
+
+      expect(mockModels.StudentQuizAttempts.create.mock.calls[0][0].accommodations.hideTimer).toBe(true);
+      expect(attempt.remainingSeconds).toBeNull();
+    });
+
+    it('should time out an expired attempt and count it towards maxAttempts', async () => {
+      const expired = mockInstance({ attemptId: 39, status: 'in_progress', expiresAt: minutesFromNow(-1) });
+      mockModels.StudentQuizAttempts.findAll.mockResolvedValue([mockInstance({ attemptId: 38, status: 'completed' }), expired]);
+
+      await expect(quizService.startQuizAttempt(5, 10)).rejects.toMatchObject({ statusCode: 400 });
+      expect(expired.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'timed_out' }), { transaction: mockTransaction });
+    });
+  });
+
+  describe('submitQuizResponse', () => {
+    let attempt;
+
+    beforeEach(() => {
+      attempt = mockInstance({ attemptId: 40, quizId: 5, studentId: 10, status: 'in_progress', expiresAt: minutesFromNow(20) });
+      mockModels.StudentQuizAttempts.findOne.mockResolvedValue(attempt);
+    });
+
+    it('should grade a multiple-choice answer without revealing the grade', async () => {
+      const response = await quizService.submitQuizResponse(40, 10, { questionId: 1, answerId: 12 });
+
+      expect(mockModels.StudentQuizResponses.create).toHaveBeenCalledWith(
+        expect.objectContaining({ attemptId: 40, questionId: 1, chosenAnswerId: 12, isCorrect: true, scoreAwarded: 2 }),
+        { transaction: mockTransaction }
+      );
+      expect(response).not.toHaveProperty('isCorrect');
+      expect(response).not.toHaveProperty('scoreAwarded');
+      expect(response.remainingSeconds).toBeGreaterThan(0);
+    });
+
+    it('should grade true/false answers', async () => {
+      await quizService.submitQuizResponse(40, 10, { questionId: 2, answerId: 21 });
+
+      expect(mockModels.StudentQuizResponses.create).toHaveBeenCalledWith(
+        expect.objectContaining({ isCorrect: false, scoreAwarded: 0 }),
+        { transaction: mockTransaction }
+      );
+    });
+
+    it('should accept short answers regardless of case and spacing', async () => {
+      await quizService.submitQuizResponse(40, 10, { questionId: 3, textResponse: '  paris ' });
+
+      expect(mockModels.StudentQuizResponses.create).toHaveBeenCalledWith(
+        expect.objectContaining({ shortAnswerText: '  paris ', isCorrect: true, scoreAwarded: 1 }),
+        { transaction: mockTransaction }
+      );
+    });
+
+    it('should change an earlier answer instead of adding another', async () => {
+      const existing = mockInstance({ attemptId: 40, questionId: 1, chosenAnswerId: 11 });
+      mockModels.StudentQuizResponses.findOne.mockResolvedValue(existing);
+
+      await quizService.submitQuizResponse(40, 10, { questionId: 1, answerId: 12 });
+
+      expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({ chosenAnswerId: 12, isCorrect: true }), { transaction: mockTransaction });
+      expect(mockModels.StudentQuizResponses.create).not.toHaveBeenCalled();
+    });
+
+    it('should grade numeric answers within the tolerance and keep the answer as answerData', async () => {
+      mockModels.QuizQuestions.findOne.mockResolvedValue({
+        questionId: 4, questionType: 'numeric', points: 2, answers: [],
+        answerConfig: { value: 9.81, tolerance: 0.05, units: ['m/s^2'] }
+      });
+
+      const response = await quizService.submitQuizResponse(40, 10, { questionId: 4, value: 9.8, unit: 'm/s^2' });
+
+      expect(mockModels.StudentQuizResponses.create).toHaveBeenCalledWith(
+        expect.objectContaining({ chosenAnswerId: null, answerData: { value: 9.8, unit: 'm/s^2' }, isCorrect: true, scoreAwarded: 2 }),
+        { transaction: mockTransaction }
+      );
+      expect(response.answerData).toEqual({ value: 9.8, unit: 'm/s^2' });
+    });
+
+    it('should give multi-select answers partial credit', async () => {
+      mockModels.QuizQuestions.findOne.mockResolvedValue({
+        questionId: 5, questionType: 'multi_select', points: 2,
+        answers: [{ answerId: 51, isCorrect: true }, { answerId: 52, isCorrect: true }, { answerId: 53, isCorrect: false }]
+      });
+
+      await quizService.submitQuizResponse(40, 10, { questionId: 5, answerIds: [51] });
+
+      expect(mockModels.StudentQuizResponses.create).toHaveBeenCalledWith(
+        expect.objectContaining({ answerData: { answerIds: [51] }, isCorrect: false, scoreAwarded: 1 }),
+        { transaction: mockTransaction }
+      );
+    });
+
+    it('should reject answers that belong to another question', async () => {
+      await expect(quizService.submitQuizResponse(40, 10, { questionId: 1, answerId: 21 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should close the attempt as timed out once the time limit has passed', async () => {
+      attempt.expiresAt = minutesFromNow(-1);
+      mockModels.StudentQuizResponses.findAll.mockResolvedValue([{ scoreAwarded: 2 }]);
+
+      await expect(quizService.submitQuizResponse(40, 10, { questionId: 2, answerId: 22 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(attempt.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'timed_out', score: 2, maxScore: 4, percentage: 50, passed: true }),
+        { transaction: mockTransaction }
+      );
+      expect(mockModels.StudentQuizResponses.create).not.toHaveBeenCalled();
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(mockTransaction.rollback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('submitQuizAttempt', () => {
+    let attempt;
+
+    beforeEach(() => {
+      attempt = mockInstance({ attemptId: 40, quizId: 5, studentId: 10, status: 'in_progress', expiresAt: minutesFromNow(20), quiz });
+      mockModels.StudentQuizAttempts.findOne.mockResolvedValue(attempt);
+      mockModels.StudentQuizAttempts.findByPk.mockImplementation(async () => attempt);
+      mockModels.StudentQuizResponses.findAll.mockResolvedValue([
+        mockInstance({ questionId: 1, chosenAnswerId: 11, isCorrect: false, scoreAwarded: 0 }),
+        mockInstance({ questionId: 3, shortAnswerText: 'Paris', isCorrect: true, scoreAwarded: 1 })
+      ]);
+    });
+
+    it('should score the attempt from its saved responses', async () => {
+      const result = await quizService.submitQuizAttempt(40, 10);
+
+      expect(result).toMatchObject({ status: 'completed', score: 1, maxScore: 4, percentage: 25, passed: false });
+    });
+
+    it('should keep the per-question results hidden unless the quiz shows answers', async () => {
+      const result = await quizService.submitQuizAttempt(40, 10);
+
+      expect(JSON.stringify(result)).not.toContain('isCorrect');
+      expect(result.questions[0]).not.toHaveProperty('correctAnswers');
+    });
+
+    it('should reveal the results and correct answers when the quiz shows answers', async () => {
+      quiz.showAnswers = true;
+
+      const result = await quizService.submitQuizAttempt(40, 10);
+
+      expect(result.responses[0]).toMatchObject({ questionId: 1, isCorrect: false, scoreAwarded: 0 });
+      expect(result.questions[0].correctAnswers).toEqual([{ answerId: 12, answerText: '4' }]);
+    });
+
+    it('should not accept an attempt twice', async () => {
+      attempt.status = 'completed';
+
+      await expect(quizService.submitQuizAttempt(40, 10)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// tests/unit/rosterImportService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+
+const mockModels = {
+  Users: { findAll: jest.fn(), create: jest.fn() },
+  Institutions: { findByPk: jest.fn() },
+  Students: { create: jest.fn() },
+  Teachers: { create: jest.fn() },
+  Parents: { create: jest.fn() },
+  ParentStudentLink: { findAll: jest.fn(), create: jest.fn() },
+  TeacherInstitutions: { create: jest.fn() },
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn(), info: jest.fn() }));
+jest.mock('../../../src/utils/mailer', () => ({ sendMail: jest.fn(async () => ({})) }));
+jest.mock('../../../src/services/otpService', () => ({
+  issueCode: jest.fn(async (userId, purpose, options) => ({ code: options.code, expiresInMinutes: options.expiresInMinutes })),
+}));
+
+const rosterImportService = require('../../../src/services/rosterImportService');
+const otpService = require('../../../src/services/otpService');
+const mailer = require('../../../src/utils/mailer');
+
+const HEADER = 'role,email,firstName,lastName,gradeLevel,studentEmail,relationship';
+const roster = (...rows) => [HEADER, ...rows].join('\n');
+
+describe('Roster Import Service', () => {
+  let nextId;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextId = 1;
+    mockModels.Institutions.findByPk.mockResolvedValue({ institutionId: 3, name: 'Northside High' });
+    mockModels.Users.findAll.mockResolvedValue([]);
+    mockModels.ParentStudentLink.findAll.mockResolvedValue([]);
+    mockModels.Users.create.mockImplementation(async data => ({ ...data, userId: nextId++ }));
+    mockModels.Students.create.mockImplementation(async data => ({ ...data, studentId: 100 + data.userId }));
+    mockModels.Teachers.create.mockImplementation(async data => ({ ...data, teacherId: 200 + data.userId }));
+    mockModels.Parents.create.mockImplementation(async data => ({ ...data, parentId: 300 + data.userId }));
+  });
+
+  describe('parseRoster', () => {
+    it('should reject files missing required columns', () => {
+      expect(() => rosterImportService.parseRoster('email,firstName\na@b.co,Ava'))
+        .toThrow('Missing required columns: role, lastName');
+    });
+
+    it('should accept headers in other cases and separators', () => {
+      const [record] = rosterImportService.parseRoster('Role,E-mail,first_name,LAST NAME\nstudent,a@b.co,Ava,Jones');
+      expect(record).toEqual({ row: 2, role: 'student', email: 'a@b.co', firstName: 'Ava', lastName: 'Jones' });
+    });
+  });
+
+  describe('dry run', () => {
+    it('should report per-row errors without writing anything', async () => {
+      mockModels.Users.findAll.mockResolvedValue([{ userId: 9, email: 'Taken@example.com', role: 'teacher' }]);
+
+      const report = await rosterImportService.importRoster(3, roster(
+        'student,ava@example.com,Ava,Jones,7,,',
+        'student,ava@example.com,Ava,Again,7,,',
+        'teacher,taken@example.com,Tom,Taken,,,',
+        'parent,sam@example.com,Sam,Jones,,ava@example.com,Father',
+        'parent,kim@example.com,Kim,Lee,,nobody@example.com,',
+        'pupil,not-an-email,,Lee,,,'
+      ), { dryRun: true });
+
+      expect(report.imported).toBe(false);
+      expect(report.summary).toMatchObject({ rows: 6, valid: 2, invalid: 4, students: 1, parents: 1, links: 1 });
+      expect(report.rows[1].errors).toEqual(['Email ava@example.com is already used in row 2']);
+      expect(report.rows[2].errors).toEqual(['An account with this email already exists']);
+      expect(report.rows[4].errors).toEqual(['No student with email nobody@example.com in this institution or file']);
+      expect(report.rows[5].errors).toHaveLength(3);
+      expect(mockModels.Users.create).not.toHaveBeenCalled();
+    });
+
+    it('should link existing parents to existing students of the same institution', async () => {
+      mockModels.Users.findAll.mockResolvedValue([
+        { userId: 5, email: 'sam@example.com', role: 'parent', parent: { parentId: 50 } },
+        { userId: 6, email: 'ava@example.com', role: 'student', student: { studentId: 60, institutionId: 3 } },
+        { userId: 7, email: 'leo@example.com', role: 'student', student: { studentId: 70, institutionId: 4 } }
+      ]);
+      mockModels.ParentStudentLink.findAll.mockResolvedValue([{ parentId: 50, studentId: 60 }]);
+
+      const report = await rosterImportService.importRoster(3, roster(
+        'parent,sam@example.com,Sam,Jones,,ava@example.com,',
+        'parent,sam@example.com,Sam,Jones,,leo@example.com,'
+      ), { dryRun: true });
+
+      expect(report.rows.map(row => row.action)).toEqual(['link', 'link']);
+      expect(report.rows[0].errors).toEqual(['This parent is already linked to ava@example.com']);
+      expect(report.rows[1].errors).toEqual(['No student with email leo@example.com in this institution or file']);
+    });
+  });
+
+  describe('import', () => {
+    it('should not write anything when a row is invalid', async () => {
+      const report = await rosterImportService.importRoster(3, roster('student,bad-email,Ava,Jones,7,,'));
+
+      expect(report).toMatchObject({ dryRun: false, imported: false });
+      expect(mockTransaction.commit).not.toHaveBeenCalled();
+    });
+
+    it('should create accounts, link parents to students in the file and send invitations', async () => {
+      const report = await rosterImportService.importRoster(3, [
+        'role,email,firstName,lastName,gradeLevel,subjectExpertise,studentEmail,relationship',
+        'parent,sam@example.com,Sam,Jones,,,ava@example.com,Father',
+        'student,ava@example.com,Ava,Jones,7,,,',
+        'teacher,tia@example.com,Tia,Ross,,Maths,,'
+      ].join('\n'));
+
+      expect(report.imported).toBe(true);
+      expect(mockModels.Users.create).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'ava@example.com', role: 'student', isVerified: false }),
+        { transaction: mockTransaction }
+      );
+      expect(mockModels.Students.create).toHaveBeenCalledWith(
+        { userId: 1, institutionId: 3, gradeLevel: '7' },
+        { transaction: mockTransaction }
+      );
+      expect(mockModels.TeacherInstitutions.create).toHaveBeenCalledWith(
+        { teacherId: 202, institutionId: 3, isPrimary: true },
+        { transaction: mockTransaction }
+      );
+      expect(mockModels.ParentStudentLink.create).toHaveBeenCalledWith(
+        { parentId: 303, studentId: 101, relationship: 'Father' },
+        { transaction: mockTransaction }
+      );
+      expect(mockTransaction.commit).toHaveBeenCalled();
+
+      expect(otpService.issueCode).toHaveBeenCalledTimes(3);
+      const [, purpose, { code }] = otpService.issueCode.mock.calls[0];
+      expect(purpose).toBe('invitation');
+      expect(code).toMatch(/^[0-9a-f]{64}$/);
+      expect(mailer.sendMail).toHaveBeenCalledTimes(3);
+      expect(mailer.sendMail.mock.calls[0][0].text).toContain(`token=${code}`);
+    });
+
+    it('should roll back when an account is created by someone else mid-import', async () => {
+      mockModels.Users.create.mockRejectedValueOnce(
+        Object.assign(new Error('duplicate'), { name: 'SequelizeUniqueConstraintError', errors: [{ message: 'email must be unique' }] })
+      );
+
+      await expect(rosterImportService.importRoster(3, roster('student,ava@example.com,Ava,Jones,7,,')))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// tests/unit/sessionService.test.js
+const crypto = require('crypto');
+
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+const mockModels = {
+  UserSessions: {
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn(),
+  },
+  RefreshTokens: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn(),
+  },
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn(), info: jest.fn() }));
+jest.mock('../../../src/utils/mailer', () => ({ sendMail: jest.fn(async () => ({})) }));
+
+const sessionService = require('../../../src/services/sessionService');
+
+const SESSION_ID = '6f1c1c5e-8a4f-4d36-9f0b-2f1d3b7a9c10';
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const buildSession = (overrides = {}) => {
+  const session = {
+    sessionId: SESSION_ID,
+    userId: 7,
+    revokedAt: null,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides,
+  };
+  session.update = jest.fn(async (values) => Object.assign(session, values));
+  return session;
+};
+
+describe('Session Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createSession', () => {
+    it('should store only a hash of the refresh token', async () => {
+      mockModels.UserSessions.findAll.mockResolvedValue([]);
+      mockModels.UserSessions.create.mockResolvedValue(buildSession());
+
+      const { session, refreshToken } = await sessionService.createSession(7, {
+        userAgent: 'Mozilla/5.0',
+        ipAddress: '10.0.0.1'
+      });
+
+      expect(session.sessionId).toBe(SESSION_ID);
+      expect(mockModels.RefreshTokens.create).toHaveBeenCalledWith(
+        expect.objectContaining({ sessionId: SESSION_ID, tokenHash: sha256(refreshToken.token) }),
+        expect.any(Object)
+      );
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+  });
+
+  describe('isNewDevice', () => {
+    const known = { userAgent: 'Mozilla/5.0 (Macintosh)', ipAddress: '203.0.113.10' };
+
+    it('should not report the first session of an account', async () => {
+      mockModels.UserSessions.findAll.mockResolvedValue([]);
+
+      expect(await sessionService.isNewDevice(7, known)).toBe(false);
+    });
+
+    it('should treat a new address in the same network as a known device', async () => {
+      mockModels.UserSessions.findAll.mockResolvedValue([known]);
+
+      expect(await sessionService.isNewDevice(7, { ...known, ipAddress: '203.0.113.99' })).toBe(false);
+    });
+
+    it('should report a different browser or network', async () => {
+      mockModels.UserSessions.findAll.mockResolvedValue([known]);
+
+      expect(await sessionService.isNewDevice(7, { ...known, userAgent: 'curl/8.0' })).toBe(true);
+      expect(await sessionService.isNewDevice(7, { ...known, ipAddress: '198.51.100.4' })).toBe(true);
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('should mark the presented token as used and issue a new one in the same family', async () => {
+      const session = buildSession();
+      mockModels.RefreshTokens.findOne.mockResolvedValue({
+        refreshTokenId: 1,
+        rotatedAt: null,
+        expiresAt: new Date(Date.now() + 60 * 1000),
+        session
+      });
+      mockModels.RefreshTokens.update.mockResolvedValue([1]);
+
+      const result = await sessionService.rotateRefreshToken('old-token', { ipAddress: '10.0.0.2' });
+
+      expect(mockModels.RefreshTokens.update).toHaveBeenCalledWith(
+        { rotatedAt: expect.any(Date) },
+        expect.objectContaining({ where: { refreshTokenId: 1, rotatedAt: null } })
+      );
+      expect(result.refreshToken.token).not.toBe('old-token');
+      expect(mockModels.RefreshTokens.create).toHaveBeenCalledWith(
+        expect.objectContaining({ sessionId: SESSION_ID, tokenHash: sha256(result.refreshToken.token) }),
+        expect.any(Object)
+      );
+      expect(session.ipAddress).toBe('10.0.0.2');
+    });
+
+    it('should revoke the whole session when a rotated token is reused', async () => {
+      const session = buildSession();
+      mockModels.RefreshTokens.findOne.mockResolvedValue({
+        refreshTokenId: 1,
+        rotatedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 1000),
+        session
+      });
+
+      await expect(sessionService.rotateRefreshToken('old-token'))
+        .rejects.toMatchObject({ statusCode: 401 });
+      expect(session.update).toHaveBeenCalledWith(
+        expect.objectContaining({ revokedReason: 'refresh_token_reuse' })
+      );
+      expect(mockModels.RefreshTokens.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens from a revoked session', async () => {
+      mockModels.RefreshTokens.findOne.mockResolvedValue({
+        refreshTokenId: 1,
+        rotatedAt: null,
+        expiresAt: new Date(Date.now() + 60 * 1000),
+        session: buildSession({ revokedAt: new Date() })
+      });
+
+      await expect(sessionService.rotateRefreshToken('token'))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('getActiveSession', () => {
+    it('should reject a revoked session', async () => {
+      mockModels.UserSessions.findByPk.mockResolvedValue(buildSession({ revokedAt: new Date() }));
+
+      await expect(sessionService.getActiveSession(SESSION_ID, 7))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should reject a session that belongs to another user', async () => {
+      mockModels.UserSessions.findByPk.mockResolvedValue(buildSession({ userId: 8 }));
+
+      await expect(sessionService.getActiveSession(SESSION_ID, 7))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should reject tokens issued without a session', async () => {
+      await expect(sessionService.getActiveSession(undefined, 7))
+        .rejects.toMatchObject({ statusCode: 401 });
+      expect(mockModels.UserSessions.findByPk).not.toHaveBeenCalled();
+    });
+  });
+});
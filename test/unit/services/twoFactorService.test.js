@@ -0,0 +1,74 @@
+// tests/unit/twoFactorService.test.js
+const mockPolicies = [];
+
+// Paranoid like the model: soft-deleted rows are hidden from finds but still held by the unique index
+const mockPolicy = (data) => {
+  const policy = {
+    ...data,
+    deletedAt: null,
+    update: jest.fn(async values => Object.assign(policy, values)),
+    destroy: jest.fn(async ({ force } = {}) => {
+      if (force) {
+        mockPolicies.splice(mockPolicies.indexOf(policy), 1);
+      } else {
+        policy.deletedAt = new Date();
+      }
+    })
+  };
+  return policy;
+};
+
+const mockModels = {
+  Users: {},
+  TwoFactorCredentials: {},
+  Institutions: {},
+  TwoFactorPolicies: {
+    findOne: jest.fn(async ({ where }) => mockPolicies.find(policy => !policy.deletedAt
+      && policy.institutionId === where.institutionId && policy.role === where.role) || null),
+    findByPk: jest.fn(async policyId => mockPolicies.find(policy => !policy.deletedAt && policy.policyId === policyId) || null),
+    create: jest.fn(async (data) => {
+      if (mockPolicies.some(policy => policy.institutionId === data.institutionId && policy.role === data.role)) {
+        throw new Error('duplicate key value violates unique constraint "idx_two_factor_policies_institution_role"');
+      }
+      const policy = mockPolicy({ policyId: mockPolicies.length + 1, ...data });
+      mockPolicies.push(policy);
+      return policy;
+    })
+  },
+};
+
+jest.mock('../../../src/config/db.js', () => ({ sequelize: {} }));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+
+const twoFactorService = require('../../../src/services/twoFactorService');
+
+describe('Two-Factor Service', () => {
+  const admin = { userId: 1, role: 'admin' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPolicies.length = 0;
+  });
+
+  describe('policies', () => {
+    it('should update the existing policy for an institution and role', async () => {
+      await twoFactorService.setPolicy(admin, { institutionId: 4, role: 'teacher', isRequired: true });
+      const policy = await twoFactorService.setPolicy(admin, { institutionId: 4, role: 'teacher', isRequired: false });
+
+      expect(mockModels.TwoFactorPolicies.create).toHaveBeenCalledTimes(1);
+      expect(policy).toMatchObject({ institutionId: 4, role: 'teacher', isRequired: false });
+    });
+
+    it('should set a policy again after it was deleted', async () => {
+      const { policyId } = await twoFactorService.setPolicy(admin, { institutionId: 4, role: 'teacher', isRequired: true });
+
+      await twoFactorService.deletePolicy(admin, policyId);
+      const policy = await twoFactorService.setPolicy(admin, { institutionId: 4, role: 'teacher', isRequired: true });
+
+      expect(policy).toMatchObject({ institutionId: 4, role: 'teacher', isRequired: true });
+      expect(mockPolicies).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// tests/unit/waitlistService.test.js
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  CourseWaitlists: {
+    count: jest.fn(), findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(),
+    max: jest.fn(), create: jest.fn(), update: jest.fn()
+  },
+  Courses: { findByPk: jest.fn() },
+  Students: { findByPk: jest.fn() },
+  Users: {},
+};
+
+jest.mock('../../../src/config/db.js', () => ({
+  sequelize: { transaction: jest.fn(async () => mockTransaction) }
+}));
+jest.mock('../../../src/models/init-models', () => {
+  return jest.fn(() => mockModels);
+});
+jest.mock('../../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn(), info: jest.fn() }));
+jest.mock('../../../src/utils/mailer', () => ({ sendMail: jest.fn(async () => ({})) }));
+jest.mock('../../../src/services/parentNotificationService', () => ({
+  notifyLinkedParents: jest.fn(async () => []),
+}));
+
+const waitlistService = require('../../../src/services/waitlistService');
+const parentNotificationService = require('../../../src/services/parentNotificationService');
+const mailer = require('../../../src/utils/mailer');
+const config = require('../../../src/config');
+
+const mockEntry = (values) => {
+  const entry = {
+    ...values,
+    get: () => ({ ...values }),
+    update: jest.fn(async (changes) => Object.assign(entry, changes))
+  };
+  return entry;
+};
+
+describe('Waitlist Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockModels.CourseWaitlists.count.mockResolvedValue(0);
+    mockModels.CourseWaitlists.findAll.mockResolvedValue([]);
+  });
+
+  describe('addEntry', () => {
+    it('should put the student at the back of the queue', async () => {
+      mockModels.CourseWaitlists.findOne.mockResolvedValue(null);
+      mockModels.CourseWaitlists.max.mockResolvedValue(4);
+      mockModels.CourseWaitlists.create.mockImplementation(async data => data);
+
+      const entry = await waitlistService.addEntry(1, 5, { transaction: mockTransaction });
+
+      expect(entry).toEqual({ courseId: 1, studentId: 5, position: 5, status: 'waiting', addedBy: null });
+    });
+
+    it('should reject students already on the waitlist', async () => {
+      mockModels.CourseWaitlists.findOne.mockResolvedValue(mockEntry({ waitlistId: 7, status: 'waiting' }));
+
+      await expect(waitlistService.addEntry(1, 5, { transaction: mockTransaction })).rejects.toMatchObject({ statusCode: 409 });
+      expect(mockModels.CourseWaitlists.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('promote', () => {
+    it('should expire lapsed offers before offering seats', async () => {
+      await waitlistService.promote({ courseId: 1, enrollmentLimit: 2, enrollmentCount: 1 }, mockTransaction);
+
+      expect(mockModels.CourseWaitlists.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'expired' }),
+        expect.objectContaining({ where: expect.objectContaining({ courseId: 1, status: 'offered' }) })
+      );
+    });
+
+    it('should offer only the free seats, in queue order, with a claim window', async () => {
+      const first = mockEntry({ waitlistId: 1, studentId: 5, status: 'waiting', position: 2 });
+      const second = mockEntry({ waitlistId: 2, studentId: 6, status: 'waiting', position: 3 });
+      mockModels.CourseWaitlists.findAll.mockResolvedValue([first, second]);
+      mockModels.CourseWaitlists.count.mockResolvedValue(1); // one seat already held by an offer
+
+      const before = Date.now();
+      const offers = await waitlistService.promote({ courseId: 1, enrollmentLimit: 10, enrollmentCount: 8 }, mockTransaction);
+
+      expect(offers).toEqual([first]);
+      expect(first.status).toBe('offered');
+      expect(first.offerExpiresAt.getTime()).toBeGreaterThanOrEqual(before + config.waitlist.claimWindowHours * 60 * 60 * 1000);
+      expect(second.update).not.toHaveBeenCalled();
+    });
+
+    it('should offer nothing while the course is still full', async () => {
+      const entry = mockEntry({ waitlistId: 1, studentId: 5, status: 'waiting', position: 1 });
+      mockModels.CourseWaitlists.findAll.mockResolvedValue([entry]);
+
+      const offers = await waitlistService.promote({ courseId: 1, enrollmentLimit: 2, enrollmentCount: 2 }, mockTransaction);
+
+      expect(offers).toEqual([]);
+      expect(entry.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyOffers', () => {
+    it('should email the student and notify linked parents', async () => {
+      mockModels.Students.findByPk.mockResolvedValue({ studentId: 5, user: { firstName: 'Ava', email: 'ava@example.com' } });
+      const offerExpiresAt = new Date('2026-03-02T12:00:00Z');
+
+      waitlistService.notifyOffers({ courseId: 1, title: 'Algebra I' }, [{ waitlistId: 7, studentId: 5, offerExpiresAt }]);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'ava@example.com',
+        subject: 'A seat opened up in Algebra I'
+      }));
+      expect(parentNotificationService.notifyLinkedParents).toHaveBeenCalledWith(5, expect.objectContaining({
+        notificationType: 'enrollment_update',
+        relatedEntityType: 'course',
+        relatedEntityId: 1,
+        isActionRequired: true
+      }));
+    });
+  });
+
+  describe('getCourseWaitlist', () => {
+    it('should number waiting students in queue order and leave offers unnumbered', async () => {
+      mockModels.CourseWaitlists.findAll.mockResolvedValue([
+        mockEntry({ waitlistId: 1, status: 'offered', position: 1 }),
+        mockEntry({ waitlistId: 2, status: 'waiting', position: 4 }),
+        mockEntry({ waitlistId: 3, status: 'waiting', position: 9 })
+      ]);
+
+      const entries = await waitlistService.getCourseWaitlist(1);
+
+      expect(entries.map(entry => entry.place)).toEqual([null, 1, 2]);
+    });
+  });
+
+  describe('expireOffers', () => {
+    it('should re-offer the seats of each course with lapsed offers', async () => {
+      const course = { courseId: 1, title: 'Algebra I', enrollmentLimit: 1, enrollmentCount: 0 };
+      const next = mockEntry({ waitlistId: 2, studentId: 6, status: 'waiting', position: 2 });
+      mockModels.CourseWaitlists.findAll
+        .mockResolvedValueOnce([{ courseId: 1 }, { courseId: 1 }])
+        .mockResolvedValueOnce([next]);
+      mockModels.Courses.findByPk.mockResolvedValue(course);
+      mockModels.Students.findByPk.mockResolvedValue(null);
+
+      const offered = await waitlistService.expireOffers();
+
+      expect(offered).toBe(1);
+      expect(mockModels.Courses.findByPk).toHaveBeenCalledTimes(1);
+      expect(mockModels.Courses.findByPk).toHaveBeenCalledWith(1, { transaction: mockTransaction, lock: 'UPDATE' });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,44 @@
+// tests/unit/aiken.test.js
+const aiken = require('../../../src/utils/aiken');
+
+describe('Aiken', () => {
+  it('should read multiple choice questions', () => {
+    const { questions, errors } = aiken.parse('What is the capital\nof France?\nA. Berlin\nB) Paris\nANSWER: B\n\nWhat is 2+2?\nA. 4\nB. 5\nANSWER: a\n');
+
+    expect(errors).toEqual([]);
+    expect(questions).toEqual([
+      {
+        line: 1,
+        questionText: 'What is the capital of France?',
+        questionType: 'multiple_choice',
+        answers: [{ answerText: 'Berlin', isCorrect: false }, { answerText: 'Paris', isCorrect: true }]
+      },
+      {
+        line: 7,
+        questionText: 'What is 2+2?',
+        questionType: 'multiple_choice',
+        answers: [{ answerText: '4', isCorrect: true }, { answerText: '5', isCorrect: false }]
+      }
+    ]);
+  });
+
+  it('should report errors with their line numbers', () => {
+    const { questions, errors } = aiken.parse([
+      'Skipped letter?', 'A. one', 'C. three', 'ANSWER: A',
+      'Unknown answer?', 'A. one', 'B. two', 'ANSWER: D',
+      'ANSWER: A',
+      'No options here',
+      'ANSWER: A',
+      'Never answered?', 'A. one', 'B. two'
+    ].join('\n'));
+
+    expect(questions).toEqual([]);
+    expect(errors).toEqual([
+      { line: 3, message: 'Expected option B, found C' },
+      { line: 8, message: 'ANSWER must be one of the option letters A-B' },
+      { line: 9, message: 'ANSWER line without a question' },
+      { line: 10, message: 'The question has no options (expected lines like "A. text")' },
+      { line: 12, message: 'The question has no ANSWER line' }
+    ]);
+  });
+});
@@ -0,0 +1,28 @@
+// tests/unit/csv.test.js
+const csv = require('../../../src/utils/csv');
+
+describe('CSV', () => {
+  it('should read quoted fields with commas, escaped quotes and line breaks', () => {
+    const rows = csv.parseRows('a,"b, c","say ""hi"""\r\n"multi\nline",,x\n');
+
+    expect(rows).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['multi\nline', '', 'x']
+    ]);
+  });
+
+  it('should skip blank lines and a byte order mark', () => {
+    expect(csv.parseRows('\uFEFFname\n\nAva\n')).toEqual([['name'], ['Ava']]);
+  });
+
+  it('should key records by normalised header and number the rows', () => {
+    const { headers, records } = csv.parse('First Name,Ignored\n Ava ,x\n', header => (header === 'First Name' ? 'firstName' : null));
+
+    expect(headers).toEqual(['firstName', null]);
+    expect(records).toEqual([{ row: 2, firstName: 'Ava' }]);
+  });
+
+  it('should reject an unterminated quoted field', () => {
+    expect(() => csv.parseRows('a,"b\n')).toThrow('Unterminated quoted field');
+  });
+});
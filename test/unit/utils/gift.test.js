@@ -0,0 +1,90 @@
+// tests/unit/gift.test.js
+const gift = require('../../../src/utils/gift');
+
+describe('Gift', () => {
+  it('should read multiple choice questions with titles, feedback and points', () => {
+    const { questions, errors } = gift.parse([
+      '// points: 2',
+      '::Tomb::Who is buried in Grant\'s tomb?{',
+      '  ~Grant #No, he is not',
+      '  =Ulysses S. Grant #Right',
+      '  ~No one',
+      '}'
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(questions).toEqual([{
+      line: 2,
+      title: 'Tomb',
+      questionText: 'Who is buried in Grant\'s tomb?',
+      questionType: 'multiple_choice',
+      points: 2,
+      answers: [
+        { answerText: 'Grant', isCorrect: false, feedback: 'No, he is not' },
+        { answerText: 'Ulysses S. Grant', isCorrect: true, feedback: 'Right' },
+        { answerText: 'No one', isCorrect: false, feedback: null }
+      ]
+    }]);
+  });
+
+  it('should recognise each question type', () => {
+    const { questions } = gift.parse([
+      'Grant was buried in New York City.{T#It was in New York#Correct}',
+      '',
+      'Two plus two equals {=four =4}.',
+      '',
+      'Grant was born in {#1822:2}',
+      '',
+      'Pick a number from 1 to 5 {#1..5}',
+      '',
+      'Which are primes?{~%50%2 ~%50%3 ~%-100%4}',
+      '',
+      'Match the capitals.{=Canada -> Ottawa =Italy -> Rome}',
+      '',
+      'Describe the Civil War.{}',
+      '',
+      'Escaped \\{braces\\} and 1\\=1 {=yes\\~really ~no}'
+    ].join('\n'));
+
+    expect(questions.map(question => question.questionType)).toEqual([
+      'true_false', 'short_answer', 'numeric', 'numeric', 'multi_select', 'matching', 'essay', 'multiple_choice'
+    ]);
+    expect(questions[0].answers).toEqual([
+      { answerText: 'True', isCorrect: true, feedback: 'Correct' },
+      { answerText: 'False', isCorrect: false, feedback: 'It was in New York' }
+    ]);
+    expect(questions[1].questionText).toBe('Two plus two equals _____.');
+    expect(questions[2].answerConfig).toEqual({ value: 1822, tolerance: 2, toleranceType: 'absolute' });
+    expect(questions[3].answerConfig).toEqual({ value: 3, tolerance: 2, toleranceType: 'absolute' });
+    expect(questions[4].answers.map(answer => answer.isCorrect)).toEqual([true, true, false]);
+    expect(questions[5].answerConfig.pairs).toEqual([{ prompt: 'Canada', match: 'Ottawa' }, { prompt: 'Italy', match: 'Rome' }]);
+    expect(questions[7].questionText).toBe('Escaped {braces} and 1=1');
+    expect(questions[7].answers[0].answerText).toBe('yes~really');
+  });
+
+  it('should report errors and warnings with their line numbers', () => {
+    const { questions, errors, warnings } = gift.parse([
+      '$CATEGORY: unit 1',
+      'This is only a description.',
+      '',
+      'Unclosed {=a ~b',
+      '',
+      'Not a number {#abc}',
+      '',
+      'No right answer {~a ~b}',
+      '',
+      'Essay with general feedback {####Mention the dates}'
+    ].join('\n'));
+
+    expect(questions).toHaveLength(1);
+    expect(errors).toEqual([
+      { line: 4, message: 'The answers are missing their closing }' },
+      { line: 6, message: '"abc" is not a number, a value:tolerance or a min..max range' },
+      { line: 8, message: 'No answer is marked right (use = or a positive %weight%)' }
+    ]);
+    expect(warnings).toEqual([
+      { line: 2, message: 'Descriptions without answers are skipped' },
+      { line: 10, message: 'General feedback is not imported' }
+    ]);
+  });
+});
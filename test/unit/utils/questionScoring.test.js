@@ -0,0 +1,117 @@
+// tests/unit/questionScoring.test.js
+const questionScoring = require('../../../src/utils/questionScoring');
+
+const choices = [
+  { answerId: 1, answerText: 'Iron', isCorrect: true },
+  { answerId: 2, answerText: 'Copper', isCorrect: true },
+  { answerId: 3, answerText: 'Wood', isCorrect: false },
+  { answerId: 4, answerText: 'Glass', isCorrect: false }
+];
+
+describe('Question scoring', () => {
+  describe('multi_select', () => {
+    const question = { questionType: 'multi_select', answers: choices };
+
+    it('should give full marks for exactly the correct answers', () => {
+      expect(questionScoring.score(question, { answerIds: [2, 1] }, 4)).toEqual({ isCorrect: true, scoreAwarded: 4, needsReview: false });
+    });
+
+    it('should give partial credit and take a share back for each wrong pick', () => {
+      expect(questionScoring.score(question, { answerIds: [1] }, 4).scoreAwarded).toBe(2);
+      expect(questionScoring.score(question, { answerIds: [1, 3] }, 4).scoreAwarded).toBe(0);
+      expect(questionScoring.score(question, { answerIds: [3, 4] }, 4).scoreAwarded).toBe(0);
+    });
+  });
+
+  describe('numeric', () => {
+    const question = {
+      questionType: 'numeric',
+      answers: [],
+      answerConfig: { value: 9.81, tolerance: 0.05, units: ['m/s^2', 'm/s2'] }
+    };
+
+    it('should accept values within an absolute tolerance with an accepted unit', () => {
+      expect(questionScoring.score(question, { value: 9.76, unit: 'm/s2' }, 2).isCorrect).toBe(true);
+      expect(questionScoring.score(question, { value: 9.86, unit: 'm / s^2' }, 2).isCorrect).toBe(true);
+      expect(questionScoring.score(question, { value: 9.87, unit: 'm/s^2' }, 2).isCorrect).toBe(false);
+    });
+
+    it('should reject a missing or wrong unit', () => {
+      expect(questionScoring.score(question, { value: 9.81 }, 2).scoreAwarded).toBe(0);
+      expect(questionScoring.score(question, { value: 9.81, unit: 'N' }, 2).scoreAwarded).toBe(0);
+    });
+
+    it('should apply a relative tolerance as a fraction of the answer', () => {
+      const relative = { questionType: 'numeric', answers: [], answerConfig: { value: 200, tolerance: 0.05, toleranceType: 'relative' } };
+
+      expect(questionScoring.score(relative, { value: 190 }, 1).isCorrect).toBe(true);
+      expect(questionScoring.score(relative, { value: 189 }, 1).isCorrect).toBe(false);
+    });
+  });
+
+  describe('matching and ordering', () => {
+    it('should give a share for each prompt matched correctly', () => {
+      const question = {
+        questionType: 'matching',
+        answers: [],
+        answerConfig: { pairs: [{ prompt: 'H2O', match: 'Water' }, { prompt: 'NaCl', match: 'Salt' }, { prompt: 'CO2', match: 'Carbon dioxide' }] }
+      };
+
+      const result = questionScoring.score(question, { matches: ['water', 'Carbon dioxide', null] }, 3);
+
+      expect(result).toEqual({ isCorrect: false, scoreAwarded: 1, needsReview: false });
+    });
+
+    it('should give a share for each item in its right position', () => {
+      const question = { questionType: 'ordering', answers: [], answerConfig: { items: ['Prophase', 'Metaphase', 'Anaphase', 'Telophase'] } };
+
+      expect(questionScoring.score(question, { order: ['Prophase', 'Metaphase', 'Anaphase', 'Telophase'] }, 4).isCorrect).toBe(true);
+      expect(questionScoring.score(question, { order: ['Prophase', 'Anaphase', 'Metaphase', 'Telophase'] }, 4).scoreAwarded).toBe(2);
+    });
+  });
+
+  it('should leave essays for a teacher', () => {
+    expect(questionScoring.score({ questionType: 'essay', answers: [] }, { textResponse: 'Essay' }, 10))
+      .toEqual({ isCorrect: null, scoreAwarded: null, needsReview: true });
+  });
+
+  describe('assertDefinition', () => {
+    it('should require a correct answer on multi-select questions', () => {
+      expect(() => questionScoring.assertDefinition('multi_select', [{ answerText: 'A' }, { answerText: 'B' }]))
+        .toThrow('A multi-select question needs at least two answers, one or more of them correct');
+    });
+
+    it('should reject duplicate items to order', () => {
+      expect(() => questionScoring.assertDefinition('ordering', [], { items: ['First', ' first'] }))
+        .toThrow('Each item to order must be different');
+    });
+  });
+
+  describe('assertResponse', () => {
+    it('should reject answers that are not the question\'s', () => {
+      expect(() => questionScoring.assertResponse({ questionType: 'multi_select', answers: choices }, { answerIds: [1, 9] }))
+        .toThrow('Please choose answerIds from the question\'s answers');
+    });
+
+    it('should want one match per prompt', () => {
+      const question = { questionType: 'matching', answers: [], answerConfig: { pairs: [{ prompt: 'a', match: 'b' }, { prompt: 'c', match: 'd' }] } };
+
+      expect(() => questionScoring.assertResponse(question, { matches: ['b'] })).toThrow('Please provide one match per prompt');
+    });
+  });
+
+  it('should show students the options in a fixed order without the solution', () => {
+    const question = {
+      questionId: 7,
+      questionType: 'matching',
+      answerConfig: { pairs: [{ prompt: 'H2O', match: 'Water' }, { prompt: 'NaCl', match: 'Salt' }, { prompt: 'O2', match: 'Oxygen' }] }
+    };
+
+    const config = questionScoring.studentConfig(question);
+
+    expect(config.prompts).toEqual(['H2O', 'NaCl', 'O2']);
+    expect([...config.options].sort()).toEqual(['Oxygen', 'Salt', 'Water']);
+    expect(questionScoring.studentConfig(question)).toEqual(config);
+    expect(questionScoring.studentConfig({ questionId: 8, questionType: 'essay' })).toBeNull();
+  });
+});
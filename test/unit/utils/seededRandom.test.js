@@ -0,0 +1,27 @@
+// tests/unit/seededRandom.test.js
+const seededRandom = require('../../../src/utils/seededRandom');
+
+describe('Seeded random utility', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const a = seededRandom.create('exam:3:student:10');
+    const b = seededRandom.create('exam:3:student:10');
+
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    first.forEach(value => expect(value >= 0 && value < 1).toBe(true));
+  });
+
+  it('should give different sequences for different seeds', () => {
+    expect(seededRandom.create('exam:3:student:10')()).not.toBe(seededRandom.create('exam:3:student:11')());
+  });
+
+  it('should shuffle a copy into a permutation of the items', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+
+    const shuffled = seededRandom.shuffle(items, seededRandom.create('seed'));
+
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+    expect(seededRandom.shuffle(items, seededRandom.create('seed'))).toEqual(shuffled);
+  });
+});
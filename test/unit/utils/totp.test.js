@@ -0,0 +1,59 @@
+// tests/unit/totp.test.js
+const totp = require('../../../src/utils/totp');
+
+// RFC 6238 Appendix B test secret ("12345678901234567890" in ASCII)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP utility', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('12345678901234567890');
+
+      expect(totp.base32Encode(bytes)).toBe(RFC_SECRET);
+      expect(totp.base32Decode(RFC_SECRET).equals(bytes)).toBe(true);
+    });
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(totp.generateCode(RFC_SECRET, totp.timeStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(RFC_SECRET, totp.timeStep(1111111109 * 1000))).toBe('081804');
+      expect(totp.generateCode(RFC_SECRET, totp.timeStep(1234567890 * 1000))).toBe('005924');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const timestamp = 1111111109 * 1000;
+
+    it('should return the matching step for a valid code', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { timestamp })).toBe(totp.timeStep(timestamp));
+    });
+
+    it('should accept a code from the previous step within the window', () => {
+      const previous = totp.generateCode(RFC_SECRET, totp.timeStep(timestamp) - 1);
+
+      expect(totp.verifyCode(RFC_SECRET, previous, { timestamp })).toBe(totp.timeStep(timestamp) - 1);
+      expect(totp.verifyCode(RFC_SECRET, previous, { timestamp, window: 0 })).toBeNull();
+    });
+
+    it('should reject wrong or malformed codes', () => {
+      expect(totp.verifyCode(RFC_SECRET, '000000', { timestamp })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, '12345', { timestamp })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should include the issuer, account and secret', () => {
+      const uri = totp.buildOtpauthUri(RFC_SECRET, 'jane@example.com', 'PupilSync');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/PupilSync%3Ajane%40example\.com\?/);
+      expect(uri).toContain(`secret=${RFC_SECRET}`);
+      expect(uri).toContain('issuer=PupilSync');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// tests/unit/xml.test.js
+const xml = require('../../../src/utils/xml');
+
+describe('Xml', () => {
+  it('should parse elements, attributes, entities and CDATA', () => {
+    const root = xml.parse(`\ufeff<?xml version="1.0" encoding="UTF-8"?>
+      <!DOCTYPE item>
+      <!-- a comment -->
+      <imsqti:item xmlns:imsqti="urn:x" title='Tom &amp; Jerry'>
+        <p>5 &lt; 6 &#233;<![CDATA[<b>raw</b>]]></p>
+        <br/>
+      </imsqti:item>`);
+
+    expect(root.name).toBe('imsqti:item');
+    expect(xml.localName(root)).toBe('item');
+    expect(root.attributes.title).toBe('Tom & Jerry');
+    expect(xml.children(root).map(child => child.name)).toEqual(['p', 'br']);
+    expect(xml.text(xml.find(root, 'p'))).toBe('5 < 6 é<b>raw</b>');
+  });
+
+  it('should find descendants by local name in document order', () => {
+    const root = xml.parse('<a><x:b id="1"><b id="2"/></x:b><c><b id="3"/></c></a>');
+
+    expect(xml.findAll(root, 'b').map(element => element.attributes.id)).toEqual(['1', '2', '3']);
+    expect(xml.find(root, 'c').children).toHaveLength(1);
+    expect(xml.find(root, 'missing')).toBeNull();
+  });
+
+  it('should reject malformed documents', () => {
+    expect(() => xml.parse('<a><b></a>')).toThrow('Unexpected closing tag </a>');
+    expect(() => xml.parse('<a><b>')).toThrow('Unclosed tag <b>');
+    expect(() => xml.parse('<a/><b/>')).toThrow('More than one root element');
+    expect(() => xml.parse('<!-- only a comment')).toThrow('Expected --> before the end of the document');
+  });
+
+  it('should write documents that parse back to the same content', () => {
+    const root = xml.element('item', { title: 'Fish & "chips"', skipped: null }, [
+      xml.element('p', {}, ['1 < 2 & 3 > 2']),
+      xml.element('empty')
+    ]);
+    const text = xml.stringify(root);
+
+    expect(text).toContain('<?xml version="1.0" encoding="UTF-8"?>');
+    expect(text).toContain('<empty/>');
+    expect(text).not.toContain('skipped');
+
+    const parsed = xml.parse(text);
+    expect(parsed.attributes).toEqual({ title: 'Fish & "chips"' });
+    expect(xml.text(xml.find(parsed, 'p'))).toBe('1 < 2 & 3 > 2');
+  });
+});
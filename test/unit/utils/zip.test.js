@@ -0,0 +1,36 @@
+// tests/unit/zip.test.js
+const zlib = require('zlib');
+const zip = require('../../../src/utils/zip');
+
+describe('Zip', () => {
+  it('should read back the files it creates', () => {
+    const archive = zip.create({ 'users.csv': 'sourcedId,email\r\nu1,ava@example.com\r\n', 'orgs.csv': Buffer.from('x') });
+    const files = zip.read(archive);
+
+    expect(Object.keys(files)).toEqual(['users.csv', 'orgs.csv']);
+    expect(files['users.csv'].toString()).toBe('sourcedId,email\r\nu1,ava@example.com\r\n');
+  });
+
+  it('should keep folders in the names when asked to', () => {
+    const archive = zip.create({ 'imsmanifest.xml': '<manifest/>', 'items/item-1.xml': '<assessmentItem/>' });
+
+    expect(Object.keys(zip.read(archive))).toEqual(['imsmanifest.xml', 'item-1.xml']);
+    expect(Object.keys(zip.read(archive, { keepPaths: true }))).toEqual(['imsmanifest.xml', 'items/item-1.xml']);
+  });
+
+  it('should store valid checksums and sizes in the headers', () => {
+    const archive = zip.create({ 'a.csv': 'hello' });
+
+    expect(archive.readUInt32LE(14)).toBe(zlib.crc32('hello'));
+    expect(archive.readUInt32LE(22)).toBe(5);
+  });
+
+  it('should reject data that is not a zip archive', () => {
+    expect(() => zip.read(Buffer.from('role,email\nstudent,a@b.co\n'))).toThrow('Not a zip archive');
+  });
+
+  it('should refuse files larger than the limit', () => {
+    const archive = zip.create({ 'big.csv': 'x'.repeat(1000) });
+    expect(() => zip.read(archive, { maxFileBytes: 100 })).toThrow('big.csv is too large');
+  });
+});